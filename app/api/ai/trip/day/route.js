@@ -0,0 +1,328 @@
+/**
+ * AI Trip Day Regeneration API Route
+ * POST /api/ai/trip/day - Regenerate a single day of a saved trip with SSE streaming
+ */
+
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import { findNearbyParks } from '@/lib/trips/nearby-parks';
+import { getTripDayCount, isValidDayNumber, reindexStops, getStopOrderChanges } from '@/lib/trips/trip-editor';
+import { fetchParkLocations, refreshTripDrivingNotes } from '@/lib/trips/trip-routing';
+import { getTripRole, canEditTrip } from '@/lib/trips/trip-access';
+import {
+  generateTripStream,
+  prepareParksForPrompt,
+  prepareFixedDaysForPrompt,
+} from '@/lib/ai/trip-generator';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Validate UUID format
+ * @param {string} id - ID to validate
+ * @returns {boolean} True if valid UUID
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Get authenticated user from request
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} User object or null
+ */
+const getAuthenticatedUser = async (request) => {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader?.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.substring(7);
+  const supabase = createServerClient();
+
+  const { data: { user }, error } = await supabase.auth.getUser(token);
+  if (error || !user) {
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Replace one day's stops with the regenerated day
+ * The new stop is inserted before the old ones are removed so a failed
+ * insert leaves the trip untouched.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} trip - Trip row with trip_stops
+ * @param {number} dayNumber - Day being replaced
+ * @param {Object} day - Generated daily_schedule entry
+ * @returns {Promise<Object>} Inserted trip_stops row
+ */
+const replaceTripDay = async (supabase, trip, dayNumber, day) => {
+  const oldStops = trip.trip_stops.filter(s => s.day_number === dayNumber);
+  const keptStops = trip.trip_stops
+    .filter(s => s.day_number !== dayNumber)
+    .map(s => ({ id: s.id, dayNumber: s.day_number, orderIndex: s.order_index }));
+
+  // Slot the new stop where the old day was, then renumber the whole trip
+  const arranged = reindexStops([
+    ...keptStops,
+    {
+      id: null,
+      dayNumber,
+      orderIndex: oldStops.length > 0
+        ? Math.min(...oldStops.map(s => s.order_index))
+        : Number.MAX_SAFE_INTEGER,
+    },
+  ]);
+
+  const { data: newStop, error: insertError } = await supabase
+    .from('trip_stops')
+    .insert({
+      trip_id: trip.id,
+      park_code: day.park_code,
+      day_number: dayNumber,
+      activities: day.activities || [],
+      morning_plan: day.morning,
+      afternoon_plan: day.afternoon,
+      evening_plan: day.evening,
+      driving_notes: day.driving_notes,
+      highlights: day.highlights,
+      order_index: arranged.find(s => s.id === null).orderIndex,
+    })
+    .select()
+    .single();
+
+  if (insertError) {
+    throw new Error(`Failed to save day: ${insertError.message}`);
+  }
+
+  if (oldStops.length > 0) {
+    const { error: deleteError } = await supabase
+      .from('trip_stops')
+      .delete()
+      .in('id', oldStops.map(s => s.id));
+
+    if (deleteError) {
+      throw new Error(`Failed to replace day: ${deleteError.message}`);
+    }
+  }
+
+  const changes = getStopOrderChanges(keptStops, arranged.filter(s => s.id !== null));
+  await Promise.all(
+    changes.map(change =>
+      supabase.from('trip_stops').update({ order_index: change.orderIndex }).eq('id', change.id)
+    )
+  );
+
+  await supabase
+    .from('trips')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', trip.id);
+
+  await refreshTripDrivingNotes(supabase, trip.id);
+
+  return newStop;
+};
+
+/**
+ * POST handler for single-day regeneration with SSE streaming
+ * Body: { tripId, dayNumber }
+ */
+export async function POST(request) {
+  try {
+    // Authenticate user
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const body = await request.json();
+    const { tripId, dayNumber } = body;
+
+    if (!tripId || !isValidUUID(tripId)) {
+      return NextResponse.json(
+        { error: 'Invalid trip ID' },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    const { data: trip, error: fetchError } = await supabase
+      .from('trips')
+      .select(`
+        id,
+        user_id,
+        title,
+        origin,
+        origin_lat,
+        origin_lng,
+        start_date,
+        end_date,
+        interests,
+        difficulty,
+        radius_miles,
+        trip_stops (
+          id,
+          park_code,
+          day_number,
+          order_index,
+          highlights,
+          morning_plan,
+          afternoon_plan,
+          evening_plan
+        )
+      `)
+      .eq('id', tripId)
+      .single();
+
+    if (fetchError || !trip) {
+      return NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      );
+    }
+
+    if (!canEditTrip(await getTripRole(supabase, trip, user.id))) {
+      return NextResponse.json(
+        { error: 'Not authorized to edit this trip' },
+        { status: 403 }
+      );
+    }
+
+    const dayCount = getTripDayCount(trip.start_date, trip.end_date);
+    if (!isValidDayNumber(dayNumber, dayCount)) {
+      return NextResponse.json(
+        { error: `dayNumber must be between 1 and ${dayCount}` },
+        { status: 400 }
+      );
+    }
+
+    if (!trip.origin_lat || !trip.origin_lng) {
+      return NextResponse.json(
+        { error: 'Trip has no origin coordinates to search parks from' },
+        { status: 400 }
+      );
+    }
+
+    // Create SSE response
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream({
+      async start(controller) {
+        const send = (event, data) => {
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        };
+
+        try {
+          // Step 1: Find candidate parks not already used on other days
+          send('progress', { stage: 'finding_parks', message: 'Finding parks within your radius...' });
+
+          const radiusMiles = trip.radius_miles || 200;
+          const keptStops = trip.trip_stops
+            .filter(s => s.day_number !== dayNumber)
+            .sort((a, b) => a.day_number - b.day_number || a.order_index - b.order_index);
+          const usedParkCodes = new Set(keptStops.map(s => s.park_code));
+
+          const parks = await findNearbyParks(
+            parseFloat(trip.origin_lat),
+            parseFloat(trip.origin_lng),
+            radiusMiles,
+            { startDate: trip.start_date, endDate: trip.end_date }
+          );
+          const candidates = parks.filter(p => !usedParkCodes.has(p.park_code));
+
+          if (candidates.length === 0) {
+            send('error', { message: 'No other parks found within the trip radius. Try editing the trip instead.' });
+            return;
+          }
+
+          send('progress', {
+            stage: 'parks_found',
+            message: `Found ${candidates.length} parks for day ${dayNumber}`,
+            parkCount: candidates.length,
+          });
+
+          // Step 2: Generate the day with the rest of the trip as fixed context
+          send('progress', { stage: 'generating', message: `Replanning day ${dayNumber}...` });
+
+          const parkLocations = await fetchParkLocations(supabase, [...usedParkCodes]);
+          const parkNames = Object.fromEntries(
+            Object.entries(parkLocations).map(([code, park]) => [code, park.name])
+          );
+
+          let tripData;
+          try {
+            tripData = await generateTripStream(
+              {
+                origin: trip.origin,
+                startDate: trip.start_date,
+                endDate: trip.end_date,
+                interests: trip.interests || [],
+                difficulty: trip.difficulty,
+                radiusMiles,
+                parks: prepareParksForPrompt(candidates, {
+                  startDate: trip.start_date,
+                  endDate: trip.end_date,
+                }),
+                regenerateDay: dayNumber,
+                fixedDays: prepareFixedDaysForPrompt(keptStops, parkNames),
+              },
+              (chunk) => {
+                send('chunk', { partial: chunk });
+              },
+              (dayInfo) => {
+                send('day_complete', dayInfo);
+              }
+            );
+          } catch (aiError) {
+            send('error', { message: `AI generation failed: ${aiError.message}` });
+            return;
+          }
+
+          // Step 3: Swap in the new day
+          send('progress', { stage: 'saving', message: 'Saving your trip...' });
+
+          const [day] = tripData.daily_schedule;
+          await replaceTripDay(supabase, trip, dayNumber, day);
+
+          send('complete', {
+            trip_id: trip.id,
+            redirect: `/trip/${trip.id}`,
+            title: trip.title,
+            days: dayCount,
+            day: dayNumber,
+            park_code: day.park_code,
+            park_name: day.park_name,
+          });
+
+        } catch (error) {
+          console.error('Day regeneration error:', error);
+          send('error', { message: error.message || 'An unexpected error occurred' });
+        } finally {
+          controller.close();
+        }
+      },
+    });
+
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+      },
+    });
+
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
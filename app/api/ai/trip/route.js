@@ -5,7 +5,8 @@
 
 import { NextResponse } from 'next/server';
 import { createServerClient } from '@/lib/supabase/client';
-import { geocodeOrigin, milesToMeters } from '@/lib/api/geocode-origin';
+import { geocodeOrigin } from '@/lib/api/geocode-origin';
+import { findNearbyParks } from '@/lib/trips/nearby-parks';
 import { generateTripStream, prepareParksForPrompt, TRIP_INTERESTS, DIFFICULTY_LEVELS } from '@/lib/ai/trip-generator';
 
 // Force dynamic rendering for this route
@@ -136,66 +137,6 @@ const checkTripLimit = async (userId) => {
   return { canCreate: true, isPro: false, existingTripId };
 };
 
-/**
- * Find nearby parks using the database
- * @param {number} lat - Latitude
- * @param {number} lng - Longitude
- * @param {number} radiusMiles - Search radius in miles
- * @returns {Promise<Object[]>} Array of parks
- */
-const findNearbyParks = async (lat, lng, radiusMiles) => {
-  const supabase = createServerClient();
-  const radiusMeters = milesToMeters(radiusMiles);
-
-  // Try RPC first
-  const { data: parks, error } = await supabase.rpc('find_nearby_parks', {
-    user_lat: lat,
-    user_lng: lng,
-    radius_meters: radiusMeters,
-    max_results: 30,
-  });
-
-  if (error) {
-    console.warn('RPC not available, using fallback:', error.message);
-
-    // Fallback to all_parks view with manual filtering
-    const { data: allParks, error: fallbackError } = await supabase
-      .from('all_parks')
-      .select('*')
-      .not('latitude', 'is', null)
-      .not('longitude', 'is', null);
-
-    if (fallbackError) {
-      throw new Error('Failed to fetch parks');
-    }
-
-    // Calculate distances and filter
-    const R = 6371; // Earth's radius in km
-    const parksWithDistance = allParks
-      .map(park => {
-        const lat1 = (lat * Math.PI) / 180;
-        const lat2 = (park.latitude * Math.PI) / 180;
-        const deltaLat = ((park.latitude - lat) * Math.PI) / 180;
-        const deltaLon = ((park.longitude - lng) * Math.PI) / 180;
-
-        const a =
-          Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
-          Math.cos(lat1) * Math.cos(lat2) * Math.sin(deltaLon / 2) * Math.sin(deltaLon / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        const distance_km = R * c;
-
-        return { ...park, distance_km };
-      })
-      .filter(park => park.distance_km <= radiusMiles * 1.60934)
-      .sort((a, b) => a.distance_km - b.distance_km)
-      .slice(0, 30);
-
-    return parksWithDistance;
-  }
-
-  return parks;
-};
-
 /**
  * Save trip to database
  * @param {Object} tripData - Generated trip data
@@ -377,7 +318,10 @@ export async function POST(request) {
           send('progress', { stage: 'finding_parks', message: 'Finding parks within your radius...' });
           
           const radiusMiles = body.radiusMiles || 200;
-          const parks = await findNearbyParks(originCoords.lat, originCoords.lng, radiusMiles);
+          const parks = await findNearbyParks(originCoords.lat, originCoords.lng, radiusMiles, {
+            startDate: body.startDate,
+            endDate: body.endDate,
+          });
 
           if (parks.length === 0) {
             send('error', { message: 'No parks found within the specified radius. Try increasing the radius.' });
@@ -401,7 +345,10 @@ export async function POST(request) {
             interests: body.interests,
             difficulty: body.difficulty,
             radiusMiles,
-            parks: prepareParksForPrompt(parks),
+            parks: prepareParksForPrompt(parks, {
+              startDate: body.startDate,
+              endDate: body.endDate,
+            }),
           };
 
           let tripData;
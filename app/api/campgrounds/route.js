@@ -0,0 +1,73 @@
+/**
+ * Campground Search API Route
+ * GET /api/campgrounds - Search NPS campgrounds across parks with pagination and filtering
+ */
+
+import { NextResponse } from 'next/server';
+import { createServiceClient } from '@/lib/supabase/server';
+import {
+  CAMPGROUND_FIELDS,
+  parseCampgroundFilters,
+  applyCampgroundFilters,
+} from '@/lib/campgrounds/campgrounds';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET handler for searching campgrounds
+ *
+ * Query parameters:
+ * - q, parkCode, state, amenities, reservable, firstCome, rv, accessible, minSites:
+ *   see parseCampgroundFilters
+ * - page: Page number (default: 1)
+ * - limit: Results per page (default: 20, max: 50)
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+
+    // Pagination parameters
+    const page = Math.max(parseInt(searchParams.get('page') || '1', 10) || 1, 1);
+    const limit = Math.min(parseInt(searchParams.get('limit') || '20', 10) || 20, 50);
+    const offset = (page - 1) * limit;
+
+    const { filters, error: filterError } = parseCampgroundFilters(searchParams);
+
+    if (filterError) {
+      return NextResponse.json({ error: filterError }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+
+    const query = applyCampgroundFilters(
+      supabase.from('campgrounds').select(CAMPGROUND_FIELDS, { count: 'exact' }),
+      filters
+    )
+      .order('name', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    const { data: campgrounds, error, count } = await query;
+
+    if (error) {
+      console.error('Database error:', error);
+      return NextResponse.json({ error: 'Failed to search campgrounds' }, { status: 500 });
+    }
+
+    const total = count ?? 0;
+
+    return NextResponse.json({
+      campgrounds: campgrounds || [],
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: offset + limit < total,
+      },
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
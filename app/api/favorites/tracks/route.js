@@ -59,6 +59,7 @@ export async function GET(request) {
           activity_type,
           distance_meters,
           duration_seconds,
+          moving_seconds,
           elevation_gain_m,
           status,
           is_public,
@@ -159,6 +160,7 @@ export async function GET(request) {
         activity_type: track.activity_type,
         distance_meters: track.distance_meters,
         duration_seconds: track.duration_seconds,
+        moving_seconds: track.moving_seconds,
         elevation_gain_m: track.elevation_gain_m,
         park_code: track.park_code,
         park_name: park?.full_name,
@@ -0,0 +1,62 @@
+/**
+ * Park Alerts API Route
+ * GET /api/parks/[parkCode]/alerts - Active NPS alerts (closures, dangers, cautions,
+ *   information) for a park, most severe first
+ */
+
+import { NextResponse } from 'next/server';
+import { createServiceClient } from '@/lib/supabase/server';
+import { ALERT_CATEGORIES, sortAlertsBySeverity } from '@/lib/api/nps';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET handler for a park's active alerts
+ *
+ * Query parameters:
+ * - category: Only alerts in this category (closure, danger, caution, information)
+ */
+export async function GET(request, { params }) {
+  try {
+    const { parkCode } = await params;
+
+    if (!parkCode) {
+      return NextResponse.json({ error: 'Park code is required' }, { status: 400 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const category = searchParams.get('category');
+
+    if (category && !ALERT_CATEGORIES.includes(category)) {
+      return NextResponse.json(
+        { error: `Category must be one of: ${ALERT_CATEGORIES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createServiceClient();
+
+    let query = supabase
+      .from('park_alerts')
+      .select('id, park_code, category, title, description, url, last_indexed_at')
+      .eq('park_code', parkCode.toLowerCase())
+      .gt('expires_at', new Date().toISOString());
+
+    if (category) {
+      query = query.eq('category', category);
+    }
+
+    const { data: alerts, error } = await query;
+
+    if (error) {
+      console.error('Error fetching park alerts:', error);
+      return NextResponse.json({ error: 'Failed to fetch park alerts' }, { status: 500 });
+    }
+
+    return NextResponse.json({ alerts: sortAlertsBySeverity(alerts || []) });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Park Campgrounds API Route
+ * GET /api/parks/[parkCode]/campgrounds - NPS campgrounds in a park, with amenities,
+ *   site counts, and reservation links
+ */
+
+import { NextResponse } from 'next/server';
+import { createServiceClient } from '@/lib/supabase/server';
+import {
+  CAMPGROUND_FIELDS,
+  parseCampgroundFilters,
+  applyCampgroundFilters,
+} from '@/lib/campgrounds/campgrounds';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET handler for a park's campgrounds
+ *
+ * Accepts the campground search filters (amenities, reservable, firstCome, rv,
+ * accessible, minSites), except parkCode.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { parkCode } = await params;
+
+    if (!parkCode) {
+      return NextResponse.json({ error: 'Park code is required' }, { status: 400 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const { filters, error: filterError } = parseCampgroundFilters(searchParams);
+
+    if (filterError) {
+      return NextResponse.json({ error: filterError }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+
+    const query = applyCampgroundFilters(supabase.from('campgrounds').select(CAMPGROUND_FIELDS), {
+      ...filters,
+      parkCodes: [parkCode.toLowerCase()],
+    }).order('name', { ascending: true });
+
+    const { data: campgrounds, error } = await query;
+
+    if (error) {
+      console.error('Error fetching campgrounds:', error);
+      return NextResponse.json({ error: 'Failed to fetch campgrounds' }, { status: 500 });
+    }
+
+    return NextResponse.json({ campgrounds: campgrounds || [] });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
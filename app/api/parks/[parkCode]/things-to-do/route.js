@@ -0,0 +1,75 @@
+/**
+ * Park Things To Do API Route
+ * GET /api/parks/[parkCode]/things-to-do - NPS things to do in a park and its
+ *   upcoming events, including ranger programs
+ */
+
+import { NextResponse } from 'next/server';
+import { createServiceClient } from '@/lib/supabase/server';
+import { getThingsToDoByPark, getEventsByPark } from '@/lib/parks/things-to-do';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Days of upcoming events returned when no end date is given
+ */
+const DEFAULT_EVENT_DAYS = 60;
+
+/**
+ * Whether a value is a valid YYYY-MM-DD date
+ * @param {string} value - Date string
+ * @returns {boolean}
+ */
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * GET handler for a park's things to do and events
+ *
+ * Query parameters:
+ * - from: First event date, YYYY-MM-DD (default: today)
+ * - to: Last event date, YYYY-MM-DD (default: 60 days after from)
+ */
+export async function GET(request, { params }) {
+  try {
+    const { parkCode } = await params;
+
+    if (!parkCode) {
+      return NextResponse.json({ error: 'Park code is required' }, { status: 400 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const from = searchParams.get('from') || new Date().toISOString().slice(0, 10);
+    let to = searchParams.get('to');
+
+    if (!isIsoDate(from) || (to && !isIsoDate(to))) {
+      return NextResponse.json({ error: 'from and to must be YYYY-MM-DD' }, { status: 400 });
+    }
+
+    if (!to) {
+      const end = new Date(`${from}T12:00:00Z`);
+      end.setUTCDate(end.getUTCDate() + DEFAULT_EVENT_DAYS);
+      to = end.toISOString().slice(0, 10);
+    }
+
+    if (to < from) {
+      return NextResponse.json({ error: 'to must not be before from' }, { status: 400 });
+    }
+
+    const code = parkCode.toLowerCase();
+    const supabase = createServiceClient();
+
+    const [thingsByPark, eventsByPark] = await Promise.all([
+      getThingsToDoByPark(supabase, [code]),
+      getEventsByPark(supabase, [code], { from, to }),
+    ]);
+
+    return NextResponse.json({
+      thingsToDo: thingsByPark[code] || [],
+      events: eventsByPark[code] || [],
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Park Visitor Centers API Route
+ * GET /api/parks/[parkCode]/visitor-centers - NPS visitor centers in a park, with
+ *   their hours for a date (holiday exceptions applied) and whether they're open now
+ */
+
+import { NextResponse } from 'next/server';
+import { createServiceClient } from '@/lib/supabase/server';
+import { evaluateOperatingHours } from '@/lib/parks/operating-hours';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET handler for a park's visitor centers
+ *
+ * Query parameters:
+ * - date: YYYY-MM-DD to get hours for (default: today in each visitor center's
+ *   time zone). "Open now" status is only included for today.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { parkCode } = await params;
+
+    if (!parkCode) {
+      return NextResponse.json({ error: 'Park code is required' }, { status: 400 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const date = searchParams.get('date');
+
+    if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date)))) {
+      return NextResponse.json({ error: 'date must be YYYY-MM-DD' }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+
+    const { data, error } = await supabase
+      .from('visitor_centers')
+      .select(
+        'id, park_code, name, description, latitude, longitude, url, directions_url, time_zone, operating_hours'
+      )
+      .eq('park_code', parkCode.toLowerCase())
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching visitor centers:', error);
+      return NextResponse.json({ error: 'Failed to fetch visitor centers' }, { status: 500 });
+    }
+
+    const now = new Date();
+    const visitorCenters = (data || []).map(({ operating_hours, ...visitorCenter }) => ({
+      ...visitorCenter,
+      hours: evaluateOperatingHours(operating_hours, {
+        timeZone: visitorCenter.time_zone,
+        date: date || undefined,
+        now,
+      }),
+    }));
+
+    return NextResponse.json({ visitorCenters });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Track Export API Route
+ * GET /api/tracks/[id]/export?format=gpx|kml|geojson - Download a completed track (cleaned;
+ *   &raw=true for as recorded)
+ */
+
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import { fetchAllRows } from '@/lib/supabase/pagination';
+import { exportTrack, isValidExportFormat, EXPORT_FORMATS } from '@/lib/tracking/track-export';
+import { applyCleanedValues } from '@/lib/tracking/track-finalize';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Maximum number of points included in an export
+ */
+const MAX_EXPORT_POINTS = 50000;
+
+/**
+ * Get authenticated user from request
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} User object or null
+ */
+const getAuthenticatedUser = async (request) => {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader?.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.substring(7);
+  const supabase = createServerClient({ useServiceRole: true });
+
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser(token);
+  if (error || !user) {
+    console.error('Auth error:', error?.message);
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * GET handler for exporting a track
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!id) {
+      return NextResponse.json({ error: 'Track ID is required' }, { status: 400 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const format = (searchParams.get('format') || 'gpx').toLowerCase();
+    const raw = searchParams.get('raw') === 'true';
+
+    if (!isValidExportFormat(format)) {
+      return NextResponse.json(
+        { error: `Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    const { data: track, error: trackError } = await supabase
+      .from('user_tracks')
+      .select(
+        'id, user_id, title, description, activity_type, status, is_public, started_at, ended_at'
+      )
+      .eq('id', id)
+      .neq('status', 'deleted')
+      .single();
+
+    if (trackError || !track) {
+      return NextResponse.json({ error: 'Track not found' }, { status: 404 });
+    }
+
+    // Check access - track must be shared publicly or owned by user
+    const user = await getAuthenticatedUser(request);
+    const isOwner = user?.id === track.user_id;
+    const isPublic = track.is_public && track.status === 'shared';
+
+    if (!isOwner && !isPublic) {
+      return NextResponse.json({ error: 'Track not found' }, { status: 404 });
+    }
+
+    if (!['completed', 'shared'].includes(track.status)) {
+      return NextResponse.json(
+        {
+          error: 'Cannot export this track',
+          message: `Track must be completed before exporting. Current status: "${track.status}"`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const { data: rows, error: pointsError } = await fetchAllRows(
+      () => {
+        let query = supabase
+          .from('track_points')
+          .select(
+            'latitude, longitude, altitude_m, clean_latitude, clean_longitude, clean_altitude_m, speed_mps, heading, recorded_at, sequence_num'
+          )
+          .eq('track_id', id);
+
+        // Match the points and stats shown in the app: no fixes cleaning dropped
+        if (!raw) {
+          query = query.eq('is_outlier', false);
+        }
+
+        return query.order('sequence_num', { ascending: true });
+      },
+      { limit: MAX_EXPORT_POINTS }
+    );
+
+    if (pointsError) {
+      console.error('Database error:', pointsError);
+      return NextResponse.json({ error: 'Failed to fetch track points' }, { status: 500 });
+    }
+
+    const points = raw ? rows : (rows || []).map(applyCleanedValues);
+    if (points.length === 0) {
+      return NextResponse.json(
+        {
+          error: 'Cannot export empty track',
+          message: 'Track must have recorded GPS points before exporting.',
+        },
+        { status: 400 }
+      );
+    }
+
+    const { body, contentType, filename } = exportTrack(track, points, format);
+
+    return new NextResponse(body, {
+      status: 200,
+      headers: {
+        'Content-Type': `${contentType}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-cache, no-store, must-revalidate',
+      },
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
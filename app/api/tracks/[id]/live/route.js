@@ -0,0 +1,100 @@
+/**
+ * Track Live View API Route
+ * GET /api/tracks/[id]/live?token=<token> - Public position feed for a track shared with a live
+ *   location link. Pass ?after=<sequenceNum> to get only points recorded since the last poll.
+ */
+
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import { findLiveShare } from '@/lib/tracking/live-share';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Most points returned per poll. One extra row is read to tell whether more
+ * are waiting, and the two together stay within PostgREST's max_rows (1000).
+ */
+const MAX_POINTS_PER_POLL = 999;
+
+/**
+ * GET handler for the live position feed
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+    const token = searchParams.get('token');
+    const after = parseInt(searchParams.get('after') ?? '-1', 10);
+
+    if (!id) {
+      return NextResponse.json({ error: 'Track ID is required' }, { status: 400 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    // The token is the only credential, and stops working when the link expires
+    const link = await findLiveShare(supabase, id, token);
+    if (!link) {
+      return NextResponse.json(
+        { error: 'Live link not found', message: 'This live link has expired or been revoked.' },
+        { status: 404 }
+      );
+    }
+
+    const { data: track, error: trackError } = await supabase
+      .from('user_tracks')
+      .select('id, title, activity_type, status, distance_meters, started_at, ended_at')
+      .eq('id', id)
+      .neq('status', 'deleted')
+      .single();
+
+    if (trackError || !track) {
+      return NextResponse.json({ error: 'Track not found' }, { status: 404 });
+    }
+
+    const { data: rows, error: pointsError } = await supabase
+      .from('track_points')
+      .select('latitude, longitude, altitude_m, sequence_num, segment_num, recorded_at')
+      .eq('track_id', id)
+      .eq('is_outlier', false)
+      .gt('sequence_num', Number.isNaN(after) ? -1 : after)
+      .order('sequence_num', { ascending: true })
+      .range(0, MAX_POINTS_PER_POLL);
+
+    if (pointsError) {
+      console.error('Database error:', pointsError);
+      return NextResponse.json({ error: 'Failed to fetch track points' }, { status: 500 });
+    }
+
+    await supabase
+      .from('track_live_shares')
+      .update({ last_accessed_at: new Date().toISOString() })
+      .eq('track_id', id);
+
+    return NextResponse.json({
+      track: {
+        id: track.id,
+        title: track.title,
+        activityType: track.activity_type,
+        status: track.status,
+        distanceMeters: track.distance_meters ? parseFloat(track.distance_meters) : null,
+        startedAt: track.started_at,
+        endedAt: track.ended_at,
+      },
+      points: rows.slice(0, MAX_POINTS_PER_POLL).map((point) => ({
+        latitude: parseFloat(point.latitude),
+        longitude: parseFloat(point.longitude),
+        altitudeM: point.altitude_m ? parseFloat(point.altitude_m) : null,
+        sequenceNum: point.sequence_num,
+        segmentNum: point.segment_num ?? 0,
+        recordedAt: point.recorded_at,
+      })),
+      hasMore: rows.length > MAX_POINTS_PER_POLL,
+      expiresAt: link.expires_at,
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -1,11 +1,12 @@
 /**
  * Track Points API Route
- * GET /api/tracks/[id]/points - Get all points for a track
+ * GET /api/tracks/[id]/points - Get all points for a track (cleaned; ?raw=true for as recorded)
  * POST /api/tracks/[id]/points - Add GPS points (batch)
  */
 
 import { NextResponse } from 'next/server';
 import { createServerClient } from '@/lib/supabase/client';
+import { applyCleanedValues } from '@/lib/tracking/track-finalize';
 
 // Force dynamic rendering for this route
 export const dynamic = 'force-dynamic';
@@ -94,21 +95,27 @@ export async function GET(request, { params }) {
     const limit = Math.min(parseInt(searchParams.get('limit') || '10000', 10), 50000);
     const offset = parseInt(searchParams.get('offset') || '0', 10);
     const simplified = searchParams.get('simplified') === 'true';
+    const raw = searchParams.get('raw') === 'true';
 
     // Build query
     let query = supabase
       .from('track_points')
       .select(
         simplified
-          ? 'latitude, longitude, altitude_m, speed_mps, recorded_at, sequence_num'
+          ? 'latitude, longitude, altitude_m, clean_latitude, clean_longitude, clean_altitude_m, speed_mps, recorded_at, sequence_num, segment_num'
           : '*',
         { count: 'exact' }
       )
-      .eq('track_id', id)
-      .order('sequence_num', { ascending: true })
-      .range(offset, offset + limit - 1);
+      .eq('track_id', id);
+
+    // Cleaned points leave out the fixes cleaning dropped
+    if (!raw) {
+      query = query.eq('is_outlier', false);
+    }
+
+    query = query.order('sequence_num', { ascending: true }).range(offset, offset + limit - 1);
 
-    const { data: points, error, count } = await query;
+    const { data: rows, error, count } = await query;
 
     if (error) {
       console.error('Database error:', error);
@@ -116,6 +123,7 @@ export async function GET(request, { params }) {
     }
 
     // Transform points
+    const points = raw ? rows : rows.map(applyCleanedValues);
     const transformedPoints = points.map((point) => ({
       id: point.id,
       latitude: parseFloat(point.latitude),
@@ -126,6 +134,7 @@ export async function GET(request, { params }) {
       speedMps: point.speed_mps ? parseFloat(point.speed_mps) : null,
       heading: point.heading ? parseFloat(point.heading) : null,
       sequenceNum: point.sequence_num,
+      segmentNum: point.segment_num ?? 0,
       recordedAt: point.recorded_at,
     }));
 
@@ -223,6 +232,8 @@ export async function POST(request, { params }) {
     // Validate and transform points
     const validPoints = [];
     const errors = [];
+    const seenSequenceNums = new Set();
+    let duplicates = 0;
 
     for (let i = 0; i < points.length; i++) {
       const point = points[i];
@@ -261,6 +272,37 @@ export async function POST(request, { params }) {
         }
       }
 
+      if (point.segmentNum !== undefined && point.segmentNum !== null) {
+        if (!Number.isInteger(point.segmentNum) || point.segmentNum < 0) {
+          errors.push({
+            index: i,
+            error: 'Invalid segment number (must be a non-negative integer)',
+            segmentNum: point.segmentNum,
+          });
+          continue;
+        }
+      }
+
+      if (point.sequenceNum !== undefined && point.sequenceNum !== null) {
+        if (!Number.isInteger(point.sequenceNum) || point.sequenceNum < 0) {
+          errors.push({
+            index: i,
+            error: 'Invalid sequence number (must be a non-negative integer)',
+            sequenceNum: point.sequenceNum,
+          });
+          continue;
+        }
+      }
+
+      // Clients retry batches after lost responses, so a sequence number
+      // already seen in this batch or stored for the track is a resend
+      const sequenceNum = point.sequenceNum ?? nextSequenceNum++;
+      if (seenSequenceNums.has(sequenceNum)) {
+        duplicates++;
+        continue;
+      }
+      seenSequenceNums.add(sequenceNum);
+
       // Build point record
       validPoints.push({
         track_id: id,
@@ -271,7 +313,8 @@ export async function POST(request, { params }) {
         altitude_accuracy_m: point.altitudeAccuracyM ?? null,
         speed_mps: point.speedMps ?? null,
         heading: point.heading ?? null,
-        sequence_num: point.sequenceNum ?? nextSequenceNum++,
+        sequence_num: sequenceNum,
+        segment_num: point.segmentNum ?? 0,
         recorded_at: point.recordedAt || new Date().toISOString(),
       });
     }
@@ -286,10 +329,10 @@ export async function POST(request, { params }) {
       );
     }
 
-    // Insert points
+    // Insert points, skipping sequence numbers the track already has
     const { data: insertedPoints, error: insertError } = await supabase
       .from('track_points')
-      .insert(validPoints)
+      .upsert(validPoints, { onConflict: 'track_id,sequence_num', ignoreDuplicates: true })
       .select('id, sequence_num');
 
     if (insertError) {
@@ -303,9 +346,12 @@ export async function POST(request, { params }) {
       .update({ updated_at: new Date().toISOString() })
       .eq('id', id);
 
+    duplicates += validPoints.length - insertedPoints.length;
+
     return NextResponse.json(
       {
         inserted: insertedPoints.length,
+        duplicates,
         points: insertedPoints.map((p) => ({
           id: p.id,
           sequenceNum: p.sequence_num,
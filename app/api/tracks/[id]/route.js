@@ -1,12 +1,15 @@
 /**
  * Individual Track API Route
  * GET /api/tracks/[id] - Get track details
- * PATCH /api/tracks/[id] - Update track (title, description, status)
+ * PATCH /api/tracks/[id] - Update track (title, description, status, check-in)
  * DELETE /api/tracks/[id] - Delete a track
  */
 
 import { NextResponse } from 'next/server';
 import { createServerClient, createAuthenticatedClient } from '@/lib/supabase/client';
+import { refineTrackStats } from '@/lib/tracking/track-finalize';
+import { updateUserAchievements } from '@/lib/tracking/achievements';
+import { normalizeEmergencyContacts, validateExpectedReturn } from '@/lib/tracking/check-in';
 
 // Force dynamic rendering for this route
 export const dynamic = 'force-dynamic';
@@ -62,6 +65,7 @@ export async function GET(request, { params }) {
         activity_type,
         distance_meters,
         duration_seconds,
+        moving_seconds,
         elevation_gain_m,
         elevation_loss_m,
         avg_speed_mps,
@@ -156,6 +160,7 @@ export async function GET(request, { params }) {
       activityType: track.activity_type,
       distanceMeters: track.distance_meters,
       durationSeconds: track.duration_seconds,
+      movingSeconds: track.moving_seconds,
       elevationGainM: track.elevation_gain_m,
       elevationLossM: track.elevation_loss_m,
       avgSpeedMps: track.avg_speed_mps,
@@ -255,7 +260,7 @@ export async function PATCH(request, { params }) {
 
     // Parse request body
     const body = await request.json();
-    const { title, description, activityType, status } = body;
+    const { title, description, activityType, status, expectedReturnAt, emergencyContacts } = body;
 
     // Build update object
     const updates = {};
@@ -279,6 +284,24 @@ export async function PATCH(request, { params }) {
       updates.activity_type = activityType;
     }
 
+    if (expectedReturnAt !== undefined) {
+      const returnCheck = validateExpectedReturn(expectedReturnAt);
+      if (returnCheck.error) {
+        return NextResponse.json({ error: returnCheck.error }, { status: 400 });
+      }
+      updates.expected_return_at = returnCheck.expectedReturnAt;
+      // A new return time re-arms the overdue alert
+      updates.overdue_alert_sent_at = null;
+    }
+
+    if (emergencyContacts !== undefined) {
+      const contactsCheck = normalizeEmergencyContacts(emergencyContacts);
+      if (contactsCheck.error) {
+        return NextResponse.json({ error: contactsCheck.error }, { status: 400 });
+      }
+      updates.emergency_contacts = contactsCheck.contacts;
+    }
+
     if (status !== undefined) {
       const validStatuses = ['recording', 'paused', 'completed', 'shared', 'deleted'];
       if (!validStatuses.includes(status)) {
@@ -297,7 +320,7 @@ export async function PATCH(request, { params }) {
         const token = authHeader?.substring(7);
         const authClient = createAuthenticatedClient(token);
 
-        const { data: finalizedTrack, error: finalizeError } = await authClient.rpc('finalize_track', {
+        const { data: finalizeResult, error: finalizeError } = await authClient.rpc('finalize_track', {
           p_track_id: id,
         });
 
@@ -307,7 +330,9 @@ export async function PATCH(request, { params }) {
           updates.status = status;
           updates.ended_at = new Date().toISOString();
         } else {
-          // Track was finalized via RPC, return it
+          // Track was finalized via RPC; clean its points and refine the stats, then return it
+          const finalizedTrack = await refineTrackStats(supabase, finalizeResult);
+          await updateUserAchievements(supabase, existingTrack.user_id);
           return NextResponse.json({
             track: {
               id: finalizedTrack.id,
@@ -315,6 +340,7 @@ export async function PATCH(request, { params }) {
               status: finalizedTrack.status,
               distanceMeters: finalizedTrack.distance_meters,
               durationSeconds: finalizedTrack.duration_seconds,
+              movingSeconds: finalizedTrack.moving_seconds,
               elevationGainM: finalizedTrack.elevation_gain_m,
               updatedAt: finalizedTrack.updated_at,
             },
@@ -356,6 +382,11 @@ export async function PATCH(request, { params }) {
       return NextResponse.json({ error: 'Failed to update track' }, { status: 500 });
     }
 
+    // Completing, deleting, or changing the activity of a track can change records
+    if (updates.status !== undefined || updates.activity_type !== undefined) {
+      await updateUserAchievements(supabase, existingTrack.user_id);
+    }
+
     return NextResponse.json({
       track: {
         id: track.id,
@@ -364,6 +395,8 @@ export async function PATCH(request, { params }) {
         activityType: track.activity_type,
         status: track.status,
         isPublic: track.is_public,
+        expectedReturnAt: track.expected_return_at,
+        emergencyContacts: track.emergency_contacts,
         updatedAt: track.updated_at,
       },
       message: 'Track updated successfully',
@@ -423,6 +456,8 @@ export async function DELETE(request, { params }) {
       return NextResponse.json({ error: 'Failed to delete track' }, { status: 500 });
     }
 
+    await updateUserAchievements(supabase, existingTrack.user_id);
+
     return NextResponse.json({
       message: 'Track deleted successfully',
     });
@@ -1,10 +1,24 @@
 /**
  * Track Share API Route
- * POST /api/tracks/[id]/share - Share track to feed
+ * GET /api/tracks/[id]/share - Get the track's live location link, if one is active (owner only)
+ * POST /api/tracks/[id]/share - Share track to feed, or with { live: true } create or replace
+ *   the live location link for a track being recorded
+ * DELETE /api/tracks/[id]/share - Unshare track, or with ?live=true revoke the live location link
  */
 
 import { NextResponse } from 'next/server';
 import { createServerClient } from '@/lib/supabase/client';
+import {
+  DEFAULT_LIVE_SHARE_HOURS,
+  LIVE_SHARE_DURATIONS,
+  LIVE_SHARE_STATUSES,
+  generateLiveShareToken,
+  isValidLiveShareDuration,
+  getLiveShareExpiry,
+  isLiveShareExpired,
+  buildLiveShareUrl,
+} from '@/lib/tracking/live-share';
+import { updateUserAchievements } from '@/lib/tracking/achievements';
 
 // Force dynamic rendering for this route
 export const dynamic = 'force-dynamic';
@@ -36,7 +50,137 @@ const getAuthenticatedUser = async (request) => {
 };
 
 /**
- * POST handler for sharing a track to the feed
+ * Shape a live location link for API responses
+ * @param {Object|null} link - track_live_shares row
+ * @returns {Object} Live link state
+ */
+const formatLiveShare = (link) =>
+  link && !isLiveShareExpired(link)
+    ? {
+        enabled: true,
+        url: buildLiveShareUrl(link.track_id, link.token),
+        createdAt: link.created_at,
+        expiresAt: link.expires_at,
+        lastAccessedAt: link.last_accessed_at || null,
+      }
+    : { enabled: false, url: null, createdAt: null, expiresAt: null, lastAccessedAt: null };
+
+/**
+ * Create or replace the live location link for a track being recorded
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} user - Track owner
+ * @param {Object} track - user_tracks row
+ * @param {number} [expiresInHours] - Link lifetime
+ * @returns {Promise<Response>} Live link state, or an error response
+ */
+const createLiveShare = async (
+  supabase,
+  user,
+  track,
+  expiresInHours = DEFAULT_LIVE_SHARE_HOURS
+) => {
+  if (!LIVE_SHARE_STATUSES.includes(track.status)) {
+    return NextResponse.json(
+      {
+        error: 'Cannot share live location',
+        message: `Live location can only be shared while recording. Current status: "${track.status}"`,
+      },
+      { status: 400 }
+    );
+  }
+
+  if (!isValidLiveShareDuration(expiresInHours)) {
+    return NextResponse.json(
+      {
+        error: 'Invalid link duration',
+        message: `Live links can last ${LIVE_SHARE_DURATIONS.join(', ')} hours.`,
+      },
+      { status: 400 }
+    );
+  }
+
+  const now = new Date();
+  const { data: link, error } = await supabase
+    .from('track_live_shares')
+    .upsert(
+      {
+        track_id: track.id,
+        token: generateLiveShareToken(),
+        created_by: user.id,
+        created_at: now.toISOString(),
+        expires_at: getLiveShareExpiry(expiresInHours, now),
+        last_accessed_at: null,
+      },
+      { onConflict: 'track_id' }
+    )
+    .select('track_id, token, created_at, expires_at, last_accessed_at')
+    .single();
+
+  if (error) {
+    console.error('Database error:', error);
+    return NextResponse.json({ error: 'Failed to create live link' }, { status: 500 });
+  }
+
+  return NextResponse.json(formatLiveShare(link));
+};
+
+/**
+ * GET handler for the track's live location link
+ */
+export async function GET(request, { params }) {
+  try {
+    // Authenticate user
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    if (!id) {
+      return NextResponse.json({ error: 'Track ID is required' }, { status: 400 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    // Verify track ownership
+    const { data: track, error: trackError } = await supabase
+      .from('user_tracks')
+      .select('id, user_id')
+      .eq('id', id)
+      .single();
+
+    if (trackError || !track) {
+      return NextResponse.json({ error: 'Track not found' }, { status: 404 });
+    }
+
+    if (track.user_id !== user.id) {
+      return NextResponse.json(
+        { error: 'Not authorized to view this track\'s live link' },
+        { status: 403 }
+      );
+    }
+
+    const { data: link, error } = await supabase
+      .from('track_live_shares')
+      .select('track_id, token, created_at, expires_at, last_accessed_at')
+      .eq('track_id', id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Database error:', error);
+      return NextResponse.json({ error: 'Failed to fetch live link' }, { status: 500 });
+    }
+
+    return NextResponse.json(formatLiveShare(link));
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST handler for sharing a track to the feed, or creating its live location link
  */
 export async function POST(request, { params }) {
   try {
@@ -52,6 +196,14 @@ export async function POST(request, { params }) {
       return NextResponse.json({ error: 'Track ID is required' }, { status: 400 });
     }
 
+    // Parse optional body: title/description updates, or a live link request
+    let body = {};
+    try {
+      body = await request.json();
+    } catch {
+      // No body provided, that's fine
+    }
+
     const supabase = createServerClient({ useServiceRole: true });
 
     // Verify track ownership and status
@@ -69,6 +221,10 @@ export async function POST(request, { params }) {
       return NextResponse.json({ error: 'Not authorized to share this track' }, { status: 403 });
     }
 
+    if (body.live) {
+      return createLiveShare(supabase, user, track, body.expiresInHours);
+    }
+
     // Only allow sharing completed tracks
     if (track.status !== 'completed') {
       return NextResponse.json(
@@ -107,7 +263,7 @@ export async function POST(request, { params }) {
       );
     }
 
-    // Parse optional body for title/description updates
+    // Apply optional title/description updates
     let updates = {
       status: 'shared',
       is_public: true,
@@ -115,16 +271,11 @@ export async function POST(request, { params }) {
       updated_at: new Date().toISOString(),
     };
 
-    try {
-      const body = await request.json();
-      if (body.title) {
-        updates.title = body.title;
-      }
-      if (body.description !== undefined) {
-        updates.description = body.description;
-      }
-    } catch {
-      // No body provided, that's fine
+    if (body.title) {
+      updates.title = body.title;
+    }
+    if (body.description !== undefined) {
+      updates.description = body.description;
     }
 
     // Update track to shared status
@@ -140,6 +291,9 @@ export async function POST(request, { params }) {
       return NextResponse.json({ error: 'Failed to share track' }, { status: 500 });
     }
 
+    // Shared tracks count toward the public profile
+    await updateUserAchievements(supabase, track.user_id);
+
     return NextResponse.json({
       track: {
         id: updatedTrack.id,
@@ -157,7 +311,8 @@ export async function POST(request, { params }) {
 }
 
 /**
- * DELETE handler for unsharing a track (making it private again)
+ * DELETE handler for unsharing a track (making it private again), or revoking its live
+ * location link
  */
 export async function DELETE(request, { params }) {
   try {
@@ -190,6 +345,17 @@ export async function DELETE(request, { params }) {
       return NextResponse.json({ error: 'Not authorized to unshare this track' }, { status: 403 });
     }
 
+    if (new URL(request.url).searchParams.get('live') === 'true') {
+      const { error } = await supabase.from('track_live_shares').delete().eq('track_id', id);
+
+      if (error) {
+        console.error('Database error:', error);
+        return NextResponse.json({ error: 'Failed to revoke live link' }, { status: 500 });
+      }
+
+      return NextResponse.json({ success: true, message: 'Live link revoked' });
+    }
+
     if (!track.is_public) {
       return NextResponse.json(
         {
@@ -218,6 +384,8 @@ export async function DELETE(request, { params }) {
       return NextResponse.json({ error: 'Failed to unshare track' }, { status: 500 });
     }
 
+    await updateUserAchievements(supabase, track.user_id);
+
     return NextResponse.json({
       track: {
         id: updatedTrack.id,
@@ -0,0 +1,62 @@
+/**
+ * Track Achievements API Route
+ * GET /api/tracks/achievements - The signed-in user's personal records, badges, and monthly
+ *   totals
+ */
+
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import { getUserAchievements } from '@/lib/tracking/achievements';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Get authenticated user from request
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} User object or null
+ */
+const getAuthenticatedUser = async (request) => {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader?.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.substring(7);
+  const supabase = createServerClient({ useServiceRole: true });
+
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser(token);
+  if (error || !user) {
+    console.error('Auth error:', error?.message);
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * GET handler for the user's achievements
+ */
+export async function GET(request) {
+  try {
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+    const achievements = await getUserAchievements(supabase, user.id);
+
+    if (!achievements) {
+      return NextResponse.json({ error: 'Failed to load achievements' }, { status: 500 });
+    }
+
+    return NextResponse.json({ achievements });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
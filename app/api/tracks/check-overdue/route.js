@@ -0,0 +1,51 @@
+/**
+ * Overdue Track Check API Route
+ * POST /api/tracks/check-overdue - Email the emergency contacts of tracks that are past their
+ *   expected return time. Called by pg_cron every 5 minutes with the service role key
+ *   (scheduled in supabase/migrations/20240101000066_check_overdue_schedule.sql).
+ */
+
+import { timingSafeEqual } from 'node:crypto';
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import { createMailer } from '@/lib/email/mailer';
+import { sendOverdueAlerts } from '@/lib/tracking/check-in';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Check the request carries the service role key
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True if authorized
+ */
+const isAuthorized = (request) => {
+  const expected = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const authHeader = request.headers.get('authorization');
+  if (!expected || !authHeader?.startsWith('Bearer ')) {
+    return false;
+  }
+
+  const given = Buffer.from(authHeader.substring(7));
+  const wanted = Buffer.from(expected);
+  return given.length === wanted.length && timingSafeEqual(given, wanted);
+};
+
+/**
+ * POST handler for the overdue check
+ */
+export async function POST(request) {
+  try {
+    if (!isAuthorized(request)) {
+      return NextResponse.json({ error: 'Not authorized' }, { status: 401 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+    const summary = await sendOverdueAlerts(supabase, createMailer());
+
+    return NextResponse.json(summary);
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
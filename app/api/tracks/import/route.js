@@ -0,0 +1,329 @@
+/**
+ * Track Import API Route
+ * POST /api/tracks/import - Import a GPX or FIT file as a completed track (pro users only)
+ */
+
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import {
+  calculateTrackStats,
+  calculateFastestSplit,
+  buildGeoJSON,
+} from '@/lib/tracking/track-stats';
+import { getDominantActivity, ACTIVITY_TYPES } from '@/lib/tracking/activity-detection';
+import {
+  MAX_IMPORT_FILE_SIZE,
+  MAX_IMPORT_POINTS,
+  parseTrackFile,
+  fillMissingSpeeds,
+  matchNearestTrail,
+} from '@/lib/tracking/track-import';
+import { updateUserAchievements } from '@/lib/tracking/achievements';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Number of track points inserted per request
+ */
+const POINT_BATCH_SIZE = 1000;
+
+/**
+ * Search radius for matching the nearest park (meters)
+ */
+const PARK_MATCH_RADIUS_M = 50000;
+
+/**
+ * Search radius for candidate trails around the track (meters)
+ */
+const TRAIL_MATCH_RADIUS_M = 2000;
+
+/**
+ * Get authenticated user from request
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} User object or null
+ */
+const getAuthenticatedUser = async (request) => {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader?.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.substring(7);
+  const supabase = createServerClient({ useServiceRole: true });
+
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser(token);
+  if (error || !user) {
+    console.error('Auth error:', error?.message);
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Check if user has pro subscription
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if user is pro
+ */
+const isUserPro = async (supabase, userId) => {
+  const { data: profile, error } = await supabase
+    .from('profiles')
+    .select('is_pro')
+    .eq('id', userId)
+    .single();
+
+  if (error) {
+    console.error('Error checking pro status:', error);
+    return false;
+  }
+
+  return profile?.is_pro === true;
+};
+
+/**
+ * Find the nearest NPS or local park to the track center
+ * @param {Object} supabase - Supabase client
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Promise<Object>} Park association columns
+ */
+const matchNearestPark = async (supabase, lat, lng) => {
+  const { data: parks, error } = await supabase.rpc('find_nearby_parks', {
+    user_lat: lat,
+    user_lng: lng,
+    radius_meters: PARK_MATCH_RADIUS_M,
+    max_results: 5,
+  });
+
+  if (error) {
+    console.warn('Park matching failed:', error.message);
+    return {};
+  }
+
+  const park = (parks || []).find((p) => p.source === 'nps' || p.source === 'local');
+  if (!park) {
+    return {};
+  }
+
+  return park.source === 'nps'
+    ? { park_id: park.id, park_code: park.park_code || null }
+    : { local_park_id: park.id };
+};
+
+/**
+ * Find the trail the track follows, if any
+ * @param {Object} supabase - Supabase client
+ * @param {Array<Object>} points - Track points
+ * @param {number} lat - Latitude of the track center
+ * @param {number} lng - Longitude of the track center
+ * @returns {Promise<Object|null>} Matched trail or null
+ */
+const matchTrail = async (supabase, points, lat, lng) => {
+  const { data: trails, error } = await supabase.rpc('find_nearby_trails', {
+    lat,
+    lng,
+    radius_meters: TRAIL_MATCH_RADIUS_M,
+    limit_count: 20,
+  });
+
+  if (error) {
+    console.warn('Trail matching failed:', error.message);
+    return null;
+  }
+
+  return matchNearestTrail(points, trails || []);
+};
+
+/**
+ * POST handler for importing a track file
+ * Expects multipart/form-data with `file` and optional `title`, `description`, `activityType`
+ */
+export async function POST(request) {
+  try {
+    // Authenticate user
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    // Check if user is pro
+    const isPro = await isUserPro(supabase, user.id);
+    if (!isPro) {
+      return NextResponse.json(
+        {
+          error: 'Pro subscription required',
+          code: 'PRO_REQUIRED',
+          message: 'Track import is only available for Pro users. Upgrade to unlock this feature.',
+        },
+        { status: 403 }
+      );
+    }
+
+    const formData = await request.formData();
+    const file = formData.get('file');
+    const title = formData.get('title');
+    const description = formData.get('description');
+    const activityTypeOverride = formData.get('activityType');
+
+    if (!file || typeof file === 'string') {
+      return NextResponse.json({ error: 'No file provided' }, { status: 400 });
+    }
+
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+      return NextResponse.json(
+        { error: `File too large. Maximum size is ${MAX_IMPORT_FILE_SIZE / 1024 / 1024}MB` },
+        { status: 400 }
+      );
+    }
+
+    const validActivityTypes = ['walking', 'hiking', 'biking', 'driving'];
+    if (activityTypeOverride && !validActivityTypes.includes(activityTypeOverride)) {
+      return NextResponse.json(
+        { error: `Invalid activityType. Must be one of: ${validActivityTypes.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+
+    let parsed;
+    try {
+      parsed = parseTrackFile(file.name, bytes);
+    } catch (parseError) {
+      return NextResponse.json({ error: parseError.message }, { status: 400 });
+    }
+
+    if (parsed.points.length < 2) {
+      return NextResponse.json(
+        { error: 'File does not contain enough GPS points to create a track' },
+        { status: 400 }
+      );
+    }
+
+    if (parsed.points.length > MAX_IMPORT_POINTS) {
+      return NextResponse.json(
+        { error: `Too many points. Maximum is ${MAX_IMPORT_POINTS} per track` },
+        { status: 400 }
+      );
+    }
+
+    const points = fillMissingSpeeds(parsed.points);
+    const stats = calculateTrackStats(points);
+    const centerLat = (stats.minLat + stats.maxLat) / 2;
+    const centerLng = (stats.minLng + stats.maxLng) / 2;
+
+    const [parkAssociation, trail] = await Promise.all([
+      matchNearestPark(supabase, centerLat, centerLng),
+      matchTrail(supabase, points, centerLat, centerLng),
+    ]);
+
+    // Walking along a known trail is a hike
+    let activityType = activityTypeOverride || getDominantActivity(points);
+    if (!activityTypeOverride && trail && activityType === ACTIVITY_TYPES.WALKING) {
+      activityType = ACTIVITY_TYPES.HIKING;
+    }
+
+    const startedAt = points.find((p) => p.recordedAt)?.recordedAt || new Date().toISOString();
+    const endedAt = points.findLast((p) => p.recordedAt)?.recordedAt || startedAt;
+
+    // Create the track
+    const { data: track, error: trackError } = await supabase
+      .from('user_tracks')
+      .insert({
+        user_id: user.id,
+        title: title || parsed.name || null,
+        description: description || parsed.description || null,
+        activity_type: activityType,
+        ...parkAssociation,
+        trail_id: trail?.id || null,
+        distance_meters: stats.distanceMeters,
+        duration_seconds: stats.durationSeconds,
+        moving_seconds: stats.movingSeconds,
+        elevation_gain_m: stats.elevationGainM,
+        elevation_loss_m: stats.elevationLossM,
+        avg_speed_mps: stats.avgSpeedMps,
+        max_speed_mps: stats.maxSpeedMps,
+        min_elevation_m: stats.minElevationM,
+        max_elevation_m: stats.maxElevationM,
+        fastest_mile_seconds: calculateFastestSplit(points),
+        min_lat: stats.minLat,
+        max_lat: stats.maxLat,
+        min_lng: stats.minLng,
+        max_lng: stats.maxLng,
+        geometry: buildGeoJSON(points),
+        status: 'completed',
+        started_at: startedAt,
+        ended_at: endedAt,
+      })
+      .select()
+      .single();
+
+    if (trackError) {
+      console.error('Database error:', trackError);
+      return NextResponse.json({ error: 'Failed to create track' }, { status: 500 });
+    }
+
+    // Insert points in batches
+    for (let i = 0; i < points.length; i += POINT_BATCH_SIZE) {
+      const batch = points.slice(i, i + POINT_BATCH_SIZE).map((point, index) => ({
+        track_id: track.id,
+        latitude: point.latitude,
+        longitude: point.longitude,
+        altitude_m: point.altitudeM,
+        speed_mps: point.speedMps,
+        heading: point.heading,
+        recorded_at: point.recordedAt || startedAt,
+        sequence_num: i + index,
+      }));
+
+      const { error: pointsError } = await supabase.from('track_points').insert(batch);
+
+      if (pointsError) {
+        console.error('Database error:', pointsError);
+        // Don't leave a half-imported track behind
+        await supabase.from('user_tracks').delete().eq('id', track.id);
+        return NextResponse.json({ error: 'Failed to save track points' }, { status: 500 });
+      }
+    }
+
+    await updateUserAchievements(supabase, user.id);
+
+    return NextResponse.json(
+      {
+        track: {
+          id: track.id,
+          title: track.title,
+          description: track.description,
+          activityType: track.activity_type,
+          status: track.status,
+          parkId: track.park_id,
+          parkCode: track.park_code,
+          localParkId: track.local_park_id,
+          trailId: track.trail_id,
+          distanceMeters: track.distance_meters,
+          durationSeconds: track.duration_seconds,
+          movingSeconds: track.moving_seconds,
+          elevationGainM: track.elevation_gain_m,
+          startedAt: track.started_at,
+          endedAt: track.ended_at,
+          createdAt: track.created_at,
+        },
+        format: parsed.format,
+        pointCount: points.length,
+        matchedTrail: trail ? { id: trail.id, name: trail.name, slug: trail.slug } : null,
+        message: 'Track imported successfully',
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
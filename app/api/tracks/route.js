@@ -6,6 +6,7 @@
 
 import { NextResponse } from 'next/server';
 import { createServerClient } from '@/lib/supabase/client';
+import { normalizeEmergencyContacts, validateExpectedReturn } from '@/lib/tracking/check-in';
 
 // Force dynamic rendering for this route
 export const dynamic = 'force-dynamic';
@@ -107,6 +108,7 @@ export async function GET(request) {
         activity_type,
         distance_meters,
         duration_seconds,
+        moving_seconds,
         elevation_gain_m,
         elevation_loss_m,
         avg_speed_mps,
@@ -201,6 +203,7 @@ export async function GET(request) {
       activityType: track.activity_type,
       distanceMeters: track.distance_meters,
       durationSeconds: track.duration_seconds,
+      movingSeconds: track.moving_seconds,
       elevationGainM: track.elevation_gain_m,
       elevationLossM: track.elevation_loss_m,
       avgSpeedMps: track.avg_speed_mps,
@@ -297,6 +300,8 @@ export async function POST(request) {
       parkCode,
       trailId,
       localParkId,
+      expectedReturnAt,
+      emergencyContacts,
     } = body;
 
     // Validate activity type
@@ -319,6 +324,22 @@ export async function POST(request) {
       );
     }
 
+    // Validate the check-in: contacts are emailed if the track is still going after this time
+    const returnCheck = validateExpectedReturn(expectedReturnAt);
+    if (returnCheck.error) {
+      return NextResponse.json({ error: returnCheck.error }, { status: 400 });
+    }
+    const contactsCheck = normalizeEmergencyContacts(emergencyContacts);
+    if (contactsCheck.error) {
+      return NextResponse.json({ error: contactsCheck.error }, { status: 400 });
+    }
+    if (returnCheck.expectedReturnAt && contactsCheck.contacts.length === 0) {
+      return NextResponse.json(
+        { error: 'Add an emergency contact to alert if you are overdue' },
+        { status: 400 }
+      );
+    }
+
     // Validate parkId exists in nps_parks table if provided
     let validatedParkId = null;
     if (parkId) {
@@ -350,6 +371,8 @@ export async function POST(request) {
         local_park_id: localParkId || null,
         status: 'recording',
         started_at: new Date().toISOString(),
+        expected_return_at: returnCheck.expectedReturnAt,
+        emergency_contacts: contactsCheck.contacts,
       })
       .select()
       .single();
@@ -369,6 +392,8 @@ export async function POST(request) {
           status: track.status,
           startedAt: track.started_at,
           createdAt: track.created_at,
+          expectedReturnAt: track.expected_return_at,
+          emergencyContacts: track.emergency_contacts,
         },
         message: 'Track created successfully. Start recording GPS points.',
       },
@@ -0,0 +1,161 @@
+/**
+ * Trip Budget API Route
+ * GET /api/trips/[id]/budget - Estimated fuel, entrance fee, and lodging costs per day (owner and members)
+ * PATCH /api/trips/[id]/budget - Save the trip's fuel price and vehicle MPG (owner and editors)
+ */
+
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import { getTripRole, canEditTrip } from '@/lib/trips/trip-access';
+import {
+  fetchTripBudgetDays,
+  calculateTripBudget,
+  validateBudgetSettings,
+} from '@/lib/trips/trip-budget';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Get authenticated user from request
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} User object or null
+ */
+const getAuthenticatedUser = async (request) => {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader?.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.substring(7);
+  const supabase = createServerClient({ useServiceRole: true });
+
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser(token);
+  if (error || !user) {
+    console.error('Auth error:', error?.message);
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Validate UUID format
+ * @param {string} id - ID to validate
+ * @returns {boolean} True if valid UUID
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * GET handler for the trip budget
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!id || !isValidUUID(id)) {
+      return NextResponse.json({ error: 'Invalid trip ID' }, { status: 400 });
+    }
+
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    const { data: trip, error } = await supabase
+      .from('trips')
+      .select(
+        `
+        id,
+        user_id,
+        origin,
+        origin_lat,
+        origin_lng,
+        start_date,
+        end_date,
+        fuel_price_per_gallon,
+        vehicle_mpg,
+        trip_stops (id, park_code, day_number, order_index)
+      `
+      )
+      .eq('id', id)
+      .single();
+
+    const role = await getTripRole(supabase, trip, user.id);
+    if (error || !trip || !role) {
+      return NextResponse.json({ error: 'Trip not found' }, { status: 404 });
+    }
+
+    const { days, routed } = await fetchTripBudgetDays(supabase, trip);
+    const budget = calculateTripBudget(days, {
+      fuelPrice: trip.fuel_price_per_gallon,
+      mpg: trip.vehicle_mpg,
+    });
+
+    return NextResponse.json({ ...budget, routed, canEdit: canEditTrip(role) });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH handler for saving budget settings
+ * Body: { fuelPrice: number, mpg: number }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!id || !isValidUUID(id)) {
+      return NextResponse.json({ error: 'Invalid trip ID' }, { status: 400 });
+    }
+
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const validationError = validateBudgetSettings(body);
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    const { data: trip } = await supabase.from('trips').select('id, user_id').eq('id', id).single();
+
+    const role = await getTripRole(supabase, trip, user.id);
+    if (!trip || !role) {
+      return NextResponse.json({ error: 'Trip not found' }, { status: 404 });
+    }
+
+    if (!canEditTrip(role)) {
+      return NextResponse.json({ error: 'Not authorized to edit this trip' }, { status: 403 });
+    }
+
+    const { error } = await supabase
+      .from('trips')
+      .update({ fuel_price_per_gallon: body.fuelPrice, vehicle_mpg: body.mpg })
+      .eq('id', id);
+
+    if (error) {
+      console.error('Update error:', error);
+      return NextResponse.json({ error: 'Failed to save budget settings' }, { status: 500 });
+    }
+
+    return NextResponse.json({ settings: { fuelPrice: body.fuelPrice, mpg: body.mpg } });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
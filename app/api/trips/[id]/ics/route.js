@@ -0,0 +1,126 @@
+/**
+ * Trip Calendar Export API Route
+ * GET /api/trips/[id]/ics - Download a trip as an iCalendar (.ics) file, one event per day
+ */
+
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import { fetchParkLocations } from '@/lib/trips/trip-routing';
+import { getTripRole } from '@/lib/trips/trip-access';
+import { generateTripCalendar, getCalendarFilename } from '@/lib/trips/trip-calendar';
+import { SITE_URL } from '@/lib/seo/canonical';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Validate UUID format
+ * @param {string} id - ID to validate
+ * @returns {boolean} True if valid UUID
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Get authenticated user from request
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} User object or null
+ */
+const getAuthenticatedUser = async (request) => {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader?.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.substring(7);
+  const supabase = createServerClient({ useServiceRole: true });
+
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser(token);
+  if (error || !user) {
+    console.error('Auth error:', error?.message);
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * GET handler for trip calendar export
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!id || !isValidUUID(id)) {
+      return NextResponse.json({ error: 'Invalid trip ID' }, { status: 400 });
+    }
+
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    const { data: trip, error } = await supabase
+      .from('trips')
+      .select(
+        `
+        id,
+        user_id,
+        title,
+        start_date,
+        end_date,
+        created_at,
+        updated_at,
+        trip_stops (
+          id,
+          park_code,
+          day_number,
+          order_index,
+          morning_plan,
+          afternoon_plan,
+          evening_plan,
+          driving_notes,
+          highlights,
+          notes
+        )
+      `
+      )
+      .eq('id', id)
+      .single();
+
+    if (error || !trip) {
+      return NextResponse.json({ error: 'Trip not found' }, { status: 404 });
+    }
+
+    if (!(await getTripRole(supabase, trip, user.id))) {
+      return NextResponse.json({ error: 'Not authorized to view this trip' }, { status: 403 });
+    }
+
+    const parks = await fetchParkLocations(
+      supabase,
+      (trip.trip_stops || []).map((s) => s.park_code)
+    );
+    const calendar = generateTripCalendar([trip], parks, {
+      name: trip.title,
+      baseUrl: SITE_URL,
+    });
+
+    return new Response(calendar, {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${getCalendarFilename(trip.title)}"`,
+        'Cache-Control': 'no-store',
+      },
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
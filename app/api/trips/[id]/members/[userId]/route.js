@@ -0,0 +1,193 @@
+/**
+ * Single Trip Member API Route
+ * PATCH /api/trips/[id]/members/[userId] - Change a member's role (owner only)
+ * DELETE /api/trips/[id]/members/[userId] - Remove a member (owner) or leave the trip (member)
+ */
+
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import {
+  getTripRole,
+  canManageTrip,
+  isValidMemberRole,
+  formatTripMember,
+  MEMBER_ROLES,
+} from '@/lib/trips/trip-access';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Get authenticated user from request
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} User object or null
+ */
+const getAuthenticatedUser = async (request) => {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader?.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.substring(7);
+  const supabase = createServerClient({ useServiceRole: true });
+
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser(token);
+  if (error || !user) {
+    console.error('Auth error:', error?.message);
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Validate UUID format
+ * @param {string} id - ID to validate
+ * @returns {boolean} True if valid UUID
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Load a trip and the requesting user's role on it
+ * @param {Object} supabase - Supabase client
+ * @param {string} tripId - Trip ID
+ * @param {string} userId - Authenticated user ID
+ * @returns {Promise<{trip: Object|null, role: string|null}>} Trip and role
+ */
+const getTripWithRole = async (supabase, tripId, userId) => {
+  const { data: trip } = await supabase
+    .from('trips')
+    .select('id, user_id')
+    .eq('id', tripId)
+    .single();
+
+  return { trip, role: await getTripRole(supabase, trip, userId) };
+};
+
+/**
+ * PATCH handler for changing a member's role
+ * Body: { role: 'editor' | 'viewer' }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { id, userId } = await params;
+
+    if (!id || !isValidUUID(id) || !userId || !isValidUUID(userId)) {
+      return NextResponse.json({ error: 'Invalid trip or user ID' }, { status: 400 });
+    }
+
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    if (!isValidMemberRole(body.role)) {
+      return NextResponse.json(
+        { error: `Role must be one of: ${MEMBER_ROLES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    const { trip, role } = await getTripWithRole(supabase, id, user.id);
+    if (!trip || !role) {
+      return NextResponse.json({ error: 'Trip not found' }, { status: 404 });
+    }
+
+    if (!canManageTrip(role)) {
+      return NextResponse.json(
+        { error: 'Only the trip owner can change member roles' },
+        { status: 403 }
+      );
+    }
+
+    const { data: member, error } = await supabase
+      .from('trip_members')
+      .update({ role: body.role })
+      .eq('trip_id', id)
+      .eq('user_id', userId)
+      .select('user_id, role, created_at, profiles (username, display_name, avatar_url)')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Update error:', error);
+      return NextResponse.json({ error: 'Failed to update member' }, { status: 500 });
+    }
+
+    if (!member) {
+      return NextResponse.json({ error: 'Member not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ member: formatTripMember(member) });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE handler for removing a member or leaving a trip
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id, userId } = await params;
+
+    if (!id || !isValidUUID(id) || !userId || !isValidUUID(userId)) {
+      return NextResponse.json({ error: 'Invalid trip or user ID' }, { status: 400 });
+    }
+
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    const { trip, role } = await getTripWithRole(supabase, id, user.id);
+    if (!trip || !role) {
+      return NextResponse.json({ error: 'Trip not found' }, { status: 404 });
+    }
+
+    const isLeaving = userId === user.id;
+    if (!isLeaving && !canManageTrip(role)) {
+      return NextResponse.json(
+        { error: 'Only the trip owner can remove members' },
+        { status: 403 }
+      );
+    }
+
+    if (isLeaving && canManageTrip(role)) {
+      return NextResponse.json(
+        { error: 'The trip owner cannot leave; delete the trip instead' },
+        { status: 400 }
+      );
+    }
+
+    const { error } = await supabase
+      .from('trip_members')
+      .delete()
+      .eq('trip_id', id)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Delete error:', error);
+      return NextResponse.json({ error: 'Failed to remove member' }, { status: 500 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: isLeaving ? 'You left the trip' : 'Member removed',
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
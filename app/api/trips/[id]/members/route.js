@@ -0,0 +1,222 @@
+/**
+ * Trip Members API Route
+ * GET /api/trips/[id]/members - List the owner and invited members of a trip
+ * POST /api/trips/[id]/members - Invite a user by username as an editor or viewer (owner only)
+ */
+
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import {
+  getTripRole,
+  canManageTrip,
+  isValidMemberRole,
+  formatTripMember,
+  MEMBER_ROLES,
+} from '@/lib/trips/trip-access';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Username format enforced by the profile API
+ */
+const USERNAME_REGEX = /^[a-z0-9_]{3,50}$/;
+
+/**
+ * Get authenticated user from request
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} User object or null
+ */
+const getAuthenticatedUser = async (request) => {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader?.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.substring(7);
+  const supabase = createServerClient({ useServiceRole: true });
+
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser(token);
+  if (error || !user) {
+    console.error('Auth error:', error?.message);
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Validate UUID format
+ * @param {string} id - ID to validate
+ * @returns {boolean} True if valid UUID
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * GET handler for listing trip members
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!id || !isValidUUID(id)) {
+      return NextResponse.json({ error: 'Invalid trip ID' }, { status: 400 });
+    }
+
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    const { data: trip, error: fetchError } = await supabase
+      .from('trips')
+      .select('id, user_id')
+      .eq('id', id)
+      .single();
+
+    const role = await getTripRole(supabase, trip, user.id);
+    if (fetchError || !trip || !role) {
+      return NextResponse.json({ error: 'Trip not found' }, { status: 404 });
+    }
+
+    const [{ data: owner }, { data: members, error: membersError }] = await Promise.all([
+      supabase
+        .from('profiles')
+        .select('id, username, display_name, avatar_url')
+        .eq('id', trip.user_id)
+        .maybeSingle(),
+      supabase
+        .from('trip_members')
+        .select('user_id, role, created_at, profiles (username, display_name, avatar_url)')
+        .eq('trip_id', id)
+        .order('created_at', { ascending: true }),
+    ]);
+
+    if (membersError) {
+      console.error('Database error:', membersError);
+      return NextResponse.json({ error: 'Failed to fetch members' }, { status: 500 });
+    }
+
+    return NextResponse.json({
+      role,
+      owner: formatTripMember({ user_id: trip.user_id, role: 'owner', profiles: owner }),
+      members: (members || []).map(formatTripMember),
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST handler for inviting a member
+ * Body: { username: string, role?: 'editor' | 'viewer' }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!id || !isValidUUID(id)) {
+      return NextResponse.json({ error: 'Invalid trip ID' }, { status: 400 });
+    }
+
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const username = String(body.username || '')
+      .trim()
+      .replace(/^@/, '')
+      .toLowerCase();
+    const role = body.role || 'viewer';
+
+    if (!USERNAME_REGEX.test(username)) {
+      return NextResponse.json({ error: 'A valid username is required' }, { status: 400 });
+    }
+
+    if (!isValidMemberRole(role)) {
+      return NextResponse.json(
+        { error: `Role must be one of: ${MEMBER_ROLES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    const { data: trip, error: fetchError } = await supabase
+      .from('trips')
+      .select('id, user_id')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !trip) {
+      return NextResponse.json({ error: 'Trip not found' }, { status: 404 });
+    }
+
+    if (!canManageTrip(await getTripRole(supabase, trip, user.id))) {
+      return NextResponse.json(
+        { error: 'Only the trip owner can invite members' },
+        { status: 403 }
+      );
+    }
+
+    // Same case-insensitive username lookup as the user profile API;
+    // underscores are escaped so they don't act as ILIKE wildcards
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('id, username, display_name, avatar_url')
+      .ilike('username', username.replace(/_/g, '\\_'))
+      .single();
+
+    if (!profile) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    if (profile.id === trip.user_id) {
+      return NextResponse.json(
+        { error: 'The trip owner is already on this trip' },
+        { status: 400 }
+      );
+    }
+
+    const { data: member, error: insertError } = await supabase
+      .from('trip_members')
+      .insert({
+        trip_id: id,
+        user_id: profile.id,
+        role,
+        invited_by: user.id,
+      })
+      .select('user_id, role, created_at')
+      .single();
+
+    if (insertError) {
+      if (insertError.code === '23505') {
+        return NextResponse.json(
+          { error: 'User is already a member of this trip' },
+          { status: 409 }
+        );
+      }
+      console.error('Insert error:', insertError);
+      return NextResponse.json({ error: 'Failed to invite member' }, { status: 500 });
+    }
+
+    return NextResponse.json(
+      { member: formatTripMember({ ...member, profiles: profile }) },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
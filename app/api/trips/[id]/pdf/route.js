@@ -7,6 +7,8 @@ import { NextResponse } from 'next/server';
 import { createServerClient } from '@/lib/supabase/client';
 import { generateTripPdf } from '@/lib/pdf/trip-pdf-generator.js';
 import { isUserProFromDb } from '@/lib/subscription/pro-status';
+import { getTripRole } from '@/lib/trips/trip-access';
+import { fetchTripBudgetDays, calculateTripBudget } from '@/lib/trips/trip-budget';
 
 // Force dynamic rendering for this route
 export const dynamic = 'force-dynamic';
@@ -53,9 +55,10 @@ const getAuthenticatedUser = async (request) => {
  * Transform database trip to API format
  * @param {Object} trip - Database trip object
  * @param {Array} routeCoordinates - Optional route coordinates
+ * @param {Object|null} costEstimate - Optional budget from calculateTripBudget
  * @returns {Object} Transformed trip
  */
-const transformTrip = (trip, routeCoordinates = []) => {
+const transformTrip = (trip, routeCoordinates = [], costEstimate = null) => {
   return {
     id: trip.id,
     title: trip.title,
@@ -74,6 +77,7 @@ const transformTrip = (trip, routeCoordinates = []) => {
     safetyNotes: trip.ai_summary?.safety_notes || [],
     bestPhotoSpots: trip.ai_summary?.best_photo_spots || [],
     estimatedBudget: trip.ai_summary?.estimated_budget || null,
+    costEstimate,
     routeCoordinates,
     stops: (trip.trip_stops || [])
       .sort((a, b) => {
@@ -200,6 +204,8 @@ export async function GET(request, { params }) {
         difficulty,
         radius_miles,
         ai_summary,
+        fuel_price_per_gallon,
+        vehicle_mpg,
         created_at,
         updated_at,
         trip_stops (
@@ -218,7 +224,6 @@ export async function GET(request, { params }) {
       `
       )
       .eq('id', id)
-      .eq('user_id', user.id)
       .single();
 
     if (tripError) {
@@ -229,7 +234,8 @@ export async function GET(request, { params }) {
       return NextResponse.json({ error: 'Failed to fetch trip' }, { status: 500 });
     }
 
-    if (!trip) {
+    // Members can export shared trips; everyone else sees a missing trip
+    if (!trip || !(await getTripRole(supabase, trip, user.id))) {
       return NextResponse.json({ error: 'Trip not found' }, { status: 404 });
     }
 
@@ -316,8 +322,15 @@ export async function GET(request, { params }) {
         : null;
     const routeCoordinates = await fetchRouteCoordinates(origin, trip.trip_stops);
 
+    // Estimate costs with the trip's fuel settings
+    const { days: budgetDays } = await fetchTripBudgetDays(supabase, trip);
+    const costEstimate = calculateTripBudget(budgetDays, {
+      fuelPrice: trip.fuel_price_per_gallon,
+      mpg: trip.vehicle_mpg,
+    });
+
     // Transform trip data
-    const transformedTrip = transformTrip(trip, routeCoordinates);
+    const transformedTrip = transformTrip(trip, routeCoordinates, costEstimate);
 
     // Generate PDF
     const { buffer, filename } = await generateTripPdf(transformedTrip);
@@ -0,0 +1,69 @@
+/**
+ * Trip Preview Image API Route
+ * GET /api/trips/[id]/preview?share=<token> - Map image of a shared trip's route for link previews
+ *
+ * Used as the Open Graph image of shared trip pages, so it is authorized by
+ * the share token alone; crawlers fetching link previews never sign in.
+ */
+
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import { fetchParkLocations } from '@/lib/trips/trip-routing';
+import { findShareLink, buildTripPreviewPoints, PREVIEW_IMAGE_SIZE } from '@/lib/trips/trip-share';
+import { generateStaticMap } from '@/lib/map/static-map-generator';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET handler for the preview image
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const token = new URL(request.url).searchParams.get('share');
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    // Unknown trips and wrong or revoked tokens look the same
+    const link = await findShareLink(supabase, id, token);
+    if (!link) {
+      return NextResponse.json({ error: 'Trip not found' }, { status: 404 });
+    }
+
+    const { data: trip, error } = await supabase
+      .from('trips')
+      .select('id, origin_lat, origin_lng, trip_stops (park_code, day_number, order_index)')
+      .eq('id', id)
+      .single();
+
+    if (error || !trip) {
+      return NextResponse.json({ error: 'Trip not found' }, { status: 404 });
+    }
+
+    const parks = await fetchParkLocations(
+      supabase,
+      (trip.trip_stops || []).map((stop) => stop.park_code)
+    );
+
+    const image = await generateStaticMap({
+      points: buildTripPreviewPoints(trip, parks),
+      ...PREVIEW_IMAGE_SIZE,
+    });
+
+    if (!image) {
+      return NextResponse.json({ error: 'Preview not available' }, { status: 404 });
+    }
+
+    return new Response(image, {
+      headers: {
+        'Content-Type': 'image/png',
+        // Not cached, so revoking the link takes the preview down right away
+        'Cache-Control': 'private, no-store',
+      },
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
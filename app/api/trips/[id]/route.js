@@ -1,11 +1,17 @@
 /**
  * Single Trip API Route
- * GET /api/trips/[id] - Fetch a single trip with full details
- * DELETE /api/trips/[id] - Delete a trip
+ * GET /api/trips/[id] - Fetch a single trip with full details (owner and members,
+ *   or anyone with ?share=<token> for a read-only view)
+ * PATCH /api/trips/[id] - Rename a trip and/or move stops between days (owner and editors)
+ * DELETE /api/trips/[id] - Delete a trip (owner only)
  */
 
 import { NextResponse } from 'next/server';
 import { createServerClient } from '@/lib/supabase/client';
+import { getTripDayCount, isValidDayNumber } from '@/lib/trips/trip-editor';
+import { refreshTripDrivingNotes } from '@/lib/trips/trip-routing';
+import { getTripRole, canEditTrip } from '@/lib/trips/trip-access';
+import { findShareLink } from '@/lib/trips/trip-share';
 
 // Force dynamic rendering for this route
 export const dynamic = 'force-dynamic';
@@ -59,9 +65,10 @@ export async function GET(request, { params }) {
       );
     }
 
-    // Authenticate user
+    // Authenticate user; a share token stands in for sign-in
     const user = await getAuthenticatedUser(request);
-    if (!user) {
+    const shareToken = new URL(request.url).searchParams.get('share');
+    if (!user && !shareToken) {
       return NextResponse.json(
         { error: 'Authentication required' },
         { status: 401 }
@@ -103,7 +110,6 @@ export async function GET(request, { params }) {
         )
       `)
       .eq('id', id)
-      .eq('user_id', user.id)
       .single();
 
     if (error) {
@@ -120,6 +126,27 @@ export async function GET(request, { params }) {
       );
     }
 
+    // Members see the trip with their own role; everyone else needs a valid
+    // share link, which is always read-only
+    let role = user ? await getTripRole(supabase, trip, user.id) : null;
+    const viaShareLink = !role && Boolean(await findShareLink(supabase, id, shareToken));
+    if (viaShareLink) {
+      role = 'viewer';
+      // Best effort; a failed timestamp update shouldn't break the page
+      await supabase
+        .from('trip_share_links')
+        .update({ last_accessed_at: new Date().toISOString() })
+        .eq('trip_id', id);
+    }
+
+    // Trips the user can't see look the same as missing ones
+    if (!role) {
+      return NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      );
+    }
+
     // Fetch park details for each stop from all_parks view (includes NPS and Wikidata parks)
     const parkCodes = [...new Set(trip.trip_stops.map(s => s.park_code))];
     
@@ -371,6 +398,8 @@ export async function GET(request, { params }) {
       estimatedBudget: trip.ai_summary?.estimated_budget || null,
       createdAt: trip.created_at,
       updatedAt: trip.updated_at,
+      role,
+      viaShareLink,
       stops: sortedStops.map(stop => {
         const parkData = parksMap[stop.park_code];
         // Determine source: NPS parks don't have source field, Wikidata parks have source='wikidata'
@@ -398,6 +427,7 @@ export async function GET(request, { params }) {
           drivingNotes: stop.driving_notes,
           highlights: stop.highlights,
           notes: stop.notes,
+          orderIndex: stop.order_index,
           nearbyPlaces: nearbyPlacesMap[stop.park_code] || null,
         };
       }),
@@ -429,6 +459,159 @@ export async function GET(request, { params }) {
   }
 }
 
+/**
+ * PATCH handler for editing a trip
+ * Body: { title?: string, stops?: [{ id, dayNumber, orderIndex }] }
+ * Moving stops re-runs the driving legs between all stops.
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { id } = await params;
+
+    // Validate trip ID
+    if (!id || !isValidUUID(id)) {
+      return NextResponse.json(
+        { error: 'Invalid trip ID' },
+        { status: 400 }
+      );
+    }
+
+    // Authenticate user
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const body = await request.json();
+    const { title, stops } = body;
+
+    if (title === undefined && stops === undefined) {
+      return NextResponse.json(
+        { error: 'Nothing to update. Provide title and/or stops.' },
+        { status: 400 }
+      );
+    }
+
+    if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > 255)) {
+      return NextResponse.json(
+        { error: 'Title must be a non-empty string of 255 characters or less' },
+        { status: 400 }
+      );
+    }
+
+    if (stops !== undefined && (!Array.isArray(stops) || stops.length === 0)) {
+      return NextResponse.json(
+        { error: 'Stops must be a non-empty array' },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    // Verify the user can edit the trip
+    const { data: trip, error: fetchError } = await supabase
+      .from('trips')
+      .select('id, user_id, start_date, end_date, trip_stops (id)')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !trip) {
+      return NextResponse.json(
+        { error: 'Trip not found' },
+        { status: 404 }
+      );
+    }
+
+    if (!canEditTrip(await getTripRole(supabase, trip, user.id))) {
+      return NextResponse.json(
+        { error: 'Not authorized to edit this trip' },
+        { status: 403 }
+      );
+    }
+
+    // Validate stop moves before touching anything
+    if (stops) {
+      const stopIds = new Set(trip.trip_stops.map(s => s.id));
+      const dayCount = getTripDayCount(trip.start_date, trip.end_date);
+
+      for (const stop of stops) {
+        if (!stopIds.has(stop?.id)) {
+          return NextResponse.json(
+            { error: `Stop ${stop?.id} does not belong to this trip` },
+            { status: 400 }
+          );
+        }
+        if (!isValidDayNumber(stop.dayNumber, dayCount)) {
+          return NextResponse.json(
+            { error: `dayNumber must be between 1 and ${dayCount}` },
+            { status: 400 }
+          );
+        }
+        if (!Number.isInteger(stop.orderIndex) || stop.orderIndex < 0) {
+          return NextResponse.json(
+            { error: 'orderIndex must be a non-negative integer' },
+            { status: 400 }
+          );
+        }
+      }
+    }
+
+    if (title !== undefined) {
+      const { error: titleError } = await supabase
+        .from('trips')
+        .update({ title: title.trim() })
+        .eq('id', id);
+
+      if (titleError) {
+        console.error('Update error:', titleError);
+        return NextResponse.json(
+          { error: 'Failed to update trip' },
+          { status: 500 }
+        );
+      }
+    }
+
+    let drivingNotes = {};
+    if (stops) {
+      const results = await Promise.all(
+        stops.map(stop =>
+          supabase
+            .from('trip_stops')
+            .update({ day_number: stop.dayNumber, order_index: stop.orderIndex })
+            .eq('id', stop.id)
+            .eq('trip_id', id)
+        )
+      );
+
+      const stopError = results.find(r => r.error)?.error;
+      if (stopError) {
+        console.error('Update error:', stopError);
+        return NextResponse.json(
+          { error: 'Failed to update trip stops' },
+          { status: 500 }
+        );
+      }
+
+      drivingNotes = await refreshTripDrivingNotes(supabase, id);
+    }
+
+    return NextResponse.json({
+      success: true,
+      drivingNotes,
+    });
+
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
 /**
  * DELETE handler for deleting a trip
  */
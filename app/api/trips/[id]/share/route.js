@@ -0,0 +1,196 @@
+/**
+ * Trip Share Link API Route
+ * GET /api/trips/[id]/share - Get the trip's public share link, if one is active (owner only)
+ * POST /api/trips/[id]/share - Create the share link, or replace it to invalidate the old URL (owner only)
+ * DELETE /api/trips/[id]/share - Revoke the share link (owner only)
+ */
+
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import { getTripRole, canManageTrip } from '@/lib/trips/trip-access';
+import { generateShareToken, buildShareUrl } from '@/lib/trips/trip-share';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Get authenticated user from request
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} User object or null
+ */
+const getAuthenticatedUser = async (request) => {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader?.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.substring(7);
+  const supabase = createServerClient({ useServiceRole: true });
+
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser(token);
+  if (error || !user) {
+    console.error('Auth error:', error?.message);
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Validate UUID format
+ * @param {string} id - ID to validate
+ * @returns {boolean} True if valid UUID
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Shape a share link for API responses
+ * @param {Object|null} link - trip_share_links row
+ * @returns {Object} Share link state
+ */
+const formatShareLink = (link) =>
+  link
+    ? {
+        enabled: true,
+        url: buildShareUrl(link.trip_id, link.token),
+        createdAt: link.created_at,
+        lastAccessedAt: link.last_accessed_at || null,
+      }
+    : { enabled: false, url: null, createdAt: null, lastAccessedAt: null };
+
+/**
+ * Authenticate the request and check that the user owns the trip
+ * @param {Request} request - Incoming request
+ * @param {Object} params - Route params
+ * @returns {Promise<{supabase?: Object, user?: Object, id?: string, response?: Response}>}
+ *   Context for the handler, or an error response
+ */
+const authorizeOwner = async (request, params) => {
+  const { id } = await params;
+
+  if (!id || !isValidUUID(id)) {
+    return { response: NextResponse.json({ error: 'Invalid trip ID' }, { status: 400 }) };
+  }
+
+  const user = await getAuthenticatedUser(request);
+  if (!user) {
+    return {
+      response: NextResponse.json({ error: 'Authentication required' }, { status: 401 }),
+    };
+  }
+
+  const supabase = createServerClient({ useServiceRole: true });
+
+  const { data: trip } = await supabase.from('trips').select('id, user_id').eq('id', id).single();
+
+  const role = await getTripRole(supabase, trip, user.id);
+  if (!trip || !role) {
+    return { response: NextResponse.json({ error: 'Trip not found' }, { status: 404 }) };
+  }
+
+  if (!canManageTrip(role)) {
+    return {
+      response: NextResponse.json(
+        { error: 'Only the trip owner can manage the share link' },
+        { status: 403 }
+      ),
+    };
+  }
+
+  return { supabase, user, id };
+};
+
+/**
+ * GET handler for the trip's share link
+ */
+export async function GET(request, { params }) {
+  try {
+    const { supabase, id, response } = await authorizeOwner(request, params);
+    if (response) {
+      return response;
+    }
+
+    const { data: link, error } = await supabase
+      .from('trip_share_links')
+      .select('trip_id, token, created_at, last_accessed_at')
+      .eq('trip_id', id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Database error:', error);
+      return NextResponse.json({ error: 'Failed to fetch share link' }, { status: 500 });
+    }
+
+    return NextResponse.json(formatShareLink(link));
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST handler for creating or rotating the share link
+ */
+export async function POST(request, { params }) {
+  try {
+    const { supabase, user, id, response } = await authorizeOwner(request, params);
+    if (response) {
+      return response;
+    }
+
+    const { data: link, error } = await supabase
+      .from('trip_share_links')
+      .upsert(
+        {
+          trip_id: id,
+          token: generateShareToken(),
+          created_by: user.id,
+          created_at: new Date().toISOString(),
+          last_accessed_at: null,
+        },
+        { onConflict: 'trip_id' }
+      )
+      .select('trip_id, token, created_at, last_accessed_at')
+      .single();
+
+    if (error) {
+      console.error('Database error:', error);
+      return NextResponse.json({ error: 'Failed to create share link' }, { status: 500 });
+    }
+
+    return NextResponse.json(formatShareLink(link));
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE handler for revoking the share link
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { supabase, id, response } = await authorizeOwner(request, params);
+    if (response) {
+      return response;
+    }
+
+    const { error } = await supabase.from('trip_share_links').delete().eq('trip_id', id);
+
+    if (error) {
+      console.error('Database error:', error);
+      return NextResponse.json({ error: 'Failed to revoke share link' }, { status: 500 });
+    }
+
+    return NextResponse.json({ success: true, message: 'Share link revoked' });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
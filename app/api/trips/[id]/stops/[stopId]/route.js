@@ -0,0 +1,213 @@
+/**
+ * Single Trip Stop API Route
+ * PATCH /api/trips/[id]/stops/[stopId] - Edit a stop's morning/afternoon/evening plans and notes
+ * DELETE /api/trips/[id]/stops/[stopId] - Remove a stop from a trip
+ */
+
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import { reindexStops, getStopOrderChanges, buildStopPlanUpdate } from '@/lib/trips/trip-editor';
+import { refreshTripDrivingNotes } from '@/lib/trips/trip-routing';
+import { getTripRole, canEditTrip } from '@/lib/trips/trip-access';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Get authenticated user from request
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} User object or null
+ */
+const getAuthenticatedUser = async (request) => {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader?.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.substring(7);
+  const supabase = createServerClient({ useServiceRole: true });
+
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser(token);
+  if (error || !user) {
+    console.error('Auth error:', error?.message);
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Validate UUID format
+ * @param {string} id - ID to validate
+ * @returns {boolean} True if valid UUID
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * Load a trip with its stops and check that the user can edit it and the stop exists
+ * @param {Object} supabase - Supabase client
+ * @param {string} tripId - Trip ID
+ * @param {string} stopId - Stop ID
+ * @param {string} userId - Authenticated user ID
+ * @returns {Promise<{trip: Object|null, response: NextResponse|null}>} Trip or error response
+ */
+const getEditableTrip = async (supabase, tripId, stopId, userId) => {
+  const { data: trip, error } = await supabase
+    .from('trips')
+    .select('id, user_id, trip_stops (id, day_number, order_index)')
+    .eq('id', tripId)
+    .single();
+
+  if (error || !trip) {
+    return {
+      trip: null,
+      response: NextResponse.json({ error: 'Trip not found' }, { status: 404 }),
+    };
+  }
+
+  if (!canEditTrip(await getTripRole(supabase, trip, userId))) {
+    return {
+      trip: null,
+      response: NextResponse.json({ error: 'Not authorized to edit this trip' }, { status: 403 }),
+    };
+  }
+
+  if (!trip.trip_stops.some((s) => s.id === stopId)) {
+    return {
+      trip: null,
+      response: NextResponse.json({ error: 'Stop not found' }, { status: 404 }),
+    };
+  }
+
+  return { trip, response: null };
+};
+
+/**
+ * PATCH handler for editing a stop's plans
+ * Body: any of { morningPlan, afternoonPlan, eveningPlan, notes }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { id, stopId } = await params;
+
+    if (!id || !isValidUUID(id) || !stopId || !isValidUUID(stopId)) {
+      return NextResponse.json({ error: 'Invalid trip or stop ID' }, { status: 400 });
+    }
+
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const { update, error: planError } = buildStopPlanUpdate(body);
+
+    if (planError) {
+      return NextResponse.json({ error: planError }, { status: 400 });
+    }
+
+    if (Object.keys(update).length === 0) {
+      return NextResponse.json(
+        { error: 'Nothing to update. Provide morningPlan, afternoonPlan, eveningPlan, or notes.' },
+        { status: 400 }
+      );
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    const { response } = await getEditableTrip(supabase, id, stopId, user.id);
+    if (response) {
+      return response;
+    }
+
+    const { data: stop, error: updateError } = await supabase
+      .from('trip_stops')
+      .update(update)
+      .eq('id', stopId)
+      .eq('trip_id', id)
+      .select('id, morning_plan, afternoon_plan, evening_plan, notes')
+      .single();
+
+    if (updateError) {
+      console.error('Update error:', updateError);
+      return NextResponse.json({ error: 'Failed to update stop' }, { status: 500 });
+    }
+
+    return NextResponse.json({
+      stop: {
+        id: stop.id,
+        morningPlan: stop.morning_plan,
+        afternoonPlan: stop.afternoon_plan,
+        eveningPlan: stop.evening_plan,
+        notes: stop.notes,
+      },
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE handler for removing a stop
+ * Remaining stops are renumbered and their driving legs recomputed.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id, stopId } = await params;
+
+    if (!id || !isValidUUID(id) || !stopId || !isValidUUID(stopId)) {
+      return NextResponse.json({ error: 'Invalid trip or stop ID' }, { status: 400 });
+    }
+
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    const { trip, response } = await getEditableTrip(supabase, id, stopId, user.id);
+    if (response) {
+      return response;
+    }
+
+    const { error: deleteError } = await supabase
+      .from('trip_stops')
+      .delete()
+      .eq('id', stopId)
+      .eq('trip_id', id);
+
+    if (deleteError) {
+      console.error('Delete error:', deleteError);
+      return NextResponse.json({ error: 'Failed to delete stop' }, { status: 500 });
+    }
+
+    const remaining = trip.trip_stops
+      .filter((s) => s.id !== stopId)
+      .map((s) => ({ id: s.id, dayNumber: s.day_number, orderIndex: s.order_index }));
+    const changes = getStopOrderChanges(remaining, reindexStops(remaining));
+
+    await Promise.all(
+      changes.map((change) =>
+        supabase.from('trip_stops').update({ order_index: change.orderIndex }).eq('id', change.id)
+      )
+    );
+
+    const drivingNotes = await refreshTripDrivingNotes(supabase, id);
+
+    return NextResponse.json({
+      success: true,
+      drivingNotes,
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Trip Stops API Route
+ * POST /api/trips/[id]/stops - Add a park to a trip day
+ */
+
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import {
+  getTripDayCount,
+  isValidDayNumber,
+  reindexStops,
+  getStopOrderChanges,
+  buildStopPlanUpdate,
+} from '@/lib/trips/trip-editor';
+import { fetchParkLocations, refreshTripDrivingNotes } from '@/lib/trips/trip-routing';
+import { getTripRole, canEditTrip } from '@/lib/trips/trip-access';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Get authenticated user from request
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} User object or null
+ */
+const getAuthenticatedUser = async (request) => {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader?.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.substring(7);
+  const supabase = createServerClient({ useServiceRole: true });
+
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser(token);
+  if (error || !user) {
+    console.error('Auth error:', error?.message);
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Validate UUID format
+ * @param {string} id - ID to validate
+ * @returns {boolean} True if valid UUID
+ */
+const isValidUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+/**
+ * POST handler for adding a stop
+ * Body: { parkCode, dayNumber, morningPlan?, afternoonPlan?, eveningPlan?, notes? }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!id || !isValidUUID(id)) {
+      return NextResponse.json({ error: 'Invalid trip ID' }, { status: 400 });
+    }
+
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const { parkCode, dayNumber } = body;
+
+    if (!parkCode || typeof parkCode !== 'string') {
+      return NextResponse.json({ error: 'parkCode is required' }, { status: 400 });
+    }
+
+    const { update: plans, error: planError } = buildStopPlanUpdate(body);
+    if (planError) {
+      return NextResponse.json({ error: planError }, { status: 400 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    const { data: trip, error: fetchError } = await supabase
+      .from('trips')
+      .select('id, user_id, start_date, end_date, trip_stops (id, day_number, order_index)')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !trip) {
+      return NextResponse.json({ error: 'Trip not found' }, { status: 404 });
+    }
+
+    if (!canEditTrip(await getTripRole(supabase, trip, user.id))) {
+      return NextResponse.json({ error: 'Not authorized to edit this trip' }, { status: 403 });
+    }
+
+    const dayCount = getTripDayCount(trip.start_date, trip.end_date);
+    if (!isValidDayNumber(dayNumber, dayCount)) {
+      return NextResponse.json(
+        { error: `dayNumber must be between 1 and ${dayCount}` },
+        { status: 400 }
+      );
+    }
+
+    const parks = await fetchParkLocations(supabase, [parkCode]);
+    if (!parks[parkCode]) {
+      return NextResponse.json({ error: 'Park not found' }, { status: 404 });
+    }
+
+    const existing = trip.trip_stops.map((s) => ({
+      id: s.id,
+      dayNumber: s.day_number,
+      orderIndex: s.order_index,
+    }));
+
+    // Append after everything, then renumber so the new stop ends its day
+    const { data: stop, error: insertError } = await supabase
+      .from('trip_stops')
+      .insert({
+        trip_id: id,
+        park_code: parkCode,
+        day_number: dayNumber,
+        order_index: existing.length,
+        ...plans,
+      })
+      .select('id, park_code, day_number, order_index')
+      .single();
+
+    if (insertError) {
+      console.error('Insert error:', insertError);
+      return NextResponse.json({ error: 'Failed to add stop' }, { status: 500 });
+    }
+
+    const withNewStop = [...existing, { id: stop.id, dayNumber, orderIndex: existing.length }];
+    const arranged = reindexStops(withNewStop);
+    const changes = getStopOrderChanges(withNewStop, arranged);
+
+    await Promise.all(
+      changes.map((change) =>
+        supabase.from('trip_stops').update({ order_index: change.orderIndex }).eq('id', change.id)
+      )
+    );
+
+    const drivingNotes = await refreshTripDrivingNotes(supabase, id);
+
+    return NextResponse.json(
+      {
+        stop: {
+          id: stop.id,
+          parkCode: stop.park_code,
+          dayNumber: stop.day_number,
+          orderIndex: arranged.find((s) => s.id === stop.id).orderIndex,
+          drivingNotes: drivingNotes[stop.id] || null,
+        },
+        drivingNotes,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Trip Calendar Feed API Route
+ * GET /api/trips/calendar/[token] - Public iCalendar feed of a user's upcoming trips,
+ * covering trips they own and trips they've been added to as a member
+ *
+ * The token in the URL is the only credential, so calendar apps can poll it
+ * without signing in. Owners revoke or rotate it via /api/trips/calendar.
+ */
+
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import { fetchParkLocations } from '@/lib/trips/trip-routing';
+import { generateTripCalendar } from '@/lib/trips/trip-calendar';
+import { SITE_URL } from '@/lib/seo/canonical';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Maximum number of upcoming trips included in the feed
+ */
+const MAX_FEED_TRIPS = 50;
+
+/**
+ * Maximum number of shared trips looked up for the feed (newest memberships first)
+ */
+const MAX_MEMBER_TRIPS = 100;
+
+/**
+ * Feed tokens are 48 hex characters; anything else is rejected without a lookup
+ */
+const TOKEN_PATTERN = /^[0-9a-f]{48}$/;
+
+/**
+ * GET handler for the subscription feed
+ */
+export async function GET(request, { params }) {
+  try {
+    const { token: rawToken } = await params;
+    // Some calendar apps only accept URLs ending in .ics
+    const token = String(rawToken || '').replace(/\.ics$/, '');
+
+    if (!TOKEN_PATTERN.test(token)) {
+      return NextResponse.json({ error: 'Calendar feed not found' }, { status: 404 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    const { data: feed } = await supabase
+      .from('trip_calendar_feeds')
+      .select('user_id')
+      .eq('token', token)
+      .maybeSingle();
+
+    if (!feed) {
+      return NextResponse.json({ error: 'Calendar feed not found' }, { status: 404 });
+    }
+
+    const { data: memberships, error: membershipError } = await supabase
+      .from('trip_members')
+      .select('trip_id')
+      .eq('user_id', feed.user_id)
+      .order('created_at', { ascending: false })
+      .limit(MAX_MEMBER_TRIPS);
+
+    if (membershipError) {
+      console.error('Database error:', membershipError);
+      return NextResponse.json({ error: 'Failed to load trips' }, { status: 500 });
+    }
+
+    const memberTripIds = (memberships || []).map((m) => m.trip_id);
+    const today = new Date().toISOString().slice(0, 10);
+
+    const { data: trips, error } = await supabase
+      .from('trips')
+      .select(
+        `
+        id,
+        title,
+        start_date,
+        end_date,
+        created_at,
+        updated_at,
+        trip_stops (
+          id,
+          park_code,
+          day_number,
+          order_index,
+          morning_plan,
+          afternoon_plan,
+          evening_plan,
+          driving_notes,
+          highlights,
+          notes
+        )
+      `
+      )
+      .or(
+        memberTripIds.length > 0
+          ? `user_id.eq.${feed.user_id},id.in.(${memberTripIds.join(',')})`
+          : `user_id.eq.${feed.user_id}`
+      )
+      .gte('end_date', today)
+      .order('start_date', { ascending: true })
+      .limit(MAX_FEED_TRIPS);
+
+    if (error) {
+      console.error('Database error:', error);
+      return NextResponse.json({ error: 'Failed to load trips' }, { status: 500 });
+    }
+
+    const parks = await fetchParkLocations(
+      supabase,
+      (trips || []).flatMap((trip) => (trip.trip_stops || []).map((s) => s.park_code))
+    );
+    const calendar = generateTripCalendar(trips || [], parks, {
+      name: 'ParkLookup Trips',
+      baseUrl: SITE_URL,
+    });
+
+    // Best effort; a failed timestamp update shouldn't break the feed
+    await supabase
+      .from('trip_calendar_feeds')
+      .update({ last_accessed_at: new Date().toISOString() })
+      .eq('token', token);
+
+    return new Response(calendar, {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="parklookup-trips.ics"',
+        'Cache-Control': 'private, max-age=900',
+      },
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Trip Calendar Subscription API Route
+ * GET /api/trips/calendar - Get (creating if needed) the user's calendar feed URL
+ * POST /api/trips/calendar - Replace the feed token, invalidating the old URL
+ * DELETE /api/trips/calendar - Revoke the calendar feed
+ */
+
+import { randomBytes } from 'crypto';
+import { NextResponse } from 'next/server';
+import { createServerClient } from '@/lib/supabase/client';
+import { getCanonicalUrl } from '@/lib/seo/canonical';
+
+// Force dynamic rendering for this route
+export const dynamic = 'force-dynamic';
+
+/**
+ * Get authenticated user from request
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} User object or null
+ */
+const getAuthenticatedUser = async (request) => {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader?.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const token = authHeader.substring(7);
+  const supabase = createServerClient({ useServiceRole: true });
+
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser(token);
+  if (error || !user) {
+    console.error('Auth error:', error?.message);
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Generate an unguessable feed token
+ * @returns {string} 48-character hex token
+ */
+const generateFeedToken = () => randomBytes(24).toString('hex');
+
+/**
+ * Build the feed URLs for a token
+ * @param {string} token - Feed token
+ * @returns {{url: string, webcalUrl: string}} HTTPS and webcal:// URLs
+ */
+const buildFeedUrls = (token) => {
+  const url = getCanonicalUrl(`/api/trips/calendar/${token}`);
+  return {
+    url,
+    webcalUrl: url.replace(/^https?:\/\//, 'webcal://'),
+  };
+};
+
+/**
+ * Create or replace the user's feed token
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Saved feed row
+ */
+const saveFeedToken = async (supabase, userId) => {
+  const { data, error } = await supabase
+    .from('trip_calendar_feeds')
+    .upsert(
+      { user_id: userId, token: generateFeedToken(), created_at: new Date().toISOString() },
+      { onConflict: 'user_id' }
+    )
+    .select('token, created_at')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save calendar feed: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * GET handler for the user's calendar feed
+ */
+export async function GET(request) {
+  try {
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    const { data: existing } = await supabase
+      .from('trip_calendar_feeds')
+      .select('token, created_at')
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    const feed = existing || (await saveFeedToken(supabase, user.id));
+
+    return NextResponse.json({
+      ...buildFeedUrls(feed.token),
+      createdAt: feed.created_at,
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * POST handler for rotating the feed token
+ */
+export async function POST(request) {
+  try {
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+    const feed = await saveFeedToken(supabase, user.id);
+
+    return NextResponse.json({
+      ...buildFeedUrls(feed.token),
+      createdAt: feed.created_at,
+    });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE handler for revoking the feed
+ */
+export async function DELETE(request) {
+  try {
+    const user = await getAuthenticatedUser(request);
+    if (!user) {
+      return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const supabase = createServerClient({ useServiceRole: true });
+
+    const { error } = await supabase.from('trip_calendar_feeds').delete().eq('user_id', user.id);
+
+    if (error) {
+      console.error('Database error:', error);
+      return NextResponse.json({ error: 'Failed to revoke calendar feed' }, { status: 500 });
+    }
+
+    return NextResponse.json({ success: true, message: 'Calendar feed revoked' });
+  } catch (error) {
+    console.error('API error:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -1,6 +1,6 @@
 /**
  * Trips API Route
- * GET /api/trips - List all trips for authenticated user
+ * GET /api/trips - List the authenticated user's trips and trips shared with them
  */
 
 import { NextResponse } from 'next/server';
@@ -9,6 +9,101 @@ import { createServerClient } from '@/lib/supabase/client';
 // Force dynamic rendering for this route
 export const dynamic = 'force-dynamic';
 
+/**
+ * Maximum number of shared trips returned alongside the paginated list
+ */
+const MAX_SHARED_TRIPS = 50;
+
+/**
+ * Columns selected for trip list items
+ */
+const TRIP_LIST_COLUMNS = `
+  id,
+  user_id,
+  title,
+  origin,
+  start_date,
+  end_date,
+  interests,
+  difficulty,
+  radius_miles,
+  ai_summary,
+  created_at,
+  updated_at,
+  trip_stops (
+    id,
+    park_code,
+    day_number
+  )
+`;
+
+/**
+ * Transform a trip row into a list item with park count and summary info
+ * @param {Object} trip - trips row with trip_stops
+ * @param {string} role - User's role on the trip
+ * @returns {Object} Trip list item
+ */
+const transformTrip = (trip, role) => ({
+  id: trip.id,
+  title: trip.title,
+  origin: trip.origin,
+  startDate: trip.start_date,
+  endDate: trip.end_date,
+  interests: trip.interests,
+  difficulty: trip.difficulty,
+  radiusMiles: trip.radius_miles,
+  summary: trip.ai_summary?.overall_summary || null,
+  parkCount: trip.trip_stops?.length || 0,
+  dayCount: trip.trip_stops
+    ? new Set(trip.trip_stops.map(s => s.day_number)).size
+    : 0,
+  createdAt: trip.created_at,
+  updatedAt: trip.updated_at,
+  role,
+});
+
+/**
+ * Fetch trips other users have invited this user to
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Shared trip list items with owner info
+ */
+const fetchSharedTrips = async (supabase, userId) => {
+  const { data: memberships, error } = await supabase
+    .from('trip_members')
+    .select(`role, trips (${TRIP_LIST_COLUMNS})`)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(MAX_SHARED_TRIPS);
+
+  if (error) {
+    throw new Error(`Failed to fetch shared trips: ${error.message}`);
+  }
+
+  const shared = (memberships || []).filter(m => m.trips);
+  if (shared.length === 0) {
+    return [];
+  }
+
+  const ownerIds = [...new Set(shared.map(m => m.trips.user_id))];
+  const { data: owners } = await supabase
+    .from('profiles')
+    .select('id, username, display_name')
+    .in('id', ownerIds);
+
+  const ownersById = Object.fromEntries((owners || []).map(o => [o.id, o]));
+
+  return shared.map(m => {
+    const owner = ownersById[m.trips.user_id];
+    return {
+      ...transformTrip(m.trips, m.role),
+      owner: owner
+        ? { username: owner.username, displayName: owner.display_name }
+        : null,
+    };
+  });
+};
+
 /**
  * Get authenticated user from request
  * @param {Request} request - Incoming request
@@ -76,24 +171,7 @@ export async function GET(request) {
     // Fetch trips with stop count
     const { data: trips, error, count } = await supabase
       .from('trips')
-      .select(`
-        id,
-        title,
-        origin,
-        start_date,
-        end_date,
-        interests,
-        difficulty,
-        radius_miles,
-        ai_summary,
-        created_at,
-        updated_at,
-        trip_stops (
-          id,
-          park_code,
-          day_number
-        )
-      `, { count: 'exact' })
+      .select(TRIP_LIST_COLUMNS, { count: 'exact' })
       .eq('user_id', user.id)
       .order(sortBy, { ascending: sortOrder === 'asc' })
       .range(offset, offset + limit - 1);
@@ -107,26 +185,14 @@ export async function GET(request) {
     }
 
     // Transform trips to include park count and summary info
-    const transformedTrips = trips.map(trip => ({
-      id: trip.id,
-      title: trip.title,
-      origin: trip.origin,
-      startDate: trip.start_date,
-      endDate: trip.end_date,
-      interests: trip.interests,
-      difficulty: trip.difficulty,
-      radiusMiles: trip.radius_miles,
-      summary: trip.ai_summary?.overall_summary || null,
-      parkCount: trip.trip_stops?.length || 0,
-      dayCount: trip.trip_stops 
-        ? new Set(trip.trip_stops.map(s => s.day_number)).size 
-        : 0,
-      createdAt: trip.created_at,
-      updatedAt: trip.updated_at,
-    }));
+    const transformedTrips = trips.map(trip => transformTrip(trip, 'owner'));
+
+    // Shared trips are listed separately so pagination and free-tier counts stay per owner
+    const sharedTrips = offset === 0 ? await fetchSharedTrips(supabase, user.id) : [];
 
     return NextResponse.json({
       trips: transformedTrips,
+      sharedTrips,
       pagination: {
         total: count,
         limit,
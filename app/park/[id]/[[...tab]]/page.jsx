@@ -7,7 +7,7 @@ import ParkDetailClient from '@/app/parks/[parkCode]/[[...tab]]/ParkDetailClient
 /**
  * Valid tab names for park detail pages
  */
-const VALID_TABS = ['overview', 'trails', 'blm', 'map', 'weather', 'activities', 'reviews', 'info', 'photos'];
+const VALID_TABS = ['overview', 'trails', 'blm', 'camping', 'map', 'weather', 'activities', 'reviews', 'info', 'photos'];
 const DEFAULT_TAB = 'overview';
 
 /**
@@ -75,6 +75,7 @@ export async function generateMetadata({ params }) {
     overview: '',
     trails: ' - Hiking Trails',
     blm: ' - BLM Land',
+    camping: ' - Campgrounds',
     map: ' - Map & Location',
     weather: ' - Weather Events',
     activities: ' - Activities & Nearby Places',
@@ -87,6 +88,7 @@ export async function generateMetadata({ params }) {
     overview: park.description || `Explore ${park.full_name} - ${park.designation || 'Park'} in ${park.states}`,
     trails: `Discover hiking trails near ${park.full_name} in ${park.states}`,
     blm: `Find BLM (Bureau of Land Management) land near ${park.full_name}`,
+    camping: `Find campgrounds, site availability, and amenities at ${park.full_name}`,
     map: `View the map and location of ${park.full_name} in ${park.states}`,
     weather: `Check current weather alerts and conditions for ${park.full_name}`,
     activities: `Discover activities and nearby places at ${park.full_name}`,
@@ -1,12 +1,16 @@
 'use client';
 
-import { useEffect } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import dynamic from 'next/dynamic';
 import Link from 'next/link';
 import { useAnalytics } from '@/hooks/useAnalytics';
 import TrailReviews from '@/components/trails/TrailReviews';
 import TrailPhotos from '@/components/trails/TrailPhotos';
 import StartTrackingButton from '@/components/tracking/StartTrackingButton';
+import ElevationProfile from '@/components/tracking/ElevationProfile';
+import OfflineMapDownload from '@/components/trails/OfflineMapDownload';
+import { getRegionBounds } from '@/lib/map/offline-regions';
+import { calculateElevationProfile } from '@/lib/tracking/track-stats';
 
 // Dynamically import the map component to avoid SSR issues
 const TrailMap = dynamic(() => import('@/components/trails/TrailMap'), {
@@ -83,6 +87,7 @@ const SURFACE_NAMES = {
  */
 export default function TrailDetailClient({ trail, park, hasCoordinates }) {
   const { trackPageView } = useAnalytics();
+  const [profileHover, setProfileHover] = useState(null);
 
   // Track page view
   useEffect(() => {
@@ -91,23 +96,42 @@ export default function TrailDetailClient({ trail, park, hasCoordinates }) {
 
   const colors = DIFFICULTY_COLORS[trail.difficulty] || DIFFICULTY_COLORS.easy;
 
-  // Parse geometry for the map
-  let trailGeometry = null;
-  if (trail.geometry) {
+  // Parse geometry for the map (memoized so hovering the elevation profile
+  // doesn't rebuild the map)
+  const trailGeometry = useMemo(() => {
+    if (!trail.geometry) {
+      return null;
+    }
     try {
-      trailGeometry = typeof trail.geometry === 'string' 
-        ? JSON.parse(trail.geometry) 
-        : trail.geometry;
+      return typeof trail.geometry === 'string' ? JSON.parse(trail.geometry) : trail.geometry;
     } catch (e) {
       console.warn('Failed to parse trail geometry:', e);
+      return null;
     }
-  }
+  }, [trail.geometry]);
 
   // Prepare trail for map component
-  const trailForMap = trailGeometry ? [{
-    ...trail,
-    geojson: trailGeometry,
-  }] : [];
+  const trailForMap = useMemo(
+    () => (trailGeometry ? [{ ...trail, geojson: trailGeometry }] : []),
+    [trail, trailGeometry]
+  );
+  const mapCenter = useMemo(
+    () =>
+      hasCoordinates ? { lat: parseFloat(park.latitude), lng: parseFloat(park.longitude) } : null,
+    [hasCoordinates, park.latitude, park.longitude]
+  );
+
+  // Elevation along the trail, from the stored DEM profile
+  const elevationProfile = useMemo(() => {
+    if (trailGeometry?.type !== 'LineString' || !trail.elevation_profile) {
+      return [];
+    }
+    const points = trailGeometry.coordinates.map(([longitude, latitude]) => ({
+      latitude,
+      longitude,
+    }));
+    return calculateElevationProfile(points, { elevationProfile: trail.elevation_profile });
+  }, [trailGeometry, trail.elevation_profile]);
 
   return (
     <div className="max-w-4xl mx-auto px-4 py-6">
@@ -182,11 +206,25 @@ export default function TrailDetailClient({ trail, park, hasCoordinates }) {
           <div className="rounded-lg overflow-hidden shadow-md h-[400px]">
             <TrailMap
               trails={trailForMap}
-              center={hasCoordinates ? { lat: parseFloat(park.latitude), lng: parseFloat(park.longitude) } : null}
+              center={mapCenter}
               zoom={14}
+              highlightPosition={profileHover}
               className="h-full"
             />
           </div>
+          {elevationProfile.length > 1 && (
+            <ElevationProfile
+              profile={elevationProfile}
+              onHover={setProfileHover}
+              className="mt-4 bg-white dark:bg-gray-800 rounded-lg shadow-sm p-4"
+            />
+          )}
+          <OfflineMapDownload
+            regionId={`trail:${trail.id}`}
+            name={trail.name}
+            bounds={getRegionBounds([trailGeometry])}
+            className="mt-4"
+          />
         </div>
       )}
 
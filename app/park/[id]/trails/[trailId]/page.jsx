@@ -62,6 +62,7 @@ async function getTrailData(trailId) {
       difficulty,
       length_meters,
       elevation_gain_m,
+      elevation_profile,
       surface,
       trail_type,
       sac_scale,
@@ -12,10 +12,16 @@ import { ProductCarousel } from '@/components/products/ProductCard';
 import NearbyPlaces from '@/components/parks/NearbyPlaces';
 import NearbyParks from '@/components/parks/NearbyParks';
 import ParkReviews from '@/components/parks/ParkReviews';
+import ParkAlerts from '@/components/parks/ParkAlerts';
+import ParkCampgrounds from '@/components/parks/ParkCampgrounds';
+import ParkThingsToDo from '@/components/parks/ParkThingsToDo';
+import VisitorCenterHours from '@/components/parks/VisitorCenterHours';
 import UserPhotos from '@/components/parks/UserPhotos';
 import TrailList from '@/components/trails/TrailList';
 import ParkBLMSection from '@/components/blm/ParkBLMSection';
 import StartTrackingButton from '@/components/tracking/StartTrackingButton';
+import OfflineMapDownload from '@/components/trails/OfflineMapDownload';
+import { getRegionBounds } from '@/lib/map/offline-regions';
 
 // Dynamically import the map components to avoid SSR issues
 const ParkMap = dynamic(() => import('@/components/parks/ParkMap'), {
@@ -197,6 +203,18 @@ function ParkTrailsSection({ park, hasCoordinates }) {
         </div>
       )}
 
+      {/* Offline download covering all of the park's trails */}
+      {trailsWithGeometry.length > 0 && (
+        <OfflineMapDownload
+          regionId={`park:${park.park_code || park.id}`}
+          name={park.full_name || park.name}
+          bounds={getRegionBounds(
+            trailsWithGeometry.map((trail) => trail.geojson || trail.geometry || trail.geometry_geojson),
+            hasCoordinates ? [{ lat: centerLat, lng: centerLng }] : []
+          )}
+        />
+      )}
+
       {/* Trail List */}
       <TrailList
         trails={trails}
@@ -215,6 +233,7 @@ const TABS = [
   { id: 'overview', label: 'Overview' },
   { id: 'trails', label: 'Trails' },
   { id: 'blm', label: 'BLM Land' },
+  { id: 'camping', label: 'Camping' },
   { id: 'photos', label: 'Photos' },
   { id: 'map', label: 'Map' },
   { id: 'weather', label: 'Weather Events' },
@@ -254,6 +273,11 @@ export default function ParkDetailClient({
         <FavoriteButton parkId={park.id} parkCode={park.park_code} />
       </div>
 
+      {/* NPS closures and hazards, shown on every tab */}
+      {park.source === 'nps' && park.park_code && (
+        <ParkAlerts parkCode={park.park_code} className="mb-6" />
+      )}
+
       {/* Tabs - using Links for SSR-friendly navigation */}
       {/* Use /park/:id URL pattern for all parks */}
       <div className="flex overflow-x-auto border-b border-gray-200 dark:border-gray-700 mb-6 -mx-4 px-4">
@@ -528,6 +552,9 @@ export default function ParkDetailClient({
             </div>
           )}
 
+          {/* Things To Do and Events */}
+          {park.source === 'nps' && <ParkThingsToDo parkCode={park.park_code} />}
+
           {/* Nearby Places */}
           <div>
             <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-3">
@@ -568,6 +595,9 @@ export default function ParkDetailClient({
         <ParkBLMSection park={park} hasCoordinates={hasCoordinates} />
       )}
 
+      {/* Camping Tab */}
+      {activeTab === 'camping' && <ParkCampgrounds park={park} />}
+
       {/* Photos Tab */}
       {activeTab === 'photos' && (
         <UserPhotos parkCode={park.park_code} />
@@ -645,6 +675,11 @@ export default function ParkDetailClient({
             </div>
           )}
 
+          {/* Visitor Centers, with today's hours */}
+          {park.source === 'nps' && park.park_code && (
+            <VisitorCenterHours parkCode={park.park_code} />
+          )}
+
           {/* Contact Info */}
           {(park.contacts?.phoneNumbers?.length > 0 ||
             park.contacts?.emailAddresses?.length > 0) && (
@@ -7,7 +7,7 @@ import ParkDetailClient from './ParkDetailClient';
 /**
  * Valid tab names for park detail pages
  */
-const VALID_TABS = ['overview', 'map', 'weather', 'activities', 'reviews', 'info', 'photos'];
+const VALID_TABS = ['overview', 'map', 'weather', 'activities', 'camping', 'reviews', 'info', 'photos'];
 const DEFAULT_TAB = 'overview';
 
 /**
@@ -76,6 +76,7 @@ export async function generateMetadata({ params }) {
     map: ' - Map & Location',
     weather: ' - Weather Events',
     activities: ' - Activities & Nearby Places',
+    camping: ' - Campgrounds',
     reviews: ' - Reviews & Ratings',
     info: ' - Park Information',
     photos: ' - User Photos & Videos',
@@ -86,6 +87,7 @@ export async function generateMetadata({ params }) {
     map: `View the map and location of ${park.full_name} in ${park.states}`,
     weather: `Check current weather alerts and conditions for ${park.full_name}`,
     activities: `Discover activities and nearby places at ${park.full_name}`,
+    camping: `Find campgrounds, site availability, and amenities at ${park.full_name}`,
     reviews: `Read reviews and ratings for ${park.full_name}`,
     info: `Get entrance fees, operating hours, and contact information for ${park.full_name}`,
     photos: `View user-contributed photos and videos of ${park.full_name}`,
@@ -1,10 +1,14 @@
 'use client';
 
-import { useEffect } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import Link from 'next/link';
 import dynamic from 'next/dynamic';
 import { useAnalytics } from '@/hooks/useAnalytics';
 import StartTrackingButton from '@/components/tracking/StartTrackingButton';
+import ElevationProfile from '@/components/tracking/ElevationProfile';
+import OfflineMapDownload from '@/components/trails/OfflineMapDownload';
+import { getRegionBounds } from '@/lib/map/offline-regions';
+import { calculateElevationProfile } from '@/lib/tracking/track-stats';
 
 // Dynamically import the map component to avoid SSR issues
 const TrailMap = dynamic(() => import('@/components/trails/TrailMap'), {
@@ -42,41 +46,44 @@ function DifficultyBadge({ difficulty }) {
  */
 export default function TrailDetailClient({ trail, park, lengthMiles, elevationFeet }) {
   const { trackPageView } = useAnalytics();
+  const [profileHover, setProfileHover] = useState(null);
 
   // Track page view
   useEffect(() => {
     trackPageView(`trail/${trail.slug}`);
   }, [trackPageView, trail.slug]);
 
-  // Prepare GeoJSON for the map
-  const trailGeoJSON = trail.geojson ? {
-    type: 'FeatureCollection',
-    features: [{
-      type: 'Feature',
-      properties: {
-        id: trail.id,
-        name: trail.name,
-        difficulty: trail.difficulty,
-        length_meters: trail.length_meters,
-        surface: trail.surface,
-      },
-      geometry: trail.geojson,
-    }],
-  } : null;
+  // Prepare trail for the map (memoized so hovering the elevation profile
+  // doesn't rebuild the map)
+  const trailsForMap = useMemo(() => (trail.geojson ? [trail] : null), [trail]);
 
   // Calculate map center from trail geometry or park coordinates
-  let mapCenter = [-98.5795, 39.8283]; // Default US center
-  let mapZoom = 4;
+  const { mapCenter, mapZoom } = useMemo(() => {
+    if (trail.geojson?.coordinates?.length > 0) {
+      const coords = trail.geojson.coordinates;
+      const [lng, lat] = coords[Math.floor(coords.length / 2)] || coords[0];
+      return { mapCenter: { lat, lng }, mapZoom: 13 };
+    }
+    if (park.latitude && park.longitude) {
+      return {
+        mapCenter: { lat: parseFloat(park.latitude), lng: parseFloat(park.longitude) },
+        mapZoom: 12,
+      };
+    }
+    return { mapCenter: null, mapZoom: 4 };
+  }, [trail.geojson, park.latitude, park.longitude]);
 
-  if (trail.geojson?.coordinates?.length > 0) {
-    const coords = trail.geojson.coordinates;
-    const midIndex = Math.floor(coords.length / 2);
-    mapCenter = coords[midIndex] || coords[0];
-    mapZoom = 13;
-  } else if (park.latitude && park.longitude) {
-    mapCenter = [parseFloat(park.longitude), parseFloat(park.latitude)];
-    mapZoom = 12;
-  }
+  // Elevation along the trail, from the stored DEM profile
+  const elevationProfile = useMemo(() => {
+    if (trail.geojson?.type !== 'LineString' || !trail.elevation_profile) {
+      return [];
+    }
+    const points = trail.geojson.coordinates.map(([longitude, latitude]) => ({
+      latitude,
+      longitude,
+    }));
+    return calculateElevationProfile(points, { elevationProfile: trail.elevation_profile });
+  }, [trail.geojson, trail.elevation_profile]);
 
   return (
     <div className="max-w-4xl mx-auto px-4 py-6">
@@ -194,19 +201,33 @@ export default function TrailDetailClient({ trail, park, lengthMiles, elevationF
       </div>
 
       {/* Trail Map */}
-      {trailGeoJSON && (
+      {trailsForMap && (
         <div className="mb-8">
           <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
             Trail Map
           </h2>
           <div className="rounded-lg overflow-hidden shadow-md">
             <TrailMap
-              trails={trailGeoJSON}
+              trails={trailsForMap}
               center={mapCenter}
               zoom={mapZoom}
+              highlightPosition={profileHover}
               height="400px"
             />
           </div>
+          {elevationProfile.length > 1 && (
+            <ElevationProfile
+              profile={elevationProfile}
+              onHover={setProfileHover}
+              className="mt-4 bg-white dark:bg-gray-800 rounded-lg shadow-sm p-4"
+            />
+          )}
+          <OfflineMapDownload
+            regionId={`trail:${trail.id}`}
+            name={trail.name}
+            bounds={getRegionBounds([trail.geojson])}
+            className="mt-4"
+          />
         </div>
       )}
 
@@ -95,6 +95,7 @@ export default async function TrailPage({ params }) {
       difficulty,
       length_meters,
       elevation_gain_m,
+      elevation_profile,
       surface,
       description,
       is_user_submitted,
@@ -112,8 +113,8 @@ export default async function TrailPage({ params }) {
   const { data: geoData } = await supabase
     .rpc('get_trail_with_geojson', { trail_id: trail.id });
 
-  if (geoData && geoData.length > 0) {
-    trail.geojson = geoData[0].geojson;
+  if (geoData?.[0]?.geometry_geojson) {
+    trail.geojson = JSON.parse(geoData[0].geometry_geojson);
   }
 
   // Fetch park data
@@ -12,6 +12,7 @@ import { useAuth } from '@/hooks/useAuth';
 import Card, { CardContent } from '@/components/ui/Card';
 import Button from '@/components/ui/Button';
 import DiscountOfferModal from '@/components/ui/DiscountOfferModal';
+import OfflineStorageSettings from '@/components/settings/OfflineStorageSettings';
 
 /**
  * Loading fallback for the settings page
@@ -602,6 +603,14 @@ function SettingsContent() {
           </CardContent>
         </Card>
 
+        {/* Offline Storage Section */}
+        <Card className="mb-6">
+          <CardContent>
+            <h2 className="text-xl font-semibold text-gray-900 mb-4">Offline Storage</h2>
+            <OfflineStorageSettings />
+          </CardContent>
+        </Card>
+
         {/* Account Actions */}
         <Card>
           <CardContent>
@@ -18,7 +18,17 @@ const LiveTrackMap = dynamic(() => import('@/components/tracking/LiveTrackMap'),
     </div>
   ),
 });
-import { formatDistance, formatDuration, formatSpeed, formatElevation } from '@/lib/tracking/track-stats';
+import {
+  formatDistance,
+  formatDuration,
+  formatSpeed,
+  formatElevation,
+  calculateSplits,
+  calculateSegments,
+  calculateElevationProfile,
+} from '@/lib/tracking/track-stats';
+import TrackSplits, { getSplitColors } from '@/components/tracking/TrackSplits';
+import ElevationProfile from '@/components/tracking/ElevationProfile';
 import {
   getTrackLikes,
   likeTrack,
@@ -28,8 +38,18 @@ import {
   deleteTrack,
   getTrackComments,
   addTrackComment,
+  exportTrack,
 } from '@/lib/tracking/tracking-client';
 
+/**
+ * Export formats offered on the track detail page
+ */
+const EXPORT_OPTIONS = [
+  { format: 'gpx', label: 'GPX' },
+  { format: 'kml', label: 'KML' },
+  { format: 'geojson', label: 'GeoJSON' },
+];
+
 /**
  * Track Detail Client Component
  * Displays full track details with map, stats, media, and social features
@@ -80,9 +100,15 @@ export default function TrackDetailClient({ track, points, media }) {
   const [isLoading, setIsLoading] = useState(false);
   const [selectedMedia, setSelectedMedia] = useState(null);
   const [shareError, setShareError] = useState(null);
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const [splitUnit, setSplitUnit] = useState('imperial');
+  const [profileHover, setProfileHover] = useState(null);
 
   const isOwner = user?.id === track.user_id;
   const isPublic = track.is_public;
+  const canExport = ['completed', 'shared'].includes(track.status) && points.length > 0;
+  const hasMovingTime = track.moving_seconds !== null && track.moving_seconds !== undefined;
 
   // Sync isShared state with track prop when it changes (e.g., after page refresh)
   useEffect(() => {
@@ -108,6 +134,24 @@ export default function TrackDetailClient({ track, points, media }) {
     fetchLikeStatus();
   }, [accessToken, track.id]);
 
+  // Auto-splits and pause/resume segments, with split colors shared by the table and map
+  const splits = useMemo(() => calculateSplits(points, splitUnit), [points, splitUnit]);
+  const segments = useMemo(() => calculateSegments(points), [points]);
+  const splitColors = useMemo(() => getSplitColors(splits), [splits]);
+  const splitLines = useMemo(
+    () =>
+      splits.map((split, index) => ({
+        positions: points
+          .slice(split.startIndex, split.endIndex + 1)
+          .map((p) => [Number(p.latitude), Number(p.longitude)]),
+        color: splitColors[index],
+      })),
+    [splits, splitColors, points]
+  );
+
+  // Elevation along the track; hovering it marks the spot on the map
+  const elevationProfile = useMemo(() => calculateElevationProfile(points), [points]);
+
   // Format dates
   const formattedDate = useMemo(() => {
     const date = new Date(track.created_at);
@@ -254,6 +298,37 @@ export default function TrackDetailClient({ track, points, media }) {
     }
   }, [accessToken, track.id, newComment]);
 
+  // Download track as GPX/KML/GeoJSON
+  const handleExport = useCallback(
+    async (format) => {
+      setExportingFormat(format);
+      setExportError(null);
+
+      try {
+        const result = await exportTrack(accessToken, track.id, format);
+        if (result.error) {
+          setExportError(result.error?.message || result.error?.error || 'Failed to export track');
+          return;
+        }
+
+        const url = URL.createObjectURL(result.blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+      } catch (error) {
+        console.error('Failed to export track:', error);
+        setExportError('Failed to export track. Please try again.');
+      } finally {
+        setExportingFormat(null);
+      }
+    },
+    [accessToken, track.id]
+  );
+
   // Native share
   const handleNativeShare = useCallback(async () => {
     if (navigator.share) {
@@ -307,6 +382,8 @@ export default function TrackDetailClient({ track, points, media }) {
           media={media}
           showStats={false}
           isLive={false}
+          coloredLines={splitLines}
+          highlightPosition={profileHover}
           className="h-full"
         />
 
@@ -408,13 +485,25 @@ export default function TrackDetailClient({ track, points, media }) {
               <p className="text-sm text-gray-500 dark:text-gray-400">Distance</p>
             </div>
 
-            {/* Duration */}
-            <div className="text-center">
-              <p className="text-3xl font-bold text-gray-900 dark:text-white">
-                {track.duration_seconds ? formatDuration(track.duration_seconds) : '-'}
-              </p>
-              <p className="text-sm text-gray-500 dark:text-gray-400">Duration</p>
-            </div>
+            {/* Duration (moving time, with elapsed time underneath when known) */}
+            {hasMovingTime ? (
+              <div className="text-center">
+                <p className="text-3xl font-bold text-gray-900 dark:text-white">
+                  {formatDuration(track.moving_seconds)}
+                </p>
+                <p className="text-sm text-gray-500 dark:text-gray-400">Moving Time</p>
+                <p className="text-xs text-gray-400 dark:text-gray-500">
+                  {track.duration_seconds ? formatDuration(track.duration_seconds) : '-'} elapsed
+                </p>
+              </div>
+            ) : (
+              <div className="text-center">
+                <p className="text-3xl font-bold text-gray-900 dark:text-white">
+                  {track.duration_seconds ? formatDuration(track.duration_seconds) : '-'}
+                </p>
+                <p className="text-sm text-gray-500 dark:text-gray-400">Duration</p>
+              </div>
+            )}
 
             {/* Elevation Gain */}
             <div className="text-center">
@@ -433,6 +522,28 @@ export default function TrackDetailClient({ track, points, media }) {
             </div>
           </div>
 
+          {/* Elevation Profile */}
+          {elevationProfile.length > 1 && (
+            <ElevationProfile
+              profile={elevationProfile}
+              unit={splitUnit}
+              onHover={setProfileHover}
+              className="p-6 border-t border-gray-100 dark:border-gray-700"
+            />
+          )}
+
+          {/* Splits */}
+          {points.length > 1 && (
+            <TrackSplits
+              splits={splits}
+              colors={splitColors}
+              segments={segments}
+              unit={splitUnit}
+              onUnitChange={setSplitUnit}
+              className="p-6 border-t border-gray-100 dark:border-gray-700"
+            />
+          )}
+
           {/* Description */}
           {track.description && (
             <div className="p-6 border-t border-gray-100 dark:border-gray-700">
@@ -568,6 +679,35 @@ export default function TrackDetailClient({ track, points, media }) {
               )}
             </div>
 
+            {/* Export Buttons */}
+            {canExport && (
+              <div className="mt-4 flex flex-wrap items-center gap-2">
+                <span className="text-sm text-gray-500 dark:text-gray-400">Export:</span>
+                {EXPORT_OPTIONS.map(({ format, label }) => (
+                  <button
+                    key={format}
+                    onClick={() => handleExport(format)}
+                    disabled={exportingFormat !== null}
+                    className="flex items-center gap-1 px-3 py-1.5 text-sm bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 transition-colors"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"
+                      />
+                    </svg>
+                    <span>{exportingFormat === format ? 'Exporting...' : label}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {exportError && (
+              <p className="mt-2 text-sm text-red-600 dark:text-red-400">{exportError}</p>
+            )}
+
             {/* Share Error Message */}
             {shareError && (
               <div className="mt-4 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
@@ -0,0 +1,221 @@
+'use client';
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import dynamic from 'next/dynamic';
+import { getLivePosition } from '@/lib/tracking/tracking-client';
+import { calculateTotalDistance, formatDistance } from '@/lib/tracking/track-stats';
+import { getActivityIcon } from '@/lib/tracking/activity-detection';
+
+// Dynamically import LiveTrackMap to avoid SSR issues with Leaflet
+const LiveTrackMap = dynamic(() => import('@/components/tracking/LiveTrackMap'), {
+  ssr: false,
+  loading: () => (
+    <div className="w-full h-full bg-gray-100 dark:bg-gray-800 flex items-center justify-center">
+      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
+    </div>
+  ),
+});
+
+/**
+ * How often to check for new positions (matches how often the recorder uploads)
+ */
+export const LIVE_POLL_INTERVAL_MS = 15000;
+
+/**
+ * Track statuses that mean recording is over
+ */
+const FINISHED_STATUSES = ['completed', 'shared'];
+
+/**
+ * Format how long ago a position was recorded
+ * @param {string} recordedAt - ISO timestamp
+ * @param {Date} [now] - Current time
+ * @returns {string} e.g. "just now", "5 min ago", "2 h 10 min ago"
+ */
+export const formatLastSeen = (recordedAt, now = new Date()) => {
+  const minutes = Math.floor((now.getTime() - new Date(recordedAt).getTime()) / 60000);
+
+  if (minutes < 1) {
+    return 'just now';
+  }
+  if (minutes < 60) {
+    return `${minutes} min ago`;
+  }
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours} h ${minutes % 60} min ago` : `${hours} h ago`;
+};
+
+/**
+ * Live Track Client Component
+ * Polls the live API for new positions and shows where the recorder is, how
+ * far they've gone, and when they were last seen.
+ *
+ * @param {Object} props
+ * @param {string} props.trackId - Track ID
+ * @param {string|null} props.token - Live link token from the URL
+ */
+export default function LiveTrackClient({ trackId, token }) {
+  const [track, setTrack] = useState(null);
+  const [points, setPoints] = useState([]);
+  const [expiresAt, setExpiresAt] = useState(null);
+  const [error, setError] = useState(token ? null : 'This live link is missing its token.');
+  const [loading, setLoading] = useState(Boolean(token));
+  const [now, setNow] = useState(() => new Date());
+  const lastSequenceRef = useRef(undefined);
+
+  const isFinished = FINISHED_STATUSES.includes(track?.status);
+
+  /**
+   * Fetch points recorded since the last poll
+   */
+  const poll = useCallback(async () => {
+    let hasMore = true;
+
+    while (hasMore) {
+      const result = await getLivePosition(trackId, token, lastSequenceRef.current);
+
+      if (result.error) {
+        setError(
+          result.status === 404
+            ? 'This live link has expired or been revoked.'
+            : result.error.message || 'Failed to load live location'
+        );
+        setLoading(false);
+        return;
+      }
+
+      if (result.points.length > 0) {
+        lastSequenceRef.current = result.points[result.points.length - 1].sequenceNum;
+        setPoints((prev) => [...prev, ...result.points]);
+      }
+      setTrack(result.track);
+      setExpiresAt(result.expiresAt);
+      setError(null);
+      ({ hasMore } = result);
+    }
+
+    setLoading(false);
+    setNow(new Date());
+  }, [trackId, token]);
+
+  // Poll until recording finishes or the link stops working
+  useEffect(() => {
+    if (!token || isFinished || error) {
+      return;
+    }
+
+    poll();
+    const interval = setInterval(poll, LIVE_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [token, isFinished, error, poll]);
+
+  const latestPoint = points.length > 0 ? points[points.length - 1] : null;
+  const currentPosition = useMemo(
+    () =>
+      latestPoint ? { latitude: latestPoint.latitude, longitude: latestPoint.longitude } : null,
+    [latestPoint]
+  );
+  const distanceMeters = useMemo(
+    () =>
+      isFinished && track.distanceMeters ? track.distanceMeters : calculateTotalDistance(points),
+    [isFinished, track, points]
+  );
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-12">
+        <div className="max-w-md mx-auto px-4 text-center">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
+            Live location unavailable
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  let statusLabel = 'Live';
+  let statusClass = 'bg-red-500';
+  if (isFinished) {
+    statusLabel = 'Finished';
+    statusClass = 'bg-gray-500';
+  } else if (track.status === 'paused') {
+    statusLabel = 'Paused';
+    statusClass = 'bg-amber-500';
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-6">
+      <div className="max-w-4xl mx-auto px-4 space-y-4">
+        {/* Header */}
+        <div className="flex items-center justify-between gap-4">
+          <div className="flex items-center gap-2 min-w-0">
+            <span className="text-2xl">{getActivityIcon(track.activityType)}</span>
+            <h1 className="text-xl font-bold text-gray-900 dark:text-white truncate">
+              {track.title || 'Live track'}
+            </h1>
+          </div>
+          <span
+            className={`flex-shrink-0 px-3 py-1 rounded-full text-xs font-semibold text-white ${statusClass}`}
+          >
+            {statusLabel}
+          </span>
+        </div>
+
+        {/* Map */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm overflow-hidden">
+          <div className="h-[400px] md:h-[500px]">
+            <LiveTrackMap
+              points={points}
+              currentPosition={isFinished ? null : currentPosition}
+              activityType={track.activityType}
+              isLive={!isFinished}
+              showStats={false}
+            />
+          </div>
+        </div>
+
+        {/* Stats */}
+        <div className="grid grid-cols-3 gap-4">
+          <div className="bg-white dark:bg-gray-800 rounded-lg p-4 shadow-sm">
+            <div className="text-sm text-gray-500 dark:text-gray-400">Distance</div>
+            <div className="text-xl font-bold text-gray-900 dark:text-white">
+              {formatDistance(distanceMeters)}
+            </div>
+          </div>
+          <div className="bg-white dark:bg-gray-800 rounded-lg p-4 shadow-sm">
+            <div className="text-sm text-gray-500 dark:text-gray-400">Last seen</div>
+            <div className="text-xl font-bold text-gray-900 dark:text-white">
+              {latestPoint ? formatLastSeen(latestPoint.recordedAt, now) : 'Waiting for GPS'}
+            </div>
+          </div>
+          <div className="bg-white dark:bg-gray-800 rounded-lg p-4 shadow-sm">
+            <div className="text-sm text-gray-500 dark:text-gray-400">Link expires</div>
+            <div className="text-xl font-bold text-gray-900 dark:text-white">
+              {new Date(expiresAt).toLocaleString([], {
+                weekday: 'short',
+                hour: 'numeric',
+                minute: '2-digit',
+              })}
+            </div>
+          </div>
+        </div>
+
+        {latestPoint && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Last position {latestPoint.latitude.toFixed(5)}, {latestPoint.longitude.toFixed(5)}
+            {isFinished ? '' : ` · updates every ${LIVE_POLL_INTERVAL_MS / 1000} seconds`}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
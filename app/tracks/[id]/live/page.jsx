@@ -0,0 +1,22 @@
+import LiveTrackClient from './LiveTrackClient';
+
+/**
+ * Live pages are private to whoever holds the link, so keep them out of search
+ */
+export const metadata = {
+  title: 'Live Location | ParkLookup',
+  robots: { index: false, follow: false },
+};
+
+/**
+ * Live Track Page
+ * Public "watch me live" view of a track being recorded. The token in the URL
+ * is checked by the live API on every poll, so an expired or revoked link
+ * stops showing positions straight away.
+ */
+export default async function LiveTrackPage({ params, searchParams }) {
+  const { id } = await params;
+  const { token } = await searchParams;
+
+  return <LiveTrackClient trackId={id} token={token || null} />;
+}
@@ -1,4 +1,5 @@
 import { createServiceClient } from '@/lib/supabase/server';
+import { applyCleanedValues } from '@/lib/tracking/track-finalize';
 import TrackDetailClient from './TrackDetailClient';
 
 /**
@@ -161,12 +162,14 @@ export default async function TrackDetailPage({ params }) {
     trails,
   };
 
-  // Fetch track points
-  const { data: points } = await supabase
+  // Fetch track points, showing cleaned positions and leaving out GPS outliers
+  const { data: pointRows } = await supabase
     .from('track_points')
     .select('*')
     .eq('track_id', id)
+    .eq('is_outlier', false)
     .order('sequence_num', { ascending: true });
+  const points = pointRows?.map(applyCleanedValues);
 
   // Fetch track media
   const { data: trackMedia } = await supabase
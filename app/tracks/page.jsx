@@ -6,8 +6,19 @@ import dynamic from 'next/dynamic';
 import { useAuth } from '@/hooks/useAuth';
 import { useProStatus } from '@/hooks/useProStatus';
 import { useTrackingContext } from '@/contexts/TrackingContext';
-import { getTracks, deleteTrack } from '@/lib/tracking/tracking-client';
+import {
+  getTracks,
+  deleteTrack,
+  importTrack,
+  getAchievements,
+} from '@/lib/tracking/tracking-client';
 import TrackCard from '@/components/tracking/TrackCard';
+import RouteFollowPanel from '@/components/tracking/RouteFollowPanel';
+import LiveShareControls from '@/components/tracking/LiveShareControls';
+import CheckInFields, { EMPTY_CHECK_IN } from '@/components/tracking/CheckInFields';
+import CheckInStatus from '@/components/tracking/CheckInStatus';
+import AchievementsPanel from '@/components/tracking/AchievementsPanel';
+import { buildCheckInConfig } from '@/lib/tracking/check-in';
 import Link from 'next/link';
 
 // Dynamically import LiveTrackMap to avoid SSR issues with Leaflet
@@ -49,6 +60,8 @@ function TracksPageContent() {
     error: trackingError,
     currentPosition,
     detectedActivity,
+    followedRoute,
+    navigation,
     startNewTrack,
     stopCurrentTrack,
     pauseCurrentTrack,
@@ -65,6 +78,7 @@ function TracksPageContent() {
   const [activeTab, setActiveTab] = useState(tabParam || (isTracking ? 'tracking' : 'my-tracks'));
 
   const [tracks, setTracks] = useState([]);
+  const [achievements, setAchievements] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [recovering, setRecovering] = useState(false);
@@ -76,6 +90,10 @@ function TracksPageContent() {
   const [pagination, setPagination] = useState({ total: 0, limit: 20, offset: 0 });
   const [startingTrack, setStartingTrack] = useState(false);
   const [startError, setStartError] = useState(null);
+  const [checkIn, setCheckIn] = useState(EMPTY_CHECK_IN);
+  const [importing, setImporting] = useState(false);
+  const [importError, setImportError] = useState(null);
+  const importInputRef = useRef(null);
   
   // Ref to track if auto-start has been attempted (prevents infinite loops)
   const autoStartAttemptedRef = useRef(false);
@@ -97,13 +115,18 @@ function TracksPageContent() {
     setStartError(null);
 
     try {
-      await startNewTrack({
+      const started = await startNewTrack({
         title: trailName || parkName || 'New Track',
         parkCode,
         parkId,
         localParkId,
         trailId,
+        ...buildCheckInConfig(checkIn),
       });
+      if (started?.error) {
+        setStartError(started.error.error || started.error.message || 'Failed to start tracking');
+        return;
+      }
       setActiveTab('tracking');
     } catch (err) {
       console.error('Failed to start tracking:', err);
@@ -111,7 +134,7 @@ function TracksPageContent() {
     } finally {
       setStartingTrack(false);
     }
-  }, [user, isPro, isTracking, startingTrack, startNewTrack, trailName, parkName, parkCode, parkId, localParkId, trailId]);
+  }, [user, isPro, isTracking, startingTrack, startNewTrack, trailName, parkName, parkCode, parkId, localParkId, trailId, checkIn]);
 
   // Update active tab when tracking state changes
   useEffect(() => {
@@ -259,6 +282,20 @@ function TracksPageContent() {
     }
   }, [fetchTracks, accessToken, isPro, activeTab]);
 
+  // Fetch personal records and badges
+  const fetchAchievements = useCallback(async () => {
+    const result = await getAchievements(accessToken);
+    if (!result.error) {
+      setAchievements(result.achievements);
+    }
+  }, [accessToken]);
+
+  useEffect(() => {
+    if (accessToken && isPro && activeTab === 'my-tracks') {
+      fetchAchievements();
+    }
+  }, [fetchAchievements, accessToken, isPro, activeTab]);
+
   // Handle delete track
   const handleDelete = async (trackIdToDelete) => {
     if (!confirm('Are you sure you want to delete this track?')) return;
@@ -269,12 +306,38 @@ function TracksPageContent() {
         alert(result.error.message || 'Failed to delete track');
       } else {
         setTracks((prev) => prev.filter((t) => t.id !== trackIdToDelete));
+        fetchAchievements();
       }
     } catch (err) {
       alert('Failed to delete track');
     }
   };
 
+  // Handle importing a GPX/FIT file
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !accessToken) {
+      return;
+    }
+
+    setImporting(true);
+    setImportError(null);
+
+    try {
+      const result = await importTrack(accessToken, file);
+      if (result.error) {
+        setImportError(result.error.error || result.error.message || 'Failed to import track');
+      } else {
+        router.push(`/tracks/${result.track.id}`);
+      }
+    } catch (err) {
+      setImportError('Failed to import track');
+    } finally {
+      setImporting(false);
+    }
+  };
+
   // Handle pagination
   const handleNextPage = () => {
     setPagination((prev) => ({
@@ -429,8 +492,32 @@ function TracksPageContent() {
         {/* Header */}
         <div className="flex items-center justify-between mb-6">
           <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Tracks</h1>
+          <div>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".gpx,.fit,application/gpx+xml"
+              onChange={handleImportFile}
+              className="hidden"
+              data-testid="import-track-input"
+            />
+            <button
+              onClick={() => importInputRef.current?.click()}
+              disabled={importing}
+              className="px-4 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+            >
+              {importing ? 'Importing...' : 'Import GPX/FIT'}
+            </button>
+          </div>
         </div>
 
+        {/* Import Error */}
+        {importError && (
+          <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4 mb-6">
+            <p className="text-red-600 dark:text-red-400">{importError}</p>
+          </div>
+        )}
+
         {/* Tabs */}
         <div className="flex border-b border-gray-200 dark:border-gray-700 mb-6">
           {TABS.map((tab) => (
@@ -619,6 +706,9 @@ function TracksPageContent() {
                       currentPosition={currentPosition}
                       isTracking={isTracking}
                       isPaused={isPaused}
+                      isLive
+                      followedRoute={followedRoute}
+                      navigation={navigation}
                     />
                   </div>
                 </div>
@@ -651,6 +741,19 @@ function TracksPageContent() {
                   </div>
                 </div>
 
+                {/* Route following */}
+                <RouteFollowPanel
+                  trailId={trailId}
+                  trailName={trailName}
+                  className="bg-white dark:bg-gray-800 shadow-sm"
+                />
+
+                {/* Live location link */}
+                <LiveShareControls className="bg-white dark:bg-gray-800 shadow-sm" />
+
+                {/* Overdue check-in */}
+                <CheckInStatus className="bg-white dark:bg-gray-800 shadow-sm" />
+
                 {/* Controls */}
                 <div className="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm">
                   <div className="flex flex-wrap items-center justify-center gap-4">
@@ -734,6 +837,14 @@ function TracksPageContent() {
                     : 'Go to a park or trail page and click "Start Tracking" to begin recording your activity.'}
                 </p>
 
+                {(parkCode || parkId || localParkId || trailId) && (
+                  <CheckInFields
+                    value={checkIn}
+                    onChange={setCheckIn}
+                    className="max-w-md mx-auto mb-6"
+                  />
+                )}
+
                 {(parkCode || parkId || localParkId || trailId) ? (
                   <button
                     onClick={handleStartTracking}
@@ -786,6 +897,11 @@ function TracksPageContent() {
         {/* My Tracks Tab */}
         {activeTab === 'my-tracks' && (
           <>
+            {/* Personal records and badges */}
+            {achievements && (
+              <AchievementsPanel achievements={achievements} linkTracks className="mb-6" />
+            )}
+
             {/* Filters */}
             <div className="bg-white dark:bg-gray-800 rounded-lg p-4 mb-6 shadow-sm">
               <div className="flex flex-wrap gap-4">
@@ -0,0 +1,431 @@
+/**
+ * Trip Detail Client Component
+ * View a saved trip with full details and map. With a share token, anyone
+ * can view the trip read-only without signing in. Trips downloaded for
+ * offline use render from the copy on this device when there's no signal.
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter, useParams } from 'next/navigation';
+import Link from 'next/link';
+import { useAuth } from '@/hooks/useAuth';
+import { useProfile } from '@/hooks/useProfile';
+import { useOnlineStatus } from '@/hooks/useOnlineStatus';
+import { useOfflineStorage } from '@/hooks/useOfflineStorage';
+import TripDetail from '@/components/trips/TripDetail';
+import TripMap from '@/components/trips/TripMap';
+import TripMembersPanel from '@/components/trips/TripMembersPanel';
+import TripSharePanel from '@/components/trips/TripSharePanel';
+import TripOfflinePanel from '@/components/trips/TripOfflinePanel';
+import Card, { CardContent } from '@/components/ui/Card';
+
+/**
+ * TripDetailClient component
+ * @param {Object} props - Component props
+ * @param {string|null} props.shareToken - Share token from the ?share= query parameter
+ */
+export default function TripDetailClient({ shareToken = null }) {
+  const router = useRouter();
+  const params = useParams();
+  const { id } = params;
+  const { session, loading: authLoading, isAuthenticated } = useAuth();
+  const { isPro, loading: profileLoading } = useProfile();
+  const isOnline = useOnlineStatus();
+  const {
+    isReady: storageReady,
+    error: storageError,
+    getOfflineTrip,
+    saveOfflineTrip,
+    removeOfflineTrip,
+  } = useOfflineStorage();
+  
+  const [trip, setTrip] = useState(null);
+  const [offlinePack, setOfflinePack] = useState(null);
+  const [offlineChecked, setOfflineChecked] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+
+  /**
+   * Fetch trip data
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.silent] - Refresh without showing the loading state (after edits)
+   */
+  const fetchTrip = useCallback(async ({ silent = false } = {}) => {
+    if (!id || (!session?.access_token && !shareToken)) {return;}
+
+    try {
+      if (!silent) {
+        setLoading(true);
+      }
+      setError(null);
+
+      const query = shareToken ? `?share=${encodeURIComponent(shareToken)}` : '';
+      const response = await fetch(`/api/trips/${id}${query}`, {
+        headers: session?.access_token
+          ? { Authorization: `Bearer ${session.access_token}` }
+          : {},
+      });
+
+      if (!response.ok) {
+        if (response.status === 404) {
+          setError({ message: 'Trip not found' });
+        } else if (response.status === 401 && !shareToken) {
+          router.push(`/signin?redirect=/trip/${  id}`);
+        } else {
+          const data = await response.json();
+          setError({ message: data.error || 'Failed to load trip' });
+        }
+        return;
+      }
+
+      const data = await response.json();
+      setTrip(data.trip);
+    } catch (err) {
+      console.error('Error fetching trip:', err);
+      setError({ message: 'Failed to load trip' });
+    } finally {
+      setLoading(false);
+    }
+  }, [session, id, router, shareToken]);
+
+  /**
+   * Redirect to signin if not authenticated (shared links don't need an account,
+   * and signing in is impossible offline)
+   */
+  useEffect(() => {
+    if (!authLoading && !isAuthenticated && !shareToken && isOnline) {
+      router.push(`/signin?redirect=/trip/${id}`);
+    }
+  }, [authLoading, isAuthenticated, router, id, shareToken, isOnline]);
+
+  /**
+   * Look for a copy of this trip saved for offline use
+   */
+  useEffect(() => {
+    if (storageError) {
+      setOfflineChecked(true);
+      return;
+    }
+    if (!storageReady || !id) {
+      return;
+    }
+
+    getOfflineTrip(id)
+      .then(setOfflinePack)
+      .catch((err) => console.error('Error reading offline trip:', err))
+      .finally(() => setOfflineChecked(true));
+  }, [storageReady, storageError, id, getOfflineTrip]);
+
+  /**
+   * Save a freshly downloaded offline pack
+   * @param {Object} pack - Pack from buildOfflineTripPack
+   */
+  const handleSaveOffline = useCallback(async (pack) => {
+    await saveOfflineTrip(pack);
+    setOfflinePack(pack);
+  }, [saveOfflineTrip]);
+
+  /**
+   * Remove the offline copy of this trip
+   */
+  const handleRemoveOffline = useCallback(async () => {
+    await removeOfflineTrip(id);
+    setOfflinePack(null);
+  }, [removeOfflineTrip, id]);
+
+  /**
+   * Fetch trip when authenticated or viewing a shared link
+   */
+  useEffect(() => {
+    if (authLoading) {
+      return;
+    }
+    if ((isAuthenticated && session?.access_token) || shareToken) {
+      fetchTrip();
+    }
+  }, [authLoading, isAuthenticated, session, shareToken, fetchTrip]);
+
+  /**
+   * Handle regenerate trip
+   */
+  const handleRegenerate = useCallback(() => {
+    router.push('/trip/new');
+  }, [router]);
+
+  /**
+   * Handle delete trip
+   */
+  const handleDelete = useCallback(async () => {
+    if (!session?.access_token || !id) {return;}
+
+    try {
+      setIsDeleting(true);
+
+      const response = await fetch(`/api/trips/${id}`, {
+        method: 'DELETE',
+        headers: {
+          Authorization: `Bearer ${session.access_token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to delete trip');
+      }
+
+      router.push('/trips');
+    } catch (err) {
+      console.error('Error deleting trip:', err);
+      setError({ message: err.message });
+      setIsDeleting(false);
+      setShowDeleteConfirm(false);
+    }
+  }, [session, id, router]);
+
+  // Offline without a loaded trip: fall back to the copy saved on this device
+  const showOfflineCopy = !isOnline && !trip && Boolean(offlinePack);
+
+  if (!isOnline && !trip && !offlinePack) {
+    if (!offlineChecked) {
+      return (
+        <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-600 mx-auto" />
+            <p className="mt-4 text-gray-600">Loading trip...</p>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-4xl mx-auto px-4 py-8">
+          <Card>
+            <CardContent className="p-8 text-center">
+              <div className="w-16 h-16 mx-auto bg-gray-100 rounded-full flex items-center justify-center mb-4">
+                <span className="text-3xl">📴</span>
+              </div>
+              <h2 className="text-xl font-bold text-gray-900 mb-2">
+                You&apos;re offline
+              </h2>
+              <p className="text-gray-600">
+                This trip isn&apos;t saved on this device. Use &quot;Download for Offline&quot; on
+                the trip page next time you have a connection.
+              </p>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    );
+  }
+
+  // Show loading while checking auth or loading profile
+  if (!showOfflineCopy && (authLoading || profileLoading || ((isAuthenticated || shareToken) && loading))) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-600 mx-auto" />
+          <p className="mt-4 text-gray-600">Loading trip...</p>
+        </div>
+      </div>
+    );
+  }
+
+  // Don't render if not authenticated (will redirect)
+  if (!showOfflineCopy && !isAuthenticated && !shareToken) {
+    return null;
+  }
+
+  // Show error state
+  if (!showOfflineCopy && error) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-4xl mx-auto px-4 py-8">
+          <Link
+            href="/trips"
+            className="inline-flex items-center gap-1 text-green-600 hover:text-green-700 mb-4"
+          >
+            ← Back to My Trips
+          </Link>
+          
+          <Card>
+            <CardContent className="p-8 text-center">
+              <div className="w-16 h-16 mx-auto bg-red-100 rounded-full flex items-center justify-center mb-4">
+                <span className="text-3xl">😕</span>
+              </div>
+              <h2 className="text-xl font-bold text-gray-900 mb-2">
+                {error.message}
+              </h2>
+              <p className="text-gray-600 mb-4">
+                {shareToken
+                  ? 'This share link may have been turned off by the trip owner.'
+                  : "The trip you're looking for might have been deleted or doesn't exist."}
+              </p>
+              <Link
+                href="/trips"
+                className="inline-flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+              >
+                View My Trips
+              </Link>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    );
+  }
+
+  // Show trip not found
+  if (!trip && !showOfflineCopy) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <p className="text-gray-600">Trip not found</p>
+        </div>
+      </div>
+    );
+  }
+
+  const shownTrip = showOfflineCopy ? offlinePack.trip : trip;
+  const isOwner = !shownTrip.role || shownTrip.role === 'owner';
+  const isSharedView = Boolean(shownTrip.viaShareLink);
+  const offlineTrails = offlinePack ? Object.values(offlinePack.trails || {}).flat() : [];
+
+  // Only the owner can delete or start over; shared links and offline copies are read-only
+  let tripDetail;
+  if (showOfflineCopy) {
+    tripDetail = <TripDetail trip={shownTrip} isPro={isPro} offlineWeather={offlinePack.weather} />;
+  } else if (isSharedView) {
+    tripDetail = <TripDetail trip={trip} isPro={isPro} />;
+  } else {
+    tripDetail = (
+      <TripDetail
+        trip={trip}
+        onRegenerate={isOwner ? handleRegenerate : undefined}
+        onDelete={isOwner ? () => setShowDeleteConfirm(true) : undefined}
+        isPro={isPro}
+        accessToken={session?.access_token}
+        onTripUpdated={() => fetchTrip({ silent: true })}
+      />
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-green-600 to-emerald-600 text-white">
+        <div className="max-w-6xl mx-auto px-4 py-6">
+          {showOfflineCopy && (
+            <p className="text-green-100 mb-2">
+              📴 You&apos;re offline. Showing the copy saved{' '}
+              {new Date(offlinePack.savedAt).toLocaleDateString()}.
+            </p>
+          )}
+          {isSharedView ? (
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <p className="text-green-100">👀 You&apos;re viewing a shared trip</p>
+              <Link
+                href={isAuthenticated ? '/trip/new' : '/signup'}
+                className="inline-flex items-center gap-1 text-white font-medium hover:underline"
+              >
+                Plan your own trip →
+              </Link>
+            </div>
+          ) : (
+            <Link
+              href="/trips"
+              className="inline-flex items-center gap-1 text-green-100 hover:text-white mb-2"
+            >
+              ← Back to My Trips
+            </Link>
+          )}
+        </div>
+      </div>
+
+      {/* Content */}
+      <div className="max-w-6xl mx-auto px-4 py-8">
+        {/* Map */}
+        {shownTrip.stops && shownTrip.stops.length > 0 && (
+          <div className="mb-8">
+            <TripMap
+              stops={shownTrip.stops}
+              origin={{
+                lat: shownTrip.originLat,
+                lng: shownTrip.originLng,
+              }}
+              originName={shownTrip.origin}
+              trails={offlineTrails}
+            />
+          </div>
+        )}
+
+        {/* Trip Details */}
+        {tripDetail}
+
+        {/* Members, public link, and offline copy */}
+        {!isSharedView && (
+          <div className="mt-6 space-y-6">
+            {!showOfflineCopy && (
+              <TripMembersPanel
+                tripId={trip.id}
+                accessToken={session?.access_token}
+                currentUserId={session?.user?.id}
+                onLeft={() => router.push('/trips')}
+              />
+            )}
+            {isOwner && !showOfflineCopy && (
+              <TripSharePanel tripId={trip.id} accessToken={session?.access_token} />
+            )}
+            {!storageError && (
+              <TripOfflinePanel
+                trip={shownTrip}
+                savedPack={offlinePack}
+                isOnline={isOnline}
+                onSave={handleSaveOffline}
+                onRemove={handleRemoveOffline}
+              />
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Delete Confirmation Modal */}
+      {showDeleteConfirm && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6">
+            <div className="text-center">
+              <div className="w-16 h-16 mx-auto bg-red-100 rounded-full flex items-center justify-center mb-4">
+                <span className="text-3xl">🗑️</span>
+              </div>
+              <h3 className="text-xl font-bold text-gray-900 mb-2">
+                Delete Trip?
+              </h3>
+              <p className="text-gray-600 mb-6">
+                Are you sure you want to delete &ldquo;{trip.title}&rdquo;? This action cannot be undone.
+              </p>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setShowDeleteConfirm(false)}
+                  disabled={isDeleting}
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleDelete}
+                  disabled={isDeleting}
+                  className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                >
+                  {isDeleting ? 'Deleting...' : 'Delete'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
\ No newline at end of file
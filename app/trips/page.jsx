@@ -10,6 +10,7 @@ import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { useAuth } from '@/hooks/useAuth';
 import TripCard, { TripCardSkeleton } from '@/components/trips/TripCard';
+import CalendarFeedPanel from '@/components/trips/CalendarFeedPanel';
 import Button from '@/components/ui/Button';
 
 /**
@@ -51,6 +52,7 @@ export default function TripsPage() {
   const { session, loading: authLoading, isAuthenticated } = useAuth();
   
   const [trips, setTrips] = useState([]);
+  const [sharedTrips, setSharedTrips] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [pagination, setPagination] = useState(null);
@@ -83,6 +85,7 @@ export default function TripsPage() {
 
       const data = await response.json();
       setTrips(data.trips || []);
+      setSharedTrips(data.sharedTrips || []);
       setPagination(data.pagination);
       
       // Also check pro status from profile API
@@ -186,11 +189,14 @@ export default function TripsPage() {
                 Your AI-generated park itineraries
               </p>
             </div>
-            <Link href="/trip/new">
-              <Button variant="white">
-                + Create New Trip
-              </Button>
-            </Link>
+            <div className="flex flex-col sm:flex-row sm:items-start gap-2">
+              <CalendarFeedPanel accessToken={session?.access_token} />
+              <Link href="/trip/new">
+                <Button variant="white">
+                  + Create New Trip
+                </Button>
+              </Link>
+            </div>
           </div>
         </div>
       </div>
@@ -223,7 +229,7 @@ export default function TripsPage() {
         )}
 
         {/* Empty State */}
-        {!loading && trips.length === 0 && (
+        {!loading && trips.length === 0 && sharedTrips.length === 0 && (
           <div className="text-center py-16">
             <div className="w-24 h-24 mx-auto bg-green-100 rounded-full flex items-center justify-center mb-6">
               <span className="text-5xl">🏕️</span>
@@ -295,6 +301,21 @@ export default function TripsPage() {
           </>
         )}
 
+        {/* Shared Trips */}
+        {!loading && sharedTrips.length > 0 && (
+          <div className={trips.length > 0 ? 'mt-12' : ''}>
+            <h2 className="text-xl font-bold text-gray-900 mb-4">👥 Shared with Me</h2>
+            <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {sharedTrips.map(trip => (
+                <TripCard
+                  key={trip.id}
+                  trip={trip}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Free Tier Notice - only show for non-pro users */}
         {!loading && !isPro && trips.length > 0 && trips.length >= 1 && (
           <div className="mt-8 bg-gradient-to-r from-green-50 to-emerald-50 border border-green-200 rounded-lg p-4">
@@ -6,11 +6,12 @@ import Link from 'next/link';
 import { useAuth } from '@/hooks/useAuth';
 import { toggleFollow, getUserMedia, toggleMediaLike } from '@/lib/media/media-client';
 import { MediaCard } from '@/components/media/MediaGrid';
+import AchievementsPanel from '@/components/tracking/AchievementsPanel';
 
 /**
  * User Profile Client Component
  */
-export default function UserProfileClient({ profile, initialMedia = [] }) {
+export default function UserProfileClient({ profile, initialMedia = [], achievements = null }) {
   const { user, accessToken } = useAuth();
   const [isFollowing, setIsFollowing] = useState(false);
   const [followersCount, setFollowersCount] = useState(profile.followers_count || 0);
@@ -217,6 +218,8 @@ export default function UserProfileClient({ profile, initialMedia = [] }) {
           </div>
         </div>
 
+        {achievements && <AchievementsPanel achievements={achievements} className="mb-6" />}
+
         {/* Media Grid */}
         <div>
           <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
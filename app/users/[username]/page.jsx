@@ -1,5 +1,6 @@
 import { createServiceClient } from '@/lib/supabase/server';
 import { notFound } from 'next/navigation';
+import { getUserAchievements, withoutTrackLinks } from '@/lib/tracking/achievements';
 import UserProfileClient from './UserProfileClient';
 
 /**
@@ -150,6 +151,9 @@ export default async function UserProfilePage({ params }) {
     };
   }) || [];
 
+  // Only public, shared tracks count toward what other people see
+  const achievements = await getUserAchievements(supabase, userId, { publicOnly: true });
+
   const profileData = {
     ...profile,
     followers_count: followersCount || 0,
@@ -157,5 +161,11 @@ export default async function UserProfilePage({ params }) {
     media_count: mediaCount || 0,
   };
 
-  return <UserProfileClient profile={profileData} initialMedia={mediaWithUrls} />;
+  return (
+    <UserProfileClient
+      profile={profileData}
+      initialMedia={mediaWithUrls}
+      achievements={achievements ? withoutTrackLinks(achievements) : null}
+    />
+  );
 }
\ No newline at end of file
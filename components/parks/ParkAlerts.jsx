@@ -0,0 +1,154 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+
+/**
+ * Display settings per alert category, most severe first
+ */
+const CATEGORY_CONFIG = {
+  closure: {
+    label: 'Closure',
+    icon: '⛔',
+    banner: 'bg-red-50 border-red-500 text-red-900 dark:bg-red-900/30 dark:text-red-200',
+    badge: 'bg-red-600 text-white',
+  },
+  danger: {
+    label: 'Danger',
+    icon: '⚠️',
+    banner:
+      'bg-orange-50 border-orange-500 text-orange-900 dark:bg-orange-900/30 dark:text-orange-200',
+    badge: 'bg-orange-600 text-white',
+  },
+  caution: {
+    label: 'Caution',
+    icon: '⚠️',
+    banner:
+      'bg-yellow-50 border-yellow-500 text-yellow-900 dark:bg-yellow-900/30 dark:text-yellow-200',
+    badge: 'bg-yellow-500 text-black',
+  },
+  information: {
+    label: 'Information',
+    icon: 'ℹ️',
+    banner: 'bg-blue-50 border-blue-500 text-blue-900 dark:bg-blue-900/30 dark:text-blue-200',
+    badge: 'bg-blue-500 text-white',
+  },
+};
+
+/**
+ * Summarize alert counts by category, e.g. "2 closures, 1 caution"
+ * @param {Array<Object>} alerts - Alerts, most severe first
+ * @returns {string} Summary
+ */
+const summarizeAlerts = (alerts) => {
+  const counts = new Map();
+  alerts.forEach((alert) => counts.set(alert.category, (counts.get(alert.category) || 0) + 1));
+
+  return [...counts.entries()]
+    .map(([category, count]) => {
+      const label = (CATEGORY_CONFIG[category] || CATEGORY_CONFIG.information).label.toLowerCase();
+      return `${count} ${count === 1 ? label : `${label}s`}`;
+    })
+    .join(', ');
+};
+
+/**
+ * Park Alerts Component
+ * Banner with a park's active NPS alerts (closures, hazards, notices),
+ * colored by the most severe one. Renders nothing when there are none.
+ *
+ * @param {Object} props
+ * @param {string} props.parkCode - NPS park code
+ * @param {boolean} [props.compact=false] - Titles only, for trip day cards
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export default function ParkAlerts({ parkCode, compact = false, className = '' }) {
+  const [alerts, setAlerts] = useState([]);
+  const [expanded, setExpanded] = useState(false);
+
+  useEffect(() => {
+    if (!parkCode) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const fetchAlerts = async () => {
+      try {
+        const response = await fetch(`/api/parks/${encodeURIComponent(parkCode)}/alerts`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch park alerts');
+        }
+        const data = await response.json();
+        if (!cancelled) {
+          setAlerts(data.alerts || []);
+        }
+      } catch (err) {
+        // Alerts are supplementary; the page works without them
+        console.error('Error fetching park alerts:', err);
+      }
+    };
+
+    fetchAlerts();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [parkCode]);
+
+  if (alerts.length === 0) {
+    return null;
+  }
+
+  const [topAlert] = alerts;
+  const config = CATEGORY_CONFIG[topAlert.category] || CATEGORY_CONFIG.information;
+  const visibleAlerts = compact || expanded ? alerts : alerts.slice(0, 1);
+
+  return (
+    <div role="alert" className={`border-l-4 rounded-lg p-3 ${config.banner} ${className}`}>
+      <p className="text-sm font-semibold flex items-center gap-2">
+        <span aria-hidden="true">{config.icon}</span>
+        Park alerts: {summarizeAlerts(alerts)}
+      </p>
+
+      <ul className="mt-2 space-y-2">
+        {visibleAlerts.map((alert) => {
+          const alertConfig = CATEGORY_CONFIG[alert.category] || CATEGORY_CONFIG.information;
+          return (
+            <li key={alert.id} className="text-sm">
+              <span
+                className={`inline-block mr-2 px-1.5 py-0.5 rounded text-xs font-medium ${alertConfig.badge}`}
+              >
+                {alertConfig.label}
+              </span>
+              {alert.url ? (
+                <a
+                  href={alert.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="font-medium underline"
+                >
+                  {alert.title}
+                </a>
+              ) : (
+                <span className="font-medium">{alert.title}</span>
+              )}
+              {!compact && alert.description && (
+                <p className="mt-1 opacity-90">{alert.description}</p>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {!compact && alerts.length > 1 && (
+        <button
+          type="button"
+          onClick={() => setExpanded(!expanded)}
+          className="mt-2 text-sm font-medium underline"
+        >
+          {expanded ? 'Show fewer alerts' : `Show all ${alerts.length} alerts`}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,200 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Image from 'next/image';
+
+/**
+ * Labels for the campground amenity flags
+ */
+const AMENITY_LABELS = {
+  toilets: 'Toilets',
+  showers: 'Showers',
+  potable_water: 'Drinking water',
+  dump_station: 'Dump station',
+  camp_store: 'Camp store',
+  laundry: 'Laundry',
+  cell_reception: 'Cell reception',
+  firewood: 'Firewood',
+  food_storage: 'Food storage',
+  trash_collection: 'Trash collection',
+};
+
+/**
+ * Campground card
+ * @param {Object} props
+ * @param {Object} props.campground - campgrounds row
+ */
+function CampgroundCard({ campground }) {
+  const amenities = Object.entries(campground.amenities || {})
+    .filter(([, available]) => available)
+    .map(([amenity]) => amenity);
+  const image = campground.images?.[0];
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm overflow-hidden">
+      {image?.url && (
+        <div className="relative h-40 bg-gray-200 dark:bg-gray-700">
+          <Image
+            src={image.url}
+            alt={image.altText || campground.name}
+            fill
+            className="object-cover"
+            unoptimized
+          />
+        </div>
+      )}
+      <div className="p-4">
+        <h3 className="font-semibold text-gray-900 dark:text-white">{campground.name}</h3>
+
+        <dl className="mt-2 grid grid-cols-3 gap-2 text-sm">
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">Sites</dt>
+            <dd className="font-medium text-gray-900 dark:text-white">
+              {campground.total_sites ?? '—'}
+            </dd>
+          </div>
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">Reservable</dt>
+            <dd className="font-medium text-gray-900 dark:text-white">
+              {campground.reservable_sites ?? '—'}
+            </dd>
+          </div>
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">First-come</dt>
+            <dd className="font-medium text-gray-900 dark:text-white">
+              {campground.first_come_sites ?? '—'}
+            </dd>
+          </div>
+        </dl>
+
+        <div className="mt-3 flex flex-wrap gap-2 text-xs">
+          {campground.rv_allowed && (
+            <span className="px-2 py-1 rounded bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200">
+              RVs allowed
+              {campground.rv_max_length > 0 && ` (up to ${campground.rv_max_length} ft)`}
+            </span>
+          )}
+          {campground.wheelchair_accessible && (
+            <span className="px-2 py-1 rounded bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-200">
+              Accessible sites
+            </span>
+          )}
+          {amenities.map((amenity) => (
+            <span
+              key={amenity}
+              className="px-2 py-1 rounded bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200"
+            >
+              {AMENITY_LABELS[amenity] || amenity}
+            </span>
+          ))}
+        </div>
+
+        {campground.reservation_info && (
+          <p className="mt-3 text-sm text-gray-600 dark:text-gray-400">
+            {campground.reservation_info}
+          </p>
+        )}
+
+        <div className="mt-3 flex gap-4 text-sm">
+          {campground.reservation_url && (
+            <a
+              href={campground.reservation_url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-green-600 hover:text-green-700 dark:text-green-400 font-medium"
+            >
+              Reserve a site →
+            </a>
+          )}
+          {campground.url && (
+            <a
+              href={campground.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-gray-600 hover:text-gray-800 dark:text-gray-400"
+            >
+              Details
+            </a>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Park Campgrounds Component
+ * NPS campgrounds for a park, with site counts, RV and accessibility
+ * information, amenities, and reservation links.
+ *
+ * @param {Object} props
+ * @param {Object} props.park - Park data (uses park_code and source)
+ */
+export default function ParkCampgrounds({ park }) {
+  const parkCode = park.source === 'nps' ? park.park_code : null;
+  const [campgrounds, setCampgrounds] = useState([]);
+  const [loading, setLoading] = useState(Boolean(parkCode));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!parkCode) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const fetchCampgrounds = async () => {
+      try {
+        const response = await fetch(`/api/parks/${encodeURIComponent(parkCode)}/campgrounds`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch campgrounds');
+        }
+        const data = await response.json();
+        if (!cancelled) {
+          setCampgrounds(data.campgrounds || []);
+        }
+      } catch (err) {
+        console.error('Error fetching campgrounds:', err);
+        if (!cancelled) {
+          setError('Unable to load campgrounds');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchCampgrounds();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [parkCode]);
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Camping</h2>
+
+      {loading && <p className="text-gray-600 dark:text-gray-400">Loading campgrounds...</p>}
+
+      {!loading && error && <p className="text-red-600 dark:text-red-400">{error}</p>}
+
+      {!loading && !error && campgrounds.length === 0 && (
+        <p className="text-gray-600 dark:text-gray-400">
+          {parkCode
+            ? 'No campgrounds are listed for this park.'
+            : 'Campground listings are available for National Park Service sites.'}
+        </p>
+      )}
+
+      {campgrounds.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {campgrounds.map((campground) => (
+            <CampgroundCard key={campground.id} campground={campground} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,248 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+
+/**
+ * Most upcoming dates listed for a recurring event
+ */
+const MAX_EVENT_DATES = 3;
+
+/**
+ * Format a YYYY-MM-DD date as e.g. "Sat, Jul 6"
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) =>
+  new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+
+/**
+ * When an event happens: its next few dates for recurring events, otherwise
+ * its date range
+ * @param {Object} event - park_events row
+ * @returns {string} Dates text
+ */
+const getEventDatesText = (event) => {
+  const today = new Date().toISOString().slice(0, 10);
+  const upcoming = (event.dates || []).filter((date) => date >= today);
+
+  if (upcoming.length > 0) {
+    const shown = upcoming.slice(0, MAX_EVENT_DATES).map(formatDate).join(' · ');
+    const more = upcoming.length - MAX_EVENT_DATES;
+    return more > 0 ? `${shown} +${more} more` : shown;
+  }
+  if (event.end_date && event.end_date !== event.start_date) {
+    return `${formatDate(event.start_date)} – ${formatDate(event.end_date)}`;
+  }
+  return formatDate(event.start_date);
+};
+
+/**
+ * Small label badge
+ * @param {Object} props
+ * @param {string} props.color - Tailwind color classes
+ * @param {React.ReactNode} props.children - Label
+ */
+function Badge({ color, children }) {
+  return <span className={`px-2 py-0.5 rounded text-xs font-medium ${color}`}>{children}</span>;
+}
+
+const RANGER_COLOR = 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200';
+const INFO_COLOR = 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-200';
+const NOTICE_COLOR = 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-200';
+
+/**
+ * Upcoming event row
+ * @param {Object} props
+ * @param {Object} props.event - park_events row
+ */
+function EventItem({ event }) {
+  const times = event.is_all_day
+    ? 'All day'
+    : (event.times || [])
+        .map(({ start, end }) => [start, end].filter(Boolean).join(' – '))
+        .join(', ');
+
+  return (
+    <li className="py-3 first:pt-0 last:pb-0">
+      <div className="flex flex-wrap items-center gap-2">
+        {event.info_url ? (
+          <a
+            href={event.info_url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="font-medium text-gray-900 dark:text-white hover:text-green-600"
+          >
+            {event.title}
+          </a>
+        ) : (
+          <p className="font-medium text-gray-900 dark:text-white">{event.title}</p>
+        )}
+        {event.is_ranger_program && <Badge color={RANGER_COLOR}>Ranger program</Badge>}
+        {event.is_free && <Badge color={INFO_COLOR}>Free</Badge>}
+        {event.registration_required && <Badge color={NOTICE_COLOR}>Registration required</Badge>}
+      </div>
+      <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+        {getEventDatesText(event)}
+        {times && ` · ${times}`}
+      </p>
+      {event.location_description && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{event.location_description}</p>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Thing-to-do card
+ * @param {Object} props
+ * @param {Object} props.thing - things_to_do row
+ */
+function ThingToDoCard({ thing }) {
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg p-4 shadow-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <h3 className="font-semibold text-gray-900 dark:text-white">{thing.title}</h3>
+        {thing.is_ranger_program && <Badge color={RANGER_COLOR}>Ranger program</Badge>}
+        {thing.is_reservation_required && <Badge color={NOTICE_COLOR}>Reservation required</Badge>}
+      </div>
+
+      {thing.short_description && (
+        <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">{thing.short_description}</p>
+      )}
+
+      <dl className="mt-2 space-y-1 text-sm">
+        {thing.duration && (
+          <div className="flex gap-1">
+            <dt className="text-gray-500 dark:text-gray-400">Duration:</dt>
+            <dd className="text-gray-900 dark:text-white">{thing.duration}</dd>
+          </div>
+        )}
+        {thing.seasons?.length > 0 && (
+          <div className="flex gap-1">
+            <dt className="text-gray-500 dark:text-gray-400">Season:</dt>
+            <dd className="text-gray-900 dark:text-white capitalize">{thing.seasons.join(', ')}</dd>
+          </div>
+        )}
+        {thing.accessibility_information && (
+          <div className="flex gap-1">
+            <dt className="text-gray-500 dark:text-gray-400">Accessibility:</dt>
+            <dd className="text-gray-900 dark:text-white">{thing.accessibility_information}</dd>
+          </div>
+        )}
+      </dl>
+
+      {thing.url && (
+        <a
+          href={thing.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="mt-3 inline-block text-sm text-green-600 hover:text-green-700 dark:text-green-400 font-medium"
+        >
+          Details →
+        </a>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Park Things To Do Component
+ * A park's upcoming NPS events (ranger programs flagged) and its NPS things to
+ * do with duration, season, and accessibility. Renders nothing when the park
+ * has neither.
+ *
+ * @param {Object} props
+ * @param {string} props.parkCode - NPS park code
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export default function ParkThingsToDo({ parkCode, className = '' }) {
+  const [thingsToDo, setThingsToDo] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [rangerOnly, setRangerOnly] = useState(false);
+
+  useEffect(() => {
+    if (!parkCode) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const fetchThingsToDo = async () => {
+      try {
+        const response = await fetch(`/api/parks/${encodeURIComponent(parkCode)}/things-to-do`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch things to do');
+        }
+        const data = await response.json();
+        if (!cancelled) {
+          setThingsToDo(data.thingsToDo || []);
+          setEvents(data.events || []);
+        }
+      } catch (err) {
+        // Supplementary to the park's activity list
+        console.error('Error fetching things to do:', err);
+      }
+    };
+
+    fetchThingsToDo();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [parkCode]);
+
+  if (thingsToDo.length === 0 && events.length === 0) {
+    return null;
+  }
+
+  const hasRangerPrograms = [...events, ...thingsToDo].some((item) => item.is_ranger_program);
+  const shownEvents = rangerOnly ? events.filter((event) => event.is_ranger_program) : events;
+  const shownThings = rangerOnly
+    ? thingsToDo.filter((thing) => thing.is_ranger_program)
+    : thingsToDo;
+
+  return (
+    <div className={`space-y-8 ${className}`}>
+      {hasRangerPrograms && (
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={rangerOnly}
+            onChange={(e) => setRangerOnly(e.target.checked)}
+            className="rounded text-green-600 focus:ring-green-500"
+          />
+          Ranger programs only
+        </label>
+      )}
+
+      {shownEvents.length > 0 && (
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-3">
+            Upcoming Events
+          </h2>
+          <ul className="bg-white dark:bg-gray-800 rounded-lg p-4 shadow-sm divide-y divide-gray-100 dark:divide-gray-700">
+            {shownEvents.map((event) => (
+              <EventItem key={event.id} event={event} />
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {shownThings.length > 0 && (
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-3">Things To Do</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {shownThings.map((thing) => (
+              <ThingToDoCard key={thing.id} thing={thing} />
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+
+/**
+ * Status badge for a visitor center that has hours today
+ * @param {Object} props
+ * @param {Object} props.status - { open, label } from the visitor centers API
+ */
+function StatusBadge({ status }) {
+  if (!status?.label) {
+    return null;
+  }
+
+  const colors = status.open
+    ? 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-200'
+    : 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200';
+
+  return (
+    <span className={`px-2 py-0.5 rounded text-xs font-medium whitespace-nowrap ${colors}`}>
+      {status.label}
+    </span>
+  );
+}
+
+/**
+ * Visitor Center Hours Component
+ * A park's NPS visitor centers with their hours for a date (holiday
+ * exceptions applied) and, for today, whether they're open now or when they
+ * open. Renders nothing when the park has no visitor centers.
+ *
+ * @param {Object} props
+ * @param {string} props.parkCode - NPS park code
+ * @param {string} [props.date] - YYYY-MM-DD (default: today at the park)
+ * @param {boolean} [props.compact=false] - One line per visitor center, for trip day cards
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export default function VisitorCenterHours({
+  parkCode,
+  date = null,
+  compact = false,
+  className = '',
+}) {
+  const [visitorCenters, setVisitorCenters] = useState([]);
+
+  useEffect(() => {
+    if (!parkCode) {
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const fetchVisitorCenters = async () => {
+      try {
+        const query = date ? `?date=${encodeURIComponent(date)}` : '';
+        const response = await fetch(
+          `/api/parks/${encodeURIComponent(parkCode)}/visitor-centers${query}`
+        );
+        if (!response.ok) {
+          throw new Error('Failed to fetch visitor centers');
+        }
+        const data = await response.json();
+        if (!cancelled) {
+          setVisitorCenters(data.visitorCenters || []);
+        }
+      } catch (err) {
+        // Hours are supplementary; the page works without them
+        console.error('Error fetching visitor centers:', err);
+      }
+    };
+
+    fetchVisitorCenters();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [parkCode, date]);
+
+  const withHours = visitorCenters.filter((visitorCenter) => visitorCenter.hours);
+
+  if (withHours.length === 0) {
+    return null;
+  }
+
+  if (compact) {
+    return (
+      <div className={`flex items-start gap-2 p-3 bg-gray-50 rounded-lg ${className}`}>
+        <span className="text-xl">🏛️</span>
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-900">Visitor Center Hours</p>
+          <ul className="text-sm text-gray-700 space-y-0.5">
+            {withHours.map(({ id, name, hours }) => (
+              <li key={id}>
+                <span className="font-medium">{name}:</span> {hours.text || 'Hours not listed'}
+                {hours.exception && ` (${hours.exception})`}
+                {hours.status?.label && (
+                  <span className="text-gray-500"> · {hours.status.label}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={className}>
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-3">Visitor Centers</h2>
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-4 shadow-sm divide-y divide-gray-100 dark:divide-gray-700">
+        {withHours.map(({ id, name, url, hours }) => (
+          <div key={id} className="py-3 first:pt-0 last:pb-0">
+            <div className="flex items-start justify-between gap-3">
+              {url ? (
+                <a
+                  href={url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="font-medium text-gray-900 dark:text-white hover:text-green-600"
+                >
+                  {name}
+                </a>
+              ) : (
+                <p className="font-medium text-gray-900 dark:text-white">{name}</p>
+              )}
+              <StatusBadge status={hours.status} />
+            </div>
+            <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+              {date ? 'Hours' : 'Today'}: {hours.text || 'Hours not listed'}
+              {hours.exception && (
+                <span className="ml-1 text-amber-700 dark:text-amber-400">({hours.exception})</span>
+              )}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
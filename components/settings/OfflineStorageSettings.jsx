@@ -0,0 +1,220 @@
+/**
+ * OfflineStorageSettings Component
+ * Lists the map regions and trips saved on this device for offline use,
+ * with their sizes, and lets users delete them to free up space
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import Button from '@/components/ui/Button';
+import { useOfflineStorage } from '@/hooks/useOfflineStorage';
+import {
+  formatBytes,
+  deleteRegionTiles,
+  clearRegionTiles,
+  getStorageEstimate,
+} from '@/lib/map/offline-regions';
+
+/**
+ * OfflineStorageSettings component
+ */
+export default function OfflineStorageSettings() {
+  const {
+    isReady,
+    error: storageError,
+    getOfflineRegions,
+    removeOfflineRegion,
+    getOfflineTrips,
+    removeOfflineTrip,
+  } = useOfflineStorage();
+  const [regions, setRegions] = useState([]);
+  const [trips, setTrips] = useState([]);
+  const [estimate, setEstimate] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refreshEstimate = useCallback(async () => {
+    setEstimate(await getStorageEstimate());
+  }, []);
+
+  useEffect(() => {
+    if (!isReady) {
+      return;
+    }
+
+    const load = async () => {
+      try {
+        const [savedRegions, savedTrips] = await Promise.all([
+          getOfflineRegions(),
+          getOfflineTrips(),
+        ]);
+        setRegions(savedRegions);
+        setTrips(savedTrips);
+        await refreshEstimate();
+      } catch (err) {
+        console.error('Error loading offline storage:', err);
+        setError('Failed to load offline downloads');
+      }
+    };
+
+    load();
+  }, [isReady, getOfflineRegions, getOfflineTrips, refreshEstimate]);
+
+  /**
+   * Run a delete and surface its error
+   * @param {Function} action - Async delete action
+   */
+  const runDelete = async (action) => {
+    try {
+      setBusy(true);
+      setError(null);
+      await action();
+      await refreshEstimate();
+    } catch (err) {
+      console.error('Error deleting offline data:', err);
+      setError('Failed to delete offline data');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDeleteRegion = (region) =>
+    runDelete(async () => {
+      const remaining = regions.filter((r) => r.id !== region.id);
+      await deleteRegionTiles(region, remaining);
+      await removeOfflineRegion(region.id);
+      setRegions(remaining);
+    });
+
+  const handleDeleteAllRegions = () =>
+    runDelete(async () => {
+      await clearRegionTiles();
+      await Promise.all(regions.map((region) => removeOfflineRegion(region.id)));
+      setRegions([]);
+    });
+
+  const handleDeleteTrip = (pack) =>
+    runDelete(async () => {
+      await removeOfflineTrip(pack.id);
+      setTrips((prev) => prev.filter((t) => t.id !== pack.id));
+    });
+
+  if (storageError) {
+    return (
+      <p className="text-sm text-gray-500">
+        Offline downloads aren&apos;t supported in this browser.
+      </p>
+    );
+  }
+
+  const regionBytes = regions.reduce((sum, region) => sum + (region.bytes || 0), 0);
+
+  return (
+    <div className="space-y-6">
+      {estimate && (
+        <div>
+          <div className="flex justify-between text-sm text-gray-600 mb-1">
+            <span>Storage used on this device</span>
+            <span>
+              {formatBytes(estimate.usage)} of {formatBytes(estimate.quota)}
+            </span>
+          </div>
+          <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-green-600"
+              style={{
+                width: `${estimate.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : 0}%`,
+              }}
+            />
+          </div>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <p className="font-medium text-gray-900">
+            Offline Maps {regions.length > 0 && `(${formatBytes(regionBytes)})`}
+          </p>
+          {regions.length > 1 && (
+            <Button
+              type="button"
+              size="sm"
+              variant="outline"
+              onClick={handleDeleteAllRegions}
+              disabled={busy}
+            >
+              Delete All
+            </Button>
+          )}
+        </div>
+        {regions.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No offline maps yet. Download one from a trail or park&apos;s trail map.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {regions.map((region) => (
+              <li key={region.id} className="flex items-center justify-between py-2">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{region.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {formatBytes(region.bytes)} · zoom {region.minZoom}–{region.maxZoom} · saved{' '}
+                    {new Date(region.savedAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleDeleteRegion(region)}
+                  disabled={busy}
+                  className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                >
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div>
+        <p className="font-medium text-gray-900 mb-2">Offline Trips</p>
+        {trips.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No trips saved for offline use. Use &quot;Download for Offline&quot; on a trip.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {trips.map((pack) => (
+              <li key={pack.id} className="flex items-center justify-between py-2">
+                <div>
+                  <Link
+                    href={`/trip/${pack.id}`}
+                    className="text-sm font-medium text-gray-900 hover:text-green-700"
+                  >
+                    {pack.trip?.title || 'Untitled trip'}
+                  </Link>
+                  <p className="text-xs text-gray-500">
+                    {formatBytes(pack.tiles?.bytes)} of map tiles · saved{' '}
+                    {new Date(pack.savedAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleDeleteTrip(pack)}
+                  disabled={busy}
+                  className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+'use client';
+
+import Link from 'next/link';
+import { formatDistance, formatDuration, formatElevation } from '@/lib/tracking/track-stats';
+
+const ACTIVITY_LABELS = {
+  walking: 'Walking',
+  hiking: 'Hiking',
+  biking: 'Biking',
+};
+
+/**
+ * Format a YYYY-MM month for display
+ * @param {string} month - Month key
+ * @returns {string} e.g. "June 2025"
+ */
+const formatMonth = (month) =>
+  new Date(`${month}-01T00:00:00Z`).toLocaleDateString(undefined, {
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+
+/**
+ * Format a date for display
+ * @param {string} date - ISO date or timestamp
+ * @returns {string} Localized date
+ */
+const formatDate = (date) =>
+  new Date(date.length === 10 ? `${date}T00:00:00Z` : date).toLocaleDateString(undefined, {
+    timeZone: 'UTC',
+  });
+
+/**
+ * Build the list of records to display
+ * @param {Object} records - Records from the achievements API
+ * @returns {Array<Object>} [{ key, label, value, detail, trackId }]
+ */
+const listRecords = (records) => {
+  const items = [];
+
+  if (records.longestDistance) {
+    items.push({
+      ...records.longestDistance,
+      key: 'longest-distance',
+      label: 'Longest distance',
+      value: formatDistance(records.longestDistance.value),
+    });
+  }
+
+  if (records.biggestClimb) {
+    items.push({
+      ...records.biggestClimb,
+      key: 'biggest-climb',
+      label: 'Biggest climb',
+      value: formatElevation(records.biggestClimb.value),
+    });
+  }
+
+  Object.entries(records.fastestMile || {}).forEach(([activityType, record]) => {
+    items.push({
+      ...record,
+      key: `fastest-mile-${activityType}`,
+      label: `Fastest mile (${ACTIVITY_LABELS[activityType] || activityType})`,
+      value: `${formatDuration(record.value)} /mi`,
+    });
+  });
+
+  if (records.mostParksInMonth) {
+    const { value } = records.mostParksInMonth;
+    items.push({
+      key: 'most-parks',
+      label: 'Most parks in a month',
+      value: `${value} ${value === 1 ? 'park' : 'parks'}`,
+      detail: formatMonth(records.mostParksInMonth.month),
+    });
+  }
+
+  if (records.longestStreak) {
+    const { value, startDate, endDate } = records.longestStreak;
+    items.push({
+      key: 'longest-streak',
+      label: 'Longest streak',
+      value: `${value} ${value === 1 ? 'day' : 'days'}`,
+      detail:
+        value > 1 ? `${formatDate(startDate)} – ${formatDate(endDate)}` : formatDate(startDate),
+    });
+  }
+
+  return items;
+};
+
+/**
+ * Achievements Panel Component
+ * Personal records, earned badges, and this month's totals from a user's
+ * completed tracks
+ *
+ * @param {Object} props
+ * @param {Object} props.achievements - From the achievements API ({ records, badges, monthly })
+ * @param {boolean} [props.linkTracks=false] - Link records to the tracks that set them
+ * @param {Date} [props.now] - Current time, to pick this month's totals
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export default function AchievementsPanel({
+  achievements,
+  linkTracks = false,
+  now = new Date(),
+  className = '',
+}) {
+  const { records = {}, badges = [], monthly = [] } = achievements;
+  const recordItems = listRecords(records);
+  const monthKey = now.toISOString().slice(0, 7);
+  const thisMonth = monthly.find((entry) => entry.month === monthKey);
+
+  if (recordItems.length === 0 && badges.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`bg-white dark:bg-gray-800 rounded-lg p-4 shadow-sm ${className}`}>
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">
+        Records &amp; Badges
+      </h2>
+
+      {thisMonth && thisMonth.trackCount > 0 && (
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+          This month: {thisMonth.trackCount} {thisMonth.trackCount === 1 ? 'track' : 'tracks'},{' '}
+          {formatDistance(thisMonth.distanceMeters)}, {formatElevation(thisMonth.elevationGainM)}{' '}
+          climbed, {thisMonth.parkCount} {thisMonth.parkCount === 1 ? 'park' : 'parks'}
+        </p>
+      )}
+
+      {recordItems.length > 0 && (
+        <dl className="grid gap-3 sm:grid-cols-2 mb-4">
+          {recordItems.map((item) => (
+            <div key={item.key} className="rounded-lg bg-gray-50 dark:bg-gray-700/50 p-3">
+              <dt className="text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                {item.label}
+              </dt>
+              <dd className="text-lg font-semibold text-gray-900 dark:text-white">{item.value}</dd>
+              <dd className="text-xs text-gray-500 dark:text-gray-400">
+                {linkTracks && item.trackId ? (
+                  <Link
+                    href={`/tracks/${item.trackId}`}
+                    className="text-green-600 dark:text-green-400 hover:underline"
+                  >
+                    {item.title || 'View track'}
+                  </Link>
+                ) : (
+                  item.detail || (item.date && formatDate(item.date))
+                )}
+              </dd>
+            </div>
+          ))}
+        </dl>
+      )}
+
+      {badges.length > 0 && (
+        <ul className="flex flex-wrap gap-2" aria-label="Badges">
+          {badges.map((badge) => (
+            <li
+              key={badge.id}
+              title={`${badge.description} · ${formatDate(badge.earnedAt)}`}
+              className="px-3 py-1 rounded-full bg-green-100 dark:bg-green-900/40 text-sm font-medium text-green-800 dark:text-green-300"
+            >
+              {badge.name}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
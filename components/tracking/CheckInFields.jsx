@@ -0,0 +1,114 @@
+'use client';
+
+import { MAX_EMERGENCY_CONTACTS } from '@/lib/tracking/check-in';
+
+/**
+ * Empty check-in form values
+ */
+export const EMPTY_CHECK_IN = {
+  enabled: false,
+  returnAt: '',
+  contacts: [{ name: '', email: '' }],
+};
+
+/**
+ * Check-in Fields Component
+ * Start-form fields for an expected return time and the emergency contacts
+ * to email if the track is still going after it. Controlled; turn the value
+ * into startTracking settings with buildCheckInConfig.
+ *
+ * @param {Object} props
+ * @param {Object} props.value - { enabled, returnAt, contacts }
+ * @param {Function} props.onChange - Called with the new value
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export default function CheckInFields({ value, onChange, className = '' }) {
+  const { enabled, returnAt, contacts } = value;
+
+  const updateContact = (index, field, fieldValue) => {
+    onChange({
+      ...value,
+      contacts: contacts.map((contact, i) =>
+        i === index ? { ...contact, [field]: fieldValue } : contact
+      ),
+    });
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white placeholder-gray-400 focus:ring-2 focus:ring-green-500 focus:border-transparent';
+
+  return (
+    <div className={className}>
+      <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onChange({ ...value, enabled: e.target.checked })}
+          className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+        />
+        Email someone if I&apos;m not back in time
+      </label>
+
+      {enabled && (
+        <div className="mt-3 space-y-3 text-left">
+          <div>
+            <label
+              htmlFor="check-in-return-at"
+              className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+            >
+              Expected back by
+            </label>
+            <input
+              id="check-in-return-at"
+              type="datetime-local"
+              value={returnAt}
+              onChange={(e) => onChange({ ...value, returnAt: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
+              Emergency contacts
+            </p>
+            {contacts.map((contact, index) => (
+              <div key={index} className="flex gap-2">
+                <input
+                  type="text"
+                  value={contact.name}
+                  onChange={(e) => updateContact(index, 'name', e.target.value)}
+                  placeholder="Name"
+                  aria-label={`Contact ${index + 1} name`}
+                  className={inputClass}
+                />
+                <input
+                  type="email"
+                  value={contact.email}
+                  onChange={(e) => updateContact(index, 'email', e.target.value)}
+                  placeholder="Email"
+                  aria-label={`Contact ${index + 1} email`}
+                  className={inputClass}
+                />
+              </div>
+            ))}
+            {contacts.length < MAX_EMERGENCY_CONTACTS && (
+              <button
+                type="button"
+                onClick={() =>
+                  onChange({ ...value, contacts: [...contacts, { name: '', email: '' }] })
+                }
+                className="text-sm text-green-600 dark:text-green-400 hover:underline"
+              >
+                Add another contact
+              </button>
+            )}
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              If you haven&apos;t stopped or extended your track by then, they&apos;ll get your last
+              known position.
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
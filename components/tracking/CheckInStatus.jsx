@@ -0,0 +1,114 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { useTrackingContext } from '@/contexts/TrackingContext';
+import { RETURN_EXTENSIONS_MINUTES } from '@/lib/tracking/check-in';
+
+/**
+ * How soon before the return time to start warning
+ */
+const DUE_SOON_MS = 15 * 60 * 1000;
+
+/**
+ * Label for an extension button
+ * @param {number} minutes - Minutes to extend by
+ * @returns {string} e.g. "+30 min", "+2 h"
+ */
+const formatExtension = (minutes) => (minutes < 60 ? `+${minutes} min` : `+${minutes / 60} h`);
+
+/**
+ * Check-in Status Component
+ * Shows when the recorder is due back and lets them push that time back
+ * before their emergency contacts are emailed.
+ *
+ * @param {Object} props
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export default function CheckInStatus({ className = '' }) {
+  const { expectedReturnAt, emergencyContacts, extendReturnTime } = useTrackingContext();
+
+  const [now, setNow] = useState(() => Date.now());
+  const [isExtending, setIsExtending] = useState(false);
+  const [extendError, setExtendError] = useState(null);
+
+  // Re-check once a minute so the warning appears on time
+  useEffect(() => {
+    if (!expectedReturnAt) {
+      return;
+    }
+
+    const interval = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, [expectedReturnAt]);
+
+  /**
+   * Push the return time back
+   */
+  const handleExtend = useCallback(
+    async (minutes) => {
+      setIsExtending(true);
+      setExtendError(null);
+
+      const result = await extendReturnTime(minutes);
+      if (result.error) {
+        setExtendError(result.error.message || result.error.error || 'Failed to extend');
+      }
+
+      setNow(Date.now());
+      setIsExtending(false);
+    },
+    [extendReturnTime]
+  );
+
+  if (!expectedReturnAt) {
+    return null;
+  }
+
+  const remainingMs = new Date(expectedReturnAt).getTime() - now;
+  const isOverdue = remainingMs <= 0;
+  const isDueSoon = !isOverdue && remainingMs <= DUE_SOON_MS;
+  const contactNames = (emergencyContacts || [])
+    .map((contact) => contact.name || contact.email)
+    .join(', ');
+
+  let toneClass = 'border-gray-200 dark:border-gray-700';
+  if (isOverdue) {
+    toneClass = 'border-red-300 bg-red-50 dark:border-red-800 dark:bg-red-900/20';
+  } else if (isDueSoon) {
+    toneClass = 'border-amber-300 bg-amber-50 dark:border-amber-800 dark:bg-amber-900/20';
+  }
+
+  return (
+    <div className={`rounded-lg border p-3 ${toneClass} ${className}`}>
+      <p
+        className="text-sm font-medium text-gray-900 dark:text-white"
+        role={isOverdue ? 'alert' : undefined}
+      >
+        {isOverdue ? 'Past your return time' : 'Due back by'}{' '}
+        {new Date(expectedReturnAt).toLocaleString([], {
+          weekday: 'short',
+          hour: 'numeric',
+          minute: '2-digit',
+        })}
+      </p>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+        {isOverdue
+          ? `Extend now or ${contactNames || 'your contacts'} will be emailed your last position.`
+          : `${contactNames || 'Your contacts'} will be emailed if you haven't stopped by then.`}
+      </p>
+      <div className="flex gap-2">
+        {RETURN_EXTENSIONS_MINUTES.map((minutes) => (
+          <button
+            key={minutes}
+            onClick={() => handleExtend(minutes)}
+            disabled={isExtending}
+            className="flex-1 px-2 py-1.5 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 text-gray-700 dark:text-gray-300 rounded-lg text-sm font-medium transition-colors"
+          >
+            {formatExtension(minutes)}
+          </button>
+        ))}
+      </div>
+      {extendError && <p className="text-sm text-red-600 dark:text-red-400 mt-2">{extendError}</p>}
+    </div>
+  );
+}
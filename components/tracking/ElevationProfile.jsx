@@ -0,0 +1,191 @@
+'use client';
+
+import { useCallback, useMemo, useState } from 'react';
+import { formatDistance, formatElevation } from '@/lib/tracking/track-stats';
+
+/**
+ * Grade bands for coloring the profile, by steepness up or down
+ */
+export const GRADE_BANDS = [
+  { maxPercent: 3, color: '#22c55e', label: '< 3%' }, // green-500
+  { maxPercent: 8, color: '#eab308', label: '3–8%' }, // yellow-500
+  { maxPercent: 15, color: '#f97316', label: '8–15%' }, // orange-500
+  { maxPercent: Infinity, color: '#dc2626', label: '15%+' }, // red-600
+];
+
+/**
+ * Chart drawing size in SVG units (stretched to fit the container)
+ */
+const CHART_WIDTH = 1000;
+const CHART_HEIGHT = 200;
+
+/**
+ * Get the color for a grade
+ * @param {number} gradePercent - Grade in percent (negative for downhill)
+ * @returns {string} CSS color
+ */
+export const getGradeColor = (gradePercent) =>
+  GRADE_BANDS.find((band) => Math.abs(gradePercent) < band.maxPercent).color;
+
+/**
+ * Elevation Profile Component
+ * Elevation-vs-distance chart colored by grade. Hovering reports the sample
+ * under the pointer so the map can show where it is.
+ *
+ * @param {Object} props
+ * @param {Array} props.profile - Samples from calculateElevationProfile
+ * @param {string} [props.unit='imperial'] - 'metric' or 'imperial'
+ * @param {function} [props.onHover] - Called with the hovered sample, or null when the pointer leaves
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export default function ElevationProfile({ profile, unit = 'imperial', onHover, className = '' }) {
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  const chart = useMemo(() => {
+    const elevations = profile.map((sample) => sample.elevationM);
+    const minElevation = Math.min(...elevations);
+    const maxElevation = Math.max(...elevations);
+    const totalDistance = profile[profile.length - 1].distanceMeters;
+    // Keep gentle profiles from looking like cliffs
+    const range = Math.max(maxElevation - minElevation, 20);
+    const floor = minElevation - (range - (maxElevation - minElevation)) / 2;
+
+    const points = profile.map((sample) => ({
+      x: (sample.distanceMeters / totalDistance) * CHART_WIDTH,
+      y: CHART_HEIGHT - ((sample.elevationM - floor) / range) * CHART_HEIGHT * 0.9,
+    }));
+
+    return { minElevation, maxElevation, totalDistance, points };
+  }, [profile]);
+
+  const updateHover = useCallback(
+    (clientX, target) => {
+      const rect = target.getBoundingClientRect();
+      if (rect.width <= 0) {
+        return;
+      }
+
+      const distance = ((clientX - rect.left) / rect.width) * chart.totalDistance;
+      let nearest = 0;
+      profile.forEach((sample, index) => {
+        if (
+          Math.abs(sample.distanceMeters - distance) <
+          Math.abs(profile[nearest].distanceMeters - distance)
+        ) {
+          nearest = index;
+        }
+      });
+
+      setHoverIndex(nearest);
+      onHover?.(profile[nearest]);
+    },
+    [chart.totalDistance, profile, onHover]
+  );
+
+  const handleMouseMove = useCallback(
+    (event) => updateHover(event.clientX, event.currentTarget),
+    [updateHover]
+  );
+
+  const handleTouchMove = useCallback(
+    (event) => updateHover(event.touches[0].clientX, event.currentTarget),
+    [updateHover]
+  );
+
+  const handleLeave = useCallback(() => {
+    setHoverIndex(null);
+    onHover?.(null);
+  }, [onHover]);
+
+  const hovered = hoverIndex !== null ? profile[hoverIndex] : null;
+  const linePoints = chart.points.map((point) => `${point.x},${point.y}`).join(' ');
+
+  return (
+    <div className={className}>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Elevation Profile</h2>
+        <div className="flex items-center gap-3">
+          {GRADE_BANDS.map((band) => (
+            <div key={band.label} className="flex items-center gap-1">
+              <div className="w-3 h-3 rounded-sm" style={{ backgroundColor: band.color }} />
+              <span className="text-xs text-gray-600 dark:text-gray-400">{band.label}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Hovered sample, or the elevation range */}
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-2" aria-live="polite">
+        {hovered ? (
+          <>
+            <span className="font-medium text-gray-900 dark:text-white">
+              {formatElevation(hovered.elevationM, unit)}
+            </span>{' '}
+            at {formatDistance(hovered.distanceMeters, unit)} ·{' '}
+            {hovered.gradePercent > 0 ? '+' : ''}
+            {hovered.gradePercent}% grade
+          </>
+        ) : (
+          <>
+            {formatElevation(chart.minElevation, unit)} –{' '}
+            {formatElevation(chart.maxElevation, unit)}
+          </>
+        )}
+      </p>
+
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-40 cursor-crosshair touch-none"
+        role="img"
+        aria-label="Elevation profile"
+        onMouseMove={handleMouseMove}
+        onMouseLeave={handleLeave}
+        onTouchStart={handleTouchMove}
+        onTouchMove={handleTouchMove}
+        onTouchEnd={handleLeave}
+      >
+        {/* Area under the line, one slice per stretch colored by its grade */}
+        {chart.points.slice(1).map((point, index) => {
+          const prev = chart.points[index];
+          return (
+            <polygon
+              key={index}
+              points={`${prev.x},${CHART_HEIGHT} ${prev.x},${prev.y} ${point.x},${point.y} ${point.x},${CHART_HEIGHT}`}
+              fill={getGradeColor(profile[index + 1].gradePercent)}
+              fillOpacity={0.6}
+              stroke="none"
+            />
+          );
+        })}
+
+        <polyline
+          points={linePoints}
+          fill="none"
+          stroke="#374151"
+          strokeWidth={2}
+          vectorEffect="non-scaling-stroke"
+        />
+
+        {/* Hover cursor */}
+        {hovered && (
+          <line
+            x1={chart.points[hoverIndex].x}
+            x2={chart.points[hoverIndex].x}
+            y1={0}
+            y2={CHART_HEIGHT}
+            stroke="#2563eb"
+            strokeWidth={1}
+            vectorEffect="non-scaling-stroke"
+            data-testid="elevation-profile-cursor"
+          />
+        )}
+      </svg>
+
+      <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mt-1">
+        <span>{formatDistance(0, unit)}</span>
+        <span>{formatDistance(chart.totalDistance, unit)}</span>
+      </div>
+    </div>
+  );
+}
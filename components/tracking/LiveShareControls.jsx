@@ -0,0 +1,168 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '@/hooks/useAuth';
+import { useTrackingContext } from '@/contexts/TrackingContext';
+import { DEFAULT_LIVE_SHARE_HOURS, LIVE_SHARE_DURATIONS } from '@/lib/tracking/live-share';
+import { getLiveShare, createLiveShare, revokeLiveShare } from '@/lib/tracking/tracking-client';
+
+/**
+ * Live Share Controls Component
+ * Creates, copies, and revokes the "watch me live" link for the track being
+ * recorded, so someone can follow a solo outing.
+ *
+ * @param {Object} props
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export default function LiveShareControls({ className = '' }) {
+  const { accessToken } = useAuth();
+  const { trackId } = useTrackingContext();
+
+  const [liveShare, setLiveShare] = useState(null);
+  const [hours, setHours] = useState(DEFAULT_LIVE_SHARE_HOURS);
+  const [isLoading, setIsLoading] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [shareError, setShareError] = useState(null);
+
+  // Pick up a link made earlier in this recording (e.g. before a reload)
+  useEffect(() => {
+    if (!trackId || !accessToken) {
+      return;
+    }
+
+    let cancelled = false;
+    getLiveShare(accessToken, trackId).then((result) => {
+      if (!cancelled && result.liveShare) {
+        setLiveShare(result.liveShare);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [trackId, accessToken]);
+
+  /**
+   * Create the link, replacing any earlier one
+   */
+  const handleCreate = useCallback(async () => {
+    setIsLoading(true);
+    setShareError(null);
+
+    const result = await createLiveShare(accessToken, trackId, hours);
+    if (result.error) {
+      setShareError(result.error.message || result.error.error || 'Failed to create live link');
+    } else {
+      setLiveShare(result.liveShare);
+    }
+
+    setIsLoading(false);
+  }, [accessToken, trackId, hours]);
+
+  /**
+   * Revoke the link so it stops showing positions
+   */
+  const handleRevoke = useCallback(async () => {
+    setIsLoading(true);
+    setShareError(null);
+
+    const result = await revokeLiveShare(accessToken, trackId);
+    if (result.error) {
+      setShareError(result.error.message || result.error.error || 'Failed to revoke live link');
+    } else {
+      setLiveShare(null);
+      setCopied(false);
+    }
+
+    setIsLoading(false);
+  }, [accessToken, trackId]);
+
+  /**
+   * Copy the link to the clipboard
+   */
+  const handleCopy = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(liveShare.url);
+      setCopied(true);
+    } catch (err) {
+      console.warn('Failed to copy live link:', err);
+    }
+  }, [liveShare]);
+
+  if (!trackId) {
+    return null;
+  }
+
+  return (
+    <div className={`rounded-lg border border-gray-200 dark:border-gray-700 p-3 ${className}`}>
+      <p className="text-sm font-medium text-gray-900 dark:text-white mb-2">Share live location</p>
+
+      {liveShare?.enabled ? (
+        <>
+          <div className="flex gap-2 mb-2">
+            <input
+              type="text"
+              value={liveShare.url}
+              readOnly
+              aria-label="Live location link"
+              onFocus={(e) => e.target.select()}
+              className="flex-1 min-w-0 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+            />
+            <button
+              onClick={handleCopy}
+              className="px-3 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm font-medium transition-colors"
+            >
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+          </div>
+          <div className="flex items-center justify-between gap-2">
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Expires{' '}
+              {new Date(liveShare.expiresAt).toLocaleString([], {
+                weekday: 'short',
+                hour: 'numeric',
+                minute: '2-digit',
+              })}
+            </p>
+            <button
+              onClick={handleRevoke}
+              disabled={isLoading}
+              className="text-sm text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 disabled:opacity-50 font-medium transition-colors"
+            >
+              {isLoading ? 'Revoking...' : 'Revoke link'}
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+            Anyone with the link can see where you are until it expires.
+          </p>
+          <div className="flex gap-2">
+            <select
+              value={hours}
+              onChange={(e) => setHours(Number(e.target.value))}
+              aria-label="Link lasts for"
+              className="px-2 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+            >
+              {LIVE_SHARE_DURATIONS.map((option) => (
+                <option key={option} value={option}>
+                  {option} hours
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleCreate}
+              disabled={isLoading}
+              className="flex-1 px-3 py-2 bg-green-50 dark:bg-green-900/20 hover:bg-green-100 dark:hover:bg-green-900/40 disabled:opacity-50 text-green-700 dark:text-green-300 rounded-lg text-sm font-medium transition-colors"
+            >
+              {isLoading ? 'Creating...' : 'Create live link'}
+            </button>
+          </div>
+        </>
+      )}
+
+      {shareError && <p className="text-sm text-red-600 dark:text-red-400 mt-2">{shareError}</p>}
+    </div>
+  );
+}
@@ -1,10 +1,11 @@
 'use client';
 
 import { useEffect, useMemo, useRef, useState } from 'react';
-import { MapContainer, TileLayer, Polyline, CircleMarker, Popup, useMap } from 'react-leaflet';
+import { MapContainer, Polyline, CircleMarker, Popup, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import { getActivityColor, getActivityIcon } from '@/lib/tracking/activity-detection';
 import { formatDistance, formatDuration, formatSpeed } from '@/lib/tracking/track-stats';
+import OfflineTileLayer from '@/components/tracking/OfflineTileLayer';
 
 /**
  * Component to handle map bounds updates
@@ -41,6 +42,11 @@ function MapBoundsUpdater({ points, followUser, currentPosition }) {
  * @param {string} [props.className] - Additional CSS classes
  * @param {Object} [props.geometry] - GeoJSON geometry (for completed tracks)
  * @param {Array} [props.media] - Media items with geolocation
+ * @param {Array} [props.coloredLines] - Lines drawn instead of the single track line, each { positions, color }
+ * @param {Object} [props.highlightPosition] - Position to mark ({ latitude, longitude }), e.g. the
+ *   point hovered on the elevation profile
+ * @param {Object} [props.followedRoute] - Route being followed, from useTracking
+ * @param {Object} [props.navigation] - Position relative to the followed route, from useTracking
  */
 export default function LiveTrackMap({
   points = [],
@@ -53,6 +59,10 @@ export default function LiveTrackMap({
   className = '',
   geometry,
   media = [],
+  coloredLines,
+  highlightPosition,
+  followedRoute,
+  navigation,
 }) {
   const [mapReady, setMapReady] = useState(false);
   const mapRef = useRef(null);
@@ -66,6 +76,12 @@ export default function LiveTrackMap({
     return points.map((p) => [p.latitude, p.longitude]);
   }, [points, geometry]);
 
+  // Line of the route being followed
+  const routeCoordinates = useMemo(
+    () => followedRoute?.route.points.map((p) => [p.latitude, p.longitude]) ?? [],
+    [followedRoute]
+  );
+
   // Get track color based on activity
   const trackColor = useMemo(() => getActivityColor(activityType), [activityType]);
 
@@ -103,13 +119,67 @@ export default function LiveTrackMap({
           whenReady={() => setMapReady(true)}
           style={{ height: '100%', width: '100%' }}
         >
-          <TileLayer
-            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-          />
+          {/* Falls back to downloaded offline maps when recording with no signal */}
+          <OfflineTileLayer />
 
-          {/* Track polyline */}
-          {coordinates.length > 1 && (
+          {/* Followed route, under the recorded track */}
+          {routeCoordinates.length > 1 && (
+            <Polyline
+              positions={routeCoordinates}
+              pathOptions={{
+                color: '#6366f1',
+                weight: 5,
+                opacity: 0.6,
+                dashArray: '8 8',
+                lineCap: 'round',
+                lineJoin: 'round',
+              }}
+            />
+          )}
+
+          {/* Way back to the route when off it */}
+          {navigation?.isOffRoute && currentPosition && (
+            <>
+              <Polyline
+                positions={[
+                  [currentPosition.latitude, currentPosition.longitude],
+                  [navigation.nearestPoint.latitude, navigation.nearestPoint.longitude],
+                ]}
+                pathOptions={{ color: '#dc2626', weight: 3, dashArray: '4 6' }}
+              />
+              <CircleMarker
+                center={[navigation.nearestPoint.latitude, navigation.nearestPoint.longitude]}
+                radius={6}
+                pathOptions={{
+                  color: '#dc2626',
+                  fillColor: '#ffffff',
+                  fillOpacity: 1,
+                  weight: 3,
+                }}
+              >
+                <Popup>
+                  <span className="font-semibold">Nearest point on route</span>
+                </Popup>
+              </CircleMarker>
+            </>
+          )}
+
+          {/* Track polyline, or one line per split when colored lines are given */}
+          {coloredLines?.length > 0 &&
+            coloredLines.map((line, index) => (
+              <Polyline
+                key={index}
+                positions={line.positions}
+                pathOptions={{
+                  color: line.color,
+                  weight: 5,
+                  opacity: 0.9,
+                  lineCap: 'round',
+                  lineJoin: 'round',
+                }}
+              />
+            ))}
+          {!coloredLines?.length && coordinates.length > 1 && (
             <Polyline
               positions={coordinates}
               pathOptions={{
@@ -244,6 +314,20 @@ export default function LiveTrackMap({
             </CircleMarker>
           ))}
 
+          {/* Highlighted position (e.g. hovered on the elevation profile) */}
+          {highlightPosition && (
+            <CircleMarker
+              center={[highlightPosition.latitude, highlightPosition.longitude]}
+              radius={7}
+              pathOptions={{
+                color: '#ffffff',
+                fillColor: '#2563eb',
+                fillOpacity: 1,
+                weight: 3,
+              }}
+            />
+          )}
+
           {/* Map bounds updater */}
           {mapReady && (
             <MapBoundsUpdater
@@ -255,6 +339,22 @@ export default function LiveTrackMap({
         </MapContainer>
       </div>
 
+      {/* Route following overlay */}
+      {navigation && (
+        <div
+          className={`absolute top-4 left-4 right-4 rounded-lg px-3 py-2 shadow-lg z-[1000] text-sm ${
+            navigation.isOffRoute
+              ? 'bg-red-600 text-white'
+              : 'bg-white/90 dark:bg-gray-800/90 text-gray-900 dark:text-white'
+          }`}
+        >
+          {navigation.isOffRoute
+            ? `Off route by ${formatDistance(navigation.deviationMeters)}`
+            : `${formatDistance(navigation.distanceRemainingMeters)} to go`}
+          {followedRoute?.name && ` · ${followedRoute.name}`}
+        </div>
+      )}
+
       {/* Stats Overlay */}
       {showStats && stats && (
         <div className="absolute bottom-4 left-4 right-4 bg-white/90 dark:bg-gray-800/90 backdrop-blur-sm rounded-lg p-3 shadow-lg z-[1000]">
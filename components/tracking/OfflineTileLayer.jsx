@@ -0,0 +1,39 @@
+'use client';
+
+import { TileLayer } from 'react-leaflet';
+import { getRegionTile } from '@/lib/map/offline-regions';
+
+/**
+ * Swap a tile that failed to load (usually no signal) for its downloaded copy
+ * @param {Object} event - Leaflet tileerror event with the tile image and coords
+ */
+const handleTileError = async ({ tile, coords }) => {
+  // Only try once per tile so a missing download doesn't loop
+  if (tile.dataset.offlineFallback) {
+    return;
+  }
+  tile.dataset.offlineFallback = 'true';
+
+  const response = await getRegionTile(coords.x, coords.y, coords.z);
+  if (!response) {
+    return;
+  }
+
+  const objectUrl = URL.createObjectURL(await response.blob());
+  tile.addEventListener('load', () => URL.revokeObjectURL(objectUrl), { once: true });
+  tile.src = objectUrl;
+};
+
+/**
+ * OpenStreetMap tile layer that falls back to downloaded offline regions
+ * when tiles can't be fetched. Must be rendered inside a MapContainer.
+ */
+export default function OfflineTileLayer() {
+  return (
+    <TileLayer
+      attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+      url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+      eventHandlers={{ tileerror: handleTileError }}
+    />
+  );
+}
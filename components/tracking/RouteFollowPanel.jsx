@@ -0,0 +1,191 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '@/hooks/useAuth';
+import { useTrackingContext } from '@/contexts/TrackingContext';
+import { OFF_ROUTE_THRESHOLDS } from '@/lib/tracking/route-following';
+import { formatDistance } from '@/lib/tracking/track-stats';
+import { getTracks } from '@/lib/tracking/tracking-client';
+
+/**
+ * Number of recent tracks offered to follow
+ */
+const RECENT_TRACKS_LIMIT = 20;
+
+/**
+ * Route Follow Panel Component
+ * Picks a trail or previous track to follow while recording, then shows the
+ * distance left, how far off the line the user is, and an off-route warning.
+ *
+ * @param {Object} props
+ * @param {string} [props.trailId] - Trail being recorded, offered as the first route to follow
+ * @param {string} [props.trailName] - Name of that trail
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export default function RouteFollowPanel({ trailId, trailName, className = '' }) {
+  const { accessToken } = useAuth();
+  const {
+    followedRoute,
+    navigation,
+    offRouteThreshold,
+    startFollowing,
+    stopFollowing,
+    setOffRouteThreshold,
+  } = useTrackingContext();
+
+  const [recentTracks, setRecentTracks] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [followError, setFollowError] = useState(null);
+
+  // Previous tracks to choose from, loaded while not following anything
+  useEffect(() => {
+    if (followedRoute || !accessToken) {
+      return;
+    }
+
+    let cancelled = false;
+    getTracks(accessToken, { status: 'completed', limit: RECENT_TRACKS_LIMIT }).then((result) => {
+      if (!cancelled && result.tracks) {
+        setRecentTracks(result.tracks);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [followedRoute, accessToken]);
+
+  /**
+   * Start following a trail or track
+   */
+  const handleFollow = useCallback(
+    async (target) => {
+      setIsLoading(true);
+      setFollowError(null);
+
+      const result = await startFollowing(target);
+      if (result.error) {
+        setFollowError(result.error.message || result.error.error || 'Failed to load route');
+      }
+
+      setIsLoading(false);
+    },
+    [startFollowing]
+  );
+
+  const thresholdSelect = (
+    <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+      Alert when off route by
+      <select
+        value={offRouteThreshold}
+        onChange={(e) => setOffRouteThreshold(Number(e.target.value))}
+        className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+      >
+        {OFF_ROUTE_THRESHOLDS.map((meters) => (
+          <option key={meters} value={meters}>
+            {formatDistance(meters)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  if (followedRoute) {
+    return (
+      <div className={`rounded-lg border border-gray-200 dark:border-gray-700 p-3 ${className}`}>
+        <div className="flex items-center justify-between gap-2 mb-3">
+          <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+            Following {followedRoute.name || `this ${followedRoute.type}`}
+          </p>
+          <button
+            onClick={stopFollowing}
+            className="flex-shrink-0 text-sm text-gray-500 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 font-medium transition-colors"
+          >
+            Stop following
+          </button>
+        </div>
+
+        {/* Off-route warning */}
+        {navigation?.isOffRoute && (
+          <div
+            role="alert"
+            className="mb-3 p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg"
+          >
+            <p className="text-sm font-medium text-red-600 dark:text-red-400">
+              Off route by {formatDistance(navigation.deviationMeters)}. Head back to the{' '}
+              {followedRoute.type}.
+            </p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 gap-4 mb-3">
+          <div className="text-center">
+            <p className="text-xl font-bold text-gray-900 dark:text-white">
+              {navigation ? formatDistance(navigation.distanceRemainingMeters) : '–'}
+            </p>
+            <p className="text-xs text-gray-500 dark:text-gray-400">Remaining</p>
+          </div>
+          <div className="text-center">
+            <p
+              className={`text-xl font-bold ${
+                navigation?.isOffRoute
+                  ? 'text-red-600 dark:text-red-400'
+                  : 'text-gray-900 dark:text-white'
+              }`}
+            >
+              {navigation ? formatDistance(navigation.deviationMeters) : '–'}
+            </p>
+            <p className="text-xs text-gray-500 dark:text-gray-400">Off line</p>
+          </div>
+        </div>
+
+        {thresholdSelect}
+      </div>
+    );
+  }
+
+  return (
+    <div className={`rounded-lg border border-gray-200 dark:border-gray-700 p-3 ${className}`}>
+      <p className="text-sm font-medium text-gray-900 dark:text-white mb-2">Follow a route</p>
+
+      <div className="flex flex-col gap-2 mb-3">
+        {trailId && (
+          <button
+            onClick={() => handleFollow({ trailId })}
+            disabled={isLoading}
+            className="px-3 py-2 bg-green-50 dark:bg-green-900/20 hover:bg-green-100 dark:hover:bg-green-900/40 disabled:opacity-50 text-green-700 dark:text-green-300 rounded-lg text-sm font-medium transition-colors"
+          >
+            Follow {trailName || 'this trail'}
+          </button>
+        )}
+
+        {recentTracks.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => e.target.value && handleFollow({ trackId: e.target.value })}
+            disabled={isLoading}
+            aria-label="Follow a previous track"
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-sm text-gray-900 dark:text-white"
+          >
+            <option value="">Follow a previous track…</option>
+            {recentTracks.map((track) => (
+              <option key={track.id} value={track.id}>
+                {track.title}
+              </option>
+            ))}
+          </select>
+        )}
+
+        {!trailId && recentTracks.length === 0 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            No trail or past tracks to follow
+          </p>
+        )}
+      </div>
+
+      {followError && <p className="text-sm text-red-600 dark:text-red-400 mb-3">{followError}</p>}
+
+      {thresholdSelect}
+    </div>
+  );
+}
@@ -30,6 +30,7 @@ export default function TrackCard({
   const [isLiked, setIsLiked] = useState(track.user_liked || track.userLiked || false);
   const [likesCount, setLikesCount] = useState(track.likes_count ?? track.likesCount ?? 0);
   const [isLiking, setIsLiking] = useState(false);
+  const movingSeconds = track.moving_seconds ?? track.movingSeconds;
 
   // Format date
   const formattedDate = useMemo(() => {
@@ -275,7 +276,16 @@ export default function TrackCard({
                     d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
                   />
                 </svg>
-                <span>{formatDuration(track.duration_seconds)}</span>
+                {movingSeconds !== null && movingSeconds !== undefined ? (
+                  <span title="Moving time (elapsed time)">
+                    {formatDuration(movingSeconds)}{' '}
+                    <span className="text-xs text-gray-400 dark:text-gray-500">
+                      ({formatDuration(track.duration_seconds)} elapsed)
+                    </span>
+                  </span>
+                ) : (
+                  <span>{formatDuration(track.duration_seconds)}</span>
+                )}
               </div>
             )}
 
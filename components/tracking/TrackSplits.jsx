@@ -0,0 +1,145 @@
+'use client';
+
+import {
+  formatDistance,
+  formatDuration,
+  formatElevation,
+  formatPace,
+} from '@/lib/tracking/track-stats';
+
+/**
+ * Hue range for split colors, from fastest (green) to slowest (red)
+ */
+const FAST_HUE = 142;
+const SLOW_HUE = 0;
+
+/**
+ * Color each split by pace relative to the track's fastest and slowest splits
+ * @param {Array<Object>} splits - Splits from calculateSplits
+ * @returns {Array<string>} CSS colors, one per split
+ */
+export const getSplitColors = (splits) => {
+  const paces = splits.map((split) => split.paceSeconds).filter((pace) => pace !== null);
+  const fastest = Math.min(...paces);
+  const slowest = Math.max(...paces);
+
+  return splits.map((split) => {
+    if (split.paceSeconds === null) {
+      return '#9ca3af';
+    }
+    const ratio = slowest > fastest ? (split.paceSeconds - fastest) / (slowest - fastest) : 0;
+    const hue = Math.round(FAST_HUE - ratio * (FAST_HUE - SLOW_HUE));
+    return `hsl(${hue}, 70%, 45%)`;
+  });
+};
+
+/**
+ * Track Splits Component
+ * Table of auto-splits (per mile or kilometer) with a unit toggle, and the
+ * recording segments when the track was paused
+ *
+ * @param {Object} props
+ * @param {Array} props.splits - Splits from calculateSplits
+ * @param {Array} [props.colors] - Split colors from getSplitColors (matches the map)
+ * @param {Array} [props.segments] - Segments from calculateSegments
+ * @param {string} props.unit - 'metric' or 'imperial'
+ * @param {function} props.onUnitChange - Called with the new unit
+ * @param {string} [props.className] - Additional CSS classes
+ */
+export default function TrackSplits({
+  splits,
+  colors = [],
+  segments = [],
+  unit,
+  onUnitChange,
+  className = '',
+}) {
+  const unitLabel = unit === 'imperial' ? 'Mile' : 'Km';
+
+  return (
+    <div className={className}>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Splits</h2>
+        <div className="inline-flex rounded-lg bg-gray-100 dark:bg-gray-700 p-1">
+          {[
+            { value: 'imperial', label: 'mi' },
+            { value: 'metric', label: 'km' },
+          ].map((option) => (
+            <button
+              key={option.value}
+              onClick={() => onUnitChange(option.value)}
+              aria-pressed={unit === option.value}
+              className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                unit === option.value
+                  ? 'bg-white dark:bg-gray-800 text-gray-900 dark:text-white shadow-sm'
+                  : 'text-gray-600 dark:text-gray-400'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {splits.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Not enough GPS points for splits.
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                <th className="py-2 pr-4 font-medium">{unitLabel}</th>
+                <th className="py-2 pr-4 font-medium">Pace</th>
+                <th className="py-2 pr-4 font-medium">Time</th>
+                <th className="py-2 pr-4 font-medium">Elev +/-</th>
+              </tr>
+            </thead>
+            <tbody>
+              {splits.map((split, index) => (
+                <tr
+                  key={split.index}
+                  className="border-b border-gray-100 dark:border-gray-700 text-gray-900 dark:text-white"
+                >
+                  <td className="py-2 pr-4">
+                    <span className="inline-flex items-center gap-2">
+                      <span
+                        className="w-3 h-3 rounded-full"
+                        style={{ backgroundColor: colors[index] }}
+                      />
+                      {split.isPartial ? formatDistance(split.distanceMeters, unit) : split.index}
+                    </span>
+                  </td>
+                  <td className="py-2 pr-4 font-medium">{formatPace(split.avgSpeedMps, unit)}</td>
+                  <td className="py-2 pr-4">{formatDuration(split.movingSeconds)}</td>
+                  <td className="py-2 pr-4 text-gray-600 dark:text-gray-400">
+                    +{formatElevation(split.elevationGainM, unit)} / -
+                    {formatElevation(split.elevationLossM, unit)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {segments.length > 1 && (
+        <div className="mt-4">
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">
+            Paused {segments.length - 1} {segments.length === 2 ? 'time' : 'times'}; paused time
+            isn&apos;t counted in splits or averages.
+          </p>
+          <ul className="text-sm text-gray-700 dark:text-gray-300 space-y-1">
+            {segments.map((segment) => (
+              <li key={segment.index}>
+                Segment {segment.index + 1}: {formatDistance(segment.distanceMeters, unit)} in{' '}
+                {formatDuration(segment.durationSeconds)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -4,6 +4,11 @@ import { useState, useCallback } from 'react';
 import { useTrackingContext } from '@/contexts/TrackingContext';
 import { getActivityIcon } from '@/lib/tracking/activity-detection';
 import { formatDistance, formatDuration, formatSpeed } from '@/lib/tracking/track-stats';
+import RouteFollowPanel from '@/components/tracking/RouteFollowPanel';
+import LiveShareControls from '@/components/tracking/LiveShareControls';
+import CheckInFields, { EMPTY_CHECK_IN } from '@/components/tracking/CheckInFields';
+import CheckInStatus from '@/components/tracking/CheckInStatus';
+import { buildCheckInConfig } from '@/lib/tracking/check-in';
 
 /**
  * Tracking Controls Component
@@ -35,10 +40,13 @@ export default function TrackingControls({
     pauseCurrentTrack,
     resumeCurrentTrack,
     discardCurrentTrack,
+    startFollowing,
   } = useTrackingContext();
 
   const [activityType, setActivityType] = useState('hiking');
   const [title, setTitle] = useState('');
+  const [followTrail, setFollowTrail] = useState(true);
+  const [checkIn, setCheckIn] = useState(EMPTY_CHECK_IN);
   const [showStartForm, setShowStartForm] = useState(false);
   const [showConfirmDiscard, setShowConfirmDiscard] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
@@ -52,21 +60,47 @@ export default function TrackingControls({
     setLocalError(null);
 
     try {
-      await startNewTrack({
+      const started = await startNewTrack({
         title: title || `${activityType.charAt(0).toUpperCase() + activityType.slice(1)} at ${parkName || trailName || 'Park'}`,
         activityType,
         parkCode,
         parkId,
         trailId,
         localParkId,
+        ...buildCheckInConfig(checkIn),
       });
+      if (started?.error) {
+        setLocalError(started.error.error || started.error.message || 'Failed to start tracking');
+        return;
+      }
       setShowStartForm(false);
+
+      // Recording carries on even if the trail's line can't be loaded
+      if (trailId && followTrail) {
+        const result = await startFollowing({ trailId });
+        if (result.error) {
+          setLocalError(result.error.message || 'Failed to load the trail to follow');
+        }
+      }
     } catch (err) {
       setLocalError(err.message);
     } finally {
       setIsLoading(false);
     }
-  }, [startNewTrack, title, activityType, parkCode, parkId, trailId, localParkId, parkName, trailName]);
+  }, [
+    startNewTrack,
+    startFollowing,
+    followTrail,
+    checkIn,
+    title,
+    activityType,
+    parkCode,
+    parkId,
+    trailId,
+    localParkId,
+    parkName,
+    trailName,
+  ]);
 
   /**
    * Handle stop tracking
@@ -210,6 +244,22 @@ export default function TrackingControls({
           />
         </div>
 
+        {/* Follow Trail */}
+        {trailId && (
+          <label className="mb-4 flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={followTrail}
+              onChange={(e) => setFollowTrail(e.target.checked)}
+              className="rounded border-gray-300 text-green-600 focus:ring-green-500"
+            />
+            Follow {trailName || 'this trail'} and alert me if I go off route
+          </label>
+        )}
+
+        {/* Overdue check-in */}
+        <CheckInFields value={checkIn} onChange={setCheckIn} className="mb-4" />
+
         {/* Error Message */}
         {(localError || error) && (
           <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
@@ -309,6 +359,15 @@ export default function TrackingControls({
             {points.length} GPS points recorded
           </div>
 
+          {/* Route following */}
+          <RouteFollowPanel trailId={trailId} trailName={trailName} className="mb-4" />
+
+          {/* Live location link */}
+          <LiveShareControls className="mb-4" />
+
+          {/* Overdue check-in */}
+          <CheckInStatus className="mb-4" />
+
           {/* Error Message */}
           {(localError || error) && (
             <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg">
@@ -0,0 +1,180 @@
+'use client';
+
+import { useState, useEffect, useMemo } from 'react';
+import { useOfflineStorage } from '@/hooks/useOfflineStorage';
+import { useOnlineStatus } from '@/hooks/useOnlineStatus';
+import {
+  REGION_ZOOM_LIMITS,
+  DEFAULT_REGION_ZOOM,
+  estimateRegion,
+  formatBytes,
+  downloadRegion,
+  deleteRegionTiles,
+} from '@/lib/map/offline-regions';
+
+const ZOOM_OPTIONS = Array.from(
+  { length: REGION_ZOOM_LIMITS.max - REGION_ZOOM_LIMITS.min + 1 },
+  (_, index) => REGION_ZOOM_LIMITS.min + index
+);
+
+/**
+ * OfflineMapDownload component - saves map tiles around a trail or park for use with no signal
+ *
+ * @param {Object} props
+ * @param {string} props.regionId - Stable region ID (e.g. "trail:<id>" or "park:<code>")
+ * @param {string} props.name - Region name shown in storage settings
+ * @param {Object} props.bounds - Region bounds from getRegionBounds
+ * @param {string} props.className - Additional CSS classes
+ */
+export default function OfflineMapDownload({ regionId, name, bounds, className = '' }) {
+  const isOnline = useOnlineStatus();
+  const {
+    isReady,
+    error: storageError,
+    getOfflineRegions,
+    saveOfflineRegion,
+    removeOfflineRegion,
+  } = useOfflineStorage();
+  const [regions, setRegions] = useState([]);
+  const [minZoom, setMinZoom] = useState(DEFAULT_REGION_ZOOM.min);
+  const [maxZoom, setMaxZoom] = useState(DEFAULT_REGION_ZOOM.max);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isReady) {
+      return;
+    }
+    getOfflineRegions()
+      .then(setRegions)
+      .catch((err) => console.error('Error reading offline regions:', err));
+  }, [isReady, getOfflineRegions]);
+
+  const savedRegion = regions.find((region) => region.id === regionId) || null;
+  const estimate = useMemo(
+    () => estimateRegion(bounds, minZoom, maxZoom),
+    [bounds, minZoom, maxZoom]
+  );
+  const isDownloading = progress !== null;
+
+  const handleDownload = async () => {
+    try {
+      setError(null);
+      setProgress({ done: 0, total: estimate.tileCount });
+      const region = await downloadRegion(
+        { id: regionId, name, bounds, minZoom, maxZoom },
+        { onProgress: (done, total) => setProgress({ done, total }) }
+      );
+      await saveOfflineRegion(region);
+      setRegions((prev) => [...prev.filter((r) => r.id !== regionId), region]);
+    } catch (err) {
+      console.error('Offline map download error:', err);
+      setError('Failed to download this map');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      setError(null);
+      const remaining = regions.filter((region) => region.id !== regionId);
+      await deleteRegionTiles(savedRegion, remaining);
+      await removeOfflineRegion(regionId);
+      setRegions(remaining);
+    } catch (err) {
+      console.error('Offline map delete error:', err);
+      setError('Failed to delete this map');
+    }
+  };
+
+  // Nothing to offer without IndexedDB or an area to download
+  if (storageError || !bounds) {
+    return null;
+  }
+
+  return (
+    <div className={`bg-white dark:bg-gray-800 rounded-lg shadow-sm p-4 ${className}`}>
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <p className="font-medium text-gray-900 dark:text-white">📥 Offline Map</p>
+          {savedRegion ? (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Saved {formatBytes(savedRegion.bytes)} (zoom {savedRegion.minZoom}–
+              {savedRegion.maxZoom}) on {new Date(savedRegion.savedAt).toLocaleDateString()}
+            </p>
+          ) : (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Download this map so it works with no signal.
+            </p>
+          )}
+        </div>
+        {savedRegion && (
+          <button
+            onClick={handleDelete}
+            disabled={isDownloading}
+            className="text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+          >
+            Delete
+          </button>
+        )}
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-end gap-3">
+        <label className="text-sm text-gray-700 dark:text-gray-300">
+          From zoom
+          <select
+            value={minZoom}
+            onChange={(e) => setMinZoom(Number(e.target.value))}
+            className="mt-1 block px-2 py-1 border border-gray-300 rounded dark:bg-gray-700 dark:border-gray-600"
+          >
+            {ZOOM_OPTIONS.filter((zoom) => zoom <= maxZoom).map((zoom) => (
+              <option key={zoom} value={zoom}>
+                {zoom}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700 dark:text-gray-300">
+          To zoom
+          <select
+            value={maxZoom}
+            onChange={(e) => setMaxZoom(Number(e.target.value))}
+            className="mt-1 block px-2 py-1 border border-gray-300 rounded dark:bg-gray-700 dark:border-gray-600"
+          >
+            {ZOOM_OPTIONS.filter((zoom) => zoom >= minZoom).map((zoom) => (
+              <option key={zoom} value={zoom}>
+                {zoom}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={handleDownload}
+          disabled={!isOnline || isDownloading || estimate.tooLarge}
+          className="px-3 py-1.5 text-sm font-medium text-white bg-green-600 rounded-lg hover:bg-green-700 disabled:opacity-50"
+        >
+          {savedRegion ? 'Update Download' : 'Download'}
+        </button>
+      </div>
+
+      <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+        {estimate.tileCount.toLocaleString()} tiles, about {formatBytes(estimate.bytes)}
+      </p>
+      {estimate.tooLarge && (
+        <p className="mt-1 text-xs text-amber-700">
+          That&apos;s too large to download at once. Lower the &quot;To zoom&quot; level.
+        </p>
+      )}
+      {!isOnline && (
+        <p className="mt-1 text-xs text-amber-700">Connect to the internet to download.</p>
+      )}
+      {isDownloading && (
+        <p className="mt-1 text-xs text-gray-600 dark:text-gray-400">
+          Downloading tiles ({progress.done}/{progress.total})...
+        </p>
+      )}
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
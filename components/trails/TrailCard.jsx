@@ -69,9 +69,11 @@ const formatMiles = (meters) => {
  * @returns {string} Formatted elevation
  */
 const formatElevation = (meters) => {
-  if (!meters) return null;
+  if (meters === null || meters === undefined || meters === '') {
+    return null;
+  }
 
-  const feet = Math.round(meters * 3.281);
+  const feet = Math.round(Number(meters) * 3.281);
   return `${feet.toLocaleString()} ft`;
 };
 
@@ -142,6 +144,7 @@ export default function TrailCard({ trail, parkId, parkCode, compact = false, sh
   } = trail;
 
   const colors = DIFFICULTY_COLORS[difficulty] || DIFFICULTY_COLORS.easy;
+  const hasElevation = formatElevation(elevation_gain_m) !== null;
   
   // Use park ID for URL (preferred), fall back to park_id from trail, then parkCode
   const effectiveParkId = parkId || park_id;
@@ -167,6 +170,7 @@ export default function TrailCard({ trail, parkId, parkCode, compact = false, sh
         </div>
         <span className="text-sm text-gray-500 dark:text-gray-400">
           {formatMiles(length_meters)}
+          {hasElevation && ` · ${formatElevation(elevation_gain_m)} gain`}
         </span>
       </Link>
     );
@@ -213,7 +217,7 @@ export default function TrailCard({ trail, parkId, parkCode, compact = false, sh
           </div>
 
           {/* Elevation */}
-          {elevation_gain_m && (
+          {hasElevation && (
             <div className="flex items-center gap-1">
               <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path
@@ -1,6 +1,7 @@
 'use client';
 
 import { useEffect, useRef, useState, useCallback } from 'react';
+import { getRegionTile } from '@/lib/map/offline-regions';
 
 /**
  * Difficulty colors for trail lines
@@ -20,6 +21,41 @@ const BLM_COLORS = {
   stroke: 'rgba(217, 119, 6, 0.8)', // amber-600
 };
 
+/**
+ * Vector basemap used when online
+ */
+const ONLINE_STYLE = 'https://basemaps.cartocdn.com/gl/voyager-gl-style/style.json';
+
+/**
+ * Raster style served from downloaded offline regions (see lib/map/offline-regions)
+ */
+const OFFLINE_STYLE = {
+  version: 8,
+  sources: {
+    'offline-tiles': {
+      type: 'raster',
+      tiles: ['offline-region://{z}/{x}/{y}'],
+      tileSize: 256,
+      attribution: '&copy; OpenStreetMap contributors',
+    },
+  },
+  layers: [{ id: 'offline-tiles', type: 'raster', source: 'offline-tiles' }],
+};
+
+/**
+ * Load a downloaded tile for the offline-region:// protocol
+ * @param {Object} params - MapLibre request parameters
+ * @returns {Promise<{data: ArrayBuffer}>} Tile data
+ */
+const loadOfflineTile = async (params) => {
+  const [zoom, x, y] = params.url.replace('offline-region://', '').split('/').map(Number);
+  const response = await getRegionTile(x, y, zoom);
+  if (!response) {
+    throw new Error('Tile not downloaded');
+  }
+  return { data: await response.arrayBuffer() };
+};
+
 /**
  * TrailMap component - displays trails on a MapLibre GL map
  *
@@ -32,6 +68,8 @@ const BLM_COLORS = {
  * @param {string} props.className - Additional CSS classes
  * @param {boolean} props.showBLMToggle - Whether to show BLM land layer toggle
  * @param {string} props.parkCode - Park code for fetching nearby BLM lands
+ * @param {Object} props.highlightPosition - Position to mark ({ latitude, longitude }), e.g. the
+ *   point hovered on the elevation profile
  */
 export default function TrailMap({
   trails = [],
@@ -42,9 +80,11 @@ export default function TrailMap({
   className = '',
   showBLMToggle = false,
   parkCode = null,
+  highlightPosition = null,
 }) {
   const mapContainer = useRef(null);
   const map = useRef(null);
+  const highlightMarker = useRef(null);
   const [mapLoaded, setMapLoaded] = useState(false);
   const [maplibregl, setMaplibregl] = useState(null);
   const [showBLMLands, setShowBLMLands] = useState(false);
@@ -115,9 +155,15 @@ export default function TrailMap({
       mapCenter = { lat: 39.8283, lng: -98.5795 };
     }
 
+    // With no signal the vector basemap can't load; use downloaded regions instead
+    const isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    if (isOffline) {
+      maplibregl.addProtocol('offline-region', loadOfflineTile);
+    }
+
     map.current = new maplibregl.Map({
       container: mapContainer.current,
-      style: 'https://basemaps.cartocdn.com/gl/voyager-gl-style/style.json',
+      style: isOffline ? OFFLINE_STYLE : ONLINE_STYLE,
       center: [mapCenter.lng, mapCenter.lat],
       zoom,
     });
@@ -132,6 +178,7 @@ export default function TrailMap({
       if (map.current) {
         map.current.remove();
         map.current = null;
+        highlightMarker.current = null;
       }
     };
   }, [maplibregl, center, zoom, trails]);
@@ -325,6 +372,30 @@ export default function TrailMap({
     });
   }, [selectedTrailId, mapLoaded]);
 
+  // Show, move, or hide the highlighted position marker
+  useEffect(() => {
+    if (!map.current || !mapLoaded || !maplibregl) {
+      return;
+    }
+
+    if (!highlightPosition) {
+      highlightMarker.current?.remove();
+      highlightMarker.current = null;
+      return;
+    }
+
+    const lngLat = [highlightPosition.longitude, highlightPosition.latitude];
+    if (highlightMarker.current) {
+      highlightMarker.current.setLngLat(lngLat);
+    } else {
+      const element = document.createElement('div');
+      element.className = 'w-4 h-4 rounded-full bg-blue-600 border-2 border-white shadow';
+      highlightMarker.current = new maplibregl.Marker({ element })
+        .setLngLat(lngLat)
+        .addTo(map.current);
+    }
+  }, [highlightPosition, mapLoaded, maplibregl]);
+
   // Fetch BLM lands when toggle is enabled
   useEffect(() => {
     if (!showBLMLands || !parkCode || blmLands.length > 0) return;
@@ -0,0 +1,171 @@
+/**
+ * CalendarFeedPanel Component
+ * Shows the user's private calendar subscription URL for upcoming trips,
+ * with options to copy, reset, or turn off the feed
+ */
+
+'use client';
+
+import { useState, useCallback } from 'react';
+import Button from '@/components/ui/Button';
+
+/**
+ * CalendarFeedPanel component
+ * @param {Object} props - Component props
+ * @param {string} props.accessToken - User's access token for API calls
+ */
+export default function CalendarFeedPanel({ accessToken }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [feed, setFeed] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  /**
+   * Call the calendar feed API
+   * @param {string} method - HTTP method
+   * @returns {Promise<Object>} Response data
+   */
+  const requestFeed = useCallback(
+    async (method) => {
+      const response = await fetch('/api/trips/calendar', {
+        method,
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update calendar feed');
+      }
+      return data;
+    },
+    [accessToken]
+  );
+
+  const runRequest = useCallback(
+    async (method) => {
+      try {
+        setLoading(true);
+        setError(null);
+        setCopied(false);
+        const data = await requestFeed(method);
+        setFeed(method === 'DELETE' ? null : data);
+        if (method === 'DELETE') {
+          setIsOpen(false);
+        }
+      } catch (err) {
+        console.error('Calendar feed error:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [requestFeed]
+  );
+
+  const handleOpen = () => {
+    setIsOpen(true);
+    if (!feed) {
+      runRequest('GET');
+    }
+  };
+
+  const handleReset = () => {
+    if (
+      window.confirm(
+        'Reset your calendar link? Calendars subscribed with the old link will stop updating.'
+      )
+    ) {
+      runRequest('POST');
+    }
+  };
+
+  const handleTurnOff = () => {
+    if (window.confirm('Turn off your calendar feed? Subscribed calendars will stop updating.')) {
+      runRequest('DELETE');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      setCopied(true);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <Button variant="white" onClick={handleOpen}>
+        📅 Subscribe in Calendar
+      </Button>
+    );
+  }
+
+  return (
+    <div className="w-full sm:max-w-md p-4 bg-white text-gray-900 rounded-xl shadow-lg">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <h2 className="font-semibold">📅 Calendar Subscription</h2>
+          <p className="mt-1 text-sm text-gray-600">
+            Add this private link to Google or Apple Calendar to see every upcoming trip day,
+            including trips shared with you. Anyone with the link can see these trips.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setIsOpen(false)}
+          className="text-gray-400 hover:text-gray-600"
+          aria-label="Close calendar subscription"
+        >
+          ✕
+        </button>
+      </div>
+
+      {loading && !feed && <p className="mt-3 text-sm text-gray-500">Loading your link...</p>}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+      {feed && (
+        <div className="mt-3 space-y-3">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              readOnly
+              value={feed.url}
+              aria-label="Calendar feed URL"
+              onFocus={(e) => e.target.select()}
+              className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm bg-gray-50"
+            />
+            <Button size="sm" variant="outline" onClick={handleCopy}>
+              {copied ? 'Copied!' : 'Copy'}
+            </Button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <a
+              href={feed.webcalUrl}
+              className="inline-flex items-center px-3 py-1.5 text-sm font-medium rounded-lg bg-green-600 text-white hover:bg-green-700"
+            >
+              Open in Calendar App
+            </a>
+            <Button size="sm" variant="ghost" onClick={handleReset} disabled={loading}>
+              Reset Link
+            </Button>
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={handleTurnOff}
+              disabled={loading}
+              className="text-red-600 hover:bg-red-50"
+            >
+              Turn Off
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,241 @@
+/**
+ * TripBudget Component
+ * Estimated trip cost per day and in total: fuel from the driving route,
+ * park entrance fees, and lodging near each night's park. Owners and
+ * editors can change the fuel price and vehicle MPG.
+ */
+
+'use client';
+
+import { useState, useEffect, useMemo } from 'react';
+import Button from '@/components/ui/Button';
+import Card, { CardContent } from '@/components/ui/Card';
+import {
+  calculateTripBudget,
+  formatCost,
+  FUEL_PRICE_RANGE,
+  MPG_RANGE,
+} from '@/lib/trips/trip-budget';
+
+/**
+ * TripBudget component
+ * @param {Object} props - Component props
+ * @param {string} props.tripId - Trip ID
+ * @param {string} props.accessToken - User's access token for API calls
+ */
+export default function TripBudget({ tripId, accessToken }) {
+  const [budget, setBudget] = useState(null);
+  const [fuelPrice, setFuelPrice] = useState('');
+  const [mpg, setMpg] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!tripId || !accessToken) {
+      return;
+    }
+
+    const loadBudget = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const response = await fetch(`/api/trips/${tripId}/budget`, {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+          },
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to estimate budget');
+        }
+
+        setBudget(data);
+        setFuelPrice(String(data.settings.fuelPrice));
+        setMpg(String(data.settings.mpg));
+      } catch (err) {
+        console.error('Trip budget error:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadBudget();
+  }, [tripId, accessToken]);
+
+  // Reprice locally as the settings change; no need to re-route
+  const estimate = useMemo(
+    () => (budget ? calculateTripBudget(budget.days, { fuelPrice, mpg }) : null),
+    [budget, fuelPrice, mpg]
+  );
+
+  const isDirty =
+    budget &&
+    (parseFloat(fuelPrice) !== budget.settings.fuelPrice ||
+      parseFloat(mpg) !== budget.settings.mpg);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await fetch(`/api/trips/${tripId}/budget`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${accessToken}`,
+        },
+        body: JSON.stringify({ fuelPrice: parseFloat(fuelPrice), mpg: parseFloat(mpg) }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save budget settings');
+      }
+
+      setBudget((prev) => ({ ...prev, settings: data.settings }));
+    } catch (err) {
+      console.error('Trip budget error:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Card>
+        <CardContent>
+          <p className="text-sm text-gray-500">Estimating trip costs...</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (!estimate) {
+    return error ? (
+      <Card>
+        <CardContent>
+          <p className="text-sm text-red-600">{error}</p>
+        </CardContent>
+      </Card>
+    ) : null;
+  }
+
+  return (
+    <Card>
+      <CardContent>
+        <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">💵 Cost Estimate</h2>
+            <p className="mt-1 text-sm text-gray-600">
+              Fuel for the full route including the drive home, one vehicle pass per park, and a
+              typical nightly rate for lodging near where you end each day.
+            </p>
+          </div>
+          <div className="text-right flex-shrink-0">
+            <p className="text-sm text-gray-500">Estimated total</p>
+            <p className="text-3xl font-bold text-green-700">{formatCost(estimate.totals.total)}</p>
+          </div>
+        </div>
+
+        {budget.canEdit ? (
+          <form onSubmit={handleSave} className="mt-4 flex flex-wrap items-end gap-3">
+            <label className="text-sm text-gray-700">
+              Fuel price ($/gal)
+              <input
+                type="number"
+                step="0.01"
+                min={FUEL_PRICE_RANGE.min}
+                max={FUEL_PRICE_RANGE.max}
+                value={fuelPrice}
+                onChange={(e) => setFuelPrice(e.target.value)}
+                className="mt-1 block w-28 px-2 py-1 border border-gray-300 rounded"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              Vehicle MPG
+              <input
+                type="number"
+                step="1"
+                min={MPG_RANGE.min}
+                max={MPG_RANGE.max}
+                value={mpg}
+                onChange={(e) => setMpg(e.target.value)}
+                className="mt-1 block w-24 px-2 py-1 border border-gray-300 rounded"
+              />
+            </label>
+            {isDirty && (
+              <Button type="submit" size="sm" disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </Button>
+            )}
+          </form>
+        ) : (
+          <p className="mt-4 text-sm text-gray-600">
+            Fuel at ${estimate.settings.fuelPrice.toFixed(2)}/gal, {estimate.settings.mpg} mpg
+          </p>
+        )}
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+        {!budget.routed && (
+          <p className="mt-3 text-sm text-amber-700">
+            Driving distance is unavailable right now, so fuel isn&apos;t included.
+          </p>
+        )}
+
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-3 font-medium">Day</th>
+                <th className="py-2 pr-3 font-medium text-right">Miles</th>
+                <th className="py-2 pr-3 font-medium text-right">Fuel</th>
+                <th className="py-2 pr-3 font-medium text-right">Entrance Fees</th>
+                <th className="py-2 pr-3 font-medium text-right">Lodging</th>
+                <th className="py-2 font-medium text-right">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {estimate.days.map((day) => (
+                <tr key={day.dayNumber} className="border-b border-gray-100 text-gray-800">
+                  <td className="py-2 pr-3">Day {day.dayNumber}</td>
+                  <td className="py-2 pr-3 text-right">{Math.round(day.drivingMiles)}</td>
+                  <td className="py-2 pr-3 text-right">{formatCost(day.costs.fuel)}</td>
+                  <td
+                    className="py-2 pr-3 text-right"
+                    title={day.entranceFees.map((fee) => fee.parkName).join(', ') || undefined}
+                  >
+                    {formatCost(day.costs.entranceFees)}
+                  </td>
+                  <td
+                    className="py-2 pr-3 text-right"
+                    title={day.lodging?.parkName ? `Near ${day.lodging.parkName}` : undefined}
+                  >
+                    {day.lodging ? formatCost(day.costs.lodging) : '—'}
+                  </td>
+                  <td className="py-2 text-right font-medium">{formatCost(day.costs.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="font-semibold text-gray-900">
+                <td className="py-2 pr-3">Total</td>
+                <td className="py-2 pr-3 text-right">{Math.round(estimate.totals.drivingMiles)}</td>
+                <td className="py-2 pr-3 text-right">{formatCost(estimate.totals.fuel)}</td>
+                <td className="py-2 pr-3 text-right">{formatCost(estimate.totals.entranceFees)}</td>
+                <td className="py-2 pr-3 text-right">{formatCost(estimate.totals.lodging)}</td>
+                <td className="py-2 text-right">{formatCost(estimate.totals.total)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
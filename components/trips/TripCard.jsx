@@ -76,8 +76,12 @@ export default function TripCard({ trip, onDelete }) {
     dayCount,
     summary,
     createdAt,
+    role,
+    owner,
   } = trip;
 
+  const isShared = Boolean(role && role !== 'owner');
+
   /**
    * Calculate trip duration
    */
@@ -140,6 +144,20 @@ export default function TripCard({ trip, onDelete }) {
               <span>📍</span>
               <span className="truncate">{origin}</span>
             </div>
+
+            {/* Shared By */}
+            {isShared && (
+              <div className="flex items-center gap-2 mt-2 text-sm text-gray-600">
+                <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium capitalize bg-blue-100 text-blue-800">
+                  {role}
+                </span>
+                {owner?.username && (
+                  <span className="truncate">
+                    Shared by {owner.displayName || `@${owner.username}`}
+                  </span>
+                )}
+              </div>
+            )}
           </div>
 
           {/* Body */}
@@ -9,6 +9,12 @@ import { useState, useEffect, useCallback } from 'react';
 import Link from 'next/link';
 import Card, { CardContent } from '@/components/ui/Card';
 import Button from '@/components/ui/Button';
+import TripItineraryEditor from '@/components/trips/TripItineraryEditor';
+import TripBudget from '@/components/trips/TripBudget';
+import ParkAlerts from '@/components/parks/ParkAlerts';
+import VisitorCenterHours from '@/components/parks/VisitorCenterHours';
+import { useTripStream } from '@/hooks/useTripStream';
+import { canEditTrip } from '@/lib/trips/trip-access';
 
 /**
  * Format date for display
@@ -26,6 +32,34 @@ const formatDate = (dateString) => {
   });
 };
 
+/**
+ * Save a fetched file to the user's device
+ * @param {Response} response - Fetch response with a file body
+ * @param {string} fallbackName - Filename if Content-Disposition is missing
+ */
+const downloadResponse = async (response, fallbackName) => {
+  // Get the filename from Content-Disposition header
+  const contentDisposition = response.headers.get('Content-Disposition');
+  let filename = fallbackName;
+  if (contentDisposition) {
+    const match = contentDisposition.match(/filename="(.+)"/);
+    if (match) {
+      filename = match[1];
+    }
+  }
+
+  // Create blob and download
+  const blob = await response.blob();
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
 /**
  * Get weather emoji based on forecast description
  * @param {string} shortForecast - Short forecast description
@@ -96,15 +130,20 @@ const getParkLink = (stop) => {
 };
 
 /**
- * Weather section for a day card - fetches and displays weather for the park location
+ * Weather section for a day card - fetches and displays weather for the park location,
+ * or shows a saved snapshot when the trip was opened offline
  */
-function DayWeatherSection({ latitude, longitude, dayNumber }) {
-  const [weather, setWeather] = useState(null);
-  const [loading, setLoading] = useState(true);
+function DayWeatherSection({ latitude, longitude, dayNumber, snapshot = null }) {
+  const [weather, setWeather] = useState(snapshot);
+  const [loading, setLoading] = useState(!snapshot);
   const [error, setError] = useState(null);
 
   useEffect(() => {
     const fetchWeather = async () => {
+      if (snapshot) {
+        return;
+      }
+
       if (!latitude || !longitude) {
         setError('No coordinates');
         setLoading(false);
@@ -127,7 +166,7 @@ function DayWeatherSection({ latitude, longitude, dayNumber }) {
     };
 
     fetchWeather();
-  }, [latitude, longitude]);
+  }, [latitude, longitude, snapshot]);
 
   // Get the forecast for this specific day
   const getDayForecast = () => {
@@ -203,8 +242,15 @@ function DayWeatherSection({ latitude, longitude, dayNumber }) {
 
 /**
  * Day card component
+ * @param {Object} props - Component props
+ * @param {Object} props.stop - Trip stop
+ * @param {string} props.tripStartDate - Trip start date
+ * @param {Function} props.onRegenerateDay - Regenerate this day (omit to hide the action)
+ * @param {boolean} props.isRegeneratingDay - Whether this day is being regenerated
+ * @param {boolean} props.regenerateDisabled - Disable the action while another day regenerates
+ * @param {Object} props.weatherSnapshot - Saved forecast to show instead of fetching one
  */
-function DayCard({ stop, tripStartDate }) {
+function DayCard({ stop, tripStartDate, onRegenerateDay, isRegeneratingDay = false, regenerateDisabled = false, weatherSnapshot = null }) {
   const [isExpanded, setIsExpanded] = useState(true);
   
   // Calculate actual date for this day
@@ -220,6 +266,15 @@ function DayCard({ stop, tripStartDate }) {
   };
 
   const dayDate = getDateForDay();
+
+  // Same day as YYYY-MM-DD, for looking up that day's visitor center hours
+  const getIsoDateForDay = () => {
+    if (!tripStartDate) {return null;}
+    const date = new Date(`${String(tripStartDate).slice(0, 10)}T12:00:00Z`);
+    if (Number.isNaN(date.getTime())) {return null;}
+    date.setUTCDate(date.getUTCDate() + stop.dayNumber - 1);
+    return date.toISOString().slice(0, 10);
+  };
   const parkImage = stop.park?.images?.[0]?.url;
   const parkLink = getParkLink(stop);
 
@@ -241,6 +296,19 @@ function DayCard({ stop, tripStartDate }) {
             <p className="text-green-100 text-sm">{dayDate}</p>
           )}
         </div>
+        {onRegenerateDay && (
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              onRegenerateDay(stop.dayNumber);
+            }}
+            disabled={regenerateDisabled}
+            className="flex-shrink-0 px-3 py-1 text-sm rounded-lg bg-white/20 hover:bg-white/30 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isRegeneratingDay ? 'Replanning...' : '🔄 Regenerate day'}
+          </button>
+        )}
         <svg
           className={`w-6 h-6 transition-transform ${isExpanded ? 'rotate-180' : ''}`}
           fill="none"
@@ -271,6 +339,9 @@ function DayCard({ stop, tripStartDate }) {
           )}
 
           <div className="p-4 space-y-4">
+            {/* Park closures and hazards */}
+            {stop.parkCode && <ParkAlerts parkCode={stop.parkCode} compact />}
+
             {/* Driving Notes */}
             {stop.drivingNotes && (
               <div className="flex items-start gap-2 p-3 bg-blue-50 rounded-lg">
@@ -293,6 +364,11 @@ function DayCard({ stop, tripStartDate }) {
               </div>
             )}
 
+            {/* Visitor center hours, to check the day's plans against */}
+            {stop.parkCode && (
+              <VisitorCenterHours parkCode={stop.parkCode} date={getIsoDateForDay()} compact />
+            )}
+
             {/* Schedule */}
             <div className="space-y-3">
               {stop.morningPlan && (
@@ -345,6 +421,7 @@ function DayCard({ stop, tripStartDate }) {
                 longitude={stop.park.longitude}
                 dayNumber={stop.dayNumber}
                 tripStartDate={tripStartDate}
+                snapshot={weatherSnapshot}
               />
             )}
 
@@ -640,6 +717,8 @@ function RecommendedProductsSection({ products }) {
  * @param {boolean} props.isRegenerating - Regenerating state
  * @param {boolean} props.isPro - Whether user has pro subscription
  * @param {string} props.accessToken - User's access token for API calls
+ * @param {Function} props.onTripUpdated - Called after the itinerary is edited (enables editing)
+ * @param {Object} props.offlineWeather - Saved forecasts keyed by park code (offline packs)
  */
 export default function TripDetail({
   trip,
@@ -648,6 +727,8 @@ export default function TripDetail({
   isRegenerating = false,
   isPro = false,
   accessToken = null,
+  onTripUpdated,
+  offlineWeather = null,
 }) {
   const {
     id,
@@ -664,10 +745,39 @@ export default function TripDetail({
     bestPhotoSpots,
     estimatedBudget,
     recommendedProducts = [],
+    role,
   } = trip;
 
   const [isExportingPdf, setIsExportingPdf] = useState(false);
-  const [pdfError, setPdfError] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const [isExportingCalendar, setIsExportingCalendar] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [regeneratingDay, setRegeneratingDay] = useState(null);
+  const {
+    regenerateDay,
+    progress: regenerateProgress,
+    error: regenerateError,
+  } = useTripStream();
+
+  // Viewers on a shared trip get a read-only itinerary
+  const canEdit = Boolean(accessToken && onTripUpdated && id) && (!role || canEditTrip(role));
+
+  /**
+   * Replace one day with a freshly generated plan, keeping the rest of the trip
+   */
+  const handleRegenerateDay = useCallback(async (dayNumber) => {
+    if (!window.confirm(`Replace day ${dayNumber} with a new plan? The rest of your trip stays the same.`)) {
+      return;
+    }
+
+    setRegeneratingDay(dayNumber);
+    const result = await regenerateDay(id, dayNumber, accessToken);
+    setRegeneratingDay(null);
+
+    if (result) {
+      onTripUpdated();
+    }
+  }, [regenerateDay, id, accessToken, onTripUpdated]);
 
   /**
    * Handle PDF export
@@ -679,7 +789,7 @@ export default function TripDetail({
 
     try {
       setIsExportingPdf(true);
-      setPdfError(null);
+      setExportError(null);
 
       const response = await fetch(`/api/trips/${id}/pdf`, {
         headers: {
@@ -692,34 +802,47 @@ export default function TripDetail({
         throw new Error(data.error || 'Failed to generate PDF');
       }
 
-      // Get the filename from Content-Disposition header
-      const contentDisposition = response.headers.get('Content-Disposition');
-      let filename = 'trip-plan.pdf';
-      if (contentDisposition) {
-        const match = contentDisposition.match(/filename="(.+)"/);
-        if (match) {
-          filename = match[1];
-        }
-      }
-
-      // Create blob and download
-      const blob = await response.blob();
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(url);
+      await downloadResponse(response, 'trip-plan.pdf');
     } catch (err) {
       console.error('Error exporting PDF:', err);
-      setPdfError(err.message);
+      setExportError(err.message);
     } finally {
       setIsExportingPdf(false);
     }
   }, [isPro, accessToken, id]);
 
+  /**
+   * Handle calendar (.ics) export
+   */
+  const handleExportCalendar = useCallback(async () => {
+    if (!accessToken || !id) {
+      return;
+    }
+
+    try {
+      setIsExportingCalendar(true);
+      setExportError(null);
+
+      const response = await fetch(`/api/trips/${id}/ics`, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to export calendar');
+      }
+
+      await downloadResponse(response, 'trip.ics');
+    } catch (err) {
+      console.error('Error exporting calendar:', err);
+      setExportError(err.message);
+    } finally {
+      setIsExportingCalendar(false);
+    }
+  }, [accessToken, id]);
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -771,8 +894,18 @@ export default function TripDetail({
                 {isExportingPdf ? '📄 Generating...' : '📄 Export PDF'}
               </Button>
             )}
-            {/* Upgrade prompt for non-pro users */}
-            {!isPro && (
+            {/* Calendar Export Button */}
+            {accessToken && (
+              <Button
+                onClick={handleExportCalendar}
+                disabled={isExportingCalendar}
+                variant="outline"
+              >
+                {isExportingCalendar ? '📅 Exporting...' : '📅 Add to Calendar'}
+              </Button>
+            )}
+            {/* Upgrade prompt for signed-in non-pro users */}
+            {!isPro && accessToken && (
               <div className="relative group">
                 <Button
                   variant="outline"
@@ -811,11 +944,11 @@ export default function TripDetail({
           </div>
         </div>
 
-        {/* PDF Export Error */}
-        {pdfError && (
+        {/* Export Error */}
+        {exportError && (
           <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
             <p className="text-sm text-red-700">
-              <span className="font-medium">Error:</span> {pdfError}
+              <span className="font-medium">Error:</span> {exportError}
             </p>
           </div>
         )}
@@ -830,18 +963,63 @@ export default function TripDetail({
 
       {/* Day-by-Day Schedule */}
       <div>
-        <h2 className="text-xl font-bold text-gray-900 mb-4">📅 Day-by-Day Itinerary</h2>
-        <div className="space-y-4">
-          {stops.map((stop, index) => (
-            <DayCard
-              key={stop.id || index}
-              stop={stop}
-              tripStartDate={startDate}
-            />
-          ))}
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-900">📅 Day-by-Day Itinerary</h2>
+          {canEdit && (
+            <Button
+              onClick={() => setIsEditing(!isEditing)}
+              variant={isEditing ? 'primary' : 'outline'}
+              size="sm"
+            >
+              {isEditing ? '✓ Done Editing' : '✏️ Edit Itinerary'}
+            </Button>
+          )}
         </div>
+        {regeneratingDay && regenerateProgress?.message && (
+          <p className="mb-4 text-sm text-green-700">{regenerateProgress.message}</p>
+        )}
+        {regenerateError && !regeneratingDay && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-700">
+              <span className="font-medium">Error:</span> {regenerateError.message}
+            </p>
+          </div>
+        )}
+        {isEditing && canEdit ? (
+          <TripItineraryEditor
+            tripId={id}
+            stops={stops}
+            startDate={startDate}
+            endDate={endDate}
+            accessToken={accessToken}
+            onTripUpdated={onTripUpdated}
+          />
+        ) : (
+          <div className="space-y-4">
+            {stops.map((stop, index) => (
+              <DayCard
+                key={stop.id || index}
+                stop={stop}
+                tripStartDate={startDate}
+                onRegenerateDay={canEdit ? handleRegenerateDay : undefined}
+                isRegeneratingDay={regeneratingDay === stop.dayNumber}
+                regenerateDisabled={regeneratingDay !== null}
+                weatherSnapshot={offlineWeather?.[stop.parkCode] || null}
+              />
+            ))}
+          </div>
+        )}
       </div>
 
+      {/* Cost Estimate - remounts after edits so it re-routes the new itinerary */}
+      {accessToken && id && (
+        <TripBudget
+          key={stops.map((stop) => `${stop.id}:${stop.dayNumber}`).join(',')}
+          tripId={id}
+          accessToken={accessToken}
+        />
+      )}
+
       {/* Recommended Products */}
       <RecommendedProductsSection products={recommendedProducts} />
 
@@ -0,0 +1,447 @@
+/**
+ * TripItineraryEditor Component
+ * Lets the trip owner rearrange stops between days, add or remove parks,
+ * and edit each stop's morning/afternoon/evening plans
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import Button from '@/components/ui/Button';
+import { debounce } from '@/lib/utils/debounce';
+import {
+  getTripDayCount,
+  groupStopsByDay,
+  moveStop,
+  getStopOrderChanges,
+} from '@/lib/trips/trip-editor';
+
+/**
+ * Plan fields shown in the plan editor
+ */
+const PLAN_FIELDS = [
+  { key: 'morningPlan', label: '🌅 Morning' },
+  { key: 'afternoonPlan', label: '☀️ Afternoon' },
+  { key: 'eveningPlan', label: '🌙 Evening' },
+];
+
+/**
+ * Send an authenticated JSON request to the trip API
+ * @param {string} url - Endpoint
+ * @param {string} method - HTTP method
+ * @param {string} accessToken - User's access token
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} Response data
+ */
+const sendTripRequest = async (url, method, accessToken, body) => {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken}`,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to update trip');
+  }
+  return data;
+};
+
+/**
+ * Park search for adding a stop to a day
+ * @param {Object} props - Component props
+ * @param {number} props.dayNumber - Day the park is added to
+ * @param {Function} props.onSelect - Called with the selected park code
+ * @param {Function} props.onCancel - Close handler
+ * @param {boolean} props.disabled - Disable selection while saving
+ */
+function AddParkSearch({ dayNumber, onSelect, onCancel, disabled }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  const searchParks = useMemo(
+    () =>
+      debounce(async (searchQuery) => {
+        if (searchQuery.trim().length < 2) {
+          setResults([]);
+          return;
+        }
+
+        try {
+          setSearching(true);
+          const response = await fetch(
+            `/api/parks/search?q=${encodeURIComponent(searchQuery.trim())}&limit=5`
+          );
+          const data = await response.json();
+          setResults(data.parks || []);
+        } catch (err) {
+          console.error('Error searching parks:', err);
+          setResults([]);
+        } finally {
+          setSearching(false);
+        }
+      }, 300),
+    []
+  );
+
+  const handleChange = (e) => {
+    setQuery(e.target.value);
+    searchParks(e.target.value);
+  };
+
+  return (
+    <div className="mt-3 p-3 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="flex gap-2">
+        <input
+          type="search"
+          value={query}
+          onChange={handleChange}
+          placeholder="Search parks to add..."
+          aria-label={`Search parks to add to day ${dayNumber}`}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+          autoFocus
+        />
+        <Button size="sm" variant="ghost" onClick={onCancel}>
+          Cancel
+        </Button>
+      </div>
+      {searching && <p className="mt-2 text-xs text-gray-500">Searching...</p>}
+      {results.length > 0 && (
+        <ul className="mt-2 divide-y divide-gray-200 bg-white rounded-lg border border-gray-200">
+          {results.map((park) => (
+            <li key={park.park_code}>
+              <button
+                type="button"
+                disabled={disabled}
+                onClick={() => onSelect(park.park_code)}
+                className="w-full text-left px-3 py-2 text-sm hover:bg-green-50 disabled:opacity-50"
+              >
+                <span className="font-medium text-gray-900">{park.full_name}</span>
+                {park.states && <span className="ml-2 text-xs text-gray-500">{park.states}</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Inline editor for a stop's plans
+ * @param {Object} props - Component props
+ * @param {Object} props.stop - Stop being edited
+ * @param {Function} props.onSave - Called with the changed plan fields
+ * @param {Function} props.onCancel - Close handler
+ * @param {boolean} props.saving - Saving state
+ */
+function StopPlanForm({ stop, onSave, onCancel, saving }) {
+  const [draft, setDraft] = useState(() =>
+    Object.fromEntries(PLAN_FIELDS.map(({ key }) => [key, stop[key] || '']))
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(draft);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 space-y-3">
+      {PLAN_FIELDS.map(({ key, label }) => (
+        <label key={key} className="block">
+          <span className="text-sm font-medium text-gray-700">{label}</span>
+          <textarea
+            value={draft[key]}
+            onChange={(e) => setDraft((prev) => ({ ...prev, [key]: e.target.value }))}
+            rows={2}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+        </label>
+      ))}
+      <div className="flex gap-2">
+        <Button type="submit" size="sm" loading={saving}>
+          Save plans
+        </Button>
+        <Button type="button" size="sm" variant="ghost" onClick={onCancel}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * TripItineraryEditor component
+ * @param {Object} props - Component props
+ * @param {string} props.tripId - Trip ID
+ * @param {Array} props.stops - Trip stops (camelCase, as returned by GET /api/trips/[id])
+ * @param {string} props.startDate - Trip start date
+ * @param {string} props.endDate - Trip end date
+ * @param {string} props.accessToken - User's access token for API calls
+ * @param {Function} props.onTripUpdated - Called after each saved change so the trip can be refetched
+ */
+export default function TripItineraryEditor({
+  tripId,
+  stops = [],
+  startDate,
+  endDate,
+  accessToken,
+  onTripUpdated,
+}) {
+  const [items, setItems] = useState(stops);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [draggedStopId, setDraggedStopId] = useState(null);
+  const [editingStopId, setEditingStopId] = useState(null);
+  const [addingToDay, setAddingToDay] = useState(null);
+
+  // Keep local state in sync with the refetched trip
+  useEffect(() => {
+    setItems(stops);
+  }, [stops]);
+
+  const days = useMemo(
+    () => groupStopsByDay(items, getTripDayCount(startDate, endDate)),
+    [items, startDate, endDate]
+  );
+
+  /**
+   * Run a mutation with shared saving/error handling
+   */
+  const runUpdate = useCallback(
+    async (mutation, rollback) => {
+      try {
+        setSaving(true);
+        setError(null);
+        await mutation();
+        onTripUpdated?.();
+      } catch (err) {
+        console.error('Error updating trip:', err);
+        setError(err.message);
+        rollback?.();
+      } finally {
+        setSaving(false);
+      }
+    },
+    [onTripUpdated]
+  );
+
+  /**
+   * Move a stop to a day/position and save the new order
+   */
+  const handleMove = useCallback(
+    (stopId, dayNumber, position) => {
+      const previous = items;
+      const next = moveStop(previous, stopId, dayNumber, position);
+      const changes = getStopOrderChanges(previous, next);
+
+      if (changes.length === 0) {
+        return;
+      }
+
+      // Optimistic update; restored if the save fails
+      setItems(next);
+      runUpdate(
+        () => sendTripRequest(`/api/trips/${tripId}`, 'PATCH', accessToken, { stops: changes }),
+        () => setItems(previous)
+      );
+    },
+    [items, tripId, accessToken, runUpdate]
+  );
+
+  const handleDelete = useCallback(
+    (stop) => {
+      const name = stop.park?.name || stop.parkCode;
+      if (!window.confirm(`Remove ${name} from this trip?`)) {
+        return;
+      }
+
+      const previous = items;
+      setItems(previous.filter((s) => s.id !== stop.id));
+      runUpdate(
+        () => sendTripRequest(`/api/trips/${tripId}/stops/${stop.id}`, 'DELETE', accessToken),
+        () => setItems(previous)
+      );
+    },
+    [items, tripId, accessToken, runUpdate]
+  );
+
+  const handleSavePlans = useCallback(
+    (stopId, plans) =>
+      runUpdate(async () => {
+        const data = await sendTripRequest(
+          `/api/trips/${tripId}/stops/${stopId}`,
+          'PATCH',
+          accessToken,
+          plans
+        );
+        setItems((prev) => prev.map((s) => (s.id === stopId ? { ...s, ...data.stop } : s)));
+        setEditingStopId(null);
+      }),
+    [tripId, accessToken, runUpdate]
+  );
+
+  const handleAddPark = useCallback(
+    (dayNumber, parkCode) =>
+      runUpdate(async () => {
+        await sendTripRequest(`/api/trips/${tripId}/stops`, 'POST', accessToken, {
+          parkCode,
+          dayNumber,
+        });
+        setAddingToDay(null);
+      }),
+    [tripId, accessToken, runUpdate]
+  );
+
+  const handleDrop = (e, dayNumber, position) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const stopId = draggedStopId || e.dataTransfer?.getData('text/plain');
+    setDraggedStopId(null);
+    if (stopId) {
+      handleMove(stopId, dayNumber, position);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Drag parks between days, or use the controls on each stop. Driving times are recalculated
+        after every change.
+      </p>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">
+            <span className="font-medium">Error:</span> {error}
+          </p>
+        </div>
+      )}
+
+      {days.map(({ dayNumber, stops: dayStops }) => (
+        <section
+          key={dayNumber}
+          data-testid={`editor-day-${dayNumber}`}
+          onDragOver={(e) => e.preventDefault()}
+          onDrop={(e) => handleDrop(e, dayNumber)}
+          className="bg-white rounded-xl shadow-md p-4"
+        >
+          <div className="flex items-center justify-between">
+            <h3 className="font-bold text-gray-900">Day {dayNumber}</h3>
+            {addingToDay !== dayNumber && (
+              <Button size="sm" variant="ghost" onClick={() => setAddingToDay(dayNumber)}>
+                ➕ Add park
+              </Button>
+            )}
+          </div>
+
+          {dayStops.length === 0 && (
+            <p className="mt-2 text-sm text-gray-400 italic">No parks planned — drop one here.</p>
+          )}
+
+          <ul className="mt-2 space-y-2">
+            {dayStops.map((stop, index) => (
+              <li
+                key={stop.id}
+                draggable={!saving}
+                onDragStart={(e) => {
+                  setDraggedStopId(stop.id);
+                  e.dataTransfer?.setData('text/plain', stop.id);
+                }}
+                onDragEnd={() => setDraggedStopId(null)}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={(e) => handleDrop(e, dayNumber, index)}
+                className={`p-3 rounded-lg border ${
+                  draggedStopId === stop.id ? 'border-green-400 opacity-50' : 'border-gray-200'
+                } bg-gray-50 cursor-move`}
+              >
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-gray-400" aria-hidden="true">
+                    ⋮⋮
+                  </span>
+                  <span className="flex-1 font-medium text-gray-900">
+                    {stop.park?.name || stop.parkCode}
+                  </span>
+
+                  <select
+                    value={stop.dayNumber}
+                    onChange={(e) => handleMove(stop.id, parseInt(e.target.value, 10))}
+                    disabled={saving}
+                    aria-label={`Move ${stop.park?.name || stop.parkCode} to day`}
+                    className="px-2 py-1 border border-gray-300 rounded text-sm"
+                  >
+                    {days.map((day) => (
+                      <option key={day.dayNumber} value={day.dayNumber}>
+                        Day {day.dayNumber}
+                      </option>
+                    ))}
+                  </select>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => handleMove(stop.id, dayNumber, index - 1)}
+                    disabled={saving || index === 0}
+                    aria-label="Move up"
+                  >
+                    ↑
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => handleMove(stop.id, dayNumber, index + 1)}
+                    disabled={saving || index === dayStops.length - 1}
+                    aria-label="Move down"
+                  >
+                    ↓
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => setEditingStopId(editingStopId === stop.id ? null : stop.id)}
+                  >
+                    ✏️ Plans
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => handleDelete(stop)}
+                    disabled={saving}
+                    className="text-red-600 hover:bg-red-50"
+                  >
+                    🗑️ Remove
+                  </Button>
+                </div>
+
+                {stop.drivingNotes && (
+                  <p className="mt-1 text-xs text-gray-500">🚗 {stop.drivingNotes}</p>
+                )}
+
+                {editingStopId === stop.id && (
+                  <StopPlanForm
+                    stop={stop}
+                    saving={saving}
+                    onSave={(plans) => handleSavePlans(stop.id, plans)}
+                    onCancel={() => setEditingStopId(null)}
+                  />
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {addingToDay === dayNumber && (
+            <AddParkSearch
+              dayNumber={dayNumber}
+              disabled={saving}
+              onSelect={(parkCode) => handleAddPark(dayNumber, parkCode)}
+              onCancel={() => setAddingToDay(null)}
+            />
+          )}
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -7,6 +7,7 @@
 
 import { useEffect, useState, useRef, useCallback } from 'react';
 import dynamic from 'next/dynamic';
+import { getGeometryLines } from '@/lib/map/map-tiles';
 
 // Dynamically import Leaflet components to avoid SSR issues
 const MapContainer = dynamic(
@@ -178,9 +179,10 @@ const getStraightLineCoordinates = (stops, origin) => {
  * @param {Array} props.stops - Trip stops with park data
  * @param {Object} props.origin - Origin coordinates {lat, lng}
  * @param {string} props.originName - Origin display name
+ * @param {Array} props.trails - Trails with GeoJSON geometry to draw (from an offline pack)
  * @param {string} props.className - Additional CSS classes
  */
-export default function TripMap({ stops = [], origin, originName, className = '' }) {
+export default function TripMap({ stops = [], origin, originName, trails = [], className = '' }) {
   const [isClient, setIsClient] = useState(false);
   const [icons, setIcons] = useState({ origin: null, numbered: {} });
   const [mapKey, setMapKey] = useState(0);
@@ -344,6 +346,19 @@ export default function TripMap({ stops = [], origin, originName, className = ''
           />
         )}
 
+        {/* Trails saved with the offline pack */}
+        {trails.flatMap(trail =>
+          getGeometryLines(trail.geojson).map((line, index) => (
+            <Polyline
+              key={`${trail.id}-${index}`}
+              positions={line}
+              color="#92400E"
+              weight={2}
+              opacity={0.7}
+            />
+          ))
+        )}
+
         {/* Origin marker */}
         {origin?.lat && origin?.lng && icons.origin && (
           <Marker
@@ -0,0 +1,272 @@
+/**
+ * TripMembersPanel Component
+ * Lists who is on a trip. Owners invite co-planners by username and
+ * manage their roles; members can leave the trip.
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Button from '@/components/ui/Button';
+import { MEMBER_ROLES } from '@/lib/trips/trip-access';
+
+/**
+ * What each role can do, shown next to the role picker
+ */
+const ROLE_DESCRIPTIONS = {
+  owner: 'Owner',
+  editor: 'Can edit',
+  viewer: 'Can view',
+};
+
+/**
+ * One person on the trip
+ * @param {Object} props - Component props
+ * @param {Object} props.member - Formatted member
+ * @param {boolean} props.isSelf - Whether this is the signed-in user
+ * @param {boolean} props.canManage - Whether the signed-in user can change this member
+ * @param {boolean} props.disabled - Disable controls while saving
+ * @param {Function} props.onRoleChange - Called with (userId, role)
+ * @param {Function} props.onRemove - Called with (member)
+ */
+function MemberRow({ member, isSelf, canManage, disabled, onRoleChange, onRemove }) {
+  const name = member.displayName || (member.username ? `@${member.username}` : 'Unknown user');
+
+  return (
+    <li className="flex items-center justify-between gap-3 py-2">
+      <div className="min-w-0">
+        <p className="font-medium text-gray-900 truncate">
+          {name}
+          {isSelf && <span className="ml-1 text-sm text-gray-500">(you)</span>}
+        </p>
+        {member.displayName && member.username && (
+          <p className="text-sm text-gray-500 truncate">@{member.username}</p>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2 flex-shrink-0">
+        {canManage && member.role !== 'owner' ? (
+          <select
+            value={member.role}
+            onChange={(e) => onRoleChange(member.userId, e.target.value)}
+            disabled={disabled}
+            aria-label={`Role for ${name}`}
+            className="px-2 py-1 border border-gray-300 rounded text-sm"
+          >
+            {MEMBER_ROLES.map((role) => (
+              <option key={role} value={role}>
+                {ROLE_DESCRIPTIONS[role]}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <span className="text-sm text-gray-600">{ROLE_DESCRIPTIONS[member.role]}</span>
+        )}
+        {member.role !== 'owner' && (canManage || isSelf) && (
+          <Button
+            size="sm"
+            variant="ghost"
+            onClick={() => onRemove(member)}
+            disabled={disabled}
+            className="text-red-600 hover:bg-red-50"
+          >
+            {isSelf ? 'Leave' : 'Remove'}
+          </Button>
+        )}
+      </div>
+    </li>
+  );
+}
+
+/**
+ * TripMembersPanel component
+ * @param {Object} props - Component props
+ * @param {string} props.tripId - Trip ID
+ * @param {string} props.accessToken - User's access token for API calls
+ * @param {string} props.currentUserId - Signed-in user's ID
+ * @param {Function} props.onLeft - Called after the signed-in user leaves the trip
+ */
+export default function TripMembersPanel({ tripId, accessToken, currentUserId, onLeft }) {
+  const [role, setRole] = useState(null);
+  const [owner, setOwner] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [username, setUsername] = useState('');
+  const [inviteRole, setInviteRole] = useState('viewer');
+
+  const canManage = role === 'owner';
+
+  /**
+   * Call the trip members API
+   * @param {string} path - Path below /api/trips/[id]/members
+   * @param {Object} [options] - Fetch options
+   * @returns {Promise<Object>} Response data
+   */
+  const request = useCallback(
+    async (path, { method = 'GET', body } = {}) => {
+      const response = await fetch(`/api/trips/${tripId}/members${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${accessToken}`,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update trip members');
+      }
+      return data;
+    },
+    [tripId, accessToken]
+  );
+
+  /**
+   * Run a change and surface its error
+   * @param {Function} action - Async change
+   */
+  const runChange = async (action) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await action();
+    } catch (err) {
+      console.error('Trip members error:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!tripId || !accessToken) {
+      return;
+    }
+
+    const loadMembers = async () => {
+      try {
+        setLoading(true);
+        const data = await request('');
+        setRole(data.role);
+        setOwner(data.owner);
+        setMembers(data.members || []);
+      } catch (err) {
+        console.error('Trip members error:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadMembers();
+  }, [tripId, accessToken, request]);
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    if (!username.trim()) {
+      return;
+    }
+
+    runChange(async () => {
+      const { member } = await request('', {
+        method: 'POST',
+        body: { username: username.trim(), role: inviteRole },
+      });
+      setMembers((prev) => [...prev, member]);
+      setUsername('');
+    });
+  };
+
+  const handleRoleChange = (userId, newRole) => {
+    runChange(async () => {
+      const { member } = await request(`/${userId}`, { method: 'PATCH', body: { role: newRole } });
+      setMembers((prev) => prev.map((m) => (m.userId === userId ? member : m)));
+    });
+  };
+
+  const handleRemove = (member) => {
+    const isSelf = member.userId === currentUserId;
+    const message = isSelf
+      ? 'Leave this trip? You will need a new invite to see it again.'
+      : `Remove ${member.displayName || `@${member.username}`} from this trip?`;
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    runChange(async () => {
+      await request(`/${member.userId}`, { method: 'DELETE' });
+      setMembers((prev) => prev.filter((m) => m.userId !== member.userId));
+      if (isSelf && onLeft) {
+        onLeft();
+      }
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-xl font-bold text-gray-900">👥 Trip Members</h2>
+      <p className="mt-1 text-sm text-gray-600">
+        Editors can change the itinerary. Viewers can see it but not change it.
+      </p>
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+      {loading ? (
+        <p className="mt-4 text-sm text-gray-500">Loading members...</p>
+      ) : (
+        <ul className="mt-4 divide-y divide-gray-100">
+          {owner && (
+            <MemberRow
+              member={owner}
+              isSelf={owner.userId === currentUserId}
+              canManage={false}
+              disabled={saving}
+            />
+          )}
+          {members.map((member) => (
+            <MemberRow
+              key={member.userId}
+              member={member}
+              isSelf={member.userId === currentUserId}
+              canManage={canManage}
+              disabled={saving}
+              onRoleChange={handleRoleChange}
+              onRemove={handleRemove}
+            />
+          ))}
+        </ul>
+      )}
+
+      {canManage && (
+        <form onSubmit={handleInvite} className="mt-4 flex flex-col sm:flex-row gap-2">
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            placeholder="Invite by username"
+            aria-label="Username to invite"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+          />
+          <select
+            value={inviteRole}
+            onChange={(e) => setInviteRole(e.target.value)}
+            aria-label="Role for invited user"
+            className="px-2 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            {MEMBER_ROLES.map((memberRole) => (
+              <option key={memberRole} value={memberRole}>
+                {ROLE_DESCRIPTIONS[memberRole]}
+              </option>
+            ))}
+          </select>
+          <Button type="submit" size="sm" disabled={saving || !username.trim()}>
+            {saving ? 'Saving...' : 'Invite'}
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+/**
+ * TripOfflinePanel Component
+ * Downloads a trip for offline use - itinerary, park details, trails, a
+ * weather snapshot, and route map tiles - or removes the saved copy
+ */
+
+'use client';
+
+import { useState } from 'react';
+import Button from '@/components/ui/Button';
+import { buildOfflineTripPack } from '@/lib/trips/trip-offline';
+
+/**
+ * Describe download progress
+ * @param {Object} progress - Progress from buildOfflineTripPack
+ * @returns {string} Progress label
+ */
+const getProgressLabel = ({ stage, done, total }) =>
+  stage === 'tiles'
+    ? `Downloading map tiles (${done}/${total})...`
+    : `Saving park details (${done}/${total})...`;
+
+/**
+ * TripOfflinePanel component
+ * @param {Object} props - Component props
+ * @param {Object} props.trip - Trip to save
+ * @param {Object|null} props.savedPack - Offline pack already on this device
+ * @param {boolean} props.isOnline - Whether the device is online
+ * @param {Function} props.onSave - Persist a new pack (async)
+ * @param {Function} props.onRemove - Remove the saved pack (async)
+ */
+export default function TripOfflinePanel({ trip, savedPack, isOnline = true, onSave, onRemove }) {
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const isDownloading = progress !== null;
+
+  const handleDownload = async () => {
+    try {
+      setError(null);
+      setProgress({ stage: 'details', done: 0, total: 0 });
+      const pack = await buildOfflineTripPack(trip, { onProgress: setProgress });
+      await onSave(pack);
+    } catch (err) {
+      console.error('Offline download error:', err);
+      setError('Failed to save this trip for offline use');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleRemove = async () => {
+    try {
+      setError(null);
+      await onRemove();
+    } catch (err) {
+      console.error('Offline remove error:', err);
+      setError('Failed to remove the offline copy');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-xl font-bold text-gray-900">📴 Offline Access</h2>
+
+      {savedPack ? (
+        <p className="mt-1 text-sm text-gray-600">
+          Saved on this device {new Date(savedPack.savedAt).toLocaleDateString()} with{' '}
+          {savedPack.tiles?.count || 0} map tiles. It opens even with no signal.
+        </p>
+      ) : (
+        <p className="mt-1 text-sm text-gray-600">
+          Save the itinerary, park details, trails, weather, and route maps to this device for parks
+          with no signal.
+        </p>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+      {isDownloading && <p className="mt-3 text-sm text-gray-600">{getProgressLabel(progress)}</p>}
+      {!isOnline && !savedPack && (
+        <p className="mt-3 text-sm text-amber-700">Connect to the internet to download.</p>
+      )}
+
+      <div className="mt-4 flex flex-wrap gap-2">
+        <Button
+          size="sm"
+          variant={savedPack ? 'outline' : 'primary'}
+          onClick={handleDownload}
+          disabled={!isOnline || isDownloading}
+        >
+          {savedPack ? 'Update Offline Copy' : 'Download for Offline'}
+        </Button>
+        {savedPack && (
+          <Button size="sm" variant="outline" onClick={handleRemove} disabled={isDownloading}>
+            Remove
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+/**
+ * TripSharePanel Component
+ * Lets the trip owner turn on a public, read-only link to the trip,
+ * with options to copy, reset, or turn off the link
+ */
+
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Button from '@/components/ui/Button';
+
+/**
+ * TripSharePanel component
+ * @param {Object} props - Component props
+ * @param {string} props.tripId - Trip ID
+ * @param {string} props.accessToken - User's access token for API calls
+ */
+export default function TripSharePanel({ tripId, accessToken }) {
+  const [link, setLink] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  /**
+   * Call the trip share API
+   * @param {string} method - HTTP method
+   * @returns {Promise<Object>} Response data
+   */
+  const requestLink = useCallback(
+    async (method) => {
+      const response = await fetch(`/api/trips/${tripId}/share`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update share link');
+      }
+      return data;
+    },
+    [tripId, accessToken]
+  );
+
+  useEffect(() => {
+    if (!tripId || !accessToken) {
+      return;
+    }
+
+    const loadLink = async () => {
+      try {
+        setLoading(true);
+        setLink(await requestLink('GET'));
+      } catch (err) {
+        console.error('Share link error:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadLink();
+  }, [tripId, accessToken, requestLink]);
+
+  /**
+   * Change the link and surface its error
+   * @param {string} method - POST to create or reset, DELETE to turn off
+   */
+  const runChange = async (method) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setCopied(false);
+      const data = await requestLink(method);
+      setLink(method === 'DELETE' ? { enabled: false, url: null } : data);
+    } catch (err) {
+      console.error('Share link error:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = () => {
+    if (window.confirm('Reset the share link? The old link will stop working.')) {
+      runChange('POST');
+    }
+  };
+
+  const handleTurnOff = () => {
+    if (
+      window.confirm('Turn off the share link? People with the link will no longer see this trip.')
+    ) {
+      runChange('DELETE');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link.url);
+      setCopied(true);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <h2 className="text-xl font-bold text-gray-900">🔗 Public Link</h2>
+      <p className="mt-1 text-sm text-gray-600">
+        Anyone with the link can view this trip without an account. They can&apos;t change it.
+      </p>
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+      {loading && <p className="mt-4 text-sm text-gray-500">Loading share link...</p>}
+
+      {!loading && !link?.enabled && (
+        <Button size="sm" className="mt-4" onClick={() => runChange('POST')} disabled={saving}>
+          {saving ? 'Creating...' : 'Create Share Link'}
+        </Button>
+      )}
+
+      {!loading && link?.enabled && (
+        <div className="mt-4 space-y-3">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              readOnly
+              value={link.url}
+              aria-label="Share link URL"
+              onFocus={(e) => e.target.select()}
+              className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm bg-gray-50"
+            />
+            <Button size="sm" variant="outline" onClick={handleCopy}>
+              {copied ? 'Copied!' : 'Copy'}
+            </Button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <Button size="sm" variant="ghost" onClick={handleReset} disabled={saving}>
+              Reset Link
+            </Button>
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={handleTurnOff}
+              disabled={saving}
+              className="text-red-600 hover:bg-red-50"
+            >
+              Turn Off
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
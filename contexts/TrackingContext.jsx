@@ -189,6 +189,15 @@ export function TrackingProvider({ children }) {
     pendingPointsCount: tracking.pendingPointsCount,
     isUploading: tracking.isUploading,
 
+    // Route following state
+    followedRoute: tracking.followedRoute,
+    navigation: tracking.navigation,
+    offRouteThreshold: tracking.offRouteThreshold,
+
+    // Check-in state
+    expectedReturnAt: tracking.expectedReturnAt,
+    emergencyContacts: tracking.emergencyContacts,
+
     // Recovery state
     hasRecoverableSession: tracking.hasRecoverableSession,
     recoverableSessionInfo: tracking.recoverableSessionInfo,
@@ -202,6 +211,14 @@ export function TrackingProvider({ children }) {
     toggleTrackingPanel,
     setShowTrackingPanel,
 
+    // Route following actions
+    startFollowing: tracking.startFollowing,
+    stopFollowing: tracking.stopFollowing,
+    setOffRouteThreshold: tracking.setOffRouteThreshold,
+
+    // Check-in actions
+    extendReturnTime: tracking.extendReturnTime,
+
     // Recovery actions
     recoverSession: tracking.recoverSession,
     dismissRecoverableSession: tracking.dismissRecoverableSession,
@@ -31,6 +31,7 @@ export default [
         localStorage: 'readonly',
         sessionStorage: 'readonly',
         indexedDB: 'readonly',
+        IDBKeyRange: 'readonly',
         console: 'readonly',
         setTimeout: 'readonly',
         clearTimeout: 'readonly',
@@ -43,6 +44,10 @@ export default [
         Response: 'readonly',
         Headers: 'readonly',
         AbortController: 'readonly',
+        ReadableStream: 'readonly',
+        TextEncoder: 'readonly',
+        TextDecoder: 'readonly',
+        Intl: 'readonly',
         // Node.js globals
         process: 'readonly',
         Buffer: 'readonly',
@@ -114,6 +119,15 @@ export default [
       'no-console': 'off',
     },
   },
+  {
+    // Service worker (bundled by next-pwa)
+    files: ['worker/**/*.js'],
+    languageOptions: {
+      globals: {
+        self: 'readonly',
+      },
+    },
+  },
   {
     // Config files
     files: ['*.config.js', '*.config.mjs'],
@@ -130,6 +144,7 @@ export default [
       'coverage/',
       'public/sw.js',
       'public/workbox-*.js',
+      'public/worker-*.js',
     ],
   },
 ];
\ No newline at end of file
@@ -1,9 +1,7 @@
 'use client';
 
 import { useCallback, useEffect, useState } from 'react';
-
-const DB_NAME = 'parklookup';
-const DB_VERSION = 1;
+import { OFFLINE_DB_NAME, OFFLINE_DB_VERSION, upgradeOfflineDb } from '@/lib/offline/offline-db';
 
 /**
  * Hook for offline data storage using IndexedDB
@@ -21,7 +19,7 @@ export function useOfflineStorage() {
       return;
     }
 
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
 
     request.onerror = () => {
       setError('Failed to open IndexedDB');
@@ -34,36 +32,7 @@ export function useOfflineStorage() {
     };
 
     request.onupgradeneeded = (event) => {
-      const database = event.target.result;
-
-      // Create object stores if they don't exist
-      if (!database.objectStoreNames.contains('cachedParks')) {
-        const parkStore = database.createObjectStore('cachedParks', {
-          keyPath: 'id',
-        });
-        parkStore.createIndex('park_code', 'park_code', { unique: true });
-        parkStore.createIndex('full_name', 'full_name', { unique: false });
-        parkStore.createIndex('states', 'states', { unique: false });
-      }
-
-      if (!database.objectStoreNames.contains('pendingFavorites')) {
-        database.createObjectStore('pendingFavorites', {
-          keyPath: 'id',
-          autoIncrement: true,
-        });
-      }
-
-      if (!database.objectStoreNames.contains('userFavorites')) {
-        database.createObjectStore('userFavorites', { keyPath: 'parkId' });
-      }
-
-      if (!database.objectStoreNames.contains('searchHistory')) {
-        const searchStore = database.createObjectStore('searchHistory', {
-          keyPath: 'id',
-          autoIncrement: true,
-        });
-        searchStore.createIndex('timestamp', 'timestamp', { unique: false });
-      }
+      upgradeOfflineDb(event.target.result);
     };
 
     return () => {
@@ -332,13 +301,155 @@ export function useOfflineStorage() {
     [db]
   );
 
+  /**
+   * Save an offline trip pack (see lib/trips/trip-offline)
+   * @param {Object} pack - Pack with id, trip, trails, weather, tiles, and savedAt
+   */
+  const saveOfflineTrip = useCallback(
+    async (pack) => {
+      if (!db || !pack?.id) {return;}
+
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction('offlineTrips', 'readwrite');
+        const store = tx.objectStore('offlineTrips');
+        store.put(pack);
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    },
+    [db]
+  );
+
+  /**
+   * Get an offline trip pack
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<Object|null>} - Pack or null
+   */
+  const getOfflineTrip = useCallback(
+    async (tripId) => {
+      if (!db) {return null;}
+
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction('offlineTrips', 'readonly');
+        const store = tx.objectStore('offlineTrips');
+        const request = store.get(tripId);
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+      });
+    },
+    [db]
+  );
+
+  /**
+   * Get all offline trip packs
+   * @returns {Promise<Array>} - Array of packs
+   */
+  const getOfflineTrips = useCallback(async () => {
+    if (!db) {return [];}
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('offlineTrips', 'readonly');
+      const store = tx.objectStore('offlineTrips');
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }, [db]);
+
+  /**
+   * Remove an offline trip pack
+   * @param {string} tripId - Trip ID
+   */
+  const removeOfflineTrip = useCallback(
+    async (tripId) => {
+      if (!db) {return;}
+
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction('offlineTrips', 'readwrite');
+        const store = tx.objectStore('offlineTrips');
+        const request = store.delete(tripId);
+
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      });
+    },
+    [db]
+  );
+
+  /**
+   * Save a downloaded map region (see lib/map/offline-regions)
+   * @param {Object} region - Region with id, name, bounds, zoom range, and size
+   */
+  const saveOfflineRegion = useCallback(
+    async (region) => {
+      if (!db || !region?.id) {return;}
+
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction('offlineRegions', 'readwrite');
+        const store = tx.objectStore('offlineRegions');
+        store.put(region);
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    },
+    [db]
+  );
+
+  /**
+   * Get all downloaded map regions
+   * @returns {Promise<Array>} - Array of regions
+   */
+  const getOfflineRegions = useCallback(async () => {
+    if (!db) {return [];}
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('offlineRegions', 'readonly');
+      const store = tx.objectStore('offlineRegions');
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }, [db]);
+
+  /**
+   * Remove a downloaded map region's metadata
+   * @param {string} regionId - Region ID
+   */
+  const removeOfflineRegion = useCallback(
+    async (regionId) => {
+      if (!db) {return;}
+
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction('offlineRegions', 'readwrite');
+        const store = tx.objectStore('offlineRegions');
+        const request = store.delete(regionId);
+
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      });
+    },
+    [db]
+  );
+
   /**
    * Clear all cached data
    */
   const clearCache = useCallback(async () => {
     if (!db) {return;}
 
-    const stores = ['cachedParks', 'pendingFavorites', 'userFavorites', 'searchHistory'];
+    const stores = [
+      'cachedParks',
+      'pendingFavorites',
+      'userFavorites',
+      'searchHistory',
+      'offlineTrips',
+      'offlineRegions',
+    ];
 
     for (const storeName of stores) {
       await new Promise((resolve, reject) => {
@@ -366,6 +477,13 @@ export function useOfflineStorage() {
     isLocalFavorite,
     addSearchHistory,
     getSearchHistory,
+    saveOfflineTrip,
+    getOfflineTrip,
+    getOfflineTrips,
+    removeOfflineTrip,
+    saveOfflineRegion,
+    getOfflineRegions,
+    removeOfflineRegion,
     clearCache,
   };
 }
@@ -13,11 +13,28 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 import { useGeolocation } from './useGeolocation';
 import { ActivityDetector } from '@/lib/tracking/activity-detection';
 import { calculateTrackStats } from '@/lib/tracking/track-stats';
+import {
+  DEFAULT_OFF_ROUTE_METERS,
+  OFF_ROUTE_CONFIRM_FIXES,
+  buildRoute,
+  buildRouteFromGeometry,
+  locateOnRoute,
+  requestAlertPermission,
+  alertOffRoute,
+} from '@/lib/tracking/route-following';
+import { extendExpectedReturn } from '@/lib/tracking/check-in';
+import {
+  openPointQueue,
+  replayQueuedPoints,
+  requestPointSync,
+} from '@/lib/tracking/point-queue';
 import {
   createTrack,
-  addTrackPoints,
+  getTrack,
+  getTrackPoints,
   updateTrack,
   finalizeTrack,
+  getTrailRoute,
 } from '@/lib/tracking/tracking-client';
 
 /**
@@ -46,23 +63,8 @@ const DEFAULT_OPTIONS = {
   maxPointsPerBatch: 30, // Points to batch before uploading (reduced for more frequent saves)
   uploadIntervalMs: 15000, // Upload interval in milliseconds (reduced to 15 seconds)
   autoDetectActivity: true, // Auto-detect activity type
-  localBackupKey: 'parklookup_tracking_backup', // localStorage key for backup
-};
-
-/**
- * Save tracking state to localStorage for crash recovery
- */
-const saveLocalBackup = (key, data) => {
-  try {
-    if (typeof window !== 'undefined' && window.localStorage) {
-      localStorage.setItem(key, JSON.stringify({
-        ...data,
-        savedAt: new Date().toISOString(),
-      }));
-    }
-  } catch (err) {
-    console.warn('Failed to save local backup:', err);
-  }
+  localBackupKey: 'parklookup_tracking_backup', // Old localStorage backup, moved into the point queue
+  offRouteThresholdMeters: DEFAULT_OFF_ROUTE_METERS, // Distance off a followed route to alert at
 };
 
 /**
@@ -95,6 +97,45 @@ const clearLocalBackup = (key) => {
   }
 };
 
+/**
+ * Move points from the localStorage backup older versions kept into the
+ * point queue
+ */
+const importLocalBackup = async (queue, key) => {
+  const backup = loadLocalBackup(key);
+  if (!backup) {
+    return;
+  }
+
+  if (backup.trackId && backup.pendingPoints?.length > 0) {
+    await queue.add(backup.trackId, backup.pendingPoints);
+    await queue.saveUpload({ trackId: backup.trackId, title: null });
+  }
+  clearLocalBackup(key);
+};
+
+/**
+ * Find a track with points still queued from an earlier session
+ * @returns {Promise<Object|null>} { trackId, title, pointCount, lastUpdated }
+ */
+const findQueuedTrack = async (queue) => {
+  const uploads = await queue.listUploads();
+
+  for (const upload of uploads) {
+    const pointCount = await queue.count(upload.trackId);
+    if (pointCount > 0) {
+      return {
+        trackId: upload.trackId,
+        title: upload.title,
+        pointCount,
+        lastUpdated: upload.updatedAt,
+      };
+    }
+  }
+
+  return null;
+};
+
 /**
  * useTracking hook
  *
@@ -105,6 +146,7 @@ const clearLocalBackup = (key) => {
  * @param {Function} [options.onPointsUploaded] - Callback when points are uploaded
  * @param {Function} [options.onTrackCompleted] - Callback when track is completed
  * @param {Function} [options.onError] - Callback for errors
+ * @param {Function} [options.onOffRoute] - Callback when the user drifts off a followed route
  * @returns {Object} Tracking state and controls
  */
 export const useTracking = (options = {}) => {
@@ -115,6 +157,7 @@ export const useTracking = (options = {}) => {
     onPointsUploaded,
     onTrackCompleted,
     onError,
+    onOffRoute,
     ...geoOptions
   } = options;
 
@@ -124,23 +167,34 @@ export const useTracking = (options = {}) => {
   const [trackingState, setTrackingState] = useState(TRACKING_STATE.IDLE);
   const [track, setTrack] = useState(null);
   const [points, setPoints] = useState([]);
-  const [pendingPoints, setPendingPoints] = useState([]);
+  const [pendingPointsCount, setPendingPointsCount] = useState(0);
   const [stats, setStats] = useState(null);
   const [activity, setActivity] = useState(null);
   const [error, setError] = useState(null);
   const [isUploading, setIsUploading] = useState(false);
   const [hasRecoverableSession, setHasRecoverableSession] = useState(false);
   const [recoverableSessionInfo, setRecoverableSessionInfo] = useState(null);
+  const [followedRoute, setFollowedRoute] = useState(null);
+  const [navigation, setNavigation] = useState(null);
+  const [offRouteThreshold, setOffRouteThreshold] = useState(
+    mergedOptions.offRouteThresholdMeters
+  );
 
   // Refs
   const activityDetectorRef = useRef(new ActivityDetector());
   const lastPositionRef = useRef(null);
   const sequenceNumRef = useRef(0);
+  const segmentNumRef = useRef(0);
   const uploadTimerRef = useRef(null);
+  const queueRef = useRef(null);
+  const queueWriteRef = useRef(Promise.resolve());
   const onTrackCreatedRef = useRef(onTrackCreated);
   const onPointsUploadedRef = useRef(onPointsUploaded);
   const onTrackCompletedRef = useRef(onTrackCompleted);
   const onErrorRef = useRef(onError);
+  const onOffRouteRef = useRef(onOffRoute);
+  const routeProgressRef = useRef(null);
+  const offRouteFixesRef = useRef(0);
 
   // Keep callbacks up to date
   useEffect(() => {
@@ -148,7 +202,18 @@ export const useTracking = (options = {}) => {
     onPointsUploadedRef.current = onPointsUploaded;
     onTrackCompletedRef.current = onTrackCompleted;
     onErrorRef.current = onError;
-  }, [onTrackCreated, onPointsUploaded, onTrackCompleted, onError]);
+    onOffRouteRef.current = onOffRoute;
+  }, [onTrackCreated, onPointsUploaded, onTrackCompleted, onError, onOffRoute]);
+
+  /**
+   * Open the point queue once per hook
+   */
+  const getQueue = useCallback(() => {
+    if (!queueRef.current) {
+      queueRef.current = openPointQueue();
+    }
+    return queueRef.current;
+  }, []);
 
   /**
    * Calculate distance between two positions
@@ -176,6 +241,28 @@ export const useTracking = (options = {}) => {
         return;
       }
 
+      // Update progress along a followed route on every fix, even ones too
+      // close to the last point to record
+      if (followedRoute) {
+        const location = locateOnRoute(followedRoute.route, position, routeProgressRef.current);
+        routeProgressRef.current = location.distanceAlongMeters;
+
+        const wasOffRoute = offRouteFixesRef.current >= OFF_ROUTE_CONFIRM_FIXES;
+        offRouteFixesRef.current =
+          location.deviationMeters > offRouteThreshold ? offRouteFixesRef.current + 1 : 0;
+        const isOffRoute = offRouteFixesRef.current >= OFF_ROUTE_CONFIRM_FIXES;
+
+        // Alert once on leaving the route, not on every fix while off it
+        if (isOffRoute && !wasOffRoute) {
+          alertOffRoute(followedRoute.name, location.deviationMeters);
+          if (onOffRouteRef.current) {
+            onOffRouteRef.current({ ...location, route: followedRoute });
+          }
+        }
+
+        setNavigation({ ...location, isOffRoute });
+      }
+
       // Check minimum distance
       if (lastPositionRef.current) {
         const distance = calculateDistance(lastPositionRef.current, position);
@@ -194,6 +281,7 @@ export const useTracking = (options = {}) => {
         speedMps: position.speed,
         heading: position.heading,
         sequenceNum: sequenceNumRef.current++,
+        segmentNum: segmentNumRef.current,
         recordedAt: new Date(position.timestamp).toISOString(),
       };
 
@@ -203,9 +291,17 @@ export const useTracking = (options = {}) => {
         setActivity(detection);
       }
 
-      // Add to points arrays
+      // Add to points array
       setPoints((prev) => [...prev, point]);
-      setPendingPoints((prev) => [...prev, point]);
+
+      // Queue for upload. Writes are chained so an upload waiting on them
+      // never misses a point still being stored
+      const trackId = track?.id;
+      queueWriteRef.current = queueWriteRef.current
+        .then(getQueue)
+        .then((queue) => queue.add(trackId, [point]))
+        .catch((err) => console.error('Failed to queue point:', err));
+      setPendingPointsCount((count) => count + 1);
 
       // Update last position
       lastPositionRef.current = position;
@@ -216,7 +312,16 @@ export const useTracking = (options = {}) => {
         return calculateTrackStats(allPoints);
       });
     },
-    [trackingState, points, mergedOptions.minDistanceMeters, mergedOptions.autoDetectActivity]
+    [
+      trackingState,
+      track?.id,
+      points,
+      followedRoute,
+      offRouteThreshold,
+      getQueue,
+      mergedOptions.minDistanceMeters,
+      mergedOptions.autoDetectActivity,
+    ]
   );
 
   /**
@@ -241,38 +346,48 @@ export const useTracking = (options = {}) => {
   });
 
   /**
-   * Upload pending points to server
+   * Upload queued points to server
+   * Points that can't be sent stay queued, and a background sync is
+   * requested so the service worker sends them once back online.
    */
   const uploadPoints = useCallback(async () => {
-    if (!track?.id || pendingPoints.length === 0 || isUploading || !accessToken) {
+    if (!track?.id || pendingPointsCount === 0 || isUploading || !accessToken) {
       return;
     }
 
     setIsUploading(true);
 
     try {
-      const result = await addTrackPoints(accessToken, track.id, pendingPoints);
+      await queueWriteRef.current;
+      const queue = await getQueue();
+
+      // Save the token with the queue for the service worker to use
+      await queue.saveUpload({ trackId: track.id, accessToken, title: track.title ?? null });
+
+      const result = await replayQueuedPoints(queue, { trackId: track.id, accessToken });
+      setPendingPointsCount(await queue.count(track.id));
 
       if (result.error) {
         console.error('Failed to upload points:', result.error);
-        // Keep points in pending for retry
-      } else {
-        // Clear uploaded points from pending
-        setPendingPoints([]);
-
-        if (onPointsUploadedRef.current) {
-          onPointsUploadedRef.current(result);
-        }
+        requestPointSync();
+      } else if (onPointsUploadedRef.current) {
+        onPointsUploadedRef.current(result);
       }
+
+      return result;
     } catch (err) {
       console.error('Error uploading points:', err);
     } finally {
       setIsUploading(false);
     }
-  }, [track?.id, pendingPoints, isUploading, accessToken]);
+  }, [track?.id, track?.title, pendingPointsCount, isUploading, accessToken, getQueue]);
 
   /**
    * Start tracking
+   * @param {Object} [config] - Track settings, merged over trackConfig
+   * @param {string} [config.expectedReturnAt] - ISO time to be back by; emergency contacts are
+   *   emailed if the track is still going after it
+   * @param {Array<{name: string, email: string}>} [config.emergencyContacts] - Who to alert
    */
   const startTracking = useCallback(
     async (config = {}) => {
@@ -307,9 +422,10 @@ export const useTracking = (options = {}) => {
         // Initialize tracking state
         setTrack(result.track);
         setPoints([]);
-        setPendingPoints([]);
+        setPendingPointsCount(0);
         setStats(null);
         sequenceNumRef.current = 0;
+        segmentNumRef.current = 0;
         lastPositionRef.current = null;
         activityDetectorRef.current.reset();
 
@@ -338,6 +454,106 @@ export const useTracking = (options = {}) => {
     [accessToken, trackConfig, mergedOptions.uploadIntervalMs, uploadPoints]
   );
 
+  /**
+   * Push the expected return time back so contacts aren't alerted
+   * @param {number} minutes - Minutes to add to the current return time (or to now, if it has
+   *   passed)
+   */
+  const extendReturnTime = useCallback(
+    async (minutes) => {
+      if (!track?.id || !accessToken) {
+        return { error: { message: 'Not tracking' } };
+      }
+
+      const expectedReturnAt = extendExpectedReturn(track.expectedReturnAt, minutes);
+      const result = await updateTrack(accessToken, track.id, { expectedReturnAt });
+      if (result.error) {
+        return result;
+      }
+
+      setTrack((prev) => ({ ...prev, expectedReturnAt: result.track.expectedReturnAt }));
+      return { expectedReturnAt: result.track.expectedReturnAt };
+    },
+    [track?.id, track?.expectedReturnAt, accessToken]
+  );
+
+  /**
+   * Follow a trail or a previously recorded track
+   * @param {Object} target - What to follow
+   * @param {string} [target.trailId] - Trail ID
+   * @param {string} [target.trackId] - Track ID
+   */
+  const startFollowing = useCallback(
+    async ({ trailId, trackId } = {}) => {
+      let followed;
+
+      if (trailId) {
+        const result = await getTrailRoute(trailId);
+        if (result.error) {
+          return result;
+        }
+
+        followed = {
+          type: 'trail',
+          id: trailId,
+          name: result.route.name,
+          route: buildRouteFromGeometry(result.route.geometry),
+        };
+      } else if (trackId) {
+        const [trackResult, pointsResult] = await Promise.all([
+          getTrack(accessToken, trackId),
+          getTrackPoints(accessToken, trackId, { simplified: true }),
+        ]);
+        if (trackResult.error) {
+          return trackResult;
+        }
+        if (pointsResult.error) {
+          return pointsResult;
+        }
+
+        followed = {
+          type: 'track',
+          id: trackId,
+          name: trackResult.track.title,
+          route: buildRoute(
+            pointsResult.points.map((point) => ({
+              latitude: point.clean_latitude ?? point.latitude,
+              longitude: point.clean_longitude ?? point.longitude,
+            }))
+          ),
+        };
+      } else {
+        return { error: { message: 'Trail or track required' } };
+      }
+
+      if (!followed.route) {
+        return { error: { message: 'This route has no line to follow' } };
+      }
+
+      routeProgressRef.current = null;
+      offRouteFixesRef.current = 0;
+      setFollowedRoute(followed);
+      setNavigation(null);
+
+      // Off-route notifications need permission, best asked while the user is
+      // looking at the screen
+      requestAlertPermission();
+
+      return { route: followed };
+    },
+    [accessToken]
+  );
+
+  /**
+   * Stop following a route
+   */
+  const stopFollowing = useCallback(() => {
+    routeProgressRef.current = null;
+    offRouteFixesRef.current = 0;
+    setFollowedRoute(null);
+    setNavigation(null);
+  }, []);
+
   /**
    * Pause tracking
    */
@@ -376,6 +592,11 @@ export const useTracking = (options = {}) => {
       await updateTrack(accessToken, track.id, { status: 'recording' });
     }
 
+    // Points after a resume start a new segment so paused time isn't counted,
+    // and the first one is kept however far the user moved while paused
+    segmentNumRef.current += 1;
+    lastPositionRef.current = null;
+
     setTrackingState(TRACKING_STATE.RECORDING);
 
     // Restart upload timer
@@ -401,14 +622,23 @@ export const useTracking = (options = {}) => {
     }
 
     try {
-      // Upload any remaining points
-      if (pendingPoints.length > 0 && track?.id && accessToken) {
-        await addTrackPoints(accessToken, track.id, pendingPoints);
-        setPendingPoints([]);
-      }
-
-      // Finalize track on server
       if (track?.id && accessToken) {
+        // Upload any remaining points
+        await queueWriteRef.current;
+        const queue = await getQueue();
+        const upload = await replayQueuedPoints(queue, { trackId: track.id, accessToken });
+        setPendingPointsCount(upload.remaining);
+
+        // Finalizing now would leave these points out of the track, so keep
+        // them queued and let the user stop again once back online
+        if (upload.error) {
+          requestPointSync();
+          setError(upload.error);
+          setTrackingState(TRACKING_STATE.ERROR);
+          return { error: upload.error };
+        }
+
+        // Finalize track on server
         const result = await finalizeTrack(accessToken, track.id);
 
         if (result.error) {
@@ -417,6 +647,7 @@ export const useTracking = (options = {}) => {
           return result;
         }
 
+        await queue.clear(track.id);
         setTrack(result.track);
 
         if (onTrackCompletedRef.current) {
@@ -424,6 +655,7 @@ export const useTracking = (options = {}) => {
         }
       }
 
+      stopFollowing();
       setTrackingState(TRACKING_STATE.IDLE);
 
       return { track, points, stats };
@@ -432,7 +664,7 @@ export const useTracking = (options = {}) => {
       setTrackingState(TRACKING_STATE.ERROR);
       return { error: { message: err.message } };
     }
-  }, [trackingState, track, points, stats, pendingPoints, accessToken]);
+  }, [trackingState, track, points, stats, accessToken, getQueue, stopFollowing]);
 
   /**
    * Discard tracking without saving
@@ -449,118 +681,98 @@ export const useTracking = (options = {}) => {
       await updateTrack(accessToken, track.id, { status: 'deleted' });
     }
 
-    // Clear local backup
-    clearLocalBackup(mergedOptions.localBackupKey);
+    // Drop queued points
+    if (track?.id) {
+      await queueWriteRef.current;
+      const queue = await getQueue();
+      await queue.clear(track.id);
+    }
 
     // Reset state
     setTrack(null);
     setPoints([]);
-    setPendingPoints([]);
+    setPendingPointsCount(0);
     setStats(null);
     setActivity(null);
     setError(null);
     setTrackingState(TRACKING_STATE.IDLE);
     setHasRecoverableSession(false);
     setRecoverableSessionInfo(null);
+    stopFollowing();
     sequenceNumRef.current = 0;
+    segmentNumRef.current = 0;
     lastPositionRef.current = null;
     activityDetectorRef.current.reset();
-  }, [track?.id, accessToken, mergedOptions.localBackupKey]);
+  }, [track?.id, accessToken, getQueue, stopFollowing]);
 
   /**
-   * Check for recoverable session from local backup
+   * Check for points queued by an earlier session that never uploaded them
    */
-  const checkRecoverableSession = useCallback(() => {
-    const backup = loadLocalBackup(mergedOptions.localBackupKey);
-    if (backup && backup.trackId && backup.points?.length > 0) {
-      setHasRecoverableSession(true);
-      setRecoverableSessionInfo({
-        trackId: backup.trackId,
-        pointCount: backup.points.length,
-        savedAt: backup.savedAt,
-        stats: backup.stats,
-      });
-      return backup;
+  const checkRecoverableSession = useCallback(async () => {
+    try {
+      const queue = await getQueue();
+      await importLocalBackup(queue, mergedOptions.localBackupKey);
+
+      const info = await findQueuedTrack(queue);
+      setHasRecoverableSession(Boolean(info));
+      setRecoverableSessionInfo(info);
+      return info;
+    } catch (err) {
+      console.warn('Failed to check for recoverable session:', err);
+      return null;
     }
-    setHasRecoverableSession(false);
-    setRecoverableSessionInfo(null);
-    return null;
-  }, [mergedOptions.localBackupKey]);
+  }, [getQueue, mergedOptions.localBackupKey]);
 
   /**
-   * Recover a session from local backup
-   * This uploads any pending points from the backup to the server
+   * Recover a session by uploading its queued points to the server
    */
   const recoverSession = useCallback(async () => {
     if (!accessToken) {
       return { error: { message: 'Access token required' } };
     }
 
-    const backup = loadLocalBackup(mergedOptions.localBackupKey);
-    if (!backup || !backup.trackId) {
-      return { error: { message: 'No recoverable session found' } };
-    }
-
     try {
-      // Upload any pending points from the backup
-      if (backup.pendingPoints?.length > 0) {
-        const result = await addTrackPoints(accessToken, backup.trackId, backup.pendingPoints);
-        if (result.error) {
-          console.error('Failed to recover pending points:', result.error);
-        }
+      const queue = await getQueue();
+      const info = await findQueuedTrack(queue);
+      if (!info) {
+        return { error: { message: 'No recoverable session found' } };
       }
 
-      // Clear the backup after successful recovery
-      clearLocalBackup(mergedOptions.localBackupKey);
-      setHasRecoverableSession(false);
-      setRecoverableSessionInfo(null);
+      const result = await replayQueuedPoints(queue, { trackId: info.trackId, accessToken });
+      if (result.error) {
+        return { error: result.error };
+      }
+
+      await queue.clear(info.trackId);
+      await checkRecoverableSession();
 
       return {
         success: true,
-        trackId: backup.trackId,
-        recoveredPoints: backup.pendingPoints?.length || 0,
+        trackId: info.trackId,
+        recoveredPoints: result.uploaded,
       };
     } catch (err) {
       return { error: { message: err.message } };
     }
-  }, [accessToken, mergedOptions.localBackupKey]);
+  }, [accessToken, getQueue, checkRecoverableSession]);
 
   /**
-   * Dismiss recoverable session without recovering
+   * Dismiss recoverable session without recovering, dropping its points
    */
-  const dismissRecoverableSession = useCallback(() => {
-    clearLocalBackup(mergedOptions.localBackupKey);
+  const dismissRecoverableSession = useCallback(async () => {
+    if (recoverableSessionInfo?.trackId) {
+      const queue = await getQueue();
+      await queue.clear(recoverableSessionInfo.trackId);
+    }
     setHasRecoverableSession(false);
     setRecoverableSessionInfo(null);
-  }, [mergedOptions.localBackupKey]);
+  }, [recoverableSessionInfo?.trackId, getQueue]);
 
   // Check for recoverable session on mount
   useEffect(() => {
     checkRecoverableSession();
   }, [checkRecoverableSession]);
 
-  // Save local backup whenever points change (for crash recovery)
-  useEffect(() => {
-    if (track?.id && points.length > 0 && trackingState !== TRACKING_STATE.IDLE) {
-      saveLocalBackup(mergedOptions.localBackupKey, {
-        trackId: track.id,
-        points,
-        pendingPoints,
-        stats,
-        activity,
-        trackingState,
-        sequenceNum: sequenceNumRef.current,
-      });
-    }
-  }, [track?.id, points, pendingPoints, stats, activity, trackingState, mergedOptions.localBackupKey]);
-
-  // Clear local backup when tracking completes or is discarded
-  useEffect(() => {
-    if (trackingState === TRACKING_STATE.IDLE && !track?.id) {
-      clearLocalBackup(mergedOptions.localBackupKey);
-    }
-  }, [trackingState, track?.id, mergedOptions.localBackupKey]);
-
   // Handle page visibility change - upload points when page becomes hidden
   useEffect(() => {
     const handleVisibilityChange = () => {
@@ -578,34 +790,13 @@ export const useTracking = (options = {}) => {
     }
   }, [trackingState, uploadPoints]);
 
-  // Handle beforeunload - try to save before page closes
+  // Handle beforeunload - confirm leaving, and hand queued points to the
+  // service worker in case the user does
   useEffect(() => {
     const handleBeforeUnload = (e) => {
       if (trackingState === TRACKING_STATE.RECORDING || trackingState === TRACKING_STATE.PAUSED) {
-        // Save backup to localStorage
-        if (track?.id && points.length > 0) {
-          saveLocalBackup(mergedOptions.localBackupKey, {
-            trackId: track.id,
-            points,
-            pendingPoints,
-            stats,
-            activity,
-            trackingState,
-            sequenceNum: sequenceNumRef.current,
-          });
-        }
-
-        // Try to upload pending points using sendBeacon for reliability
-        if (pendingPoints.length > 0 && track?.id && accessToken) {
-          try {
-            const payload = JSON.stringify({ points: pendingPoints });
-            navigator.sendBeacon(
-              `/api/tracks/${track.id}/points`,
-              new Blob([payload], { type: 'application/json' })
-            );
-          } catch (err) {
-            console.warn('Failed to send beacon:', err);
-          }
+        if (pendingPointsCount > 0) {
+          requestPointSync();
         }
 
         // Show confirmation dialog
@@ -621,7 +812,7 @@ export const useTracking = (options = {}) => {
         window.removeEventListener('beforeunload', handleBeforeUnload);
       };
     }
-  }, [trackingState, track?.id, points, pendingPoints, stats, activity, accessToken, mergedOptions.localBackupKey]);
+  }, [trackingState, pendingPointsCount]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -634,10 +825,10 @@ export const useTracking = (options = {}) => {
 
   // Auto-upload when pending points reach threshold
   useEffect(() => {
-    if (pendingPoints.length >= mergedOptions.maxPointsPerBatch) {
+    if (pendingPointsCount >= mergedOptions.maxPointsPerBatch) {
       uploadPoints();
     }
-  }, [pendingPoints.length, mergedOptions.maxPointsPerBatch, uploadPoints]);
+  }, [pendingPointsCount, mergedOptions.maxPointsPerBatch, uploadPoints]);
 
   return {
     // State
@@ -652,7 +843,7 @@ export const useTracking = (options = {}) => {
     // Track data
     track,
     points,
-    pendingPointsCount: pendingPoints.length,
+    pendingPointsCount,
     stats,
     activity,
     error,
@@ -662,6 +853,15 @@ export const useTracking = (options = {}) => {
     hasRecoverableSession,
     recoverableSessionInfo,
 
+    // Route following state
+    followedRoute,
+    navigation,
+    offRouteThreshold,
+
+    // Check-in state
+    expectedReturnAt: track?.expectedReturnAt ?? null,
+    emergencyContacts: track?.emergencyContacts ?? [],
+
     // Geolocation state
     currentPosition: geo.position,
     geoError: geo.error,
@@ -677,6 +877,14 @@ export const useTracking = (options = {}) => {
     discardTracking,
     uploadPoints,
 
+    // Route following actions
+    startFollowing,
+    stopFollowing,
+    setOffRouteThreshold,
+
+    // Check-in actions
+    extendReturnTime,
+
     // Recovery actions
     checkRecoverableSession,
     recoverSession,
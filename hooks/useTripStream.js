@@ -83,12 +83,13 @@ export function useTripStream() {
   };
 
   /**
-   * Generate a trip with SSE streaming
-   * @param {Object} formData - Trip form data
+   * POST to a trip generation endpoint and follow its SSE stream
+   * @param {string} url - Endpoint URL
+   * @param {Object} payload - JSON request body
    * @param {string} token - Auth token
    * @returns {Promise<Object|null>} Trip result or null on error
    */
-  const generateTrip = useCallback(async (formData, token) => {
+  const streamTripRequest = useCallback(async (url, payload, token) => {
     // Reset state
     reset();
     setStatus(TRIP_STREAM_STATUS.CONNECTING);
@@ -97,13 +98,13 @@ export function useTripStream() {
     abortControllerRef.current = new AbortController();
 
     try {
-      const response = await fetch('/api/ai/trip', {
+      const response = await fetch(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`,
         },
-        body: JSON.stringify(formData),
+        body: JSON.stringify(payload),
         signal: abortControllerRef.current.signal,
       });
 
@@ -208,6 +209,7 @@ export function useTripStream() {
                   redirect: data.redirect,
                   title: data.title,
                   days: data.days,
+                  day: data.day,
                 };
 
               case 'error':
@@ -251,6 +253,30 @@ export function useTripStream() {
     }
   }, [reset, status]);
 
+  /**
+   * Generate a trip with SSE streaming
+   * @param {Object} formData - Trip form data
+   * @param {string} token - Auth token
+   * @returns {Promise<Object|null>} Trip result or null on error
+   */
+  const generateTrip = useCallback(
+    (formData, token) => streamTripRequest('/api/ai/trip', formData, token),
+    [streamTripRequest]
+  );
+
+  /**
+   * Regenerate a single day of a saved trip with SSE streaming
+   * @param {string} tripIdToUpdate - Trip ID
+   * @param {number} dayNumber - Day to regenerate
+   * @param {string} token - Auth token
+   * @returns {Promise<Object|null>} Result with tripId and day, or null on error
+   */
+  const regenerateDay = useCallback(
+    (tripIdToUpdate, dayNumber, token) =>
+      streamTripRequest('/api/ai/trip/day', { tripId: tripIdToUpdate, dayNumber }, token),
+    [streamTripRequest]
+  );
+
   return {
     // State
     status,
@@ -277,6 +303,7 @@ export function useTripStream() {
     
     // Methods
     generateTrip,
+    regenerateDay,
     reset,
     cancel,
   };
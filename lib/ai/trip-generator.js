@@ -5,6 +5,13 @@
 
 import 'server-only';
 import OpenAI from 'openai';
+import { MAX_PROMPT_CAMPGROUNDS, summarizeCampground } from '@/lib/campgrounds/campgrounds';
+import {
+  MAX_PROMPT_THINGS_TO_DO,
+  MAX_PROMPT_EVENTS,
+  summarizeThingToDo,
+  summarizeEvent,
+} from '@/lib/parks/things-to-do';
 
 // Lazy-initialized OpenAI client (to avoid build-time errors)
 let openai = null;
@@ -65,6 +72,8 @@ RULES:
 7. Each day should focus on ONE park to allow adequate exploration time
 8. If BLM (Bureau of Land Management) lands are provided and user is interested in dispersed camping, off-grid, or boondocking, suggest nearby BLM areas for free camping options
 9. When suggesting BLM land camping, always include important disclaimers about no facilities, fire restrictions, and checking local regulations
+10. When a park lists campgrounds, plan the night's stay in the "evening" field using one of that park's campgrounds by name, and say whether to reserve ahead or arrive early for first-come sites - never invent campgrounds
+11. When a park lists things_to_do, build that day's morning and afternoon around them by name, fitting their durations into the day. Schedule listed events and ranger programs only on the dates they occur, with their times - never invent ranger programs or events
 
 OUTPUT FORMAT:
 You must respond with valid JSON matching this exact schema:
@@ -113,9 +122,11 @@ You must respond with valid JSON matching this exact schema:
  * @param {number} options.radiusMiles - Search radius in miles
  * @param {Object[]} options.parks - Available parks within radius
  * @param {Object[]} options.blmLands - Available BLM lands within radius (optional)
+ * @param {number} options.regenerateDay - Day to replan, keeping the rest of the trip (optional)
+ * @param {Object[]} options.fixedDays - Days kept as-is when regenerating a single day (optional)
  * @returns {string} Formatted user prompt
  */
-const buildUserPrompt = ({ origin, startDate, endDate, interests, difficulty, radiusMiles, parks, blmLands = [] }) => {
+const buildUserPrompt = ({ origin, startDate, endDate, interests, difficulty, radiusMiles, parks, blmLands = [], regenerateDay = null, fixedDays = [] }) => {
   const tripDays = Math.ceil((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24)) + 1;
   
   // Get season from start date
@@ -141,6 +152,9 @@ const buildUserPrompt = ({ origin, startDate, endDate, interests, difficulty, ra
       designation: park.designation,
       distance_km: park.distance_km || park.distance,
       entrance_fees: park.entrance_fees?.slice(0, 2) || [],
+      ...(park.campgrounds && { campgrounds: park.campgrounds }),
+      ...(park.things_to_do && { things_to_do: park.things_to_do }),
+      ...(park.events && { events: park.events }),
     }));
 
   // Format BLM lands for prompt (limit to top 10)
@@ -178,6 +192,22 @@ BLM CAMPING NOTES:
 - Leave No Trace principles apply`;
   }
 
+  if (regenerateDay) {
+    return `${prompt}
+
+CURRENT ITINERARY (keep these days exactly as they are):
+${JSON.stringify(fixedDays, null, 2)}
+
+REQUIREMENTS:
+1. Replan ONLY day ${regenerateDay}; the traveler likes the rest of the trip
+2. Choose a park for day ${regenerateDay} that fits between the surrounding days without long detours
+3. Do not repeat a park already used on another day
+4. "daily_schedule" must contain exactly one entry, with "day": ${regenerateDay}
+5. Keep the other fields consistent with the whole trip as it will be after this change
+6. Consider the ${difficulty} difficulty level and ${season} weather conditions
+7. Include specific trail names, viewpoints, and attractions when possible`;
+  }
+
   prompt += `
 
 REQUIREMENTS:
@@ -201,9 +231,11 @@ REQUIREMENTS:
  * Validate the generated trip data
  * @param {Object} tripData - Generated trip data
  * @param {Object[]} parks - Available parks
+ * @param {Object} options - Validation options
+ * @param {number} options.expectedDay - When regenerating one day, the only day allowed in daily_schedule
  * @returns {Object} Validation result with isValid and errors
  */
-export const validateTripData = (tripData, parks) => {
+export const validateTripData = (tripData, parks, { expectedDay = null } = {}) => {
   const errors = [];
   const validParkCodes = new Set(parks.map(p => p.park_code));
 
@@ -231,6 +263,13 @@ export const validateTripData = (tripData, parks) => {
     });
   }
 
+  if (expectedDay && Array.isArray(tripData.daily_schedule)) {
+    const days = tripData.daily_schedule;
+    if (days.length !== 1 || days[0].day !== expectedDay) {
+      errors.push(`daily_schedule must contain only day ${expectedDay}`);
+    }
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -279,6 +318,7 @@ export const generateTrip = async (options) => {
 
 /**
  * Generate a trip itinerary using OpenAI GPT-4o with streaming
+ * Pass `regenerateDay` and `fixedDays` in options to replan a single day of an existing trip.
  * @param {Object} options - Trip generation options
  * @param {Function} onChunk - Callback for each chunk of data
  * @param {Function} onDayComplete - Callback when a day is fully generated
@@ -343,7 +383,7 @@ export const generateTripStream = async (options, onChunk, onDayComplete) => {
 
   // Parse the complete response
   const tripData = JSON.parse(fullContent);
-  const validation = validateTripData(tripData, parks);
+  const validation = validateTripData(tripData, parks, { expectedDay: tripOptions.regenerateDay });
 
   if (!validation.isValid) {
     throw new Error(`Invalid trip data: ${validation.errors.join(', ')}`);
@@ -356,9 +396,12 @@ export const generateTripStream = async (options, onChunk, onDayComplete) => {
  * Prepare parks data for the AI prompt
  * Filters and formats park data to reduce token usage
  * @param {Object[]} parks - Raw parks from database
+ * @param {Object} [dates] - Trip dates, to list when each event happens
+ * @param {string} [dates.startDate] - Trip start (YYYY-MM-DD)
+ * @param {string} [dates.endDate] - Trip end (YYYY-MM-DD)
  * @returns {Object[]} Formatted parks for prompt
  */
-export const prepareParksForPrompt = (parks) => parks.map(park => ({
+export const prepareParksForPrompt = (parks, { startDate, endDate } = {}) => parks.map(park => ({
     park_code: park.park_code,
     full_name: park.full_name,
     description: park.description?.substring(0, 200) || '',
@@ -369,6 +412,21 @@ export const prepareParksForPrompt = (parks) => parks.map(park => ({
     distance_km: park.distance_km || park.distance,
     entrance_fees: park.entrance_fees?.slice(0, 2) || [],
     states: park.states,
+    // Overnight options, for parks with NPS campgrounds
+    ...(park.campgrounds?.length > 0 && {
+      campgrounds: park.campgrounds.slice(0, MAX_PROMPT_CAMPGROUNDS).map(summarizeCampground),
+    }),
+    // Named activities, best for the season first
+    ...(park.things_to_do?.length > 0 && {
+      things_to_do: park.things_to_do.slice(0, MAX_PROMPT_THINGS_TO_DO).map(summarizeThingToDo),
+    }),
+    // Events and ranger programs on the trip's dates
+    ...(park.events?.length > 0 && startDate && endDate && {
+      events: park.events
+        .map(event => summarizeEvent(event, { from: startDate, to: endDate }))
+        .filter(event => event.dates.length > 0)
+        .slice(0, MAX_PROMPT_EVENTS),
+    }),
   }));
 
 /**
@@ -386,12 +444,30 @@ export const prepareBLMLandsForPrompt = (blmLands) => blmLands.map(blm => ({
     centroid_lng: blm.centroid_lng || blm.centroidLng,
   }));
 
+/**
+ * Prepare the kept days of an existing trip for the AI prompt
+ * Used as fixed context when regenerating a single day
+ * @param {Object[]} stops - trip_stops rows for the days being kept
+ * @param {Object} parkNames - Map of park_code to park name
+ * @returns {Object[]} Formatted days for prompt
+ */
+export const prepareFixedDaysForPrompt = (stops, parkNames = {}) => stops.map(stop => ({
+    day: stop.day_number,
+    park_code: stop.park_code,
+    park_name: parkNames[stop.park_code] || stop.park_code,
+    highlights: stop.highlights || '',
+    morning: stop.morning_plan || '',
+    afternoon: stop.afternoon_plan || '',
+    evening: stop.evening_plan || '',
+  }));
+
 export default {
   generateTrip,
   generateTripStream,
   validateTripData,
   prepareParksForPrompt,
   prepareBLMLandsForPrompt,
+  prepareFixedDaysForPrompt,
   TRIP_INTERESTS,
   DIFFICULTY_LEVELS,
 };
\ No newline at end of file
@@ -7,6 +7,8 @@
  * API Documentation: https://www.nps.gov/subjects/developer/api-documentation.htm
  */
 
+import { getTimeZone } from '../parks/operating-hours.js';
+
 /** Base URL for the NPS API */
 export const NPS_API_BASE_URL = 'https://developer.nps.gov/api/v1';
 
@@ -20,45 +22,25 @@ const DEFAULT_LIMIT = 50;
 const getNpsApiKey = () => process.env.NPS_API_KEY;
 
 /**
- * Fetches parks from the NPS API
+ * Requests one page from an NPS API endpoint
  *
- * @param {Object} options - Fetch options
- * @param {number} [options.limit=50] - Number of results per page (max 50)
- * @param {number} [options.start=0] - Pagination offset
- * @param {string} [options.stateCode] - Filter by state code (e.g., 'CA', 'NY')
- * @param {string} [options.parkCode] - Filter by park code
- * @param {string} [options.q] - Search query
+ * @param {string} endpoint - Endpoint path (e.g., 'parks', 'alerts')
+ * @param {Object} params - Query parameters; empty values are skipped
  * @returns {Promise<{data: Array, total: number, limit: number, start: number}>}
  * @throws {Error} If the API request fails
  */
-export const fetchParks = async ({
-  limit = DEFAULT_LIMIT,
-  start = 0,
-  stateCode,
-  parkCode,
-  q,
-} = {}) => {
+const fetchNpsEndpoint = async (endpoint, params) => {
   const apiKey = getNpsApiKey();
-  
-  const params = new URLSearchParams({
-    limit: String(limit),
-    start: String(start),
-    api_key: apiKey,
-  });
 
-  if (stateCode) {
-    params.append('stateCode', stateCode);
-  }
-
-  if (parkCode) {
-    params.append('parkCode', parkCode);
-  }
-
-  if (q) {
-    params.append('q', q);
-  }
+  const searchParams = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      searchParams.append(key, String(value));
+    }
+  });
+  searchParams.append('api_key', apiKey);
 
-  const url = `${NPS_API_BASE_URL}/parks?${params.toString()}`;
+  const url = `${NPS_API_BASE_URL}/${endpoint}?${searchParams.toString()}`;
 
   const response = await fetch(url, {
     headers: {
@@ -82,41 +64,73 @@ export const fetchParks = async ({
 };
 
 /**
- * Fetches all parks from the NPS API with automatic pagination
+ * Fetches every page of an NPS API endpoint
  *
- * @param {Object} options - Fetch options
- * @param {Function} [options.onProgress] - Callback for progress updates
- * @param {string} [options.stateCode] - Filter by state code
- * @returns {Promise<Array>} All parks from the API
+ * @param {string} endpoint - Endpoint path
+ * @param {Object} params - Query parameters (besides limit and start)
+ * @param {Function} [onProgress] - Callback for progress updates
+ * @returns {Promise<Array>} All records from the endpoint
  */
-export const fetchAllParks = async ({ onProgress, stateCode } = {}) => {
-  const allParks = [];
+const fetchAllFromEndpoint = async (endpoint, params, onProgress) => {
+  const records = [];
   let start = 0;
   let total = Infinity;
 
   while (start < total) {
-    const result = await fetchParks({
-      limit: DEFAULT_LIMIT,
-      start,
-      stateCode,
-    });
+    const result = await fetchNpsEndpoint(endpoint, { ...params, limit: DEFAULT_LIMIT, start });
 
-    allParks.push(...result.data);
+    records.push(...result.data);
     total = result.total;
-    start += result.limit;
+    start += result.limit || DEFAULT_LIMIT;
 
     if (onProgress) {
       onProgress({
-        fetched: allParks.length,
+        fetched: records.length,
         total,
-        percentage: Math.min(100, Math.round((allParks.length / total) * 100)),
+        percentage: Math.min(100, Math.round((records.length / total) * 100)),
       });
     }
+
+    // An empty page with a stale total would otherwise loop forever
+    if (result.data.length === 0) {
+      break;
+    }
   }
 
-  return allParks;
+  return records;
 };
 
+/**
+ * Fetches parks from the NPS API
+ *
+ * @param {Object} options - Fetch options
+ * @param {number} [options.limit=50] - Number of results per page (max 50)
+ * @param {number} [options.start=0] - Pagination offset
+ * @param {string} [options.stateCode] - Filter by state code (e.g., 'CA', 'NY')
+ * @param {string} [options.parkCode] - Filter by park code
+ * @param {string} [options.q] - Search query
+ * @returns {Promise<{data: Array, total: number, limit: number, start: number}>}
+ * @throws {Error} If the API request fails
+ */
+export const fetchParks = async ({
+  limit = DEFAULT_LIMIT,
+  start = 0,
+  stateCode,
+  parkCode,
+  q,
+} = {}) => fetchNpsEndpoint('parks', { limit, start, stateCode, parkCode, q });
+
+/**
+ * Fetches all parks from the NPS API with automatic pagination
+ *
+ * @param {Object} options - Fetch options
+ * @param {Function} [options.onProgress] - Callback for progress updates
+ * @param {string} [options.stateCode] - Filter by state code
+ * @returns {Promise<Array>} All parks from the API
+ */
+export const fetchAllParks = async ({ onProgress, stateCode } = {}) =>
+  fetchAllFromEndpoint('parks', { stateCode }, onProgress);
+
 /**
  * Transforms NPS API park data to database format
  *
@@ -183,6 +197,542 @@ export const searchParks = async (query, { limit = 20 } = {}) => {
   return result.data.map(transformParkData);
 };
 
+/**
+ * Park alert categories, most severe first
+ */
+export const ALERT_CATEGORIES = ['closure', 'danger', 'caution', 'information'];
+
+/**
+ * Hours an imported alert stays active without being seen again. The NPS
+ * feed only lists current alerts and has no end dates, so alerts that drop
+ * out of the feed are removed on refresh, and this keeps a stalled refresh
+ * from showing old closures indefinitely.
+ */
+export const ALERT_TTL_HOURS = 72;
+
+/**
+ * Fetches alerts from the NPS API
+ *
+ * @param {Object} options - Fetch options
+ * @param {number} [options.limit=50] - Number of results per page (max 50)
+ * @param {number} [options.start=0] - Pagination offset
+ * @param {string} [options.parkCode] - Filter by park code(s), comma-separated
+ * @returns {Promise<{data: Array, total: number, limit: number, start: number}>}
+ * @throws {Error} If the API request fails
+ */
+export const fetchAlerts = async ({ limit = DEFAULT_LIMIT, start = 0, parkCode } = {}) =>
+  fetchNpsEndpoint('alerts', { limit, start, parkCode });
+
+/**
+ * Fetches all current alerts from the NPS API with automatic pagination
+ *
+ * @param {Object} options - Fetch options
+ * @param {Function} [options.onProgress] - Callback for progress updates
+ * @param {string} [options.parkCode] - Filter by park code(s), comma-separated
+ * @returns {Promise<Array>} All alerts from the API
+ */
+export const fetchAllAlerts = async ({ onProgress, parkCode } = {}) =>
+  fetchAllFromEndpoint('alerts', { parkCode }, onProgress);
+
+/**
+ * Maps an NPS alert category ("Park Closure", "Danger", ...) to ours
+ *
+ * @param {string} category - NPS alert category
+ * @returns {string} One of ALERT_CATEGORIES
+ */
+export const categorizeAlert = (category) => {
+  const normalized = (category || '').toLowerCase();
+
+  if (normalized.includes('closure') || normalized.includes('closed')) {
+    return 'closure';
+  }
+  if (normalized.includes('danger')) {
+    return 'danger';
+  }
+  if (normalized.includes('caution')) {
+    return 'caution';
+  }
+  return 'information';
+};
+
+/**
+ * Parses an NPS timestamp ("2024-06-01 10:15:00.0") to ISO format
+ *
+ * @param {string} value - NPS timestamp
+ * @returns {string|null} ISO timestamp, or null if missing or invalid
+ */
+const parseNpsTimestamp = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(String(value).replace(' ', 'T'));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Transforms NPS API alert data to database format
+ *
+ * @param {Object} alert - Alert data from NPS API
+ * @param {Object} [options] - Options
+ * @param {Date} [options.seenAt] - When the alert was fetched; sets its expiry
+ * @returns {Object} Transformed alert data for database
+ */
+export const transformAlertData = (alert, { seenAt = new Date() } = {}) => ({
+  nps_alert_id: alert.id,
+  park_code: (alert.parkCode || '').toLowerCase(),
+  category: categorizeAlert(alert.category),
+  nps_category: alert.category ?? null,
+  title: alert.title,
+  description: alert.description ?? null,
+  url: alert.url || null,
+  last_indexed_at: parseNpsTimestamp(alert.lastIndexedDate),
+  last_seen_at: seenAt.toISOString(),
+  expires_at: new Date(seenAt.getTime() + ALERT_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+});
+
+/**
+ * Sorts alerts most severe first, then most recently updated
+ *
+ * @param {Array<Object>} alerts - Alerts in database format
+ * @returns {Array<Object>} Sorted copy
+ */
+export const sortAlertsBySeverity = (alerts) =>
+  [...alerts].sort(
+    (a, b) =>
+      ALERT_CATEGORIES.indexOf(a.category) - ALERT_CATEGORIES.indexOf(b.category) ||
+      new Date(b.last_indexed_at || 0) - new Date(a.last_indexed_at || 0)
+  );
+
+/**
+ * Campground amenities we filter on, keyed by our name, with the NPS field
+ * each comes from
+ */
+export const CAMPGROUND_AMENITIES = {
+  toilets: 'toilets',
+  showers: 'showers',
+  potable_water: 'potableWater',
+  dump_station: 'dumpStation',
+  camp_store: 'campStore',
+  laundry: 'laundry',
+  cell_reception: 'cellPhoneReception',
+  firewood: 'firewoodForSale',
+  food_storage: 'foodStorageLockers',
+  trash_collection: 'trashRecyclingCollection',
+};
+
+/**
+ * Fetches campgrounds from the NPS API
+ *
+ * @param {Object} options - Fetch options
+ * @param {number} [options.limit=50] - Number of results per page (max 50)
+ * @param {number} [options.start=0] - Pagination offset
+ * @param {string} [options.parkCode] - Filter by park code(s), comma-separated
+ * @returns {Promise<{data: Array, total: number, limit: number, start: number}>}
+ * @throws {Error} If the API request fails
+ */
+export const fetchCampgrounds = async ({ limit = DEFAULT_LIMIT, start = 0, parkCode } = {}) =>
+  fetchNpsEndpoint('campgrounds', { limit, start, parkCode });
+
+/**
+ * Fetches all campgrounds from the NPS API with automatic pagination
+ *
+ * @param {Object} options - Fetch options
+ * @param {Function} [options.onProgress] - Callback for progress updates
+ * @param {string} [options.parkCode] - Filter by park code(s), comma-separated
+ * @returns {Promise<Array>} All campgrounds from the API
+ */
+export const fetchAllCampgrounds = async ({ onProgress, parkCode } = {}) =>
+  fetchAllFromEndpoint('campgrounds', { parkCode }, onProgress);
+
+/**
+ * Whether an NPS amenity value means the amenity is available. Values are
+ * strings ("Yes - seasonal", "No") or lists ("Flush Toilets - year round",
+ * "None"); empty, "Not ..." and "Unknown" count as unavailable.
+ *
+ * @param {string|Array<string>} value - NPS amenity value
+ * @returns {boolean} True if available
+ */
+export const hasAmenity = (value) => {
+  const values = (Array.isArray(value) ? value : [value]).filter(Boolean);
+  return values.some((entry) => !/^\s*(no|not|none|unknown)\b/i.test(String(entry)));
+};
+
+/**
+ * Parses an NPS count ("12", "", "0") to an integer
+ *
+ * @param {string|number} value - NPS count
+ * @returns {number|null} Count, or null if missing
+ */
+const parseCount = (value) => {
+  const count = parseInt(value, 10);
+  return Number.isNaN(count) ? null : count;
+};
+
+/**
+ * Transforms NPS API campground data to database format
+ *
+ * @param {Object} campground - Campground data from NPS API
+ * @param {Object} [options] - Options
+ * @param {Date} [options.seenAt] - When the campground was fetched
+ * @returns {Object} Transformed campground data for database
+ */
+export const transformCampgroundData = (campground, { seenAt = new Date() } = {}) => {
+  const amenities = campground.amenities ?? {};
+  const accessibility = campground.accessibility ?? {};
+  const campsites = campground.campsites ?? {};
+  const states = [
+    ...new Set(
+      (campground.addresses ?? []).map((address) => address.stateCode).filter(Boolean)
+    ),
+  ];
+
+  return {
+    nps_campground_id: campground.id,
+    park_code: (campground.parkCode || '').toLowerCase(),
+    name: campground.name,
+    description: campground.description ?? null,
+    states: states.length > 0 ? states.join(',') : null,
+    latitude: campground.latitude ? parseFloat(campground.latitude) : null,
+    longitude: campground.longitude ? parseFloat(campground.longitude) : null,
+    url: campground.url || null,
+    reservation_url: campground.reservationUrl || null,
+    reservation_info: campground.reservationInfo || null,
+    directions_url: campground.directionsUrl || null,
+    total_sites: parseCount(campsites.totalSites),
+    reservable_sites: parseCount(campground.numberOfSitesReservable),
+    first_come_sites: parseCount(campground.numberOfSitesFirstComeFirstServe),
+    tent_only_sites: parseCount(campsites.tentOnly),
+    rv_only_sites: parseCount(campsites.rvOnly),
+    electrical_hookup_sites: parseCount(campsites.electricalHookups),
+    group_sites: parseCount(campsites.group),
+    rv_allowed: accessibility.rvAllowed === '1' || accessibility.rvAllowed === true,
+    rv_max_length: parseCount(accessibility.rvMaxLength) || null,
+    wheelchair_accessible: hasAmenity(accessibility.wheelchairAccess || accessibility.adaInfo),
+    amenities: Object.fromEntries(
+      Object.entries(CAMPGROUND_AMENITIES).map(([key, npsField]) => [
+        key,
+        hasAmenity(amenities[npsField]),
+      ])
+    ),
+    amenity_details: amenities,
+    accessibility,
+    fees: campground.fees ?? [],
+    operating_hours: campground.operatingHours ?? [],
+    images: (campground.images ?? []).slice(0, 5),
+    last_seen_at: seenAt.toISOString(),
+  };
+};
+
+/**
+ * Fetches visitor centers from the NPS API
+ *
+ * @param {Object} options - Fetch options
+ * @param {number} [options.limit=50] - Number of results per page (max 50)
+ * @param {number} [options.start=0] - Pagination offset
+ * @param {string} [options.parkCode] - Filter by park code(s), comma-separated
+ * @returns {Promise<{data: Array, total: number, limit: number, start: number}>}
+ * @throws {Error} If the API request fails
+ */
+export const fetchVisitorCenters = async ({ limit = DEFAULT_LIMIT, start = 0, parkCode } = {}) =>
+  fetchNpsEndpoint('visitorcenters', { limit, start, parkCode });
+
+/**
+ * Fetches all visitor centers from the NPS API with automatic pagination
+ *
+ * @param {Object} options - Fetch options
+ * @param {Function} [options.onProgress] - Callback for progress updates
+ * @param {string} [options.parkCode] - Filter by park code(s), comma-separated
+ * @returns {Promise<Array>} All visitor centers from the API
+ */
+export const fetchAllVisitorCenters = async ({ onProgress, parkCode } = {}) =>
+  fetchAllFromEndpoint('visitorcenters', { parkCode }, onProgress);
+
+/**
+ * Transforms NPS API visitor center data to database format. The time zone
+ * comes from the physical address's state, so hours can be evaluated locally.
+ *
+ * @param {Object} visitorCenter - Visitor center data from NPS API
+ * @param {Object} [options] - Options
+ * @param {Date} [options.seenAt] - When the visitor center was fetched
+ * @returns {Object} Transformed visitor center for database insertion
+ */
+export const transformVisitorCenterData = (visitorCenter, { seenAt = new Date() } = {}) => {
+  const addresses = visitorCenter.addresses ?? [];
+  const address =
+    addresses.find((candidate) => candidate.type === 'Physical' && candidate.stateCode) ||
+    addresses.find((candidate) => candidate.stateCode);
+  const latitude = visitorCenter.latitude ? parseFloat(visitorCenter.latitude) : null;
+  const longitude = visitorCenter.longitude ? parseFloat(visitorCenter.longitude) : null;
+
+  return {
+    nps_visitor_center_id: visitorCenter.id,
+    park_code: (visitorCenter.parkCode || '').toLowerCase(),
+    name: visitorCenter.name,
+    description: visitorCenter.description ?? null,
+    latitude,
+    longitude,
+    url: visitorCenter.url || null,
+    directions_info: visitorCenter.directionsInfo || null,
+    directions_url: visitorCenter.directionsUrl || null,
+    time_zone: address ? getTimeZone({ stateCode: address.stateCode, latitude, longitude }) : null,
+    operating_hours: visitorCenter.operatingHours ?? [],
+    contacts: visitorCenter.contacts ?? {},
+    images: (visitorCenter.images ?? []).slice(0, 5),
+    last_seen_at: seenAt.toISOString(),
+  };
+};
+
+/**
+ * Days ahead to import NPS events for
+ */
+export const EVENT_WINDOW_DAYS = 180;
+
+/**
+ * Page size for the events endpoint, which pages by number rather than offset
+ */
+const EVENT_PAGE_SIZE = 50;
+
+/**
+ * Parses an NPS boolean ("true", "false", "1", "0")
+ *
+ * @param {string|boolean} value - NPS value
+ * @returns {boolean} True for "true" and "1"
+ */
+const parseNpsBoolean = (value) => value === true || value === 'true' || value === '1';
+
+/**
+ * Strips HTML from NPS text (event descriptions, accessibility notes)
+ *
+ * @param {string} html - NPS HTML
+ * @returns {string|null} Plain text, or null if empty
+ */
+const stripHtml = (html) => {
+  const text = (html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&rsquo;|&lsquo;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text || null;
+};
+
+/**
+ * Fetches things to do from the NPS API
+ *
+ * @param {Object} options - Fetch options
+ * @param {number} [options.limit=50] - Number of results per page (max 50)
+ * @param {number} [options.start=0] - Pagination offset
+ * @param {string} [options.parkCode] - Filter by park code(s), comma-separated
+ * @returns {Promise<{data: Array, total: number, limit: number, start: number}>}
+ * @throws {Error} If the API request fails
+ */
+export const fetchThingsToDo = async ({ limit = DEFAULT_LIMIT, start = 0, parkCode } = {}) =>
+  fetchNpsEndpoint('thingstodo', { limit, start, parkCode });
+
+/**
+ * Fetches all things to do from the NPS API with automatic pagination
+ *
+ * @param {Object} options - Fetch options
+ * @param {Function} [options.onProgress] - Callback for progress updates
+ * @param {string} [options.parkCode] - Filter by park code(s), comma-separated
+ * @returns {Promise<Array>} All things to do from the API
+ */
+export const fetchAllThingsToDo = async ({ onProgress, parkCode } = {}) =>
+  fetchAllFromEndpoint('thingstodo', { parkCode }, onProgress);
+
+/**
+ * Fetches one page of events from the NPS API
+ *
+ * @param {Object} options - Fetch options
+ * @param {number} [options.pageSize=50] - Events per page
+ * @param {number} [options.pageNumber=1] - Page, starting at 1
+ * @param {string} [options.parkCode] - Filter by park code(s), comma-separated
+ * @param {string} [options.dateStart] - First date (YYYY-MM-DD)
+ * @param {string} [options.dateEnd] - Last date (YYYY-MM-DD)
+ * @returns {Promise<{data: Array, total: number}>}
+ * @throws {Error} If the API request fails
+ */
+export const fetchEvents = async ({
+  pageSize = EVENT_PAGE_SIZE,
+  pageNumber = 1,
+  parkCode,
+  dateStart,
+  dateEnd,
+} = {}) => {
+  const { data, total } = await fetchNpsEndpoint('events', {
+    pageSize,
+    pageNumber,
+    parkCode,
+    dateStart,
+    dateEnd,
+  });
+  return { data: data || [], total };
+};
+
+/**
+ * Fetches all events in a date range from the NPS API
+ *
+ * @param {Object} options - Fetch options
+ * @param {Function} [options.onProgress] - Callback for progress updates
+ * @param {string} [options.parkCode] - Filter by park code(s), comma-separated
+ * @param {string} [options.dateStart] - First date (YYYY-MM-DD)
+ * @param {string} [options.dateEnd] - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} All events from the API
+ */
+export const fetchAllEvents = async ({ onProgress, parkCode, dateStart, dateEnd } = {}) => {
+  const records = [];
+  let pageNumber = 1;
+  let total = Infinity;
+
+  while (records.length < total) {
+    const result = await fetchEvents({ pageNumber, parkCode, dateStart, dateEnd });
+
+    records.push(...result.data);
+    total = Number.isNaN(result.total) ? records.length : result.total;
+    pageNumber += 1;
+
+    if (onProgress) {
+      onProgress({
+        fetched: records.length,
+        total,
+        percentage: total ? Math.min(100, Math.round((records.length / total) * 100)) : 100,
+      });
+    }
+
+    if (result.data.length === 0) {
+      break;
+    }
+  }
+
+  return records;
+};
+
+/**
+ * "1-2 Hours", "30 Minutes", "1.5 hrs", "2 to 3 Days"
+ */
+const DURATION_PATTERN =
+  /(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(minute|min|hour|hr|day)/i;
+
+/**
+ * Parses an NPS duration ("1-2 Hours", "30 Minutes", "2-3 Days") to minutes
+ *
+ * @param {string} duration - NPS duration
+ * @returns {{min: number, max: number}|null} Range in minutes, or null if unreadable
+ */
+export const parseDuration = (duration) => {
+  const match = DURATION_PATTERN.exec(duration || '');
+  if (!match) {
+    return null;
+  }
+
+  const [, low, high, unit] = match;
+  const unitMinutes = { min: 1, hr: 60, day: 1440 }[unit.toLowerCase().slice(0, 3)] ?? 60;
+
+  return {
+    min: Math.round(parseFloat(low) * unitMinutes),
+    max: Math.round(parseFloat(high || low) * unitMinutes),
+  };
+};
+
+/**
+ * Whether an NPS event or thing to do is a ranger-led program
+ *
+ * @param {string[]} values - Title, types, tags, activities
+ * @returns {boolean} True if any mentions rangers
+ */
+const isRangerProgram = (values) => values.some((value) => /\branger/i.test(value || ''));
+
+/**
+ * Transforms NPS API "things to do" data to database format
+ *
+ * @param {Object} thing - Thing to do from NPS API
+ * @param {Object} [options] - Options
+ * @param {Date} [options.seenAt] - When it was fetched
+ * @returns {Object} Transformed thing to do for database insertion
+ */
+export const transformThingToDoData = (thing, { seenAt = new Date() } = {}) => {
+  const duration = parseDuration(thing.duration);
+  const activities = (thing.activities ?? []).map((activity) => activity.name).filter(Boolean);
+  const tags = thing.tags ?? [];
+
+  return {
+    nps_thing_id: thing.id,
+    park_codes: [
+      ...new Set(
+        (thing.relatedParks ?? []).map((park) => park.parkCode?.toLowerCase()).filter(Boolean)
+      ),
+    ],
+    title: thing.title,
+    short_description: stripHtml(thing.shortDescription),
+    url: thing.url || null,
+    location_description: stripHtml(thing.locationDescription),
+    latitude: thing.latitude ? parseFloat(thing.latitude) : null,
+    longitude: thing.longitude ? parseFloat(thing.longitude) : null,
+    duration: thing.duration || null,
+    duration_min_minutes: duration?.min ?? null,
+    duration_max_minutes: duration?.max ?? null,
+    seasons: (thing.season ?? []).map((season) => season.toLowerCase()),
+    time_of_day: thing.timeOfDay ?? [],
+    activities,
+    tags,
+    is_ranger_program: isRangerProgram([thing.title, ...activities, ...tags]),
+    is_reservation_required: parseNpsBoolean(thing.isReservationRequired),
+    are_pets_permitted: parseNpsBoolean(thing.arePetsPermitted),
+    fees_apply: parseNpsBoolean(thing.doFeesApply),
+    accessibility_information: stripHtml(thing.accessibilityInformation),
+    age_description: stripHtml(thing.ageDescription),
+    images: (thing.images ?? []).slice(0, 3),
+    last_seen_at: seenAt.toISOString(),
+  };
+};
+
+/**
+ * Transforms NPS API event data to database format
+ *
+ * @param {Object} event - Event from NPS API
+ * @param {Object} [options] - Options
+ * @param {Date} [options.seenAt] - When it was fetched
+ * @returns {Object} Transformed event for database insertion
+ */
+export const transformEventData = (event, { seenAt = new Date() } = {}) => {
+  const dates = [...new Set(event.dates ?? [])].sort();
+  const types = event.types ?? [];
+  const tags = event.tags ?? [];
+
+  return {
+    nps_event_id: event.id,
+    park_code: (event.sitecode || '').toLowerCase(),
+    title: stripHtml(event.title),
+    description: stripHtml(event.description),
+    category: event.category || null,
+    types,
+    tags,
+    location_description: stripHtml(event.location),
+    latitude: event.latitude ? parseFloat(event.latitude) : null,
+    longitude: event.longitude ? parseFloat(event.longitude) : null,
+    start_date: event.datestart || dates[0] || null,
+    end_date: event.dateend || dates[dates.length - 1] || event.datestart || null,
+    dates,
+    times: (event.times ?? []).map((time) => ({
+      start: time.timestart || null,
+      end: time.timeend || null,
+    })),
+    is_all_day: parseNpsBoolean(event.isallday),
+    is_recurring: parseNpsBoolean(event.isrecurring),
+    is_free: parseNpsBoolean(event.isfree),
+    fee_info: stripHtml(event.feeinfo),
+    registration_required: parseNpsBoolean(event.isregresrequired),
+    registration_info: stripHtml(event.regresinfo),
+    registration_url: event.regresurl || null,
+    info_url: event.infourl || null,
+    is_ranger_program: isRangerProgram([event.title, ...types, ...tags]),
+    images: (event.images ?? []).slice(0, 3),
+    last_seen_at: seenAt.toISOString(),
+  };
+};
+
 export default {
   NPS_API_BASE_URL,
   fetchParks,
@@ -191,4 +741,27 @@ export default {
   fetchAndTransformAllParks,
   fetchParkByCode,
   searchParks,
+  ALERT_CATEGORIES,
+  ALERT_TTL_HOURS,
+  fetchAlerts,
+  fetchAllAlerts,
+  categorizeAlert,
+  transformAlertData,
+  sortAlertsBySeverity,
+  CAMPGROUND_AMENITIES,
+  fetchCampgrounds,
+  fetchAllCampgrounds,
+  hasAmenity,
+  transformCampgroundData,
+  fetchVisitorCenters,
+  fetchAllVisitorCenters,
+  transformVisitorCenterData,
+  EVENT_WINDOW_DAYS,
+  fetchThingsToDo,
+  fetchAllThingsToDo,
+  fetchEvents,
+  fetchAllEvents,
+  parseDuration,
+  transformThingToDoData,
+  transformEventData,
 };
\ No newline at end of file
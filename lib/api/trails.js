@@ -238,7 +238,7 @@ export const transformOsmToTrail = (element, coordinates) => {
     description: tags.description || null,
     sacScale,
     lengthMeters,
-    elevationGainM: null, // Would require elevation data
+    elevationGainM: null, // Filled in from DEM tiles by scripts/backfill-trail-elevation.js
     surface: normalizeSurface(tags.surface),
     trailType: determineTrailType(coordinates),
     trailVisibility: tags.trail_visibility || null,
@@ -302,7 +302,10 @@ export const prepareForDatabase = (trail, parkAssociation = null) => ({
     description: trail.description,
     difficulty: trail.difficulty,
     length_meters: trail.lengthMeters,
-    elevation_gain_m: trail.elevationGainM,
+    // Leave out unknown elevation so re-imports keep backfilled values
+    ...(trail.elevationGainM !== null && trail.elevationGainM !== undefined
+      ? { elevation_gain_m: trail.elevationGainM }
+      : {}),
     surface: trail.surface,
     trail_type: trail.trailType,
     sac_scale: trail.sacScale,
@@ -0,0 +1,192 @@
+/**
+ * Campgrounds
+ * Queries over the campgrounds table (imported from NPS), shared by the park
+ * campgrounds route, the cross-park campground search, and the trip planner.
+ * @module lib/campgrounds/campgrounds
+ */
+
+import { CAMPGROUND_AMENITIES } from '@/lib/api/nps';
+
+/**
+ * Columns returned by the campground APIs
+ */
+export const CAMPGROUND_FIELDS =
+  'id, park_code, name, description, states, latitude, longitude, url, reservation_url, reservation_info, directions_url, total_sites, reservable_sites, first_come_sites, tent_only_sites, rv_only_sites, electrical_hookup_sites, group_sites, rv_allowed, rv_max_length, wheelchair_accessible, amenities, fees, images';
+
+/**
+ * Most campgrounds per park offered to the trip planner
+ */
+export const MAX_PROMPT_CAMPGROUNDS = 4;
+
+/**
+ * Read campground filters from query parameters
+ *
+ * Supported parameters:
+ * - q: Name contains
+ * - parkCode: One or more park codes, comma-separated
+ * - state: State code
+ * - amenities: Required amenities, comma-separated (see CAMPGROUND_AMENITIES)
+ * - reservable, firstCome, rv, accessible: 'true' to require
+ * - minSites: Minimum total sites
+ *
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {{filters: Object, error: string|null}} Filters, or a validation error
+ */
+export const parseCampgroundFilters = (searchParams) => {
+  const list = (name) =>
+    (searchParams.get(name) || '')
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean);
+
+  const amenities = list('amenities');
+  const unknown = amenities.filter((amenity) => !(amenity in CAMPGROUND_AMENITIES));
+  if (unknown.length > 0) {
+    return {
+      filters: null,
+      error: `Unknown amenities: ${unknown.join(', ')}. Use: ${Object.keys(CAMPGROUND_AMENITIES).join(', ')}`,
+    };
+  }
+
+  const minSites = searchParams.get('minSites');
+  if (minSites && !/^\d+$/.test(minSites)) {
+    return { filters: null, error: 'minSites must be a whole number' };
+  }
+
+  return {
+    filters: {
+      q: searchParams.get('q')?.trim() || null,
+      parkCodes: list('parkCode').map((code) => code.toLowerCase()),
+      state: searchParams.get('state')?.trim().toUpperCase() || null,
+      amenities,
+      reservable: searchParams.get('reservable') === 'true',
+      firstCome: searchParams.get('firstCome') === 'true',
+      rv: searchParams.get('rv') === 'true',
+      accessible: searchParams.get('accessible') === 'true',
+      minSites: minSites ? parseInt(minSites, 10) : null,
+    },
+    error: null,
+  };
+};
+
+/**
+ * Apply campground filters to a Supabase query
+ * @param {Object} query - Query on the campgrounds table
+ * @param {Object} filters - From parseCampgroundFilters
+ * @returns {Object} Filtered query
+ */
+export const applyCampgroundFilters = (query, filters) => {
+  let filtered = query;
+
+  if (filters.q) {
+    filtered = filtered.ilike('name', `%${filters.q}%`);
+  }
+  if (filters.parkCodes.length > 0) {
+    filtered = filtered.in('park_code', filters.parkCodes);
+  }
+  if (filters.state) {
+    filtered = filtered.ilike('states', `%${filters.state}%`);
+  }
+  if (filters.amenities.length > 0) {
+    filtered = filtered.contains(
+      'amenities',
+      Object.fromEntries(filters.amenities.map((amenity) => [amenity, true]))
+    );
+  }
+  if (filters.reservable) {
+    filtered = filtered.gt('reservable_sites', 0);
+  }
+  if (filters.firstCome) {
+    filtered = filtered.gt('first_come_sites', 0);
+  }
+  if (filters.rv) {
+    filtered = filtered.eq('rv_allowed', true);
+  }
+  if (filters.accessible) {
+    filtered = filtered.eq('wheelchair_accessible', true);
+  }
+  if (filters.minSites !== null) {
+    filtered = filtered.gte('total_sites', filters.minSites);
+  }
+
+  return filtered;
+};
+
+/**
+ * Get campgrounds for several parks, grouped by park code
+ * @param {Object} supabase - Supabase client
+ * @param {string[]} parkCodes - Park codes
+ * @returns {Promise<Object>} Map of park_code to campgrounds (sorted by name)
+ */
+export const getCampgroundsByPark = async (supabase, parkCodes) => {
+  const codes = [...new Set(parkCodes.filter(Boolean).map((code) => code.toLowerCase()))];
+  if (codes.length === 0) {
+    return {};
+  }
+
+  const { data, error } = await supabase
+    .from('campgrounds')
+    .select(CAMPGROUND_FIELDS)
+    .in('park_code', codes)
+    .order('name', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch campgrounds: ${error.message}`);
+  }
+
+  return (data || []).reduce((byPark, campground) => {
+    byPark[campground.park_code] = [...(byPark[campground.park_code] || []), campground];
+    return byPark;
+  }, {});
+};
+
+/**
+ * Attach each park's campgrounds (as `campgrounds`) for the trip planner.
+ * Parks without campgrounds are returned unchanged, as are all parks if the
+ * lookup fails; trips can be planned without them.
+ * @param {Object} supabase - Supabase client
+ * @param {Object[]} parks - Parks with park_code
+ * @returns {Promise<Object[]>} Parks
+ */
+export const attachCampgrounds = async (supabase, parks) => {
+  try {
+    const byPark = await getCampgroundsByPark(
+      supabase,
+      parks.map((park) => park.park_code)
+    );
+
+    return parks.map((park) => {
+      const campgrounds = byPark[park.park_code?.toLowerCase()];
+      return campgrounds ? { ...park, campgrounds } : park;
+    });
+  } catch (error) {
+    console.error('Error attaching campgrounds:', error);
+    return parks;
+  }
+};
+
+/**
+ * Compact campground summary for the AI prompt
+ * @param {Object} campground - campgrounds row
+ * @returns {Object} { name, sites, reservable, first_come, rv, amenities }
+ */
+export const summarizeCampground = (campground) => ({
+  name: campground.name,
+  sites: campground.total_sites,
+  reservable: (campground.reservable_sites ?? 0) > 0,
+  first_come: (campground.first_come_sites ?? 0) > 0,
+  rv: campground.rv_allowed,
+  amenities: Object.entries(campground.amenities || {})
+    .filter(([, available]) => available)
+    .map(([amenity]) => amenity),
+});
+
+export default {
+  CAMPGROUND_FIELDS,
+  MAX_PROMPT_CAMPGROUNDS,
+  parseCampgroundFilters,
+  applyCampgroundFilters,
+  getCampgroundsByPark,
+  attachCampgrounds,
+  summarizeCampground,
+};
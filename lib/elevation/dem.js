@@ -0,0 +1,391 @@
+/**
+ * Digital Elevation Model (DEM) Utilities
+ *
+ * Looks up ground elevation from GeoTIFF tiles on disk (SRTM, USGS 3DEP, or
+ * any single-band GeoTIFF in WGS84 lat/lng). GPS altitude is off by tens of
+ * meters and OSM trails have none, so DEM elevations are used for trail
+ * elevation gain and profiles and to correct recorded track altitudes.
+ *
+ * Server-only: reads from the filesystem. Uses relative imports so the batch
+ * scripts can load it with plain Node.
+ *
+ * @module lib/elevation/dem
+ */
+
+import { readdir } from 'fs/promises';
+import { join, extname } from 'path';
+import { fromFile } from 'geotiff';
+
+/**
+ * Default directory for DEM tiles (override with DEM_TILES_DIR)
+ */
+export const DEFAULT_DEM_DIR = 'data/dem';
+
+/**
+ * Distance between elevation profile samples (about one SRTM pixel)
+ */
+export const PROFILE_SAMPLE_METERS = 30;
+
+/**
+ * Most points kept in a stored elevation profile
+ */
+export const MAX_PROFILE_POINTS = 200;
+
+/**
+ * Share of profile samples that must fall on DEM coverage to trust the result
+ */
+export const MIN_PROFILE_COVERAGE = 0.9;
+
+/**
+ * Largest raster window read in one go (pixels); bigger requests are read per point
+ */
+const MAX_WINDOW_PIXELS = 4000000;
+
+const EARTH_RADIUS_M = 6371000;
+
+/**
+ * Open DEM sources, cached by directory
+ * @type {Map<string, Promise<Object|null>>}
+ */
+const sourceCache = new Map();
+
+/**
+ * Distance between two points in meters (Haversine)
+ * @param {number} lat1 - Latitude of first point
+ * @param {number} lng1 - Longitude of first point
+ * @param {number} lat2 - Latitude of second point
+ * @param {number} lng2 - Longitude of second point
+ * @returns {number} Distance in meters
+ */
+const distanceMeters = (lat1, lng1, lat2, lng2) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Open every GeoTIFF in a directory
+ * @param {string} dir - Directory containing .tif/.tiff tiles
+ * @returns {Promise<Object|null>} DEM source, or null if the directory has no tiles
+ */
+export const openDemSource = async (dir) => {
+  let files;
+  try {
+    files = await readdir(dir);
+  } catch {
+    return null;
+  }
+
+  const tiffPaths = files
+    .filter((file) => ['.tif', '.tiff'].includes(extname(file).toLowerCase()))
+    .map((file) => join(dir, file));
+
+  const tiles = [];
+  for (const path of tiffPaths) {
+    try {
+      const tiff = await fromFile(path);
+      const image = await tiff.getImage();
+      const [minLng, minLat, maxLng, maxLat] = image.getBoundingBox();
+      const [resX, resY] = image.getResolution();
+      const noData = image.getGDALNoData();
+
+      tiles.push({
+        path,
+        tiff,
+        image,
+        minLng,
+        minLat,
+        maxLng,
+        maxLat,
+        resX: Math.abs(resX),
+        resY: Math.abs(resY),
+        width: image.getWidth(),
+        height: image.getHeight(),
+        noData: noData === null ? null : Number(noData),
+      });
+    } catch (error) {
+      console.warn(`Skipping unreadable DEM tile ${path}: ${error.message}`);
+    }
+  }
+
+  if (tiles.length === 0) {
+    return null;
+  }
+
+  // Finest resolution first, so 3DEP tiles win over overlapping SRTM tiles
+  tiles.sort((a, b) => a.resX - b.resX);
+
+  return {
+    dir,
+    tiles,
+    close: () => Promise.all(tiles.map((tile) => tile.tiff.close?.())),
+  };
+};
+
+/**
+ * Get the shared DEM source for the configured tile directory
+ * @param {string} [dir] - Tile directory (defaults to DEM_TILES_DIR or data/dem)
+ * @returns {Promise<Object|null>} DEM source, or null when no tiles are installed
+ */
+export const getDemSource = (dir = process.env.DEM_TILES_DIR || DEFAULT_DEM_DIR) => {
+  if (!sourceCache.has(dir)) {
+    sourceCache.set(dir, openDemSource(dir));
+  }
+  return sourceCache.get(dir);
+};
+
+/**
+ * Find the tile covering a location
+ * @param {Object} source - DEM source
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object|undefined} Tile
+ */
+const findTile = (source, lat, lng) =>
+  source.tiles.find(
+    (tile) => lat >= tile.minLat && lat <= tile.maxLat && lng >= tile.minLng && lng <= tile.maxLng
+  );
+
+/**
+ * Get a location's fractional pixel position, relative to pixel centers
+ * @param {Object} tile - DEM tile
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {{x: number, y: number}}
+ */
+const toPixel = (tile, lat, lng) => ({
+  x: Math.min(Math.max((lng - tile.minLng) / tile.resX - 0.5, 0), tile.width - 1),
+  y: Math.min(Math.max((tile.maxLat - lat) / tile.resY - 0.5, 0), tile.height - 1),
+});
+
+/**
+ * Bilinearly interpolate a pixel position from a raster window
+ * @param {Object} tile - DEM tile
+ * @param {ArrayLike<number>} raster - Window values, row by row
+ * @param {Array<number>} window - [x0, y0, x1, y1]
+ * @param {{x: number, y: number}} pixel - Pixel position
+ * @returns {number|null} Elevation in meters
+ */
+const interpolate = (tile, raster, window, { x, y }) => {
+  const [x0, y0, x1] = window;
+  const windowWidth = x1 - x0;
+  const left = Math.floor(x);
+  const top = Math.floor(y);
+  const right = Math.min(left + 1, tile.width - 1);
+  const bottom = Math.min(top + 1, tile.height - 1);
+  const fx = x - left;
+  const fy = y - top;
+
+  const corners = [
+    [left, top, (1 - fx) * (1 - fy)],
+    [right, top, fx * (1 - fy)],
+    [left, bottom, (1 - fx) * fy],
+    [right, bottom, fx * fy],
+  ];
+
+  let sum = 0;
+  let weight = 0;
+  corners.forEach(([px, py, w]) => {
+    const value = raster[(py - y0) * windowWidth + (px - x0)];
+    if (value !== tile.noData && !Number.isNaN(value) && w > 0) {
+      sum += value * w;
+      weight += w;
+    }
+  });
+
+  // Mostly missing data around this location: don't guess from the edges
+  return weight >= 0.5 ? Math.round((sum / weight) * 100) / 100 : null;
+};
+
+/**
+ * Read a raster window from a tile
+ * @param {Object} tile - DEM tile
+ * @param {Array<number>} window - [x0, y0, x1, y1]
+ * @returns {Promise<ArrayLike<number>>} Window values, row by row
+ */
+const readWindow = (tile, window) =>
+  tile.image.readRasters({ window, samples: [0], interleave: true });
+
+/**
+ * Look up elevations for many locations
+ * @param {Object} source - DEM source from getDemSource
+ * @param {Array<{lat: number, lng: number}>} locations - Locations
+ * @returns {Promise<Array<number|null>>} Elevations in meters (null outside DEM coverage)
+ */
+export const getElevations = async (source, locations) => {
+  const elevations = locations.map(() => null);
+  if (!source) {
+    return elevations;
+  }
+
+  // Group locations by tile so each tile is read once
+  const byTile = new Map();
+  locations.forEach(({ lat, lng }, index) => {
+    const tile = findTile(source, lat, lng);
+    if (tile) {
+      if (!byTile.has(tile)) {
+        byTile.set(tile, []);
+      }
+      byTile.get(tile).push({ index, pixel: toPixel(tile, lat, lng) });
+    }
+  });
+
+  for (const [tile, entries] of byTile) {
+    // Bounding pixel window of every location in the tile (reduce rather
+    // than spread, since long tracks have tens of thousands of points)
+    const window = entries.reduce(
+      ([x0, y0, x1, y1], { pixel }) => [
+        Math.min(x0, Math.floor(pixel.x)),
+        Math.min(y0, Math.floor(pixel.y)),
+        Math.max(x1, Math.min(Math.floor(pixel.x) + 2, tile.width)),
+        Math.max(y1, Math.min(Math.floor(pixel.y) + 2, tile.height)),
+      ],
+      [Infinity, Infinity, -Infinity, -Infinity]
+    );
+
+    if ((window[2] - window[0]) * (window[3] - window[1]) <= MAX_WINDOW_PIXELS) {
+      const raster = await readWindow(tile, window);
+      entries.forEach(({ index, pixel }) => {
+        elevations[index] = interpolate(tile, raster, window, pixel);
+      });
+    } else {
+      for (const { index, pixel } of entries) {
+        const pointWindow = [
+          Math.floor(pixel.x),
+          Math.floor(pixel.y),
+          Math.min(Math.floor(pixel.x) + 2, tile.width),
+          Math.min(Math.floor(pixel.y) + 2, tile.height),
+        ];
+        const raster = await readWindow(tile, pointWindow);
+        elevations[index] = interpolate(tile, raster, pointWindow, pixel);
+      }
+    }
+  }
+
+  return elevations;
+};
+
+/**
+ * Resample a line at a fixed spacing
+ * @param {Array<Array<number>>} coordinates - [lng, lat] pairs
+ * @param {number} [spacing=PROFILE_SAMPLE_METERS] - Meters between samples
+ * @returns {Array<{lat: number, lng: number, distance: number}>} Samples, including both ends
+ */
+export const resampleLine = (coordinates, spacing = PROFILE_SAMPLE_METERS) => {
+  if (!coordinates || coordinates.length === 0) {
+    return [];
+  }
+
+  const [firstLng, firstLat] = coordinates[0];
+  const samples = [{ lat: firstLat, lng: firstLng, distance: 0 }];
+  let traveled = 0;
+  let nextSample = spacing;
+
+  for (let i = 1; i < coordinates.length; i++) {
+    const [lng1, lat1] = coordinates[i - 1];
+    const [lng2, lat2] = coordinates[i];
+    const length = distanceMeters(lat1, lng1, lat2, lng2);
+
+    while (length > 0 && nextSample <= traveled + length) {
+      const fraction = (nextSample - traveled) / length;
+      samples.push({
+        lat: lat1 + (lat2 - lat1) * fraction,
+        lng: lng1 + (lng2 - lng1) * fraction,
+        distance: nextSample,
+      });
+      nextSample += spacing;
+    }
+
+    traveled += length;
+  }
+
+  const [lastLng, lastLat] = coordinates[coordinates.length - 1];
+  if (traveled > samples[samples.length - 1].distance) {
+    samples.push({ lat: lastLat, lng: lastLng, distance: traveled });
+  }
+
+  return samples;
+};
+
+/**
+ * Build an elevation profile for a line from the DEM
+ * @param {Object} source - DEM source from getDemSource
+ * @param {Array<Array<number>>} coordinates - [lng, lat] pairs (GeoJSON LineString)
+ * @returns {Promise<Object|null>} { gainM, lossM, minM, maxM, profile: [[distanceM, elevationM], ...] },
+ *   or null when the line isn't covered by the DEM
+ */
+export const buildElevationProfile = async (source, coordinates) => {
+  const samples = resampleLine(coordinates);
+  if (!source || samples.length < 2) {
+    return null;
+  }
+
+  const elevations = await getElevations(source, samples);
+  const points = samples
+    .map((sample, i) => ({ distance: sample.distance, elevation: elevations[i] }))
+    .filter((point) => point.elevation !== null);
+
+  if (points.length < 2 || points.length / samples.length < MIN_PROFILE_COVERAGE) {
+    return null;
+  }
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i < points.length; i++) {
+    const change = points[i].elevation - points[i - 1].elevation;
+    if (change > 0) {
+      gain += change;
+    } else {
+      loss -= change;
+    }
+  }
+
+  const values = points.map((point) => point.elevation);
+  const step = Math.max(1, Math.ceil(points.length / MAX_PROFILE_POINTS));
+  const profile = points
+    .filter((_, i) => i % step === 0 || i === points.length - 1)
+    .map((point) => [Math.round(point.distance), Math.round(point.elevation * 10) / 10]);
+
+  return {
+    gainM: Math.round(gain * 10) / 10,
+    lossM: Math.round(loss * 10) / 10,
+    minM: Math.min(...values),
+    maxM: Math.max(...values),
+    profile,
+  };
+};
+
+/**
+ * Replace point altitudes with DEM elevations where the DEM covers them
+ * @param {Object} source - DEM source from getDemSource
+ * @param {Array<Object>} points - Points with latitude/longitude
+ * @param {string} [altitudeKey='altitude_m'] - Key to write the elevation to
+ * @returns {Promise<Array<Object>>} Copies of the points (unchanged outside coverage)
+ */
+export const correctPointElevations = async (source, points, altitudeKey = 'altitude_m') => {
+  const elevations = await getElevations(
+    source,
+    points.map((point) => ({ lat: Number(point.latitude), lng: Number(point.longitude) }))
+  );
+
+  return points.map((point, i) =>
+    elevations[i] === null ? point : { ...point, [altitudeKey]: elevations[i] }
+  );
+};
+
+export default {
+  DEFAULT_DEM_DIR,
+  PROFILE_SAMPLE_METERS,
+  MAX_PROFILE_POINTS,
+  MIN_PROFILE_COVERAGE,
+  openDemSource,
+  getDemSource,
+  getElevations,
+  resampleLine,
+  buildElevationProfile,
+  correctPointElevations,
+};
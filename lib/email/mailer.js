@@ -0,0 +1,321 @@
+/**
+ * Mailer
+ *
+ * Sends plain-text email through a pluggable transport. The SMTP transport
+ * speaks just enough SMTP to hand a message to a relay, so no mail library is
+ * needed; in development it points at the stand-in server from
+ * `pnpm dev:smtp` (localhost:1025), which prints each message instead of
+ * delivering it. The console transport logs messages and is handy in tests
+ * and previews.
+ *
+ * Environment:
+ * - MAIL_TRANSPORT: 'smtp' (default) or 'console'
+ * - MAIL_FROM: sender address
+ * - SMTP_HOST, SMTP_PORT, SMTP_SECURE ('true' for implicit TLS), SMTP_USER, SMTP_PASS
+ *
+ * Without implicit TLS the SMTP transport upgrades with STARTTLS whenever the
+ * server offers it (as port 587 relays do), and won't send credentials over
+ * an unencrypted connection except to a server on this machine.
+ *
+ * @module lib/email/mailer
+ */
+
+import net from 'node:net';
+import tls from 'node:tls';
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Sender used when MAIL_FROM isn't set
+ */
+export const DEFAULT_FROM = 'ParkLookup <alerts@parklookup.com>';
+
+/**
+ * Give up on an SMTP server that stops responding after this long
+ */
+const SMTP_TIMEOUT_MS = 15000;
+
+/**
+ * Hosts credentials may be sent to without TLS (e.g. the `pnpm dev:smtp` server)
+ */
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+/**
+ * Pull the bare address out of "Name <address>"
+ * @param {string} address - Address, optionally with a display name
+ * @returns {string} Bare address
+ */
+const bareAddress = (address) => {
+  const match = /<([^>]+)>/.exec(address);
+  return (match ? match[1] : address).trim();
+};
+
+/**
+ * Fold line breaks in a header value into spaces. Subjects carry user text
+ * (display names, track titles), and a CRLF in one would start a new header.
+ * @param {string} value - Header value
+ * @returns {string} Single-line value
+ */
+const singleLine = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+/**
+ * Reject an address containing a line break, which would inject headers or
+ * SMTP commands
+ * @param {string} address - Address, optionally with a display name
+ * @returns {string} The address
+ * @throws {Error} If the address contains CR or LF
+ */
+const checkAddress = (address) => {
+  if (/[\r\n]/.test(address)) {
+    throw new Error(`Invalid email address: ${JSON.stringify(address)}`);
+  }
+  return address;
+};
+
+/**
+ * Encode a header value that isn't printable ASCII
+ * @param {string} value - Header value
+ * @returns {string} Encoded value
+ */
+const encodeHeader = (value) =>
+  /^[\x20-\x7E]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+/**
+ * Build an RFC 5322 message
+ * @param {Object} message - Message
+ * @param {string} message.from - Sender
+ * @param {string[]} message.to - Recipients
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @param {Date} [now] - Date header value
+ * @returns {string} Message with CRLF line endings
+ */
+export const formatMessage = ({ from, to, subject, text }, now = new Date()) => {
+  const domain = bareAddress(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${checkAddress(from)}`,
+    `To: ${to.map(checkAddress).join(', ')}`,
+    `Subject: ${encodeHeader(singleLine(subject))}`,
+    `Date: ${now.toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+
+  const body = text
+    .replace(/\r?\n/g, '\r\n')
+    // A line starting with "." would end the DATA section early
+    .replace(/^\./gm, '..');
+
+  return `${headers.join('\r\n')}\r\n\r\n${body}`;
+};
+
+/**
+ * Read SMTP replies from a socket one at a time
+ * @param {import('node:net').Socket} socket - Connected socket
+ * @returns {Function} Resolves with the next complete reply ({ code, text })
+ */
+const createReplyReader = (socket) => {
+  let buffer = '';
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const flush = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) {
+        resolve(replies.shift());
+      } else {
+        reject(failure);
+      }
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    const lines = buffer.split('\r\n');
+    buffer = lines.pop();
+
+    let pending = [];
+    lines.forEach((line) => {
+      pending.push(line);
+      // Multi-line replies use "250-" until the last line, which has "250 "
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({
+          code: parseInt(line.slice(0, 3), 10),
+          text: pending.map((part) => part.slice(4)).join('\n'),
+        });
+        pending = [];
+      }
+    });
+    buffer = pending.length > 0 ? `${pending.join('\r\n')}\r\n${buffer}` : buffer;
+    flush();
+  });
+
+  const fail = (error) => {
+    failure = failure || error;
+    flush();
+  };
+  socket.on('error', fail);
+  socket.on('close', () => fail(new Error('SMTP connection closed')));
+
+  return () =>
+    new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      flush();
+    });
+};
+
+/**
+ * Create a transport that delivers through an SMTP server
+ * @param {Object} config - SMTP settings
+ * @param {string} config.host - Server host
+ * @param {number} config.port - Server port
+ * @param {boolean} [config.secure] - Connect with TLS
+ * @param {string} [config.user] - Username for AUTH PLAIN
+ * @param {string} [config.pass] - Password for AUTH PLAIN
+ * @param {boolean} [config.allowInsecureAuth] - Send credentials without TLS; only
+ *   allowed by default for local hosts
+ * @returns {{ name: string, send: Function }} Transport
+ */
+export const createSmtpTransport = ({
+  host,
+  port,
+  secure = false,
+  user,
+  pass,
+  allowInsecureAuth = LOCAL_HOSTS.includes(host),
+}) => ({
+  name: 'smtp',
+  send: async ({ from, to, raw }) => {
+    let socket;
+    let nextReply;
+    let encrypted = secure;
+    const attachSocket = (next) => {
+      socket = next;
+      socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+      nextReply = createReplyReader(socket);
+    };
+    attachSocket(
+      secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port })
+    );
+
+    const expect = async (codes, command) => {
+      if (command !== undefined) {
+        socket.write(`${command}\r\n`);
+      }
+      const reply = await nextReply();
+      if (!codes.includes(reply.code)) {
+        throw new Error(`SMTP ${reply.code}: ${reply.text}`);
+      }
+      return reply;
+    };
+
+    const hello = `EHLO ${bareAddress(from).split('@')[1] || 'localhost'}`;
+
+    try {
+      await expect([220]);
+      const { text: extensions } = await expect([250], hello);
+
+      if (!encrypted && /^STARTTLS\b/im.test(extensions)) {
+        await expect([220], 'STARTTLS');
+        const plain = socket;
+        plain.removeAllListeners('data');
+        plain.setTimeout(0);
+        const secured = tls.connect({ socket: plain, servername: host });
+        await new Promise((resolve, reject) => {
+          secured.once('secureConnect', resolve);
+          secured.once('error', reject);
+        });
+        attachSocket(secured);
+        encrypted = true;
+        // The server forgets everything from before the upgrade
+        await expect([250], hello);
+      }
+
+      if (user && !encrypted && !allowInsecureAuth) {
+        throw new Error(`Refusing to send SMTP credentials to ${host} without TLS`);
+      }
+      if (user) {
+        const credentials = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+        await expect([235], `AUTH PLAIN ${credentials}`);
+      }
+      await expect([250], `MAIL FROM:<${bareAddress(from)}>`);
+      for (const recipient of to) {
+        await expect([250, 251], `RCPT TO:<${bareAddress(recipient)}>`);
+      }
+      await expect([354], 'DATA');
+      await expect([250], `${raw}\r\n.`);
+      await expect([221], 'QUIT');
+    } finally {
+      socket.end();
+    }
+  },
+});
+
+/**
+ * Create a transport that logs messages instead of sending them
+ * @param {Object} [logger] - Logger with an info method
+ * @returns {{ name: string, send: Function }} Transport
+ */
+export const createConsoleTransport = (logger = console) => ({
+  name: 'console',
+  send: async ({ raw }) => {
+    logger.info(`--- email ---\n${raw}\n--- end email ---`);
+  },
+});
+
+/**
+ * Pick a transport from environment settings
+ * @param {Object} [env] - Environment variables
+ * @returns {{ name: string, send: Function }} Transport
+ */
+export const createTransportFromEnv = (env = process.env) => {
+  if (env.MAIL_TRANSPORT === 'console') {
+    return createConsoleTransport();
+  }
+
+  return createSmtpTransport({
+    host: env.SMTP_HOST || 'localhost',
+    port: parseInt(env.SMTP_PORT || '1025', 10),
+    secure: env.SMTP_SECURE === 'true',
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS,
+  });
+};
+
+/**
+ * Create a mailer
+ * @param {Object} [options] - Mailer options
+ * @param {{ send: Function }} [options.transport] - Transport; defaults to one from the environment
+ * @param {string} [options.from] - Default sender
+ * @returns {{ send: Function }} Mailer whose send({ to, subject, text, from? }) resolves once the
+ *   transport accepts the message
+ */
+export const createMailer = ({
+  transport = createTransportFromEnv(),
+  from = process.env.MAIL_FROM || DEFAULT_FROM,
+} = {}) => ({
+  send: async (message) => {
+    const to = [].concat(message.to).filter(Boolean);
+    if (to.length === 0) {
+      throw new Error('Email needs at least one recipient');
+    }
+
+    const sender = message.from || from;
+    const raw = formatMessage({ ...message, from: sender, to });
+    await transport.send({ from: sender, to, raw });
+  },
+});
+
+export default {
+  DEFAULT_FROM,
+  formatMessage,
+  createSmtpTransport,
+  createConsoleTransport,
+  createTransportFromEnv,
+  createMailer,
+};
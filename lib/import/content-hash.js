@@ -0,0 +1,290 @@
+/**
+ * Content-Hash Upserts
+ * Imports hash each record's source content and store it as `content_hash`,
+ * so re-imports only write records that are new or changed. Unchanged records
+ * are left alone (optionally just re-stamped as seen), which keeps full
+ * re-imports cheap and lets dry runs report exactly what would change.
+ * @module lib/import/content-hash
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Fields that change on every import without the content changing
+ */
+export const VOLATILE_FIELDS = ['id', 'created_at', 'updated_at', 'last_seen_at', 'content_hash'];
+
+/**
+ * Default number of records read or written per request
+ */
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * JSON with object keys sorted, so equal content always serializes the same
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+export const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item ?? null)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Hash of a record's content
+ * @param {Object} record - Record as it would be written
+ * @param {Object} [options]
+ * @param {string[]} [options.ignore=VOLATILE_FIELDS] - Fields left out of the hash
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashRecord = (record, { ignore = VOLATILE_FIELDS } = {}) => {
+  const content = Object.fromEntries(
+    Object.entries(record).filter(([field]) => !ignore.includes(field))
+  );
+  return createHash('sha256').update(stableStringify(content)).digest('hex');
+};
+
+/**
+ * Split an onConflict key ("park_code", "source,source_id") into its fields
+ * @param {string} key - Comma-separated key fields
+ * @returns {string[]} Key fields
+ */
+const getKeyFields = (key) => key.split(',').map((field) => field.trim());
+
+/**
+ * Identity of a record under a (possibly composite) key
+ * @param {Object} record - Record
+ * @param {string[]} keyFields - Key fields
+ * @returns {string} Key
+ */
+const getRecordKey = (record, keyFields) =>
+  JSON.stringify(keyFields.map((field) => record[field] ?? null));
+
+/**
+ * Group records by their values for all key fields but the last, so each
+ * group can be matched with eq() filters plus one in() on the last field
+ * @param {Object[]} records - Records
+ * @param {string[]} keyFields - Key fields
+ * @returns {Object[][]} Groups of records
+ */
+const groupByLeadingKey = (records, keyFields) => {
+  const groups = new Map();
+  records.forEach((record) => {
+    const leading = getRecordKey(record, keyFields.slice(0, -1));
+    groups.set(leading, [...(groups.get(leading) || []), record]);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * Chunk an array
+ * @param {Array} items - Items
+ * @param {number} size - Chunk size
+ * @returns {Array[]} Chunks
+ */
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Filter a query to one group of records by key
+ * @param {Object} query - Supabase query
+ * @param {Object[]} records - Records sharing all but the last key field
+ * @param {string[]} keyFields - Key fields
+ * @returns {Object} Filtered query
+ */
+const filterByKey = (query, records, keyFields) => {
+  const lookupField = keyFields[keyFields.length - 1];
+  const filtered = keyFields
+    .slice(0, -1)
+    .reduce((q, field) => q.eq(field, records[0][field]), query);
+  return filtered.in(
+    lookupField,
+    records.map((record) => record[lookupField])
+  );
+};
+
+/**
+ * Sort hashed records into new, changed, and unchanged against stored hashes
+ * @param {Object[]} records - Records with content_hash
+ * @param {Map<string, string>} existingHashes - Stored content_hash by record key
+ * @param {string} key - onConflict key
+ * @returns {{inserted: Object[], updated: Object[], unchanged: Object[]}} Diff
+ */
+export const diffByHash = (records, existingHashes, key) => {
+  const keyFields = getKeyFields(key);
+  const diff = { inserted: [], updated: [], unchanged: [] };
+
+  records.forEach((record) => {
+    const recordKey = getRecordKey(record, keyFields);
+    if (!existingHashes.has(recordKey)) {
+      diff.inserted.push(record);
+    } else if (existingHashes.get(recordKey) !== record.content_hash) {
+      diff.updated.push(record);
+    } else {
+      diff.unchanged.push(record);
+    }
+  });
+
+  return diff;
+};
+
+/**
+ * Read stored content hashes for records
+ * @param {Object} supabase - Supabase client
+ * @param {string} table - Table name
+ * @param {Object[]} records - Records
+ * @param {string} key - onConflict key
+ * @param {number} batchSize - Keys per request
+ * @returns {Promise<Map<string, string>>} content_hash (or null) by record key
+ * @throws {Error} If a query fails
+ */
+export const fetchContentHashes = async (supabase, table, records, key, batchSize) => {
+  const keyFields = getKeyFields(key);
+  const hashes = new Map();
+
+  for (const group of groupByLeadingKey(records, keyFields)) {
+    for (const batch of chunk(group, batchSize)) {
+      const query = supabase.from(table).select([...keyFields, 'content_hash'].join(', '));
+      const { data, error } = await filterByKey(query, batch, keyFields);
+
+      if (error) {
+        throw new Error(`Failed to read ${table} content hashes: ${error.message}`);
+      }
+
+      (data || []).forEach((row) => {
+        hashes.set(getRecordKey(row, keyFields), row.content_hash ?? null);
+      });
+    }
+  }
+
+  return hashes;
+};
+
+/**
+ * Upsert only new and changed records, by content hash
+ * @param {Object} supabase - Supabase client
+ * @param {string} table - Table with a content_hash column
+ * @param {Object[]} records - Records as they would be written (unique by key)
+ * @param {Object} options
+ * @param {string} options.key - onConflict key, e.g. "park_code" or "source,source_id"
+ * @param {boolean} [options.dryRun=false] - Compute the diff without writing
+ * @param {string[]} [options.touch=[]] - Columns re-stamped on unchanged records
+ *   with their incoming values and left out of the hash (e.g. last_seen_at, for
+ *   imports that delete records they no longer see)
+ * @param {number} [options.batchSize=100] - Records per request
+ * @returns {Promise<Object>} { diff, inserted, updated, unchanged, errors }
+ * @throws {Error} If stored hashes can't be read
+ */
+export const upsertChangedRecords = async (
+  supabase,
+  table,
+  records,
+  { key, dryRun = false, touch = [], batchSize = DEFAULT_BATCH_SIZE }
+) => {
+  const keyFields = getKeyFields(key);
+  const ignore = [...VOLATILE_FIELDS, ...touch];
+  const hashed = records.map((record) => ({
+    ...record,
+    content_hash: hashRecord(record, { ignore }),
+  }));
+  const existingHashes = await fetchContentHashes(supabase, table, hashed, key, batchSize);
+  const diff = diffByHash(hashed, existingHashes, key);
+  const results = {
+    diff,
+    inserted: diff.inserted.length,
+    updated: diff.updated.length,
+    unchanged: diff.unchanged.length,
+    errors: [],
+  };
+
+  if (dryRun) {
+    return results;
+  }
+
+  const insertedKeys = new Set(diff.inserted.map((record) => getRecordKey(record, keyFields)));
+  results.inserted = 0;
+  results.updated = 0;
+
+  const batches = chunk([...diff.inserted, ...diff.updated], batchSize);
+  for (const [index, batch] of batches.entries()) {
+    const { error } = await supabase.from(table).upsert(batch, { onConflict: key });
+
+    if (error) {
+      results.errors.push({ batch: index, error: error.message });
+    } else {
+      const inserted = batch.filter((record) =>
+        insertedKeys.has(getRecordKey(record, keyFields))
+      ).length;
+      results.inserted += inserted;
+      results.updated += batch.length - inserted;
+    }
+  }
+
+  if (touch.length > 0 && diff.unchanged.length > 0) {
+    const unchangedBatches = groupByLeadingKey(diff.unchanged, keyFields).flatMap((group) =>
+      chunk(group, batchSize)
+    );
+    for (const [index, batch] of unchangedBatches.entries()) {
+      const stamp = Object.fromEntries(touch.map((column) => [column, batch[0][column]]));
+      const { error } = await filterByKey(supabase.from(table).update(stamp), batch, keyFields);
+
+      if (error) {
+        results.errors.push({
+          batch: batches.length + index,
+          error: `Failed to update ${touch.join(', ')}: ${error.message}`,
+        });
+      }
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Human-readable diff report lines
+ * @param {Object} diff - { inserted, updated, unchanged } from diffByHash
+ * @param {Object} [options]
+ * @param {Function} [options.label] - Record to display name
+ * @param {number} [options.limit=10] - Most records listed per kind
+ * @returns {string[]} Report lines
+ */
+export const formatDiffReport = (diff, { label = (record) => record.id, limit = 10 } = {}) => {
+  const lines = [
+    `${diff.inserted.length} new, ${diff.updated.length} changed, ${diff.unchanged.length} unchanged`,
+  ];
+
+  [
+    ['+', diff.inserted],
+    ['~', diff.updated],
+  ].forEach(([marker, records]) => {
+    records.slice(0, limit).forEach((record) => lines.push(`  ${marker} ${label(record)}`));
+    if (records.length > limit) {
+      lines.push(`  ${marker} ... and ${records.length - limit} more`);
+    }
+  });
+
+  return lines;
+};
+
+export default {
+  VOLATILE_FIELDS,
+  stableStringify,
+  hashRecord,
+  diffByHash,
+  fetchContentHashes,
+  upsertChangedRecords,
+  formatDiffReport,
+};
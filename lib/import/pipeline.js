@@ -0,0 +1,423 @@
+/**
+ * Import Pipeline
+ * Step definitions and run bookkeeping for scripts/import-all.js. Each step's
+ * run is recorded in import_logs (source "import_pipeline", with the run id,
+ * step, and plan in metadata) so a failed run can be resumed from the failed
+ * step and recently imported steps can be skipped.
+ * @module lib/import/pipeline
+ */
+
+import { randomUUID } from 'crypto';
+
+/**
+ * import_logs source for pipeline step runs
+ */
+export const PIPELINE_SOURCE = 'import_pipeline';
+
+/**
+ * Import steps in run order. Optional steps only run with their flag or when
+ * named in --only. Steps with `dryRun` accept --dry-run; `resumable` steps
+ * accept --resume to continue from their own checkpoint.
+ */
+export const IMPORT_STEPS = [
+  { id: 'nps', name: 'NPS Import', script: 'import-nps.js', dryRun: true },
+  { id: 'alerts', name: 'NPS Alerts Refresh', script: 'import-nps-alerts.js', dryRun: true },
+  {
+    id: 'campgrounds',
+    name: 'NPS Campgrounds Import',
+    script: 'import-nps-campgrounds.js',
+    dryRun: true,
+  },
+  {
+    id: 'visitor-centers',
+    name: 'NPS Visitor Centers Import',
+    script: 'import-nps-visitor-centers.js',
+    dryRun: true,
+  },
+  {
+    id: 'things-to-do',
+    name: 'NPS Things To Do Import',
+    script: 'import-nps-things-to-do.js',
+    dryRun: true,
+  },
+  { id: 'events', name: 'NPS Events Refresh', script: 'import-nps-events.js', dryRun: true },
+  { id: 'wikidata', name: 'Wikidata Import', script: 'import-wikidata.js', dryRun: true },
+  { id: 'link', name: 'Park Linking', script: 'link-parks.js' },
+  { id: 'link-states', name: 'Park-State Linking', script: 'link-parks-to-states.js' },
+  {
+    id: 'trails',
+    name: 'Trail Import (OSM)',
+    script: 'import-trails.js',
+    optional: '--with-trails',
+    note: 'Slow: Overpass API rate limits',
+    dryRun: true,
+    resumable: true,
+  },
+  {
+    id: 'blm',
+    name: 'BLM Land Import',
+    script: 'import-blm.js',
+    optional: '--with-blm',
+    note: 'Requires pre-downloaded GeoJSON file at data/blm/blm.geojson',
+    dryRun: true,
+  },
+  {
+    id: 'elevation',
+    name: 'Trail Elevation Backfill',
+    script: 'backfill-trail-elevation.js',
+    optional: '--with-elevation',
+    note: 'Requires GeoTIFF DEM tiles in data/dem (or DEM_TILES_DIR)',
+    dryRun: true,
+  },
+];
+
+/**
+ * Units accepted by --since
+ */
+const SINCE_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a --since value: a duration ago ("30m", "12h", "7d") or a date
+ * @param {string} value - --since value
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Date} Cutoff
+ * @throws {Error} If the value isn't a duration or date
+ */
+export const parseSince = (value, now = new Date()) => {
+  const match = /^(\d+)([mhd])$/.exec(value || '');
+  if (match) {
+    return new Date(now.getTime() - Number(match[1]) * SINCE_UNITS_MS[match[2]]);
+  }
+
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --since value "${value}" (use e.g. 12h, 7d, or 2024-06-01)`);
+  }
+  return date;
+};
+
+/**
+ * Parse import-all arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} [options]
+ * @param {Object[]} [options.steps=IMPORT_STEPS] - Known steps
+ * @param {Date} [options.now] - Current time, for --since durations
+ * @returns {Object} { only, since, resume, dryRun, flags }
+ * @throws {Error} For unknown steps or missing values
+ */
+export const parsePipelineArgs = (argv, { steps = IMPORT_STEPS, now = new Date() } = {}) => {
+  const options = { only: [], since: null, resume: false, dryRun: false, flags: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [arg, inlineValue] = argv[i].split(/=(.*)/s);
+    const readValue = () => {
+      const value = inlineValue ?? argv[++i];
+      if (!value) {
+        throw new Error(`${arg} requires a value`);
+      }
+      return value;
+    };
+
+    switch (arg) {
+      case '--only':
+        options.only = readValue()
+          .split(',')
+          .map((id) => id.trim())
+          .filter(Boolean);
+        break;
+      case '--since':
+        options.since = parseSince(readValue(), now);
+        break;
+      case '--resume':
+        options.resume = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      default:
+        options.flags.push(arg);
+    }
+  }
+
+  const unknown = options.only.filter((id) => !steps.some((step) => step.id === id));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown import step(s): ${unknown.join(', ')} (steps: ${steps.map((step) => step.id).join(', ')})`
+    );
+  }
+
+  return options;
+};
+
+/**
+ * Steps to run: those named in --only, otherwise the required steps plus
+ * optional steps whose flag was given
+ * @param {Object[]} steps - Steps in run order
+ * @param {Object} options - { only, flags } from parsePipelineArgs
+ * @returns {Object[]} Steps in run order
+ */
+export const planSteps = (steps, { only = [], flags = [] } = {}) =>
+  steps.filter((step) =>
+    only.length > 0 ? only.includes(step.id) : !step.optional || flags.includes(step.optional)
+  );
+
+/**
+ * Latest completion time of each step (non-dry runs)
+ * @param {Object} supabase - Supabase client
+ * @param {string[]} stepIds - Steps
+ * @returns {Promise<Object>} Map of step id to completed_at (ISO)
+ * @throws {Error} If the query fails
+ */
+export const getLastCompletedSteps = async (supabase, stepIds) => {
+  const { data, error } = await supabase
+    .from('import_logs')
+    .select('completed_at, metadata')
+    .eq('source', PIPELINE_SOURCE)
+    .eq('status', 'completed')
+    .in('metadata->>step', stepIds)
+    .order('completed_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to read import history: ${error.message}`);
+  }
+
+  return (data || []).reduce((completed, { completed_at: completedAt, metadata }) => {
+    if (!completed[metadata.step]) {
+      completed[metadata.step] = completedAt;
+    }
+    return completed;
+  }, {});
+};
+
+/**
+ * The most recent run, if it didn't finish its plan
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Object|null>} { runId, plan, completed } (completed step ids), or null
+ * @throws {Error} If a query fails
+ */
+export const getResumableRun = async (supabase) => {
+  const { data: latest, error: latestError } = await supabase
+    .from('import_logs')
+    .select('metadata')
+    .eq('source', PIPELINE_SOURCE)
+    .order('started_at', { ascending: false })
+    .limit(1);
+
+  if (latestError) {
+    throw new Error(`Failed to read import history: ${latestError.message}`);
+  }
+  if (!latest?.length) {
+    return null;
+  }
+
+  const { run_id: runId, plan = [] } = latest[0].metadata || {};
+  const { data: runLogs, error } = await supabase
+    .from('import_logs')
+    .select('status, metadata')
+    .eq('source', PIPELINE_SOURCE)
+    .eq('metadata->>run_id', runId);
+
+  if (error) {
+    throw new Error(`Failed to read import run ${runId}: ${error.message}`);
+  }
+
+  const completed = (runLogs || [])
+    .filter((log) => log.status === 'completed')
+    .map((log) => log.metadata.step);
+
+  if (plan.every((stepId) => completed.includes(stepId))) {
+    return null;
+  }
+  return { runId, plan, completed };
+};
+
+/**
+ * Record the start of a step run
+ * @param {Object} supabase - Supabase client
+ * @param {Object} metadata - { run_id, step, script, plan, resumed }
+ * @returns {Promise<string|null>} import_logs id, or null if it couldn't be written
+ */
+export const startStepLog = async (supabase, metadata) => {
+  const { data, error } = await supabase
+    .from('import_logs')
+    .insert({
+      source: PIPELINE_SOURCE,
+      status: 'started',
+      started_at: new Date().toISOString(),
+      metadata,
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    console.warn(`⚠️  Failed to log step ${metadata.step}:`, error.message);
+    return null;
+  }
+  return data.id;
+};
+
+/**
+ * Record how a step run ended
+ * @param {Object} supabase - Supabase client
+ * @param {string|null} logId - import_logs id from startStepLog
+ * @param {Object} outcome
+ * @param {string} outcome.status - 'completed' or 'failed'
+ * @param {Object} [outcome.counts] - { fetched, inserted, updated, unchanged }
+ * @param {string} [outcome.error] - Error message
+ * @param {Object} outcome.metadata - Metadata from startStepLog
+ */
+export const finishStepLog = async (supabase, logId, { status, counts = {}, error, metadata }) => {
+  if (!logId) {
+    return;
+  }
+
+  const { error: updateError } = await supabase
+    .from('import_logs')
+    .update({
+      status,
+      records_fetched: counts.fetched ?? 0,
+      records_inserted: counts.inserted ?? 0,
+      records_updated: counts.updated ?? 0,
+      error_message: error ?? null,
+      completed_at: new Date().toISOString(),
+      metadata: { ...metadata, unchanged: counts.unchanged ?? 0 },
+    })
+    .eq('id', logId);
+
+  if (updateError) {
+    console.warn('⚠️  Failed to update step log:', updateError.message);
+  }
+};
+
+/**
+ * Add up the diff counts steps report
+ * @param {Object[]} reports - { fetched, inserted, updated, unchanged } per table
+ * @returns {Object} Totals
+ */
+export const sumCounts = (reports) =>
+  reports.reduce(
+    (totals, report) => ({
+      fetched: totals.fetched + (report.fetched ?? 0),
+      inserted: totals.inserted + (report.inserted ?? 0),
+      updated: totals.updated + (report.updated ?? 0),
+      unchanged: totals.unchanged + (report.unchanged ?? 0),
+    }),
+    { fetched: 0, inserted: 0, updated: 0, unchanged: 0 }
+  );
+
+/**
+ * Run import steps in order, stopping at the first failure. Steps completed
+ * since `options.since`, or earlier in a resumed run, are skipped; so are
+ * steps without dry-run support in a dry run.
+ * @param {Object} context
+ * @param {Object} context.supabase - Supabase client
+ * @param {Object[]} context.steps - All steps
+ * @param {Object} context.options - From parsePipelineArgs
+ * @param {Function} context.runStep - (step, { dryRun, resume }) => Promise<reports[]>
+ * @param {Function} [context.createRunId] - New run id
+ * @param {Function} [context.log] - Progress output
+ * @returns {Promise<Object>} { runId, results } with { step, status, reason?, counts?, reports?, error? }
+ */
+export const runPipeline = async ({
+  supabase,
+  steps,
+  options,
+  runStep,
+  createRunId = randomUUID,
+  log = () => {},
+}) => {
+  let runId = createRunId();
+  let planned = planSteps(steps, options).map((step) => step.id);
+  let alreadyCompleted = [];
+
+  if (options.resume) {
+    const resumable = await getResumableRun(supabase);
+    if (!resumable) {
+      log('Nothing to resume: the last import run finished');
+      return { runId: null, results: [] };
+    }
+    ({ runId, plan: planned } = resumable);
+    alreadyCompleted = resumable.completed;
+    log(`Resuming run ${runId} (${alreadyCompleted.length}/${planned.length} steps done)`);
+  }
+
+  const lastCompleted = options.since ? await getLastCompletedSteps(supabase, planned) : {};
+  const skipReasons = Object.fromEntries(
+    steps
+      .filter(({ id }) => planned.includes(id))
+      .map((step) => {
+        if (alreadyCompleted.includes(step.id)) {
+          return [step.id, 'completed earlier in this run'];
+        }
+        if (lastCompleted[step.id] && new Date(lastCompleted[step.id]) >= options.since) {
+          return [step.id, `completed ${lastCompleted[step.id]}`];
+        }
+        if (options.dryRun && !step.dryRun) {
+          return [step.id, 'no dry-run support'];
+        }
+        return [step.id, null];
+      })
+  );
+
+  // The run's plan is what it set out to do; --resume finishes it
+  const plan = options.resume ? planned : planned.filter((id) => !skipReasons[id]);
+  const results = [];
+
+  for (const step of steps.filter(({ id }) => planned.includes(id))) {
+    if (skipReasons[step.id]) {
+      log(`⏭️  Skipping ${step.name}: ${skipReasons[step.id]}`);
+      results.push({ step, status: 'skipped', reason: skipReasons[step.id] });
+      continue;
+    }
+
+    const metadata = {
+      run_id: runId,
+      step: step.id,
+      script: step.script,
+      plan,
+      resumed: options.resume,
+    };
+    // Dry runs don't write anything, run history included
+    const logId = options.dryRun ? null : await startStepLog(supabase, metadata);
+    const startedAt = Date.now();
+
+    try {
+      const reports = await runStep(step, { dryRun: options.dryRun, resume: options.resume });
+      const counts = sumCounts(reports);
+      await finishStepLog(supabase, logId, {
+        status: 'completed',
+        counts,
+        metadata: {
+          ...metadata,
+          duration_ms: Date.now() - startedAt,
+          sources: reports.map((report) => report.source),
+        },
+      });
+      results.push({ step, status: 'completed', counts, reports });
+    } catch (error) {
+      await finishStepLog(supabase, logId, {
+        status: 'failed',
+        error: error.message,
+        metadata: { ...metadata, duration_ms: Date.now() - startedAt },
+      });
+      results.push({ step, status: 'failed', error: error.message });
+      break;
+    }
+  }
+
+  return { runId, results };
+};
+
+export default {
+  PIPELINE_SOURCE,
+  IMPORT_STEPS,
+  parseSince,
+  parsePipelineArgs,
+  planSteps,
+  getLastCompletedSteps,
+  getResumableRun,
+  startStepLog,
+  finishStepLog,
+  sumCounts,
+  runPipeline,
+};
@@ -0,0 +1,255 @@
+/**
+ * Map Tiles
+ * Client-safe slippy-map tile math and pre-caching of map tiles for offline
+ * use. Tiles are cached under the URLs Leaflet requests, so they are served by
+ * the service worker's `map-tiles-cache` when there's no signal.
+ *
+ * The OpenStreetMap tile servers forbid bulk downloads and offline prefetching
+ * (https://operations.osmfoundation.org/policies/tiles/). Offline downloads
+ * fetch from NEXT_PUBLIC_OFFLINE_TILE_URL, a provider whose terms allow
+ * offline caching, and only fall back to a few low zoom levels from
+ * OpenStreetMap when none is configured.
+ * @module lib/map/map-tiles
+ */
+
+/**
+ * Tile URL template used by the app's Leaflet maps
+ */
+export const TILE_URL_TEMPLATE = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+/**
+ * Leaflet's default subdomains for the template above
+ */
+export const TILE_SUBDOMAINS = ['a', 'b', 'c'];
+
+/**
+ * Cache name shared with the service worker runtime caching in next.config.js
+ */
+export const TILE_CACHE_NAME = 'map-tiles-cache';
+
+/**
+ * Highest zoom prefetched from OpenStreetMap when no offline provider is set
+ */
+export const OSM_PREFETCH_MAX_ZOOM = 12;
+
+/**
+ * Highest zoom prefetched from a configured offline provider by default
+ */
+const OFFLINE_PROVIDER_MAX_ZOOM = 17;
+
+/**
+ * Get the tile source for offline downloads. NEXT_PUBLIC_OFFLINE_TILE_URL must
+ * use the same {z}/{x}/{y} tiling as the map; NEXT_PUBLIC_OFFLINE_TILE_MAX_ZOOM
+ * caps how deep it is prefetched.
+ * @returns {{template: string, maxZoom: number}} URL template and highest zoom to prefetch
+ */
+export const getOfflineTileSource = () => {
+  // Read each variable literally so Next.js inlines them in client bundles
+  const template = process.env.NEXT_PUBLIC_OFFLINE_TILE_URL;
+  if (!template) {
+    return { template: TILE_URL_TEMPLATE, maxZoom: OSM_PREFETCH_MAX_ZOOM };
+  }
+
+  const maxZoom = parseInt(process.env.NEXT_PUBLIC_OFFLINE_TILE_MAX_ZOOM, 10);
+  return { template, maxZoom: Number.isNaN(maxZoom) ? OFFLINE_PROVIDER_MAX_ZOOM : maxZoom };
+};
+
+/**
+ * Web Mercator is undefined at the poles; clamp latitudes like Leaflet does
+ */
+const MAX_LATITUDE = 85.0511287798;
+
+/**
+ * Convert lat/lng to tile coordinates at a zoom level
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} zoom - Zoom level
+ * @returns {{x: number, y: number}} Tile coordinates
+ */
+export const latLngToTile = (lat, lng, zoom) => {
+  const n = Math.pow(2, zoom);
+  const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const latRad = (clampedLat * Math.PI) / 180;
+  const x = Math.floor(((lng + 180) / 360) * n);
+  const y = Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n);
+
+  return {
+    x: Math.min(Math.max(x, 0), n - 1),
+    y: Math.min(Math.max(y, 0), n - 1),
+  };
+};
+
+/**
+ * Build a tile URL, picking the subdomain the same way Leaflet does
+ * @param {number} x - Tile X
+ * @param {number} y - Tile Y
+ * @param {number} zoom - Zoom level
+ * @param {string} [template=TILE_URL_TEMPLATE] - URL template
+ * @returns {string} Tile URL
+ */
+export const getTileUrl = (x, y, zoom, template = TILE_URL_TEMPLATE) => {
+  const subdomain = TILE_SUBDOMAINS[Math.abs(x + y) % TILE_SUBDOMAINS.length];
+  return template
+    .replace('{s}', subdomain)
+    .replace('{z}', zoom)
+    .replace('{x}', x)
+    .replace('{y}', y);
+};
+
+/**
+ * Get the bounding box of a list of points
+ * @param {Array<{lat: number, lng: number}>} points - Points
+ * @param {number} [paddingDegrees=0] - Padding added on every side
+ * @returns {{minLat: number, maxLat: number, minLng: number, maxLng: number}|null} Bounds or null
+ */
+export const getBounds = (points, paddingDegrees = 0) => {
+  const valid = (points || []).filter(
+    (point) => Number.isFinite(point?.lat) && Number.isFinite(point?.lng)
+  );
+  if (valid.length === 0) {
+    return null;
+  }
+
+  const lats = valid.map((point) => point.lat);
+  const lngs = valid.map((point) => point.lng);
+
+  return {
+    minLat: Math.min(...lats) - paddingDegrees,
+    maxLat: Math.max(...lats) + paddingDegrees,
+    minLng: Math.min(...lngs) - paddingDegrees,
+    maxLng: Math.max(...lngs) + paddingDegrees,
+  };
+};
+
+/**
+ * Convert a GeoJSON line geometry to Leaflet-style [lat, lng] lines
+ * @param {Object} geojson - LineString or MultiLineString geometry
+ * @returns {Array<Array<[number, number]>>} Lines of [lat, lng] pairs
+ */
+export const getGeometryLines = (geojson) => {
+  if (geojson?.type === 'LineString') {
+    return [geojson.coordinates.map(([lng, lat]) => [lat, lng])];
+  }
+  if (geojson?.type === 'MultiLineString') {
+    return geojson.coordinates.map((line) => line.map(([lng, lat]) => [lat, lng]));
+  }
+  return [];
+};
+
+/**
+ * Count the tiles covering bounds at one zoom level
+ * @param {Object} bounds - Bounds from getBounds
+ * @param {number} zoom - Zoom level
+ * @returns {number} Tile count
+ */
+export const countTilesAtZoom = (bounds, zoom) => {
+  const topLeft = latLngToTile(bounds.maxLat, bounds.minLng, zoom);
+  const bottomRight = latLngToTile(bounds.minLat, bounds.maxLng, zoom);
+  return (bottomRight.x - topLeft.x + 1) * (bottomRight.y - topLeft.y + 1);
+};
+
+/**
+ * List tile URLs covering bounds across a zoom range. Zoom levels are dropped
+ * from the top until the total fits within maxTiles, so a long road trip
+ * still gets overview tiles instead of nothing.
+ * @param {Object} bounds - Bounds from getBounds
+ * @param {Object} [options] - Options
+ * @param {number} [options.minZoom=5] - Lowest zoom level
+ * @param {number} [options.maxZoom=12] - Highest zoom level
+ * @param {number} [options.maxTiles=2000] - Maximum number of tiles
+ * @param {string} [options.sourceTemplate=TILE_URL_TEMPLATE] - Template the tiles are downloaded from
+ * @returns {{urls: Array<string>, sourceUrls: Array<string>, minZoom: number, maxZoom: number}}
+ *   Map tile URLs, the matching download URLs, and the zoom range used
+ */
+export const listTileUrls = (
+  bounds,
+  { minZoom = 5, maxZoom = 12, maxTiles = 2000, sourceTemplate = TILE_URL_TEMPLATE } = {}
+) => {
+  if (!bounds) {
+    return { urls: [], sourceUrls: [], minZoom, maxZoom: minZoom - 1 };
+  }
+
+  let topZoom = maxZoom;
+  let total = 0;
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    total += countTilesAtZoom(bounds, zoom);
+    if (total > maxTiles) {
+      topZoom = zoom - 1;
+      break;
+    }
+  }
+
+  const urls = [];
+  const sourceUrls = [];
+  for (let zoom = minZoom; zoom <= topZoom; zoom++) {
+    const { x: minX, y: minY } = latLngToTile(bounds.maxLat, bounds.minLng, zoom);
+    const { x: maxX, y: maxY } = latLngToTile(bounds.minLat, bounds.maxLng, zoom);
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        urls.push(getTileUrl(x, y, zoom));
+        sourceUrls.push(getTileUrl(x, y, zoom, sourceTemplate));
+      }
+    }
+  }
+
+  return { urls, sourceUrls, minZoom, maxZoom: topZoom };
+};
+
+/**
+ * Download tiles into a tile cache, skipping ones already cached.
+ * Individual tile failures are counted rather than thrown.
+ * @param {Array<string>} urls - Map tile URLs, used as cache keys
+ * @param {Object} [options] - Options
+ * @param {string} [options.cacheName] - Cache to fill (defaults to the shared tile cache)
+ * @param {Array<string>} [options.sourceUrls] - URLs to download each tile from (defaults to urls)
+ * @param {Function} [options.onProgress] - Called with (done, total) after each tile
+ * @returns {Promise<{cached: number, failed: number, bytes: number}>} Result counts and stored size
+ */
+export const cacheTiles = async (
+  urls,
+  { cacheName = TILE_CACHE_NAME, sourceUrls = urls, onProgress } = {}
+) => {
+  if (typeof window === 'undefined' || !window.caches) {
+    return { cached: 0, failed: urls.length, bytes: 0 };
+  }
+
+  const cache = await window.caches.open(cacheName);
+  let cached = 0;
+  let failed = 0;
+  let bytes = 0;
+
+  for (const [index, url] of urls.entries()) {
+    try {
+      let response = await cache.match(url);
+      if (!response) {
+        response = await fetch(sourceUrls[index]);
+        if (!response.ok) {
+          throw new Error(`Tile request failed: ${response.status}`);
+        }
+        await cache.put(url, response.clone());
+      }
+      bytes += (await response.blob()).size;
+      cached++;
+    } catch {
+      failed++;
+    }
+    onProgress?.(index + 1, urls.length);
+  }
+
+  return { cached, failed, bytes };
+};
+
+export default {
+  TILE_URL_TEMPLATE,
+  TILE_SUBDOMAINS,
+  TILE_CACHE_NAME,
+  OSM_PREFETCH_MAX_ZOOM,
+  getOfflineTileSource,
+  latLngToTile,
+  getTileUrl,
+  getBounds,
+  getGeometryLines,
+  countTilesAtZoom,
+  listTileUrls,
+  cacheTiles,
+};
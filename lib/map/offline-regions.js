@@ -0,0 +1,257 @@
+/**
+ * Offline Map Regions
+ * Downloadable tile pyramids around a trail or a park's trails, kept in their
+ * own cache so they survive the service worker's tile cache expiry. Region
+ * metadata lives in IndexedDB (useOfflineStorage); maps fall back to these
+ * tiles when the network is unavailable.
+ * @module lib/map/offline-regions
+ */
+
+import {
+  getBounds,
+  getGeometryLines,
+  countTilesAtZoom,
+  listTileUrls,
+  cacheTiles,
+  getTileUrl,
+  getOfflineTileSource,
+} from '@/lib/map/map-tiles';
+
+/**
+ * Dedicated cache for downloaded regions
+ */
+export const REGION_CACHE_NAME = 'offline-region-tiles';
+
+/**
+ * Zoom levels users can pick from - valley overview down to switchbacks, as
+ * deep as the offline tile source allows (see map-tiles)
+ */
+export const REGION_ZOOM_LIMITS = { min: 8, max: Math.min(17, getOfflineTileSource().maxZoom) };
+
+/**
+ * Default zoom range for a new download
+ */
+export const DEFAULT_REGION_ZOOM = { min: 11, max: Math.min(15, REGION_ZOOM_LIMITS.max) };
+
+/**
+ * Largest region we allow in one download
+ */
+export const MAX_REGION_TILES = 6000;
+
+/**
+ * Average OpenStreetMap raster tile size, for estimates before download
+ */
+export const AVERAGE_TILE_BYTES = 18 * 1024;
+
+/**
+ * Padding around trail geometry so the trailhead area is included (degrees, ~1km)
+ */
+const REGION_PADDING = 0.01;
+
+/**
+ * Parse a geometry that may still be a GeoJSON string
+ * @param {Object|string} geometry - Geometry
+ * @returns {Object|null} Geometry object or null
+ */
+const parseGeometry = (geometry) => {
+  if (typeof geometry !== 'string') {
+    return geometry;
+  }
+  try {
+    return JSON.parse(geometry);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get region bounds around trail geometries and extra points
+ * @param {Array<Object|string>} geometries - GeoJSON line geometries (objects or strings)
+ * @param {Array<{lat: number, lng: number}>} [extraPoints] - Points to include (e.g. park center)
+ * @returns {Object|null} Bounds or null
+ */
+export const getRegionBounds = (geometries, extraPoints = []) => {
+  const points = [...extraPoints];
+  (geometries || []).forEach((geometry) => {
+    getGeometryLines(parseGeometry(geometry)).forEach((line) => {
+      line.forEach(([lat, lng]) => points.push({ lat, lng }));
+    });
+  });
+  return getBounds(points, REGION_PADDING);
+};
+
+/**
+ * Estimate the size of a region download
+ * @param {Object} bounds - Region bounds
+ * @param {number} minZoom - Lowest zoom level
+ * @param {number} maxZoom - Highest zoom level
+ * @returns {{tileCount: number, bytes: number, tooLarge: boolean}} Estimate
+ */
+export const estimateRegion = (bounds, minZoom, maxZoom) => {
+  if (!bounds || minZoom > maxZoom) {
+    return { tileCount: 0, bytes: 0, tooLarge: false };
+  }
+
+  let tileCount = 0;
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    tileCount += countTilesAtZoom(bounds, zoom);
+  }
+
+  return {
+    tileCount,
+    bytes: tileCount * AVERAGE_TILE_BYTES,
+    tooLarge: tileCount > MAX_REGION_TILES,
+  };
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Bytes
+ * @returns {string} Formatted size (e.g. "12.4 MB")
+ */
+export const formatBytes = (bytes) => {
+  if (!bytes) {
+    return '0 KB';
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  if (bytes < 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+/**
+ * List a region's tiles
+ * @param {Object} region - Region with bounds, minZoom, and maxZoom
+ * @param {string} [sourceTemplate] - Template the tiles are downloaded from
+ * @returns {{urls: Array<string>, sourceUrls: Array<string>}} Map tile URLs and download URLs
+ */
+const listRegionTiles = (region, sourceTemplate) =>
+  listTileUrls(region.bounds, {
+    minZoom: region.minZoom,
+    maxZoom: region.maxZoom,
+    maxTiles: Infinity,
+    sourceTemplate,
+  });
+
+/**
+ * List a region's tile URLs (the cache keys)
+ * @param {Object} region - Region with bounds, minZoom, and maxZoom
+ * @returns {Array<string>} Tile URLs
+ */
+const getRegionTileUrls = (region) => listRegionTiles(region).urls;
+
+/**
+ * Download a region's tiles into the region cache
+ * @param {Object} region - Region with id, name, bounds, minZoom, and maxZoom
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onProgress] - Called with (done, total) after each tile
+ * @returns {Promise<Object>} Region record ready for useOfflineStorage().saveOfflineRegion
+ */
+export const downloadRegion = async (region, { onProgress } = {}) => {
+  const { tileCount, tooLarge } = estimateRegion(region.bounds, region.minZoom, region.maxZoom);
+  if (tooLarge) {
+    throw new Error(`Region has ${tileCount} tiles; the limit is ${MAX_REGION_TILES}`);
+  }
+
+  const source = getOfflineTileSource();
+  if (region.maxZoom > source.maxZoom) {
+    throw new Error(`Offline maps go down to zoom ${source.maxZoom}; got ${region.maxZoom}`);
+  }
+
+  const { urls, sourceUrls } = listRegionTiles(region, source.template);
+  const { cached, failed, bytes } = await cacheTiles(urls, {
+    cacheName: REGION_CACHE_NAME,
+    sourceUrls,
+    onProgress,
+  });
+
+  return {
+    ...region,
+    tileCount: cached,
+    failedTiles: failed,
+    bytes,
+    savedAt: Date.now(),
+  };
+};
+
+/**
+ * Delete a region's tiles, keeping any that overlapping regions still use
+ * @param {Object} region - Region being removed
+ * @param {Array<Object>} [remainingRegions] - Regions that stay
+ * @returns {Promise<number>} Number of tiles deleted
+ */
+export const deleteRegionTiles = async (region, remainingRegions = []) => {
+  if (typeof window === 'undefined' || !window.caches) {
+    return 0;
+  }
+
+  const keep = new Set(remainingRegions.flatMap(getRegionTileUrls));
+  const cache = await window.caches.open(REGION_CACHE_NAME);
+  let deleted = 0;
+
+  for (const url of getRegionTileUrls(region)) {
+    if (!keep.has(url) && (await cache.delete(url))) {
+      deleted++;
+    }
+  }
+
+  return deleted;
+};
+
+/**
+ * Delete every downloaded region tile
+ * @returns {Promise<void>}
+ */
+export const clearRegionTiles = async () => {
+  if (typeof window !== 'undefined' && window.caches) {
+    await window.caches.delete(REGION_CACHE_NAME);
+  }
+};
+
+/**
+ * Look up a downloaded tile
+ * @param {number} x - Tile X
+ * @param {number} y - Tile Y
+ * @param {number} zoom - Zoom level
+ * @returns {Promise<Response|null>} Cached tile response or null
+ */
+export const getRegionTile = async (x, y, zoom) => {
+  if (typeof window === 'undefined' || !window.caches) {
+    return null;
+  }
+
+  const cache = await window.caches.open(REGION_CACHE_NAME);
+  return (await cache.match(getTileUrl(x, y, zoom))) || null;
+};
+
+/**
+ * Get browser storage usage for the storage settings screen
+ * @returns {Promise<{usage: number, quota: number}|null>} Usage in bytes, or null if unsupported
+ */
+export const getStorageEstimate = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) {
+    return null;
+  }
+
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota };
+};
+
+export default {
+  REGION_CACHE_NAME,
+  REGION_ZOOM_LIMITS,
+  DEFAULT_REGION_ZOOM,
+  MAX_REGION_TILES,
+  AVERAGE_TILE_BYTES,
+  getRegionBounds,
+  estimateRegion,
+  formatBytes,
+  downloadRegion,
+  deleteRegionTiles,
+  clearRegionTiles,
+  getRegionTile,
+  getStorageEstimate,
+};
@@ -0,0 +1,93 @@
+/**
+ * Offline Database
+ *
+ * Schema for the app's IndexedDB database. Shared by useOfflineStorage, the
+ * track point queue, and the service worker, so whichever opens the
+ * database first creates every store. Imported by the service worker build,
+ * which has no `@/` alias, so keep imports relative.
+ *
+ * @module lib/offline/offline-db
+ */
+
+export const OFFLINE_DB_NAME = 'parklookup';
+export const OFFLINE_DB_VERSION = 4;
+
+/**
+ * Create any object stores that don't exist yet
+ * @param {IDBDatabase} database - Database being upgraded
+ */
+export const upgradeOfflineDb = (database) => {
+  if (!database.objectStoreNames.contains('cachedParks')) {
+    const parkStore = database.createObjectStore('cachedParks', {
+      keyPath: 'id',
+    });
+    parkStore.createIndex('park_code', 'park_code', { unique: true });
+    parkStore.createIndex('full_name', 'full_name', { unique: false });
+    parkStore.createIndex('states', 'states', { unique: false });
+  }
+
+  if (!database.objectStoreNames.contains('pendingFavorites')) {
+    database.createObjectStore('pendingFavorites', {
+      keyPath: 'id',
+      autoIncrement: true,
+    });
+  }
+
+  if (!database.objectStoreNames.contains('userFavorites')) {
+    database.createObjectStore('userFavorites', { keyPath: 'parkId' });
+  }
+
+  if (!database.objectStoreNames.contains('searchHistory')) {
+    const searchStore = database.createObjectStore('searchHistory', {
+      keyPath: 'id',
+      autoIncrement: true,
+    });
+    searchStore.createIndex('timestamp', 'timestamp', { unique: false });
+  }
+
+  // Version 2: trips downloaded for offline use
+  if (!database.objectStoreNames.contains('offlineTrips')) {
+    const tripStore = database.createObjectStore('offlineTrips', { keyPath: 'id' });
+    tripStore.createIndex('savedAt', 'savedAt', { unique: false });
+  }
+
+  // Version 3: downloaded map regions (tiles live in the Cache API)
+  if (!database.objectStoreNames.contains('offlineRegions')) {
+    database.createObjectStore('offlineRegions', { keyPath: 'id' });
+  }
+
+  // Version 4: GPS points waiting to upload, one row per point, and the
+  // tracks they belong to
+  if (!database.objectStoreNames.contains('pendingTrackPoints')) {
+    database.createObjectStore('pendingTrackPoints', { keyPath: ['trackId', 'sequenceNum'] });
+  }
+
+  if (!database.objectStoreNames.contains('trackUploads')) {
+    database.createObjectStore('trackUploads', { keyPath: 'trackId' });
+  }
+};
+
+/**
+ * Open the offline database
+ * @param {IDBFactory} [factory] - IndexedDB implementation
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export const openOfflineDb = (factory = globalThis.indexedDB) =>
+  new Promise((resolve, reject) => {
+    if (!factory) {
+      reject(new Error('IndexedDB not supported'));
+      return;
+    }
+
+    const request = factory.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+    request.onupgradeneeded = (event) => upgradeOfflineDb(event.target.result);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export default {
+  OFFLINE_DB_NAME,
+  OFFLINE_DB_VERSION,
+  upgradeOfflineDb,
+  openOfflineDb,
+};
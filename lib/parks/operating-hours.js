@@ -0,0 +1,425 @@
+/**
+ * Operating Hours
+ * Evaluates NPS operating hour structures (standardHours plus dated
+ * exceptions) against a date in the park's time zone: the hours for a day,
+ * whether a place is open now, and when it next opens.
+ *
+ * NPS hours look like:
+ *   {
+ *     name: 'Visitor Center',
+ *     standardHours: { monday: '9:00AM - 5:00PM', ..., sunday: 'Closed' },
+ *     exceptions: [{ name: 'Thanksgiving', startDate: '2024-11-28', endDate: '2024-11-28',
+ *                    exceptionHours: {} }]
+ *   }
+ * An exception with no hours means closed for its whole date range.
+ *
+ * @module lib/parks/operating-hours
+ */
+
+/**
+ * Weekday keys used by NPS standardHours, indexed like Date#getUTCDay
+ */
+export const WEEKDAYS = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+
+/**
+ * Time zone for each state and territory. States split between zones use
+ * the zone most of their NPS sites are in; see SPLIT_STATE_TIME_ZONES.
+ */
+export const STATE_TIME_ZONES = {
+  AL: 'America/Chicago',
+  AK: 'America/Anchorage',
+  AZ: 'America/Phoenix',
+  AR: 'America/Chicago',
+  CA: 'America/Los_Angeles',
+  CO: 'America/Denver',
+  CT: 'America/New_York',
+  DE: 'America/New_York',
+  DC: 'America/New_York',
+  FL: 'America/New_York',
+  GA: 'America/New_York',
+  HI: 'Pacific/Honolulu',
+  ID: 'America/Boise',
+  IL: 'America/Chicago',
+  IN: 'America/Indiana/Indianapolis',
+  IA: 'America/Chicago',
+  KS: 'America/Chicago',
+  KY: 'America/New_York',
+  LA: 'America/Chicago',
+  ME: 'America/New_York',
+  MD: 'America/New_York',
+  MA: 'America/New_York',
+  MI: 'America/Detroit',
+  MN: 'America/Chicago',
+  MS: 'America/Chicago',
+  MO: 'America/Chicago',
+  MT: 'America/Denver',
+  NE: 'America/Chicago',
+  NV: 'America/Los_Angeles',
+  NH: 'America/New_York',
+  NJ: 'America/New_York',
+  NM: 'America/Denver',
+  NY: 'America/New_York',
+  NC: 'America/New_York',
+  ND: 'America/Chicago',
+  OH: 'America/New_York',
+  OK: 'America/Chicago',
+  OR: 'America/Los_Angeles',
+  PA: 'America/New_York',
+  RI: 'America/New_York',
+  SC: 'America/New_York',
+  SD: 'America/Chicago',
+  TN: 'America/Chicago',
+  TX: 'America/Chicago',
+  UT: 'America/Denver',
+  VT: 'America/New_York',
+  VA: 'America/New_York',
+  WA: 'America/Los_Angeles',
+  WV: 'America/New_York',
+  WI: 'America/Chicago',
+  WY: 'America/Denver',
+  AS: 'Pacific/Pago_Pago',
+  GU: 'Pacific/Guam',
+  MP: 'Pacific/Saipan',
+  PR: 'America/Puerto_Rico',
+  VI: 'America/St_Thomas',
+};
+
+/**
+ * Rough zone lines for states split between time zones. Each returns the
+ * zone for a location, or null to use the state's zone.
+ */
+const SPLIT_STATE_TIME_ZONES = {
+  // Navajo Nation observes daylight saving time; the rest of Arizona doesn't
+  AZ: ({ latitude, longitude }) => (latitude > 35.5 && longitude > -111 ? 'America/Denver' : null),
+  FL: ({ longitude }) => (longitude < -85 ? 'America/Chicago' : null),
+  ID: ({ latitude }) => (latitude > 45.5 ? 'America/Los_Angeles' : null),
+  IN: ({ latitude, longitude }) =>
+    longitude < -86.8 && (latitude > 41.2 || latitude < 38.3) ? 'America/Chicago' : null,
+  KY: ({ longitude }) => (longitude < -85.7 ? 'America/Chicago' : null),
+  NE: ({ longitude }) => (longitude < -101.5 ? 'America/Denver' : null),
+  ND: ({ latitude, longitude }) => (longitude < -102 && latitude < 47.5 ? 'America/Denver' : null),
+  SD: ({ longitude }) => (longitude < -100.6 ? 'America/Denver' : null),
+  TN: ({ longitude }) => (longitude > -85.4 ? 'America/New_York' : null),
+  TX: ({ longitude }) => (longitude < -104.5 ? 'America/Denver' : null),
+};
+
+/**
+ * Time zone for a location, from its state and (for split states) coordinates
+ *
+ * @param {Object} location
+ * @param {string} location.stateCode - Two-letter state or territory code
+ * @param {number} [location.latitude]
+ * @param {number} [location.longitude]
+ * @returns {string|null} IANA time zone, or null for an unknown state
+ */
+export const getTimeZone = ({ stateCode, latitude, longitude }) => {
+  const state = stateCode?.toUpperCase();
+  if (!state || !STATE_TIME_ZONES[state]) {
+    return null;
+  }
+
+  const split = SPLIT_STATE_TIME_ZONES[state];
+  const hasCoordinates = Number.isFinite(latitude) && Number.isFinite(longitude);
+
+  return (hasCoordinates && split?.({ latitude, longitude })) || STATE_TIME_ZONES[state];
+};
+
+/**
+ * Local date, weekday, and minutes since midnight of an instant in a time zone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{date: string, weekday: string, minutes: number}} date is YYYY-MM-DD
+ */
+export const getLocalDateParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+
+  return {
+    date: localDate,
+    weekday: getWeekday(localDate),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+  };
+};
+
+/**
+ * Weekday key of a calendar date
+ * @param {string} isoDate - YYYY-MM-DD
+ * @returns {string} e.g. 'monday'
+ */
+const getWeekday = (isoDate) => WEEKDAYS[new Date(`${isoDate}T12:00:00Z`).getUTCDay()];
+
+/**
+ * Calendar date a number of days after another
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD
+ */
+const addDays = (isoDate, days) => {
+  const date = new Date(`${isoDate}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const TIME_PATTERN = String.raw`(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?\s*m?\.?`;
+const RANGE_PATTERN = new RegExp(
+  String.raw`${TIME_PATTERN}\s*(?:-|–|—|to)\s*${TIME_PATTERN}`,
+  'gi'
+);
+
+/**
+ * Minutes since midnight for an hour, minute, and optional am/pm
+ */
+const toMinutes = (hour, minute, meridiem) => {
+  let hours = hour % 12;
+  if (!meridiem) {
+    hours = hour;
+  } else if (meridiem.toLowerCase() === 'p') {
+    hours += 12;
+  }
+  return hours * 60 + minute;
+};
+
+/**
+ * Parses an NPS hours string for one day
+ *
+ * Understands "9:00AM - 5:00PM", "9 am to 4:30 pm", several ranges
+ * ("8:00AM - 12:00PM, 1:00PM - 4:00PM"), "Closed", and "All Day". Anything
+ * else ("Sunrise to sunset") is 'unknown' and should be shown as written.
+ *
+ * @param {string} text - NPS hours, e.g. "9:00AM - 5:00PM"
+ * @returns {{type: 'closed'|'all_day'|'ranges'|'unknown', ranges?: Array<{opens: number, closes: number}>}}
+ *   Ranges are minutes since midnight; a range past midnight closes at 1440
+ */
+export const parseHoursText = (text) => {
+  const value = (text || '').trim();
+
+  if (!value) {
+    return { type: 'unknown' };
+  }
+  if (/^closed\b/i.test(value)) {
+    return { type: 'closed' };
+  }
+  if (/all day|24 hours/i.test(value)) {
+    return { type: 'all_day' };
+  }
+
+  const ranges = [...value.matchAll(RANGE_PATTERN)].map((match) => {
+    const [
+      ,
+      openHour,
+      openMinute = '0',
+      openMeridiem,
+      closeHour,
+      closeMinute = '0',
+      closeMeridiem,
+    ] = match;
+    const closes = toMinutes(parseInt(closeHour, 10), parseInt(closeMinute, 10), closeMeridiem);
+
+    // "9 - 5pm": borrow the closing am/pm unless that would open after closing
+    let opens = toMinutes(
+      parseInt(openHour, 10),
+      parseInt(openMinute, 10),
+      openMeridiem || closeMeridiem
+    );
+    if (!openMeridiem && closeMeridiem && opens >= closes) {
+      opens = toMinutes(parseInt(openHour, 10), parseInt(openMinute, 10), 'a');
+    }
+
+    return { opens, closes: closes > opens ? closes : 24 * 60 };
+  });
+
+  return ranges.length > 0 ? { type: 'ranges', ranges } : { type: 'unknown' };
+};
+
+/**
+ * Formats minutes since midnight, e.g. 1020 -> "5:00 PM"
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Time of day
+ */
+export const formatMinutes = (minutes) => {
+  const hour = Math.floor(minutes / 60) % 24;
+  const minute = String(minutes % 60).padStart(2, '0');
+  return `${hour % 12 || 12}:${minute} ${hour < 12 ? 'AM' : 'PM'}`;
+};
+
+/**
+ * Display text for parsed hours
+ * @param {Object} parsed - From parseHoursText
+ * @param {string} text - Hours as NPS wrote them
+ * @returns {string|null} e.g. "9:00 AM – 5:00 PM", "Closed"
+ */
+const describeHours = (parsed, text) => {
+  if (parsed.type === 'closed') {
+    return 'Closed';
+  }
+  if (parsed.type === 'all_day') {
+    return 'Open 24 hours';
+  }
+  if (parsed.type === 'ranges') {
+    return parsed.ranges
+      .map(({ opens, closes }) => `${formatMinutes(opens)} – ${formatMinutes(closes)}`)
+      .join(', ');
+  }
+  return text?.trim() || null;
+};
+
+/**
+ * Hours of an NPS operating hours entry on a calendar date, applying any
+ * exception that covers the date
+ *
+ * @param {Object} entry - NPS operatingHours entry
+ * @param {string} isoDate - YYYY-MM-DD
+ * @returns {{type: string, ranges?: Array, text: string|null, exception: string|null}}
+ *   type and ranges as in parseHoursText; text for display; exception name
+ */
+export const getHoursForDate = (entry, isoDate) => {
+  const weekday = getWeekday(isoDate);
+  const exception = (entry?.exceptions || []).find((candidate) => {
+    const start = candidate.startDate?.slice(0, 10);
+    const end = candidate.endDate?.slice(0, 10) || start;
+    return start && start <= isoDate && isoDate <= end;
+  });
+
+  let text = entry?.standardHours?.[weekday];
+  if (exception) {
+    const hasHours = Object.values(exception.exceptionHours || {}).some(Boolean);
+    text = hasHours ? exception.exceptionHours[weekday] : 'Closed';
+  }
+
+  const parsed = parseHoursText(text);
+
+  return {
+    ...parsed,
+    text: describeHours(parsed, text),
+    exception: exception?.name || null,
+  };
+};
+
+/**
+ * Days ahead to look for the next opening
+ */
+const NEXT_OPENING_DAYS = 7;
+
+/**
+ * Whether an NPS operating hours entry is open at an instant, and when it
+ * closes or next opens
+ *
+ * @param {Object} entry - NPS operatingHours entry
+ * @param {Object} options
+ * @param {string} options.timeZone - IANA time zone of the place
+ * @param {Date} [options.now] - Instant to evaluate (default: now)
+ * @returns {{open: boolean|null, closesAt: string|null, opensAt: string|null,
+ *   opensOn: string|null, label: string|null}} open is null when the hours
+ *   can't be read; label is e.g. "Open now until 5:00 PM" or "Opens Tue at 9:00 AM"
+ */
+export const getOpenStatus = (entry, { timeZone, now = new Date() }) => {
+  const { date, minutes } = getLocalDateParts(now, timeZone);
+  const today = getHoursForDate(entry, date);
+  const status = { open: false, closesAt: null, opensAt: null, opensOn: null, label: null };
+
+  if (today.type === 'unknown') {
+    return { ...status, open: null };
+  }
+  if (today.type === 'all_day') {
+    return { ...status, open: true, label: 'Open 24 hours' };
+  }
+
+  const ranges = today.ranges || [];
+  const current = ranges.find(({ opens, closes }) => minutes >= opens && minutes < closes);
+  if (current) {
+    const closesAt = formatMinutes(current.closes);
+    return { ...status, open: true, closesAt, label: `Open now until ${closesAt}` };
+  }
+
+  const laterToday = ranges.find(({ opens }) => opens > minutes);
+  if (laterToday) {
+    const opensAt = formatMinutes(laterToday.opens);
+    return { ...status, opensAt, opensOn: date, label: `Opens at ${opensAt}` };
+  }
+
+  for (let days = 1; days <= NEXT_OPENING_DAYS; days += 1) {
+    const day = addDays(date, days);
+    const hours = getHoursForDate(entry, day);
+
+    if (hours.type === 'all_day' || hours.type === 'ranges') {
+      const opensAt = formatMinutes(hours.type === 'all_day' ? 0 : hours.ranges[0].opens);
+      const dayLabel =
+        days === 1
+          ? 'tomorrow'
+          : new Date(`${day}T12:00:00Z`).toLocaleDateString('en-US', {
+              weekday: 'short',
+              timeZone: 'UTC',
+            });
+      return { ...status, opensAt, opensOn: day, label: `Opens ${dayLabel} at ${opensAt}` };
+    }
+  }
+
+  return { ...status, label: 'Closed' };
+};
+
+/**
+ * Evaluates a place's NPS operating hours for a date. The first entry is the
+ * place's main schedule; NPS lists secondary ones (bookstores, etc.) after it.
+ *
+ * @param {Array<Object>} operatingHours - NPS operatingHours
+ * @param {Object} [options]
+ * @param {string|null} [options.timeZone] - IANA time zone of the place
+ * @param {string} [options.date] - YYYY-MM-DD (default: today in the time zone)
+ * @param {Date} [options.now] - Current instant (default: now)
+ * @returns {Object|null} { date, name, text, exception, status }, where status
+ *   (from getOpenStatus) is only set when date is today; null without hours
+ */
+export const evaluateOperatingHours = (
+  operatingHours,
+  { timeZone = null, date, now = new Date() } = {}
+) => {
+  const [entry] = operatingHours || [];
+  if (!entry) {
+    return null;
+  }
+
+  const today = timeZone ? getLocalDateParts(now, timeZone).date : now.toISOString().slice(0, 10);
+  const day = date || today;
+  const hours = getHoursForDate(entry, day);
+
+  return {
+    date: day,
+    name: entry.name || null,
+    text: hours.text,
+    exception: hours.exception,
+    status: timeZone && day === today ? getOpenStatus(entry, { timeZone, now }) : null,
+  };
+};
+
+export default {
+  WEEKDAYS,
+  STATE_TIME_ZONES,
+  getTimeZone,
+  getLocalDateParts,
+  parseHoursText,
+  formatMinutes,
+  getHoursForDate,
+  getOpenStatus,
+  evaluateOperatingHours,
+};
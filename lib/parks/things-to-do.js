@@ -0,0 +1,245 @@
+/**
+ * Things To Do and Park Events
+ * Queries over the things_to_do and park_events tables (imported from NPS),
+ * shared by the park Activities tab and the AI trip planner, which gets named
+ * activities and dated ranger programs instead of generic suggestions.
+ * @module lib/parks/things-to-do
+ */
+
+/**
+ * Columns returned for things to do
+ */
+export const THING_TO_DO_FIELDS =
+  'id, park_codes, title, short_description, url, location_description, duration, duration_min_minutes, duration_max_minutes, seasons, time_of_day, activities, tags, is_ranger_program, is_reservation_required, are_pets_permitted, fees_apply, accessibility_information, age_description, images';
+
+/**
+ * Columns returned for events
+ */
+export const EVENT_FIELDS =
+  'id, park_code, title, description, category, types, is_ranger_program, location_description, start_date, end_date, dates, times, is_all_day, is_free, fee_info, registration_required, registration_info, registration_url, info_url, images';
+
+/**
+ * Most things to do per park offered to the trip planner
+ */
+export const MAX_PROMPT_THINGS_TO_DO = 6;
+
+/**
+ * Most events per park offered to the trip planner
+ */
+export const MAX_PROMPT_EVENTS = 4;
+
+/**
+ * Season of a date, matching the lowercase NPS seasons on things_to_do
+ * @param {string|Date} date - Date
+ * @returns {string} 'spring', 'summer', 'fall', or 'winter'
+ */
+export const getSeason = (date) => {
+  const month = new Date(date).getUTCMonth();
+  if (month >= 2 && month <= 4) {
+    return 'spring';
+  }
+  if (month >= 5 && month <= 7) {
+    return 'summer';
+  }
+  if (month >= 8 && month <= 10) {
+    return 'fall';
+  }
+  return 'winter';
+};
+
+/**
+ * Order things to do for a visit: in season first (things without listed
+ * seasons count as year-round), then ranger programs, then by title
+ * @param {Object[]} thingsToDo - things_to_do rows
+ * @param {string} [season] - Season of the visit
+ * @returns {Object[]} Sorted copy
+ */
+export const rankThingsToDo = (thingsToDo, season) => {
+  const inSeason = (thing) => !season || !thing.seasons?.length || thing.seasons.includes(season);
+
+  return [...thingsToDo].sort(
+    (a, b) =>
+      Number(inSeason(b)) - Number(inSeason(a)) ||
+      Number(b.is_ranger_program) - Number(a.is_ranger_program) ||
+      a.title.localeCompare(b.title)
+  );
+};
+
+/**
+ * Get things to do for several parks, grouped by park code
+ * @param {Object} supabase - Supabase client
+ * @param {string[]} parkCodes - Park codes
+ * @returns {Promise<Object>} Map of park_code to things to do (sorted by title)
+ */
+export const getThingsToDoByPark = async (supabase, parkCodes) => {
+  const codes = [...new Set(parkCodes.filter(Boolean).map((code) => code.toLowerCase()))];
+  if (codes.length === 0) {
+    return {};
+  }
+
+  const { data, error } = await supabase
+    .from('things_to_do')
+    .select(THING_TO_DO_FIELDS)
+    .overlaps('park_codes', codes)
+    .order('title', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch things to do: ${error.message}`);
+  }
+
+  // A thing to do can belong to several of the parks
+  return (data || []).reduce((byPark, thing) => {
+    thing.park_codes
+      .filter((code) => codes.includes(code))
+      .forEach((code) => {
+        byPark[code] = [...(byPark[code] || []), thing];
+      });
+    return byPark;
+  }, {});
+};
+
+/**
+ * Get events between two dates for several parks, grouped by park code
+ * @param {Object} supabase - Supabase client
+ * @param {string[]} parkCodes - Park codes
+ * @param {Object} range
+ * @param {string} range.from - First date (YYYY-MM-DD)
+ * @param {string} range.to - Last date (YYYY-MM-DD)
+ * @returns {Promise<Object>} Map of park_code to events (soonest first)
+ */
+export const getEventsByPark = async (supabase, parkCodes, { from, to }) => {
+  const codes = [...new Set(parkCodes.filter(Boolean).map((code) => code.toLowerCase()))];
+  if (codes.length === 0) {
+    return {};
+  }
+
+  const { data, error } = await supabase
+    .from('park_events')
+    .select(EVENT_FIELDS)
+    .in('park_code', codes)
+    .gte('end_date', from)
+    .lte('start_date', to)
+    .order('start_date', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch park events: ${error.message}`);
+  }
+
+  return (data || []).reduce((byPark, event) => {
+    byPark[event.park_code] = [...(byPark[event.park_code] || []), event];
+    return byPark;
+  }, {});
+};
+
+/**
+ * Dates an event happens on within a range. Recurring events list each
+ * date; others run every day from start_date to end_date.
+ * @param {Object} event - park_events row
+ * @param {Object} range
+ * @param {string} range.from - First date (YYYY-MM-DD)
+ * @param {string} range.to - Last date (YYYY-MM-DD)
+ * @returns {string[]} Dates (YYYY-MM-DD)
+ */
+export const getEventDatesInRange = (event, { from, to }) => {
+  if (event.dates?.length > 0) {
+    return event.dates.filter((date) => date >= from && date <= to);
+  }
+
+  const dates = [];
+  const start = event.start_date > from ? event.start_date : from;
+  const end = event.end_date < to ? event.end_date : to;
+  for (
+    let day = new Date(`${start}T12:00:00Z`);
+    day.toISOString().slice(0, 10) <= end;
+    day.setUTCDate(day.getUTCDate() + 1)
+  ) {
+    dates.push(day.toISOString().slice(0, 10));
+  }
+  return dates;
+};
+
+/**
+ * Attach each park's things to do (as `things_to_do`, best for the season
+ * first) and, when trip dates are given, the events during the trip (as
+ * `events`) for the trip planner. Parks are returned unchanged if the lookup
+ * fails; trips can be planned without them.
+ * @param {Object} supabase - Supabase client
+ * @param {Object[]} parks - Parks with park_code
+ * @param {Object} [dates]
+ * @param {string} [dates.startDate] - Trip start (YYYY-MM-DD)
+ * @param {string} [dates.endDate] - Trip end (YYYY-MM-DD)
+ * @returns {Promise<Object[]>} Parks
+ */
+export const attachThingsToDo = async (supabase, parks, { startDate, endDate } = {}) => {
+  try {
+    const parkCodes = parks.map((park) => park.park_code);
+    const hasDates = Boolean(startDate && endDate);
+    const [thingsByPark, eventsByPark] = await Promise.all([
+      getThingsToDoByPark(supabase, parkCodes),
+      hasDates ? getEventsByPark(supabase, parkCodes, { from: startDate, to: endDate }) : {},
+    ]);
+    const season = startDate ? getSeason(startDate) : null;
+
+    return parks.map((park) => {
+      const code = park.park_code?.toLowerCase();
+      const thingsToDo = thingsByPark[code];
+      const events = eventsByPark[code];
+
+      if (!thingsToDo && !events) {
+        return park;
+      }
+      return {
+        ...park,
+        ...(thingsToDo && { things_to_do: rankThingsToDo(thingsToDo, season) }),
+        ...(events && { events }),
+      };
+    });
+  } catch (error) {
+    console.error('Error attaching things to do:', error);
+    return parks;
+  }
+};
+
+/**
+ * Compact thing-to-do summary for the AI prompt
+ * @param {Object} thing - things_to_do row
+ * @returns {Object} { title, duration, seasons, ranger_program?, reservation_required? }
+ */
+export const summarizeThingToDo = (thing) => ({
+  title: thing.title,
+  duration: thing.duration,
+  seasons: thing.seasons,
+  ...(thing.is_ranger_program && { ranger_program: true }),
+  ...(thing.is_reservation_required && { reservation_required: true }),
+});
+
+/**
+ * Compact event summary for the AI prompt
+ * @param {Object} event - park_events row
+ * @param {Object} range - Trip dates, { from, to } (YYYY-MM-DD)
+ * @returns {Object} { title, dates, times, ranger_program?, registration_required? }
+ */
+export const summarizeEvent = (event, range) => ({
+  title: event.title,
+  dates: getEventDatesInRange(event, range).slice(0, 7),
+  times: event.is_all_day
+    ? ['all day']
+    : (event.times || []).map(({ start, end }) => [start, end].filter(Boolean).join('-')),
+  ...(event.is_ranger_program && { ranger_program: true }),
+  ...(event.registration_required && { registration_required: true }),
+});
+
+export default {
+  THING_TO_DO_FIELDS,
+  EVENT_FIELDS,
+  MAX_PROMPT_THINGS_TO_DO,
+  MAX_PROMPT_EVENTS,
+  getSeason,
+  rankThingsToDo,
+  getThingsToDoByPark,
+  getEventsByPark,
+  getEventDatesInRange,
+  attachThingsToDo,
+  summarizeThingToDo,
+  summarizeEvent,
+};
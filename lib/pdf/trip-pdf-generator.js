@@ -13,6 +13,7 @@ import fontkit from '@pdf-lib/fontkit';
 import { readFile } from 'fs/promises';
 import { join } from 'path';
 import { generateStaticMap } from '../map/static-map-generator.js';
+import { formatCost } from '../trips/trip-budget.js';
 
 // PDF Configuration
 const PAGE_WIDTH = 612; // Letter size width in points
@@ -21,6 +22,16 @@ const MARGIN = 50;
 const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
 const MAP_HEIGHT = 250; // Height for the static map
 
+// Cost estimate table columns (x offsets from the left margin)
+const COST_COLUMNS = [
+  { key: 'day', label: 'Day', x: 0 },
+  { key: 'miles', label: 'Miles', x: 70 },
+  { key: 'fuel', label: 'Fuel', x: 150 },
+  { key: 'entranceFees', label: 'Entrance Fees', x: 230 },
+  { key: 'lodging', label: 'Lodging', x: 330 },
+  { key: 'total', label: 'Total', x: 430 },
+];
+
 // Colors
 const COLORS = {
   primary: rgb(0.133, 0.545, 0.133), // Forest green
@@ -78,6 +89,7 @@ export const formatTripForPdf = (trip) => {
     safetyNotes: trip.safetyNotes || [],
     bestPhotoSpots: trip.bestPhotoSpots || [],
     estimatedBudget: trip.estimatedBudget || null,
+    costEstimate: trip.costEstimate || null,
     routeCoordinates: trip.routeCoordinates || [],
   };
 };
@@ -641,6 +653,74 @@ export const generateTripPdf = async (trip) => {
     }
   }
 
+  // Cost estimate (route distance, entrance fees, and nearby lodging)
+  if (data.costEstimate?.days?.length > 0) {
+    const { settings, days, totals } = data.costEstimate;
+    ({ page, y } = await ensureSpace(pdfDoc, page, y, 100, fonts));
+    y -= 10;
+
+    page.drawText('Cost Estimate', {
+      x: MARGIN,
+      y,
+      size: 14,
+      font: helveticaBold,
+      color: COLORS.primary,
+    });
+    y -= 16;
+
+    page.drawText(
+      `Fuel at $${settings.fuelPrice.toFixed(2)}/gal and ${settings.mpg} mpg, including the drive home`,
+      { x: MARGIN, y, size: 9, font: helvetica, color: COLORS.lightText }
+    );
+    y -= 18;
+
+    const drawCostRow = (values, font) => {
+      COST_COLUMNS.forEach((column) => {
+        page.drawText(values[column.key], {
+          x: MARGIN + column.x,
+          y,
+          size: 10,
+          font,
+          color: COLORS.text,
+        });
+      });
+      y -= 15;
+    };
+
+    drawCostRow(
+      Object.fromEntries(COST_COLUMNS.map((column) => [column.key, column.label])),
+      helveticaBold
+    );
+
+    for (const day of days) {
+      ({ page, y } = await ensureSpace(pdfDoc, page, y, 15, fonts));
+      drawCostRow(
+        {
+          day: `Day ${day.dayNumber}`,
+          miles: String(Math.round(day.drivingMiles)),
+          fuel: formatCost(day.costs.fuel),
+          entranceFees: formatCost(day.costs.entranceFees),
+          lodging: formatCost(day.costs.lodging),
+          total: formatCost(day.costs.total),
+        },
+        helvetica
+      );
+    }
+
+    ({ page, y } = await ensureSpace(pdfDoc, page, y, 20, fonts));
+    drawCostRow(
+      {
+        day: 'Total',
+        miles: String(Math.round(totals.drivingMiles)),
+        fuel: formatCost(totals.fuel),
+        entranceFees: formatCost(totals.entranceFees),
+        lodging: formatCost(totals.lodging),
+        total: formatCost(totals.total),
+      },
+      helveticaBold
+    );
+  }
+
   // Footer on last page
   const pageCount = pdfDoc.getPageCount();
   const lastPage = pdfDoc.getPage(pageCount - 1);
@@ -0,0 +1,48 @@
+/**
+ * Paged Reads
+ * PostgREST caps every response at max_rows (1000, see supabase/config.toml),
+ * so a single range() asking for more silently returns only the first page.
+ * Reads that can return more rows page through them instead.
+ * @module lib/supabase/pagination
+ */
+
+/**
+ * Rows per request (must not exceed max_rows)
+ */
+export const PAGE_SIZE = 1000;
+
+/**
+ * Read every row of a query, a page at a time
+ * @param {Function} buildQuery - Returns a fresh, consistently ordered query
+ * @param {Object} [options]
+ * @param {number} [options.limit=Infinity] - Most rows to read
+ * @param {number} [options.pageSize=PAGE_SIZE] - Rows per request
+ * @returns {Promise<{data: Array<Object>|null, error: Object|null}>} All rows, or the first error
+ */
+export const fetchAllRows = async (buildQuery, { limit = Infinity, pageSize = PAGE_SIZE } = {}) => {
+  const rows = [];
+
+  while (rows.length < limit) {
+    const from = rows.length;
+    const to = Math.min(from + pageSize, limit) - 1;
+    const { data, error } = await buildQuery().range(from, to);
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    rows.push(...(data || []));
+
+    // A short page is the last one
+    if (!data || data.length < to - from + 1) {
+      break;
+    }
+  }
+
+  return { data: rows, error: null };
+};
+
+export default {
+  PAGE_SIZE,
+  fetchAllRows,
+};
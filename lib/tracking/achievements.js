@@ -0,0 +1,505 @@
+/**
+ * Track Achievements
+ * Personal records and badges from a user's completed tracks. Everything is
+ * recomputed from the full history, so finalizing, importing, or deleting a
+ * track just calls updateUserAchievements again. Dates are UTC days.
+ * Public profiles get a second set computed only from public, shared tracks.
+ * @module lib/tracking/achievements
+ */
+
+import { fetchAllRows } from '@/lib/supabase/pagination';
+
+/**
+ * Meters in a mile
+ */
+const METERS_PER_MILE = 1609.344;
+
+/**
+ * Track statuses that count toward achievements
+ */
+export const ACHIEVEMENT_TRACK_STATUSES = ['completed', 'shared'];
+
+/**
+ * Activity types that count toward distance, climb, and pace records and
+ * the climbing badge (a long or fast drive isn't an achievement). Drives
+ * still count for parks visited and streaks.
+ */
+export const SELF_POWERED_ACTIVITY_TYPES = ['walking', 'hiking', 'biking'];
+
+/**
+ * Months of totals kept for monthly challenges
+ */
+export const MONTHLY_HISTORY_MONTHS = 12;
+
+/**
+ * Badges, in display order. Each is earned by the first track after which
+ * `earned(progress)` holds.
+ */
+export const BADGES = [
+  {
+    id: 'first-track',
+    name: 'First Steps',
+    description: 'Finish your first track',
+    earned: (progress) => progress.trackCount >= 1,
+  },
+  {
+    id: 'first-national-park-hike',
+    name: 'Into the Wild',
+    description: 'Hike in a national park',
+    earned: (progress) => progress.nationalParkHikes >= 1,
+  },
+  {
+    id: 'parks-10',
+    name: 'Park Hopper',
+    description: 'Visit 10 different parks',
+    earned: (progress) => progress.parks.size >= 10,
+  },
+  {
+    id: 'parks-25',
+    name: 'Park Collector',
+    description: 'Visit 25 different parks',
+    earned: (progress) => progress.parks.size >= 25,
+  },
+  {
+    id: 'hiked-100-miles',
+    name: 'Century Hiker',
+    description: 'Hike 100 miles',
+    earned: (progress) => progress.hikedMeters >= 100 * METERS_PER_MILE,
+  },
+  {
+    id: 'hiked-500-miles',
+    name: 'Long Hauler',
+    description: 'Hike 500 miles',
+    earned: (progress) => progress.hikedMeters >= 500 * METERS_PER_MILE,
+  },
+  {
+    id: 'climbed-everest',
+    name: 'Everest Equivalent',
+    description: 'Climb 8,849 m (29,032 ft) in total',
+    earned: (progress) => progress.climbedM >= 8849,
+  },
+  {
+    id: 'streak-7',
+    name: 'Week Streak',
+    description: 'Record a track 7 days in a row',
+    earned: (progress) => progress.streak >= 7,
+  },
+];
+
+/**
+ * Columns read from user_tracks
+ */
+const TRACK_FIELDS =
+  'id, title, status, is_public, activity_type, distance_meters, elevation_gain_m, moving_seconds, fastest_mile_seconds, park_id, local_park_id, started_at';
+
+/**
+ * Tracks anyone can see, the only ones public profiles are computed from
+ */
+const isPublicTrack = (track) => track.is_public && track.status === 'shared';
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const toDay = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+const toMonth = (timestamp) => new Date(timestamp).toISOString().slice(0, 7);
+
+const dayBefore = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Key of the park a track is in, or null
+ */
+const parkKey = (track) => {
+  if (track.park_id) {
+    return `nps:${track.park_id}`;
+  }
+  return track.local_park_id ? `local:${track.local_park_id}` : null;
+};
+
+/**
+ * Record entry pointing at the track that set it
+ */
+const recordFor = (track, value) => ({
+  value,
+  trackId: track.id,
+  title: track.title ?? null,
+  date: track.started_at,
+});
+
+/**
+ * Fastest mile of a track: the stored split, or for tracks finalized before
+ * splits were saved, the average moving pace of tracks at least a mile long
+ * @returns {number|null} Seconds
+ */
+const fastestMileOf = (track) => {
+  const split = toNumber(track.fastest_mile_seconds);
+  if (split) {
+    return split;
+  }
+
+  const distance = toNumber(track.distance_meters) ?? 0;
+  const moving = toNumber(track.moving_seconds) ?? 0;
+  if (distance < METERS_PER_MILE || moving <= 0) {
+    return null;
+  }
+  return Math.round(moving / (distance / METERS_PER_MILE));
+};
+
+/**
+ * Longest run of consecutive days in a sorted list of unique days
+ * @param {Array<string>} days - YYYY-MM-DD, ascending
+ * @returns {Object|null} { value, startDate, endDate }
+ */
+const longestStreakOf = (days) => {
+  let best = null;
+  let startIndex = 0;
+
+  days.forEach((day, index) => {
+    if (index > 0 && days[index - 1] !== dayBefore(day)) {
+      startIndex = index;
+    }
+    const length = index - startIndex + 1;
+    if (!best || length > best.value) {
+      best = { value: length, startDate: days[startIndex], endDate: day };
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Compute personal records from completed tracks
+ * @param {Array<Object>} tracks - user_tracks rows
+ * @returns {Object} { longestDistance, biggestClimb, fastestMile, mostParksInMonth, longestStreak }
+ */
+export const computePersonalRecords = (tracks) => {
+  const records = {
+    longestDistance: null,
+    biggestClimb: null,
+    fastestMile: {},
+    mostParksInMonth: null,
+    longestStreak: null,
+  };
+  const parksByMonth = new Map();
+
+  tracks.forEach((track) => {
+    if (SELF_POWERED_ACTIVITY_TYPES.includes(track.activity_type)) {
+      const distance = toNumber(track.distance_meters);
+      if (distance > 0 && distance > (records.longestDistance?.value ?? 0)) {
+        records.longestDistance = recordFor(track, distance);
+      }
+
+      const climb = toNumber(track.elevation_gain_m);
+      if (climb > 0 && climb > (records.biggestClimb?.value ?? 0)) {
+        records.biggestClimb = recordFor(track, climb);
+      }
+
+      const mile = fastestMileOf(track);
+      const best = records.fastestMile[track.activity_type];
+      if (mile && (!best || mile < best.value)) {
+        records.fastestMile[track.activity_type] = recordFor(track, mile);
+      }
+    }
+
+    const park = parkKey(track);
+    if (park) {
+      const month = toMonth(track.started_at);
+      if (!parksByMonth.has(month)) {
+        parksByMonth.set(month, new Set());
+      }
+      parksByMonth.get(month).add(park);
+    }
+  });
+
+  parksByMonth.forEach((parks, month) => {
+    if (parks.size > (records.mostParksInMonth?.value ?? 0)) {
+      records.mostParksInMonth = { value: parks.size, month };
+    }
+  });
+
+  const days = [...new Set(tracks.map((track) => toDay(track.started_at)))].sort();
+  records.longestStreak = longestStreakOf(days);
+
+  return records;
+};
+
+/**
+ * Work out which badges have been earned, and by which track
+ * @param {Array<Object>} tracks - user_tracks rows
+ * @returns {Array<Object>} [{ id, earnedAt, trackId }] in BADGES order
+ */
+export const computeBadges = (tracks) => {
+  const sorted = [...tracks].sort((a, b) => new Date(a.started_at) - new Date(b.started_at));
+  const progress = {
+    trackCount: 0,
+    nationalParkHikes: 0,
+    parks: new Set(),
+    hikedMeters: 0,
+    climbedM: 0,
+    streak: 0,
+  };
+  const earned = new Map();
+  let lastDay = null;
+
+  sorted.forEach((track) => {
+    const isHike = track.activity_type === 'hiking';
+    const day = toDay(track.started_at);
+
+    progress.trackCount += 1;
+    if (SELF_POWERED_ACTIVITY_TYPES.includes(track.activity_type)) {
+      progress.climbedM += toNumber(track.elevation_gain_m) ?? 0;
+    }
+    if (isHike) {
+      progress.hikedMeters += toNumber(track.distance_meters) ?? 0;
+      if (track.park_id) {
+        progress.nationalParkHikes += 1;
+      }
+    }
+    if (parkKey(track)) {
+      progress.parks.add(parkKey(track));
+    }
+    if (day !== lastDay) {
+      progress.streak = lastDay === dayBefore(day) ? progress.streak + 1 : 1;
+      lastDay = day;
+    }
+
+    BADGES.forEach((badge) => {
+      if (!earned.has(badge.id) && badge.earned(progress)) {
+        earned.set(badge.id, { id: badge.id, earnedAt: track.started_at, trackId: track.id });
+      }
+    });
+  });
+
+  return BADGES.filter((badge) => earned.has(badge.id)).map((badge) => earned.get(badge.id));
+};
+
+/**
+ * Totals per month for the last few months, newest first, for monthly
+ * challenges. Months without tracks are included with zeros.
+ * @param {Array<Object>} tracks - user_tracks rows
+ * @param {Date} [now] - Current time
+ * @returns {Array<Object>} [{ month, trackCount, distanceMeters, elevationGainM, parkCount }]
+ */
+export const computeMonthlyTotals = (tracks, now = new Date()) => {
+  const months = Array.from({ length: MONTHLY_HISTORY_MONTHS }, (_, i) =>
+    toMonth(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1))
+  );
+  const totals = new Map(
+    months.map((month) => [
+      month,
+      { month, trackCount: 0, distanceMeters: 0, elevationGainM: 0, parks: new Set() },
+    ])
+  );
+
+  tracks.forEach((track) => {
+    const total = totals.get(toMonth(track.started_at));
+    if (!total) {
+      return;
+    }
+    total.trackCount += 1;
+    total.distanceMeters += toNumber(track.distance_meters) ?? 0;
+    total.elevationGainM += toNumber(track.elevation_gain_m) ?? 0;
+    if (parkKey(track)) {
+      total.parks.add(parkKey(track));
+    }
+  });
+
+  return months.map((month) => {
+    const { parks, ...total } = totals.get(month);
+    return {
+      ...total,
+      distanceMeters: Math.round(total.distanceMeters),
+      elevationGainM: Math.round(total.elevationGainM),
+      parkCount: parks.size,
+    };
+  });
+};
+
+/**
+ * Compute everything stored in user_achievements
+ * @param {Array<Object>} tracks - user_tracks rows
+ * @param {Date} [now] - Current time
+ * @returns {Object} { records, badges, monthly, trackCount }
+ */
+export const computeAchievements = (tracks, now = new Date()) => ({
+  records: computePersonalRecords(tracks),
+  badges: computeBadges(tracks),
+  monthly: computeMonthlyTotals(tracks, now),
+  trackCount: tracks.length,
+});
+
+/**
+ * Convert a user_achievements row to the API shape, with badge names
+ * @param {Object} row - user_achievements row
+ * @returns {Object} Achievements
+ */
+export const formatAchievements = (row) => ({
+  records: row.records,
+  badges: (row.badges || [])
+    .map((earned) => {
+      const badge = BADGES.find((b) => b.id === earned.id);
+      return badge ? { ...earned, name: badge.name, description: badge.description } : null;
+    })
+    .filter(Boolean),
+  monthly: row.monthly,
+  trackCount: row.track_count,
+  computedAt: row.computed_at,
+});
+
+/**
+ * Drop links to individual tracks, for showing achievements to other users
+ * @param {Object} achievements - From formatAchievements
+ * @returns {Object} Achievements without track IDs or titles
+ */
+export const withoutTrackLinks = (achievements) => {
+  const strip = (record) => {
+    if (!record) {
+      return record;
+    }
+    const { trackId: _trackId, title: _title, ...rest } = record;
+    return rest;
+  };
+
+  return {
+    ...achievements,
+    records: {
+      ...achievements.records,
+      longestDistance: strip(achievements.records.longestDistance),
+      biggestClimb: strip(achievements.records.biggestClimb),
+      fastestMile: Object.fromEntries(
+        Object.entries(achievements.records.fastestMile || {}).map(([type, record]) => [
+          type,
+          strip(record),
+        ])
+      ),
+    },
+    badges: achievements.badges.map(({ trackId: _trackId, ...badge }) => badge),
+  };
+};
+
+/**
+ * Convert achievements from computeAchievements to user_achievements columns
+ * @param {Object} achievements - From computeAchievements
+ * @returns {Object} { records, badges, monthly, track_count }
+ */
+const toColumns = ({ records, badges, monthly, trackCount }) => ({
+  records,
+  badges,
+  monthly,
+  track_count: trackCount,
+});
+
+/**
+ * Recompute and save a user's achievements row from their track history
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} userId - User ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Saved user_achievements row, or null on failure
+ */
+const saveAchievements = async (supabase, userId, now) => {
+  try {
+    const { data: tracks, error } = await fetchAllRows(() =>
+      supabase
+        .from('user_tracks')
+        .select(TRACK_FIELDS)
+        .eq('user_id', userId)
+        .in('status', ACHIEVEMENT_TRACK_STATUSES)
+        .order('started_at', { ascending: true })
+        .order('id', { ascending: true })
+    );
+
+    if (error) {
+      throw new Error(`Failed to load tracks: ${error.message}`);
+    }
+
+    const achievements = computeAchievements(tracks, now);
+    const publicAchievements = computeAchievements(tracks.filter(isPublicTrack), now);
+    const { data: row, error: saveError } = await supabase
+      .from('user_achievements')
+      .upsert(
+        {
+          user_id: userId,
+          ...toColumns(achievements),
+          public_achievements: toColumns(publicAchievements),
+          computed_at: now.toISOString(),
+        },
+        { onConflict: 'user_id' }
+      )
+      .select()
+      .single();
+
+    if (saveError) {
+      throw new Error(`Failed to save achievements: ${saveError.message}`);
+    }
+
+    return row;
+  } catch (error) {
+    console.error('Error updating achievements:', error);
+    return null;
+  }
+};
+
+/**
+ * Recompute and save a user's achievements from their track history
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} userId - User ID
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object|null>} Achievements (formatAchievements shape), or null on failure
+ */
+export const updateUserAchievements = async (supabase, userId, now = new Date()) => {
+  const row = await saveAchievements(supabase, userId, now);
+  return row ? formatAchievements(row) : null;
+};
+
+/**
+ * Get a user's saved achievements, computing them the first time
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {boolean} [options.publicOnly=false] - Only count public, shared tracks (for profiles)
+ * @returns {Promise<Object|null>} Achievements, or null on failure
+ */
+export const getUserAchievements = async (supabase, userId, { publicOnly = false } = {}) => {
+  const { data, error } = await supabase
+    .from('user_achievements')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error loading achievements:', error);
+    return null;
+  }
+
+  // Rows saved before public achievements were split out need recomputing
+  const row =
+    data && (!publicOnly || data.public_achievements)
+      ? data
+      : await saveAchievements(supabase, userId, new Date());
+
+  if (!row) {
+    return null;
+  }
+
+  return formatAchievements(
+    publicOnly ? { ...row.public_achievements, computed_at: row.computed_at } : row
+  );
+};
+
+export default {
+  ACHIEVEMENT_TRACK_STATUSES,
+  SELF_POWERED_ACTIVITY_TYPES,
+  MONTHLY_HISTORY_MONTHS,
+  BADGES,
+  computePersonalRecords,
+  computeBadges,
+  computeMonthlyTotals,
+  computeAchievements,
+  formatAchievements,
+  withoutTrackLinks,
+  updateUserAchievements,
+  getUserAchievements,
+};
@@ -0,0 +1,329 @@
+/**
+ * Track Check-ins
+ *
+ * An expected return time and emergency contacts set when a track starts.
+ * If the track is still recording or paused once that time passes, the
+ * overdue check emails each contact the last known position and where the
+ * recorder was headed. Stopping the track, or extending the return time,
+ * stands the alert down.
+ *
+ * @module lib/tracking/check-in
+ */
+
+import { buildLiveShareUrl, isLiveShareExpired } from '@/lib/tracking/live-share';
+
+/**
+ * Most emergency contacts a track can have
+ */
+export const MAX_EMERGENCY_CONTACTS = 3;
+
+/**
+ * Quick ways to push the return time back, in minutes
+ */
+export const RETURN_EXTENSIONS_MINUTES = [30, 60, 120];
+
+/**
+ * Furthest ahead a return time can be set, in hours
+ */
+export const MAX_RETURN_HOURS = 7 * 24;
+
+/**
+ * Track statuses that can go overdue
+ */
+export const CHECK_IN_STATUSES = ['recording', 'paused'];
+
+const EMAIL_PATTERN = /^[^\s@<>,]+@[^\s@<>,]+\.[^\s@<>,]+$/;
+
+/**
+ * Validate and tidy a list of emergency contacts
+ * @param {Array<{name?: string, email: string}>} contacts - Contacts from the request
+ * @returns {{contacts: Array<{name: string, email: string}>}|{error: string}} Cleaned contacts or
+ *   an error message
+ */
+export const normalizeEmergencyContacts = (contacts) => {
+  if ((contacts ?? null) === null) {
+    return { contacts: [] };
+  }
+  if (!Array.isArray(contacts)) {
+    return { error: 'Emergency contacts must be a list' };
+  }
+
+  const cleaned = contacts
+    .map((contact) => ({
+      name: String(contact?.name || '')
+        .trim()
+        .slice(0, 100),
+      email: String(contact?.email || '')
+        .trim()
+        .toLowerCase(),
+    }))
+    .filter((contact) => contact.email);
+
+  if (cleaned.length > MAX_EMERGENCY_CONTACTS) {
+    return { error: `Add at most ${MAX_EMERGENCY_CONTACTS} emergency contacts` };
+  }
+
+  const invalid = cleaned.find((contact) => !EMAIL_PATTERN.test(contact.email));
+  if (invalid) {
+    return { error: `Invalid email address: ${invalid.email}` };
+  }
+
+  return {
+    contacts: cleaned.filter(
+      (contact, index) => cleaned.findIndex((other) => other.email === contact.email) === index
+    ),
+  };
+};
+
+/**
+ * Validate an expected return time
+ * @param {string|null} value - ISO timestamp, or null to clear it
+ * @param {Date} [now] - Current time
+ * @returns {{expectedReturnAt: string|null}|{error: string}} Normalized ISO timestamp or an error
+ */
+export const validateExpectedReturn = (value, now = new Date()) => {
+  if ((value ?? null) === null || value === '') {
+    return { expectedReturnAt: null };
+  }
+
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    return { error: 'Invalid expected return time' };
+  }
+  if (time.getTime() <= now.getTime()) {
+    return { error: 'Expected return time must be in the future' };
+  }
+  if (time.getTime() - now.getTime() > MAX_RETURN_HOURS * 60 * 60 * 1000) {
+    return { error: `Expected return time must be within ${MAX_RETURN_HOURS / 24} days` };
+  }
+
+  return { expectedReturnAt: time.toISOString() };
+};
+
+/**
+ * Push a return time back. Extending an already-passed time counts from now.
+ * @param {string|null} expectedReturnAt - Current return time
+ * @param {number} minutes - Minutes to add
+ * @param {Date} [now] - Current time
+ * @returns {string} New ISO timestamp
+ */
+export const extendExpectedReturn = (expectedReturnAt, minutes, now = new Date()) => {
+  const current = expectedReturnAt ? new Date(expectedReturnAt).getTime() : now.getTime();
+  return new Date(Math.max(current, now.getTime()) + minutes * 60 * 1000).toISOString();
+};
+
+/**
+ * Turn the check-in form into startTracking settings
+ * @param {Object} form - Form values
+ * @param {boolean} form.enabled - Whether a check-in was asked for
+ * @param {string} form.returnAt - Local date-time from a datetime-local input
+ * @param {Array<{name: string, email: string}>} form.contacts - Contacts as entered
+ * @returns {Object} { expectedReturnAt, emergencyContacts }, or {} with no check-in
+ */
+export const buildCheckInConfig = ({ enabled, returnAt, contacts }) => {
+  if (!enabled || !returnAt) {
+    return {};
+  }
+
+  return {
+    expectedReturnAt: new Date(returnAt).toISOString(),
+    emergencyContacts: contacts.filter((contact) => contact.email.trim()),
+  };
+};
+
+/**
+ * Check whether a track is past its return time and still out
+ * @param {Object} track - user_tracks row
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if overdue
+ */
+export const isTrackOverdue = (track, now = new Date()) =>
+  CHECK_IN_STATUSES.includes(track.status) &&
+  Boolean(track.expected_return_at) &&
+  new Date(track.expected_return_at).getTime() <= now.getTime();
+
+/**
+ * Write the alert email for one contact
+ * @param {Object} details - Alert details
+ * @param {Object} details.contact - { name, email }
+ * @param {string} details.ownerName - Who is overdue
+ * @param {string} details.place - Trail or park they were on
+ * @param {string} details.activityType - Track activity type
+ * @param {string} details.expectedReturnAt - ISO timestamp they were due back
+ * @param {Object|null} details.lastPoint - { latitude, longitude, recorded_at }
+ * @param {string|null} [details.liveUrl] - Live location link, if one is open
+ * @returns {{subject: string, text: string}} Email subject and body
+ */
+export const buildOverdueEmail = ({
+  contact,
+  ownerName,
+  place,
+  activityType,
+  expectedReturnAt,
+  lastPoint,
+  liveUrl = null,
+}) => {
+  const lines = [
+    `Hi ${contact.name || 'there'},`,
+    '',
+    `${ownerName} listed you as an emergency contact for a ${activityType || 'trip'} on ` +
+      `${place}. They expected to be back by ${new Date(expectedReturnAt).toUTCString()}, ` +
+      'but their track is still recording.',
+    '',
+  ];
+
+  if (lastPoint) {
+    const latitude = Number(lastPoint.latitude).toFixed(5);
+    const longitude = Number(lastPoint.longitude).toFixed(5);
+    lines.push(
+      `Last known position: ${latitude}, ${longitude}`,
+      `Recorded at: ${new Date(lastPoint.recorded_at).toUTCString()}`,
+      `Map: https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}` +
+        `#map=15/${latitude}/${longitude}`
+    );
+  } else {
+    lines.push('No position has been received from their phone yet.');
+  }
+
+  if (liveUrl) {
+    lines.push(`Follow their live location: ${liveUrl}`);
+  }
+
+  lines.push(
+    '',
+    `Try to reach ${ownerName} first. If you can't and you're worried, call 911 or the ` +
+      "park's emergency number and give them the position above.",
+    '',
+    '- ParkLookup'
+  );
+
+  return {
+    subject: `${ownerName} is overdue from ${place}`,
+    text: lines.join('\n'),
+  };
+};
+
+/**
+ * Email the contacts of every overdue track that hasn't alerted yet. Each
+ * track is claimed before sending so overlapping runs don't alert twice, and
+ * released again if no email could be sent so the next run retries.
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {{send: Function}} mailer - Mailer from lib/email/mailer
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{checked: number, alerted: number, failed: number}>} Run summary
+ */
+export const sendOverdueAlerts = async (supabase, mailer, now = new Date()) => {
+  const { data: tracks, error } = await supabase
+    .from('user_tracks')
+    .select(
+      `
+      id,
+      title,
+      activity_type,
+      status,
+      expected_return_at,
+      emergency_contacts,
+      trails ( name ),
+      nps_parks ( full_name ),
+      local_parks ( name ),
+      profiles!user_tracks_user_id_fkey ( display_name, username )
+    `
+    )
+    .in('status', CHECK_IN_STATUSES)
+    .is('overdue_alert_sent_at', null)
+    .lte('expected_return_at', now.toISOString());
+
+  if (error) {
+    throw new Error(`Failed to fetch overdue tracks: ${error.message}`);
+  }
+
+  const summary = { checked: tracks.length, alerted: 0, failed: 0 };
+
+  for (const track of tracks) {
+    const contacts = track.emergency_contacts || [];
+    if (contacts.length === 0 || !isTrackOverdue(track, now)) {
+      continue;
+    }
+
+    const { data: claimed } = await supabase
+      .from('user_tracks')
+      .update({ overdue_alert_sent_at: now.toISOString() })
+      .eq('id', track.id)
+      .is('overdue_alert_sent_at', null)
+      .select('id');
+    if (!claimed?.length) {
+      continue;
+    }
+
+    const [{ data: lastPoint }, { data: liveShare }] = await Promise.all([
+      supabase
+        .from('track_points')
+        .select('latitude, longitude, recorded_at')
+        .eq('track_id', track.id)
+        .order('sequence_num', { ascending: false })
+        .limit(1)
+        .maybeSingle(),
+      supabase
+        .from('track_live_shares')
+        .select('token, expires_at')
+        .eq('track_id', track.id)
+        .maybeSingle(),
+    ]);
+
+    const ownerName =
+      track.profiles?.display_name || track.profiles?.username || 'A ParkLookup user';
+    const place =
+      track.trails?.name ||
+      track.nps_parks?.full_name ||
+      track.local_parks?.name ||
+      track.title ||
+      'their route';
+    const liveUrl =
+      liveShare && !isLiveShareExpired(liveShare, now)
+        ? buildLiveShareUrl(track.id, liveShare.token)
+        : null;
+
+    let sent = 0;
+    for (const contact of contacts) {
+      const email = buildOverdueEmail({
+        contact,
+        ownerName,
+        place,
+        activityType: track.activity_type,
+        expectedReturnAt: track.expected_return_at,
+        lastPoint: lastPoint || null,
+        liveUrl,
+      });
+
+      try {
+        await mailer.send({ to: contact.email, ...email });
+        sent += 1;
+      } catch (err) {
+        console.error(`Failed to send overdue alert for track ${track.id}:`, err.message);
+      }
+    }
+
+    if (sent > 0) {
+      summary.alerted += 1;
+    } else {
+      summary.failed += 1;
+      await supabase.from('user_tracks').update({ overdue_alert_sent_at: null }).eq('id', track.id);
+    }
+  }
+
+  return summary;
+};
+
+export default {
+  MAX_EMERGENCY_CONTACTS,
+  RETURN_EXTENSIONS_MINUTES,
+  MAX_RETURN_HOURS,
+  CHECK_IN_STATUSES,
+  normalizeEmergencyContacts,
+  validateExpectedReturn,
+  extendExpectedReturn,
+  buildCheckInConfig,
+  isTrackOverdue,
+  buildOverdueEmail,
+  sendOverdueAlerts,
+};
@@ -0,0 +1,128 @@
+/**
+ * Track Live Shares
+ *
+ * "Watch me live" links for a track being recorded. A track has at most one
+ * live link; anyone with /tracks/[id]/live?token=<token> can follow the
+ * recorder's position without an account until the link expires or the
+ * owner revokes it.
+ *
+ * @module lib/tracking/live-share
+ */
+
+import { getCanonicalUrl } from '@/lib/seo/canonical';
+
+/**
+ * Live share tokens are 48 hex characters; anything else is rejected without a lookup
+ */
+const LIVE_SHARE_TOKEN_PATTERN = /^[0-9a-f]{48}$/;
+
+/**
+ * How long a live link can stay open, in hours
+ */
+export const LIVE_SHARE_DURATIONS = [4, 12, 24, 48];
+
+/**
+ * Link lifetime when none is chosen, in hours
+ */
+export const DEFAULT_LIVE_SHARE_HOURS = 12;
+
+/**
+ * Track statuses a live link can be created for
+ */
+export const LIVE_SHARE_STATUSES = ['recording', 'paused'];
+
+/**
+ * Generate an unguessable live share token. Uses Web Crypto so this module
+ * also loads in the browser, where the link controls read the durations.
+ * @returns {string} 48-character hex token
+ */
+export const generateLiveShareToken = () =>
+  Array.from(globalThis.crypto.getRandomValues(new Uint8Array(24)), (byte) =>
+    byte.toString(16).padStart(2, '0')
+  ).join('');
+
+/**
+ * Check whether a value looks like a live share token
+ * @param {string} token - Candidate token
+ * @returns {boolean} True if the token has the right format
+ */
+export const isValidLiveShareToken = (token) => LIVE_SHARE_TOKEN_PATTERN.test(String(token || ''));
+
+/**
+ * Check whether a link lifetime is one of the offered durations
+ * @param {number} hours - Lifetime in hours
+ * @returns {boolean} True if allowed
+ */
+export const isValidLiveShareDuration = (hours) => LIVE_SHARE_DURATIONS.includes(hours);
+
+/**
+ * Work out when a live link expires
+ * @param {number} hours - Lifetime in hours
+ * @param {Date} [now] - Creation time
+ * @returns {string} ISO timestamp
+ */
+export const getLiveShareExpiry = (hours, now = new Date()) =>
+  new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString();
+
+/**
+ * Check whether a live link has expired
+ * @param {Object} link - track_live_shares row
+ * @param {Date} [now] - Time to check at
+ * @returns {boolean} True if expired
+ */
+export const isLiveShareExpired = (link, now = new Date()) =>
+  new Date(link.expires_at).getTime() <= now.getTime();
+
+/**
+ * Build the public URL for watching a track live
+ * @param {string} trackId - Track ID
+ * @param {string} token - Live share token
+ * @returns {string} Absolute live page URL
+ */
+export const buildLiveShareUrl = (trackId, token) =>
+  getCanonicalUrl(`/tracks/${trackId}/live?token=${token}`);
+
+/**
+ * Look up an unexpired live link for a track
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} trackId - Track ID
+ * @param {string} token - Live share token from the URL
+ * @param {Date} [now] - Time to check expiry at
+ * @returns {Promise<Object|null>} track_live_shares row, or null if the token doesn't match or
+ *   the link has expired
+ */
+export const findLiveShare = async (supabase, trackId, token, now = new Date()) => {
+  if (!trackId || !isValidLiveShareToken(token)) {
+    return null;
+  }
+
+  const { data: link, error } = await supabase
+    .from('track_live_shares')
+    .select('track_id, token, created_at, expires_at')
+    .eq('track_id', trackId)
+    .eq('token', token)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to check live share: ${error.message}`);
+  }
+
+  if (!link || isLiveShareExpired(link, now)) {
+    return null;
+  }
+
+  return link;
+};
+
+export default {
+  LIVE_SHARE_DURATIONS,
+  DEFAULT_LIVE_SHARE_HOURS,
+  LIVE_SHARE_STATUSES,
+  generateLiveShareToken,
+  isValidLiveShareToken,
+  isValidLiveShareDuration,
+  getLiveShareExpiry,
+  isLiveShareExpired,
+  buildLiveShareUrl,
+  findLiveShare,
+};
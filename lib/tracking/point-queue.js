@@ -0,0 +1,291 @@
+/**
+ * Track Point Queue
+ *
+ * Recorded GPS points wait in IndexedDB until the server has them, so a
+ * crash, a closed tab, or a dead zone doesn't lose them. Each point is keyed
+ * by track and sequence number; the points API ignores sequence numbers it
+ * already has, so replaying a batch whose response was lost is safe.
+ *
+ * The page replays the queue while recording. When it can't, it registers a
+ * background sync and the service worker replays the queue with the access
+ * token saved alongside it. Imported by the service worker build, which has
+ * no `@/` alias, so keep imports relative.
+ *
+ * @module lib/tracking/point-queue
+ */
+
+import { openOfflineDb } from '../offline/offline-db.js';
+import { addTrackPoints } from './tracking-client.js';
+
+/**
+ * Background sync tag the service worker replays the queue on
+ */
+export const POINT_SYNC_TAG = 'sync-track-points';
+
+/**
+ * Most points sent per request (the points API's batch limit)
+ */
+export const MAX_REPLAY_BATCH = 1000;
+
+// Statuses that may succeed on a later try; other client errors mean the
+// server will never take the points (track deleted or finished, bad data).
+// 401 only succeeds once the page has a fresh token.
+const RETRYABLE_STATUSES = [401, 408, 429];
+
+/**
+ * Run one request in its own transaction
+ * @param {IDBDatabase} db - Offline database
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Called with the store; may return a request
+ * @returns {Promise<*>} The request's result once the transaction commits
+ */
+const withStore = (db, storeName, mode, operation) =>
+  new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+/**
+ * Key range covering every point of a track
+ * @param {string} trackId - Track ID
+ * @returns {IDBKeyRange} Range over [trackId, sequenceNum]
+ */
+const trackRange = (trackId) => IDBKeyRange.bound([trackId, -Infinity], [trackId, Infinity]);
+
+/**
+ * Remove the queue's trackId field from a stored point
+ */
+const toPoint = ({ trackId: _trackId, ...point }) => point;
+
+/**
+ * Point queue backed by the offline database
+ * @param {IDBDatabase} db - Offline database
+ * @returns {Object} Point queue
+ */
+export const createIdbPointQueue = (db) => ({
+  add: (trackId, points) =>
+    withStore(db, 'pendingTrackPoints', 'readwrite', (store) => {
+      points.forEach((point) => store.put({ ...point, trackId }));
+    }),
+
+  list: async (trackId, limit = MAX_REPLAY_BATCH) => {
+    const rows = await withStore(db, 'pendingTrackPoints', 'readonly', (store) =>
+      store.getAll(trackRange(trackId), limit)
+    );
+    return rows.map(toPoint);
+  },
+
+  count: (trackId) =>
+    withStore(db, 'pendingTrackPoints', 'readonly', (store) => store.count(trackRange(trackId))),
+
+  remove: (trackId, sequenceNums) =>
+    withStore(db, 'pendingTrackPoints', 'readwrite', (store) => {
+      sequenceNums.forEach((sequenceNum) => store.delete([trackId, sequenceNum]));
+    }),
+
+  clear: async (trackId) => {
+    await withStore(db, 'pendingTrackPoints', 'readwrite', (store) =>
+      store.delete(trackRange(trackId))
+    );
+    await withStore(db, 'trackUploads', 'readwrite', (store) => store.delete(trackId));
+  },
+
+  saveUpload: (upload) =>
+    withStore(db, 'trackUploads', 'readwrite', (store) =>
+      store.put({ ...upload, updatedAt: new Date().toISOString() })
+    ),
+
+  getUpload: async (trackId) =>
+    (await withStore(db, 'trackUploads', 'readonly', (store) => store.get(trackId))) ?? null,
+
+  listUploads: () => withStore(db, 'trackUploads', 'readonly', (store) => store.getAll()),
+
+  removeUpload: (trackId) =>
+    withStore(db, 'trackUploads', 'readwrite', (store) => store.delete(trackId)),
+});
+
+/**
+ * In-memory point queue with the same interface, for browsers without
+ * IndexedDB (private windows in some browsers). Points survive network
+ * errors but not a reload.
+ * @returns {Object} Point queue
+ */
+export const createMemoryPointQueue = () => {
+  const points = new Map();
+  const uploads = new Map();
+
+  const trackPoints = (trackId) => {
+    if (!points.has(trackId)) {
+      points.set(trackId, new Map());
+    }
+    return points.get(trackId);
+  };
+
+  return {
+    add: async (trackId, newPoints) => {
+      const stored = trackPoints(trackId);
+      newPoints.forEach((point) => stored.set(point.sequenceNum, { ...point }));
+    },
+
+    list: async (trackId, limit = MAX_REPLAY_BATCH) =>
+      [...trackPoints(trackId).values()]
+        .sort((a, b) => a.sequenceNum - b.sequenceNum)
+        .slice(0, limit),
+
+    count: async (trackId) => trackPoints(trackId).size,
+
+    remove: async (trackId, sequenceNums) => {
+      const stored = trackPoints(trackId);
+      sequenceNums.forEach((sequenceNum) => stored.delete(sequenceNum));
+    },
+
+    clear: async (trackId) => {
+      points.delete(trackId);
+      uploads.delete(trackId);
+    },
+
+    saveUpload: async (upload) => {
+      uploads.set(upload.trackId, { ...upload, updatedAt: new Date().toISOString() });
+    },
+
+    getUpload: async (trackId) => uploads.get(trackId) ?? null,
+
+    listUploads: async () => [...uploads.values()],
+
+    removeUpload: async (trackId) => {
+      uploads.delete(trackId);
+    },
+  };
+};
+
+/**
+ * Open the point queue, falling back to memory without IndexedDB
+ * @returns {Promise<Object>} Point queue
+ */
+export const openPointQueue = async () => {
+  try {
+    return createIdbPointQueue(await openOfflineDb());
+  } catch (err) {
+    console.warn('Point queue falling back to memory:', err);
+    return createMemoryPointQueue();
+  }
+};
+
+/**
+ * Send a track's queued points to the server, oldest first
+ * Stops at the first failure that may succeed later, leaving the rest queued.
+ * @param {Object} queue - Point queue
+ * @param {Object} options - Replay options
+ * @param {string} options.trackId - Track ID
+ * @param {string} options.accessToken - User's access token
+ * @param {number} [options.batchSize] - Points per request
+ * @returns {Promise<Object>} { uploaded, duplicates, rejected, remaining, error?, status? }
+ */
+export const replayQueuedPoints = async (
+  queue,
+  { trackId, accessToken, batchSize = MAX_REPLAY_BATCH }
+) => {
+  const summary = { uploaded: 0, duplicates: 0, rejected: 0, remaining: 0 };
+
+  for (;;) {
+    const batch = await queue.list(trackId, batchSize);
+    if (batch.length === 0) {
+      return summary;
+    }
+
+    const result = await addTrackPoints(accessToken, trackId, batch);
+    const sequenceNums = batch.map((point) => point.sequenceNum);
+
+    if (result.error) {
+      const retryable =
+        !result.status || result.status >= 500 || RETRYABLE_STATUSES.includes(result.status);
+      if (retryable) {
+        return {
+          ...summary,
+          remaining: await queue.count(trackId),
+          error: result.error,
+          status: result.status,
+        };
+      }
+
+      console.error('Dropping queued points the server rejected:', result.error);
+      summary.rejected += batch.length;
+    } else {
+      summary.uploaded += result.inserted ?? 0;
+      summary.duplicates += result.duplicates ?? 0;
+    }
+
+    await queue.remove(trackId, sequenceNums);
+  }
+};
+
+/**
+ * Replay every track with queued points, using the access token saved with
+ * each. Used by the service worker's background sync. Tracks left with
+ * nothing queued are forgotten so their tokens don't linger.
+ * Points refused because the saved token expired are also counted in
+ * `needsSignIn`: retrying can't help them until the page replays them with a
+ * fresh token.
+ * @param {Object} queue - Point queue
+ * @returns {Promise<Object>} { uploaded, remaining, needsSignIn }
+ */
+export const replayAllQueuedPoints = async (queue) => {
+  const uploads = await queue.listUploads();
+  const totals = { uploaded: 0, remaining: 0, needsSignIn: 0 };
+
+  for (const upload of uploads) {
+    const result = await replayQueuedPoints(queue, upload);
+    totals.uploaded += result.uploaded;
+    totals.remaining += result.remaining;
+    if (result.status === 401) {
+      totals.needsSignIn += result.remaining;
+    }
+
+    if (result.remaining === 0) {
+      await queue.removeUpload(upload.trackId);
+    }
+  }
+
+  return totals;
+};
+
+/**
+ * Ask the service worker to replay the queue once the browser is back
+ * online. Resolves false where background sync isn't available (no service
+ * worker in development, or an unsupported browser); the page keeps
+ * retrying on its own upload timer there.
+ * @returns {Promise<boolean>} Whether a sync was registered
+ */
+export const requestPointSync = async () => {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) {
+    return false;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration?.sync) {
+      return false;
+    }
+
+    await registration.sync.register(POINT_SYNC_TAG);
+    return true;
+  } catch (err) {
+    console.warn('Failed to register point sync:', err);
+    return false;
+  }
+};
+
+export default {
+  POINT_SYNC_TAG,
+  MAX_REPLAY_BATCH,
+  createIdbPointQueue,
+  createMemoryPointQueue,
+  openPointQueue,
+  replayQueuedPoints,
+  replayAllQueuedPoints,
+  requestPointSync,
+};
@@ -0,0 +1,220 @@
+/**
+ * Route Following Utilities
+ *
+ * Follow a trail or a previously recorded track while recording: locate the
+ * user on the route, work out how far is left and how far off the line they
+ * are, and alert them when they drift off it.
+ *
+ * @module lib/tracking/route-following
+ */
+
+import { calculateDistance } from '@/lib/tracking/track-stats';
+
+/**
+ * Earth's radius in meters (WGS84 mean radius)
+ */
+const EARTH_RADIUS_M = 6371000;
+
+/**
+ * Default distance from the route before the user counts as off route
+ */
+export const DEFAULT_OFF_ROUTE_METERS = 30;
+
+/**
+ * Off-route distances offered to the user
+ */
+export const OFF_ROUTE_THRESHOLDS = [15, 30, 50, 100];
+
+/**
+ * Consecutive GPS fixes beyond the threshold before alerting, so a single
+ * noisy fix doesn't set off the alarm
+ */
+export const OFF_ROUTE_CONFIRM_FIXES = 2;
+
+/**
+ * Where the route passes close to itself (out-and-back trails, loops), spots
+ * within this much of the nearest one are also candidates, and the one
+ * closest to the user's last progress wins
+ */
+const ROUTE_AMBIGUITY_METERS = 15;
+
+/**
+ * Vibration pattern for the off-route alert
+ */
+const OFF_ROUTE_VIBRATION = [300, 150, 300];
+
+/**
+ * Build a route from points in order
+ * @param {Array<Object>} points - Points with latitude/longitude
+ * @returns {Object|null} Route ({ points, totalMeters }), each point with its distance from the
+ *   start, or null with fewer than two points
+ */
+export const buildRoute = (points) => {
+  const routePoints = [];
+  let distanceMeters = 0;
+
+  (points || []).forEach((point) => {
+    if ((point.latitude ?? null) === null || (point.longitude ?? null) === null) {
+      return;
+    }
+
+    const latitude = Number(point.latitude);
+    const longitude = Number(point.longitude);
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      return;
+    }
+
+    const prev = routePoints[routePoints.length - 1];
+    if (prev) {
+      distanceMeters += calculateDistance(prev.latitude, prev.longitude, latitude, longitude);
+    }
+    routePoints.push({ latitude, longitude, distanceMeters });
+  });
+
+  if (routePoints.length < 2) {
+    return null;
+  }
+
+  return { points: routePoints, totalMeters: distanceMeters };
+};
+
+/**
+ * Build a route from GeoJSON trail geometry
+ * @param {Object|string} geometry - LineString or MultiLineString (parts are joined in order)
+ * @returns {Object|null} Route, or null if the geometry has no line
+ */
+export const buildRouteFromGeometry = (geometry) => {
+  let parsed = geometry;
+  if (typeof geometry === 'string') {
+    try {
+      parsed = JSON.parse(geometry);
+    } catch {
+      return null;
+    }
+  }
+
+  let coordinates = [];
+  if (parsed?.type === 'LineString') {
+    ({ coordinates } = parsed);
+  } else if (parsed?.type === 'MultiLineString') {
+    coordinates = parsed.coordinates.flat();
+  }
+
+  return buildRoute(coordinates.map(([longitude, latitude]) => ({ latitude, longitude })));
+};
+
+/**
+ * Locate a position on a route
+ * @param {Object} route - Route from buildRoute
+ * @param {Object} position - Position with latitude/longitude
+ * @param {number|null} [previousDistanceMeters] - Progress at the last fix, to keep to the same
+ *   leg where the route doubles back on itself
+ * @returns {Object} { deviationMeters, distanceAlongMeters, distanceRemainingMeters, nearestPoint }
+ */
+export const locateOnRoute = (route, position, previousDistanceMeters = null) => {
+  // Work in meters on a flat plane centered on the position; fine over the
+  // distances that matter for being on or off a trail
+  const metersPerDegreeLat = (Math.PI / 180) * EARTH_RADIUS_M;
+  const metersPerDegreeLng = metersPerDegreeLat * Math.cos((position.latitude * Math.PI) / 180);
+  const toPlane = (point) => ({
+    x: (point.longitude - position.longitude) * metersPerDegreeLng,
+    y: (point.latitude - position.latitude) * metersPerDegreeLat,
+  });
+
+  const candidates = [];
+  for (let i = 1; i < route.points.length; i++) {
+    const start = route.points[i - 1];
+    const end = route.points[i];
+    const a = toPlane(start);
+    const b = toPlane(end);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t =
+      lengthSquared > 0 ? Math.min(Math.max(-(a.x * dx + a.y * dy) / lengthSquared, 0), 1) : 0;
+
+    candidates.push({
+      deviationMeters: Math.hypot(a.x + t * dx, a.y + t * dy),
+      distanceAlongMeters: start.distanceMeters + t * (end.distanceMeters - start.distanceMeters),
+      nearestPoint: {
+        latitude: start.latitude + t * (end.latitude - start.latitude),
+        longitude: start.longitude + t * (end.longitude - start.longitude),
+      },
+    });
+  }
+
+  const closest = Math.min(...candidates.map((candidate) => candidate.deviationMeters));
+  const nearby = candidates.filter(
+    (candidate) => candidate.deviationMeters <= closest + ROUTE_AMBIGUITY_METERS
+  );
+  const progressGap = (candidate) =>
+    previousDistanceMeters === null
+      ? candidate.deviationMeters
+      : Math.abs(candidate.distanceAlongMeters - previousDistanceMeters);
+  const best = nearby.reduce((pick, candidate) =>
+    progressGap(candidate) < progressGap(pick) ? candidate : pick
+  );
+
+  return {
+    deviationMeters: Math.round(best.deviationMeters * 10) / 10,
+    distanceAlongMeters: Math.round(best.distanceAlongMeters),
+    distanceRemainingMeters: Math.round(route.totalMeters - best.distanceAlongMeters),
+    nearestPoint: best.nearestPoint,
+  };
+};
+
+/**
+ * Ask for notification permission so off-route alerts can show while the
+ * screen is off. Safe to call when notifications aren't supported.
+ */
+export const requestAlertPermission = async () => {
+  if (typeof window === 'undefined' || !('Notification' in window)) {
+    return;
+  }
+  if (window.Notification.permission === 'default') {
+    try {
+      await window.Notification.requestPermission();
+    } catch (err) {
+      console.warn('Failed to request notification permission:', err);
+    }
+  }
+};
+
+/**
+ * Alert the user that they've left the route, by vibration and (if allowed)
+ * a notification
+ * @param {string} routeName - Name of the route being followed
+ * @param {number} deviationMeters - Distance from the route
+ */
+export const alertOffRoute = (routeName, deviationMeters) => {
+  if (typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function') {
+    navigator.vibrate(OFF_ROUTE_VIBRATION);
+  }
+
+  if (
+    typeof window !== 'undefined' &&
+    'Notification' in window &&
+    window.Notification.permission === 'granted'
+  ) {
+    try {
+      new window.Notification('Off route', {
+        body: `You're ${Math.round(deviationMeters)} m off ${routeName || 'your route'}`,
+        tag: 'off-route',
+      });
+    } catch (err) {
+      console.warn('Failed to show off-route notification:', err);
+    }
+  }
+};
+
+export default {
+  DEFAULT_OFF_ROUTE_METERS,
+  OFF_ROUTE_THRESHOLDS,
+  OFF_ROUTE_CONFIRM_FIXES,
+  buildRoute,
+  buildRouteFromGeometry,
+  locateOnRoute,
+  requestAlertPermission,
+  alertOffRoute,
+};
@@ -0,0 +1,340 @@
+/**
+ * Track Cleaning
+ *
+ * Removes GPS noise from recorded points before stats are calculated:
+ * accuracy outliers and teleport jumps are flagged, positions are run through
+ * a Kalman filter, and altitude is smoothed so fix-to-fix jitter doesn't add
+ * up to phantom elevation gain. Raw points are never modified; cleaning
+ * returns new point objects, so it can be re-run as the filters improve.
+ *
+ * @module lib/tracking/track-cleaning
+ */
+
+import { calculateDistance } from '@/lib/tracking/track-stats';
+import { SPEED_THRESHOLDS } from '@/lib/tracking/activity-detection';
+
+/**
+ * Speeds used by the filters, per activity type (m/s). `typical` is the
+ * Kalman filter's process noise; `max` is the fastest believable movement
+ * between two fixes.
+ */
+export const ACTIVITY_SPEEDS = {
+  walking: { typical: SPEED_THRESHOLDS.WALKING_MAX, max: 7 },
+  hiking: { typical: SPEED_THRESHOLDS.HIKING_MAX, max: 7 },
+  biking: { typical: SPEED_THRESHOLDS.BIKING_MAX, max: 25 },
+  driving: { typical: 30, max: 70 },
+};
+
+/**
+ * Cleaning thresholds
+ */
+export const CLEANING_THRESHOLDS = {
+  // Fixes reporting worse accuracy than this are dropped...
+  MAX_ACCURACY_M: 50,
+  // ...unless the device is just imprecise: the cutoff is at least this many
+  // times the track's median accuracy
+  ACCURACY_MEDIAN_FACTOR: 3,
+  // Accuracy assumed for fixes that don't report one
+  DEFAULT_ACCURACY_M: 10,
+  // Lower bound on accuracy so one over-confident fix can't pin the filter
+  MIN_ACCURACY_M: 3,
+  // Consecutive rejected jumps after which the new position is accepted
+  // (e.g. the GPS reacquiring after a tunnel)
+  TELEPORT_CONFIRM_POINTS: 3,
+  // Along-track radius of the altitude moving average
+  ALTITUDE_WINDOW_M: 30,
+  // Neighbors always included on each side of the altitude moving average
+  ALTITUDE_MIN_NEIGHBORS: 2,
+  // Altitude changes smaller than this are treated as noise
+  ALTITUDE_DEADBAND_M: 2,
+};
+
+/**
+ * Get a point's coordinates
+ * @param {Object} point - Track point
+ * @returns {{lat: number, lng: number}}
+ */
+const getCoordinates = (point) => ({
+  lat: Number(point.latitude ?? point.lat),
+  lng: Number(point.longitude ?? point.lng),
+});
+
+/**
+ * Get a point's reported horizontal accuracy
+ * @param {Object} point - Track point
+ * @returns {number|null} Accuracy in meters
+ */
+const getAccuracy = (point) => {
+  const accuracy = Number(point.accuracyM ?? point.accuracy_m ?? point.accuracy ?? NaN);
+  return Number.isNaN(accuracy) ? null : accuracy;
+};
+
+/**
+ * Get a point's altitude and the key it's stored under
+ * @param {Object} point - Track point
+ * @returns {{key: string, value: number|null}}
+ */
+const getAltitude = (point) => {
+  const key = ['altitudeM', 'altitude_m', 'altitude'].find((k) => k in point) || 'altitude_m';
+  const value = Number(point[key] ?? NaN);
+  return { key, value: Number.isNaN(value) ? null : value };
+};
+
+/**
+ * Get a point's recording segment
+ * @param {Object} point - Track point
+ * @returns {number} Segment number
+ */
+const getSegment = (point) => point.segmentNum ?? point.segment_num ?? 0;
+
+/**
+ * Get a point's recorded time
+ * @param {Object} point - Track point
+ * @returns {number} Milliseconds since epoch
+ */
+const getTime = (point) =>
+  new Date(point.recordedAt ?? point.recorded_at ?? point.timestamp).getTime();
+
+/**
+ * Get the filter speeds for an activity type
+ * @param {string} activityType - Track activity type
+ * @returns {{typical: number, max: number}}
+ */
+const getActivitySpeeds = (activityType) =>
+  ACTIVITY_SPEEDS[activityType] || ACTIVITY_SPEEDS.walking;
+
+/**
+ * Get the accuracy cutoff for a track
+ * @param {Array<Object>} points - Track points
+ * @returns {number} Accuracy in meters above which fixes are dropped
+ */
+const getAccuracyCutoff = (points) => {
+  const accuracies = points
+    .map(getAccuracy)
+    .filter((accuracy) => accuracy !== null)
+    .sort((a, b) => a - b);
+
+  if (accuracies.length === 0) {
+    return Infinity;
+  }
+
+  const median = accuracies[Math.floor(accuracies.length / 2)];
+  return Math.max(
+    CLEANING_THRESHOLDS.MAX_ACCURACY_M,
+    median * CLEANING_THRESHOLDS.ACCURACY_MEDIAN_FACTOR
+  );
+};
+
+/**
+ * Flag points that shouldn't be used: fixes with poor accuracy, missing
+ * coordinates, and jumps faster than the activity allows
+ * @param {Array<Object>} points - Track points in recording order
+ * @param {string} [activityType='walking'] - Track activity type
+ * @returns {Array<boolean>} True for each outlier
+ */
+export const flagOutliers = (points, activityType = 'walking') => {
+  const { max: maxSpeed } = getActivitySpeeds(activityType);
+  const accuracyCutoff = getAccuracyCutoff(points);
+  const outliers = points.map(() => false);
+
+  let anchor = null;
+  let rejectedRun = 0;
+
+  points.forEach((point, i) => {
+    const { lat, lng } = getCoordinates(point);
+    const accuracy = getAccuracy(point);
+
+    if (
+      Number.isNaN(lat) ||
+      Number.isNaN(lng) ||
+      (accuracy !== null && accuracy > accuracyCutoff)
+    ) {
+      outliers[i] = true;
+      return;
+    }
+
+    if (anchor && getSegment(anchor.point) === getSegment(point)) {
+      const distance = calculateDistance(anchor.lat, anchor.lng, lat, lng);
+      const seconds = Math.max((getTime(point) - getTime(anchor.point)) / 1000, 1);
+      // Allow for both fixes being off by their accuracy
+      const allowance = (getAccuracy(anchor.point) ?? 0) + (accuracy ?? 0);
+
+      if ((distance - allowance) / seconds > maxSpeed) {
+        rejectedRun += 1;
+        if (rejectedRun < CLEANING_THRESHOLDS.TELEPORT_CONFIRM_POINTS) {
+          outliers[i] = true;
+          return;
+        }
+      }
+    }
+
+    anchor = { point, lat, lng };
+    rejectedRun = 0;
+  });
+
+  return outliers;
+};
+
+/**
+ * Smooth positions with a Kalman filter that weighs each fix by its reported
+ * accuracy. Restarts at each recording segment.
+ * @param {Array<Object>} points - Track points in recording order (no outliers)
+ * @param {string} [activityType='walking'] - Track activity type
+ * @returns {Array<{latitude: number, longitude: number}>} Filtered positions
+ */
+export const filterPositions = (points, activityType = 'walking') => {
+  const { typical: processNoise } = getActivitySpeeds(activityType);
+  let state = null;
+
+  return points.map((point) => {
+    const { lat, lng } = getCoordinates(point);
+    const accuracy = Math.max(
+      getAccuracy(point) ?? CLEANING_THRESHOLDS.DEFAULT_ACCURACY_M,
+      CLEANING_THRESHOLDS.MIN_ACCURACY_M
+    );
+    const time = getTime(point);
+
+    if (!state || state.segment !== getSegment(point)) {
+      state = { lat, lng, variance: accuracy * accuracy, time, segment: getSegment(point) };
+      return { latitude: lat, longitude: lng };
+    }
+
+    const seconds = (time - state.time) / 1000;
+    if (seconds > 0) {
+      state.variance += seconds * processNoise * processNoise;
+      state.time = time;
+    }
+
+    const gain = state.variance / (state.variance + accuracy * accuracy);
+    state.lat += gain * (lat - state.lat);
+    state.lng += gain * (lng - state.lng);
+    state.variance *= 1 - gain;
+
+    return { latitude: state.lat, longitude: state.lng };
+  });
+};
+
+/**
+ * Smooth altitudes with a moving average over the surrounding stretch of
+ * track, then a dead band so small wobbles don't count as climbing.
+ * Restarts at each recording segment.
+ * @param {Array<Object>} points - Track points in recording order (no outliers),
+ *   ideally with filtered positions
+ * @returns {Array<number|null>} Smoothed altitudes (null where a point has none)
+ */
+export const smoothAltitudes = (points) => {
+  const smoothed = points.map(() => null);
+  let start = 0;
+
+  while (start < points.length) {
+    let end = start;
+    while (end + 1 < points.length && getSegment(points[end + 1]) === getSegment(points[start])) {
+      end += 1;
+    }
+
+    // Cumulative distance and altitude prefix sums for the segment
+    const count = end - start + 1;
+    const along = new Array(count).fill(0);
+    const altSums = new Array(count + 1).fill(0);
+    const altCounts = new Array(count + 1).fill(0);
+
+    for (let i = 0; i < count; i++) {
+      const point = points[start + i];
+      if (i > 0) {
+        const prev = getCoordinates(points[start + i - 1]);
+        const curr = getCoordinates(point);
+        along[i] = along[i - 1] + calculateDistance(prev.lat, prev.lng, curr.lat, curr.lng);
+      }
+      const { value } = getAltitude(point);
+      altSums[i + 1] = altSums[i] + (value ?? 0);
+      altCounts[i + 1] = altCounts[i] + (value === null ? 0 : 1);
+    }
+
+    let lo = 0;
+    let hi = 0;
+    let output = null;
+
+    for (let i = 0; i < count; i++) {
+      while (
+        lo < i - CLEANING_THRESHOLDS.ALTITUDE_MIN_NEIGHBORS &&
+        along[i] - along[lo] > CLEANING_THRESHOLDS.ALTITUDE_WINDOW_M
+      ) {
+        lo += 1;
+      }
+      hi = Math.max(hi, i);
+      while (
+        hi + 1 < count &&
+        (hi + 1 <= i + CLEANING_THRESHOLDS.ALTITUDE_MIN_NEIGHBORS ||
+          along[hi + 1] - along[i] <= CLEANING_THRESHOLDS.ALTITUDE_WINDOW_M)
+      ) {
+        hi += 1;
+      }
+
+      if (getAltitude(points[start + i]).value === null) {
+        continue;
+      }
+
+      const average = (altSums[hi + 1] - altSums[lo]) / (altCounts[hi + 1] - altCounts[lo]);
+
+      // Dead band: only follow the average once it moves far enough away
+      const band = CLEANING_THRESHOLDS.ALTITUDE_DEADBAND_M;
+      if (output === null) {
+        output = average;
+      } else if (average > output + band) {
+        output = average - band;
+      } else if (average < output - band) {
+        output = average + band;
+      }
+
+      smoothed[start + i] = Math.round(output * 100) / 100;
+    }
+
+    start = end + 1;
+  }
+
+  return smoothed;
+};
+
+/**
+ * Clean a track's points
+ * @param {Array<Object>} points - Track points in recording order
+ * @param {Object} [options]
+ * @param {string} [options.activityType='walking'] - Track activity type
+ * @returns {Array<Object>} One entry per input point: a copy with cleaned
+ *   latitude, longitude, and altitude, and `isOutlier` set for points that
+ *   should be left out (outliers keep their raw values)
+ */
+export const cleanTrack = (points, { activityType = 'walking' } = {}) => {
+  if (!points || points.length === 0) {
+    return [];
+  }
+
+  const outliers = flagOutliers(points, activityType);
+  const kept = points.filter((_, i) => !outliers[i]);
+  const positions = filterPositions(kept, activityType);
+  const filtered = kept.map((point, i) => ({ ...point, ...positions[i] }));
+  const altitudes = smoothAltitudes(filtered);
+
+  let keptIndex = 0;
+  return points.map((point, i) => {
+    if (outliers[i]) {
+      return { ...point, isOutlier: true };
+    }
+
+    const cleaned = filtered[keptIndex];
+    const { key } = getAltitude(point);
+    const altitude = altitudes[keptIndex];
+    keptIndex += 1;
+
+    return { ...cleaned, [key]: altitude, isOutlier: false };
+  });
+};
+
+export default {
+  ACTIVITY_SPEEDS,
+  CLEANING_THRESHOLDS,
+  flagOutliers,
+  filterPositions,
+  smoothAltitudes,
+  cleanTrack,
+};
@@ -0,0 +1,336 @@
+/**
+ * Track Export Utilities
+ *
+ * Serialize a recorded track and its points into GPX 1.1, KML, or GeoJSON
+ * so it can be imported into Garmin Connect, CalTopo, Google Earth, etc.
+ *
+ * @module lib/tracking/track-export
+ */
+
+import { calculateTrackStats, buildGeoJSON } from './track-stats.js';
+
+/**
+ * Supported export formats and their response metadata
+ */
+export const EXPORT_FORMATS = {
+  gpx: {
+    extension: 'gpx',
+    contentType: 'application/gpx+xml',
+  },
+  kml: {
+    extension: 'kml',
+    contentType: 'application/vnd.google-earth.kml+xml',
+  },
+  geojson: {
+    extension: 'geojson',
+    contentType: 'application/geo+json',
+  },
+};
+
+/**
+ * Check whether a format is supported
+ * @param {string} format - Format name
+ * @returns {boolean} True if supported
+ */
+export const isValidExportFormat = (format) =>
+  typeof format === 'string' && Object.hasOwn(EXPORT_FORMATS, format);
+
+/**
+ * Parse a numeric value that may come back from Postgres as a string
+ * @param {*} value - Raw value
+ * @returns {number|null} Parsed number or null
+ */
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isNaN(num) ? null : num;
+};
+
+/**
+ * Normalize raw track points (camelCase or snake_case) into a common shape
+ * @param {Array<Object>} points - Track points
+ * @returns {Array<Object>} Normalized points with valid coordinates
+ */
+export const normalizeExportPoints = (points) =>
+  (points || [])
+    .map((point) => ({
+      latitude: toNumber(point.latitude ?? point.lat),
+      longitude: toNumber(point.longitude ?? point.lng),
+      altitudeM: toNumber(point.altitudeM ?? point.altitude_m ?? point.altitude),
+      speedMps: toNumber(point.speedMps ?? point.speed_mps ?? point.speed),
+      heading: toNumber(point.heading),
+      recordedAt: point.recordedAt ?? point.recorded_at ?? point.timestamp ?? null,
+    }))
+    .filter((point) => point.latitude !== null && point.longitude !== null);
+
+/**
+ * Escape text for inclusion in XML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Convert a timestamp to an ISO 8601 string
+ * @param {string|Date} value - Timestamp
+ * @returns {string|null} ISO string or null if invalid
+ */
+const toIsoString = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Get a display name for a track
+ * @param {Object} track - Track record
+ * @returns {string} Track name
+ */
+const getTrackName = (track) => track?.title || `${track?.activity_type || 'Activity'} Track`;
+
+/**
+ * Build a filesystem-safe filename for an exported track
+ * @param {Object} track - Track record
+ * @param {string} format - Export format
+ * @returns {string} Filename with extension
+ */
+export const getExportFilename = (track, format) => {
+  const base = getTrackName(track)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60);
+
+  return `${base || 'track'}.${EXPORT_FORMATS[format]?.extension || format}`;
+};
+
+/**
+ * Build a GPX 1.1 document
+ * Speed and heading are written as Garmin TrackPointExtension v2 values,
+ * which Garmin Connect, CalTopo and most GPX readers understand.
+ * @param {Object} track - Track record
+ * @param {Array<Object>} points - Track points
+ * @returns {string} GPX XML
+ */
+export const buildGPX = (track, points) => {
+  const normalized = normalizeExportPoints(points);
+  const name = escapeXml(getTrackName(track));
+  const startTime = toIsoString(track?.started_at) || toIsoString(normalized[0]?.recordedAt);
+
+  const trackPoints = normalized
+    .map((point) => {
+      const lines = [`      <trkpt lat="${point.latitude}" lon="${point.longitude}">`];
+
+      if (point.altitudeM !== null) {
+        lines.push(`        <ele>${point.altitudeM}</ele>`);
+      }
+
+      const time = toIsoString(point.recordedAt);
+      if (time) {
+        lines.push(`        <time>${time}</time>`);
+      }
+
+      if (point.speedMps !== null || point.heading !== null) {
+        lines.push('        <extensions>');
+        lines.push('          <gpxtpx:TrackPointExtension>');
+        if (point.speedMps !== null) {
+          lines.push(`            <gpxtpx:speed>${point.speedMps}</gpxtpx:speed>`);
+        }
+        if (point.heading !== null) {
+          lines.push(`            <gpxtpx:course>${point.heading}</gpxtpx:course>`);
+        }
+        lines.push('          </gpxtpx:TrackPointExtension>');
+        lines.push('        </extensions>');
+      }
+
+      lines.push('      </trkpt>');
+      return lines.join('\n');
+    })
+    .join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="ParkLookup"',
+    '  xmlns="http://www.topografix.com/GPX/1/1"',
+    '  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"',
+    '  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '  xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+    '  <metadata>',
+    `    <name>${name}</name>`,
+    ...(track?.description ? [`    <desc>${escapeXml(track.description)}</desc>`] : []),
+    ...(startTime ? [`    <time>${startTime}</time>`] : []),
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${name}</name>`,
+    ...(track?.activity_type ? [`    <type>${escapeXml(track.activity_type)}</type>`] : []),
+    '    <trkseg>',
+    ...(trackPoints ? [trackPoints] : []),
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Build a KML 2.2 document
+ * Uses a gx:Track so per-point timestamps survive, with speed stored as
+ * a gx:SimpleArrayData extended data column.
+ * @param {Object} track - Track record
+ * @param {Array<Object>} points - Track points
+ * @returns {string} KML XML
+ */
+export const buildKML = (track, points) => {
+  const normalized = normalizeExportPoints(points);
+  const name = escapeXml(getTrackName(track));
+  const hasTimes = normalized.length > 0 && normalized.every((p) => toIsoString(p.recordedAt));
+
+  const geometry = hasTimes
+    ? [
+        '      <gx:Track>',
+        '        <altitudeMode>absolute</altitudeMode>',
+        ...normalized.map((p) => `        <when>${toIsoString(p.recordedAt)}</when>`),
+        ...normalized.map(
+          (p) => `        <gx:coord>${p.longitude} ${p.latitude} ${p.altitudeM ?? 0}</gx:coord>`
+        ),
+        '        <ExtendedData>',
+        '          <SchemaData schemaUrl="#trackSchema">',
+        '            <gx:SimpleArrayData name="speed">',
+        ...normalized.map((p) => `              <gx:value>${p.speedMps ?? ''}</gx:value>`),
+        '            </gx:SimpleArrayData>',
+        '          </SchemaData>',
+        '        </ExtendedData>',
+        '      </gx:Track>',
+      ]
+    : [
+        '      <LineString>',
+        '        <tessellate>1</tessellate>',
+        '        <altitudeMode>absolute</altitudeMode>',
+        `        <coordinates>${normalized
+          .map((p) => `${p.longitude},${p.latitude},${p.altitudeM ?? 0}`)
+          .join(' ')}</coordinates>`,
+        '      </LineString>',
+      ];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${name}</name>`,
+    '    <Schema id="trackSchema">',
+    '      <gx:SimpleArrayField name="speed" type="float">',
+    '        <displayName>Speed (m/s)</displayName>',
+    '      </gx:SimpleArrayField>',
+    '    </Schema>',
+    '    <Style id="trackStyle">',
+    '      <LineStyle>',
+    '        <color>ff3c9a16</color>',
+    '        <width>4</width>',
+    '      </LineStyle>',
+    '    </Style>',
+    '    <Placemark>',
+    `      <name>${name}</name>`,
+    ...(track?.description
+      ? [`      <description>${escapeXml(track.description)}</description>`]
+      : []),
+    '      <styleUrl>#trackStyle</styleUrl>',
+    ...geometry,
+    '    </Placemark>',
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Build a GeoJSON Feature for the track
+ * Per-point timestamps and speeds are stored in `coordTimes` and `speeds`
+ * properties, matching the convention used by togeojson and CalTopo.
+ * @param {Object} track - Track record
+ * @param {Array<Object>} points - Track points
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export const buildExportGeoJSON = (track, points) => {
+  const normalized = normalizeExportPoints(points);
+  const stats = calculateTrackStats(normalized);
+
+  return {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        geometry: buildGeoJSON(normalized),
+        properties: {
+          id: track?.id ?? null,
+          name: getTrackName(track),
+          description: track?.description ?? null,
+          activityType: track?.activity_type ?? null,
+          startedAt: toIsoString(track?.started_at),
+          endedAt: toIsoString(track?.ended_at),
+          distanceMeters: stats.distanceMeters,
+          durationSeconds: stats.durationSeconds,
+          elevationGainM: stats.elevationGainM,
+          elevationLossM: stats.elevationLossM,
+          minElevationM: stats.minElevationM,
+          maxElevationM: stats.maxElevationM,
+          avgSpeedMps: stats.avgSpeedMps,
+          maxSpeedMps: stats.maxSpeedMps,
+          pointCount: stats.pointCount,
+          coordTimes: normalized.map((p) => toIsoString(p.recordedAt)),
+          speeds: normalized.map((p) => p.speedMps),
+        },
+      },
+    ],
+  };
+};
+
+/**
+ * Serialize a track in the requested format
+ * @param {Object} track - Track record
+ * @param {Array<Object>} points - Track points
+ * @param {string} format - Export format ('gpx', 'kml', 'geojson')
+ * @returns {{body: string, contentType: string, filename: string}} Serialized track
+ * @throws {Error} If the format is not supported
+ */
+export const exportTrack = (track, points, format) => {
+  if (!isValidExportFormat(format)) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  let body;
+  if (format === 'gpx') {
+    body = buildGPX(track, points);
+  } else if (format === 'kml') {
+    body = buildKML(track, points);
+  } else {
+    body = JSON.stringify(buildExportGeoJSON(track, points), null, 2);
+  }
+
+  return {
+    body,
+    contentType: EXPORT_FORMATS[format].contentType,
+    filename: getExportFilename(track, format),
+  };
+};
+
+export default {
+  EXPORT_FORMATS,
+  isValidExportFormat,
+  normalizeExportPoints,
+  escapeXml,
+  getExportFilename,
+  buildGPX,
+  buildKML,
+  buildExportGeoJSON,
+  exportTrack,
+};
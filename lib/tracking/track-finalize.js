@@ -0,0 +1,165 @@
+/**
+ * Track Finalization
+ * Cleans a track's GPS points and recalculates its stats from them, right
+ * after the finalize_track database function runs. Altitudes come from the
+ * DEM where tiles are installed, since GPS altitude is the least reliable
+ * part of a fix. The raw points are kept, so refineTrackStats can be run
+ * again on an already finalized track.
+ * @module lib/tracking/track-finalize
+ */
+
+import {
+  calculateTrackStats,
+  calculateFastestSplit,
+  buildGeoJSON,
+} from '@/lib/tracking/track-stats';
+import { cleanTrack } from '@/lib/tracking/track-cleaning';
+import { getDemSource, correctPointElevations } from '@/lib/elevation/dem';
+import { fetchAllRows } from '@/lib/supabase/pagination';
+
+/**
+ * Most points read back when finalizing (matches the points API limit)
+ */
+export const FINALIZE_POINT_LIMIT = 50000;
+
+/**
+ * Load a track's raw points in recording order
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} trackId - Track ID
+ * @returns {Promise<Array<Object>>} Points with numeric coordinates
+ */
+export const getTrackPoints = async (supabase, trackId) => {
+  const { data, error } = await fetchAllRows(
+    () =>
+      supabase
+        .from('track_points')
+        .select(
+          'id, latitude, longitude, altitude_m, accuracy_m, speed_mps, recorded_at, sequence_num, segment_num'
+        )
+        .eq('track_id', trackId)
+        .order('sequence_num', { ascending: true }),
+    { limit: FINALIZE_POINT_LIMIT }
+  );
+
+  if (error) {
+    throw new Error(`Failed to load track points: ${error.message}`);
+  }
+
+  return (data || []).map((point) => ({
+    ...point,
+    latitude: parseFloat(point.latitude),
+    longitude: parseFloat(point.longitude),
+    altitude_m: point.altitude_m !== null ? parseFloat(point.altitude_m) : null,
+    accuracy_m: point.accuracy_m !== null ? parseFloat(point.accuracy_m) : null,
+  }));
+};
+
+/**
+ * Replace a point row's raw position and altitude with its cleaned values,
+ * when the track has been cleaned
+ * @param {Object} row - track_points row
+ * @returns {Object} Row to display and calculate with
+ */
+export const applyCleanedValues = (row) => {
+  if (row.clean_latitude === null || row.clean_latitude === undefined) {
+    return row;
+  }
+
+  return {
+    ...row,
+    latitude: row.clean_latitude,
+    longitude: row.clean_longitude,
+    altitude_m: row.clean_altitude_m,
+  };
+};
+
+/**
+ * Save cleaning results next to the raw points
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} trackId - Track ID
+ * @param {Array<Object>} cleaned - Points from cleanTrack
+ */
+const saveCleanedPoints = async (supabase, trackId, cleaned) => {
+  const { error } = await supabase.rpc('save_cleaned_track_points', {
+    p_track_id: trackId,
+    p_points: cleaned.map((point) => ({
+      id: point.id,
+      clean_latitude: point.isOutlier ? null : point.latitude,
+      clean_longitude: point.isOutlier ? null : point.longitude,
+      clean_altitude_m: point.isOutlier ? null : point.altitude_m,
+      is_outlier: point.isOutlier,
+    })),
+  });
+
+  if (error) {
+    throw new Error(`Failed to save cleaned points: ${error.message}`);
+  }
+};
+
+/**
+ * Clean a finalized track's points and update its stats from the cleaned
+ * points: distance, elevation, moving time, average speed, fastest mile, and
+ * geometry.
+ * Duration and max speed keep the database function's values.
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} track - Track row returned by finalize_track
+ * @returns {Promise<Object>} Updated track row (the original row if cleaning fails)
+ */
+export const refineTrackStats = async (supabase, track) => {
+  try {
+    const rawPoints = await getTrackPoints(supabase, track.id);
+    const points = await correctPointElevations(await getDemSource(), rawPoints);
+    const cleaned = cleanTrack(points, { activityType: track.activity_type });
+    const cleanPoints = cleaned.filter((point) => !point.isOutlier);
+
+    if (cleaned.length > 0) {
+      await saveCleanedPoints(supabase, track.id, cleaned);
+    }
+
+    const stats = calculateTrackStats(cleanPoints);
+    const updates = {
+      moving_seconds: stats.movingSeconds,
+      cleaned_at: new Date().toISOString(),
+    };
+
+    if (cleanPoints.length > 1) {
+      Object.assign(updates, {
+        distance_meters: stats.distanceMeters,
+        elevation_gain_m: stats.elevationGainM,
+        elevation_loss_m: stats.elevationLossM,
+        min_elevation_m: stats.minElevationM,
+        max_elevation_m: stats.maxElevationM,
+        fastest_mile_seconds: calculateFastestSplit(cleanPoints),
+        geometry: buildGeoJSON(cleanPoints),
+      });
+
+      if (stats.movingSeconds > 0) {
+        updates.avg_speed_mps =
+          Math.round((stats.distanceMeters / stats.movingSeconds) * 10000) / 10000;
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('user_tracks')
+      .update(updates)
+      .eq('id', track.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error cleaning track:', error);
+    return track;
+  }
+};
+
+export default {
+  FINALIZE_POINT_LIMIT,
+  getTrackPoints,
+  applyCleanedValues,
+  refineTrackStats,
+};
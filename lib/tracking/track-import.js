@@ -0,0 +1,538 @@
+/**
+ * Track Import Utilities
+ *
+ * Parse GPX and Garmin FIT activity files recorded on other devices into
+ * track points that match the shape used by `track_points`.
+ *
+ * @module lib/tracking/track-import
+ */
+
+import { calculateDistance } from './track-stats.js';
+
+/**
+ * Maximum accepted upload size (20 MB)
+ */
+export const MAX_IMPORT_FILE_SIZE = 20 * 1024 * 1024;
+
+/**
+ * Maximum number of points imported from a single file
+ */
+export const MAX_IMPORT_POINTS = 50000;
+
+/**
+ * Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+ */
+const FIT_EPOCH_OFFSET_S = 631065600;
+
+/**
+ * Conversion factor from FIT semicircles to degrees
+ */
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+/**
+ * FIT global message number for record (per-second sample) messages
+ */
+const FIT_RECORD_MESSAGE = 20;
+
+/**
+ * FIT record message field numbers we care about
+ */
+const FIT_RECORD_FIELDS = {
+  POSITION_LAT: 0,
+  POSITION_LONG: 1,
+  ALTITUDE: 2,
+  SPEED: 6,
+  ENHANCED_SPEED: 73,
+  ENHANCED_ALTITUDE: 78,
+  TIMESTAMP: 253,
+};
+
+/**
+ * Detect the file format from its name and contents
+ * @param {string} filename - Uploaded file name
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} 'gpx', 'fit', or null if unrecognized
+ */
+export const detectImportFormat = (filename, bytes) => {
+  if (bytes && bytes.length >= 12) {
+    const signature = String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]);
+    if (signature === '.FIT') {
+      return 'fit';
+    }
+  }
+
+  const extension = (filename || '').split('.').pop()?.toLowerCase();
+  if (extension === 'gpx') {
+    return 'gpx';
+  }
+  if (extension === 'fit') {
+    return 'fit';
+  }
+
+  if (bytes && bytes.length > 0) {
+    const head = Buffer.from(bytes.buffer, bytes.byteOffset, Math.min(bytes.length, 1024)).toString(
+      'utf8'
+    );
+    if (head.includes('<gpx')) {
+      return 'gpx';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Read an XML attribute value from an element's attribute string
+ * @param {string} attributes - Raw attribute string
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value
+ */
+const getXmlAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? match[1] : null;
+};
+
+/**
+ * Read the text content of the first matching child element
+ * Matches both prefixed (gpxtpx:speed) and unprefixed (speed) tags.
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Local tag name
+ * @returns {string|null} Text content
+ */
+const getXmlText = (xml, tag) => {
+  const match = xml.match(
+    new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`)
+  );
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Decode XML entities in text content
+ * @param {string} value - Encoded text
+ * @returns {string} Decoded text
+ */
+const decodeXmlEntities = (value) =>
+  value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * Parse a float, returning null for missing or invalid values
+ * @param {string|null} value - Raw value
+ * @returns {number|null} Parsed number
+ */
+const parseOptionalFloat = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const num = parseFloat(value);
+  return Number.isNaN(num) ? null : num;
+};
+
+/**
+ * Parse a GPX 1.0/1.1 document
+ * Reads track points (trkpt) and falls back to route points (rtept).
+ * @param {string} xml - GPX document
+ * @returns {{name: string|null, description: string|null, points: Array<Object>}} Parsed track
+ */
+export const parseGPX = (xml) => {
+  if (typeof xml !== 'string' || !xml.includes('<gpx')) {
+    throw new Error('Invalid GPX file');
+  }
+
+  const trkMatch = xml.match(/<trk(?:\s[^>]*)?>([\s\S]*?)<\/trk>/);
+  const metadataMatch = xml.match(/<metadata(?:\s[^>]*)?>([\s\S]*?)<\/metadata>/);
+  const nameSource = trkMatch?.[1].split(/<trkseg/)[0] || metadataMatch?.[1] || '';
+  const name = getXmlText(nameSource, 'name');
+  const description = getXmlText(nameSource, 'desc');
+
+  const pointPattern = /<(trkpt|rtept)\s([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  const trackPoints = [];
+  const routePoints = [];
+
+  for (const match of xml.matchAll(pointPattern)) {
+    const [, tag, attributes, body = ''] = match;
+    const latitude = parseOptionalFloat(getXmlAttribute(attributes, 'lat'));
+    const longitude = parseOptionalFloat(getXmlAttribute(attributes, 'lon'));
+
+    if (latitude === null || longitude === null) {
+      continue;
+    }
+
+    const time = getXmlText(body, 'time');
+    const recordedAt =
+      time && !Number.isNaN(Date.parse(time)) ? new Date(time).toISOString() : null;
+
+    const point = {
+      latitude,
+      longitude,
+      altitudeM: parseOptionalFloat(getXmlText(body, 'ele')),
+      speedMps: parseOptionalFloat(getXmlText(body, 'speed')),
+      heading: parseOptionalFloat(getXmlText(body, 'course')),
+      recordedAt,
+    };
+
+    if (tag === 'trkpt') {
+      trackPoints.push(point);
+    } else {
+      routePoints.push(point);
+    }
+  }
+
+  return {
+    name: name ? decodeXmlEntities(name) : null,
+    description: description ? decodeXmlEntities(description) : null,
+    points: trackPoints.length > 0 ? trackPoints : routePoints,
+  };
+};
+
+/**
+ * Read a single FIT field value
+ * @param {DataView} view - Data view over the file
+ * @param {number} offset - Byte offset
+ * @param {number} size - Field size in bytes
+ * @param {number} baseType - FIT base type byte
+ * @param {boolean} littleEndian - Architecture flag
+ * @returns {number|null} Value, or null if invalid or unsupported
+ */
+const readFitValue = (view, offset, size, baseType, littleEndian) => {
+  const type = baseType & 0x1f;
+  const signed = type === 0x01 || type === 0x03 || type === 0x05;
+
+  if (size === 1) {
+    const value = signed ? view.getInt8(offset) : view.getUint8(offset);
+    return value === (signed ? 0x7f : 0xff) ? null : value;
+  }
+
+  if (size === 2) {
+    const value = signed
+      ? view.getInt16(offset, littleEndian)
+      : view.getUint16(offset, littleEndian);
+    return value === (signed ? 0x7fff : 0xffff) ? null : value;
+  }
+
+  if (size === 4) {
+    const value = signed
+      ? view.getInt32(offset, littleEndian)
+      : view.getUint32(offset, littleEndian);
+    return value === (signed ? 0x7fffffff : 0xffffffff) ? null : value;
+  }
+
+  return null;
+};
+
+/**
+ * Convert a decoded FIT record message into a track point
+ * @param {Object} fields - Field values keyed by field number
+ * @returns {Object|null} Track point or null if it has no position
+ */
+const fitRecordToPoint = (fields) => {
+  const lat = fields[FIT_RECORD_FIELDS.POSITION_LAT];
+  const lng = fields[FIT_RECORD_FIELDS.POSITION_LONG];
+
+  if (lat === null || lat === undefined || lng === null || lng === undefined) {
+    return null;
+  }
+
+  const rawAltitude =
+    fields[FIT_RECORD_FIELDS.ENHANCED_ALTITUDE] ?? fields[FIT_RECORD_FIELDS.ALTITUDE] ?? null;
+  const rawSpeed =
+    fields[FIT_RECORD_FIELDS.ENHANCED_SPEED] ?? fields[FIT_RECORD_FIELDS.SPEED] ?? null;
+  const timestamp = fields[FIT_RECORD_FIELDS.TIMESTAMP];
+
+  return {
+    latitude: lat * SEMICIRCLES_TO_DEGREES,
+    longitude: lng * SEMICIRCLES_TO_DEGREES,
+    altitudeM: rawAltitude === null ? null : rawAltitude / 5 - 500,
+    speedMps: rawSpeed === null ? null : rawSpeed / 1000,
+    heading: null,
+    recordedAt:
+      timestamp === null || timestamp === undefined
+        ? null
+        : new Date((timestamp + FIT_EPOCH_OFFSET_S) * 1000).toISOString(),
+  };
+};
+
+/**
+ * Parse a Garmin FIT activity file
+ * Only record messages are decoded; everything else is skipped.
+ * @param {Uint8Array} bytes - FIT file contents
+ * @returns {{name: null, description: null, points: Array<Object>}} Parsed track
+ */
+export const parseFIT = (bytes) => {
+  if (!bytes || bytes.length < 12) {
+    throw new Error('Invalid FIT file');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerSize = view.getUint8(0);
+  const dataSize = view.getUint32(4, true);
+  const signature = String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]);
+
+  if (signature !== '.FIT' || headerSize < 12) {
+    throw new Error('Invalid FIT file');
+  }
+
+  const end = Math.min(headerSize + dataSize, bytes.length);
+  const definitions = {};
+  const points = [];
+  let offset = headerSize;
+  let lastTimestamp = null;
+
+  while (offset < end) {
+    const recordHeader = view.getUint8(offset);
+    offset += 1;
+
+    // Compressed timestamp header: data message with a 5-bit time offset
+    const isCompressed = (recordHeader & 0x80) !== 0;
+    const isDefinition = !isCompressed && (recordHeader & 0x40) !== 0;
+    const localType = isCompressed ? (recordHeader >> 5) & 0x03 : recordHeader & 0x0f;
+
+    if (isDefinition) {
+      const hasDeveloperData = (recordHeader & 0x20) !== 0;
+      const littleEndian = view.getUint8(offset + 1) === 0;
+      const globalNumber = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = view.getUint8(offset + 4);
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({
+          number: view.getUint8(offset),
+          size: view.getUint8(offset + 1),
+          baseType: view.getUint8(offset + 2),
+        });
+        offset += 3;
+      }
+
+      let developerSize = 0;
+      if (hasDeveloperData) {
+        const developerCount = view.getUint8(offset);
+        offset += 1;
+        for (let i = 0; i < developerCount; i++) {
+          developerSize += view.getUint8(offset + 1);
+          offset += 3;
+        }
+      }
+
+      definitions[localType] = { globalNumber, littleEndian, fields, developerSize };
+      continue;
+    }
+
+    const definition = definitions[localType];
+    if (!definition) {
+      throw new Error('Invalid FIT file: data message without definition');
+    }
+
+    const values = {};
+    for (const field of definition.fields) {
+      if (offset + field.size > end) {
+        break;
+      }
+      values[field.number] = readFitValue(
+        view,
+        offset,
+        field.size,
+        field.baseType,
+        definition.littleEndian
+      );
+      offset += field.size;
+    }
+    offset += definition.developerSize;
+
+    if (isCompressed && lastTimestamp !== null) {
+      const timeOffset = recordHeader & 0x1f;
+      let timestamp = (lastTimestamp & ~0x1f) + timeOffset;
+      if (timeOffset < (lastTimestamp & 0x1f)) {
+        timestamp += 0x20;
+      }
+      values[FIT_RECORD_FIELDS.TIMESTAMP] = timestamp;
+    }
+
+    const timestamp = values[FIT_RECORD_FIELDS.TIMESTAMP];
+    if (timestamp !== null && timestamp !== undefined) {
+      lastTimestamp = timestamp;
+    }
+
+    if (definition.globalNumber === FIT_RECORD_MESSAGE) {
+      const point = fitRecordToPoint(values);
+      if (point) {
+        points.push(point);
+      }
+    }
+  }
+
+  return { name: null, description: null, points };
+};
+
+/**
+ * Parse an uploaded activity file
+ * @param {string} filename - Uploaded file name
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{format: string, name: string|null, description: string|null, points: Array<Object>}} Parsed track
+ * @throws {Error} If the format is unsupported or the file is malformed
+ */
+export const parseTrackFile = (filename, bytes) => {
+  const format = detectImportFormat(filename, bytes);
+
+  if (format === 'gpx') {
+    return {
+      format,
+      ...parseGPX(Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length).toString('utf8')),
+    };
+  }
+
+  if (format === 'fit') {
+    return { format, ...parseFIT(bytes) };
+  }
+
+  throw new Error('Unsupported file format. Please upload a .gpx or .fit file.');
+};
+
+/**
+ * Fill in missing per-point speeds from distance over time
+ * Devices that don't log speed (most GPX exports) would otherwise always be
+ * detected as walking by getDominantActivity.
+ * @param {Array<Object>} points - Track points
+ * @returns {Array<Object>} Points with speedMps populated where derivable
+ */
+export const fillMissingSpeeds = (points) =>
+  (points || []).map((point, index) => {
+    if (point.speedMps !== null && point.speedMps !== undefined) {
+      return point;
+    }
+
+    const prev = points[index - 1];
+    if (!prev || !prev.recordedAt || !point.recordedAt) {
+      return { ...point, speedMps: null };
+    }
+
+    const seconds = (new Date(point.recordedAt) - new Date(prev.recordedAt)) / 1000;
+    if (!(seconds > 0)) {
+      return { ...point, speedMps: null };
+    }
+
+    const meters = calculateDistance(
+      prev.latitude,
+      prev.longitude,
+      point.latitude,
+      point.longitude
+    );
+    return { ...point, speedMps: Math.round((meters / seconds) * 1000) / 1000 };
+  });
+
+/**
+ * Pick evenly spaced points along a track
+ * @param {Array<Object>} points - Track points
+ * @param {number} [count=10] - Number of samples
+ * @returns {Array<Object>} Sampled points (always includes first and last)
+ */
+export const samplePoints = (points, count = 10) => {
+  if (!points || points.length <= count) {
+    return points || [];
+  }
+
+  const step = (points.length - 1) / (count - 1);
+  return Array.from({ length: count }, (_, i) => points[Math.round(i * step)]);
+};
+
+/**
+ * Distance from a point to a line segment in meters
+ * Uses a local equirectangular projection, which is accurate at trail scale.
+ * @param {Object} point - {latitude, longitude}
+ * @param {Array<number>} start - [lng, lat]
+ * @param {Array<number>} end - [lng, lat]
+ * @returns {number} Distance in meters
+ */
+export const distanceToSegment = (point, start, end) => {
+  const metersPerDegLat = 111320;
+  const metersPerDegLng = 111320 * Math.cos((point.latitude * Math.PI) / 180);
+
+  const px = (point.longitude - start[0]) * metersPerDegLng;
+  const py = (point.latitude - start[1]) * metersPerDegLat;
+  const dx = (end[0] - start[0]) * metersPerDegLng;
+  const dy = (end[1] - start[1]) * metersPerDegLat;
+
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSq));
+
+  return Math.hypot(px - t * dx, py - t * dy);
+};
+
+/**
+ * Distance from a point to a GeoJSON LineString or MultiLineString
+ * @param {Object} point - {latitude, longitude}
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {number} Distance in meters (Infinity if geometry is unusable)
+ */
+export const distanceToLine = (point, geometry) => {
+  let lines = [];
+  if (geometry?.type === 'MultiLineString') {
+    lines = geometry.coordinates;
+  } else if (geometry?.type === 'LineString') {
+    lines = [geometry.coordinates];
+  }
+
+  let min = Infinity;
+  for (const line of lines) {
+    for (let i = 1; i < line.length; i++) {
+      min = Math.min(min, distanceToSegment(point, line[i - 1], line[i]));
+    }
+  }
+
+  return min;
+};
+
+/**
+ * Find the trail that an imported track most closely follows
+ * @param {Array<Object>} points - Track points
+ * @param {Array<Object>} trails - Candidate trails with `geometry_geojson` (string or object)
+ * @param {number} [maxMeanDistanceM=75] - Maximum mean distance for a match
+ * @returns {Object|null} Best matching trail with `meanDistanceM`, or null
+ */
+export const matchNearestTrail = (points, trails, maxMeanDistanceM = 75) => {
+  const samples = samplePoints(points, 10);
+  if (samples.length === 0 || !trails?.length) {
+    return null;
+  }
+
+  let best = null;
+
+  for (const trail of trails) {
+    let geometry = trail.geometry_geojson ?? trail.geometry;
+    if (typeof geometry === 'string') {
+      try {
+        geometry = JSON.parse(geometry);
+      } catch {
+        continue;
+      }
+    }
+
+    const total = samples.reduce((sum, sample) => sum + distanceToLine(sample, geometry), 0);
+    const meanDistanceM = total / samples.length;
+
+    if (meanDistanceM <= maxMeanDistanceM && (!best || meanDistanceM < best.meanDistanceM)) {
+      best = { ...trail, meanDistanceM };
+    }
+  }
+
+  return best;
+};
+
+export default {
+  MAX_IMPORT_FILE_SIZE,
+  MAX_IMPORT_POINTS,
+  detectImportFormat,
+  parseGPX,
+  parseFIT,
+  parseTrackFile,
+  fillMissingSpeeds,
+  samplePoints,
+  distanceToSegment,
+  distanceToLine,
+  matchNearestTrail,
+};
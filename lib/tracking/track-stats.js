@@ -7,6 +7,8 @@
  * @module lib/tracking/track-stats
  */
 
+import { SPEED_THRESHOLDS } from '@/lib/tracking/activity-detection';
+
 /**
  * Earth's radius in meters (WGS84 mean radius)
  */
@@ -19,6 +21,52 @@ const EARTH_RADIUS_M = 6371000;
  */
 const toRadians = (degrees) => (degrees * Math.PI) / 180;
 
+/**
+ * Slowest speed that still counts as moving. Half the stationary cutoff, so a
+ * slow, steep climb isn't mistaken for a rest stop.
+ */
+export const MOVING_SPEED_MIN_MPS = SPEED_THRESHOLDS.STATIONARY_MAX / 2;
+
+/**
+ * GPS drift radius: positions within this distance of the last confirmed
+ * position are treated as standing still, however fast the jitter looks
+ */
+export const STOP_JITTER_METERS = 10;
+
+/**
+ * Meters per auto-split, by unit preference
+ */
+export const SPLIT_DISTANCES = {
+  metric: 1000,
+  imperial: 1609.344,
+};
+
+/**
+ * Get the recording segment a point belongs to.
+ * Segments start at 0 and increment each time tracking resumes after a pause.
+ * @param {Object} point - Track point
+ * @returns {number} Segment number
+ */
+const getPointSegment = (point) => point.segmentNum ?? point.segment_num ?? 0;
+
+/**
+ * Get a point's recorded time
+ * @param {Object} point - Track point
+ * @returns {number} Milliseconds since epoch (NaN if missing)
+ */
+const getPointTime = (point) =>
+  new Date(point.recordedAt ?? point.recorded_at ?? point.timestamp).getTime();
+
+/**
+ * Get a point's altitude
+ * @param {Object} point - Track point
+ * @returns {number|null} Altitude in meters
+ */
+const getPointAltitude = (point) => {
+  const altitude = Number(point.altitudeM ?? point.altitude_m ?? point.altitude ?? NaN);
+  return Number.isNaN(altitude) ? null : altitude;
+};
+
 /**
  * Calculate distance between two points using Haversine formula
  * @param {number} lat1 - Latitude of first point
@@ -56,6 +104,11 @@ export const calculateTotalDistance = (points) => {
     const prev = points[i - 1];
     const curr = points[i];
 
+    // Don't count ground covered while paused
+    if (getPointSegment(prev) !== getPointSegment(curr)) {
+      continue;
+    }
+
     const lat1 = prev.latitude ?? prev.lat;
     const lng1 = prev.longitude ?? prev.lng;
     const lat2 = curr.latitude ?? curr.lat;
@@ -93,9 +146,17 @@ export const calculateElevationStats = (points) => {
   let start = null;
   let end = null;
   let prevAltitude = null;
+  let prevSegment = null;
 
   for (const point of points) {
     const altitude = point.altitudeM ?? point.altitude_m ?? point.altitude;
+    const segment = getPointSegment(point);
+
+    // Climbing done while paused isn't part of the track
+    if (segment !== prevSegment) {
+      prevAltitude = null;
+      prevSegment = segment;
+    }
 
     if (altitude != null && !Number.isNaN(altitude)) {
       // Track min/max
@@ -131,7 +192,8 @@ export const calculateElevationStats = (points) => {
 };
 
 /**
- * Calculate speed statistics from points
+ * Calculate speed statistics from points.
+ * Readings below the moving threshold are GPS noise from standing still and are ignored.
  * @param {Array<Object>} points - Array of points with speed
  * @returns {Object} Speed statistics
  */
@@ -146,7 +208,7 @@ export const calculateSpeedStats = (points) => {
 
   const speeds = points
     .map((p) => p.speedMps ?? p.speed_mps ?? p.speed)
-    .filter((s) => s != null && !Number.isNaN(s) && s > 0);
+    .filter((s) => s != null && !Number.isNaN(s) && s >= MOVING_SPEED_MIN_MPS);
 
   if (speeds.length === 0) {
     return {
@@ -169,7 +231,30 @@ export const calculateSpeedStats = (points) => {
 };
 
 /**
- * Calculate duration from points
+ * Split points into recording segments at pause/resume boundaries
+ * @param {Array<Object>} points - Array of track points in sequence order
+ * @returns {Array<Array<Object>>} Points grouped by consecutive segment
+ */
+export const splitIntoSegments = (points) => {
+  if (!points || points.length === 0) {
+    return [];
+  }
+
+  const segments = [[points[0]]];
+
+  for (let i = 1; i < points.length; i++) {
+    if (getPointSegment(points[i]) === getPointSegment(points[i - 1])) {
+      segments[segments.length - 1].push(points[i]);
+    } else {
+      segments.push([points[i]]);
+    }
+  }
+
+  return segments;
+};
+
+/**
+ * Calculate duration from points, excluding time spent paused
  * @param {Array<Object>} points - Array of points with timestamps
  * @returns {number} Duration in seconds
  */
@@ -178,17 +263,77 @@ export const calculateDuration = (points) => {
     return 0;
   }
 
-  const firstPoint = points[0];
-  const lastPoint = points[points.length - 1];
+  let totalMs = 0;
+
+  for (const segment of splitIntoSegments(points)) {
+    const startTime = getPointTime(segment[0]);
+    const endTime = getPointTime(segment[segment.length - 1]);
+
+    if (Number.isNaN(startTime) || Number.isNaN(endTime)) {
+      return 0;
+    }
+
+    totalMs += endTime - startTime;
+  }
+
+  return Math.round(totalMs / 1000);
+};
 
-  const startTime = new Date(firstPoint.recordedAt ?? firstPoint.recorded_at ?? firstPoint.timestamp);
-  const endTime = new Date(lastPoint.recordedAt ?? lastPoint.recorded_at ?? lastPoint.timestamp);
+/**
+ * Flag which points were reached while moving.
+ * Walks each segment from one confirmed position to the next point outside
+ * the GPS jitter radius; that stretch counts as moving only if its average
+ * speed is above the moving threshold. Time spent drifting inside the radius
+ * (a rest stop) is never moving.
+ * @param {Array<Object>} points - Array of points with coordinates and timestamps
+ * @returns {Array<boolean>} moving[i] is true when the time from point i - 1 to i was moving
+ */
+const getMovingFlags = (points) => {
+  const moving = points.map(() => false);
+  let anchorIndex = 0;
 
-  if (Number.isNaN(startTime.getTime()) || Number.isNaN(endTime.getTime())) {
+  for (let i = 1; i < points.length; i++) {
+    if (getPointSegment(points[i]) !== getPointSegment(points[i - 1])) {
+      anchorIndex = i;
+      continue;
+    }
+
+    const distance = calculateTotalDistance([points[anchorIndex], points[i]]);
+    if (distance < STOP_JITTER_METERS) {
+      continue;
+    }
+
+    const elapsedMs = getPointTime(points[i]) - getPointTime(points[anchorIndex]);
+    if (elapsedMs > 0 && distance / (elapsedMs / 1000) >= MOVING_SPEED_MIN_MPS) {
+      moving.fill(true, anchorIndex + 1, i + 1);
+    }
+    anchorIndex = i;
+  }
+
+  return moving;
+};
+
+/**
+ * Calculate moving time, leaving out rest stops and pauses
+ * @param {Array<Object>} points - Array of points with coordinates and timestamps
+ * @returns {number} Moving time in seconds
+ */
+export const calculateMovingTime = (points) => {
+  if (!points || points.length < 2) {
     return 0;
   }
 
-  return Math.round((endTime - startTime) / 1000);
+  const moving = getMovingFlags(points);
+  let movingMs = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const elapsedMs = getPointTime(points[i]) - getPointTime(points[i - 1]);
+    if (moving[i] && elapsedMs > 0) {
+      movingMs += elapsedMs;
+    }
+  }
+
+  return Math.round(movingMs / 1000);
 };
 
 /**
@@ -241,22 +386,320 @@ export const calculateTrackStats = (points) => {
   const elevation = calculateElevationStats(points);
   const speed = calculateSpeedStats(points);
   const duration = calculateDuration(points);
+  const movingSeconds = calculateMovingTime(points);
   const bounds = calculateBounds(points);
 
   return {
     distanceMeters: Math.round(distance * 100) / 100,
     durationSeconds: duration,
+    movingSeconds,
     elevationGainM: elevation.gain,
     elevationLossM: elevation.loss,
     minElevationM: elevation.min,
     maxElevationM: elevation.max,
-    avgSpeedMps: speed.avg,
+    // Average over moving time so rest stops don't drag the pace down
+    avgSpeedMps:
+      movingSeconds > 0 ? Math.round((distance / movingSeconds) * 1000) / 1000 : speed.avg,
     maxSpeedMps: speed.max,
     ...bounds,
     pointCount: points?.length || 0,
   };
 };
 
+/**
+ * Calculate statistics for each recording segment (pause/resume boundaries)
+ * @param {Array<Object>} points - Array of track points in sequence order
+ * @returns {Array<Object>} Per-segment statistics
+ */
+export const calculateSegments = (points) =>
+  splitIntoSegments(points).map((segmentPoints, index) => {
+    const stats = calculateTrackStats(segmentPoints);
+    const first = segmentPoints[0];
+    const last = segmentPoints[segmentPoints.length - 1];
+
+    return {
+      index,
+      startedAt: first.recordedAt ?? first.recorded_at ?? first.timestamp ?? null,
+      endedAt: last.recordedAt ?? last.recorded_at ?? last.timestamp ?? null,
+      distanceMeters: stats.distanceMeters,
+      durationSeconds: stats.durationSeconds,
+      elevationGainM: stats.elevationGainM,
+      elevationLossM: stats.elevationLossM,
+      avgSpeedMps:
+        stats.durationSeconds > 0
+          ? Math.round((stats.distanceMeters / stats.durationSeconds) * 1000) / 1000
+          : 0,
+      pointCount: stats.pointCount,
+    };
+  });
+
+/**
+ * Calculate auto-splits every mile or kilometer.
+ * Distance, time, and elevation of the stretch between two points are shared
+ * proportionally when a split boundary falls between them. Only moving time
+ * is counted, so pauses and rest stops never inflate a split's pace.
+ * @param {Array<Object>} points - Array of track points in sequence order
+ * @param {string} [unit='metric'] - 'metric' for kilometer splits, 'imperial' for miles
+ * @returns {Array<Object>} Splits in order; the last one may be partial
+ */
+export const calculateSplits = (points, unit = 'metric') => {
+  if (!points || points.length < 2) {
+    return [];
+  }
+
+  const splitMeters = unit === 'imperial' ? SPLIT_DISTANCES.imperial : SPLIT_DISTANCES.metric;
+  const moving = getMovingFlags(points);
+  const splits = [];
+  let current = { distance: 0, ms: 0, gain: 0, loss: 0, startIndex: 0 };
+
+  const addToCurrent = (fraction, distance, ms, altitudeChange) => {
+    current.distance += distance * fraction;
+    current.ms += ms * fraction;
+    if (altitudeChange > 0) {
+      current.gain += altitudeChange * fraction;
+    } else {
+      current.loss -= altitudeChange * fraction;
+    }
+  };
+
+  const closeSplit = (endIndex, isPartial) => {
+    const movingSeconds = Math.round(current.ms / 1000);
+    splits.push({
+      index: splits.length + 1,
+      distanceMeters: Math.round(current.distance * 100) / 100,
+      movingSeconds,
+      avgSpeedMps: movingSeconds > 0 ? Math.round((current.distance / movingSeconds) * 1000) / 1000 : 0,
+      paceSeconds:
+        current.distance > 0 ? Math.round((current.ms / 1000) * (splitMeters / current.distance)) : null,
+      elevationGainM: Math.round(current.gain * 100) / 100,
+      elevationLossM: Math.round(current.loss * 100) / 100,
+      startIndex: current.startIndex,
+      endIndex,
+      isPartial,
+    });
+  };
+
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const curr = points[i];
+
+    if (getPointSegment(prev) !== getPointSegment(curr)) {
+      continue;
+    }
+
+    const distance = calculateTotalDistance([prev, curr]);
+    const elapsedMs = getPointTime(curr) - getPointTime(prev);
+    const ms = moving[i] && elapsedMs > 0 ? elapsedMs : 0;
+    const prevAltitude = getPointAltitude(prev);
+    const currAltitude = getPointAltitude(curr);
+    const altitudeChange =
+      prevAltitude !== null && currAltitude !== null ? currAltitude - prevAltitude : 0;
+
+    let used = 0;
+    while (distance > 0 && current.distance + distance * (1 - used) >= splitMeters) {
+      const fraction = (splitMeters - current.distance) / distance;
+      addToCurrent(fraction, distance, ms, altitudeChange);
+      used += fraction;
+      closeSplit(i, false);
+      current = { distance: 0, ms: 0, gain: 0, loss: 0, startIndex: i - 1 };
+    }
+
+    addToCurrent(1 - used, distance, ms, altitudeChange);
+  }
+
+  if (current.distance >= 1) {
+    closeSplit(points.length - 1, true);
+  }
+
+  return splits;
+};
+
+/**
+ * Find the fastest full split of a track
+ * @param {Array<Object>} points - Array of track points in sequence order
+ * @param {string} [unit='imperial'] - 'imperial' for the fastest mile, 'metric' for kilometer
+ * @returns {number|null} Moving seconds of the fastest full split, or null if there is none
+ */
+export const calculateFastestSplit = (points, unit = 'imperial') => {
+  const times = calculateSplits(points, unit)
+    .filter((split) => !split.isPartial && split.movingSeconds > 0)
+    .map((split) => split.movingSeconds);
+
+  return times.length > 0 ? Math.min(...times) : null;
+};
+
+/**
+ * Most samples in an elevation profile: enough for a smooth chart without
+ * thousands of points on long tracks
+ */
+export const ELEVATION_PROFILE_SAMPLES = 200;
+
+/**
+ * Closest spacing between elevation profile samples, so GPS-scale wiggles on
+ * short tracks don't show up as steep grades
+ */
+const MIN_PROFILE_SPACING_M = 10;
+
+/**
+ * Linearly interpolate between two values
+ * @param {number} from - Value at t = 0
+ * @param {number} to - Value at t = 1
+ * @param {number} t - Fraction between 0 and 1
+ * @returns {number} Interpolated value
+ */
+const lerp = (from, to, t) => from + (to - from) * t;
+
+/**
+ * Resample a line at a fixed distance interval.
+ * Positions, and altitudes where both neighbouring points have one, are
+ * interpolated between the original points. The gap between recording
+ * segments adds no distance, matching calculateTotalDistance.
+ * @param {Array<Object>} points - Points with latitude/longitude (or lat/lng) in order
+ * @param {number} spacingMeters - Distance between samples
+ * @returns {Array<Object>} Samples ({ distanceMeters, latitude, longitude, altitudeM }) from the
+ *   start to the end of the line, always including both ends
+ */
+export const resampleByDistance = (points, spacingMeters) => {
+  const located = (points || []).filter(
+    (point) =>
+      (point.latitude ?? point.lat ?? null) !== null &&
+      (point.longitude ?? point.lng ?? null) !== null
+  );
+
+  if (located.length === 0 || !(spacingMeters > 0)) {
+    return [];
+  }
+
+  const toSample = (point, distanceMeters) => ({
+    distanceMeters,
+    latitude: Number(point.latitude ?? point.lat),
+    longitude: Number(point.longitude ?? point.lng),
+    altitudeM: getPointAltitude(point),
+  });
+
+  const samples = [toSample(located[0], 0)];
+  let travelled = 0;
+
+  for (let i = 1; i < located.length; i++) {
+    const prev = toSample(located[i - 1], travelled);
+    const curr = toSample(located[i], travelled);
+    const length =
+      getPointSegment(located[i - 1]) === getPointSegment(located[i])
+        ? calculateDistance(prev.latitude, prev.longitude, curr.latitude, curr.longitude)
+        : 0;
+
+    let nextDistance = samples.length * spacingMeters;
+    while (length > 0 && nextDistance <= travelled + length) {
+      const t = (nextDistance - travelled) / length;
+      samples.push({
+        distanceMeters: nextDistance,
+        latitude: lerp(prev.latitude, curr.latitude, t),
+        longitude: lerp(prev.longitude, curr.longitude, t),
+        altitudeM:
+          prev.altitudeM !== null && curr.altitudeM !== null
+            ? lerp(prev.altitudeM, curr.altitudeM, t)
+            : null,
+      });
+      nextDistance = samples.length * spacingMeters;
+    }
+
+    travelled += length;
+  }
+
+  // Finish at the end of the line unless the last sample already landed there
+  if (travelled - samples[samples.length - 1].distanceMeters > 0.01) {
+    samples.push(toSample(located[located.length - 1], travelled));
+  }
+
+  return samples;
+};
+
+/**
+ * Look up the elevation at a distance along a stored elevation profile
+ * @param {Array<Array<number>>} profile - [[distance_m, elevation_m], ...] in distance order
+ * @param {number} distance - Distance along the line in meters
+ * @returns {number|null} Interpolated elevation, clamped to the ends of the profile
+ */
+const getProfileElevation = (profile, distance) => {
+  if (!profile?.length) {
+    return null;
+  }
+  if (distance <= profile[0][0]) {
+    return profile[0][1];
+  }
+
+  let low = 0;
+  let high = profile.length - 1;
+  if (distance >= profile[high][0]) {
+    return profile[high][1];
+  }
+
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (profile[mid][0] <= distance) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const [fromDistance, fromElevation] = profile[low];
+  const [toDistance, toElevation] = profile[high];
+  return lerp(fromElevation, toElevation, (distance - fromDistance) / (toDistance - fromDistance));
+};
+
+/**
+ * Build an elevation profile: elevation and grade at evenly spaced distances
+ * along a line, with the position of each sample so it can be shown on a map
+ * @param {Array<Object>} points - Points in order, with altitude unless an elevation
+ *   profile is given
+ * @param {Object} [options]
+ * @param {Array<Array<number>>} [options.elevationProfile] - Known elevations as
+ *   [[distance_m, elevation_m], ...] (e.g. trails.elevation_profile), used instead of
+ *   point altitudes
+ * @param {number} [options.maxSamples=ELEVATION_PROFILE_SAMPLES] - Most samples to return
+ * @returns {Array<Object>} Samples ({ distanceMeters, elevationM, gradePercent, latitude,
+ *   longitude }); empty when fewer than two have an elevation. Grade is the slope since the
+ *   previous sample.
+ */
+export const calculateElevationProfile = (
+  points,
+  { elevationProfile = null, maxSamples = ELEVATION_PROFILE_SAMPLES } = {}
+) => {
+  const totalDistance = calculateTotalDistance(points);
+  if (totalDistance <= 0) {
+    return [];
+  }
+
+  const spacing = Math.max(MIN_PROFILE_SPACING_M, totalDistance / (maxSamples - 1));
+  const samples = resampleByDistance(points, spacing)
+    .map((sample) => ({
+      ...sample,
+      elevationM: elevationProfile
+        ? getProfileElevation(elevationProfile, sample.distanceMeters)
+        : sample.altitudeM,
+    }))
+    .filter((sample) => sample.elevationM !== null);
+
+  if (samples.length < 2) {
+    return [];
+  }
+
+  const getGrade = (from, to) => {
+    const run = to.distanceMeters - from.distanceMeters;
+    return run > 0 ? Math.round(((to.elevationM - from.elevationM) / run) * 1000) / 10 : 0;
+  };
+
+  return samples.map((sample, index) => ({
+    distanceMeters: Math.round(sample.distanceMeters * 100) / 100,
+    elevationM: Math.round(sample.elevationM * 100) / 100,
+    // The first sample has nothing before it, so it shares the first stretch's grade
+    gradePercent: index === 0 ? getGrade(sample, samples[1]) : getGrade(samples[index - 1], sample),
+    latitude: sample.latitude,
+    longitude: sample.longitude,
+  }));
+};
+
 /**
  * Format distance for display
  * @param {number} meters - Distance in meters
@@ -495,13 +938,24 @@ export const simplifyTrack = (points, tolerance = 0.00001) => {
 };
 
 export default {
+  MOVING_SPEED_MIN_MPS,
+  STOP_JITTER_METERS,
+  SPLIT_DISTANCES,
+  ELEVATION_PROFILE_SAMPLES,
   calculateDistance,
   calculateTotalDistance,
   calculateElevationStats,
   calculateSpeedStats,
+  splitIntoSegments,
   calculateDuration,
+  calculateMovingTime,
   calculateBounds,
   calculateTrackStats,
+  calculateSegments,
+  calculateSplits,
+  calculateFastestSplit,
+  resampleByDistance,
+  calculateElevationProfile,
   formatDistance,
   formatDuration,
   formatSpeed,
@@ -190,6 +190,8 @@ export const deleteTrack = async (accessToken, trackId) => {
  * @param {number} [points[].altitudeAccuracyM] - Altitude accuracy in meters
  * @param {number} [points[].speedMps] - Speed in meters per second
  * @param {number} [points[].heading] - Heading in degrees
+ * @param {number} [points[].sequenceNum] - Point number within the track; resent numbers are
+ *   skipped and counted in `duplicates`
  * @param {string} [points[].recordedAt] - ISO timestamp
  * @returns {Promise<Object>} Insert result or error
  */
@@ -212,6 +214,7 @@ export const addTrackPoints = async (accessToken, trackId, points) => {
 
     return {
       inserted: data.inserted,
+      duplicates: data.duplicates,
       points: data.points,
       validationErrors: data.validationErrors,
       message: data.message,
@@ -348,6 +351,125 @@ export const unshareTrack = async (accessToken, trackId) => {
   }
 };
 
+/**
+ * Get a track's live location link
+ * @param {string} accessToken - User's access token
+ * @param {string} trackId - Track ID
+ * @returns {Promise<Object>} Live link state ({ enabled, url, expiresAt, ... }) or error
+ */
+export const getLiveShare = async (accessToken, trackId) => {
+  try {
+    const response = await fetch(`${API_BASE}/${trackId}/share`, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      return { error: data, status: response.status };
+    }
+
+    return { liveShare: data };
+  } catch (error) {
+    console.error('Error fetching live link:', error);
+    return { error: { message: 'Failed to fetch live link' } };
+  }
+};
+
+/**
+ * Create a live location link for a track being recorded, replacing any existing one
+ * @param {string} accessToken - User's access token
+ * @param {string} trackId - Track ID
+ * @param {number} [expiresInHours] - Link lifetime in hours
+ * @returns {Promise<Object>} Live link state or error
+ */
+export const createLiveShare = async (accessToken, trackId, expiresInHours) => {
+  try {
+    const response = await fetch(`${API_BASE}/${trackId}/share`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${accessToken}`,
+      },
+      body: JSON.stringify({ live: true, expiresInHours }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      return { error: data, status: response.status };
+    }
+
+    return { liveShare: data };
+  } catch (error) {
+    console.error('Error creating live link:', error);
+    return { error: { message: 'Failed to create live link' } };
+  }
+};
+
+/**
+ * Revoke a track's live location link
+ * @param {string} accessToken - User's access token
+ * @param {string} trackId - Track ID
+ * @returns {Promise<Object>} Success or error
+ */
+export const revokeLiveShare = async (accessToken, trackId) => {
+  try {
+    const response = await fetch(`${API_BASE}/${trackId}/share?live=true`, {
+      method: 'DELETE',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      return { error: data, status: response.status };
+    }
+
+    return { success: true, message: data.message };
+  } catch (error) {
+    console.error('Error revoking live link:', error);
+    return { error: { message: 'Failed to revoke live link' } };
+  }
+};
+
+/**
+ * Get the latest positions of a track shared with a live location link
+ * @param {string} trackId - Track ID
+ * @param {string} token - Live link token
+ * @param {number} [afterSequenceNum] - Only return points recorded after this one
+ * @returns {Promise<Object>} Track summary, new points, and link expiry, or error
+ */
+export const getLivePosition = async (trackId, token, afterSequenceNum) => {
+  try {
+    const params = new URLSearchParams({ token });
+    if (afterSequenceNum !== undefined) {
+      params.set('after', afterSequenceNum.toString());
+    }
+
+    const response = await fetch(`${API_BASE}/${trackId}/live?${params.toString()}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      return { error: data, status: response.status };
+    }
+
+    return {
+      track: data.track,
+      points: data.points,
+      hasMore: data.hasMore,
+      expiresAt: data.expiresAt,
+    };
+  } catch (error) {
+    console.error('Error fetching live position:', error);
+    return { error: { message: 'Failed to fetch live position' } };
+  }
+};
+
 /**
  * Get track likes and check if current user has liked
  * @param {string} accessToken - User's access token (optional)
@@ -596,6 +718,110 @@ export const finalizeTrack = async (accessToken, trackId) => {
   return updateTrack(accessToken, trackId, { status: 'completed' });
 };
 
+/**
+ * Export a track as a downloadable file
+ * @param {string} accessToken - User's access token (optional for public tracks)
+ * @param {string} trackId - Track ID
+ * @param {string} [format='gpx'] - Export format (gpx, kml, geojson)
+ * @returns {Promise<Object>} File blob and filename or error
+ */
+export const exportTrack = async (accessToken, trackId, format = 'gpx') => {
+  try {
+    const headers = {};
+    if (accessToken) {
+      headers.Authorization = `Bearer ${accessToken}`;
+    }
+
+    const response = await fetch(`${API_BASE}/${trackId}/export?format=${format}`, { headers });
+
+    if (!response.ok) {
+      const data = await response.json();
+      return { error: data, status: response.status };
+    }
+
+    const disposition = response.headers.get('content-disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const blob = await response.blob();
+
+    return { blob, filename: match ? match[1] : `track.${format}` };
+  } catch (error) {
+    console.error('Error exporting track:', error);
+    return { error: { message: 'Failed to export track' } };
+  }
+};
+
+/**
+ * Import a GPX or FIT file as a completed track
+ * @param {string} accessToken - User's access token
+ * @param {File} file - GPX or FIT file
+ * @param {Object} [options] - Optional overrides
+ * @param {string} [options.title] - Track title (defaults to the name in the file)
+ * @param {string} [options.description] - Track description
+ * @param {string} [options.activityType] - Activity type (detected from speeds if omitted)
+ * @returns {Promise<Object>} Imported track or error
+ */
+export const importTrack = async (accessToken, file, options = {}) => {
+  try {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    if (options.title) {
+      formData.append('title', options.title);
+    }
+    if (options.description) {
+      formData.append('description', options.description);
+    }
+    if (options.activityType) {
+      formData.append('activityType', options.activityType);
+    }
+
+    const response = await fetch(`${API_BASE}/import`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+      body: formData,
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      return { error: data, status: response.status };
+    }
+
+    return { track: data.track, matchedTrail: data.matchedTrail, pointCount: data.pointCount };
+  } catch (error) {
+    console.error('Error importing track:', error);
+    return { error: { message: 'Failed to import track' } };
+  }
+};
+
+/**
+ * Get the user's personal records, badges, and monthly totals
+ * @param {string} accessToken - User's access token
+ * @returns {Promise<Object>} Achievements or error
+ */
+export const getAchievements = async (accessToken) => {
+  try {
+    const response = await fetch(`${API_BASE}/achievements`, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      return { error: data, status: response.status };
+    }
+
+    return { achievements: data.achievements };
+  } catch (error) {
+    console.error('Error fetching achievements:', error);
+    return { error: { message: 'Failed to fetch achievements' } };
+  }
+};
+
 // ============================================
 // Track Media Functions
 // ============================================
@@ -841,6 +1067,31 @@ export const reorderTrackMedia = async (accessToken, trackId, order) => {
   }
 };
 
+// ============================================
+// Route Following Functions
+// ============================================
+
+/**
+ * Get a trail's line to follow while tracking
+ * @param {string} trailId - Trail ID
+ * @returns {Promise<Object>} Trail name and GeoJSON geometry, or error
+ */
+export const getTrailRoute = async (trailId) => {
+  try {
+    const response = await fetch(`/api/trails/${trailId}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      return { error: data, status: response.status };
+    }
+
+    return { route: { name: data.name, geometry: data.geometry } };
+  } catch (error) {
+    console.error('Error fetching trail route:', error);
+    return { error: { message: 'Failed to fetch trail route' } };
+  }
+};
+
 export default {
   createTrack,
   getTracks,
@@ -852,6 +1103,10 @@ export default {
   clearTrackPoints,
   shareTrack,
   unshareTrack,
+  getLiveShare,
+  createLiveShare,
+  revokeLiveShare,
+  getLivePosition,
   getTrackLikes,
   likeTrack,
   unlikeTrack,
@@ -861,6 +1116,9 @@ export default {
   updateTrackComment,
   deleteTrackComment,
   finalizeTrack,
+  exportTrack,
+  importTrack,
+  getAchievements,
   // Media functions
   getTrackMedia,
   uploadTrackMedia,
@@ -868,4 +1126,6 @@ export default {
   removeTrackMedia,
   updateTrackMedia,
   reorderTrackMedia,
+  // Route following functions
+  getTrailRoute,
 };
@@ -0,0 +1,94 @@
+/**
+ * Nearby Parks Lookup
+ *
+ * Candidate parks around a trip origin for the AI trip planner. Uses the
+ * `find_nearby_parks` RPC, falling back to a haversine filter over `all_parks`.
+ * NPS parks come back with their campgrounds so the planner can schedule
+ * overnight stays, and with named things to do and events during the trip so
+ * it can plan around them.
+ *
+ * @module lib/trips/nearby-parks
+ */
+
+import { createServerClient } from '@/lib/supabase/client';
+import { milesToMeters } from '@/lib/api/geocode-origin';
+import { attachCampgrounds } from '@/lib/campgrounds/campgrounds';
+import { attachThingsToDo } from '@/lib/parks/things-to-do';
+
+/**
+ * Attach what the planner needs to know about each park
+ * @param {Object} supabase - Supabase client
+ * @param {Object[]} parks - Parks
+ * @param {Object} dates - { startDate, endDate }
+ * @returns {Promise<Object[]>} Parks
+ */
+const attachPlanningDetails = async (supabase, parks, dates) =>
+  attachThingsToDo(supabase, await attachCampgrounds(supabase, parks), dates);
+
+/**
+ * Find nearby parks using the database
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} radiusMiles - Search radius in miles
+ * @param {Object} [dates] - Trip dates, for events during the trip
+ * @param {string} [dates.startDate] - Trip start (YYYY-MM-DD)
+ * @param {string} [dates.endDate] - Trip end (YYYY-MM-DD)
+ * @returns {Promise<Object[]>} Array of parks, with `campgrounds`, `things_to_do`,
+ *   and `events` where known
+ */
+export const findNearbyParks = async (lat, lng, radiusMiles, dates = {}) => {
+  const supabase = createServerClient();
+  const radiusMeters = milesToMeters(radiusMiles);
+
+  // Try RPC first
+  const { data: parks, error } = await supabase.rpc('find_nearby_parks', {
+    user_lat: lat,
+    user_lng: lng,
+    radius_meters: radiusMeters,
+    max_results: 30,
+  });
+
+  if (error) {
+    console.warn('RPC not available, using fallback:', error.message);
+
+    // Fallback to all_parks view with manual filtering
+    const { data: allParks, error: fallbackError } = await supabase
+      .from('all_parks')
+      .select('*')
+      .not('latitude', 'is', null)
+      .not('longitude', 'is', null);
+
+    if (fallbackError) {
+      throw new Error('Failed to fetch parks');
+    }
+
+    // Calculate distances and filter
+    const R = 6371; // Earth's radius in km
+    const parksWithDistance = allParks
+      .map((park) => {
+        const lat1 = (lat * Math.PI) / 180;
+        const lat2 = (park.latitude * Math.PI) / 180;
+        const deltaLat = ((park.latitude - lat) * Math.PI) / 180;
+        const deltaLon = ((park.longitude - lng) * Math.PI) / 180;
+
+        const a =
+          Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
+          Math.cos(lat1) * Math.cos(lat2) * Math.sin(deltaLon / 2) * Math.sin(deltaLon / 2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        const distance_km = R * c;
+
+        return { ...park, distance_km };
+      })
+      .filter((park) => park.distance_km <= radiusMiles * 1.60934)
+      .sort((a, b) => a.distance_km - b.distance_km)
+      .slice(0, 30);
+
+    return attachPlanningDetails(supabase, parksWithDistance, dates);
+  }
+
+  return attachPlanningDetails(supabase, parks, dates);
+};
+
+export default {
+  findNearbyParks,
+};
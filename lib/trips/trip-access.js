@@ -0,0 +1,92 @@
+/**
+ * Trip Access
+ *
+ * Roles for shared trips. The trip owner is trips.user_id; invited
+ * co-planners are rows in trip_members with an editor or viewer role.
+ *
+ * @module lib/trips/trip-access
+ */
+
+/**
+ * All roles, most to least privileged
+ */
+export const TRIP_ROLES = ['owner', 'editor', 'viewer'];
+
+/**
+ * Roles that can be given to invited members
+ */
+export const MEMBER_ROLES = ['editor', 'viewer'];
+
+/**
+ * Check whether a role is a valid invite role
+ * @param {string} role - Role to check
+ * @returns {boolean} True for editor or viewer
+ */
+export const isValidMemberRole = (role) => MEMBER_ROLES.includes(role);
+
+/**
+ * Check whether a role can change the itinerary
+ * @param {string|null} role - User's trip role
+ * @returns {boolean} True for owner or editor
+ */
+export const canEditTrip = (role) => role === 'owner' || role === 'editor';
+
+/**
+ * Check whether a role can invite, change, or remove members (and delete the trip)
+ * @param {string|null} role - User's trip role
+ * @returns {boolean} True for owner
+ */
+export const canManageTrip = (role) => role === 'owner';
+
+/**
+ * Resolve a user's role on a trip
+ * @param {Object} supabase - Supabase client
+ * @param {Object} trip - trips row with id and user_id
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} 'owner', 'editor', 'viewer', or null without access
+ */
+export const getTripRole = async (supabase, trip, userId) => {
+  if (!trip || !userId) {
+    return null;
+  }
+  if (trip.user_id === userId) {
+    return 'owner';
+  }
+
+  const { data: member, error } = await supabase
+    .from('trip_members')
+    .select('role')
+    .eq('trip_id', trip.id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to check trip access: ${error.message}`);
+  }
+
+  return member?.role || null;
+};
+
+/**
+ * Shape a trip_members row (with joined profile) for API responses
+ * @param {Object} row - trip_members row with profiles
+ * @returns {Object} Member with userId, username, displayName, avatarUrl, role, createdAt
+ */
+export const formatTripMember = (row) => ({
+  userId: row.user_id,
+  username: row.profiles?.username || null,
+  displayName: row.profiles?.display_name || null,
+  avatarUrl: row.profiles?.avatar_url || null,
+  role: row.role,
+  createdAt: row.created_at,
+});
+
+export default {
+  TRIP_ROLES,
+  MEMBER_ROLES,
+  isValidMemberRole,
+  canEditTrip,
+  canManageTrip,
+  getTripRole,
+  formatTripMember,
+};
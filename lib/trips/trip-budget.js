@@ -0,0 +1,374 @@
+/**
+ * Trip Budget Estimator
+ *
+ * Estimates what a trip costs from data we already have: OSRM driving
+ * distance (through `/api/route`) priced with the trip's fuel price and
+ * vehicle MPG, NPS entrance fees, and nightly lodging rates from the
+ * park's lodging `nearby_places`.
+ *
+ * `fetchTripBudgetDays` gathers the per-day inputs on the server;
+ * `calculateTripBudget` turns them into costs and is cheap enough to rerun
+ * in the browser while the user adjusts fuel price or MPG.
+ *
+ * @module lib/trips/trip-budget
+ */
+
+import { getTripDayCount } from '@/lib/trips/trip-editor';
+import { getTripWaypoints, fetchDrivingLegs } from '@/lib/trips/trip-routing';
+
+/**
+ * Fuel price (USD per gallon) when the trip doesn't set one
+ */
+export const DEFAULT_FUEL_PRICE = 3.5;
+
+/**
+ * Vehicle fuel economy (miles per gallon) when the trip doesn't set one
+ */
+export const DEFAULT_MPG = 25;
+
+/**
+ * Nightly lodging rate (USD) when no nearby lodging has a usable price
+ */
+export const DEFAULT_NIGHTLY_RATE = 150;
+
+/**
+ * Accepted ranges for user-supplied settings (matches the trips table checks)
+ */
+export const FUEL_PRICE_RANGE = { min: 0.5, max: 20 };
+export const MPG_RANGE = { min: 5, max: 150 };
+
+/**
+ * Typical nightly rate for Google "$" price levels
+ */
+const NIGHTLY_RATE_BY_PRICE_LEVEL = { 1: 90, 2: 150, 3: 250, 4: 400 };
+
+const METERS_PER_MILE = 1609.344;
+
+/**
+ * Round a dollar amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Resolve fuel price and MPG, falling back to defaults for missing or
+ * out-of-range values
+ * @param {Object} [settings] - Settings
+ * @param {number|string} [settings.fuelPrice] - USD per gallon
+ * @param {number|string} [settings.mpg] - Miles per gallon
+ * @returns {{fuelPrice: number, mpg: number}} Usable settings
+ */
+export const normalizeBudgetSettings = ({ fuelPrice, mpg } = {}) => {
+  const price = parseFloat(fuelPrice);
+  const economy = parseFloat(mpg);
+
+  return {
+    fuelPrice:
+      price >= FUEL_PRICE_RANGE.min && price <= FUEL_PRICE_RANGE.max ? price : DEFAULT_FUEL_PRICE,
+    mpg: economy >= MPG_RANGE.min && economy <= MPG_RANGE.max ? economy : DEFAULT_MPG,
+  };
+};
+
+/**
+ * Validate user-supplied budget settings
+ * @param {Object} settings - { fuelPrice, mpg }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateBudgetSettings = ({ fuelPrice, mpg } = {}) => {
+  if (
+    typeof fuelPrice !== 'number' ||
+    fuelPrice < FUEL_PRICE_RANGE.min ||
+    fuelPrice > FUEL_PRICE_RANGE.max
+  ) {
+    return `fuelPrice must be between ${FUEL_PRICE_RANGE.min} and ${FUEL_PRICE_RANGE.max}`;
+  }
+  if (typeof mpg !== 'number' || mpg < MPG_RANGE.min || mpg > MPG_RANGE.max) {
+    return `mpg must be between ${MPG_RANGE.min} and ${MPG_RANGE.max}`;
+  }
+  return null;
+};
+
+/**
+ * Pick the private vehicle fee from NPS `entranceFees`
+ * A vehicle pass covers everyone in the car, so it's the fee a road trip pays.
+ * @param {Array<{cost: string, title: string}>} entranceFees - NPS entrance fees
+ * @returns {number} Fee in USD (0 for free parks or parks without fee data)
+ */
+export const getVehicleEntranceFee = (entranceFees) => {
+  const fees = (entranceFees || [])
+    .map((fee) => ({ title: fee.title || '', cost: parseFloat(fee.cost) }))
+    .filter((fee) => Number.isFinite(fee.cost));
+
+  if (fees.length === 0) {
+    return 0;
+  }
+
+  const vehicleFee = fees.find(
+    (fee) => /vehicle/i.test(fee.title) && !/motorcycle|commercial/i.test(fee.title)
+  );
+  return vehicleFee ? vehicleFee.cost : fees[0].cost;
+};
+
+/**
+ * Read a nightly rate from a nearby place's price ("$$" or "$129")
+ * @param {string} priceLevel - nearby_places.price_level
+ * @returns {number|null} Nightly rate in USD
+ */
+export const parseNightlyRate = (priceLevel) => {
+  const price = String(priceLevel || '').trim();
+
+  const amount = price.match(/\$\s*(\d+(?:\.\d+)?)/);
+  if (amount) {
+    return parseFloat(amount[1]);
+  }
+
+  if (/^\$+$/.test(price)) {
+    return NIGHTLY_RATE_BY_PRICE_LEVEL[Math.min(price.length, 4)];
+  }
+
+  return null;
+};
+
+/**
+ * Estimate a nightly lodging rate near a park (median of priced places)
+ * @param {Array<Object>} lodgingPlaces - Lodging nearby_places rows
+ * @returns {{nightlyRate: number, source: string}} Rate, with 'nearby' or 'default' source
+ */
+export const estimateNightlyRate = (lodgingPlaces) => {
+  const rates = (lodgingPlaces || [])
+    .map((place) => parseNightlyRate(place.price_level))
+    .filter((rate) => rate !== null)
+    .sort((a, b) => a - b);
+
+  if (rates.length === 0) {
+    return { nightlyRate: DEFAULT_NIGHTLY_RATE, source: 'default' };
+  }
+
+  const middle = Math.floor(rates.length / 2);
+  const median = rates.length % 2 ? rates[middle] : (rates[middle - 1] + rates[middle]) / 2;
+  return { nightlyRate: roundCents(median), source: 'nearby' };
+};
+
+/**
+ * Lay out the per-day budget inputs for a trip
+ * Driving miles count toward the day of the stop being driven to (the
+ * drive home counts toward the last day); each park's entrance fee is paid
+ * once, on the first day it's visited; every night but the last is spent
+ * near that day's last park.
+ * @param {Object} options - Options
+ * @param {number} options.dayCount - Number of trip days
+ * @param {Array<Object>} options.stops - Stops sorted by day/order ({id, dayNumber, parkCode})
+ * @param {Array<{stopId: string|null}>} options.waypoints - Routed waypoints (from getTripWaypoints)
+ * @param {Array<{distance: number}>|null} options.legs - Driving legs between waypoints
+ * @param {Object} options.parks - Park code to {name, entranceFee, lodging}
+ * @returns {Array<Object>} Days with drivingMiles, entranceFees, and lodging
+ */
+export const buildBudgetDays = ({ dayCount, stops, waypoints, legs, parks }) => {
+  const days = Array.from({ length: dayCount }, (_, index) => ({
+    dayNumber: index + 1,
+    drivingMiles: 0,
+    entranceFees: [],
+    lodging: null,
+  }));
+  const dayOfStop = Object.fromEntries(stops.map((stop) => [stop.id, stop.dayNumber]));
+  const getDay = (dayNumber) => days[Math.min(Math.max(dayNumber, 1), dayCount) - 1];
+
+  (legs || []).forEach((leg, index) => {
+    const to = waypoints[index + 1];
+    const dayNumber = to?.stopId ? dayOfStop[to.stopId] : dayCount;
+    getDay(dayNumber).drivingMiles += (leg.distance || 0) / METERS_PER_MILE;
+  });
+
+  const paidParks = new Set();
+  stops.forEach((stop) => {
+    const park = parks[stop.parkCode];
+    if (paidParks.has(stop.parkCode) || !park?.entranceFee) {
+      return;
+    }
+    paidParks.add(stop.parkCode);
+    getDay(stop.dayNumber).entranceFees.push({
+      parkCode: stop.parkCode,
+      parkName: park.name || stop.parkCode,
+      amount: park.entranceFee,
+    });
+  });
+
+  // Stay near the last park visited so far, including on days without stops
+  let lastParkCode = null;
+  days.forEach((day) => {
+    const dayStops = stops.filter((stop) => stop.dayNumber === day.dayNumber);
+    if (dayStops.length > 0) {
+      lastParkCode = dayStops[dayStops.length - 1].parkCode;
+    }
+    if (day.dayNumber === dayCount) {
+      return;
+    }
+    const park = lastParkCode ? parks[lastParkCode] : null;
+    day.lodging = {
+      parkCode: lastParkCode,
+      parkName: park?.name || null,
+      ...(park?.lodging || { nightlyRate: DEFAULT_NIGHTLY_RATE, source: 'default' }),
+    };
+  });
+
+  return days.map((day) => ({ ...day, drivingMiles: Math.round(day.drivingMiles * 10) / 10 }));
+};
+
+/**
+ * Price out a trip's budget days
+ * @param {Array<Object>} days - Days from buildBudgetDays
+ * @param {Object} [settings] - { fuelPrice, mpg }
+ * @returns {{settings: Object, days: Array<Object>, totals: Object}} Per-day and total costs
+ */
+export const calculateTripBudget = (days, settings) => {
+  const { fuelPrice, mpg } = normalizeBudgetSettings(settings);
+  const totals = { drivingMiles: 0, fuel: 0, entranceFees: 0, lodging: 0, total: 0 };
+
+  const pricedDays = (days || []).map((day) => {
+    const costs = {
+      fuel: roundCents((day.drivingMiles / mpg) * fuelPrice),
+      entranceFees: roundCents(day.entranceFees.reduce((sum, fee) => sum + fee.amount, 0)),
+      lodging: roundCents(day.lodging?.nightlyRate || 0),
+    };
+    costs.total = roundCents(costs.fuel + costs.entranceFees + costs.lodging);
+
+    totals.drivingMiles += day.drivingMiles;
+    Object.keys(costs).forEach((key) => {
+      totals[key] += costs[key];
+    });
+
+    return { ...day, costs };
+  });
+
+  Object.keys(totals).forEach((key) => {
+    totals[key] =
+      key === 'drivingMiles' ? Math.round(totals[key] * 10) / 10 : roundCents(totals[key]);
+  });
+
+  return { settings: { fuelPrice, mpg }, days: pricedDays, totals };
+};
+
+/**
+ * Format a dollar amount for display
+ * @param {number} amount - Amount in USD
+ * @returns {string} Amount like "$1,234"
+ */
+export const formatCost = (amount) => `$${Math.round(amount || 0).toLocaleString('en-US')}`;
+
+/**
+ * Load park names, coordinates, entrance fees, and lodging rates
+ * @param {Object} supabase - Supabase client
+ * @param {Array<string>} parkCodes - Park codes
+ * @returns {Promise<Object>} Park code to {name, latitude, longitude, entranceFee, lodging}
+ */
+const fetchBudgetParks = async (supabase, parkCodes) => {
+  const codes = [...new Set(parkCodes)].filter(Boolean);
+  if (codes.length === 0) {
+    return {};
+  }
+
+  // all_parks covers NPS parks (with entrance_fees) and Wikidata/local parks
+  const { data: parkRows } = await supabase
+    .from('all_parks')
+    .select('id, park_code, full_name, latitude, longitude, entrance_fees')
+    .in('park_code', codes);
+
+  const parks = {};
+  const parkCodeById = {};
+  (parkRows || []).forEach((park) => {
+    parkCodeById[park.id] = park.park_code;
+    parks[park.park_code] = {
+      name: park.full_name,
+      latitude: park.latitude === null ? null : parseFloat(park.latitude),
+      longitude: park.longitude === null ? null : parseFloat(park.longitude),
+      entranceFee: getVehicleEntranceFee(park.entrance_fees),
+      lodging: null,
+    };
+  });
+
+  const parkIds = Object.keys(parkCodeById);
+  if (parkIds.length > 0) {
+    const { data: lodgingRows } = await supabase
+      .from('park_nearby_places')
+      .select('park_id, nearby_places!inner (price_level, category)')
+      .in('park_id', parkIds)
+      .eq('nearby_places.category', 'lodging');
+
+    const placesByPark = {};
+    (lodgingRows || []).forEach((row) => {
+      const parkCode = parkCodeById[row.park_id];
+      if (!parkCode || !row.nearby_places) {
+        return;
+      }
+      if (!placesByPark[parkCode]) {
+        placesByPark[parkCode] = [];
+      }
+      placesByPark[parkCode].push(row.nearby_places);
+    });
+
+    Object.keys(parks).forEach((parkCode) => {
+      parks[parkCode].lodging = estimateNightlyRate(placesByPark[parkCode]);
+    });
+  }
+
+  return parks;
+};
+
+/**
+ * Gather the per-day budget inputs for a trip
+ * Routing failures are non-fatal: driving miles are reported as 0 and
+ * `routed` is false so the UI can say fuel is missing.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} trip - trips row with origin, origin_lat/lng, start/end_date, and trip_stops
+ * @returns {Promise<{days: Array<Object>, routed: boolean}>} Budget days
+ */
+export const fetchTripBudgetDays = async (supabase, trip) => {
+  const stops = [...(trip.trip_stops || [])]
+    .sort((a, b) => a.day_number - b.day_number || a.order_index - b.order_index)
+    .map((stop) => ({ id: stop.id, dayNumber: stop.day_number, parkCode: stop.park_code }));
+
+  const maxStopDay = stops.reduce((max, stop) => Math.max(max, stop.dayNumber), 1);
+  const dayCount =
+    trip.start_date && trip.end_date
+      ? Math.max(getTripDayCount(trip.start_date, trip.end_date), maxStopDay)
+      : maxStopDay;
+
+  const parks = await fetchBudgetParks(
+    supabase,
+    stops.map((stop) => stop.parkCode)
+  );
+
+  const waypoints = getTripWaypoints(
+    trip,
+    stops.map((stop) => ({ id: stop.id, park_code: stop.parkCode })),
+    parks
+  );
+  // Include the drive home from the last park
+  if (waypoints.length > 1 && waypoints[0].stopId === null) {
+    waypoints.push({ ...waypoints[0] });
+  }
+  const legs = await fetchDrivingLegs(waypoints);
+
+  return {
+    days: buildBudgetDays({ dayCount, stops, waypoints, legs, parks }),
+    routed: legs !== null,
+  };
+};
+
+export default {
+  DEFAULT_FUEL_PRICE,
+  DEFAULT_MPG,
+  DEFAULT_NIGHTLY_RATE,
+  FUEL_PRICE_RANGE,
+  MPG_RANGE,
+  normalizeBudgetSettings,
+  validateBudgetSettings,
+  getVehicleEntranceFee,
+  parseNightlyRate,
+  estimateNightlyRate,
+  buildBudgetDays,
+  calculateTripBudget,
+  formatCost,
+  fetchTripBudgetDays,
+};
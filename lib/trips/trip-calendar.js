@@ -0,0 +1,272 @@
+/**
+ * Trip Calendar (iCalendar) Generator
+ *
+ * Builds RFC 5545 .ics files with one all-day event per trip day. Used for
+ * single-trip downloads and for the per-user subscription feed of upcoming
+ * owned and shared trips that Google/Apple calendars poll.
+ *
+ * @module lib/trips/trip-calendar
+ */
+
+import { getTripDayCount } from '@/lib/trips/trip-editor';
+
+/**
+ * Product identifier written to every calendar
+ */
+const PRODID = '-//ParkLookup//Trip Planner//EN';
+
+/**
+ * Domain used for event UIDs (must stay stable so calendar apps update events in place)
+ */
+const UID_DOMAIN = 'parklookup.com';
+
+/**
+ * Maximum line length in octets before folding (RFC 5545 §3.1)
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export const escapeICSText = (text) =>
+  String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets
+ * Multi-byte characters are never split.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF + space
+ */
+export const foldICSLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format a trip date plus an offset as an iCalendar DATE (YYYYMMDD)
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @param {number} [offsetDays=0] - Days to add
+ * @returns {string} Formatted date
+ */
+export const formatICSDate = (dateString, offsetDays = 0) => {
+  const date = new Date(`${String(dateString).slice(0, 10)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + offsetDays);
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+/**
+ * Format a timestamp as an iCalendar UTC DATE-TIME (YYYYMMDDTHHMMSSZ)
+ * @param {Date|string} value - Timestamp
+ * @returns {string} Formatted timestamp
+ */
+export const formatICSTimestamp = (value) =>
+  new Date(value)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+/**
+ * Build a safe .ics filename from a trip title
+ * @param {string} title - Trip title
+ * @returns {string} Filename
+ */
+export const getCalendarFilename = (title) => {
+  const slug = String(title || 'trip')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `${slug || 'trip'}.ics`;
+};
+
+/**
+ * Describe one stop's plans for an event description
+ * @param {Object} stop - trip_stops row
+ * @param {string} parkName - Park name
+ * @param {boolean} withHeading - Prefix with the park name (days with several parks)
+ * @returns {string} Plain-text description block
+ */
+const describeStop = (stop, parkName, withHeading) => {
+  const lines = withHeading ? [parkName] : [];
+
+  if (stop.highlights) {
+    lines.push(`Highlights: ${stop.highlights}`);
+  }
+  if (stop.driving_notes) {
+    lines.push(`Getting there: ${stop.driving_notes}`);
+  }
+  if (stop.morning_plan) {
+    lines.push(`Morning: ${stop.morning_plan}`);
+  }
+  if (stop.afternoon_plan) {
+    lines.push(`Afternoon: ${stop.afternoon_plan}`);
+  }
+  if (stop.evening_plan) {
+    lines.push(`Evening: ${stop.evening_plan}`);
+  }
+  if (stop.notes) {
+    lines.push(`Notes: ${stop.notes}`);
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Build one event per day of a trip
+ * @param {Object} trip - trips row with trip_stops
+ * @param {Object} parks - Map of park_code to {name, latitude, longitude}
+ * @param {Object} [options] - Options
+ * @param {string} [options.baseUrl] - Site URL for links back to the trip
+ * @returns {Array<Object>} Events with uid, date, endDate, summary, location, geo, description, url
+ */
+export const buildTripDayEvents = (trip, parks = {}, { baseUrl = '' } = {}) => {
+  const dayCount = getTripDayCount(trip.start_date, trip.end_date);
+  const stops = [...(trip.trip_stops || [])].sort((a, b) => {
+    if (a.day_number !== b.day_number) {
+      return a.day_number - b.day_number;
+    }
+    return (a.order_index || 0) - (b.order_index || 0);
+  });
+  const tripUrl = baseUrl ? `${baseUrl}/trip/${trip.id}` : null;
+
+  return Array.from({ length: dayCount }, (_, i) => {
+    const dayNumber = i + 1;
+    const dayStops = stops.filter((s) => s.day_number === dayNumber);
+    const parkNames = dayStops.map((s) => parks[s.park_code]?.name || s.park_code);
+    const located = dayStops
+      .map((s) => parks[s.park_code])
+      .find((p) => p?.latitude && p?.longitude);
+
+    const descriptionParts = dayStops.map((stop, index) =>
+      describeStop(stop, parkNames[index], dayStops.length > 1)
+    );
+    if (tripUrl) {
+      descriptionParts.push(`Full itinerary: ${tripUrl}`);
+    }
+
+    return {
+      uid: `${trip.id}-day-${dayNumber}@${UID_DOMAIN}`,
+      date: formatICSDate(trip.start_date, i),
+      // All-day events end on the (exclusive) following day
+      endDate: formatICSDate(trip.start_date, i + 1),
+      summary:
+        parkNames.length > 0
+          ? `Day ${dayNumber}: ${parkNames.join(' & ')}`
+          : `Day ${dayNumber}: ${trip.title || 'Trip'}`,
+      location: parkNames.join(', ') || null,
+      geo: located ? { lat: located.latitude, lng: located.longitude } : null,
+      description: descriptionParts.join('\n\n'),
+      url: tripUrl,
+      lastModified: trip.updated_at || trip.created_at || null,
+    };
+  });
+};
+
+/**
+ * Serialize events into an iCalendar document
+ * @param {Array<Object>} events - Events from buildTripDayEvents
+ * @param {Object} [options] - Options
+ * @param {string} [options.name] - Calendar display name
+ * @param {Date} [options.now] - DTSTAMP for all events
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const serializeCalendar = (events, { name = 'ParkLookup Trips', now = new Date() } = {}) => {
+  const stamp = formatICSTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICSText(name)}`,
+    // Suggest a 6-hour refresh for subscription feeds
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H',
+  ];
+
+  events.forEach((event) => {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+    if (event.lastModified) {
+      lines.push(`LAST-MODIFIED:${formatICSTimestamp(event.lastModified)}`);
+    }
+
+    lines.push(
+      `DTSTART;VALUE=DATE:${event.date}`,
+      `DTEND;VALUE=DATE:${event.endDate}`,
+      `SUMMARY:${escapeICSText(event.summary)}`
+    );
+
+    if (event.location) {
+      lines.push(`LOCATION:${escapeICSText(event.location)}`);
+    }
+    if (event.geo) {
+      lines.push(`GEO:${event.geo.lat.toFixed(6)};${event.geo.lng.toFixed(6)}`);
+    }
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeICSText(event.description)}`);
+    }
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+    }
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldICSLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Generate an iCalendar document for one or more trips
+ * @param {Array<Object>} trips - trips rows with trip_stops
+ * @param {Object} parks - Map of park_code to {name, latitude, longitude}
+ * @param {Object} [options] - Options
+ * @param {string} [options.name] - Calendar display name
+ * @param {string} [options.baseUrl] - Site URL for links back to trips
+ * @param {Date} [options.now] - DTSTAMP for all events
+ * @returns {string} iCalendar text
+ */
+export const generateTripCalendar = (trips, parks, { name, baseUrl, now } = {}) =>
+  serializeCalendar(
+    trips.flatMap((trip) => buildTripDayEvents(trip, parks, { baseUrl })),
+    { name, now }
+  );
+
+export default {
+  escapeICSText,
+  foldICSLine,
+  formatICSDate,
+  formatICSTimestamp,
+  getCalendarFilename,
+  buildTripDayEvents,
+  serializeCalendar,
+  generateTripCalendar,
+};
@@ -0,0 +1,188 @@
+/**
+ * Trip Editing Utilities
+ *
+ * Pure helpers for rearranging trip stops after generation. Used by the
+ * itinerary editor for optimistic updates and by the trip API routes to
+ * validate and renumber stops.
+ *
+ * @module lib/trips/trip-editor
+ */
+
+/**
+ * Editable free-text plan fields (API camelCase → trip_stops column)
+ */
+export const STOP_PLAN_FIELDS = {
+  morningPlan: 'morning_plan',
+  afternoonPlan: 'afternoon_plan',
+  eveningPlan: 'evening_plan',
+  notes: 'notes',
+};
+
+/**
+ * Maximum length of a single plan field
+ */
+export const MAX_PLAN_LENGTH = 2000;
+
+/**
+ * Fallback day limit when a trip has no usable dates
+ */
+const DEFAULT_MAX_DAYS = 30;
+
+/**
+ * Number of days covered by a trip (inclusive)
+ * @param {string} startDate - Trip start date (YYYY-MM-DD)
+ * @param {string} endDate - Trip end date (YYYY-MM-DD)
+ * @returns {number} Number of days, or DEFAULT_MAX_DAYS if dates are missing
+ */
+export const getTripDayCount = (startDate, endDate) => {
+  const start = Date.parse(startDate);
+  const end = Date.parse(endDate);
+
+  if (Number.isNaN(start) || Number.isNaN(end) || end < start) {
+    return DEFAULT_MAX_DAYS;
+  }
+
+  return Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+};
+
+/**
+ * Check that a day number is a whole day within the trip
+ * @param {*} dayNumber - Candidate day number
+ * @param {number} dayCount - Number of days in the trip
+ * @returns {boolean} True if valid
+ */
+export const isValidDayNumber = (dayNumber, dayCount) =>
+  Number.isInteger(dayNumber) && dayNumber >= 1 && dayNumber <= dayCount;
+
+/**
+ * Sort stops by day and position
+ * @param {Array<Object>} stops - Stops with dayNumber/orderIndex
+ * @returns {Array<Object>} New sorted array
+ */
+export const sortStops = (stops) =>
+  [...(stops || [])].sort((a, b) => {
+    if (a.dayNumber !== b.dayNumber) {
+      return a.dayNumber - b.dayNumber;
+    }
+    return (a.orderIndex ?? 0) - (b.orderIndex ?? 0);
+  });
+
+/**
+ * Sort stops and renumber orderIndex sequentially across the whole trip
+ * (matching how the AI generator assigns order_index)
+ * @param {Array<Object>} stops - Stops with dayNumber/orderIndex
+ * @returns {Array<Object>} New array with contiguous orderIndex values
+ */
+export const reindexStops = (stops) =>
+  sortStops(stops).map((stop, index) => ({ ...stop, orderIndex: index }));
+
+/**
+ * Group stops by day number
+ * @param {Array<Object>} stops - Stops with dayNumber/orderIndex
+ * @param {number} dayCount - Number of days to include (empty days get [])
+ * @returns {Array<{dayNumber: number, stops: Array<Object>}>} Days in order
+ */
+export const groupStopsByDay = (stops, dayCount) => {
+  const sorted = sortStops(stops);
+  const lastDay = Math.max(dayCount || 0, ...sorted.map((s) => s.dayNumber));
+
+  return Array.from({ length: lastDay }, (_, i) => ({
+    dayNumber: i + 1,
+    stops: sorted.filter((s) => s.dayNumber === i + 1),
+  }));
+};
+
+/**
+ * Move a stop to a day and position
+ * @param {Array<Object>} stops - Stops with id/dayNumber/orderIndex
+ * @param {string} stopId - Stop to move
+ * @param {number} dayNumber - Target day
+ * @param {number} [position] - Index within the target day (defaults to the end)
+ * @returns {Array<Object>} New reindexed array (unchanged if stopId is unknown)
+ */
+export const moveStop = (stops, stopId, dayNumber, position) => {
+  const moving = (stops || []).find((s) => s.id === stopId);
+  if (!moving) {
+    return reindexStops(stops);
+  }
+
+  const others = sortStops(stops.filter((s) => s.id !== stopId));
+  const dayStops = others.filter((s) => s.dayNumber === dayNumber);
+  const insertAt =
+    position === undefined || position === null
+      ? dayStops.length
+      : Math.max(0, Math.min(position, dayStops.length));
+
+  // Insert relative to the stop currently at that position in the target day
+  const anchor = dayStops[insertAt];
+  const moved = { ...moving, dayNumber };
+  let result;
+
+  if (anchor) {
+    const anchorIndex = others.indexOf(anchor);
+    result = [...others.slice(0, anchorIndex), moved, ...others.slice(anchorIndex)];
+  } else {
+    const lastIndex = others.findLastIndex((s) => s.dayNumber <= dayNumber);
+    result = [...others.slice(0, lastIndex + 1), moved, ...others.slice(lastIndex + 1)];
+  }
+
+  return result.map((stop, index) => ({ ...stop, orderIndex: index }));
+};
+
+/**
+ * List the stops whose day or position differs between two arrangements
+ * @param {Array<Object>} before - Original stops
+ * @param {Array<Object>} after - Rearranged stops
+ * @returns {Array<{id: string, dayNumber: number, orderIndex: number}>} Changed positions
+ */
+export const getStopOrderChanges = (before, after) => {
+  const original = new Map((before || []).map((s) => [s.id, s]));
+
+  return (after || [])
+    .filter((stop) => {
+      const prev = original.get(stop.id);
+      return !prev || prev.dayNumber !== stop.dayNumber || prev.orderIndex !== stop.orderIndex;
+    })
+    .map(({ id, dayNumber, orderIndex }) => ({ id, dayNumber, orderIndex }));
+};
+
+/**
+ * Build a trip_stops update from a request body of plan fields
+ * Only keys present in the body are included; empty strings clear the field.
+ * @param {Object} body - Request body (camelCase)
+ * @returns {{update: Object, error: string|null}} Column updates or validation error
+ */
+export const buildStopPlanUpdate = (body) => {
+  const update = {};
+
+  for (const [key, column] of Object.entries(STOP_PLAN_FIELDS)) {
+    if (!Object.hasOwn(body || {}, key)) {
+      continue;
+    }
+
+    const value = body[key];
+    if (value !== null && typeof value !== 'string') {
+      return { update: {}, error: `${key} must be a string` };
+    }
+    if (value && value.length > MAX_PLAN_LENGTH) {
+      return { update: {}, error: `${key} must be ${MAX_PLAN_LENGTH} characters or less` };
+    }
+
+    update[column] = value?.trim() || null;
+  }
+
+  return { update, error: null };
+};
+
+export default {
+  STOP_PLAN_FIELDS,
+  MAX_PLAN_LENGTH,
+  getTripDayCount,
+  isValidDayNumber,
+  sortStops,
+  reindexStops,
+  groupStopsByDay,
+  moveStop,
+  getStopOrderChanges,
+  buildStopPlanUpdate,
+};
@@ -0,0 +1,171 @@
+/**
+ * Trip Offline Packs
+ * Gathers everything a saved trip needs to render with no signal: the trip
+ * itself, trails near each park (with geometry), a weather snapshot per park,
+ * and map tiles covering the route. Packs are stored in IndexedDB by
+ * useOfflineStorage; tiles and the page itself go to service worker caches.
+ * @module lib/trips/trip-offline
+ */
+
+import {
+  getBounds,
+  getGeometryLines,
+  listTileUrls,
+  cacheTiles,
+  getOfflineTileSource,
+} from '@/lib/map/map-tiles';
+
+/**
+ * Zoom range for offline route tiles - state overview down to trailheads.
+ * The top is further capped by the offline tile source (see map-tiles).
+ */
+export const OFFLINE_TILE_ZOOM = { min: 5, max: 13 };
+
+/**
+ * Cap on tiles per trip (roughly 30-40MB of OpenStreetMap tiles)
+ */
+export const MAX_OFFLINE_TILES = 2000;
+
+/**
+ * Trails saved per park
+ */
+export const OFFLINE_TRAIL_LIMIT = 25;
+
+/**
+ * Padding around the route so the edges of the map aren't blank (degrees)
+ */
+const BOUNDS_PADDING = 0.1;
+
+/**
+ * Collect the points an offline map has to cover: origin, parks, and trails
+ * @param {Object} trip - Trip from GET /api/trips/[id]
+ * @param {Object} [trails] - Trails keyed by park code
+ * @returns {Array<{lat: number, lng: number}>} Points
+ */
+export const getTripPoints = (trip, trails = {}) => {
+  const points = [];
+
+  if (trip.originLat && trip.originLng) {
+    points.push({ lat: trip.originLat, lng: trip.originLng });
+  }
+
+  (trip.stops || []).forEach((stop) => {
+    if (stop.park?.latitude && stop.park?.longitude) {
+      points.push({ lat: Number(stop.park.latitude), lng: Number(stop.park.longitude) });
+    }
+  });
+
+  Object.values(trails)
+    .flat()
+    .forEach((trail) => {
+      getGeometryLines(trail.geojson).forEach((line) => {
+        line.forEach(([lat, lng]) => points.push({ lat, lng }));
+      });
+    });
+
+  return points;
+};
+
+/**
+ * Get the unique parks on a trip that have coordinates
+ * @param {Object} trip - Trip from GET /api/trips/[id]
+ * @returns {Array<{parkCode: string, latitude: number, longitude: number}>} Parks
+ */
+const getTripParks = (trip) => {
+  const parks = new Map();
+  (trip.stops || []).forEach((stop) => {
+    if (stop.parkCode && !parks.has(stop.parkCode)) {
+      parks.set(stop.parkCode, {
+        parkCode: stop.parkCode,
+        latitude: stop.park?.latitude,
+        longitude: stop.park?.longitude,
+      });
+    }
+  });
+  return [...parks.values()];
+};
+
+/**
+ * Fetch JSON, returning null instead of throwing - offline packs save what they can
+ * @param {string} url - URL
+ * @returns {Promise<Object|null>} Parsed body or null
+ */
+const fetchJsonOrNull = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      return null;
+    }
+    return await response.json();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Build an offline pack for a trip
+ * @param {Object} trip - Trip from GET /api/trips/[id]
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onProgress] - Called with { stage, done, total }
+ * @returns {Promise<Object>} Pack ready for useOfflineStorage().saveOfflineTrip
+ */
+export const buildOfflineTripPack = async (trip, { onProgress } = {}) => {
+  const parks = getTripParks(trip);
+  const trails = {};
+  const weather = {};
+
+  for (const [index, park] of parks.entries()) {
+    onProgress?.({ stage: 'details', done: index, total: parks.length });
+
+    const trailData = await fetchJsonOrNull(
+      `/api/parks/${encodeURIComponent(park.parkCode)}/trails?includeGeometry=true&limit=${OFFLINE_TRAIL_LIMIT}`
+    );
+    trails[park.parkCode] = trailData?.trails || [];
+
+    if (park.latitude && park.longitude) {
+      const forecast = await fetchJsonOrNull(`/api/weather/${park.latitude}/${park.longitude}`);
+      if (forecast) {
+        weather[park.parkCode] = forecast;
+      }
+    }
+  }
+
+  // Put the page in the service worker's page cache so it opens offline
+  try {
+    await fetch(`/trip/${trip.id}`);
+  } catch {
+    // The pack still works from an already-open tab
+  }
+
+  const source = getOfflineTileSource();
+  const { urls, sourceUrls, minZoom, maxZoom } = listTileUrls(
+    getBounds(getTripPoints(trip, trails), BOUNDS_PADDING),
+    {
+      minZoom: OFFLINE_TILE_ZOOM.min,
+      maxZoom: Math.min(OFFLINE_TILE_ZOOM.max, source.maxZoom),
+      maxTiles: MAX_OFFLINE_TILES,
+      sourceTemplate: source.template,
+    }
+  );
+  const { cached, failed, bytes } = await cacheTiles(urls, {
+    sourceUrls,
+    onProgress: (done, total) => onProgress?.({ stage: 'tiles', done, total }),
+  });
+
+  return {
+    id: trip.id,
+    trip,
+    trails,
+    weather,
+    tiles: { count: cached, failed, bytes, minZoom, maxZoom },
+    savedAt: Date.now(),
+  };
+};
+
+export default {
+  OFFLINE_TILE_ZOOM,
+  MAX_OFFLINE_TILES,
+  OFFLINE_TRAIL_LIMIT,
+  getTripPoints,
+  buildOfflineTripPack,
+};
@@ -0,0 +1,225 @@
+/**
+ * Trip Routing Utilities
+ *
+ * Recompute the driving legs between trip stops through the internal
+ * `/api/route` OSRM proxy and store them as each stop's `driving_notes`.
+ * Called after any structural edit to a trip (move, add, remove stop).
+ *
+ * @module lib/trips/trip-routing
+ */
+
+/**
+ * Stops closer than this to the previous waypoint don't need driving directions
+ */
+const SAME_AREA_MILES = 1;
+
+/**
+ * Format a duration in seconds as "2 h 15 min" / "45 min"
+ * @param {number} seconds - Duration
+ * @returns {string} Formatted duration
+ */
+const formatDriveDuration = (seconds) => {
+  const totalMinutes = Math.max(1, Math.round(seconds / 60));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  if (hours === 0) {
+    return `${minutes} min`;
+  }
+  return minutes === 0 ? `${hours} h` : `${hours} h ${minutes} min`;
+};
+
+/**
+ * Describe a driving leg for a stop's driving notes
+ * @param {Object} leg - Route leg with distance (meters) and duration (seconds)
+ * @param {string} fromName - Name of the previous waypoint
+ * @returns {string} Human readable driving notes
+ */
+export const formatDrivingNotes = (leg, fromName) => {
+  const miles = leg.distance / 1609.344;
+
+  if (miles < SAME_AREA_MILES) {
+    return `Same area as ${fromName} — no driving needed.`;
+  }
+
+  return `${miles.toFixed(1)} mi (about ${formatDriveDuration(leg.duration)}) from ${fromName}.`;
+};
+
+/**
+ * Look up names and coordinates for park codes (NPS first, then all_parks)
+ * @param {Object} supabase - Supabase client
+ * @param {Array<string>} parkCodes - Park codes
+ * @returns {Promise<Object>} Map of park_code to {name, latitude, longitude}
+ */
+export const fetchParkLocations = async (supabase, parkCodes) => {
+  const codes = [...new Set(parkCodes)].filter(Boolean);
+  const parks = {};
+
+  if (codes.length === 0) {
+    return parks;
+  }
+
+  const { data: npsParks } = await supabase
+    .from('nps_parks')
+    .select('park_code, full_name, latitude, longitude')
+    .in('park_code', codes);
+
+  (npsParks || []).forEach((park) => {
+    parks[park.park_code] = park;
+  });
+
+  const missingCodes = codes.filter((code) => !parks[code]);
+  if (missingCodes.length > 0) {
+    const { data: allParks } = await supabase
+      .from('all_parks')
+      .select('park_code, full_name, latitude, longitude')
+      .in('park_code', missingCodes);
+
+    (allParks || []).forEach((park) => {
+      parks[park.park_code] = park;
+    });
+  }
+
+  return Object.fromEntries(
+    Object.entries(parks).map(([code, park]) => [
+      code,
+      {
+        name: park.full_name,
+        latitude: park.latitude === null ? null : parseFloat(park.latitude),
+        longitude: park.longitude === null ? null : parseFloat(park.longitude),
+      },
+    ])
+  );
+};
+
+/**
+ * Build the ordered list of routable waypoints for a trip
+ * @param {Object} trip - Trip row (origin, origin_lat, origin_lng)
+ * @param {Array<Object>} stops - trip_stops rows sorted by day/order
+ * @param {Object} parks - Map from fetchParkLocations
+ * @returns {Array<{stopId: string|null, name: string, lat: number, lng: number}>} Waypoints
+ */
+export const getTripWaypoints = (trip, stops, parks) => {
+  const waypoints = [];
+
+  if (trip?.origin_lat && trip?.origin_lng) {
+    waypoints.push({
+      stopId: null,
+      name: trip.origin || 'your starting point',
+      lat: parseFloat(trip.origin_lat),
+      lng: parseFloat(trip.origin_lng),
+    });
+  }
+
+  stops.forEach((stop) => {
+    const park = parks[stop.park_code];
+    if (park?.latitude && park?.longitude) {
+      waypoints.push({
+        stopId: stop.id,
+        name: park.name || stop.park_code,
+        lat: park.latitude,
+        lng: park.longitude,
+      });
+    }
+  });
+
+  return waypoints;
+};
+
+/**
+ * Fetch the driving legs between consecutive waypoints
+ * @param {Array<{lat: number, lng: number}>} waypoints - Ordered waypoints
+ * @returns {Promise<Array<Object>|null>} One leg per consecutive pair, or null on failure
+ */
+export const fetchDrivingLegs = async (waypoints) => {
+  if (waypoints.length < 2) {
+    return [];
+  }
+
+  try {
+    const waypointsStr = waypoints.map((wp) => `${wp.lng},${wp.lat}`).join(';');
+    const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
+
+    const response = await fetch(`${baseUrl}/api/route?waypoints=${waypointsStr}`, {
+      headers: {
+        'User-Agent': 'ParkLookup-Trips/1.0',
+      },
+    });
+
+    if (!response.ok) {
+      console.warn('Route API returned non-OK status:', response.status);
+      return null;
+    }
+
+    const data = await response.json();
+    return data.success ? data.route?.legs || [] : null;
+  } catch (error) {
+    console.warn('Failed to fetch driving legs:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Recompute and save driving notes for every stop in a trip
+ * Routing failures are non-fatal: existing notes are left untouched.
+ * @param {Object} supabase - Supabase client
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<Object>} Map of stop id to new driving notes
+ */
+export const refreshTripDrivingNotes = async (supabase, tripId) => {
+  const { data: trip, error } = await supabase
+    .from('trips')
+    .select(
+      'id, origin, origin_lat, origin_lng, trip_stops (id, park_code, day_number, order_index)'
+    )
+    .eq('id', tripId)
+    .single();
+
+  if (error || !trip) {
+    console.warn('Could not load trip for routing:', error?.message);
+    return {};
+  }
+
+  const stops = [...(trip.trip_stops || [])].sort((a, b) => {
+    if (a.day_number !== b.day_number) {
+      return a.day_number - b.day_number;
+    }
+    return a.order_index - b.order_index;
+  });
+
+  const parks = await fetchParkLocations(
+    supabase,
+    stops.map((s) => s.park_code)
+  );
+  const waypoints = getTripWaypoints(trip, stops, parks);
+  const legs = await fetchDrivingLegs(waypoints);
+
+  if (!legs) {
+    return {};
+  }
+
+  const notes = {};
+  legs.forEach((leg, index) => {
+    const from = waypoints[index];
+    const to = waypoints[index + 1];
+    if (to?.stopId) {
+      notes[to.stopId] = formatDrivingNotes(leg, from.name);
+    }
+  });
+
+  await Promise.all(
+    Object.entries(notes).map(([stopId, drivingNotes]) =>
+      supabase.from('trip_stops').update({ driving_notes: drivingNotes }).eq('id', stopId)
+    )
+  );
+
+  return notes;
+};
+
+export default {
+  formatDrivingNotes,
+  fetchParkLocations,
+  getTripWaypoints,
+  fetchDrivingLegs,
+  refreshTripDrivingNotes,
+};
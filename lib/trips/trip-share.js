@@ -0,0 +1,122 @@
+/**
+ * Trip Share Links
+ *
+ * Public, read-only trip links. A trip has at most one share token; anyone
+ * with /trip/[id]?share=<token> can view the trip without an account until
+ * the owner revokes or rotates the token.
+ *
+ * @module lib/trips/trip-share
+ */
+
+import { randomBytes } from 'crypto';
+import { getCanonicalUrl } from '@/lib/seo/canonical';
+
+/**
+ * Share tokens are 48 hex characters; anything else is rejected without a lookup
+ */
+const SHARE_TOKEN_PATTERN = /^[0-9a-f]{48}$/;
+
+/**
+ * Open Graph preview image size (the 1.91:1 ratio link previews expect)
+ */
+export const PREVIEW_IMAGE_SIZE = { width: 1200, height: 630 };
+
+/**
+ * Generate an unguessable share token
+ * @returns {string} 48-character hex token
+ */
+export const generateShareToken = () => randomBytes(24).toString('hex');
+
+/**
+ * Check whether a value looks like a share token
+ * @param {string} token - Candidate token
+ * @returns {boolean} True if the token has the right format
+ */
+export const isValidShareToken = (token) => SHARE_TOKEN_PATTERN.test(String(token || ''));
+
+/**
+ * Build the public URL for a shared trip
+ * @param {string} tripId - Trip ID
+ * @param {string} token - Share token
+ * @returns {string} Absolute trip page URL
+ */
+export const buildShareUrl = (tripId, token) => getCanonicalUrl(`/trip/${tripId}?share=${token}`);
+
+/**
+ * Build the Open Graph preview image URL for a shared trip
+ * @param {string} tripId - Trip ID
+ * @param {string} token - Share token
+ * @returns {string} Absolute preview image URL
+ */
+export const buildSharePreviewUrl = (tripId, token) =>
+  getCanonicalUrl(`/api/trips/${tripId}/preview?share=${token}`);
+
+/**
+ * Look up an active share link for a trip
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} tripId - Trip ID
+ * @param {string} token - Share token from the URL
+ * @returns {Promise<Object|null>} trip_share_links row, or null if the token doesn't match
+ */
+export const findShareLink = async (supabase, tripId, token) => {
+  if (!tripId || !isValidShareToken(token)) {
+    return null;
+  }
+
+  const { data: link, error } = await supabase
+    .from('trip_share_links')
+    .select('trip_id, token, created_at')
+    .eq('trip_id', tripId)
+    .eq('token', token)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to check share link: ${error.message}`);
+  }
+
+  return link || null;
+};
+
+/**
+ * Build map points for a trip preview image: the origin, then each stop
+ * labelled with its day number
+ * @param {Object} trip - trips row with origin_lat, origin_lng, and trip_stops
+ * @param {Object} parks - Park locations keyed by park code (from fetchParkLocations)
+ * @returns {Array<{lat: number, lng: number, label: string, isOrigin: boolean}>} Map points
+ */
+export const buildTripPreviewPoints = (trip, parks) => {
+  const points = [];
+  const originLat = parseFloat(trip.origin_lat);
+  const originLng = parseFloat(trip.origin_lng);
+
+  if (Number.isFinite(originLat) && Number.isFinite(originLng)) {
+    points.push({ lat: originLat, lng: originLng, label: 'S', isOrigin: true });
+  }
+
+  [...(trip.trip_stops || [])]
+    .sort((a, b) => a.day_number - b.day_number || a.order_index - b.order_index)
+    .forEach((stop) => {
+      const park = parks[stop.park_code];
+      if (!Number.isFinite(park?.latitude) || !Number.isFinite(park?.longitude)) {
+        return;
+      }
+      points.push({
+        lat: park.latitude,
+        lng: park.longitude,
+        label: String(stop.day_number),
+        isOrigin: false,
+      });
+    });
+
+  return points;
+};
+
+export default {
+  PREVIEW_IMAGE_SIZE,
+  generateShareToken,
+  isValidShareToken,
+  buildShareUrl,
+  buildSharePreviewUrl,
+  findShareLink,
+  buildTripPreviewPoints,
+};
@@ -61,6 +61,32 @@ const withPWA = withPWAInit({
         },
       },
     },
+    {
+      // Map tiles - must come before the generic image rule. Trips downloaded
+      // for offline use pre-fill this cache (see lib/map/map-tiles.js)
+      urlPattern: /^https:\/\/[abc]\.tile\.openstreetmap\.org\/.*/i,
+      handler: 'CacheFirst',
+      options: {
+        cacheName: 'map-tiles-cache',
+        expiration: {
+          maxEntries: 10000,
+          maxAgeSeconds: 60 * 60 * 24 * 60, // 60 days
+        },
+      },
+    },
+    {
+      // Trip pages, so a downloaded trip opens with no signal
+      urlPattern: /\/trip\/[0-9a-f-]{36}(?:\?.*)?$/i,
+      handler: 'NetworkFirst',
+      options: {
+        cacheName: 'trip-pages-cache',
+        networkTimeoutSeconds: 5,
+        expiration: {
+          maxEntries: 50,
+          maxAgeSeconds: 60 * 60 * 24 * 60, // 60 days
+        },
+      },
+    },
     {
       urlPattern: /\.(?:png|jpg|jpeg|svg|gif|webp|ico)$/i,
       handler: 'CacheFirst',
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+/**
+ * Trail Elevation Backfill Script
+ *
+ * Calculates elevation gain, loss, range, and a profile for each trail from
+ * local digital elevation model (DEM) tiles, and re-rates trail difficulty
+ * with the elevation gain. OSM trails have no elevation data, so run this
+ * after importing trails.
+ *
+ * Usage:
+ *   pnpm run backfill:trail-elevation [options]
+ *
+ * Options:
+ *   --dir <path>         Directory of GeoTIFF DEM tiles (default: DEM_TILES_DIR or data/dem)
+ *   --limit <n>          Limit number of trails to process
+ *   --batch-size <n>     Trails fetched per batch (default: 100)
+ *   --all                Recalculate trails that already have elevation
+ *   --dry-run            Don't update the database, just log what would be done
+ *
+ * DEM tiles:
+ *   Any single-band GeoTIFF in WGS84 lat/lng works, e.g. SRTM 1 arc-second
+ *   tiles from https://earthexplorer.usgs.gov/ or USGS 3DEP 1/3 arc-second
+ *   tiles from https://apps.nationalmap.gov/downloader/. Where tiles overlap,
+ *   the finest resolution is used.
+ *
+ * Environment variables required:
+ *   - SUPABASE_URL: Your Supabase project URL
+ *   - SUPABASE_SERVICE_ROLE_KEY: Your Supabase service role key
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { loadEnv } from './lib/load-env.js';
+import { log } from './lib/log.js';
+import { DEFAULT_DEM_DIR, openDemSource, buildElevationProfile } from '../lib/elevation/dem.js';
+import { calculateDifficulty } from '../lib/api/trails.js';
+
+// Load environment variables from .env file
+loadEnv();
+
+// Get environment variables
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
+const { SUPABASE_SERVICE_ROLE_KEY, DEM_TILES_DIR } = process.env;
+
+// Default configuration
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Parse command line arguments
+ * @returns {Object} Parsed arguments
+ */
+const parseArgs = () => {
+  const args = process.argv.slice(2);
+  const options = {
+    dir: DEM_TILES_DIR || DEFAULT_DEM_DIR,
+    limit: null,
+    batchSize: DEFAULT_BATCH_SIZE,
+    all: false,
+    dryRun: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--dir':
+        options.dir = args[++i];
+        break;
+      case '--limit':
+        options.limit = parseInt(args[++i], 10);
+        break;
+      case '--batch-size':
+        options.batchSize = parseInt(args[++i], 10);
+        break;
+      case '--all':
+        options.all = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+    }
+  }
+
+  return options;
+};
+
+/**
+ * Validates required environment variables
+ */
+const validateEnv = () => {
+  const missing = [];
+
+  if (!SUPABASE_URL) {
+    missing.push('SUPABASE_URL or NEXT_PUBLIC_SUPABASE_URL');
+  }
+  if (!SUPABASE_SERVICE_ROLE_KEY) {
+    missing.push('SUPABASE_SERVICE_ROLE_KEY');
+  }
+
+  if (missing.length > 0) {
+    console.error('❌ Missing required environment variables:');
+    missing.forEach((v) => console.error(`   - ${v}`));
+    process.exit(1);
+  }
+};
+
+/**
+ * Calculate the database updates for one trail
+ * @param {Object} source - DEM source
+ * @param {Object} trail - Row from get_trails_for_elevation
+ * @returns {Promise<Object|null>} Column updates, or null if the DEM doesn't cover the trail
+ */
+const getTrailUpdates = async (source, trail) => {
+  const geometry = JSON.parse(trail.geometry_geojson);
+  const elevation = await buildElevationProfile(source, geometry.coordinates);
+
+  if (!elevation) {
+    return null;
+  }
+
+  return {
+    elevation_gain_m: elevation.gainM,
+    elevation_loss_m: elevation.lossM,
+    min_elevation_m: elevation.minM,
+    max_elevation_m: elevation.maxM,
+    elevation_profile: elevation.profile,
+    elevation_updated_at: new Date().toISOString(),
+    difficulty: calculateDifficulty({
+      sacScale: trail.sac_scale,
+      lengthMeters: Number(trail.length_meters) || 0,
+      elevationGainM: elevation.gainM,
+    }),
+  };
+};
+
+/**
+ * Main function
+ */
+const main = async () => {
+  const options = parseArgs();
+
+  log('⛰️  Trail Elevation Backfill');
+  log('='.repeat(50));
+
+  validateEnv();
+
+  const source = await openDemSource(options.dir);
+  if (!source) {
+    console.error(`❌ No GeoTIFF DEM tiles found in ${options.dir}`);
+    process.exit(1);
+  }
+  log(`🗺️  Loaded ${source.tiles.length} DEM tiles from ${options.dir}`);
+
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+  });
+
+  const startTime = Date.now();
+  const results = { processed: 0, updated: 0, uncovered: 0, errors: [] };
+  let afterId = null;
+
+  try {
+    while (options.limit === null || results.processed < options.limit) {
+      const batchSize =
+        options.limit === null
+          ? options.batchSize
+          : Math.min(options.batchSize, options.limit - results.processed);
+
+      const { data: trails, error } = await supabase.rpc('get_trails_for_elevation', {
+        p_limit: batchSize,
+        p_after_id: afterId,
+        p_include_existing: options.all,
+      });
+
+      if (error) {
+        throw new Error(`Failed to fetch trails: ${error.message}`);
+      }
+
+      for (const trail of trails) {
+        results.processed += 1;
+
+        try {
+          const updates = await getTrailUpdates(source, trail);
+
+          if (!updates) {
+            results.uncovered += 1;
+            continue;
+          }
+
+          if (options.dryRun) {
+            log(
+              `   - ${trail.id}: +${updates.elevation_gain_m} m / -${updates.elevation_loss_m} m (${updates.difficulty})`
+            );
+            results.updated += 1;
+            continue;
+          }
+
+          const { error: updateError } = await supabase
+            .from('trails')
+            .update(updates)
+            .eq('id', trail.id);
+
+          if (updateError) {
+            throw new Error(updateError.message);
+          }
+          results.updated += 1;
+        } catch (trailError) {
+          results.errors.push({ id: trail.id, error: trailError.message });
+        }
+      }
+
+      if (trails.length < batchSize) {
+        break;
+      }
+
+      afterId = trails[trails.length - 1].id;
+      log(`   Processed ${results.processed} trails...`);
+    }
+  } catch (error) {
+    console.error('\n❌ Backfill failed:', error.message);
+    process.exit(1);
+  } finally {
+    await source.close();
+  }
+
+  // Print summary
+  log(`\n${'='.repeat(50)}`);
+  log(`📊 ${options.dryRun ? 'Dry Run ' : ''}Summary:`);
+  log(`   - Trails processed: ${results.processed}`);
+  log(`   - Trails updated: ${results.updated}`);
+  log(`   - Outside DEM coverage: ${results.uncovered}`);
+  log(`   - Errors: ${results.errors.length}`);
+  log(`   - Duration: ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+  log('='.repeat(50));
+
+  if (results.errors.length > 0) {
+    log('\n⚠️  Errors encountered:');
+    results.errors.slice(0, 20).forEach((e) => log(`   - ${e.id}: ${e.error}`));
+  }
+};
+
+// Run the script
+main();
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Development SMTP Server
+ *
+ * A stand-in mail server for local development. It accepts every message
+ * sent to it and prints it to the console instead of delivering it, so the
+ * overdue check-in alerts (and anything else using lib/email/mailer) can be
+ * tried without a real mail account. The mailer's default SMTP settings
+ * point here.
+ *
+ * Usage:
+ *   pnpm run dev:smtp [options]
+ *
+ * Options:
+ *   --port <n>           Port to listen on (default: SMTP_PORT or 1025)
+ *   --host <host>        Host to bind to (default: 127.0.0.1)
+ */
+
+import net from 'node:net';
+import { log } from './lib/log.js';
+
+/**
+ * Parse command line arguments
+ */
+const parseArgs = () => {
+  const args = process.argv.slice(2);
+  const options = {
+    port: parseInt(process.env.SMTP_PORT || '1025', 10),
+    host: '127.0.0.1',
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port' && args[i + 1]) {
+      options.port = parseInt(args[i + 1], 10);
+      i++;
+    } else if (args[i] === '--host' && args[i + 1]) {
+      options.host = args[i + 1];
+      i++;
+    }
+  }
+
+  return options;
+};
+
+/**
+ * Handle one SMTP session
+ * @param {import('node:net').Socket} socket - Client connection
+ */
+const handleConnection = (socket) => {
+  let buffer = '';
+  let envelope = { from: null, to: [] };
+  let dataLines = null;
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const handleCommand = (line) => {
+    const [verb] = line.split(' ');
+
+    switch (verb.toUpperCase()) {
+      case 'EHLO':
+        reply('250-localhost');
+        reply('250-AUTH PLAIN');
+        reply('250 8BITMIME');
+        break;
+      case 'HELO':
+        reply('250 localhost');
+        break;
+      case 'AUTH':
+        // Any credentials are fine for a local stand-in
+        reply('235 Authenticated');
+        break;
+      case 'MAIL':
+        envelope = { from: line.slice(10).trim(), to: [] };
+        reply('250 OK');
+        break;
+      case 'RCPT':
+        envelope.to.push(line.slice(8).trim());
+        reply('250 OK');
+        break;
+      case 'DATA':
+        dataLines = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+        break;
+      case 'RSET':
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+        break;
+      case 'NOOP':
+        reply('250 OK');
+        break;
+      case 'QUIT':
+        reply('221 Bye');
+        socket.end();
+        break;
+      default:
+        reply('502 Command not implemented');
+    }
+  };
+
+  const handleDataLine = (line) => {
+    if (line !== '.') {
+      dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+      return;
+    }
+
+    log(`\n${'='.repeat(50)}`);
+    log(`📧 ${new Date().toISOString()}`);
+    log(`   From: ${envelope.from}`);
+    log(`   To: ${envelope.to.join(', ')}`);
+    log('-'.repeat(50));
+    log(dataLines.join('\n'));
+    log('='.repeat(50));
+
+    dataLines = null;
+    reply('250 OK: message accepted');
+  };
+
+  reply('220 localhost ParkLookup dev SMTP');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    const lines = buffer.split('\r\n');
+    buffer = lines.pop();
+
+    lines.forEach((line) => {
+      if (dataLines) {
+        handleDataLine(line);
+      } else {
+        handleCommand(line);
+      }
+    });
+  });
+
+  socket.on('error', (err) => console.warn('Connection error:', err.message));
+};
+
+/**
+ * Main function
+ */
+const main = () => {
+  const options = parseArgs();
+  const server = net.createServer(handleConnection);
+
+  server.listen(options.port, options.host, () => {
+    log(`📮 Dev SMTP server listening on ${options.host}:${options.port}`);
+    log('   Messages are printed here, not delivered. Press Ctrl+C to stop.');
+  });
+};
+
+// Run the script
+main();
@@ -3,16 +3,36 @@
 /**
  * Master Import Script
  *
- * This script runs all data import scripts in sequence:
- * 1. Import NPS parks
- * 2. Import Wikidata parks
- * 3. Link parks together
- * 4. Link parks to states
- * 5. Import trails from OpenStreetMap
- * 6. Import BLM land boundaries
+ * This script runs the data import scripts in sequence:
+ *   nps              Import NPS parks
+ *   alerts           Refresh NPS park alerts
+ *   campgrounds      Import NPS campgrounds
+ *   visitor-centers  Import NPS visitor centers
+ *   things-to-do     Import NPS things to do
+ *   events           Refresh NPS events
+ *   wikidata         Import Wikidata parks
+ *   link             Link parks together
+ *   link-states      Link parks to states
+ *   trails           Import trails from OpenStreetMap (--with-trails)
+ *   blm              Import BLM land boundaries (--with-blm)
+ *   elevation        Backfill trail elevation from DEM tiles (--with-elevation)
+ *
+ * Each step's run is recorded in import_logs (source "import_pipeline"), so a
+ * failed run can be resumed from the step that failed instead of starting
+ * over, and steps imported recently can be skipped. Import scripts only write
+ * records whose content changed.
  *
  * Usage:
- *   node scripts/import-all.js
+ *   node scripts/import-all.js [options]
+ *
+ * Options:
+ *   --only <steps>      Run only these steps, comma-separated (e.g. trails,blm)
+ *   --since <when>      Skip steps completed since then: 12h, 7d, or a date
+ *   --resume            Continue the last run from the step that failed
+ *   --dry-run           Report what each import would change without writing
+ *   --with-trails       Include the trail import (slow: Overpass API rate limits)
+ *   --with-blm          Include the BLM land import
+ *   --with-elevation    Include the trail elevation backfill
  *
  * Environment variables required:
  *   - NPS_API_KEY: Your NPS API key
@@ -21,101 +41,196 @@
  */
 
 import { spawn } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { IMPORT_STEPS, parsePipelineArgs, planSteps, runPipeline } from '../lib/import/pipeline.js';
+import { loadEnv } from './lib/load-env.js';
+import { readDiffReports } from './lib/diff-report.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Load environment variables from .env file
+loadEnv();
+
+// Get environment variables
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
+const { SUPABASE_SERVICE_ROLE_KEY } = process.env;
+
 /**
- * Runs a script and returns a promise
+ * Validates required environment variables
  */
-const runScript = (scriptPath, name) => new Promise((resolve, reject) => {
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`🚀 Running: ${name}`);
-    console.log('='.repeat(60));
+const validateEnv = () => {
+  const missing = [];
 
-    const child = spawn('node', [scriptPath], {
-      stdio: 'inherit',
-      env: process.env,
-    });
+  if (!SUPABASE_URL) {
+    missing.push('SUPABASE_URL or NEXT_PUBLIC_SUPABASE_URL');
+  }
+  if (!SUPABASE_SERVICE_ROLE_KEY) {
+    missing.push('SUPABASE_SERVICE_ROLE_KEY');
+  }
+
+  if (missing.length > 0) {
+    console.error('❌ Missing required environment variables:');
+    missing.forEach((v) => console.error(`   - ${v}`));
+    process.exit(1);
+  }
+};
+
+/**
+ * Creates a Supabase client with service role key
+ */
+const createSupabaseClient = () =>
+  createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+  });
+
+/**
+ * Creates a step runner that spawns each step's script. Scripts append their
+ * diff counts to the file named by IMPORT_DIFF_FILE, which the runner returns.
+ * @param {string} reportDir - Directory for per-step diff files
+ */
+const createStepRunner =
+  (reportDir) =>
+  (step, { dryRun, resume }) =>
+    new Promise((resolve, reject) => {
+      console.log(`\n${'='.repeat(60)}`);
+      console.log(`🚀 Running: ${step.name}`);
+      console.log('='.repeat(60));
 
-    child.on('close', (code) => {
-      if (code === 0) {
-        resolve();
-      } else {
-        reject(new Error(`${name} exited with code ${code}`));
+      const diffFile = join(reportDir, `${step.id}.jsonl`);
+      rmSync(diffFile, { force: true });
+
+      const args = [join(__dirname, step.script)];
+      if (dryRun) {
+        args.push('--dry-run');
+      }
+      if (resume && step.resumable) {
+        args.push('--resume');
       }
-    });
 
-    child.on('error', (error) => {
-      reject(new Error(`Failed to start ${name}: ${error.message}`));
+      const child = spawn('node', args, {
+        stdio: 'inherit',
+        env: { ...process.env, IMPORT_DIFF_FILE: diffFile },
+      });
+
+      child.on('close', (code) => {
+        if (code === 0) {
+          resolve(readDiffReports(diffFile));
+        } else {
+          reject(new Error(`${step.name} exited with code ${code}`));
+        }
+      });
+
+      child.on('error', (error) => {
+        reject(new Error(`Failed to start ${step.name}: ${error.message}`));
+      });
     });
+
+/**
+ * Prints a one-line outcome per step, and for dry runs what each table would get
+ */
+const printSummary = (results, dryRun) => {
+  const icons = { completed: '✅', skipped: '⏭️ ', failed: '❌' };
+
+  console.log(`\n${'='.repeat(60)}`);
+  console.log(`📊 Import Summary${dryRun ? ' (dry run, nothing written)' : ''}:`);
+  results.forEach(({ step, status, reason, counts, error }) => {
+    let detail = reason || error || '';
+    if (counts && !dryRun) {
+      detail = `${counts.inserted} new, ${counts.updated} changed, ${counts.unchanged} unchanged`;
+    }
+    console.log(`   ${icons[status]} ${step.id.padEnd(16)} ${detail}`);
   });
 
+  if (dryRun) {
+    const reports = results.flatMap((result) => result.reports || []);
+    console.log('\n📋 Changes that would be made:');
+    if (reports.length === 0) {
+      console.log('   (no diff reports)');
+    }
+    reports.forEach((report) => {
+      console.log(
+        `   ${report.source.padEnd(16)} +${report.inserted} ~${report.updated} =${report.unchanged}`
+      );
+    });
+  }
+  console.log('='.repeat(60));
+};
+
 /**
  * Main function
  */
 const main = async () => {
   console.log('🏞️  ParkLookup.com - Master Import Script');
   console.log('='.repeat(60));
-  console.log('This script will import data from:');
-  console.log('  1. National Park Service API');
-  console.log('  2. Wikidata SPARQL endpoint');
-  console.log('  3. Link parks together');
-  console.log('  4. Link parks to states');
-  console.log('  5. OpenStreetMap trails (optional, use --with-trails)');
-  console.log('  6. BLM land boundaries (optional, use --with-blm)');
-  console.log('='.repeat(60));
-
-  const startTime = Date.now();
 
+  let options;
   try {
-    // Step 1: Import NPS parks
-    await runScript(join(__dirname, 'import-nps.js'), 'NPS Import');
+    options = parsePipelineArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  validateEnv();
+  const supabase = createSupabaseClient();
 
-    // Step 2: Import Wikidata parks
-    await runScript(join(__dirname, 'import-wikidata.js'), 'Wikidata Import');
+  if (!options.resume) {
+    const planned = planSteps(IMPORT_STEPS, options);
+    console.log('This script will run:');
+    planned.forEach((step, i) => console.log(`  ${i + 1}. ${step.name}`));
+    IMPORT_STEPS.filter((step) => step.optional && !planned.includes(step)).forEach((step) => {
+      console.log(`  ⏭️  Skipping ${step.name} (use ${step.optional} to include)`);
+      console.log(`     Note: ${step.note}`);
+    });
+    console.log('='.repeat(60));
+  }
 
-    // Step 3: Link parks
-    await runScript(join(__dirname, 'link-parks.js'), 'Park Linking');
+  const startTime = Date.now();
+  const reportDir = mkdtempSync(join(tmpdir(), 'parklookup-import-'));
 
-    // Step 4: Link parks to states
-    await runScript(join(__dirname, 'link-parks-to-states.js'), 'Park-State Linking');
+  try {
+    const { runId, results } = await runPipeline({
+      supabase,
+      steps: IMPORT_STEPS,
+      options,
+      runStep: createStepRunner(reportDir),
+      log: (message) => console.log(`\n${message}`),
+    });
 
-    // Step 5: Import trails (optional, can be slow due to Overpass API rate limits)
-    const withTrails = process.argv.includes('--with-trails');
-    if (withTrails) {
-      await runScript(join(__dirname, 'import-trails.js'), 'Trail Import (OSM)');
-    } else {
-      console.log(`\n${'='.repeat(60)}`);
-      console.log('⏭️  Skipping trail import (use --with-trails to include)');
-      console.log('='.repeat(60));
+    if (!runId) {
+      return;
     }
 
-    // Step 6: Import BLM lands (optional, requires pre-downloaded GeoJSON file)
-    const withBLM = process.argv.includes('--with-blm');
-    if (withBLM) {
-      await runScript(join(__dirname, 'import-blm.js'), 'BLM Land Import');
-    } else {
-      console.log(`\n${'='.repeat(60)}`);
-      console.log('⏭️  Skipping BLM land import (use --with-blm to include)');
-      console.log('   Note: Requires pre-downloaded GeoJSON file at data/blm/blm.geojson');
-      console.log('='.repeat(60));
-    }
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    printSummary(results, options.dryRun);
 
-    const endTime = Date.now();
-    const duration = ((endTime - startTime) / 1000).toFixed(2);
+    const failed = results.find((result) => result.status === 'failed');
+    if (failed) {
+      console.error(`\n❌ Import failed: ${failed.error}`);
+      if (!options.dryRun) {
+        console.error('   Fix the problem and rerun with --resume to continue from this step');
+      }
+      process.exitCode = 1;
+      return;
+    }
 
-    console.log(`\n${'='.repeat(60)}`);
-    console.log('✅ All imports completed successfully!');
+    console.log(`\n✅ All imports completed successfully! (run ${runId})`);
     console.log(`   Total duration: ${duration}s`);
-    console.log('='.repeat(60));
   } catch (error) {
     console.error(`\n❌ Import failed: ${error.message}`);
-    process.exit(1);
+    process.exitCode = 1;
+  } finally {
+    rmSync(reportDir, { recursive: true, force: true });
   }
 };
 
 // Run the script
-main();
\ No newline at end of file
+main();
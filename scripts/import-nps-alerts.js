@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * NPS Alerts Refresh Script
+ *
+ * This script fetches current alerts (closures, dangers, cautions, and
+ * information) from the National Park Service API and replaces the
+ * park_alerts table with them. Alerts that are no longer in the feed are
+ * deleted. Run it daily; each alert also expires a few days after it was
+ * last seen, so a stalled refresh doesn't leave old closures up.
+ *
+ * Usage:
+ *   node scripts/import-nps-alerts.js [--dry-run]
+ *
+ * Options:
+ *   --dry-run   Report what would change without writing to the database
+ *
+ * Environment variables required:
+ *   - NPS_API_KEY: Your NPS API key
+ *   - SUPABASE_URL: Your Supabase project URL
+ *   - SUPABASE_SERVICE_ROLE_KEY: Your Supabase service role key
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { fetchAllAlerts, transformAlertData } from '../lib/api/nps.js';
+import { upsertChangedRecords } from '../lib/import/content-hash.js';
+import { loadEnv } from './lib/load-env.js';
+import { reportDiff } from './lib/diff-report.js';
+import { log } from './lib/log.js';
+
+// Load environment variables from .env file
+loadEnv();
+
+// Get environment variables
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
+const { SUPABASE_SERVICE_ROLE_KEY } = process.env;
+const { NPS_API_KEY } = process.env;
+
+// Report changes without writing them
+const DRY_RUN = process.argv.includes('--dry-run');
+
+/**
+ * Validates required environment variables
+ */
+const validateEnv = () => {
+  const missing = [];
+
+  if (!SUPABASE_URL) {
+    missing.push('SUPABASE_URL or NEXT_PUBLIC_SUPABASE_URL');
+  }
+  if (!SUPABASE_SERVICE_ROLE_KEY) {
+    missing.push('SUPABASE_SERVICE_ROLE_KEY');
+  }
+  if (!NPS_API_KEY) {
+    missing.push('NPS_API_KEY');
+  }
+
+  if (missing.length > 0) {
+    console.error('❌ Missing required environment variables:');
+    missing.forEach((v) => console.error(`   - ${v}`));
+    process.exit(1);
+  }
+};
+
+/**
+ * Creates a Supabase client with service role key
+ */
+const createSupabaseClient = () =>
+  createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+  });
+
+/**
+ * Logs an import event to the database (not in dry runs)
+ */
+const logImport = async (supabase, status, metadata = {}) => {
+  if (DRY_RUN) {
+    return;
+  }
+
+  const { error } = await supabase.from('import_logs').insert({
+    source: 'nps_alerts',
+    status,
+    ...metadata,
+  });
+
+  if (error) {
+    console.warn('⚠️  Failed to log import:', error.message);
+  }
+};
+
+/**
+ * Deletes alerts that weren't in this refresh (lifted closures, resolved hazards)
+ */
+const deleteStaleAlerts = async (supabase, seenAt) => {
+  const { data, error } = await supabase
+    .from('park_alerts')
+    .delete()
+    .lt('last_seen_at', seenAt.toISOString())
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to delete stale alerts: ${error.message}`);
+  }
+
+  return data?.length ?? 0;
+};
+
+/**
+ * Main refresh function
+ */
+const main = async () => {
+  log('🚧 NPS Alerts Refresh Script');
+  log('='.repeat(50));
+
+  // Validate environment
+  validateEnv();
+
+  // Create Supabase client
+  const supabase = createSupabaseClient();
+
+  // Log import start
+  const startTime = new Date();
+  await logImport(supabase, 'started', { started_at: startTime.toISOString() });
+
+  try {
+    // Fetch all current alerts from NPS API
+    log('\n📡 Fetching alerts from NPS API...');
+    const rawAlerts = await fetchAllAlerts({
+      onProgress: ({ fetched, total, percentage }) => {
+        process.stdout.write(`\r   Progress: ${fetched}/${total} (${percentage}%)`);
+      },
+    });
+    log(`\n✅ Fetched ${rawAlerts.length} alerts from NPS API`);
+
+    // Transform alerts, skipping any without a park
+    const alerts = rawAlerts
+      .map((alert) => transformAlertData(alert, { seenAt: startTime }))
+      .filter((alert) => alert.nps_alert_id && alert.park_code && alert.title);
+
+    // Upsert new and changed alerts
+    log(`\n💾 ${DRY_RUN ? 'Comparing' : 'Upserting'} alerts...`);
+    const results = await upsertChangedRecords(supabase, 'park_alerts', alerts, {
+      key: 'nps_alert_id',
+      dryRun: DRY_RUN,
+      touch: ['last_seen_at', 'expires_at'],
+    });
+    reportDiff('park_alerts', results, {
+      fetched: rawAlerts.length,
+      dryRun: DRY_RUN,
+      label: (alert) => `${alert.title} (${alert.park_code})`,
+    });
+
+    // Only prune after a clean refresh; a failed batch would otherwise
+    // delete alerts that are still current
+    let deleted = 0;
+    if (DRY_RUN) {
+      log('⏭️  Skipping stale alert cleanup (dry run)');
+    } else if (results.errors.length === 0) {
+      deleted = await deleteStaleAlerts(supabase, startTime);
+    } else {
+      console.warn('⚠️  Skipping stale alert cleanup because some batches failed');
+    }
+
+    const countsByCategory = alerts.reduce((counts, alert) => {
+      counts[alert.category] = (counts[alert.category] || 0) + 1;
+      return counts;
+    }, {});
+
+    // Log import completion
+    const endTime = new Date();
+    await logImport(supabase, 'completed', {
+      records_fetched: rawAlerts.length,
+      records_inserted: results.inserted,
+      records_updated: results.updated,
+      started_at: startTime.toISOString(),
+      completed_at: endTime.toISOString(),
+      metadata: {
+        duration_ms: endTime - startTime,
+        deleted,
+        categories: countsByCategory,
+        unchanged: results.unchanged,
+        errors: results.errors,
+      },
+    });
+
+    // Print summary
+    log(`\n${'='.repeat(50)}`);
+    log('📊 Refresh Summary:');
+    log(`   - Alerts fetched: ${rawAlerts.length}`);
+    log(`   - Alerts added: ${results.inserted}`);
+    log(`   - Alerts changed: ${results.updated}`);
+    log(`   - Alerts unchanged: ${results.unchanged}`);
+    log(`   - Stale alerts deleted: ${deleted}`);
+    Object.entries(countsByCategory).forEach(([category, count]) => {
+      log(`   - ${category}: ${count}`);
+    });
+    log(`   - Errors: ${results.errors.length}`);
+    log(`   - Duration: ${((endTime - startTime) / 1000).toFixed(2)}s`);
+    log('='.repeat(50));
+
+    if (results.errors.length > 0) {
+      log('\n⚠️  Errors encountered:');
+      results.errors.forEach((e) => log(`   - Batch ${e.batch}: ${e.error}`));
+    }
+
+    log('\n✅ NPS alerts refresh completed successfully!');
+  } catch (error) {
+    console.error('\n❌ Refresh failed:', error.message);
+
+    // Log import failure
+    await logImport(supabase, 'failed', {
+      error_message: error.message,
+      started_at: startTime.toISOString(),
+      completed_at: new Date().toISOString(),
+    });
+
+    process.exit(1);
+  }
+};
+
+// Run the script
+main();
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * NPS Events Refresh Script
+ *
+ * This script fetches upcoming events (ranger programs, guided walks, talks,
+ * and festivals) from the National Park Service API for the next few months
+ * and replaces the park_events table with them. Past and cancelled events,
+ * which drop out of the feed, are deleted. Run it daily.
+ *
+ * Usage:
+ *   node scripts/import-nps-events.js [--dry-run]
+ *
+ * Options:
+ *   --dry-run   Report what would change without writing to the database
+ *
+ * Environment variables required:
+ *   - NPS_API_KEY: Your NPS API key
+ *   - SUPABASE_URL: Your Supabase project URL
+ *   - SUPABASE_SERVICE_ROLE_KEY: Your Supabase service role key
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { EVENT_WINDOW_DAYS, fetchAllEvents, transformEventData } from '../lib/api/nps.js';
+import { upsertChangedRecords } from '../lib/import/content-hash.js';
+import { loadEnv } from './lib/load-env.js';
+import { reportDiff } from './lib/diff-report.js';
+import { log } from './lib/log.js';
+
+// Load environment variables from .env file
+loadEnv();
+
+// Get environment variables
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
+const { SUPABASE_SERVICE_ROLE_KEY } = process.env;
+const { NPS_API_KEY } = process.env;
+
+// Report changes without writing them
+const DRY_RUN = process.argv.includes('--dry-run');
+
+/**
+ * Validates required environment variables
+ */
+const validateEnv = () => {
+  const missing = [];
+
+  if (!SUPABASE_URL) {
+    missing.push('SUPABASE_URL or NEXT_PUBLIC_SUPABASE_URL');
+  }
+  if (!SUPABASE_SERVICE_ROLE_KEY) {
+    missing.push('SUPABASE_SERVICE_ROLE_KEY');
+  }
+  if (!NPS_API_KEY) {
+    missing.push('NPS_API_KEY');
+  }
+
+  if (missing.length > 0) {
+    console.error('❌ Missing required environment variables:');
+    missing.forEach((v) => console.error(`   - ${v}`));
+    process.exit(1);
+  }
+};
+
+/**
+ * Creates a Supabase client with service role key
+ */
+const createSupabaseClient = () =>
+  createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+  });
+
+/**
+ * Logs an import event to the database (not in dry runs)
+ */
+const logImport = async (supabase, status, metadata = {}) => {
+  if (DRY_RUN) {
+    return;
+  }
+
+  const { error } = await supabase.from('import_logs').insert({
+    source: 'nps_events',
+    status,
+    ...metadata,
+  });
+
+  if (error) {
+    console.warn('⚠️  Failed to log import:', error.message);
+  }
+};
+
+/**
+ * Deletes events that weren't in this refresh (past or cancelled)
+ */
+const deleteStaleEvents = async (supabase, seenAt) => {
+  const { data, error } = await supabase
+    .from('park_events')
+    .delete()
+    .lt('last_seen_at', seenAt.toISOString())
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to delete stale events: ${error.message}`);
+  }
+
+  return data?.length ?? 0;
+};
+
+/**
+ * Main refresh function
+ */
+const main = async () => {
+  log('📅 NPS Events Refresh Script');
+  log('='.repeat(50));
+
+  // Validate environment
+  validateEnv();
+
+  // Create Supabase client
+  const supabase = createSupabaseClient();
+
+  // Log import start
+  const startTime = new Date();
+  await logImport(supabase, 'started', { started_at: startTime.toISOString() });
+
+  try {
+    // Fetch upcoming events from NPS API
+    const dateStart = startTime.toISOString().slice(0, 10);
+    const dateEnd = new Date(startTime.getTime() + EVENT_WINDOW_DAYS * 24 * 3600 * 1000)
+      .toISOString()
+      .slice(0, 10);
+    log(`\n📡 Fetching events from ${dateStart} to ${dateEnd} from NPS API...`);
+    const rawEvents = await fetchAllEvents({
+      dateStart,
+      dateEnd,
+      onProgress: ({ fetched, total, percentage }) => {
+        process.stdout.write(`\r   Progress: ${fetched}/${total} (${percentage}%)`);
+      },
+    });
+    log(`\n✅ Fetched ${rawEvents.length} events from NPS API`);
+
+    // Transform events, skipping any without a park
+    const events = rawEvents
+      .map((event) => transformEventData(event, { seenAt: startTime }))
+      .filter((event) => event.nps_event_id && event.park_code && event.title);
+    const rangerPrograms = events.filter((event) => event.is_ranger_program).length;
+
+    // Upsert new and changed events
+    log(`\n💾 ${DRY_RUN ? 'Comparing' : 'Upserting'} events...`);
+    const results = await upsertChangedRecords(supabase, 'park_events', events, {
+      key: 'nps_event_id',
+      dryRun: DRY_RUN,
+      touch: ['last_seen_at'],
+    });
+    reportDiff('park_events', results, {
+      fetched: rawEvents.length,
+      dryRun: DRY_RUN,
+      label: (event) => `${event.title} (${event.park_code}, ${event.start_date})`,
+    });
+
+    // Only prune after a clean refresh; a failed batch would otherwise
+    // delete events that are still scheduled
+    let deleted = 0;
+    if (DRY_RUN) {
+      log('⏭️  Skipping stale event cleanup (dry run)');
+    } else if (results.errors.length === 0) {
+      deleted = await deleteStaleEvents(supabase, startTime);
+    } else {
+      console.warn('⚠️  Skipping stale event cleanup because some batches failed');
+    }
+
+    // Log import completion
+    const endTime = new Date();
+    await logImport(supabase, 'completed', {
+      records_fetched: rawEvents.length,
+      records_inserted: results.inserted,
+      records_updated: results.updated,
+      started_at: startTime.toISOString(),
+      completed_at: endTime.toISOString(),
+      metadata: {
+        duration_ms: endTime - startTime,
+        date_start: dateStart,
+        date_end: dateEnd,
+        deleted,
+        ranger_programs: rangerPrograms,
+        unchanged: results.unchanged,
+        errors: results.errors,
+      },
+    });
+
+    // Print summary
+    log(`\n${'='.repeat(50)}`);
+    log('📊 Refresh Summary:');
+    log(`   - Events fetched: ${rawEvents.length}`);
+    log(`   - Events added: ${results.inserted}`);
+    log(`   - Events changed: ${results.updated}`);
+    log(`   - Events unchanged: ${results.unchanged}`);
+    log(`   - Ranger programs: ${rangerPrograms}`);
+    log(`   - Stale events deleted: ${deleted}`);
+    log(`   - Errors: ${results.errors.length}`);
+    log(`   - Duration: ${((endTime - startTime) / 1000).toFixed(2)}s`);
+    log('='.repeat(50));
+
+    if (results.errors.length > 0) {
+      log('\n⚠️  Errors encountered:');
+      results.errors.forEach((e) => log(`   - Batch ${e.batch}: ${e.error}`));
+    }
+
+    log('\n✅ NPS events refresh completed successfully!');
+  } catch (error) {
+    console.error('\n❌ Refresh failed:', error.message);
+
+    // Log import failure
+    await logImport(supabase, 'failed', {
+      error_message: error.message,
+      started_at: startTime.toISOString(),
+      completed_at: new Date().toISOString(),
+    });
+
+    process.exit(1);
+  }
+};
+
+// Run the script
+main();
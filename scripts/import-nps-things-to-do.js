@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * NPS Things To Do Import Script
+ *
+ * This script fetches all "things to do" from the National Park Service API
+ * (named hikes, drives, tours, and ranger programs) and upserts them into the
+ * things_to_do table, with durations, seasons, and accessibility details.
+ *
+ * Usage:
+ *   node scripts/import-nps-things-to-do.js [--dry-run]
+ *
+ * Options:
+ *   --dry-run   Report what would change without writing to the database
+ *
+ * Environment variables required:
+ *   - NPS_API_KEY: Your NPS API key
+ *   - SUPABASE_URL: Your Supabase project URL
+ *   - SUPABASE_SERVICE_ROLE_KEY: Your Supabase service role key
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { fetchAllThingsToDo, transformThingToDoData } from '../lib/api/nps.js';
+import { upsertChangedRecords } from '../lib/import/content-hash.js';
+import { loadEnv } from './lib/load-env.js';
+import { reportDiff } from './lib/diff-report.js';
+import { log } from './lib/log.js';
+
+// Load environment variables from .env file
+loadEnv();
+
+// Get environment variables
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
+const { SUPABASE_SERVICE_ROLE_KEY } = process.env;
+const { NPS_API_KEY } = process.env;
+
+// Report changes without writing them
+const DRY_RUN = process.argv.includes('--dry-run');
+
+/**
+ * Validates required environment variables
+ */
+const validateEnv = () => {
+  const missing = [];
+
+  if (!SUPABASE_URL) {
+    missing.push('SUPABASE_URL or NEXT_PUBLIC_SUPABASE_URL');
+  }
+  if (!SUPABASE_SERVICE_ROLE_KEY) {
+    missing.push('SUPABASE_SERVICE_ROLE_KEY');
+  }
+  if (!NPS_API_KEY) {
+    missing.push('NPS_API_KEY');
+  }
+
+  if (missing.length > 0) {
+    console.error('❌ Missing required environment variables:');
+    missing.forEach((v) => console.error(`   - ${v}`));
+    process.exit(1);
+  }
+};
+
+/**
+ * Creates a Supabase client with service role key
+ */
+const createSupabaseClient = () =>
+  createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+  });
+
+/**
+ * Logs an import event to the database (not in dry runs)
+ */
+const logImport = async (supabase, status, metadata = {}) => {
+  if (DRY_RUN) {
+    return;
+  }
+
+  const { error } = await supabase.from('import_logs').insert({
+    source: 'nps_things_to_do',
+    status,
+    ...metadata,
+  });
+
+  if (error) {
+    console.warn('⚠️  Failed to log import:', error.message);
+  }
+};
+
+/**
+ * Main import function
+ */
+const main = async () => {
+  log('🥾 NPS Things To Do Import Script');
+  log('='.repeat(50));
+
+  // Validate environment
+  validateEnv();
+
+  // Create Supabase client
+  const supabase = createSupabaseClient();
+
+  // Log import start
+  const startTime = new Date();
+  await logImport(supabase, 'started', { started_at: startTime.toISOString() });
+
+  try {
+    // Fetch all things to do from NPS API
+    log('\n📡 Fetching things to do from NPS API...');
+    const rawThingsToDo = await fetchAllThingsToDo({
+      onProgress: ({ fetched, total, percentage }) => {
+        process.stdout.write(`\r   Progress: ${fetched}/${total} (${percentage}%)`);
+      },
+    });
+    log(`\n✅ Fetched ${rawThingsToDo.length} things to do from NPS API`);
+
+    // Transform things to do, skipping any without a park
+    log('\n🔄 Transforming things to do...');
+    const thingsToDo = rawThingsToDo
+      .map((thing) => transformThingToDoData(thing, { seenAt: startTime }))
+      .filter((thing) => thing.nps_thing_id && thing.title && thing.park_codes.length > 0);
+    const rangerPrograms = thingsToDo.filter((thing) => thing.is_ranger_program).length;
+    log(`✅ Transformed ${thingsToDo.length} things to do`);
+
+    // Upsert new and changed things to do
+    log(`\n💾 ${DRY_RUN ? 'Comparing' : 'Upserting'} things to do...`);
+    const results = await upsertChangedRecords(supabase, 'things_to_do', thingsToDo, {
+      key: 'nps_thing_id',
+      dryRun: DRY_RUN,
+      touch: ['last_seen_at'],
+    });
+    reportDiff('things_to_do', results, {
+      fetched: rawThingsToDo.length,
+      dryRun: DRY_RUN,
+      label: (thing) => thing.title,
+    });
+
+    // Log import completion
+    const endTime = new Date();
+    await logImport(supabase, 'completed', {
+      records_fetched: rawThingsToDo.length,
+      records_inserted: results.inserted,
+      records_updated: results.updated,
+      started_at: startTime.toISOString(),
+      completed_at: endTime.toISOString(),
+      metadata: {
+        duration_ms: endTime - startTime,
+        ranger_programs: rangerPrograms,
+        unchanged: results.unchanged,
+        errors: results.errors,
+      },
+    });
+
+    // Print summary
+    log(`\n${'='.repeat(50)}`);
+    log('📊 Import Summary:');
+    log(`   - Things to do fetched: ${rawThingsToDo.length}`);
+    log(`   - Things to do added: ${results.inserted}`);
+    log(`   - Things to do changed: ${results.updated}`);
+    log(`   - Things to do unchanged: ${results.unchanged}`);
+    log(`   - Ranger programs: ${rangerPrograms}`);
+    log(`   - Errors: ${results.errors.length}`);
+    log(`   - Duration: ${((endTime - startTime) / 1000).toFixed(2)}s`);
+    log('='.repeat(50));
+
+    if (results.errors.length > 0) {
+      log('\n⚠️  Errors encountered:');
+      results.errors.forEach((e) => log(`   - Batch ${e.batch}: ${e.error}`));
+    }
+
+    log('\n✅ NPS things to do import completed successfully!');
+  } catch (error) {
+    console.error('\n❌ Import failed:', error.message);
+
+    // Log import failure
+    await logImport(supabase, 'failed', {
+      error_message: error.message,
+      started_at: startTime.toISOString(),
+      completed_at: new Date().toISOString(),
+    });
+
+    process.exit(1);
+  }
+};
+
+// Run the script
+main();
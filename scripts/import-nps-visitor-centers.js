@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * NPS Visitor Centers Import Script
+ *
+ * This script fetches all visitor centers from the National Park Service API
+ * and upserts them into the visitor_centers table, with their operating hours
+ * (including holiday and seasonal exceptions) and the time zone those hours
+ * are in. Re-run it when parks publish new seasonal schedules.
+ *
+ * Usage:
+ *   node scripts/import-nps-visitor-centers.js [--dry-run]
+ *
+ * Options:
+ *   --dry-run   Report what would change without writing to the database
+ *
+ * Environment variables required:
+ *   - NPS_API_KEY: Your NPS API key
+ *   - SUPABASE_URL: Your Supabase project URL
+ *   - SUPABASE_SERVICE_ROLE_KEY: Your Supabase service role key
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { fetchAllVisitorCenters, transformVisitorCenterData } from '../lib/api/nps.js';
+import { upsertChangedRecords } from '../lib/import/content-hash.js';
+import { loadEnv } from './lib/load-env.js';
+import { reportDiff } from './lib/diff-report.js';
+import { log } from './lib/log.js';
+
+// Load environment variables from .env file
+loadEnv();
+
+// Get environment variables
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
+const { SUPABASE_SERVICE_ROLE_KEY } = process.env;
+const { NPS_API_KEY } = process.env;
+
+// Report changes without writing them
+const DRY_RUN = process.argv.includes('--dry-run');
+
+/**
+ * Validates required environment variables
+ */
+const validateEnv = () => {
+  const missing = [];
+
+  if (!SUPABASE_URL) {
+    missing.push('SUPABASE_URL or NEXT_PUBLIC_SUPABASE_URL');
+  }
+  if (!SUPABASE_SERVICE_ROLE_KEY) {
+    missing.push('SUPABASE_SERVICE_ROLE_KEY');
+  }
+  if (!NPS_API_KEY) {
+    missing.push('NPS_API_KEY');
+  }
+
+  if (missing.length > 0) {
+    console.error('❌ Missing required environment variables:');
+    missing.forEach((v) => console.error(`   - ${v}`));
+    process.exit(1);
+  }
+};
+
+/**
+ * Creates a Supabase client with service role key
+ */
+const createSupabaseClient = () =>
+  createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+  });
+
+/**
+ * Logs an import event to the database (not in dry runs)
+ */
+const logImport = async (supabase, status, metadata = {}) => {
+  if (DRY_RUN) {
+    return;
+  }
+
+  const { error } = await supabase.from('import_logs').insert({
+    source: 'nps_visitor_centers',
+    status,
+    ...metadata,
+  });
+
+  if (error) {
+    console.warn('⚠️  Failed to log import:', error.message);
+  }
+};
+
+/**
+ * Main import function
+ */
+const main = async () => {
+  log('🏛️  NPS Visitor Centers Import Script');
+  log('='.repeat(50));
+
+  // Validate environment
+  validateEnv();
+
+  // Create Supabase client
+  const supabase = createSupabaseClient();
+
+  // Log import start
+  const startTime = new Date();
+  await logImport(supabase, 'started', { started_at: startTime.toISOString() });
+
+  try {
+    // Fetch all visitor centers from NPS API
+    log('\n📡 Fetching visitor centers from NPS API...');
+    const rawVisitorCenters = await fetchAllVisitorCenters({
+      onProgress: ({ fetched, total, percentage }) => {
+        process.stdout.write(`\r   Progress: ${fetched}/${total} (${percentage}%)`);
+      },
+    });
+    log(`\n✅ Fetched ${rawVisitorCenters.length} visitor centers from NPS API`);
+
+    // Transform visitor centers, skipping any without a park
+    log('\n🔄 Transforming visitor center data...');
+    const visitorCenters = rawVisitorCenters
+      .map((visitorCenter) => transformVisitorCenterData(visitorCenter, { seenAt: startTime }))
+      .filter((visitorCenter) => visitorCenter.nps_visitor_center_id && visitorCenter.park_code);
+    const withoutTimeZone = visitorCenters.filter((visitorCenter) => !visitorCenter.time_zone);
+    log(`✅ Transformed ${visitorCenters.length} visitor centers`);
+
+    // Upsert new and changed visitor centers
+    log(`\n💾 ${DRY_RUN ? 'Comparing' : 'Upserting'} visitor centers...`);
+    const results = await upsertChangedRecords(supabase, 'visitor_centers', visitorCenters, {
+      key: 'nps_visitor_center_id',
+      dryRun: DRY_RUN,
+      touch: ['last_seen_at'],
+    });
+    reportDiff('visitor_centers', results, {
+      fetched: rawVisitorCenters.length,
+      dryRun: DRY_RUN,
+      label: (visitorCenter) => `${visitorCenter.name} (${visitorCenter.park_code})`,
+    });
+
+    // Log import completion
+    const endTime = new Date();
+    await logImport(supabase, 'completed', {
+      records_fetched: rawVisitorCenters.length,
+      records_inserted: results.inserted,
+      records_updated: results.updated,
+      started_at: startTime.toISOString(),
+      completed_at: endTime.toISOString(),
+      metadata: {
+        duration_ms: endTime - startTime,
+        without_time_zone: withoutTimeZone.length,
+        unchanged: results.unchanged,
+        errors: results.errors,
+      },
+    });
+
+    // Print summary
+    log(`\n${'='.repeat(50)}`);
+    log('📊 Import Summary:');
+    log(`   - Visitor centers fetched: ${rawVisitorCenters.length}`);
+    log(`   - Visitor centers added: ${results.inserted}`);
+    log(`   - Visitor centers changed: ${results.updated}`);
+    log(`   - Visitor centers unchanged: ${results.unchanged}`);
+    log(`   - Without a time zone: ${withoutTimeZone.length}`);
+    log(`   - Errors: ${results.errors.length}`);
+    log(`   - Duration: ${((endTime - startTime) / 1000).toFixed(2)}s`);
+    log('='.repeat(50));
+
+    if (results.errors.length > 0) {
+      log('\n⚠️  Errors encountered:');
+      results.errors.forEach((e) => log(`   - Batch ${e.batch}: ${e.error}`));
+    }
+
+    log('\n✅ NPS visitor centers import completed successfully!');
+  } catch (error) {
+    console.error('\n❌ Import failed:', error.message);
+
+    // Log import failure
+    await logImport(supabase, 'failed', {
+      error_message: error.message,
+      started_at: startTime.toISOString(),
+      completed_at: new Date().toISOString(),
+    });
+
+    process.exit(1);
+  }
+};
+
+// Run the script
+main();
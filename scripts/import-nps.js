@@ -7,7 +7,10 @@
  * and imports them into the Supabase database.
  *
  * Usage:
- *   node scripts/import-nps.js
+ *   node scripts/import-nps.js [--dry-run]
+ *
+ * Options:
+ *   --dry-run   Report what would change without writing to the database
  *
  * Environment variables required:
  *   - NPS_API_KEY: Your NPS API key
@@ -17,7 +20,9 @@
 
 import { createClient } from '@supabase/supabase-js';
 import { fetchAllParks, transformParkData } from '../lib/api/nps.js';
+import { upsertChangedRecords } from '../lib/import/content-hash.js';
 import { loadEnv } from './lib/load-env.js';
+import { reportDiff } from './lib/diff-report.js';
 
 // Load environment variables from .env file
 loadEnv();
@@ -27,6 +32,9 @@ const SUPABASE_URL = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABAS
 const {SUPABASE_SERVICE_ROLE_KEY} = process.env;
 const {NPS_API_KEY} = process.env;
 
+// Report changes without writing them
+const DRY_RUN = process.argv.includes('--dry-run');
+
 /**
  * Validates required environment variables
  */
@@ -55,9 +63,13 @@ const createSupabaseClient = () => createClient(SUPABASE_URL, SUPABASE_SERVICE_R
   });
 
 /**
- * Logs an import event to the database
+ * Logs an import event to the database (not in dry runs)
  */
 const logImport = async (supabase, status, metadata = {}) => {
+  if (DRY_RUN) {
+    return;
+  }
+
   const { error } = await supabase.from('import_logs').insert({
     source: 'nps',
     status,
@@ -70,56 +82,32 @@ const logImport = async (supabase, status, metadata = {}) => {
 };
 
 /**
- * Upserts parks into the database
+ * Upserts new and changed parks into the database
  */
-const upsertParks = async (supabase, parks) => {
-  const results = {
-    inserted: 0,
-    updated: 0,
-    errors: [],
-  };
-
-  // Process in batches of 50
-  const batchSize = 50;
-  for (let i = 0; i < parks.length; i += batchSize) {
-    const batch = parks.slice(i, i + batchSize);
-
-    const { data, error } = await supabase
-      .from('nps_parks')
-      .upsert(
-        batch.map((park) => ({
-          park_code: park.park_code,
-          full_name: park.full_name,
-          description: park.description,
-          states: park.states,
-          latitude: park.latitude,
-          longitude: park.longitude,
-          designation: park.designation,
-          url: park.url,
-          weather_info: park.weather_info,
-          images: park.images,
-          activities: park.activities,
-          topics: park.topics,
-          contacts: park.contacts,
-          entrance_fees: park.entrance_fees,
-          operating_hours: park.operating_hours,
-          addresses: park.addresses,
-        })),
-        { onConflict: 'park_code' }
-      )
-      .select('id');
-
-    if (error) {
-      results.errors.push({ batch: i / batchSize, error: error.message });
-      console.error(`❌ Batch ${i / batchSize + 1} failed:`, error.message);
-    } else {
-      results.inserted += data?.length ?? 0;
-      console.log(`✅ Batch ${i / batchSize + 1}: ${data?.length ?? 0} parks upserted`);
-    }
-  }
-
-  return results;
-};
+const upsertParks = async (supabase, parks) =>
+  upsertChangedRecords(
+    supabase,
+    'nps_parks',
+    parks.map((park) => ({
+      park_code: park.park_code,
+      full_name: park.full_name,
+      description: park.description,
+      states: park.states,
+      latitude: park.latitude,
+      longitude: park.longitude,
+      designation: park.designation,
+      url: park.url,
+      weather_info: park.weather_info,
+      images: park.images,
+      activities: park.activities,
+      topics: park.topics,
+      contacts: park.contacts,
+      entrance_fees: park.entrance_fees,
+      operating_hours: park.operating_hours,
+      addresses: park.addresses,
+    })),
+    { key: 'park_code', dryRun: DRY_RUN, batchSize: 50 }
+  );
 
 /**
  * Main import function
@@ -153,9 +141,14 @@ const main = async () => {
     const parks = rawParks.map(transformParkData);
     console.log(`✅ Transformed ${parks.length} parks`);
 
-    // Upsert parks into database
-    console.log('\n💾 Upserting parks into database...');
+    // Upsert new and changed parks
+    console.log(`\n💾 ${DRY_RUN ? 'Comparing' : 'Upserting'} parks...`);
     const results = await upsertParks(supabase, parks);
+    reportDiff('nps_parks', results, {
+      fetched: rawParks.length,
+      dryRun: DRY_RUN,
+      label: (park) => `${park.full_name} (${park.park_code})`,
+    });
 
     // Log import completion
     const endTime = new Date();
@@ -167,6 +160,7 @@ const main = async () => {
       completed_at: endTime.toISOString(),
       metadata: {
         duration_ms: endTime - startTime,
+        unchanged: results.unchanged,
         errors: results.errors,
       },
     });
@@ -175,7 +169,9 @@ const main = async () => {
     console.log(`\n${  '='.repeat(50)}`);
     console.log('📊 Import Summary:');
     console.log(`   - Parks fetched: ${rawParks.length}`);
-    console.log(`   - Parks upserted: ${results.inserted}`);
+    console.log(`   - Parks added: ${results.inserted}`);
+    console.log(`   - Parks changed: ${results.updated}`);
+    console.log(`   - Parks unchanged: ${results.unchanged}`);
     console.log(`   - Errors: ${results.errors.length}`);
     console.log(`   - Duration: ${((endTime - startTime) / 1000).toFixed(2)}s`);
     console.log('='.repeat(50));
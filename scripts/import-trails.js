@@ -13,10 +13,15 @@
  *   --park-type <type>   Filter parks by type: nps, wikidata, local, all (default: all)
  *   --limit <n>          Limit number of parks to process (default: all)
  *   --skip <n>           Skip first n parks (for resuming interrupted imports)
+ *   --resume             Continue the last unfinished import from its checkpoint
  *   --park-id <id>       Import trails for a specific park ID only
  *   --radius <km>        Search radius around park center in km (default: 5)
  *   --delay <ms>         Delay between parks in ms (default: 3000)
- *   --dry-run            Don't insert into database, just log what would be done
+ *   --dry-run            Don't write to the database, just report what would change
+ *
+ * Trails are upserted park by park, and only when new or changed (by content
+ * hash). After each park the import records a checkpoint in import_logs, so an
+ * interrupted import can be continued with --resume instead of starting over.
  *
  * Environment variables required:
  *   - SUPABASE_URL: Your Supabase project URL
@@ -24,7 +29,9 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { upsertChangedRecords } from '../lib/import/content-hash.js';
 import { loadEnv } from './lib/load-env.js';
+import { reportDiff } from './lib/diff-report.js';
 import {
   fetchTrailsInBbox,
   calculateBbox,
@@ -64,6 +71,7 @@ const parseArgs = () => {
     radiusKm: DEFAULT_RADIUS_KM,
     delayMs: DEFAULT_DELAY_MS,
     dryRun: false,
+    resume: false,
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -89,6 +97,9 @@ const parseArgs = () => {
       case '--dry-run':
         options.dryRun = true;
         break;
+      case '--resume':
+        options.resume = true;
+        break;
       case '--help':
         console.log(`
 Trail Import Script
@@ -99,16 +110,18 @@ Options:
   --park-type <type>   Filter parks by type: nps, wikidata, local, all (default: all)
   --limit <n>          Limit number of parks to process (default: all)
   --skip <n>           Skip first n parks (for resuming interrupted imports)
+  --resume             Continue the last unfinished import from its checkpoint
   --park-id <id>       Import trails for a specific park ID only
   --radius <km>        Search radius around park center in km (default: 5)
   --delay <ms>         Delay between parks in ms (default: 3000)
-  --dry-run            Don't insert into database, just log what would be done
+  --dry-run            Don't write to the database, just report what would change
   --help               Show this help message
 
 Examples:
   pnpm run import:trails -- --park-type=nps --limit=10
   pnpm run import:trails -- --park-id=abc123-def456
   pnpm run import:trails -- --skip=50 --limit=50
+  pnpm run import:trails -- --resume
         `);
         process.exit(0);
     }
@@ -150,17 +163,85 @@ const createSupabaseClient = () =>
 
 /**
  * Logs an import event to the database
+ * @returns {Promise<string|null>} Log row ID
  */
 const logImport = async (supabase, status, metadata = {}) => {
-  const { error } = await supabase.from('import_logs').insert({
-    source: 'trails',
-    status,
-    ...metadata,
-  });
+  const { data, error } = await supabase
+    .from('import_logs')
+    .insert({
+      source: 'trails',
+      status,
+      ...metadata,
+    })
+    .select('id')
+    .single();
 
   if (error) {
     console.warn('⚠️  Failed to log import:', error.message);
+    return null;
+  }
+
+  return data.id;
+};
+
+/**
+ * Records where an interrupted import should continue, on its 'started' log
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {string|null} logId - 'started' log row ID
+ * @param {Object} checkpoint - { park_type, radius_km, skip, limit }
+ */
+const saveCheckpoint = async (supabase, logId, checkpoint) => {
+  if (!logId) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('import_logs')
+    .update({ metadata: { checkpoint } })
+    .eq('id', logId);
+
+  if (error) {
+    console.warn('⚠️  Failed to save checkpoint:', error.message);
+  }
+};
+
+/**
+ * Checkpoint of the last import, unless that import completed
+ *
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Object|null>} Checkpoint
+ */
+const findCheckpoint = async (supabase) => {
+  const { data: started, error } = await supabase
+    .from('import_logs')
+    .select('started_at, metadata')
+    .eq('source', 'trails')
+    .eq('status', 'started')
+    .order('started_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read import checkpoint: ${error.message}`);
   }
+  if (!started?.metadata?.checkpoint) {
+    return null;
+  }
+
+  // A run's 'completed' log shares its started_at
+  const { count, error: completedError } = await supabase
+    .from('import_logs')
+    .select('id', { count: 'exact', head: true })
+    .eq('source', 'trails')
+    .eq('status', 'completed')
+    .eq('started_at', started.started_at);
+
+  if (completedError) {
+    throw new Error(`Failed to read import checkpoint: ${completedError.message}`);
+  }
+
+  return count > 0 ? null : started.metadata.checkpoint;
 };
 
 /**
@@ -275,40 +356,33 @@ const fetchTrailsForPark = async (park, radiusKm) => {
 };
 
 /**
- * Upsert trails into the database
+ * Upsert new and changed trails into the database
  *
  * @param {Object} supabase - Supabase client
  * @param {Array} trails - Array of trail objects ready for database
- * @returns {Promise<Object>} Results with counts
+ * @param {boolean} dryRun - Only compare against stored trails
+ * @returns {Promise<Object>} Results with counts and diff
  */
-const upsertTrails = async (supabase, trails) => {
-  const results = {
-    inserted: 0,
-    updated: 0,
-    errors: [],
-  };
-
-  // Process in batches
-  for (let i = 0; i < trails.length; i += BATCH_SIZE) {
-    const batch = trails.slice(i, i + BATCH_SIZE);
-
-    const { data, error } = await supabase
-      .from('trails')
-      .upsert(batch, {
-        onConflict: 'source,source_id',
-        ignoreDuplicates: false,
-      })
-      .select('id');
-
-    if (error) {
-      results.errors.push({ batch: Math.floor(i / BATCH_SIZE), error: error.message });
-      console.error(`❌ Batch ${Math.floor(i / BATCH_SIZE) + 1} failed:`, error.message);
-    } else {
-      results.inserted += data?.length ?? 0;
-    }
-  }
+const upsertTrails = async (supabase, trails, dryRun) =>
+  upsertChangedRecords(supabase, 'trails', trails, {
+    key: 'source,source_id',
+    dryRun,
+    touch: ['last_seen_at'],
+    batchSize: BATCH_SIZE,
+  });
 
-  return results;
+/**
+ * Adds one park's upsert results to the run totals
+ *
+ * @param {Object} totals - Run totals
+ * @param {Object} results - Results from upsertTrails
+ */
+const addResults = (totals, results) => {
+  ['inserted', 'updated', 'unchanged'].forEach((kind) => {
+    totals.diff[kind].push(...results.diff[kind]);
+    totals[kind] += results[kind];
+  });
+  totals.errors.push(...results.errors);
 };
 
 /**
@@ -320,7 +394,6 @@ const main = async () => {
 
   // Parse arguments
   const options = parseArgs();
-  console.log('Options:', options);
 
   // Validate environment
   validateEnv();
@@ -328,9 +401,31 @@ const main = async () => {
   // Create Supabase client
   const supabase = createSupabaseClient();
 
-  // Log import start
+  // Continue from the last unfinished import's checkpoint
+  if (options.resume && !options.parkId) {
+    try {
+      const checkpoint = await findCheckpoint(supabase);
+      if (checkpoint) {
+        options.parkType = checkpoint.park_type;
+        options.radiusKm = checkpoint.radius_km;
+        options.skip = checkpoint.skip;
+        options.limit = checkpoint.limit;
+        console.log(`⏩ Resuming the last import from park ${checkpoint.skip + 1}`);
+      } else {
+        console.log('ℹ️  No unfinished import to resume, starting from the beginning');
+      }
+    } catch (error) {
+      console.error('\n❌ Import failed:', error.message);
+      process.exit(1);
+    }
+  }
+  console.log('Options:', options);
+
+  // Log import start (dry runs leave no logs, so they can't hide a checkpoint)
   const startTime = new Date();
-  await logImport(supabase, 'started', { started_at: startTime.toISOString() });
+  const logId = options.dryRun
+    ? null
+    : await logImport(supabase, 'started', { started_at: startTime.toISOString() });
 
   try {
     // Fetch parks
@@ -341,13 +436,21 @@ const main = async () => {
       return;
     }
 
-    // Track all trails and stats
-    const allTrails = [];
+    // Track upsert results and stats
+    const results = {
+      diff: { inserted: [], updated: [], unchanged: [] },
+      inserted: 0,
+      updated: 0,
+      unchanged: 0,
+      errors: [],
+    };
+    const seenTrailIds = new Set();
+    let trailsFound = 0;
     let parksProcessed = 0;
     let parksWithTrails = 0;
     let parksSkipped = 0;
 
-    // Process each park
+    // Process each park, upserting its trails as we go
     for (const park of parks) {
       parksProcessed++;
       const parkNum = options.skip + parksProcessed;
@@ -361,21 +464,46 @@ const main = async () => {
         parksSkipped++;
       } else if (result.trails.length > 0) {
         parksWithTrails++;
+        trailsFound += result.trails.length;
         console.log(`   ✅ Found ${result.trails.length} trails`);
 
+        // Same trail may appear in multiple park searches; the first park keeps it
+        const newTrails = deduplicateTrails(result.trails).filter(
+          (trail) => !seenTrailIds.has(trail.sourceId)
+        );
+        newTrails.forEach((trail) => seenTrailIds.add(trail.sourceId));
+
         // Prepare trails for database with park association
-        const preparedTrails = result.trails.map((trail) =>
+        const preparedTrails = newTrails.map((trail) =>
           prepareForDatabase(trail, {
             parkId: park.id,
             parkSource: park.source,
           })
         );
 
-        allTrails.push(...preparedTrails);
+        const parkResults = await upsertTrails(supabase, preparedTrails, options.dryRun);
+        addResults(results, parkResults);
+        console.log(
+          `   💾 ${parkResults.inserted} new, ${parkResults.updated} changed, ` +
+            `${parkResults.unchanged} unchanged`
+        );
+        parkResults.errors.forEach((e) => {
+          console.error(`   ❌ Batch ${e.batch + 1} failed:`, e.error);
+        });
       } else {
         console.log(`   ⚪ No trails found`);
       }
 
+      // Continue after this park if the import is interrupted
+      if (!options.parkId) {
+        await saveCheckpoint(supabase, logId, {
+          park_type: options.parkType,
+          radius_km: options.radiusKm,
+          skip: options.skip + parksProcessed,
+          limit: options.limit ? options.limit - parksProcessed : null,
+        });
+      }
+
       // Delay between parks to avoid overwhelming the Overpass API
       if (parksProcessed < parks.length) {
         console.log(`   ⏳ Waiting ${options.delayMs / 1000}s before next park...`);
@@ -384,29 +512,22 @@ const main = async () => {
     }
 
     console.log('\n');
+    console.log(`📊 Found ${trailsFound} trails, ${seenTrailIds.size} unique`);
 
-    // Deduplicate trails (same trail may appear in multiple park searches)
-    const uniqueTrails = deduplicateTrails(allTrails);
-    console.log(`📊 Found ${allTrails.length} trails, ${uniqueTrails.length} unique`);
-
-    if (options.dryRun) {
-      console.log('\n🔍 DRY RUN - Would insert the following trails:');
-      uniqueTrails.slice(0, 10).forEach((trail) => {
-        console.log(`   - ${trail.name || trail.slug} (${trail.difficulty}, ${trail.length_meters}m)`);
-      });
-      if (uniqueTrails.length > 10) {
-        console.log(`   ... and ${uniqueTrails.length - 10} more`);
-      }
-    } else {
-      // Insert trails into database
-      console.log('\n💾 Upserting trails into database...');
-      const results = await upsertTrails(supabase, uniqueTrails);
+    reportDiff('trails', results, {
+      fetched: trailsFound,
+      dryRun: options.dryRun,
+      label: (trail) =>
+        `${trail.name || trail.slug} (${trail.difficulty}, ${trail.length_meters}m)`,
+    });
 
-      // Log import completion
-      const endTime = new Date();
+    // Log import completion
+    const endTime = new Date();
+    if (!options.dryRun) {
       await logImport(supabase, 'completed', {
-        records_fetched: allTrails.length,
+        records_fetched: trailsFound,
         records_inserted: results.inserted,
+        records_updated: results.updated,
         started_at: startTime.toISOString(),
         completed_at: endTime.toISOString(),
         metadata: {
@@ -414,44 +535,45 @@ const main = async () => {
           parks_processed: parksProcessed,
           parks_with_trails: parksWithTrails,
           parks_skipped: parksSkipped,
-          unique_trails: uniqueTrails.length,
+          resumed_from: options.resume ? options.skip : null,
+          unique_trails: seenTrailIds.size,
+          unchanged: results.unchanged,
           errors: results.errors,
         },
       });
-
-      // Print summary
-      console.log(`\n${'='.repeat(50)}`);
-      console.log('📊 Import Summary:');
-      console.log(`   - Parks processed: ${parksProcessed}`);
-      console.log(`   - Parks with trails: ${parksWithTrails}`);
-      console.log(`   - Parks skipped (failed after ${MAX_RETRIES} retries): ${parksSkipped}`);
-      console.log(`   - Total trails found: ${allTrails.length}`);
-      console.log(`   - Unique trails: ${uniqueTrails.length}`);
-      console.log(`   - Trails upserted: ${results.inserted}`);
-      console.log(`   - Errors: ${results.errors.length}`);
-      console.log(`   - Duration: ${((endTime - startTime) / 1000).toFixed(2)}s`);
-      console.log('='.repeat(50));
-
-      if (results.errors.length > 0) {
-        console.log('\n⚠️  Errors encountered:');
-        results.errors.forEach((e) => console.log(`   - Batch ${e.batch}: ${e.error}`));
-      }
     }
 
+    // Print summary
+    console.log(`\n${'='.repeat(50)}`);
+    console.log('📊 Import Summary:');
+    console.log(`   - Parks processed: ${parksProcessed}`);
+    console.log(`   - Parks with trails: ${parksWithTrails}`);
+    console.log(`   - Parks skipped (failed after ${MAX_RETRIES} retries): ${parksSkipped}`);
+    console.log(`   - Total trails found: ${trailsFound}`);
+    console.log(`   - Unique trails: ${seenTrailIds.size}`);
+    console.log(`   - Trails added: ${results.inserted}`);
+    console.log(`   - Trails changed: ${results.updated}`);
+    console.log(`   - Trails unchanged: ${results.unchanged}`);
+    console.log(`   - Errors: ${results.errors.length}`);
+    console.log(`   - Duration: ${((endTime - startTime) / 1000).toFixed(2)}s`);
+    console.log('='.repeat(50));
+
     console.log('\n✅ Trail import completed successfully!');
   } catch (error) {
     console.error('\n❌ Import failed:', error.message);
 
-    // Log import failure
-    await logImport(supabase, 'failed', {
-      error_message: error.message,
-      started_at: startTime.toISOString(),
-      completed_at: new Date().toISOString(),
-    });
+    // Log import failure (its checkpoint stays on the 'started' log for --resume)
+    if (!options.dryRun) {
+      await logImport(supabase, 'failed', {
+        error_message: error.message,
+        started_at: startTime.toISOString(),
+        completed_at: new Date().toISOString(),
+      });
+    }
 
     process.exit(1);
   }
 };
 
 // Run the script
-main();
\ No newline at end of file
+main();
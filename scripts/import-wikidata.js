@@ -7,7 +7,10 @@
  * and imports them into the Supabase database.
  *
  * Usage:
- *   node scripts/import-wikidata.js
+ *   node scripts/import-wikidata.js [--dry-run]
+ *
+ * Options:
+ *   --dry-run   Report what would change without writing to the database
  *
  * Environment variables required:
  *   - SUPABASE_URL: Your Supabase project URL
@@ -16,7 +19,9 @@
 
 import { createClient } from '@supabase/supabase-js';
 import { fetchAllWikidataParks } from '../lib/api/wikidata.js';
+import { upsertChangedRecords } from '../lib/import/content-hash.js';
 import { loadEnv } from './lib/load-env.js';
+import { reportDiff } from './lib/diff-report.js';
 
 // Load environment variables from .env file
 loadEnv();
@@ -25,6 +30,9 @@ loadEnv();
 const SUPABASE_URL = process.env.SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL;
 const {SUPABASE_SERVICE_ROLE_KEY} = process.env;
 
+// Report changes without writing them
+const DRY_RUN = process.argv.includes('--dry-run');
+
 /**
  * Validates required environment variables
  */
@@ -52,9 +60,13 @@ const createSupabaseClient = () => createClient(SUPABASE_URL, SUPABASE_SERVICE_R
   });
 
 /**
- * Logs an import event to the database
+ * Logs an import event to the database (not in dry runs)
  */
 const logImport = async (supabase, status, metadata = {}) => {
+  if (DRY_RUN) {
+    return;
+  }
+
   const { error } = await supabase.from('import_logs').insert({
     source: 'wikidata',
     status,
@@ -96,57 +108,34 @@ const deduplicateParks = (parks) => {
 };
 
 /**
- * Upserts parks into the database
+ * Upserts new and changed parks into the database
  */
 const upsertParks = async (supabase, parks) => {
-  const results = {
-    inserted: 0,
-    updated: 0,
-    errors: [],
-  };
-
   // Deduplicate parks before upserting
   const uniqueParks = deduplicateParks(parks);
   console.log(`   Deduplicated ${parks.length} parks to ${uniqueParks.length} unique parks`);
 
-  // Process in batches of 50
-  const batchSize = 50;
-  for (let i = 0; i < uniqueParks.length; i += batchSize) {
-    const batch = uniqueParks.slice(i, i + batchSize);
-
-    const { data, error } = await supabase
-      .from('wikidata_parks')
-      .upsert(
-        batch.map((park) => ({
-          wikidata_id: park.wikidata_id,
-          label: park.label,
-          state: park.state,
-          latitude: park.latitude,
-          longitude: park.longitude,
-          image_url: park.image_url,
-          website: park.website,
-          area: park.area,
-          area_unit: park.area_unit,
-          elevation: park.elevation,
-          elevation_unit: park.elevation_unit,
-          inception: park.inception,
-          managing_org: park.managing_org,
-          commons_category: park.commons_category,
-        })),
-        { onConflict: 'wikidata_id' }
-      )
-      .select('id');
-
-    if (error) {
-      results.errors.push({ batch: i / batchSize, error: error.message });
-      console.error(`❌ Batch ${i / batchSize + 1} failed:`, error.message);
-    } else {
-      results.inserted += data?.length ?? 0;
-      console.log(`✅ Batch ${i / batchSize + 1}: ${data?.length ?? 0} parks upserted`);
-    }
-  }
-
-  return results;
+  return upsertChangedRecords(
+    supabase,
+    'wikidata_parks',
+    uniqueParks.map((park) => ({
+      wikidata_id: park.wikidata_id,
+      label: park.label,
+      state: park.state,
+      latitude: park.latitude,
+      longitude: park.longitude,
+      image_url: park.image_url,
+      website: park.website,
+      area: park.area,
+      area_unit: park.area_unit,
+      elevation: park.elevation,
+      elevation_unit: park.elevation_unit,
+      inception: park.inception,
+      managing_org: park.managing_org,
+      commons_category: park.commons_category,
+    })),
+    { key: 'wikidata_id', dryRun: DRY_RUN, batchSize: 50 }
+  );
 };
 
 /**
@@ -176,9 +165,14 @@ const main = async () => {
     });
     console.log(`\n✅ Fetched ${parks.length} parks from Wikidata`);
 
-    // Upsert parks into database
-    console.log('\n💾 Upserting parks into database...');
+    // Upsert new and changed parks
+    console.log(`\n💾 ${DRY_RUN ? 'Comparing' : 'Upserting'} parks...`);
     const results = await upsertParks(supabase, parks);
+    reportDiff('wikidata_parks', results, {
+      fetched: parks.length,
+      dryRun: DRY_RUN,
+      label: (park) => `${park.label} (${park.wikidata_id})`,
+    });
 
     // Log import completion
     const endTime = new Date();
@@ -190,6 +184,7 @@ const main = async () => {
       completed_at: endTime.toISOString(),
       metadata: {
         duration_ms: endTime - startTime,
+        unchanged: results.unchanged,
         errors: results.errors,
       },
     });
@@ -198,7 +193,9 @@ const main = async () => {
     console.log(`\n${  '='.repeat(50)}`);
     console.log('📊 Import Summary:');
     console.log(`   - Parks fetched: ${parks.length}`);
-    console.log(`   - Parks upserted: ${results.inserted}`);
+    console.log(`   - Parks added: ${results.inserted}`);
+    console.log(`   - Parks changed: ${results.updated}`);
+    console.log(`   - Parks unchanged: ${results.unchanged}`);
     console.log(`   - Errors: ${results.errors.length}`);
     console.log(`   - Duration: ${((endTime - startTime) / 1000).toFixed(2)}s`);
     console.log('='.repeat(50));
@@ -0,0 +1,63 @@
+/**
+ * Diff reports for import scripts
+ *
+ * Import scripts print what changed (or, with --dry-run, what would change)
+ * and, when run by import-all.js, append a summary line to the file named by
+ * IMPORT_DIFF_FILE so the orchestrator can total the run.
+ */
+
+import { appendFileSync, existsSync, readFileSync } from 'fs';
+import { formatDiffReport } from '../../lib/import/content-hash.js';
+import { log } from './log.js';
+
+/**
+ * Prints a diff report and records its counts for import-all.js
+ * @param {string} source - Table or import name
+ * @param {Object} results - From upsertChangedRecords
+ * @param {Object} [options]
+ * @param {number} [options.fetched] - Records fetched from the source
+ * @param {boolean} [options.dryRun=false] - Whether nothing was written
+ * @param {Function} [options.label] - Record to display name
+ */
+export const reportDiff = (source, results, { fetched, dryRun = false, label } = {}) => {
+  const [summary, ...details] = formatDiffReport(results.diff, { label });
+  log(`\n📋 ${source}${dryRun ? ' (dry run, nothing written)' : ''}: ${summary}`);
+  details.forEach((line) => log(line));
+
+  if (process.env.IMPORT_DIFF_FILE) {
+    appendFileSync(
+      process.env.IMPORT_DIFF_FILE,
+      `${JSON.stringify({
+        source,
+        fetched:
+          fetched ??
+          results.diff.inserted.length +
+            results.diff.updated.length +
+            results.diff.unchanged.length,
+        inserted: results.inserted,
+        updated: results.updated,
+        unchanged: results.unchanged,
+        errors: results.errors.length,
+        dry_run: dryRun,
+      })}\n`
+    );
+  }
+};
+
+/**
+ * Reads the reports a step recorded
+ * @param {string} file - IMPORT_DIFF_FILE path
+ * @returns {Object[]} Reports
+ */
+export const readDiffReports = (file) => {
+  if (!existsSync(file)) {
+    return [];
+  }
+
+  return readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+};
+
+export default reportDiff;
@@ -0,0 +1,19 @@
+/**
+ * Progress output for scripts
+ *
+ * Scripts print progress through log() rather than console.log so the
+ * no-console lint rule keeps catching stray debugging output elsewhere.
+ * Warnings and errors still go through console.warn and console.error.
+ */
+
+import { format } from 'util';
+
+/**
+ * Writes a line to stdout, formatted like console.log
+ * @param {...*} args - Values to print
+ */
+export const log = (...args) => {
+  process.stdout.write(`${format(...args)}\n`);
+};
+
+export default log;
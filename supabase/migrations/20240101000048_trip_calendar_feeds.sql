@@ -0,0 +1,34 @@
+-- Migration: Trip Calendar Feeds
+-- Per-user secret tokens for subscribing to upcoming trips from Google/Apple calendars
+-- The token is the only credential for the feed URL, so it can be revoked or rotated
+
+-- ============================================
+-- Trip Calendar Feeds Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS trip_calendar_feeds (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_accessed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_calendar_feeds_token ON trip_calendar_feeds(token);
+
+-- ============================================
+-- Row Level Security (RLS)
+-- ============================================
+ALTER TABLE trip_calendar_feeds ENABLE ROW LEVEL SECURITY;
+
+-- Users can only see and manage their own feed token
+CREATE POLICY "Users can view their own calendar feed"
+  ON trip_calendar_feeds FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own calendar feed"
+  ON trip_calendar_feeds FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- Feeds are created and looked up by token through the API (service role)
+CREATE POLICY "Service role can manage trip_calendar_feeds"
+  ON trip_calendar_feeds FOR ALL
+  USING (auth.role() = 'service_role');
@@ -0,0 +1,149 @@
+-- Migration: Trip Members
+-- Lets trip owners invite co-planners as editors (can change the itinerary)
+-- or viewers (read-only). The owner stays trips.user_id and is not stored here.
+
+-- ============================================
+-- Trip Members Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS trip_members (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  trip_id UUID NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+  -- References profiles so PostgREST can join usernames and avatars
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('editor', 'viewer')),
+  invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (trip_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_members_trip_id ON trip_members(trip_id);
+CREATE INDEX IF NOT EXISTS idx_trip_members_user_id ON trip_members(user_id);
+
+CREATE TRIGGER update_trip_members_updated_at
+  BEFORE UPDATE ON trip_members
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- Access Helpers
+-- SECURITY DEFINER so policies on trips/trip_members can call them
+-- without recursing into each other's RLS
+-- ============================================
+
+-- Role of the signed-in user on a trip: 'owner', 'editor', 'viewer', or NULL.
+-- Takes no user argument so RPC callers can't look up other people's trips.
+CREATE OR REPLACE FUNCTION get_trip_role(p_trip_id UUID)
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := (select auth.uid());
+BEGIN
+  IF v_user_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM trips WHERE id = p_trip_id AND user_id = v_user_id) THEN
+    RETURN 'owner';
+  END IF;
+
+  RETURN (
+    SELECT role FROM trip_members
+    WHERE trip_id = p_trip_id AND user_id = v_user_id
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_trip_role TO authenticated;
+
+-- ============================================
+-- Row Level Security (RLS)
+-- ============================================
+ALTER TABLE trip_members ENABLE ROW LEVEL SECURITY;
+
+-- Anyone on the trip can see who else is on it
+CREATE POLICY "Trip members can view members"
+  ON trip_members FOR SELECT
+  USING (get_trip_role(trip_id) IS NOT NULL);
+
+-- Only the owner invites, changes roles, and removes members
+CREATE POLICY "Trip owners can add members"
+  ON trip_members FOR INSERT
+  WITH CHECK (get_trip_role(trip_id) = 'owner');
+
+CREATE POLICY "Trip owners can update members"
+  ON trip_members FOR UPDATE
+  USING (get_trip_role(trip_id) = 'owner');
+
+-- Owners remove anyone; members can leave
+CREATE POLICY "Trip owners and members can remove members"
+  ON trip_members FOR DELETE
+  USING (
+    user_id = (select auth.uid())
+    OR get_trip_role(trip_id) = 'owner'
+  );
+
+CREATE POLICY "Service role can manage trip_members"
+  ON trip_members FOR ALL
+  USING ((select auth.role()) = 'service_role');
+
+-- Members can read shared trips; editors can change them. Deleting stays owner-only.
+CREATE POLICY "Trip members can view shared trips"
+  ON trips FOR SELECT
+  USING (get_trip_role(id) IN ('editor', 'viewer'));
+
+-- The role check reads the pre-update row, so WITH CHECK also pins user_id:
+-- editors can't hand the trip to themselves
+CREATE POLICY "Trip editors can update shared trips"
+  ON trips FOR UPDATE
+  USING (get_trip_role(id) = 'editor')
+  WITH CHECK (
+    get_trip_role(id) = 'editor'
+    AND user_id = (SELECT t.user_id FROM trips t WHERE t.id = trips.id)
+  );
+
+CREATE POLICY "Trip members can view stops for shared trips"
+  ON trip_stops FOR SELECT
+  USING (get_trip_role(trip_id) IN ('editor', 'viewer'));
+
+CREATE POLICY "Trip editors can insert stops for shared trips"
+  ON trip_stops FOR INSERT
+  WITH CHECK (get_trip_role(trip_id) = 'editor');
+
+CREATE POLICY "Trip editors can update stops for shared trips"
+  ON trip_stops FOR UPDATE
+  USING (get_trip_role(trip_id) = 'editor');
+
+CREATE POLICY "Trip editors can delete stops for shared trips"
+  ON trip_stops FOR DELETE
+  USING (get_trip_role(trip_id) = 'editor');
+
+-- ============================================
+-- Owner-Only Columns
+-- Policies are OR'ed (the owner's own UPDATE policy accepts a row whose
+-- user_id is the caller), so guard ownership in a trigger every update hits.
+-- The service role and SQL have no auth.uid() and can still transfer trips.
+-- ============================================
+CREATE OR REPLACE FUNCTION prevent_trip_owner_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.user_id IS DISTINCT FROM OLD.user_id
+    AND (select auth.uid()) IS NOT NULL
+    AND (select auth.uid()) IS DISTINCT FROM OLD.user_id THEN
+    RAISE EXCEPTION 'Only the trip owner can change who owns a trip'
+      USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER prevent_trip_owner_change
+  BEFORE UPDATE OF user_id ON trips
+  FOR EACH ROW EXECUTE FUNCTION prevent_trip_owner_change();
@@ -0,0 +1,35 @@
+-- Migration: Trip Share Links
+-- A public, read-only link per trip. The token is the only credential for
+-- viewing the trip without an account, so owners can revoke or rotate it.
+
+-- ============================================
+-- Trip Share Links Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS trip_share_links (
+  trip_id UUID PRIMARY KEY REFERENCES trips(id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_accessed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_share_links_token ON trip_share_links(token);
+
+-- ============================================
+-- Row Level Security (RLS)
+-- ============================================
+ALTER TABLE trip_share_links ENABLE ROW LEVEL SECURITY;
+
+-- Only the trip owner can see or revoke the link
+CREATE POLICY "Trip owners can view share links"
+  ON trip_share_links FOR SELECT
+  USING (get_trip_role(trip_id) = 'owner');
+
+CREATE POLICY "Trip owners can delete share links"
+  ON trip_share_links FOR DELETE
+  USING (get_trip_role(trip_id) = 'owner');
+
+-- Links are created and looked up by token through the API (service role)
+CREATE POLICY "Service role can manage trip_share_links"
+  ON trip_share_links FOR ALL
+  USING ((select auth.role()) = 'service_role');
@@ -0,0 +1,12 @@
+-- Migration: Trip Budget Settings
+-- Per-trip fuel price and vehicle fuel economy for the cost estimator.
+-- NULL means "use the app defaults".
+
+ALTER TABLE trips
+  ADD COLUMN IF NOT EXISTS fuel_price_per_gallon NUMERIC(5, 2)
+    CHECK (fuel_price_per_gallon IS NULL OR (fuel_price_per_gallon > 0 AND fuel_price_per_gallon <= 20)),
+  ADD COLUMN IF NOT EXISTS vehicle_mpg NUMERIC(5, 1)
+    CHECK (vehicle_mpg IS NULL OR (vehicle_mpg >= 5 AND vehicle_mpg <= 150));
+
+COMMENT ON COLUMN trips.fuel_price_per_gallon IS 'Fuel price (USD/gallon) used for the trip cost estimate';
+COMMENT ON COLUMN trips.vehicle_mpg IS 'Vehicle fuel economy (miles per gallon) used for the trip cost estimate';
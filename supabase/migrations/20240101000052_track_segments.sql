@@ -0,0 +1,109 @@
+-- Migration: Track Segments
+-- Points recorded after a resume start a new segment, so the time spent
+-- paused (and any distance covered while paused) no longer counts toward a
+-- track's distance, duration, or average speed.
+
+ALTER TABLE track_points
+  ADD COLUMN IF NOT EXISTS segment_num INTEGER NOT NULL DEFAULT 0
+    CHECK (segment_num >= 0);
+
+COMMENT ON COLUMN track_points.segment_num IS 'Recording segment; increments each time tracking resumes after a pause';
+
+-- Recalculate stats per segment: no distance across a pause, and duration is
+-- the sum of each segment's first-to-last point time
+CREATE OR REPLACE FUNCTION calculate_track_stats(p_track_id UUID)
+RETURNS TABLE (
+  distance_meters DECIMAL(12, 2),
+  duration_seconds INTEGER,
+  elevation_gain_m DECIMAL(8, 2),
+  elevation_loss_m DECIMAL(8, 2),
+  avg_speed_mps DECIMAL(8, 4),
+  max_speed_mps DECIMAL(8, 4),
+  min_elevation_m DECIMAL(8, 2),
+  max_elevation_m DECIMAL(8, 2),
+  min_lat DECIMAL(10, 8),
+  max_lat DECIMAL(10, 8),
+  min_lng DECIMAL(11, 8),
+  max_lng DECIMAL(11, 8)
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_total_distance DECIMAL(12, 2) := 0;
+  v_elevation_gain DECIMAL(8, 2) := 0;
+  v_elevation_loss DECIMAL(8, 2) := 0;
+  v_prev_lat DECIMAL(10, 8);
+  v_prev_lng DECIMAL(11, 8);
+  v_prev_alt DECIMAL(8, 2);
+  v_prev_segment INTEGER;
+  v_point RECORD;
+BEGIN
+  -- Get bounding box and elevation stats
+  SELECT
+    MIN(latitude), MAX(latitude),
+    MIN(longitude), MAX(longitude),
+    MIN(altitude_m), MAX(altitude_m),
+    MAX(speed_mps),
+    AVG(speed_mps) FILTER (WHERE speed_mps > 0)
+  INTO
+    min_lat, max_lat,
+    min_lng, max_lng,
+    min_elevation_m, max_elevation_m,
+    max_speed_mps,
+    avg_speed_mps
+  FROM track_points
+  WHERE track_id = p_track_id;
+
+  -- Duration excludes the gaps between segments
+  SELECT COALESCE(SUM(EXTRACT(EPOCH FROM (segment_end - segment_start))), 0)::INTEGER
+  INTO duration_seconds
+  FROM (
+    SELECT MIN(recorded_at) AS segment_start, MAX(recorded_at) AS segment_end
+    FROM track_points
+    WHERE track_id = p_track_id
+    GROUP BY segment_num
+  ) segments;
+
+  -- Calculate distance and elevation changes within each segment using Haversine formula
+  FOR v_point IN
+    SELECT latitude, longitude, altitude_m, segment_num
+    FROM track_points
+    WHERE track_id = p_track_id
+    ORDER BY sequence_num
+  LOOP
+    IF v_prev_lat IS NOT NULL AND v_point.segment_num = v_prev_segment THEN
+      -- Haversine distance calculation
+      v_total_distance := v_total_distance + (
+        6371000 * 2 * ASIN(SQRT(
+          POWER(SIN(RADIANS(v_point.latitude - v_prev_lat) / 2), 2) +
+          COS(RADIANS(v_prev_lat)) * COS(RADIANS(v_point.latitude)) *
+          POWER(SIN(RADIANS(v_point.longitude - v_prev_lng) / 2), 2)
+        ))
+      );
+
+      -- Elevation changes
+      IF v_prev_alt IS NOT NULL AND v_point.altitude_m IS NOT NULL THEN
+        IF v_point.altitude_m > v_prev_alt THEN
+          v_elevation_gain := v_elevation_gain + (v_point.altitude_m - v_prev_alt);
+        ELSE
+          v_elevation_loss := v_elevation_loss + (v_prev_alt - v_point.altitude_m);
+        END IF;
+      END IF;
+    END IF;
+
+    v_prev_lat := v_point.latitude;
+    v_prev_lng := v_point.longitude;
+    v_prev_alt := v_point.altitude_m;
+    v_prev_segment := v_point.segment_num;
+  END LOOP;
+
+  distance_meters := ROUND(v_total_distance, 2);
+  elevation_gain_m := ROUND(v_elevation_gain, 2);
+  elevation_loss_m := ROUND(v_elevation_loss, 2);
+
+  RETURN NEXT;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION calculate_track_stats TO authenticated;
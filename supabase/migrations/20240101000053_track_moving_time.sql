@@ -0,0 +1,10 @@
+-- Migration: Track Moving Time
+-- Time spent actually moving, excluding rest stops and pauses. Calculated by
+-- the app (lib/tracking/track-stats calculateMovingTime) when a track is
+-- finalized or imported; duration_seconds remains the recorded time.
+
+ALTER TABLE user_tracks
+  ADD COLUMN IF NOT EXISTS moving_seconds INTEGER
+    CHECK (moving_seconds IS NULL OR moving_seconds >= 0);
+
+COMMENT ON COLUMN user_tracks.moving_seconds IS 'Seconds spent moving, excluding rest stops and pauses';
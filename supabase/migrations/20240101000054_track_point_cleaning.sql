@@ -0,0 +1,53 @@
+-- Migration: Track Point Cleaning
+-- Cleaned positions and altitudes are stored next to the raw GPS values, so
+-- the raw recording is kept and cleaning (lib/tracking/track-cleaning) can be
+-- re-run. Track stats and geometry are recalculated from the cleaned points
+-- when a track is finalized.
+
+ALTER TABLE track_points
+  ADD COLUMN IF NOT EXISTS clean_latitude DECIMAL(10, 8),
+  ADD COLUMN IF NOT EXISTS clean_longitude DECIMAL(11, 8),
+  ADD COLUMN IF NOT EXISTS clean_altitude_m DECIMAL(8, 2),
+  ADD COLUMN IF NOT EXISTS is_outlier BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN track_points.clean_latitude IS 'Filtered latitude (NULL until the track is cleaned)';
+COMMENT ON COLUMN track_points.clean_longitude IS 'Filtered longitude (NULL until the track is cleaned)';
+COMMENT ON COLUMN track_points.clean_altitude_m IS 'Smoothed altitude (NULL until the track is cleaned)';
+COMMENT ON COLUMN track_points.is_outlier IS 'Fix dropped by cleaning (poor accuracy or impossible jump)';
+
+ALTER TABLE user_tracks
+  ADD COLUMN IF NOT EXISTS cleaned_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN user_tracks.cleaned_at IS 'When the track points were last cleaned';
+
+-- Save cleaning results for a track's points in one statement
+-- p_points: [{ id, clean_latitude, clean_longitude, clean_altitude_m, is_outlier }]
+CREATE OR REPLACE FUNCTION save_cleaned_track_points(p_track_id UUID, p_points JSONB)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  UPDATE track_points tp SET
+    clean_latitude = c.clean_latitude,
+    clean_longitude = c.clean_longitude,
+    clean_altitude_m = c.clean_altitude_m,
+    is_outlier = COALESCE(c.is_outlier, FALSE)
+  FROM jsonb_to_recordset(p_points) AS c(
+    id UUID,
+    clean_latitude DECIMAL(10, 8),
+    clean_longitude DECIMAL(11, 8),
+    clean_altitude_m DECIMAL(8, 2),
+    is_outlier BOOLEAN
+  )
+  WHERE tp.id = c.id AND tp.track_id = p_track_id;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+-- Only the server (service role) saves cleaning results
+REVOKE EXECUTE ON FUNCTION save_cleaned_track_points FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,103 @@
+-- Migration: Trail Elevation
+-- Elevation stats and a downsampled profile for trails, calculated from a
+-- digital elevation model by scripts/backfill-trail-elevation.js (OSM has no
+-- elevation data, so elevation_gain_m was always NULL)
+
+ALTER TABLE trails
+  ADD COLUMN IF NOT EXISTS elevation_loss_m NUMERIC,
+  ADD COLUMN IF NOT EXISTS min_elevation_m NUMERIC,
+  ADD COLUMN IF NOT EXISTS max_elevation_m NUMERIC,
+  ADD COLUMN IF NOT EXISTS elevation_profile JSONB,
+  ADD COLUMN IF NOT EXISTS elevation_updated_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN trails.elevation_profile IS 'Elevation along the trail as [[distance_m, elevation_m], ...]';
+COMMENT ON COLUMN trails.elevation_updated_at IS 'When elevation was last calculated from the DEM';
+
+-- Trails for the elevation backfill, with GeoJSON geometry, in id order for paging
+CREATE OR REPLACE FUNCTION get_trails_for_elevation(
+  p_limit INTEGER DEFAULT 100,
+  p_after_id UUID DEFAULT NULL,
+  p_include_existing BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (
+  id UUID,
+  sac_scale TEXT,
+  length_meters NUMERIC,
+  geometry_geojson TEXT
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    t.id,
+    t.sac_scale,
+    t.length_meters,
+    ST_AsGeoJSON(t.geometry)::TEXT AS geometry_geojson
+  FROM trails t
+  WHERE t.geometry IS NOT NULL
+    AND (p_after_id IS NULL OR t.id > p_after_id)
+    AND (p_include_existing OR t.elevation_updated_at IS NULL)
+  ORDER BY t.id
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION get_trails_for_elevation FROM PUBLIC, anon, authenticated;
+
+-- Include the elevation columns in get_trail_with_geojson (its return type
+-- changes, so it has to be dropped first)
+DROP FUNCTION IF EXISTS get_trail_with_geojson(UUID);
+
+CREATE OR REPLACE FUNCTION get_trail_with_geojson(trail_id UUID)
+RETURNS TABLE (
+  id UUID,
+  source TEXT,
+  source_id TEXT,
+  slug TEXT,
+  park_id UUID,
+  park_source TEXT,
+  name TEXT,
+  description TEXT,
+  difficulty TEXT,
+  length_meters NUMERIC,
+  elevation_gain_m NUMERIC,
+  elevation_loss_m NUMERIC,
+  min_elevation_m NUMERIC,
+  max_elevation_m NUMERIC,
+  elevation_profile JSONB,
+  surface TEXT,
+  trail_type TEXT,
+  sac_scale TEXT,
+  geometry_geojson TEXT,
+  created_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    t.id,
+    t.source,
+    t.source_id,
+    t.slug,
+    t.park_id,
+    t.park_source,
+    t.name,
+    t.description,
+    t.difficulty,
+    t.length_meters,
+    t.elevation_gain_m,
+    t.elevation_loss_m,
+    t.min_elevation_m,
+    t.max_elevation_m,
+    t.elevation_profile,
+    t.surface,
+    t.trail_type,
+    t.sac_scale,
+    ST_AsGeoJSON(t.geometry)::TEXT AS geometry_geojson,
+    t.created_at,
+    t.updated_at
+  FROM trails t
+  WHERE t.id = trail_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_trail_with_geojson TO anon, authenticated;
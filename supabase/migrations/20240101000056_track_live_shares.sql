@@ -0,0 +1,49 @@
+-- Migration: Track Live Shares
+-- A "watch me live" link for a track being recorded, so someone at home can
+-- follow a solo hiker's position. The token is the only credential for the
+-- public page, and every link expires; owners can also revoke it early.
+
+-- ============================================
+-- Track Live Shares Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS track_live_shares (
+  track_id UUID PRIMARY KEY REFERENCES user_tracks(id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  last_accessed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_track_live_shares_token ON track_live_shares(token);
+
+-- ============================================
+-- Row Level Security (RLS)
+-- ============================================
+ALTER TABLE track_live_shares ENABLE ROW LEVEL SECURITY;
+
+-- Only the track owner can see or revoke the link
+CREATE POLICY "Track owners can view live shares"
+  ON track_live_shares FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM user_tracks
+      WHERE user_tracks.id = track_live_shares.track_id
+      AND user_tracks.user_id = (select auth.uid())
+    )
+  );
+
+CREATE POLICY "Track owners can delete live shares"
+  ON track_live_shares FOR DELETE
+  USING (
+    EXISTS (
+      SELECT 1 FROM user_tracks
+      WHERE user_tracks.id = track_live_shares.track_id
+      AND user_tracks.user_id = (select auth.uid())
+    )
+  );
+
+-- Links are created and looked up by token through the API (service role)
+CREATE POLICY "Service role can manage track_live_shares"
+  ON track_live_shares FOR ALL
+  USING ((select auth.role()) = 'service_role');
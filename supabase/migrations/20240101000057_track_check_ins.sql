@@ -0,0 +1,23 @@
+-- Migration: Track Check-ins
+-- An expected return time and emergency contacts for a track. If the track is
+-- still recording or paused when the time passes, the overdue check
+-- (POST /api/tracks/check-overdue, run by pg_cron; see migration 066) emails
+-- the contacts the last known position once. Extending the return time
+-- re-arms the alert.
+
+ALTER TABLE user_tracks
+  ADD COLUMN IF NOT EXISTS expected_return_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS emergency_contacts JSONB NOT NULL DEFAULT '[]'::jsonb
+    CHECK (jsonb_typeof(emergency_contacts) = 'array'),
+  ADD COLUMN IF NOT EXISTS overdue_alert_sent_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN user_tracks.expected_return_at IS 'When the recorder expects to be back; contacts are alerted after this';
+COMMENT ON COLUMN user_tracks.emergency_contacts IS 'Array of { name, email } to alert when the track is overdue';
+COMMENT ON COLUMN user_tracks.overdue_alert_sent_at IS 'When the overdue alert was sent for the current expected_return_at';
+
+-- The overdue check only looks at active tracks that haven't alerted yet
+CREATE INDEX IF NOT EXISTS idx_user_tracks_overdue
+  ON user_tracks(expected_return_at)
+  WHERE status IN ('recording', 'paused')
+    AND expected_return_at IS NOT NULL
+    AND overdue_alert_sent_at IS NULL;
@@ -0,0 +1,17 @@
+-- Migration: Unique Track Point Sequence Numbers
+-- Clients queue points offline and replay them (including from a background
+-- sync in the service worker), so the same batch can arrive more than once.
+-- A unique (track_id, sequence_num) lets POST /api/tracks/[id]/points ignore
+-- resends with ON CONFLICT DO NOTHING.
+
+-- Keep one row per sequence number from any earlier double uploads
+DELETE FROM track_points a
+  USING track_points b
+  WHERE a.track_id = b.track_id
+    AND a.sequence_num = b.sequence_num
+    AND a.id > b.id;
+
+DROP INDEX IF EXISTS idx_track_points_sequence;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_track_points_track_sequence
+  ON track_points(track_id, sequence_num);
@@ -0,0 +1,40 @@
+-- Migration: User Achievements
+-- Personal records and badges computed from a user's completed tracks.
+-- Recomputed from the whole track history whenever a track is finalized,
+-- imported, or deleted, so the row is a cache that can always be rebuilt.
+
+-- Fastest mile split of each track, saved when the track is finalized or
+-- imported (splits need the points, which the records calculation doesn't read)
+ALTER TABLE user_tracks
+  ADD COLUMN IF NOT EXISTS fastest_mile_seconds INTEGER;
+
+COMMENT ON COLUMN user_tracks.fastest_mile_seconds IS 'Moving time of the fastest full mile split';
+
+-- ============================================
+-- User Achievements Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS user_achievements (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  -- { longestDistance, biggestClimb, fastestMile: { [activityType]: ... }, mostParksInMonth, longestStreak }
+  records JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- [{ id, earnedAt, trackId }]; names and descriptions live in lib/tracking/achievements.js
+  badges JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- Totals for the last 12 months: [{ month, trackCount, distanceMeters, elevationGainM, parkCount }]
+  monthly JSONB NOT NULL DEFAULT '[]'::jsonb,
+  track_count INTEGER NOT NULL DEFAULT 0,
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ============================================
+-- Row Level Security (RLS)
+-- ============================================
+ALTER TABLE user_achievements ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own achievements"
+  ON user_achievements FOR SELECT
+  USING (user_id = (select auth.uid()));
+
+-- Computed and shown on public profiles through the API (service role)
+CREATE POLICY "Service role can manage user_achievements"
+  ON user_achievements FOR ALL
+  USING ((select auth.role()) = 'service_role');
@@ -0,0 +1,57 @@
+-- Migration: Park Alerts
+-- Closures, hazards, and notices from the NPS /alerts endpoint, refreshed by
+-- scripts/import-nps-alerts.js and shown on park pages and trip days.
+
+-- ============================================
+-- Park Alerts Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS park_alerts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  nps_alert_id TEXT UNIQUE NOT NULL,
+  park_code VARCHAR(10) NOT NULL,
+
+  category TEXT NOT NULL CHECK (category IN ('closure', 'danger', 'caution', 'information')),
+  nps_category TEXT,                    -- Category as NPS reports it ("Park Closure", ...)
+  title TEXT NOT NULL,
+  description TEXT,
+  url TEXT,
+
+  -- The feed has no end dates: alerts missing from a refresh are deleted, and
+  -- expires_at (last seen + a few days) hides them if refreshes stop running
+  last_indexed_at TIMESTAMPTZ,
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- Indexes
+-- ============================================
+
+-- Active alerts for a park
+CREATE INDEX IF NOT EXISTS idx_park_alerts_park_code ON park_alerts(park_code, expires_at);
+
+-- Cleanup of alerts that dropped out of the feed
+CREATE INDEX IF NOT EXISTS idx_park_alerts_last_seen ON park_alerts(last_seen_at);
+
+-- ============================================
+-- Triggers
+-- ============================================
+CREATE TRIGGER update_park_alerts_updated_at
+  BEFORE UPDATE ON park_alerts
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- Row Level Security (RLS)
+-- ============================================
+ALTER TABLE park_alerts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Park alerts are viewable by everyone"
+  ON park_alerts FOR SELECT
+  USING (true);
+
+CREATE POLICY "Service role can manage park_alerts"
+  ON park_alerts FOR ALL
+  USING ((select auth.role()) = 'service_role');
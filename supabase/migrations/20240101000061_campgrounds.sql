@@ -0,0 +1,92 @@
+-- Migration: Campgrounds
+-- NPS campgrounds from the /campgrounds endpoint, imported by
+-- scripts/import-nps-campgrounds.js. Shown on the park Camping tab, searchable
+-- across parks, and offered to the AI trip planner for overnight stays.
+
+-- ============================================
+-- Campgrounds Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS campgrounds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  nps_campground_id TEXT UNIQUE NOT NULL,
+  park_code VARCHAR(10) NOT NULL,
+
+  name TEXT NOT NULL,
+  description TEXT,
+  states VARCHAR(50),                   -- Comma-separated state codes from the addresses
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+  location GEOGRAPHY(POINT, 4326),
+
+  -- Links
+  url TEXT,
+  reservation_url TEXT,
+  reservation_info TEXT,
+  directions_url TEXT,
+
+  -- Site counts (null when NPS doesn't report them)
+  total_sites INTEGER,
+  reservable_sites INTEGER,
+  first_come_sites INTEGER,
+  tent_only_sites INTEGER,
+  rv_only_sites INTEGER,
+  electrical_hookup_sites INTEGER,
+  group_sites INTEGER,
+
+  -- Accessibility
+  rv_allowed BOOLEAN NOT NULL DEFAULT FALSE,
+  rv_max_length INTEGER,                -- Feet
+  wheelchair_accessible BOOLEAN NOT NULL DEFAULT FALSE,
+
+  -- { toilets, showers, potable_water, ... }: booleans used for filtering
+  amenities JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- Amenities and accessibility as NPS reports them, for display
+  amenity_details JSONB,
+  accessibility JSONB,
+
+  fees JSONB,
+  operating_hours JSONB,
+  images JSONB,
+
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- Indexes
+-- ============================================
+
+-- Campgrounds for a park
+CREATE INDEX IF NOT EXISTS idx_campgrounds_park_code ON campgrounds(park_code);
+
+-- Search filters
+CREATE INDEX IF NOT EXISTS idx_campgrounds_states ON campgrounds(states);
+CREATE INDEX IF NOT EXISTS idx_campgrounds_amenities ON campgrounds USING GIN(amenities);
+
+-- Spatial index for location queries
+CREATE INDEX IF NOT EXISTS idx_campgrounds_location ON campgrounds USING GIST(location);
+
+-- ============================================
+-- Triggers
+-- ============================================
+CREATE TRIGGER update_campgrounds_updated_at
+  BEFORE UPDATE ON campgrounds
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_campgrounds_location
+  BEFORE INSERT OR UPDATE OF latitude, longitude ON campgrounds
+  FOR EACH ROW EXECUTE FUNCTION update_location_from_coords();
+
+-- ============================================
+-- Row Level Security (RLS)
+-- ============================================
+ALTER TABLE campgrounds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Campgrounds are viewable by everyone"
+  ON campgrounds FOR SELECT
+  USING (true);
+
+CREATE POLICY "Service role can manage campgrounds"
+  ON campgrounds FOR ALL
+  USING ((select auth.role()) = 'service_role');
@@ -0,0 +1,70 @@
+-- Migration: Visitor Centers
+-- NPS visitor centers from the /visitorcenters endpoint, imported by
+-- scripts/import-nps-visitor-centers.js. Their operating hours (with holiday
+-- and seasonal exceptions) are evaluated in time_zone to show "open now /
+-- opens at" on the park Info tab and on trip days.
+
+-- ============================================
+-- Visitor Centers Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS visitor_centers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  nps_visitor_center_id TEXT UNIQUE NOT NULL,
+  park_code VARCHAR(10) NOT NULL,
+
+  name TEXT NOT NULL,
+  description TEXT,
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+  location GEOGRAPHY(POINT, 4326),
+
+  -- Links
+  url TEXT,
+  directions_info TEXT,
+  directions_url TEXT,
+
+  -- IANA time zone, from the address's state (null if unknown)
+  time_zone TEXT,
+  -- NPS operatingHours: [{ name, description, standardHours, exceptions }]
+  operating_hours JSONB NOT NULL DEFAULT '[]'::jsonb,
+  contacts JSONB,
+  images JSONB,
+
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- Indexes
+-- ============================================
+
+-- Visitor centers for a park
+CREATE INDEX IF NOT EXISTS idx_visitor_centers_park_code ON visitor_centers(park_code);
+
+-- Spatial index for location queries
+CREATE INDEX IF NOT EXISTS idx_visitor_centers_location ON visitor_centers USING GIST(location);
+
+-- ============================================
+-- Triggers
+-- ============================================
+CREATE TRIGGER update_visitor_centers_updated_at
+  BEFORE UPDATE ON visitor_centers
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_visitor_centers_location
+  BEFORE INSERT OR UPDATE OF latitude, longitude ON visitor_centers
+  FOR EACH ROW EXECUTE FUNCTION update_location_from_coords();
+
+-- ============================================
+-- Row Level Security (RLS)
+-- ============================================
+ALTER TABLE visitor_centers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Visitor centers are viewable by everyone"
+  ON visitor_centers FOR SELECT
+  USING (true);
+
+CREATE POLICY "Service role can manage visitor_centers"
+  ON visitor_centers FOR ALL
+  USING ((select auth.role()) = 'service_role');
@@ -0,0 +1,137 @@
+-- Migration: Things To Do and Park Events
+-- NPS "things to do" (/thingstodo) and events (/events, including ranger
+-- programs), imported by scripts/import-nps-things-to-do.js and
+-- scripts/import-nps-events.js. Shown on the park Activities tab and offered
+-- to the AI trip planner as named activities.
+
+-- ============================================
+-- Things To Do Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS things_to_do (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  nps_thing_id TEXT UNIQUE NOT NULL,
+  park_codes TEXT[] NOT NULL DEFAULT '{}',  -- Lowercase; some span several parks
+
+  title TEXT NOT NULL,
+  short_description TEXT,
+  url TEXT,
+  location_description TEXT,
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+  location GEOGRAPHY(POINT, 4326),
+
+  -- Duration as NPS writes it ("1-2 Hours") and parsed to minutes
+  duration TEXT,
+  duration_min_minutes INTEGER,
+  duration_max_minutes INTEGER,
+
+  seasons TEXT[] NOT NULL DEFAULT '{}', -- Lowercase: spring, summer, fall, winter
+  time_of_day TEXT[] NOT NULL DEFAULT '{}',
+  activities TEXT[] NOT NULL DEFAULT '{}',
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  is_ranger_program BOOLEAN NOT NULL DEFAULT FALSE,
+
+  is_reservation_required BOOLEAN NOT NULL DEFAULT FALSE,
+  are_pets_permitted BOOLEAN NOT NULL DEFAULT FALSE,
+  fees_apply BOOLEAN NOT NULL DEFAULT FALSE,
+  accessibility_information TEXT,
+  age_description TEXT,
+  images JSONB,
+
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- Park Events Table
+-- ============================================
+CREATE TABLE IF NOT EXISTS park_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  nps_event_id TEXT UNIQUE NOT NULL,
+  park_code VARCHAR(10) NOT NULL,
+
+  title TEXT NOT NULL,
+  description TEXT,
+  category TEXT,
+  types TEXT[] NOT NULL DEFAULT '{}',
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  is_ranger_program BOOLEAN NOT NULL DEFAULT FALSE,
+
+  location_description TEXT,
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+
+  -- Date range, and each date a recurring event happens on
+  start_date DATE,
+  end_date DATE,
+  dates DATE[] NOT NULL DEFAULT '{}',
+  times JSONB,                          -- [{ start: '10:00 AM', end: '11:00 AM' }]
+  is_all_day BOOLEAN NOT NULL DEFAULT FALSE,
+  is_recurring BOOLEAN NOT NULL DEFAULT FALSE,
+
+  is_free BOOLEAN NOT NULL DEFAULT FALSE,
+  fee_info TEXT,
+  registration_required BOOLEAN NOT NULL DEFAULT FALSE,
+  registration_info TEXT,
+  registration_url TEXT,
+  info_url TEXT,
+  images JSONB,
+
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- Indexes
+-- ============================================
+
+-- Things to do for a park
+CREATE INDEX IF NOT EXISTS idx_things_to_do_park_codes ON things_to_do USING GIN(park_codes);
+
+-- Spatial index for location queries
+CREATE INDEX IF NOT EXISTS idx_things_to_do_location ON things_to_do USING GIST(location);
+
+-- Upcoming events for a park
+CREATE INDEX IF NOT EXISTS idx_park_events_park_code ON park_events(park_code, end_date);
+
+-- Cleanup of events that dropped out of the feed
+CREATE INDEX IF NOT EXISTS idx_park_events_last_seen ON park_events(last_seen_at);
+
+-- ============================================
+-- Triggers
+-- ============================================
+CREATE TRIGGER update_things_to_do_updated_at
+  BEFORE UPDATE ON things_to_do
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_things_to_do_location
+  BEFORE INSERT OR UPDATE OF latitude, longitude ON things_to_do
+  FOR EACH ROW EXECUTE FUNCTION update_location_from_coords();
+
+CREATE TRIGGER update_park_events_updated_at
+  BEFORE UPDATE ON park_events
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================
+-- Row Level Security (RLS)
+-- ============================================
+ALTER TABLE things_to_do ENABLE ROW LEVEL SECURITY;
+ALTER TABLE park_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Things to do are viewable by everyone"
+  ON things_to_do FOR SELECT
+  USING (true);
+
+CREATE POLICY "Service role can manage things_to_do"
+  ON things_to_do FOR ALL
+  USING ((select auth.role()) = 'service_role');
+
+CREATE POLICY "Park events are viewable by everyone"
+  ON park_events FOR SELECT
+  USING (true);
+
+CREATE POLICY "Service role can manage park_events"
+  ON park_events FOR ALL
+  USING ((select auth.role()) = 'service_role');
@@ -0,0 +1,40 @@
+-- Migration: Incremental Imports
+-- Import scripts store a hash of each record's source content and only write
+-- records whose hash changed (lib/import/content-hash.js). scripts/import-all.js
+-- records each pipeline step in import_logs (source 'import_pipeline', with
+-- run_id and step in metadata) so it can --resume a failed run and skip steps
+-- completed --since a given time.
+
+-- ============================================
+-- Content Hashes
+-- ============================================
+ALTER TABLE nps_parks ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE wikidata_parks ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE trails ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE park_alerts ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE campgrounds ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE visitor_centers ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE things_to_do ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE park_events ADD COLUMN IF NOT EXISTS content_hash TEXT;
+
+COMMENT ON COLUMN nps_parks.content_hash IS 'SHA-256 of the imported content; unchanged records are not rewritten';
+COMMENT ON COLUMN wikidata_parks.content_hash IS 'SHA-256 of the imported content; unchanged records are not rewritten';
+COMMENT ON COLUMN trails.content_hash IS 'SHA-256 of the imported content; unchanged records are not rewritten';
+COMMENT ON COLUMN park_alerts.content_hash IS 'SHA-256 of the imported content; unchanged records are not rewritten';
+COMMENT ON COLUMN campgrounds.content_hash IS 'SHA-256 of the imported content; unchanged records are not rewritten';
+COMMENT ON COLUMN visitor_centers.content_hash IS 'SHA-256 of the imported content; unchanged records are not rewritten';
+COMMENT ON COLUMN things_to_do.content_hash IS 'SHA-256 of the imported content; unchanged records are not rewritten';
+COMMENT ON COLUMN park_events.content_hash IS 'SHA-256 of the imported content; unchanged records are not rewritten';
+
+-- ============================================
+-- Pipeline Run History
+-- ============================================
+-- Steps of one run (--resume)
+CREATE INDEX IF NOT EXISTS idx_import_logs_run_id
+  ON import_logs ((metadata->>'run_id'))
+  WHERE source = 'import_pipeline';
+
+-- Last completion of each step (--since)
+CREATE INDEX IF NOT EXISTS idx_import_logs_step_completed
+  ON import_logs ((metadata->>'step'), completed_at DESC)
+  WHERE source = 'import_pipeline' AND status = 'completed';
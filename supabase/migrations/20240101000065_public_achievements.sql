@@ -0,0 +1,10 @@
+-- Migration: Public Achievements
+-- Public profiles showed records, badges, and monthly totals computed from
+-- every track, including private ones. Keep a second set computed only from
+-- public, shared tracks for profiles; NULL until the row is next recomputed.
+
+ALTER TABLE user_achievements
+  ADD COLUMN IF NOT EXISTS public_achievements JSONB;
+
+COMMENT ON COLUMN user_achievements.public_achievements IS
+  'records, badges, monthly, and track_count from public shared tracks only';
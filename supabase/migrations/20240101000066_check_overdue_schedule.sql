@@ -0,0 +1,27 @@
+-- Migration: Overdue Check Schedule
+-- Runs the overdue check (POST /api/tracks/check-overdue) every 5 minutes.
+-- The app URL and service role key are read from Vault when the job runs, so
+-- neither is stored in this migration. Create them once per project:
+--   SELECT vault.create_secret('https://YOUR_APP_DOMAIN', 'app_url');
+--   SELECT vault.create_secret('YOUR_SERVICE_ROLE_KEY', 'service_role_key');
+-- Until both exist the job does nothing.
+
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+CREATE EXTENSION IF NOT EXISTS pg_net;
+
+-- Scheduling a job name again replaces it, so rerunning this is safe
+SELECT cron.schedule(
+  'check-overdue-tracks',
+  '*/5 * * * *',
+  $$
+  SELECT net.http_post(
+    url := app_url.decrypted_secret || '/api/tracks/check-overdue',
+    headers := jsonb_build_object(
+      'Authorization', 'Bearer ' || service_key.decrypted_secret,
+      'Content-Type', 'application/json'
+    )
+  )
+  FROM vault.decrypted_secrets app_url, vault.decrypted_secrets service_key
+  WHERE app_url.name = 'app_url' AND service_key.name = 'service_role_key';
+  $$
+);
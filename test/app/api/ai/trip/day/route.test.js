@@ -0,0 +1,238 @@
+/**
+ * AI Trip Day Regeneration API Route Tests
+ * Tests for POST /api/ai/trip/day
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { POST } from '@/app/api/ai/trip/day/route.js';
+import { findNearbyParks } from '@/lib/trips/nearby-parks';
+import { fetchParkLocations, refreshTripDrivingNotes } from '@/lib/trips/trip-routing';
+import { generateTripStream } from '@/lib/ai/trip-generator';
+
+const TRIP_ID = '11111111-1111-4111-8111-111111111111';
+const USER_ID = 'user-1';
+
+// Mock Supabase client
+const mockSupabase = {
+  auth: {
+    getUser: vi.fn(),
+  },
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+vi.mock('@/lib/trips/nearby-parks', () => ({
+  findNearbyParks: vi.fn(),
+}));
+
+vi.mock('@/lib/trips/trip-routing', () => ({
+  fetchParkLocations: vi.fn(),
+  refreshTripDrivingNotes: vi.fn(),
+}));
+
+vi.mock('@/lib/ai/trip-generator', async (importOriginal) => ({
+  ...(await importOriginal()),
+  generateTripStream: vi.fn(),
+}));
+
+// Chainable query mock resolving to `result`
+const createQuery = (result) => {
+  const query = {};
+  ['select', 'eq', 'in', 'insert', 'update', 'delete'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.single = vi.fn().mockResolvedValue(result);
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  query.then = (resolve) => resolve(result);
+  return query;
+};
+
+// Helper to create mock request
+const createMockRequest = (body, token = 'valid-token') => ({
+  headers: {
+    get: (name) => (name === 'authorization' && token ? `Bearer ${token}` : null),
+  },
+  json: async () => body,
+});
+
+// Parse an SSE body into [{event, data}]
+const readEvents = async (response) => {
+  const text = await response.text();
+  return text
+    .split('\n\n')
+    .filter(Boolean)
+    .map((block) => {
+      const [eventLine, dataLine] = block.split('\n');
+      return {
+        event: eventLine.replace('event: ', ''),
+        data: JSON.parse(dataLine.replace('data: ', '')),
+      };
+    });
+};
+
+const tripRow = {
+  id: TRIP_ID,
+  user_id: USER_ID,
+  title: 'Sierra Loop',
+  origin: 'Fresno, CA',
+  origin_lat: '36.7',
+  origin_lng: '-119.8',
+  start_date: '2025-06-01',
+  end_date: '2025-06-03',
+  interests: ['hiking'],
+  difficulty: 'moderate',
+  radius_miles: 200,
+  trip_stops: [
+    { id: 's1', park_code: 'yose', day_number: 1, order_index: 0 },
+    { id: 's2', park_code: 'pinn', day_number: 2, order_index: 1 },
+    { id: 's3', park_code: 'seki', day_number: 3, order_index: 2 },
+  ],
+};
+
+const generatedDay = {
+  title: 'Sierra Loop',
+  overall_summary: 'Summary',
+  daily_schedule: [
+    {
+      day: 2,
+      park_code: 'deva',
+      park_name: 'Death Valley National Park',
+      activities: ['hiking'],
+      morning: 'Badwater Basin',
+      afternoon: 'Golden Canyon',
+      evening: 'Stargazing',
+      highlights: 'Zabriskie Point',
+    },
+  ],
+  packing_list: {},
+  safety_notes: [],
+};
+
+describe('AI Trip Day Regeneration API', () => {
+  let stopQueries;
+  let memberRole;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: USER_ID } }, error: null });
+    findNearbyParks.mockResolvedValue([
+      { park_code: 'yose', full_name: 'Yosemite National Park' },
+      { park_code: 'deva', full_name: 'Death Valley National Park' },
+    ]);
+    fetchParkLocations.mockResolvedValue({
+      yose: { name: 'Yosemite National Park' },
+      seki: { name: 'Sequoia National Park' },
+    });
+    refreshTripDrivingNotes.mockResolvedValue({});
+    generateTripStream.mockResolvedValue(generatedDay);
+
+    stopQueries = [];
+    memberRole = null;
+    mockSupabase.from.mockImplementation((table) => {
+      if (table === 'trips') {
+        return createQuery({ data: tripRow, error: null });
+      }
+      if (table === 'trip_members') {
+        return createQuery({ data: memberRole ? { role: memberRole } : null, error: null });
+      }
+      const query = createQuery({ data: { id: 'new-stop' }, error: null });
+      stopQueries.push(query);
+      return query;
+    });
+  });
+
+  it('should return 401 without authentication', async () => {
+    const response = await POST(createMockRequest({ tripId: TRIP_ID, dayNumber: 2 }, null));
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 400 for an invalid trip ID', async () => {
+    const response = await POST(createMockRequest({ tripId: 'nope', dayNumber: 2 }));
+    expect(response.status).toBe(400);
+  });
+
+  it('should return 403 for a trip owned by someone else', async () => {
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'other' } }, error: null });
+
+    const response = await POST(createMockRequest({ tripId: TRIP_ID, dayNumber: 2 }));
+    expect(response.status).toBe(403);
+  });
+
+  it('should return 403 for a viewer of a shared trip', async () => {
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'other' } }, error: null });
+    memberRole = 'viewer';
+
+    const response = await POST(createMockRequest({ tripId: TRIP_ID, dayNumber: 2 }));
+    expect(response.status).toBe(403);
+  });
+
+  it('should reject days outside the trip', async () => {
+    const response = await POST(createMockRequest({ tripId: TRIP_ID, dayNumber: 4 }));
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toBe('dayNumber must be between 1 and 3');
+  });
+
+  it('should generate the day with the rest of the trip as fixed context', async () => {
+    const response = await POST(createMockRequest({ tripId: TRIP_ID, dayNumber: 2 }));
+    const events = await readEvents(response);
+
+    expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+
+    const [options] = generateTripStream.mock.calls[0];
+    expect(options.regenerateDay).toBe(2);
+    expect(options.fixedDays.map((d) => [d.day, d.park_name])).toEqual([
+      [1, 'Yosemite National Park'],
+      [3, 'Sequoia National Park'],
+    ]);
+    // Parks already used on other days are not offered again
+    expect(options.parks.map((p) => p.park_code)).toEqual(['deva']);
+    // Nearby parks come with the events during the trip
+    expect(findNearbyParks).toHaveBeenCalledWith(36.7, -119.8, 200, {
+      startDate: '2025-06-01',
+      endDate: '2025-06-03',
+    });
+
+    expect(events.at(-1)).toEqual({
+      event: 'complete',
+      data: expect.objectContaining({ trip_id: TRIP_ID, day: 2, park_code: 'deva' }),
+    });
+  });
+
+  it('should replace only the chosen day and refresh driving notes', async () => {
+    const response = await POST(createMockRequest({ tripId: TRIP_ID, dayNumber: 2 }));
+    await readEvents(response);
+
+    const [insertQuery, deleteQuery] = stopQueries;
+    expect(insertQuery.insert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        trip_id: TRIP_ID,
+        park_code: 'deva',
+        day_number: 2,
+        morning_plan: 'Badwater Basin',
+        order_index: 1,
+      })
+    );
+    expect(deleteQuery.delete).toHaveBeenCalled();
+    expect(deleteQuery.in).toHaveBeenCalledWith('id', ['s2']);
+    expect(refreshTripDrivingNotes).toHaveBeenCalledWith(mockSupabase, TRIP_ID);
+  });
+
+  it('should stream an error and keep the trip when generation fails', async () => {
+    generateTripStream.mockRejectedValue(
+      new Error('Invalid trip data: daily_schedule must contain only day 2')
+    );
+
+    const response = await POST(createMockRequest({ tripId: TRIP_ID, dayNumber: 2 }));
+    const events = await readEvents(response);
+
+    expect(events.at(-1).event).toBe('error');
+    expect(events.at(-1).data.message).toContain('daily_schedule must contain only day 2');
+    expect(stopQueries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for Campground Search API Route
+ * Tests GET /api/campgrounds
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock the modules
+vi.mock('@/lib/supabase/server', () => ({
+  createServiceClient: vi.fn(),
+}));
+
+import { createServiceClient } from '@/lib/supabase/server';
+import { GET } from '@/app/api/campgrounds/route';
+
+/**
+ * Helper to build a chainable campgrounds query resolving to the given result
+ */
+const createMockSupabase = (result) => {
+  const query = {
+    select: vi.fn(() => query),
+    ilike: vi.fn(() => query),
+    in: vi.fn(() => query),
+    gt: vi.fn(() => query),
+    gte: vi.fn(() => query),
+    order: vi.fn(() => query),
+    range: vi.fn(() => query),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return { from: vi.fn(() => query), query };
+};
+
+const createRequest = (search = '') => ({
+  url: `http://localhost:3000/api/campgrounds${search}`,
+});
+
+describe('Campground Search API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should return a page of campgrounds with pagination', async () => {
+    const mockSupabase = createMockSupabase({
+      data: [{ id: 'cg-1', name: 'Mather' }],
+      error: null,
+      count: 45,
+    });
+    createServiceClient.mockReturnValue(mockSupabase);
+
+    const response = await GET(createRequest('?page=2&limit=20'));
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.campgrounds).toEqual([{ id: 'cg-1', name: 'Mather' }]);
+    expect(data.pagination).toEqual({
+      page: 2,
+      limit: 20,
+      total: 45,
+      totalPages: 3,
+      hasMore: true,
+    });
+    expect(mockSupabase.query.select).toHaveBeenCalledWith(expect.any(String), {
+      count: 'exact',
+    });
+    expect(mockSupabase.query.range).toHaveBeenCalledWith(20, 39);
+  });
+
+  it('should cap the page size', async () => {
+    const mockSupabase = createMockSupabase({ data: [], error: null, count: 0 });
+    createServiceClient.mockReturnValue(mockSupabase);
+
+    await GET(createRequest('?limit=500'));
+
+    expect(mockSupabase.query.range).toHaveBeenCalledWith(0, 49);
+  });
+
+  it('should search across parks by state and site type', async () => {
+    const mockSupabase = createMockSupabase({ data: [], error: null, count: 0 });
+    createServiceClient.mockReturnValue(mockSupabase);
+
+    await GET(createRequest('?state=az&firstCome=true&minSites=100'));
+
+    expect(mockSupabase.query.ilike).toHaveBeenCalledWith('states', '%AZ%');
+    expect(mockSupabase.query.gt).toHaveBeenCalledWith('first_come_sites', 0);
+    expect(mockSupabase.query.gte).toHaveBeenCalledWith('total_sites', 100);
+    expect(mockSupabase.query.in).not.toHaveBeenCalled();
+  });
+
+  it('should reject an invalid minSites', async () => {
+    const response = await GET(createRequest('?minSites=-1'));
+
+    expect(response.status).toBe(400);
+    expect(createServiceClient).not.toHaveBeenCalled();
+  });
+
+  it('should return 500 when the query fails', async () => {
+    createServiceClient.mockReturnValue(
+      createMockSupabase({ data: null, error: { message: 'boom' }, count: null })
+    );
+
+    const response = await GET(createRequest());
+
+    expect(response.status).toBe(500);
+  });
+});
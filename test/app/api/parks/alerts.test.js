@@ -0,0 +1,88 @@
+/**
+ * Tests for Park Alerts API Route
+ * Tests GET /api/parks/[parkCode]/alerts
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock the modules
+vi.mock('@/lib/supabase/server', () => ({
+  createServiceClient: vi.fn(),
+}));
+
+import { createServiceClient } from '@/lib/supabase/server';
+import { GET } from '@/app/api/parks/[parkCode]/alerts/route';
+
+/**
+ * Helper to build a chainable park_alerts query resolving to the given result
+ */
+const createMockSupabase = (result) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    gt: vi.fn(() => query),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return { from: vi.fn(() => query), query };
+};
+
+const createRequest = (search = '') => ({
+  url: `http://localhost:3000/api/parks/yose/alerts${search}`,
+});
+
+describe('Park Alerts API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should return active alerts, most severe first', async () => {
+    const mockSupabase = createMockSupabase({
+      data: [
+        { id: 'a', category: 'information', title: 'Shuttle schedule' },
+        { id: 'b', category: 'closure', title: 'Tioga Road Closed' },
+      ],
+      error: null,
+    });
+    createServiceClient.mockReturnValue(mockSupabase);
+
+    const response = await GET(createRequest(), { params: Promise.resolve({ parkCode: 'YOSE' }) });
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.alerts.map((alert) => alert.id)).toEqual(['b', 'a']);
+    expect(mockSupabase.from).toHaveBeenCalledWith('park_alerts');
+    expect(mockSupabase.query.eq).toHaveBeenCalledWith('park_code', 'yose');
+    expect(mockSupabase.query.gt).toHaveBeenCalledWith('expires_at', expect.any(String));
+  });
+
+  it('should filter by category', async () => {
+    const mockSupabase = createMockSupabase({ data: [], error: null });
+    createServiceClient.mockReturnValue(mockSupabase);
+
+    await GET(createRequest('?category=closure'), {
+      params: Promise.resolve({ parkCode: 'yose' }),
+    });
+
+    expect(mockSupabase.query.eq).toHaveBeenCalledWith('category', 'closure');
+  });
+
+  it('should reject unknown categories', async () => {
+    const response = await GET(createRequest('?category=weather'), {
+      params: Promise.resolve({ parkCode: 'yose' }),
+    });
+
+    expect(response.status).toBe(400);
+    expect(createServiceClient).not.toHaveBeenCalled();
+  });
+
+  it('should return 500 when the query fails', async () => {
+    createServiceClient.mockReturnValue(
+      createMockSupabase({ data: null, error: { message: 'boom' } })
+    );
+
+    const response = await GET(createRequest(), { params: Promise.resolve({ parkCode: 'yose' }) });
+
+    expect(response.status).toBe(500);
+  });
+});
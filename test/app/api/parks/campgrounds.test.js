@@ -0,0 +1,88 @@
+/**
+ * Tests for Park Campgrounds API Route
+ * Tests GET /api/parks/[parkCode]/campgrounds
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock the modules
+vi.mock('@/lib/supabase/server', () => ({
+  createServiceClient: vi.fn(),
+}));
+
+import { createServiceClient } from '@/lib/supabase/server';
+import { GET } from '@/app/api/parks/[parkCode]/campgrounds/route';
+
+/**
+ * Helper to build a chainable campgrounds query resolving to the given result
+ */
+const createMockSupabase = (result) => {
+  const query = {
+    select: vi.fn(() => query),
+    in: vi.fn(() => query),
+    contains: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    order: vi.fn(() => query),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return { from: vi.fn(() => query), query };
+};
+
+const createRequest = (search = '') => ({
+  url: `http://localhost:3000/api/parks/yose/campgrounds${search}`,
+});
+
+describe('Park Campgrounds API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it("should return the park's campgrounds", async () => {
+    const mockSupabase = createMockSupabase({
+      data: [{ id: 'cg-1', name: 'Upper Pines' }],
+      error: null,
+    });
+    createServiceClient.mockReturnValue(mockSupabase);
+
+    const response = await GET(createRequest(), { params: Promise.resolve({ parkCode: 'YOSE' }) });
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.campgrounds).toEqual([{ id: 'cg-1', name: 'Upper Pines' }]);
+    expect(mockSupabase.from).toHaveBeenCalledWith('campgrounds');
+    expect(mockSupabase.query.in).toHaveBeenCalledWith('park_code', ['yose']);
+    expect(mockSupabase.query.order).toHaveBeenCalledWith('name', { ascending: true });
+  });
+
+  it('should apply amenity and RV filters', async () => {
+    const mockSupabase = createMockSupabase({ data: [], error: null });
+    createServiceClient.mockReturnValue(mockSupabase);
+
+    await GET(createRequest('?amenities=showers&rv=true'), {
+      params: Promise.resolve({ parkCode: 'yose' }),
+    });
+
+    expect(mockSupabase.query.contains).toHaveBeenCalledWith('amenities', { showers: true });
+    expect(mockSupabase.query.eq).toHaveBeenCalledWith('rv_allowed', true);
+  });
+
+  it('should reject unknown amenities', async () => {
+    const response = await GET(createRequest('?amenities=hot_tub'), {
+      params: Promise.resolve({ parkCode: 'yose' }),
+    });
+
+    expect(response.status).toBe(400);
+    expect(createServiceClient).not.toHaveBeenCalled();
+  });
+
+  it('should return 500 when the query fails', async () => {
+    createServiceClient.mockReturnValue(
+      createMockSupabase({ data: null, error: { message: 'boom' } })
+    );
+
+    const response = await GET(createRequest(), { params: Promise.resolve({ parkCode: 'yose' }) });
+
+    expect(response.status).toBe(500);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for Park Things To Do API Route
+ * Tests GET /api/parks/[parkCode]/things-to-do
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// Mock the modules
+vi.mock('@/lib/supabase/server', () => ({
+  createServiceClient: vi.fn(),
+}));
+
+import { createServiceClient } from '@/lib/supabase/server';
+import { GET } from '@/app/api/parks/[parkCode]/things-to-do/route';
+
+/**
+ * Helper to build a chainable query resolving to the given result
+ */
+const createMockQuery = (result) => {
+  const query = {};
+  ['select', 'overlaps', 'in', 'gte', 'lte', 'order'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+const createMockSupabase = ({ things = [], events = [], error = null } = {}) => {
+  const queries = {
+    things_to_do: createMockQuery({ data: error ? null : things, error }),
+    park_events: createMockQuery({ data: events, error: null }),
+  };
+  return { from: vi.fn((table) => queries[table]), queries };
+};
+
+const createRequest = (search = '') => ({
+  url: `http://localhost:3000/api/parks/yose/things-to-do${search}`,
+});
+
+const params = Promise.resolve({ parkCode: 'YOSE' });
+
+describe('Park Things To Do API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-07-10T17:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should return things to do and events for the next 60 days', async () => {
+    const mockSupabase = createMockSupabase({
+      things: [{ id: 't1', park_codes: ['yose'], title: 'Hike to Vernal Fall' }],
+      events: [{ id: 'e1', park_code: 'yose', title: 'Junior Ranger Walk' }],
+    });
+    createServiceClient.mockReturnValue(mockSupabase);
+
+    const response = await GET(createRequest(), { params });
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.thingsToDo.map((thing) => thing.id)).toEqual(['t1']);
+    expect(data.events.map((event) => event.id)).toEqual(['e1']);
+    expect(mockSupabase.queries.things_to_do.overlaps).toHaveBeenCalledWith('park_codes', ['yose']);
+    expect(mockSupabase.queries.park_events.gte).toHaveBeenCalledWith('end_date', '2024-07-10');
+    expect(mockSupabase.queries.park_events.lte).toHaveBeenCalledWith('start_date', '2024-09-08');
+  });
+
+  it('should use the requested date range', async () => {
+    const mockSupabase = createMockSupabase();
+    createServiceClient.mockReturnValue(mockSupabase);
+
+    const response = await GET(createRequest('?from=2024-08-01&to=2024-08-03'), { params });
+    const data = await response.json();
+
+    expect(data).toEqual({ thingsToDo: [], events: [] });
+    expect(mockSupabase.queries.park_events.gte).toHaveBeenCalledWith('end_date', '2024-08-01');
+    expect(mockSupabase.queries.park_events.lte).toHaveBeenCalledWith('start_date', '2024-08-03');
+  });
+
+  it('should reject invalid dates', async () => {
+    const invalid = await GET(createRequest('?from=next-week'), { params });
+    const reversed = await GET(createRequest('?from=2024-08-03&to=2024-08-01'), { params });
+
+    expect(invalid.status).toBe(400);
+    expect(reversed.status).toBe(400);
+    expect(createServiceClient).not.toHaveBeenCalled();
+  });
+
+  it('should return 500 when the query fails', async () => {
+    createServiceClient.mockReturnValue(createMockSupabase({ error: { message: 'boom' } }));
+
+    const response = await GET(createRequest(), { params });
+
+    expect(response.status).toBe(500);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for Park Visitor Centers API Route
+ * Tests GET /api/parks/[parkCode]/visitor-centers
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// Mock the modules
+vi.mock('@/lib/supabase/server', () => ({
+  createServiceClient: vi.fn(),
+}));
+
+import { createServiceClient } from '@/lib/supabase/server';
+import { GET } from '@/app/api/parks/[parkCode]/visitor-centers/route';
+
+/**
+ * Helper to build a chainable visitor_centers query resolving to the given result
+ */
+const createMockSupabase = (result) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    order: vi.fn(() => query),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return { from: vi.fn(() => query), query };
+};
+
+const createRequest = (search = '') => ({
+  url: `http://localhost:3000/api/parks/yose/visitor-centers${search}`,
+});
+
+const mockVisitorCenter = {
+  id: 'vc-1',
+  park_code: 'yose',
+  name: 'Yosemite Valley Visitor Center',
+  time_zone: 'America/Los_Angeles',
+  operating_hours: [
+    {
+      name: 'Visitor Center',
+      standardHours: { wednesday: '9:00AM - 5:00PM', thursday: '9:00AM - 5:00PM' },
+      exceptions: [
+        {
+          name: 'Thanksgiving',
+          startDate: '2024-11-28',
+          endDate: '2024-11-28',
+          exceptionHours: {},
+        },
+      ],
+    },
+  ],
+};
+
+describe('Park Visitor Centers API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.useFakeTimers();
+    // Wednesday, 10:00 AM in Yosemite
+    vi.setSystemTime(new Date('2024-07-10T17:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should return visitor centers with today's hours and open status", async () => {
+    const mockSupabase = createMockSupabase({ data: [mockVisitorCenter], error: null });
+    createServiceClient.mockReturnValue(mockSupabase);
+
+    const response = await GET(createRequest(), { params: Promise.resolve({ parkCode: 'YOSE' }) });
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(mockSupabase.from).toHaveBeenCalledWith('visitor_centers');
+    expect(mockSupabase.query.eq).toHaveBeenCalledWith('park_code', 'yose');
+    expect(data.visitorCenters[0]).not.toHaveProperty('operating_hours');
+    expect(data.visitorCenters[0].hours).toMatchObject({
+      date: '2024-07-10',
+      text: '9:00 AM – 5:00 PM',
+      status: { open: true, label: 'Open now until 5:00 PM' },
+    });
+  });
+
+  it('should return hours for a given date with exceptions applied', async () => {
+    createServiceClient.mockReturnValue(
+      createMockSupabase({ data: [mockVisitorCenter], error: null })
+    );
+
+    const response = await GET(createRequest('?date=2024-11-28'), {
+      params: Promise.resolve({ parkCode: 'yose' }),
+    });
+    const data = await response.json();
+
+    expect(data.visitorCenters[0].hours).toEqual({
+      date: '2024-11-28',
+      name: 'Visitor Center',
+      text: 'Closed',
+      exception: 'Thanksgiving',
+      status: null,
+    });
+  });
+
+  it('should reject an invalid date', async () => {
+    const response = await GET(createRequest('?date=next-tuesday'), {
+      params: Promise.resolve({ parkCode: 'yose' }),
+    });
+
+    expect(response.status).toBe(400);
+    expect(createServiceClient).not.toHaveBeenCalled();
+  });
+
+  it('should return 500 when the query fails', async () => {
+    createServiceClient.mockReturnValue(
+      createMockSupabase({ data: null, error: { message: 'boom' } })
+    );
+
+    const response = await GET(createRequest(), { params: Promise.resolve({ parkCode: 'yose' }) });
+
+    expect(response.status).toBe(500);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Track Export API Route Tests
+ * Tests for access checks, paging, and cleaned points on GET /api/tracks/[id]/export
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET } from '@/app/api/tracks/[id]/export/route.js';
+
+// Mock Supabase client
+const mockSupabase = {
+  auth: {
+    getUser: vi.fn(),
+  },
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+// Helper to create mock request
+const createMockRequest = ({ token = null, format = 'geojson', raw = false } = {}) => ({
+  url: `http://localhost:3000/api/tracks/test-track-id/export?format=${format}${raw ? '&raw=true' : ''}`,
+  headers: {
+    get: (name) => (name === 'authorization' && token ? `Bearer ${token}` : null),
+  },
+});
+
+// Helper to create mock params
+const createMockParams = (id = 'test-track-id') => ({
+  params: Promise.resolve({ id }),
+});
+
+/**
+ * Build track_points rows
+ * @param {number} count - Number of points
+ */
+const buildPoints = (count) =>
+  Array.from({ length: count }, (_, i) => ({
+    latitude: String(37.7 + i * 0.00001),
+    longitude: '-119.5',
+    altitude_m: '1000',
+    speed_mps: null,
+    heading: null,
+    recorded_at: new Date(Date.UTC(2024, 0, 1, 10, 0, i)).toISOString(),
+    sequence_num: i,
+  }));
+
+/**
+ * Mock the track and its points
+ * @param {Object} track - user_tracks row fields
+ * @param {Array<Object>} points - track_points rows
+ * @returns {Object} The track_points query mock
+ */
+const mockTables = (track, points = buildPoints(3)) => {
+  const pointsQuery = {
+    select: vi.fn().mockReturnThis(),
+    eq: vi.fn().mockReturnThis(),
+    order: vi.fn().mockReturnThis(),
+    range: vi.fn(async (from, to) => ({ data: points.slice(from, to + 1), error: null })),
+  };
+
+  mockSupabase.from.mockImplementation((table) => {
+    if (table === 'user_tracks') {
+      return {
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            neq: vi.fn().mockReturnValue({
+              single: vi.fn().mockResolvedValue({
+                data: {
+                  id: 'test-track-id',
+                  user_id: 'user-1',
+                  title: 'Mist Trail',
+                  activity_type: 'hiking',
+                  is_public: false,
+                  status: 'completed',
+                  ...track,
+                },
+                error: null,
+              }),
+            }),
+          }),
+        }),
+      };
+    }
+
+    return pointsQuery;
+  });
+
+  return pointsQuery;
+};
+
+describe('Track Export API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'user-1' } }, error: null });
+  });
+
+  it('should export every point of a track longer than one page', async () => {
+    const pointsQuery = mockTables({}, buildPoints(2500));
+
+    const response = await GET(createMockRequest({ token: 'valid-token' }), createMockParams());
+    const geojson = JSON.parse(await response.text());
+
+    expect(response.status).toBe(200);
+    expect(pointsQuery.range.mock.calls).toEqual([
+      [0, 999],
+      [1000, 1999],
+      [2000, 2999],
+    ]);
+    expect(geojson.features[0].geometry.coordinates).toHaveLength(2500);
+  });
+
+  it('should export a shared public track to anyone', async () => {
+    mockTables({ is_public: true, status: 'shared' });
+
+    const response = await GET(createMockRequest(), createMockParams());
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should hide a public track that is not shared from non-owners', async () => {
+    mockTables({ is_public: true, status: 'completed' });
+
+    const response = await GET(createMockRequest(), createMockParams());
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should export cleaned points without outliers', async () => {
+    const points = buildPoints(2).map((point) => ({
+      ...point,
+      clean_latitude: '37.8',
+      clean_longitude: '-119.6',
+      clean_altitude_m: '1200',
+    }));
+    const pointsQuery = mockTables({}, points);
+
+    const response = await GET(createMockRequest({ token: 'valid-token' }), createMockParams());
+    const geojson = JSON.parse(await response.text());
+
+    expect(pointsQuery.eq).toHaveBeenCalledWith('is_outlier', false);
+    expect(pointsQuery.select).toHaveBeenCalledWith(expect.stringContaining('clean_latitude'));
+    expect(geojson.features[0].geometry.coordinates[0]).toEqual([-119.6, 37.8, 1200]);
+  });
+
+  it('should export points as recorded with raw=true', async () => {
+    const points = buildPoints(2).map((point) => ({ ...point, clean_latitude: '37.8' }));
+    const pointsQuery = mockTables({}, points);
+
+    const response = await GET(
+      createMockRequest({ token: 'valid-token', raw: true }),
+      createMockParams()
+    );
+    const geojson = JSON.parse(await response.text());
+
+    expect(pointsQuery.eq).not.toHaveBeenCalledWith('is_outlier', false);
+    expect(geojson.features[0].geometry.coordinates[0][1]).toBe(37.7);
+  });
+});
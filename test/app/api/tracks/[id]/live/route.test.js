@@ -0,0 +1,177 @@
+/**
+ * Track Live View API Route Tests
+ * Tests for GET /api/tracks/[id]/live
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET } from '@/app/api/tracks/[id]/live/route.js';
+
+const TRACK_ID = 'track-1';
+const TOKEN = 'b'.repeat(48);
+
+// Mock Supabase client
+const mockSupabase = {
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+// Chainable query mock resolving to `result`
+const createQuery = (result) => {
+  const query = {};
+  ['select', 'eq', 'neq', 'gt', 'order', 'range', 'update'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.single = vi.fn().mockResolvedValue(result);
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  query.then = (resolve) => resolve(result);
+  return query;
+};
+
+// Helper to create mock request
+const createMockRequest = (search) => ({
+  url: `http://localhost:3000/api/tracks/${TRACK_ID}/live${search}`,
+  headers: { get: () => null },
+});
+
+const createMockParams = (id = TRACK_ID) => ({ params: Promise.resolve({ id }) });
+
+describe('GET /api/tracks/[id]/live', () => {
+  let link;
+  let pointsQuery;
+  let linkQueries;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    link = {
+      track_id: TRACK_ID,
+      token: TOKEN,
+      expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    };
+    linkQueries = [];
+
+    mockSupabase.from.mockImplementation((table) => {
+      if (table === 'track_live_shares') {
+        const query = createQuery({ data: link, error: null });
+        linkQueries.push(query);
+        return query;
+      }
+      if (table === 'user_tracks') {
+        return createQuery({
+          data: {
+            id: TRACK_ID,
+            title: 'Morning hike',
+            activity_type: 'hiking',
+            status: 'recording',
+            distance_meters: null,
+            started_at: '2025-06-01T10:00:00Z',
+            ended_at: null,
+          },
+          error: null,
+        });
+      }
+      pointsQuery = createQuery({
+        data: [
+          {
+            latitude: '37.7',
+            longitude: '-119.5',
+            altitude_m: '1200',
+            sequence_num: 6,
+            segment_num: 0,
+            recorded_at: '2025-06-01T10:05:00Z',
+          },
+        ],
+        error: null,
+      });
+      return pointsQuery;
+    });
+  });
+
+  it('should return 404 without a valid token', async () => {
+    const response = await GET(createMockRequest('?token=nope'), createMockParams());
+    const data = await response.json();
+
+    expect(response.status).toBe(404);
+    expect(data.message).toBe('This live link has expired or been revoked.');
+    expect(mockSupabase.from).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 once the link has expired', async () => {
+    link.expires_at = new Date(Date.now() - 1000).toISOString();
+
+    const response = await GET(createMockRequest(`?token=${TOKEN}`), createMockParams());
+
+    expect(response.status).toBe(404);
+    expect(pointsQuery).toBeUndefined();
+  });
+
+  it('should return 404 when the link was revoked', async () => {
+    link = null;
+
+    const response = await GET(createMockRequest(`?token=${TOKEN}`), createMockParams());
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should return the track and points after the given sequence number', async () => {
+    const response = await GET(createMockRequest(`?token=${TOKEN}&after=5`), createMockParams());
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.track).toMatchObject({ id: TRACK_ID, status: 'recording', activityType: 'hiking' });
+    expect(data.points).toEqual([
+      {
+        latitude: 37.7,
+        longitude: -119.5,
+        altitudeM: 1200,
+        sequenceNum: 6,
+        segmentNum: 0,
+        recordedAt: '2025-06-01T10:05:00Z',
+      },
+    ]);
+    expect(data.hasMore).toBe(false);
+    expect(data.expiresAt).toBe(link.expires_at);
+    expect(pointsQuery.gt).toHaveBeenCalledWith('sequence_num', 5);
+    expect(pointsQuery.eq).toHaveBeenCalledWith('is_outlier', false);
+  });
+
+  it('should report more points when a poll fills up', async () => {
+    const rows = Array.from({ length: 1000 }, (_, i) => ({
+      latitude: '37.7',
+      longitude: '-119.5',
+      altitude_m: null,
+      sequence_num: i,
+      segment_num: 0,
+      recorded_at: '2025-06-01T10:05:00Z',
+    }));
+    mockSupabase.from.mockImplementation((table) => {
+      if (table === 'track_points') {
+        pointsQuery = createQuery({ data: rows, error: null });
+        return pointsQuery;
+      }
+      return createQuery({
+        data: table === 'track_live_shares' ? link : { id: TRACK_ID, status: 'recording' },
+        error: null,
+      });
+    });
+
+    const response = await GET(createMockRequest(`?token=${TOKEN}`), createMockParams());
+    const data = await response.json();
+
+    expect(pointsQuery.range).toHaveBeenCalledWith(0, 999);
+    expect(data.points).toHaveLength(999);
+    expect(data.points[998].sequenceNum).toBe(998);
+    expect(data.hasMore).toBe(true);
+  });
+
+  it('should record when the link was last viewed', async () => {
+    await GET(createMockRequest(`?token=${TOKEN}`), createMockParams());
+
+    const updateQuery = linkQueries[linkQueries.length - 1];
+    expect(updateQuery.update).toHaveBeenCalledWith({ last_accessed_at: expect.any(String) });
+    expect(pointsQuery.gt).toHaveBeenCalledWith('sequence_num', -1);
+  });
+});
@@ -0,0 +1,326 @@
+/**
+ * Track Points API Route Tests
+ * Tests for segment and sequence numbers on GET and POST /api/tracks/[id]/points
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET, POST } from '@/app/api/tracks/[id]/points/route.js';
+
+// Mock Supabase client
+const mockSupabase = {
+  auth: {
+    getUser: vi.fn(),
+  },
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+// Helper to create mock request
+const createMockRequest = (options = {}) => {
+  const {
+    method = 'GET',
+    body = null,
+    token = null,
+    url = 'http://localhost:3000/api/tracks/test-track-id/points',
+  } = options;
+
+  return {
+    method,
+    url,
+    headers: {
+      get: (name) => {
+        if (name === 'authorization' && token) {
+          return `Bearer ${token}`;
+        }
+        return null;
+      },
+    },
+    json: async () => body,
+  };
+};
+
+// Helper to create mock params
+const createMockParams = (id = 'test-track-id') => ({
+  params: Promise.resolve({ id }),
+});
+
+/**
+ * Mock the tables the POST handler touches
+ * @param {Function} upsert - Spy for track_points upserts
+ * @param {Array<number>} [storedSequenceNums] - Sequence numbers the track already has
+ */
+const mockPostTables = (upsert, storedSequenceNums = []) => {
+  mockSupabase.from.mockImplementation((table) => {
+    if (table === 'user_tracks') {
+      return {
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            single: vi.fn().mockResolvedValue({
+              data: { id: 'test-track-id', user_id: 'user-1', status: 'recording' },
+              error: null,
+            }),
+          }),
+        }),
+        update: vi.fn().mockReturnValue({
+          eq: vi.fn().mockResolvedValue({ error: null }),
+        }),
+      };
+    }
+
+    return {
+      select: vi.fn().mockReturnValue({
+        eq: vi.fn().mockReturnValue({
+          order: vi.fn().mockReturnValue({
+            limit: vi.fn().mockReturnValue({
+              single: vi.fn().mockResolvedValue({ data: { sequence_num: 4 }, error: null }),
+            }),
+          }),
+        }),
+      }),
+      upsert: upsert.mockImplementation((rows) => ({
+        select: vi.fn().mockResolvedValue({
+          data: rows
+            .filter((row) => !storedSequenceNums.includes(row.sequence_num))
+            .map((row, index) => ({
+              id: `point-${index}`,
+              sequence_num: row.sequence_num,
+            })),
+          error: null,
+        }),
+      })),
+    };
+  });
+};
+
+/**
+ * Mock the tables the GET handler touches
+ * @param {Array<Object>} rows - track_points rows returned by the query
+ * @returns {Object} The track_points query mock
+ */
+const mockGetTables = (rows) => {
+  const pointsQuery = {
+    select: vi.fn().mockReturnThis(),
+    eq: vi.fn().mockReturnThis(),
+    order: vi.fn().mockReturnThis(),
+    range: vi.fn().mockResolvedValue({ data: rows, count: rows.length, error: null }),
+  };
+
+  mockSupabase.from.mockImplementation((table) => {
+    if (table === 'user_tracks') {
+      return {
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            neq: vi.fn().mockReturnValue({
+              single: vi.fn().mockResolvedValue({
+                data: {
+                  id: 'test-track-id',
+                  user_id: 'user-1',
+                  is_public: false,
+                  status: 'completed',
+                },
+                error: null,
+              }),
+            }),
+          }),
+        }),
+      };
+    }
+
+    return pointsQuery;
+  });
+
+  return pointsQuery;
+};
+
+// A point with cleaned values next to the raw ones
+const cleanedRow = {
+  id: 'p1',
+  latitude: '37.7',
+  longitude: '-119.5',
+  altitude_m: '1203.5',
+  clean_latitude: '37.70001',
+  clean_longitude: '-119.50001',
+  clean_altitude_m: '1200',
+  is_outlier: false,
+  sequence_num: 1,
+  segment_num: 0,
+};
+
+describe('Track Points API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'user-1' } }, error: null });
+  });
+
+  describe('POST /api/tracks/[id]/points', () => {
+    it('should store the segment number of each point', async () => {
+      const upsert = vi.fn();
+      mockPostTables(upsert);
+      const request = createMockRequest({
+        method: 'POST',
+        token: 'valid-token',
+        body: {
+          points: [
+            { latitude: 37.7, longitude: -119.5, sequenceNum: 5, segmentNum: 0 },
+            { latitude: 37.71, longitude: -119.5, sequenceNum: 6, segmentNum: 1 },
+            { latitude: 37.72, longitude: -119.5, sequenceNum: 7 },
+          ],
+        },
+      });
+
+      const response = await POST(request, createMockParams());
+
+      expect(response.status).toBe(201);
+      expect(upsert.mock.calls[0][0].map((row) => row.segment_num)).toEqual([0, 1, 0]);
+    });
+
+    it('should reject invalid segment numbers', async () => {
+      const upsert = vi.fn();
+      mockPostTables(upsert);
+      const request = createMockRequest({
+        method: 'POST',
+        token: 'valid-token',
+        body: {
+          points: [
+            { latitude: 37.7, longitude: -119.5, segmentNum: -1 },
+            { latitude: 37.71, longitude: -119.5, segmentNum: 1.5 },
+          ],
+        },
+      });
+
+      const response = await POST(request, createMockParams());
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.validationErrors).toHaveLength(2);
+      expect(data.validationErrors[0].error).toContain('segment number');
+      expect(upsert).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid sequence numbers', async () => {
+      const upsert = vi.fn();
+      mockPostTables(upsert);
+      const request = createMockRequest({
+        method: 'POST',
+        token: 'valid-token',
+        body: {
+          points: [
+            { latitude: 37.7, longitude: -119.5, sequenceNum: -1 },
+            { latitude: 37.71, longitude: -119.5, sequenceNum: 2.5 },
+            { latitude: 37.72, longitude: -119.5, sequenceNum: '3' },
+          ],
+        },
+      });
+
+      const response = await POST(request, createMockParams());
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.validationErrors).toHaveLength(3);
+      expect(data.validationErrors[0].error).toContain('sequence number');
+      expect(upsert).not.toHaveBeenCalled();
+    });
+
+    it('should skip points already stored for the track', async () => {
+      const upsert = vi.fn();
+      mockPostTables(upsert, [5]);
+      const request = createMockRequest({
+        method: 'POST',
+        token: 'valid-token',
+        body: {
+          points: [
+            { latitude: 37.7, longitude: -119.5, sequenceNum: 5 },
+            { latitude: 37.71, longitude: -119.5, sequenceNum: 6 },
+          ],
+        },
+      });
+
+      const response = await POST(request, createMockParams());
+      const data = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(upsert).toHaveBeenCalledWith(expect.any(Array), {
+        onConflict: 'track_id,sequence_num',
+        ignoreDuplicates: true,
+      });
+      expect(data.inserted).toBe(1);
+      expect(data.duplicates).toBe(1);
+      expect(data.points).toEqual([{ id: 'point-0', sequenceNum: 6 }]);
+    });
+
+    it('should drop repeated sequence numbers within a batch', async () => {
+      const upsert = vi.fn();
+      mockPostTables(upsert);
+      const request = createMockRequest({
+        method: 'POST',
+        token: 'valid-token',
+        body: {
+          points: [
+            { latitude: 37.7, longitude: -119.5, sequenceNum: 5 },
+            { latitude: 37.7, longitude: -119.5, sequenceNum: 5 },
+            { latitude: 37.71, longitude: -119.5, sequenceNum: 6 },
+          ],
+        },
+      });
+
+      const response = await POST(request, createMockParams());
+      const data = await response.json();
+
+      expect(upsert.mock.calls[0][0].map((row) => row.sequence_num)).toEqual([5, 6]);
+      expect(data.inserted).toBe(2);
+      expect(data.duplicates).toBe(1);
+    });
+  });
+
+  describe('GET /api/tracks/[id]/points', () => {
+    it('should return segment numbers, defaulting to the first segment', async () => {
+      mockGetTables([
+        { id: 'p1', latitude: '37.7', longitude: '-119.5', sequence_num: 1, segment_num: null },
+        { id: 'p2', latitude: '37.71', longitude: '-119.5', sequence_num: 2, segment_num: 1 },
+      ]);
+
+      const response = await GET(createMockRequest({ token: 'valid-token' }), createMockParams());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.points.map((point) => point.segmentNum)).toEqual([0, 1]);
+    });
+
+    it('should return cleaned positions and leave out outliers', async () => {
+      const pointsQuery = mockGetTables([cleanedRow]);
+
+      const response = await GET(createMockRequest({ token: 'valid-token' }), createMockParams());
+      const data = await response.json();
+
+      expect(pointsQuery.eq).toHaveBeenCalledWith('is_outlier', false);
+      expect(data.points[0]).toMatchObject({
+        latitude: 37.70001,
+        longitude: -119.50001,
+        altitudeM: 1200,
+      });
+    });
+
+    it('should return positions as recorded with raw=true', async () => {
+      const pointsQuery = mockGetTables([cleanedRow]);
+
+      const response = await GET(
+        createMockRequest({
+          token: 'valid-token',
+          url: 'http://localhost:3000/api/tracks/test-track-id/points?raw=true',
+        }),
+        createMockParams()
+      );
+      const data = await response.json();
+
+      expect(pointsQuery.eq).not.toHaveBeenCalledWith('is_outlier', false);
+      expect(data.points[0]).toMatchObject({
+        latitude: 37.7,
+        longitude: -119.5,
+        altitudeM: 1203.5,
+      });
+    });
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Track Share API Route Tests
+ * Tests for feed sharing and live location links on GET/POST/DELETE /api/tracks/[id]/share
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET, POST, DELETE } from '@/app/api/tracks/[id]/share/route.js';
+
+const TRACK_ID = 'track-1';
+const OWNER_ID = 'owner-1';
+const TOKEN = 'a'.repeat(48);
+
+// Mock Supabase client
+const mockSupabase = {
+  auth: {
+    getUser: vi.fn(),
+  },
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+const mockUpdateUserAchievements = vi.fn();
+vi.mock('@/lib/tracking/achievements', () => ({
+  updateUserAchievements: (...args) => mockUpdateUserAchievements(...args),
+}));
+
+// Chainable query mock resolving to `result`
+const createQuery = (result) => {
+  const query = {};
+  ['select', 'eq', 'upsert', 'update', 'delete'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.single = vi.fn().mockResolvedValue(result);
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  query.then = (resolve) => resolve(result);
+  return query;
+};
+
+// Helper to create mock request
+const createMockRequest = ({ token = 'valid-token', body, search = '' } = {}) => ({
+  url: `http://localhost:3000/api/tracks/${TRACK_ID}/share${search}`,
+  headers: {
+    get: (name) => (name === 'authorization' && token ? `Bearer ${token}` : null),
+  },
+  json: body === undefined ? () => Promise.reject(new Error('No body')) : async () => body,
+});
+
+const createMockParams = (id = TRACK_ID) => ({ params: Promise.resolve({ id }) });
+
+const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+describe('Track Share API', () => {
+  let track;
+  let linkQuery;
+  let linkResult;
+  let trackQueries;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: OWNER_ID } }, error: null });
+    track = { id: TRACK_ID, user_id: OWNER_ID, status: 'recording', is_public: false };
+    linkQuery = undefined;
+    linkResult = { data: null, error: null };
+    trackQueries = [];
+
+    mockSupabase.from.mockImplementation((table) => {
+      if (table === 'user_tracks') {
+        const query = createQuery({ data: track, error: null });
+        trackQueries.push(query);
+        return query;
+      }
+      if (table === 'track_points') {
+        return createQuery({ count: 10, error: null });
+      }
+      linkQuery = createQuery(linkResult);
+      return linkQuery;
+    });
+  });
+
+  describe('GET live link', () => {
+    it('should require authentication', async () => {
+      const response = await GET(createMockRequest({ token: null }), createMockParams());
+      expect(response.status).toBe(401);
+    });
+
+    it('should return 403 for other users', async () => {
+      track.user_id = 'someone-else';
+
+      const response = await GET(createMockRequest(), createMockParams());
+      expect(response.status).toBe(403);
+      expect(linkQuery).toBeUndefined();
+    });
+
+    it('should report when there is no live link', async () => {
+      const response = await GET(createMockRequest(), createMockParams());
+      const data = await response.json();
+
+      expect(data).toEqual({
+        enabled: false,
+        url: null,
+        createdAt: null,
+        expiresAt: null,
+        lastAccessedAt: null,
+      });
+    });
+
+    it('should return the active link', async () => {
+      const expiresAt = inHours(2);
+      linkResult = {
+        data: { track_id: TRACK_ID, token: TOKEN, created_at: '2025-01-01', expires_at: expiresAt },
+        error: null,
+      };
+
+      const response = await GET(createMockRequest(), createMockParams());
+      const data = await response.json();
+
+      expect(data.enabled).toBe(true);
+      expect(data.url).toMatch(new RegExp(`/tracks/${TRACK_ID}/live\\?token=${TOKEN}$`));
+      expect(data.expiresAt).toBe(expiresAt);
+    });
+
+    it('should treat an expired link as off', async () => {
+      linkResult = {
+        data: {
+          track_id: TRACK_ID,
+          token: TOKEN,
+          created_at: '2025-01-01',
+          expires_at: inHours(-1),
+        },
+        error: null,
+      };
+
+      const response = await GET(createMockRequest(), createMockParams());
+      const data = await response.json();
+
+      expect(data.enabled).toBe(false);
+    });
+  });
+
+  describe('POST live link', () => {
+    it('should create a link that expires after the chosen time', async () => {
+      linkResult = {
+        data: {
+          track_id: TRACK_ID,
+          token: TOKEN,
+          created_at: '2025-01-01',
+          expires_at: inHours(4),
+        },
+        error: null,
+      };
+
+      const response = await POST(
+        createMockRequest({ body: { live: true, expiresInHours: 4 } }),
+        createMockParams()
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.enabled).toBe(true);
+      const [saved, options] = linkQuery.upsert.mock.calls[0];
+      expect(saved).toMatchObject({ track_id: TRACK_ID, created_by: OWNER_ID });
+      expect(saved.token).toMatch(/^[0-9a-f]{48}$/);
+      expect(new Date(saved.expires_at).getTime() - Date.now()).toBeCloseTo(4 * 3600000, -4);
+      expect(options).toEqual({ onConflict: 'track_id' });
+    });
+
+    it('should default to a 12 hour link', async () => {
+      linkResult = {
+        data: { track_id: TRACK_ID, token: TOKEN, expires_at: inHours(12) },
+        error: null,
+      };
+
+      await POST(createMockRequest({ body: { live: true } }), createMockParams());
+
+      const [saved] = linkQuery.upsert.mock.calls[0];
+      expect(new Date(saved.expires_at).getTime() - Date.now()).toBeCloseTo(12 * 3600000, -4);
+    });
+
+    it('should only allow live links while recording', async () => {
+      track.status = 'completed';
+
+      const response = await POST(createMockRequest({ body: { live: true } }), createMockParams());
+
+      expect(response.status).toBe(400);
+      expect(linkQuery).toBeUndefined();
+    });
+
+    it('should reject durations that are not offered', async () => {
+      const response = await POST(
+        createMockRequest({ body: { live: true, expiresInHours: 1000 } }),
+        createMockParams()
+      );
+
+      expect(response.status).toBe(400);
+      expect(linkQuery).toBeUndefined();
+    });
+
+    it('should return 403 for other users', async () => {
+      track.user_id = 'someone-else';
+
+      const response = await POST(createMockRequest({ body: { live: true } }), createMockParams());
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST feed share', () => {
+    it('should still require a completed track', async () => {
+      const response = await POST(createMockRequest(), createMockParams());
+      expect(response.status).toBe(400);
+    });
+
+    it('should share a completed track with an updated title', async () => {
+      track.status = 'completed';
+
+      const response = await POST(
+        createMockRequest({ body: { title: 'Sunrise hike' } }),
+        createMockParams()
+      );
+
+      expect(response.status).toBe(200);
+      const updateQuery = trackQueries[trackQueries.length - 1];
+      expect(updateQuery.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'shared', is_public: true, title: 'Sunrise hike' })
+      );
+      expect(mockUpdateUserAchievements).toHaveBeenCalledWith(mockSupabase, OWNER_ID);
+    });
+  });
+
+  describe('DELETE live link', () => {
+    it('should revoke the live link without unsharing the track', async () => {
+      const response = await DELETE(
+        createMockRequest({ search: '?live=true' }),
+        createMockParams()
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.success).toBe(true);
+      expect(linkQuery.delete).toHaveBeenCalled();
+      expect(linkQuery.eq).toHaveBeenCalledWith('track_id', TRACK_ID);
+      expect(trackQueries).toHaveLength(1);
+    });
+
+    it('should return 500 when revoking fails', async () => {
+      linkResult = { data: null, error: { message: 'boom' } };
+
+      const response = await DELETE(
+        createMockRequest({ search: '?live=true' }),
+        createMockParams()
+      );
+
+      expect(response.status).toBe(500);
+    });
+  });
+});
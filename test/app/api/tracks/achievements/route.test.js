@@ -0,0 +1,70 @@
+/**
+ * Track Achievements API Route Tests
+ * Tests for GET /api/tracks/achievements
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET } from '@/app/api/tracks/achievements/route.js';
+
+// Mock Supabase client
+const mockSupabase = {
+  auth: {
+    getUser: vi.fn(),
+  },
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+const mockGetUserAchievements = vi.fn();
+vi.mock('@/lib/tracking/achievements', () => ({
+  getUserAchievements: (...args) => mockGetUserAchievements(...args),
+}));
+
+// Helper to create mock request
+const createMockRequest = (token = 'user-token') => ({
+  method: 'GET',
+  url: 'http://localhost:3000/api/tracks/achievements',
+  headers: {
+    get: (name) => (name === 'authorization' && token ? `Bearer ${token}` : null),
+  },
+});
+
+describe('GET /api/tracks/achievements', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockSupabase.auth.getUser.mockResolvedValue({
+      data: { user: { id: 'user-123' } },
+      error: null,
+    });
+  });
+
+  it('should return 401 without authentication', async () => {
+    const response = await GET(createMockRequest(null));
+
+    expect(response.status).toBe(401);
+    expect(mockGetUserAchievements).not.toHaveBeenCalled();
+  });
+
+  it("should return the user's achievements", async () => {
+    const achievements = { records: {}, badges: [], monthly: [], trackCount: 0 };
+    mockGetUserAchievements.mockResolvedValue(achievements);
+
+    const response = await GET(createMockRequest());
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data).toEqual({ achievements });
+    expect(mockGetUserAchievements).toHaveBeenCalledWith(mockSupabase, 'user-123');
+  });
+
+  it('should return 500 when achievements cannot be loaded', async () => {
+    mockGetUserAchievements.mockResolvedValue(null);
+
+    const response = await GET(createMockRequest());
+
+    expect(response.status).toBe(500);
+  });
+});
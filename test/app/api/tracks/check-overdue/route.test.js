@@ -0,0 +1,72 @@
+/**
+ * Overdue Track Check API Route Tests
+ * Tests for POST /api/tracks/check-overdue
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { POST } from '@/app/api/tracks/check-overdue/route.js';
+
+const SERVICE_KEY = 'service-role-key';
+const mockSupabase = {};
+const mockMailer = { send: vi.fn() };
+const mockSendOverdueAlerts = vi.fn();
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+vi.mock('@/lib/email/mailer', () => ({
+  createMailer: vi.fn(() => mockMailer),
+}));
+
+vi.mock('@/lib/tracking/check-in', () => ({
+  sendOverdueAlerts: (...args) => mockSendOverdueAlerts(...args),
+}));
+
+// Helper to create mock request
+const createMockRequest = (token) => ({
+  headers: {
+    get: (name) => (name === 'authorization' && token ? `Bearer ${token}` : null),
+  },
+});
+
+describe('POST /api/tracks/check-overdue', () => {
+  const originalKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.SUPABASE_SERVICE_ROLE_KEY = SERVICE_KEY;
+    mockSendOverdueAlerts.mockResolvedValue({ checked: 2, alerted: 1, failed: 0 });
+  });
+
+  afterEach(() => {
+    process.env.SUPABASE_SERVICE_ROLE_KEY = originalKey;
+  });
+
+  it('should require the service role key', async () => {
+    const missing = await POST(createMockRequest(null));
+    const wrong = await POST(createMockRequest('user-access-token'));
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+    expect(mockSendOverdueAlerts).not.toHaveBeenCalled();
+  });
+
+  it('should send alerts and return the run summary', async () => {
+    const response = await POST(createMockRequest(SERVICE_KEY));
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data).toEqual({ checked: 2, alerted: 1, failed: 0 });
+    expect(mockSendOverdueAlerts).toHaveBeenCalledWith(mockSupabase, mockMailer);
+  });
+
+  it('should return 500 when the check fails', async () => {
+    mockSendOverdueAlerts.mockRejectedValue(new Error('boom'));
+
+    const response = await POST(createMockRequest(SERVICE_KEY));
+
+    expect(response.status).toBe(500);
+  });
+});
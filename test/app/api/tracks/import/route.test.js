@@ -0,0 +1,241 @@
+/**
+ * Track Import API Route Tests
+ * Tests for POST /api/tracks/import
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { POST } from '@/app/api/tracks/import/route.js';
+
+// Mock Supabase client
+const mockSupabase = {
+  auth: {
+    getUser: vi.fn(),
+  },
+  from: vi.fn(),
+  rpc: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+const mockUpdateUserAchievements = vi.fn();
+vi.mock('@/lib/tracking/achievements', () => ({
+  updateUserAchievements: (...args) => mockUpdateUserAchievements(...args),
+}));
+
+const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <name>Mist Trail</name>
+    <trkseg>
+      <trkpt lat="37.7200" lon="-119.5500"><ele>1200</ele><time>2024-06-01T08:00:00Z</time></trkpt>
+      <trkpt lat="37.7205" lon="-119.5500"><ele>1210</ele><time>2024-06-01T08:00:40Z</time></trkpt>
+      <trkpt lat="37.7210" lon="-119.5500"><ele>1225</ele><time>2024-06-01T08:01:20Z</time></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+// Helper to create a mock uploaded file (jsdom's File lacks arrayBuffer)
+const createMockFile = (content, name) => {
+  const bytes = Buffer.from(content);
+  return {
+    name,
+    size: bytes.length,
+    arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length),
+  };
+};
+
+// Helper to create mock multipart request
+const createMockRequest = ({ token = 'user-token', fields = {} } = {}) => ({
+  method: 'POST',
+  url: 'http://localhost:3000/api/tracks/import',
+  headers: {
+    get: (name) => (name === 'authorization' && token ? `Bearer ${token}` : null),
+  },
+  formData: async () => ({
+    get: (key) => fields[key] ?? null,
+  }),
+});
+
+// Helper to mock profiles/user_tracks/track_points tables
+const mockTables = ({ isPro = true, pointsError = null } = {}) => {
+  const inserted = { track: null, points: [] };
+  const deleteEq = vi.fn().mockResolvedValue({ error: null });
+
+  mockSupabase.from.mockImplementation((table) => {
+    if (table === 'profiles') {
+      return {
+        select: vi.fn().mockReturnValue({
+          eq: vi.fn().mockReturnValue({
+            single: vi.fn().mockResolvedValue({ data: { is_pro: isPro }, error: null }),
+          }),
+        }),
+      };
+    }
+    if (table === 'user_tracks') {
+      return {
+        insert: vi.fn((row) => {
+          inserted.track = row;
+          return {
+            select: vi.fn().mockReturnValue({
+              single: vi.fn().mockResolvedValue({
+                data: { id: 'track-imported', created_at: '2024-06-02T00:00:00Z', ...row },
+                error: null,
+              }),
+            }),
+          };
+        }),
+        delete: vi.fn().mockReturnValue({ eq: deleteEq }),
+      };
+    }
+    if (table === 'track_points') {
+      return {
+        insert: vi.fn((rows) => {
+          inserted.points.push(...rows);
+          return Promise.resolve({ error: pointsError });
+        }),
+      };
+    }
+    return {};
+  });
+
+  return { inserted, deleteEq };
+};
+
+describe('Track Import API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockSupabase.auth.getUser.mockResolvedValue({
+      data: { user: { id: 'user-123' } },
+      error: null,
+    });
+    mockSupabase.rpc.mockImplementation((fn) => {
+      if (fn === 'find_nearby_parks') {
+        return Promise.resolve({
+          data: [
+            { id: 'wiki-1', source: 'wikidata' },
+            { id: 'park-uuid', park_code: 'yose', source: 'nps' },
+          ],
+          error: null,
+        });
+      }
+      return Promise.resolve({
+        data: [
+          {
+            id: 'trail-1',
+            name: 'Mist Trail',
+            slug: 'mist-trail',
+            geometry_geojson: JSON.stringify({
+              type: 'LineString',
+              coordinates: [
+                [-119.5501, 37.719],
+                [-119.5501, 37.722],
+              ],
+            }),
+          },
+        ],
+        error: null,
+      });
+    });
+  });
+
+  it('should return 401 when not authenticated', async () => {
+    const response = await POST(createMockRequest({ token: null }));
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 403 for non-pro users', async () => {
+    mockTables({ isPro: false });
+
+    const response = await POST(createMockRequest());
+    const data = await response.json();
+
+    expect(response.status).toBe(403);
+    expect(data.code).toBe('PRO_REQUIRED');
+  });
+
+  it('should return 400 when no file is provided', async () => {
+    mockTables();
+
+    const response = await POST(createMockRequest());
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toBe('No file provided');
+  });
+
+  it('should return 400 for unsupported files', async () => {
+    mockTables();
+
+    const response = await POST(
+      createMockRequest({ fields: { file: createMockFile('hello', 'notes.txt') } })
+    );
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toContain('Unsupported file format');
+  });
+
+  it('should create a completed track with stats and matched park/trail', async () => {
+    const { inserted } = mockTables();
+
+    const response = await POST(
+      createMockRequest({ fields: { file: createMockFile(gpx, 'mist.gpx') } })
+    );
+    const data = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(inserted.track).toMatchObject({
+      user_id: 'user-123',
+      title: 'Mist Trail',
+      status: 'completed',
+      park_id: 'park-uuid',
+      park_code: 'yose',
+      trail_id: 'trail-1',
+      // ~1.3 m/s walking pace on a matched trail is a hike
+      activity_type: 'hiking',
+      duration_seconds: 80,
+      elevation_gain_m: 25,
+      started_at: '2024-06-01T08:00:00.000Z',
+      ended_at: '2024-06-01T08:01:20.000Z',
+    });
+    expect(inserted.track.geometry.type).toBe('LineString');
+    expect(inserted.points).toHaveLength(3);
+    expect(inserted.points.map((p) => p.sequence_num)).toEqual([0, 1, 2]);
+    expect(data.track.id).toBe('track-imported');
+    expect(data.matchedTrail).toEqual({ id: 'trail-1', name: 'Mist Trail', slug: 'mist-trail' });
+    expect(data.pointCount).toBe(3);
+    expect(mockUpdateUserAchievements).toHaveBeenCalledWith(mockSupabase, 'user-123');
+  });
+
+  it('should respect an explicit activity type and title', async () => {
+    const { inserted } = mockTables();
+
+    const response = await POST(
+      createMockRequest({
+        fields: {
+          file: createMockFile(gpx, 'mist.gpx'),
+          title: 'Morning run',
+          activityType: 'walking',
+        },
+      })
+    );
+
+    expect(response.status).toBe(201);
+    expect(inserted.track.title).toBe('Morning run');
+    expect(inserted.track.activity_type).toBe('walking');
+  });
+
+  it('should delete the track if saving points fails', async () => {
+    const { deleteEq } = mockTables({ pointsError: { message: 'insert failed' } });
+
+    const response = await POST(
+      createMockRequest({ fields: { file: createMockFile(gpx, 'mist.gpx') } })
+    );
+
+    expect(response.status).toBe(500);
+    expect(deleteEq).toHaveBeenCalledWith('id', 'track-imported');
+    expect(mockUpdateUserAchievements).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Trip Budget API Route Tests
+ * Tests for GET/PATCH /api/trips/[id]/budget
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET, PATCH } from '@/app/api/trips/[id]/budget/route.js';
+import { fetchTripBudgetDays } from '@/lib/trips/trip-budget';
+
+const TRIP_ID = '11111111-1111-4111-8111-111111111111';
+const OWNER_ID = 'owner-1';
+
+// Mock Supabase client
+const mockSupabase = {
+  auth: {
+    getUser: vi.fn(),
+  },
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+vi.mock('@/lib/trips/trip-budget', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchTripBudgetDays: vi.fn(),
+}));
+
+// Chainable query mock resolving to `result`
+const createQuery = (result) => {
+  const query = {};
+  ['select', 'eq', 'update'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.single = vi.fn().mockResolvedValue(result);
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  query.then = (resolve) => resolve(result);
+  return query;
+};
+
+// Helper to create mock request
+const createMockRequest = (body = {}, token = 'valid-token') => ({
+  headers: {
+    get: (name) => (name === 'authorization' && token ? `Bearer ${token}` : null),
+  },
+  json: vi.fn().mockResolvedValue(body),
+});
+
+const createMockParams = (id = TRIP_ID) => ({ params: Promise.resolve({ id }) });
+
+describe('Trip Budget API', () => {
+  let tripQueries;
+  let memberRole;
+  let updateResult;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: OWNER_ID } }, error: null });
+    memberRole = null;
+    updateResult = { data: null, error: null };
+    tripQueries = [];
+
+    mockSupabase.from.mockImplementation((table) => {
+      if (table === 'trip_members') {
+        return createQuery({ data: memberRole ? { role: memberRole } : null, error: null });
+      }
+      const query = createQuery(
+        tripQueries.length === 0
+          ? {
+              data: {
+                id: TRIP_ID,
+                user_id: OWNER_ID,
+                fuel_price_per_gallon: '4.00',
+                vehicle_mpg: '20.0',
+                trip_stops: [],
+              },
+              error: null,
+            }
+          : updateResult
+      );
+      tripQueries.push(query);
+      return query;
+    });
+
+    fetchTripBudgetDays.mockResolvedValue({
+      days: [
+        {
+          dayNumber: 1,
+          drivingMiles: 100,
+          entranceFees: [{ parkCode: 'yose', parkName: 'Yosemite', amount: 35 }],
+          lodging: null,
+        },
+      ],
+      routed: true,
+    });
+  });
+
+  describe('GET', () => {
+    it('should require authentication', async () => {
+      const response = await GET(createMockRequest({}, null), createMockParams());
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject invalid trip IDs', async () => {
+      const response = await GET(createMockRequest(), createMockParams('bad'));
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for users not on the trip', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({
+        data: { user: { id: 'stranger' } },
+        error: null,
+      });
+
+      const response = await GET(createMockRequest(), createMockParams());
+      expect(response.status).toBe(404);
+      expect(fetchTripBudgetDays).not.toHaveBeenCalled();
+    });
+
+    it("should price the trip with the trip's saved settings", async () => {
+      const response = await GET(createMockRequest(), createMockParams());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.settings).toEqual({ fuelPrice: 4, mpg: 20 });
+      expect(data.days[0].costs).toEqual({ fuel: 20, entranceFees: 35, lodging: 0, total: 55 });
+      expect(data.totals.total).toBe(55);
+      expect(data.routed).toBe(true);
+      expect(data.canEdit).toBe(true);
+    });
+
+    it('should let viewers see but not edit the budget', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({
+        data: { user: { id: 'viewer-1' } },
+        error: null,
+      });
+      memberRole = 'viewer';
+
+      const response = await GET(createMockRequest(), createMockParams());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.canEdit).toBe(false);
+    });
+  });
+
+  describe('PATCH', () => {
+    it('should validate settings', async () => {
+      const response = await PATCH(
+        createMockRequest({ fuelPrice: 3.5, mpg: 0 }),
+        createMockParams()
+      );
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject viewers', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({
+        data: { user: { id: 'viewer-1' } },
+        error: null,
+      });
+      memberRole = 'viewer';
+
+      const response = await PATCH(
+        createMockRequest({ fuelPrice: 3.5, mpg: 30 }),
+        createMockParams()
+      );
+      expect(response.status).toBe(403);
+    });
+
+    it('should save settings for editors', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({
+        data: { user: { id: 'editor-1' } },
+        error: null,
+      });
+      memberRole = 'editor';
+
+      const response = await PATCH(
+        createMockRequest({ fuelPrice: 3.89, mpg: 31 }),
+        createMockParams()
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.settings).toEqual({ fuelPrice: 3.89, mpg: 31 });
+      expect(tripQueries[1].update).toHaveBeenCalledWith({
+        fuel_price_per_gallon: 3.89,
+        vehicle_mpg: 31,
+      });
+    });
+
+    it('should return 500 when saving fails', async () => {
+      updateResult = { data: null, error: { message: 'boom' } };
+
+      const response = await PATCH(
+        createMockRequest({ fuelPrice: 3.89, mpg: 31 }),
+        createMockParams()
+      );
+      expect(response.status).toBe(500);
+    });
+  });
+});
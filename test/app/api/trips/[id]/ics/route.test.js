@@ -0,0 +1,125 @@
+/**
+ * Trip Calendar Export API Route Tests
+ * Tests for GET /api/trips/[id]/ics
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET } from '@/app/api/trips/[id]/ics/route.js';
+import { fetchParkLocations } from '@/lib/trips/trip-routing';
+
+const TRIP_ID = '11111111-1111-4111-8111-111111111111';
+const USER_ID = 'user-1';
+
+// Mock Supabase client
+const mockSupabase = {
+  auth: {
+    getUser: vi.fn(),
+  },
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+vi.mock('@/lib/trips/trip-routing', () => ({
+  fetchParkLocations: vi.fn(),
+}));
+
+// Chainable query mock resolving to `result`
+const createQuery = (result) => {
+  const query = {};
+  ['select', 'eq'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.single = vi.fn().mockResolvedValue(result);
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  return query;
+};
+
+// Helper to create mock request
+const createMockRequest = (token = 'valid-token') => ({
+  headers: {
+    get: (name) => (name === 'authorization' && token ? `Bearer ${token}` : null),
+  },
+});
+
+const createMockParams = (id = TRIP_ID) => ({ params: Promise.resolve({ id }) });
+
+const tripRow = {
+  id: TRIP_ID,
+  user_id: USER_ID,
+  title: 'Sierra Loop',
+  start_date: '2025-06-01',
+  end_date: '2025-06-02',
+  trip_stops: [{ id: 's1', park_code: 'yose', day_number: 1, order_index: 0 }],
+};
+
+describe('Trip Calendar Export API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: USER_ID } }, error: null });
+    mockSupabase.from.mockImplementation(() => createQuery({ data: tripRow, error: null }));
+    fetchParkLocations.mockResolvedValue({
+      yose: { name: 'Yosemite National Park', latitude: 37.8, longitude: -119.5 },
+    });
+  });
+
+  it('should reject invalid trip IDs', async () => {
+    const response = await GET(createMockRequest(), createMockParams('nope'));
+    expect(response.status).toBe(400);
+  });
+
+  it('should require authentication', async () => {
+    const response = await GET(createMockRequest(null), createMockParams());
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 404 when the trip does not exist', async () => {
+    mockSupabase.from.mockImplementation(() =>
+      createQuery({ data: null, error: { message: 'not found' } })
+    );
+
+    const response = await GET(createMockRequest(), createMockParams());
+    expect(response.status).toBe(404);
+  });
+
+  describe('shared trips', () => {
+    const mockMembership = (membership) => {
+      mockSupabase.from.mockImplementation((table) =>
+        table === 'trip_members'
+          ? createQuery({ data: membership, error: null })
+          : createQuery({ data: { ...tripRow, user_id: 'someone-else' }, error: null })
+      );
+    };
+
+    it("should not export another user's trip", async () => {
+      mockMembership(null);
+
+      const response = await GET(createMockRequest(), createMockParams());
+      expect(response.status).toBe(403);
+    });
+
+    it('should let members export the trip', async () => {
+      mockMembership({ role: 'viewer' });
+
+      const response = await GET(createMockRequest(), createMockParams());
+      expect(response.status).toBe(200);
+    });
+  });
+
+  it('should return an .ics attachment with one event per day', async () => {
+    const response = await GET(createMockRequest(), createMockParams());
+    const body = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('text/calendar; charset=utf-8');
+    expect(response.headers.get('Content-Disposition')).toBe(
+      'attachment; filename="sierra-loop.ics"'
+    );
+    expect(body.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(body).toContain('SUMMARY:Day 1: Yosemite National Park');
+    expect(fetchParkLocations).toHaveBeenCalledWith(mockSupabase, ['yose']);
+  });
+});
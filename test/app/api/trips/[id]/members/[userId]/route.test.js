@@ -0,0 +1,154 @@
+/**
+ * Single Trip Member API Route Tests
+ * Tests for PATCH/DELETE /api/trips/[id]/members/[userId]
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { PATCH, DELETE } from '@/app/api/trips/[id]/members/[userId]/route.js';
+
+const TRIP_ID = '11111111-1111-4111-8111-111111111111';
+const OWNER_ID = '22222222-2222-4222-8222-222222222222';
+const MEMBER_ID = '33333333-3333-4333-8333-333333333333';
+
+// Mock Supabase client
+const mockSupabase = {
+  auth: {
+    getUser: vi.fn(),
+  },
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+// Chainable query mock resolving to `result`
+const createQuery = (result) => {
+  const query = {};
+  ['select', 'eq', 'update', 'delete'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.single = vi.fn().mockResolvedValue(result);
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  query.then = (resolve) => resolve(result);
+  return query;
+};
+
+// Helper to create mock request
+const createMockRequest = (body, token = 'valid-token') => ({
+  headers: {
+    get: (name) => (name === 'authorization' && token ? `Bearer ${token}` : null),
+  },
+  json: async () => body,
+});
+
+const createMockParams = (userId = MEMBER_ID) => ({
+  params: Promise.resolve({ id: TRIP_ID, userId }),
+});
+
+describe('Trip Member API', () => {
+  let memberQueries;
+  let memberResults;
+
+  const signInAs = (id) => {
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id } }, error: null });
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    signInAs(OWNER_ID);
+
+    memberQueries = [];
+    memberResults = [];
+    mockSupabase.from.mockImplementation((table) => {
+      if (table === 'trips') {
+        return createQuery({ data: { id: TRIP_ID, user_id: OWNER_ID }, error: null });
+      }
+      const query = createQuery(memberResults[memberQueries.length] || { data: null, error: null });
+      memberQueries.push(query);
+      return query;
+    });
+  });
+
+  describe('PATCH', () => {
+    it('should validate the role', async () => {
+      const response = await PATCH(createMockRequest({ role: 'owner' }), createMockParams());
+      expect(response.status).toBe(400);
+    });
+
+    it('should only let the owner change roles', async () => {
+      signInAs(MEMBER_ID);
+      memberResults = [{ data: { role: 'editor' }, error: null }];
+
+      const response = await PATCH(createMockRequest({ role: 'viewer' }), createMockParams());
+      expect(response.status).toBe(403);
+    });
+
+    it('should update the member role', async () => {
+      memberResults = [
+        {
+          data: {
+            user_id: MEMBER_ID,
+            role: 'editor',
+            profiles: { username: 'sam_k', display_name: null, avatar_url: null },
+          },
+          error: null,
+        },
+      ];
+
+      const response = await PATCH(createMockRequest({ role: 'editor' }), createMockParams());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(memberQueries[0].update).toHaveBeenCalledWith({ role: 'editor' });
+      expect(data.member).toMatchObject({ userId: MEMBER_ID, role: 'editor' });
+    });
+
+    it('should return 404 for users who are not members', async () => {
+      const response = await PATCH(createMockRequest({ role: 'editor' }), createMockParams());
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE', () => {
+    it('should let the owner remove a member', async () => {
+      const response = await DELETE(createMockRequest(), createMockParams());
+
+      expect(response.status).toBe(200);
+      expect(memberQueries[0].delete).toHaveBeenCalled();
+      expect(memberQueries[0].eq).toHaveBeenCalledWith('user_id', MEMBER_ID);
+    });
+
+    it('should let a member leave', async () => {
+      signInAs(MEMBER_ID);
+      memberResults = [{ data: { role: 'viewer' }, error: null }];
+
+      const response = await DELETE(createMockRequest(), createMockParams());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.message).toBe('You left the trip');
+    });
+
+    it('should not let members remove others', async () => {
+      signInAs(MEMBER_ID);
+      memberResults = [{ data: { role: 'editor' }, error: null }];
+
+      const response = await DELETE(createMockRequest(), createMockParams(OWNER_ID));
+      expect(response.status).toBe(403);
+    });
+
+    it('should not let the owner leave their own trip', async () => {
+      const response = await DELETE(createMockRequest(), createMockParams(OWNER_ID));
+      expect(response.status).toBe(400);
+    });
+
+    it('should hide trips from non-members', async () => {
+      signInAs(MEMBER_ID);
+
+      const response = await DELETE(createMockRequest(), createMockParams());
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Trip Members API Route Tests
+ * Tests for GET/POST /api/trips/[id]/members
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET, POST } from '@/app/api/trips/[id]/members/route.js';
+
+const TRIP_ID = '11111111-1111-4111-8111-111111111111';
+const OWNER_ID = 'owner-1';
+const INVITEE_ID = 'user-2';
+
+// Mock Supabase client
+const mockSupabase = {
+  auth: {
+    getUser: vi.fn(),
+  },
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+// Chainable query mock resolving to `result`
+const createQuery = (result) => {
+  const query = {};
+  ['select', 'eq', 'ilike', 'order', 'insert'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.single = vi.fn().mockResolvedValue(result);
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  query.then = (resolve) => resolve(result);
+  return query;
+};
+
+// Helper to create mock request
+const createMockRequest = (body, token = 'valid-token') => ({
+  headers: {
+    get: (name) => (name === 'authorization' && token ? `Bearer ${token}` : null),
+  },
+  json: async () => body,
+});
+
+const createMockParams = (id = TRIP_ID) => ({ params: Promise.resolve({ id }) });
+
+describe('Trip Members API', () => {
+  let tables;
+  let queries;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: OWNER_ID } }, error: null });
+
+    tables = {
+      trips: { data: { id: TRIP_ID, user_id: OWNER_ID }, error: null },
+      profiles: {
+        data: { id: INVITEE_ID, username: 'sam_k', display_name: 'Sam', avatar_url: null },
+        error: null,
+      },
+      trip_members: { data: null, error: null },
+    };
+    queries = {};
+    mockSupabase.from.mockImplementation((table) => {
+      const query = createQuery(tables[table]);
+      queries[table] = [...(queries[table] || []), query];
+      return query;
+    });
+  });
+
+  describe('GET', () => {
+    it('should hide trips the user is not on', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({
+        data: { user: { id: 'stranger' } },
+        error: null,
+      });
+
+      const response = await GET(createMockRequest(), createMockParams());
+      expect(response.status).toBe(404);
+    });
+
+    it('should list the owner and members', async () => {
+      mockSupabase.from.mockImplementation((table) => {
+        if (table === 'trip_members') {
+          return createQuery({
+            data: [
+              {
+                user_id: INVITEE_ID,
+                role: 'editor',
+                created_at: '2025-01-01',
+                profiles: { username: 'sam_k', display_name: 'Sam', avatar_url: null },
+              },
+            ],
+            error: null,
+          });
+        }
+        if (table === 'profiles') {
+          return createQuery({ data: { id: OWNER_ID, username: 'alex' }, error: null });
+        }
+        return createQuery(tables[table]);
+      });
+
+      const response = await GET(createMockRequest(), createMockParams());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.role).toBe('owner');
+      expect(data.owner).toMatchObject({ userId: OWNER_ID, username: 'alex', role: 'owner' });
+      expect(data.members).toEqual([
+        expect.objectContaining({ userId: INVITEE_ID, username: 'sam_k', role: 'editor' }),
+      ]);
+    });
+  });
+
+  describe('POST', () => {
+    it('should require authentication', async () => {
+      const response = await POST(
+        createMockRequest({ username: 'sam_k' }, null),
+        createMockParams()
+      );
+      expect(response.status).toBe(401);
+    });
+
+    it('should validate the username and role', async () => {
+      let response = await POST(createMockRequest({ username: 'a' }), createMockParams());
+      expect(response.status).toBe(400);
+
+      response = await POST(
+        createMockRequest({ username: 'sam_k', role: 'owner' }),
+        createMockParams()
+      );
+      expect(response.status).toBe(400);
+    });
+
+    it('should only let the owner invite', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({
+        data: { user: { id: 'editor-1' } },
+        error: null,
+      });
+      tables.trip_members = { data: { role: 'editor' }, error: null };
+
+      const response = await POST(createMockRequest({ username: 'sam_k' }), createMockParams());
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 404 for unknown usernames', async () => {
+      tables.profiles = { data: null, error: { code: 'PGRST116' } };
+
+      const response = await POST(createMockRequest({ username: 'nobody' }), createMockParams());
+      expect(response.status).toBe(404);
+    });
+
+    it('should not invite the owner', async () => {
+      tables.profiles = { data: { id: OWNER_ID, username: 'alex' }, error: null };
+
+      const response = await POST(createMockRequest({ username: 'alex' }), createMockParams());
+      expect(response.status).toBe(400);
+    });
+
+    it('should invite by username with an escaped, case-insensitive lookup', async () => {
+      tables.trip_members = {
+        data: { user_id: INVITEE_ID, role: 'editor', created_at: '2025-01-01' },
+        error: null,
+      };
+
+      const response = await POST(
+        createMockRequest({ username: '@Sam_K', role: 'editor' }),
+        createMockParams()
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(queries.profiles[0].ilike).toHaveBeenCalledWith('username', 'sam\\_k');
+      expect(queries.trip_members[0].insert).toHaveBeenCalledWith({
+        trip_id: TRIP_ID,
+        user_id: INVITEE_ID,
+        role: 'editor',
+        invited_by: OWNER_ID,
+      });
+      expect(data.member).toMatchObject({ userId: INVITEE_ID, displayName: 'Sam', role: 'editor' });
+    });
+
+    it('should return 409 for existing members', async () => {
+      tables.trip_members = { data: null, error: { code: '23505', message: 'duplicate' } };
+
+      const response = await POST(createMockRequest({ username: 'sam_k' }), createMockParams());
+      expect(response.status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Trip Preview Image API Route Tests
+ * Tests for GET /api/trips/[id]/preview
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET } from '@/app/api/trips/[id]/preview/route.js';
+import { fetchParkLocations } from '@/lib/trips/trip-routing';
+import { generateStaticMap } from '@/lib/map/static-map-generator';
+
+const TRIP_ID = '11111111-1111-4111-8111-111111111111';
+const TOKEN = 'a'.repeat(48);
+
+// Mock Supabase client
+const mockSupabase = {
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+vi.mock('@/lib/trips/trip-routing', () => ({
+  fetchParkLocations: vi.fn(),
+}));
+
+vi.mock('@/lib/map/static-map-generator', () => ({
+  generateStaticMap: vi.fn(),
+}));
+
+// Chainable query mock resolving to `result`
+const createQuery = (result) => {
+  const query = {};
+  ['select', 'eq'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.single = vi.fn().mockResolvedValue(result);
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  return query;
+};
+
+const createMockRequest = (token = TOKEN) => ({
+  url: `http://localhost/api/trips/${TRIP_ID}/preview${token ? `?share=${token}` : ''}`,
+});
+
+const createMockParams = (id = TRIP_ID) => ({ params: Promise.resolve({ id }) });
+
+describe('Trip Preview Image API', () => {
+  let link;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    link = { trip_id: TRIP_ID, token: TOKEN };
+
+    mockSupabase.from.mockImplementation((table) => {
+      if (table === 'trip_share_links') {
+        return createQuery({ data: link, error: null });
+      }
+      return createQuery({
+        data: {
+          id: TRIP_ID,
+          origin_lat: 37.77,
+          origin_lng: -122.42,
+          trip_stops: [{ park_code: 'yose', day_number: 1, order_index: 0 }],
+        },
+        error: null,
+      });
+    });
+    fetchParkLocations.mockResolvedValue({
+      yose: { name: 'Yosemite National Park', latitude: 37.8, longitude: -119.5 },
+    });
+    generateStaticMap.mockResolvedValue(Buffer.from('png'));
+  });
+
+  it('should return 404 without a share token', async () => {
+    const response = await GET(createMockRequest(null), createMockParams());
+    expect(response.status).toBe(404);
+    expect(mockSupabase.from).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for revoked tokens', async () => {
+    link = null;
+
+    const response = await GET(createMockRequest(), createMockParams());
+    expect(response.status).toBe(404);
+    expect(generateStaticMap).not.toHaveBeenCalled();
+  });
+
+  it('should render the route map as a PNG', async () => {
+    const response = await GET(createMockRequest(), createMockParams());
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('image/png');
+    expect(response.headers.get('Cache-Control')).toBe('private, no-store');
+    expect(generateStaticMap).toHaveBeenCalledWith({
+      points: [
+        { lat: 37.77, lng: -122.42, label: 'S', isOrigin: true },
+        { lat: 37.8, lng: -119.5, label: '1', isOrigin: false },
+      ],
+      width: 1200,
+      height: 630,
+    });
+  });
+
+  it('should return 404 when no map can be drawn', async () => {
+    generateStaticMap.mockResolvedValue(null);
+
+    const response = await GET(createMockRequest(), createMockParams());
+    expect(response.status).toBe(404);
+  });
+});
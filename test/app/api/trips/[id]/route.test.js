@@ -0,0 +1,177 @@
+/**
+ * Single Trip API Route Tests
+ * Tests for GET /api/trips/[id] access by members and share links, and DELETE by the owner
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET, DELETE } from '@/app/api/trips/[id]/route.js';
+
+const TRIP_ID = '11111111-1111-4111-8111-111111111111';
+const OWNER_ID = 'owner-1';
+const TOKEN = 'a'.repeat(48);
+
+// Mock Supabase client
+const mockSupabase = {
+  auth: {
+    getUser: vi.fn(),
+  },
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+// Chainable query mock resolving to `result`
+const createQuery = (result) => {
+  const query = {};
+  ['select', 'eq', 'in', 'order', 'limit', 'update'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.single = vi.fn().mockResolvedValue(result);
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  query.then = (resolve) => resolve(result);
+  return query;
+};
+
+// Helper to create mock request
+const createMockRequest = ({ token = null, share = null } = {}) => ({
+  url: `http://localhost/api/trips/${TRIP_ID}${share ? `?share=${share}` : ''}`,
+  headers: {
+    get: (name) => (name === 'authorization' && token ? `Bearer ${token}` : null),
+  },
+});
+
+const createMockParams = (id = TRIP_ID) => ({ params: Promise.resolve({ id }) });
+
+const trip = {
+  id: TRIP_ID,
+  user_id: OWNER_ID,
+  title: 'Sierra Loop',
+  origin: 'San Francisco, CA',
+  start_date: '2025-06-01',
+  end_date: '2025-06-02',
+  interests: [],
+  ai_summary: { overall_summary: 'Two days in the Sierra' },
+  trip_stops: [],
+};
+
+describe('Single Trip API - GET', () => {
+  let shareLink;
+  let shareQueries;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: OWNER_ID } }, error: null });
+    shareLink = null;
+    shareQueries = [];
+
+    mockSupabase.from.mockImplementation((table) => {
+      if (table === 'trips') {
+        return createQuery({ data: trip, error: null });
+      }
+      if (table === 'trip_share_links') {
+        const query = createQuery({ data: shareLink, error: null });
+        shareQueries.push(query);
+        return query;
+      }
+      return createQuery({ data: null, error: null });
+    });
+  });
+
+  it('should require authentication or a share token', async () => {
+    const response = await GET(createMockRequest(), createMockParams());
+    expect(response.status).toBe(401);
+  });
+
+  it('should return the trip with the owner role', async () => {
+    const response = await GET(createMockRequest({ token: 'valid' }), createMockParams());
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.trip.role).toBe('owner');
+    expect(data.trip.viaShareLink).toBe(false);
+    expect(shareQueries).toHaveLength(0);
+  });
+
+  it('should return a read-only trip for a valid share token without signing in', async () => {
+    shareLink = { trip_id: TRIP_ID, token: TOKEN };
+
+    const response = await GET(createMockRequest({ share: TOKEN }), createMockParams());
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.trip.title).toBe('Sierra Loop');
+    expect(data.trip.role).toBe('viewer');
+    expect(data.trip.viaShareLink).toBe(true);
+    expect(data.trip.user_id).toBeUndefined();
+    expect(shareQueries[1].update).toHaveBeenCalledWith({
+      last_accessed_at: expect.any(String),
+    });
+  });
+
+  it('should return 404 for a revoked share token', async () => {
+    const response = await GET(createMockRequest({ share: TOKEN }), createMockParams());
+    expect(response.status).toBe(404);
+  });
+
+  it('should return 404 for signed-in strangers without a share token', async () => {
+    mockSupabase.auth.getUser.mockResolvedValue({
+      data: { user: { id: 'stranger' } },
+      error: null,
+    });
+
+    const response = await GET(createMockRequest({ token: 'valid' }), createMockParams());
+    expect(response.status).toBe(404);
+  });
+
+  it('should let signed-in strangers view through a share link', async () => {
+    mockSupabase.auth.getUser.mockResolvedValue({
+      data: { user: { id: 'stranger' } },
+      error: null,
+    });
+    shareLink = { trip_id: TRIP_ID, token: TOKEN };
+
+    const response = await GET(
+      createMockRequest({ token: 'valid', share: TOKEN }),
+      createMockParams()
+    );
+    const data = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(data.trip.role).toBe('viewer');
+    expect(data.trip.viaShareLink).toBe(true);
+  });
+});
+
+describe('Single Trip API - DELETE', () => {
+  let tripQueries;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: OWNER_ID } }, error: null });
+    tripQueries = [];
+    mockSupabase.from.mockImplementation(() => {
+      const query = createQuery({ data: trip, error: null });
+      query.delete = vi.fn(() => query);
+      tripQueries.push(query);
+      return query;
+    });
+  });
+
+  it('should not accept a share token in place of sign-in', async () => {
+    const response = await DELETE(createMockRequest({ share: TOKEN }), createMockParams());
+
+    expect(response.status).toBe(401);
+    expect(mockSupabase.from).not.toHaveBeenCalled();
+  });
+
+  it('should let the owner delete the trip', async () => {
+    const response = await DELETE(createMockRequest({ token: 'valid' }), createMockParams());
+
+    expect(response.status).toBe(200);
+    expect(tripQueries[1].delete).toHaveBeenCalled();
+  });
+});
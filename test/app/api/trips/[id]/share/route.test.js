@@ -0,0 +1,172 @@
+/**
+ * Trip Share Link API Route Tests
+ * Tests for GET/POST/DELETE /api/trips/[id]/share
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET, POST, DELETE } from '@/app/api/trips/[id]/share/route.js';
+
+const TRIP_ID = '11111111-1111-4111-8111-111111111111';
+const OWNER_ID = 'owner-1';
+const TOKEN = 'a'.repeat(48);
+
+// Mock Supabase client
+const mockSupabase = {
+  auth: {
+    getUser: vi.fn(),
+  },
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+// Chainable query mock resolving to `result`
+const createQuery = (result) => {
+  const query = {};
+  ['select', 'eq', 'upsert', 'delete'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.single = vi.fn().mockResolvedValue(result);
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  query.then = (resolve) => resolve(result);
+  return query;
+};
+
+// Helper to create mock request
+const createMockRequest = (token = 'valid-token') => ({
+  headers: {
+    get: (name) => (name === 'authorization' && token ? `Bearer ${token}` : null),
+  },
+});
+
+const createMockParams = (id = TRIP_ID) => ({ params: Promise.resolve({ id }) });
+
+describe('Trip Share Link API', () => {
+  let linkQuery;
+  let memberRole;
+  let linkResult;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: OWNER_ID } }, error: null });
+    memberRole = null;
+    linkResult = { data: null, error: null };
+
+    mockSupabase.from.mockImplementation((table) => {
+      if (table === 'trips') {
+        return createQuery({ data: { id: TRIP_ID, user_id: OWNER_ID }, error: null });
+      }
+      if (table === 'trip_members') {
+        return createQuery({ data: memberRole ? { role: memberRole } : null, error: null });
+      }
+      linkQuery = createQuery(linkResult);
+      return linkQuery;
+    });
+  });
+
+  describe('access', () => {
+    it('should reject invalid trip IDs', async () => {
+      const response = await GET(createMockRequest(), createMockParams('not-a-uuid'));
+      expect(response.status).toBe(400);
+    });
+
+    it('should require authentication', async () => {
+      const response = await GET(createMockRequest(null), createMockParams());
+      expect(response.status).toBe(401);
+    });
+
+    it('should return 404 for users not on the trip', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({
+        data: { user: { id: 'stranger' } },
+        error: null,
+      });
+
+      const response = await POST(createMockRequest(), createMockParams());
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 403 for editors', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({
+        data: { user: { id: 'editor-1' } },
+        error: null,
+      });
+      memberRole = 'editor';
+
+      const response = await POST(createMockRequest(), createMockParams());
+      expect(response.status).toBe(403);
+      expect(linkQuery).toBeUndefined();
+    });
+  });
+
+  describe('GET', () => {
+    it('should report when sharing is off', async () => {
+      const response = await GET(createMockRequest(), createMockParams());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toEqual({ enabled: false, url: null, createdAt: null, lastAccessedAt: null });
+    });
+
+    it('should return the active link', async () => {
+      linkResult = {
+        data: { trip_id: TRIP_ID, token: TOKEN, created_at: '2025-01-01', last_accessed_at: null },
+        error: null,
+      };
+
+      const response = await GET(createMockRequest(), createMockParams());
+      const data = await response.json();
+
+      expect(data.enabled).toBe(true);
+      expect(data.url).toMatch(new RegExp(`/trip/${TRIP_ID}\\?share=${TOKEN}$`));
+      expect(data.createdAt).toBe('2025-01-01');
+    });
+  });
+
+  describe('POST', () => {
+    it('should create or replace the token', async () => {
+      linkResult = {
+        data: { trip_id: TRIP_ID, token: 'b'.repeat(48), created_at: '2025-02-01' },
+        error: null,
+      };
+
+      const response = await POST(createMockRequest(), createMockParams());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.url).toContain('b'.repeat(48));
+      const [saved, options] = linkQuery.upsert.mock.calls[0];
+      expect(saved).toMatchObject({ trip_id: TRIP_ID, created_by: OWNER_ID });
+      expect(saved.token).toMatch(/^[0-9a-f]{48}$/);
+      expect(options).toEqual({ onConflict: 'trip_id' });
+    });
+
+    it('should return 500 when saving fails', async () => {
+      linkResult = { data: null, error: { message: 'boom' } };
+
+      const response = await POST(createMockRequest(), createMockParams());
+      expect(response.status).toBe(500);
+    });
+  });
+
+  describe('DELETE', () => {
+    it('should revoke the link', async () => {
+      const response = await DELETE(createMockRequest(), createMockParams());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.success).toBe(true);
+      expect(linkQuery.delete).toHaveBeenCalled();
+      expect(linkQuery.eq).toHaveBeenCalledWith('trip_id', TRIP_ID);
+    });
+
+    it('should return 500 when revoking fails', async () => {
+      linkResult = { data: null, error: { message: 'boom' } };
+
+      const response = await DELETE(createMockRequest(), createMockParams());
+      expect(response.status).toBe(500);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Trip Stop API Route Tests
+ * Tests for PATCH and DELETE /api/trips/[id]/stops/[stopId]
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { PATCH, DELETE } from '@/app/api/trips/[id]/stops/[stopId]/route.js';
+import { refreshTripDrivingNotes } from '@/lib/trips/trip-routing';
+
+const TRIP_ID = '11111111-1111-4111-8111-111111111111';
+const STOP_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_STOP_ID = '33333333-3333-4333-8333-333333333333';
+const USER_ID = 'user-1';
+
+// Mock Supabase client
+const mockSupabase = {
+  auth: {
+    getUser: vi.fn(),
+  },
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+vi.mock('@/lib/trips/trip-routing', () => ({
+  refreshTripDrivingNotes: vi.fn(),
+}));
+
+// Chainable query mock resolving to `result`
+const createQuery = (result) => {
+  const query = {};
+  ['select', 'eq', 'update', 'delete'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.single = vi.fn().mockResolvedValue(result);
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  query.then = (resolve) => resolve(result);
+  return query;
+};
+
+// Helper to create mock request
+const createMockRequest = (body = null, token = 'valid-token') => ({
+  headers: {
+    get: (name) => (name === 'authorization' && token ? `Bearer ${token}` : null),
+  },
+  json: async () => body,
+});
+
+const createMockParams = (stopId = STOP_ID) => ({
+  params: Promise.resolve({ id: TRIP_ID, stopId }),
+});
+
+const tripRow = {
+  id: TRIP_ID,
+  user_id: USER_ID,
+  trip_stops: [
+    { id: STOP_ID, day_number: 1, order_index: 0 },
+    { id: OTHER_STOP_ID, day_number: 2, order_index: 1 },
+  ],
+};
+
+describe('Trip Stop API', () => {
+  let stopQueries;
+  let memberRole;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: USER_ID } }, error: null });
+    refreshTripDrivingNotes.mockResolvedValue({});
+
+    stopQueries = [];
+    memberRole = null;
+    mockSupabase.from.mockImplementation((table) => {
+      if (table === 'trips') {
+        return createQuery({ data: tripRow, error: null });
+      }
+      if (table === 'trip_members') {
+        return createQuery({ data: memberRole ? { role: memberRole } : null, error: null });
+      }
+      const query = createQuery({
+        data: {
+          id: STOP_ID,
+          morning_plan: 'Sunrise hike',
+          afternoon_plan: null,
+          evening_plan: 'Stargazing',
+          notes: null,
+        },
+        error: null,
+      });
+      stopQueries.push(query);
+      return query;
+    });
+  });
+
+  describe('PATCH /api/trips/[id]/stops/[stopId]', () => {
+    it('should return 400 for invalid IDs', async () => {
+      const response = await PATCH(createMockRequest({}), createMockParams('bad'));
+      expect(response.status).toBe(400);
+    });
+
+    it('should require at least one plan field', async () => {
+      const response = await PATCH(createMockRequest({ foo: 'bar' }), createMockParams());
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for a stop on another trip', async () => {
+      const response = await PATCH(
+        createMockRequest({ morningPlan: 'x' }),
+        createMockParams('44444444-4444-4444-8444-444444444444')
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(data.error).toBe('Stop not found');
+    });
+
+    it('should return 403 for another user', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'other' } }, error: null });
+
+      const response = await PATCH(createMockRequest({ morningPlan: 'x' }), createMockParams());
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 403 for a viewer of a shared trip', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'other' } }, error: null });
+      memberRole = 'viewer';
+
+      const response = await PATCH(createMockRequest({ morningPlan: 'x' }), createMockParams());
+      expect(response.status).toBe(403);
+    });
+
+    it('should update plans and return them in camelCase', async () => {
+      const response = await PATCH(
+        createMockRequest({ morningPlan: 'Sunrise hike', eveningPlan: 'Stargazing' }),
+        createMockParams()
+      );
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(stopQueries[0].update).toHaveBeenCalledWith({
+        morning_plan: 'Sunrise hike',
+        evening_plan: 'Stargazing',
+      });
+      expect(data.stop).toEqual({
+        id: STOP_ID,
+        morningPlan: 'Sunrise hike',
+        afternoonPlan: null,
+        eveningPlan: 'Stargazing',
+        notes: null,
+      });
+    });
+  });
+
+  describe('DELETE /api/trips/[id]/stops/[stopId]', () => {
+    it('should return 401 without authentication', async () => {
+      const response = await DELETE(createMockRequest(null, null), createMockParams());
+      expect(response.status).toBe(401);
+    });
+
+    it('should delete the stop, renumber the rest and refresh driving notes', async () => {
+      const response = await DELETE(createMockRequest(), createMockParams());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.success).toBe(true);
+      expect(stopQueries[0].delete).toHaveBeenCalled();
+      // Remaining stop moves from order_index 1 to 0
+      expect(stopQueries[1].update).toHaveBeenCalledWith({ order_index: 0 });
+      expect(stopQueries[1].eq).toHaveBeenCalledWith('id', OTHER_STOP_ID);
+      expect(refreshTripDrivingNotes).toHaveBeenCalledWith(mockSupabase, TRIP_ID);
+    });
+  });
+});
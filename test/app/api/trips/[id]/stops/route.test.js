@@ -0,0 +1,173 @@
+/**
+ * Trip Stops API Route Tests
+ * Tests for POST /api/trips/[id]/stops
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { POST } from '@/app/api/trips/[id]/stops/route.js';
+import { fetchParkLocations, refreshTripDrivingNotes } from '@/lib/trips/trip-routing';
+
+const TRIP_ID = '11111111-1111-4111-8111-111111111111';
+const USER_ID = 'user-1';
+
+// Mock Supabase client
+const mockSupabase = {
+  auth: {
+    getUser: vi.fn(),
+  },
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+vi.mock('@/lib/trips/trip-routing', () => ({
+  fetchParkLocations: vi.fn(),
+  refreshTripDrivingNotes: vi.fn(),
+}));
+
+// Chainable query mock resolving to `result`
+const createQuery = (result) => {
+  const query = {};
+  ['select', 'eq', 'in', 'insert', 'update', 'delete'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.single = vi.fn().mockResolvedValue(result);
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  query.then = (resolve) => resolve(result);
+  return query;
+};
+
+// Helper to create mock request
+const createMockRequest = (body, token = 'valid-token') => ({
+  headers: {
+    get: (name) => (name === 'authorization' && token ? `Bearer ${token}` : null),
+  },
+  json: async () => body,
+});
+
+const createMockParams = (id = TRIP_ID) => ({ params: Promise.resolve({ id }) });
+
+const tripRow = {
+  id: TRIP_ID,
+  user_id: USER_ID,
+  start_date: '2024-06-01',
+  end_date: '2024-06-03',
+  trip_stops: [
+    { id: 's1', day_number: 1, order_index: 0 },
+    { id: 's2', day_number: 2, order_index: 1 },
+  ],
+};
+
+describe('Trip Stops API', () => {
+  let stopQueries;
+  let memberRole;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: USER_ID } }, error: null });
+    fetchParkLocations.mockResolvedValue({ yose: { name: 'Yosemite', latitude: 1, longitude: 2 } });
+    refreshTripDrivingNotes.mockResolvedValue({ 'new-stop': '10.0 mi (about 15 min) from A.' });
+
+    stopQueries = [];
+    memberRole = null;
+    mockSupabase.from.mockImplementation((table) => {
+      if (table === 'trips') {
+        return createQuery({ data: tripRow, error: null });
+      }
+      if (table === 'trip_members') {
+        return createQuery({ data: memberRole ? { role: memberRole } : null, error: null });
+      }
+      const query = createQuery({
+        data: { id: 'new-stop', park_code: 'yose', day_number: 1, order_index: 2 },
+        error: null,
+      });
+      stopQueries.push(query);
+      return query;
+    });
+  });
+
+  it('should return 400 for an invalid trip ID', async () => {
+    const response = await POST(createMockRequest({}), createMockParams('bad'));
+    expect(response.status).toBe(400);
+  });
+
+  it('should return 401 without authentication', async () => {
+    const response = await POST(createMockRequest({}, null), createMockParams());
+    expect(response.status).toBe(401);
+  });
+
+  it('should require a park code', async () => {
+    const response = await POST(createMockRequest({ dayNumber: 1 }), createMockParams());
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toBe('parkCode is required');
+  });
+
+  it('should return 403 when the trip belongs to someone else', async () => {
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'other' } }, error: null });
+
+    const response = await POST(
+      createMockRequest({ parkCode: 'yose', dayNumber: 1 }),
+      createMockParams()
+    );
+    expect(response.status).toBe(403);
+  });
+
+  it('should let editors of a shared trip add stops', async () => {
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'other' } }, error: null });
+    memberRole = 'editor';
+
+    const response = await POST(
+      createMockRequest({ parkCode: 'yose', dayNumber: 1 }),
+      createMockParams()
+    );
+    expect(response.status).toBe(201);
+  });
+
+  it('should reject days outside the trip', async () => {
+    const response = await POST(
+      createMockRequest({ parkCode: 'yose', dayNumber: 4 }),
+      createMockParams()
+    );
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.error).toBe('dayNumber must be between 1 and 3');
+  });
+
+  it('should return 404 for an unknown park', async () => {
+    fetchParkLocations.mockResolvedValue({});
+
+    const response = await POST(
+      createMockRequest({ parkCode: 'nope', dayNumber: 1 }),
+      createMockParams()
+    );
+    expect(response.status).toBe(404);
+  });
+
+  it('should add the stop at the end of its day and refresh driving notes', async () => {
+    const response = await POST(
+      createMockRequest({ parkCode: 'yose', dayNumber: 1, morningPlan: 'Valley loop' }),
+      createMockParams()
+    );
+    const data = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(stopQueries[0].insert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        trip_id: TRIP_ID,
+        park_code: 'yose',
+        day_number: 1,
+        morning_plan: 'Valley loop',
+      })
+    );
+    // New day-1 stop slots in before the day-2 stop
+    expect(data.stop).toMatchObject({ id: 'new-stop', dayNumber: 1, orderIndex: 1 });
+    expect(data.stop.drivingNotes).toBe('10.0 mi (about 15 min) from A.');
+    expect(refreshTripDrivingNotes).toHaveBeenCalledWith(mockSupabase, TRIP_ID);
+  });
+});
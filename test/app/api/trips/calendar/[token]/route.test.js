@@ -0,0 +1,160 @@
+/**
+ * Trip Calendar Feed API Route Tests
+ * Tests for GET /api/trips/calendar/[token]
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET } from '@/app/api/trips/calendar/[token]/route.js';
+import { fetchParkLocations } from '@/lib/trips/trip-routing';
+
+const FEED_TOKEN = '0123456789abcdef'.repeat(3);
+
+// Mock Supabase client
+const mockSupabase = {
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+vi.mock('@/lib/trips/trip-routing', () => ({
+  fetchParkLocations: vi.fn(),
+}));
+
+// Chainable query mock resolving to `result`
+const createQuery = (result) => {
+  const query = {};
+  ['select', 'eq', 'or', 'gte', 'order', 'limit', 'update'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  query.then = (resolve) => resolve(result);
+  return query;
+};
+
+const createMockParams = (token = FEED_TOKEN) => ({ params: Promise.resolve({ token }) });
+
+const trips = [
+  {
+    id: 'trip-1',
+    title: 'Sierra Loop',
+    start_date: '2099-06-01',
+    end_date: '2099-06-01',
+    trip_stops: [{ id: 's1', park_code: 'yose', day_number: 1, order_index: 0 }],
+  },
+  {
+    id: 'trip-2',
+    title: 'Desert Weekend',
+    start_date: '2099-07-01',
+    end_date: '2099-07-02',
+    trip_stops: [{ id: 's2', park_code: 'jotr', day_number: 1, order_index: 0 }],
+  },
+];
+
+describe('Trip Calendar Feed API', () => {
+  let feedQueries;
+  let tripQuery;
+  let memberQuery;
+
+  const mockTables = (
+    feed,
+    tripResult = { data: trips, error: null },
+    memberResult = { data: [], error: null }
+  ) => {
+    feedQueries = [];
+    mockSupabase.from.mockImplementation((table) => {
+      if (table === 'trips') {
+        tripQuery = createQuery(tripResult);
+        return tripQuery;
+      }
+      if (table === 'trip_members') {
+        memberQuery = createQuery(memberResult);
+        return memberQuery;
+      }
+      const query = createQuery({ data: feed, error: null });
+      feedQueries.push(query);
+      return query;
+    });
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    fetchParkLocations.mockResolvedValue({
+      yose: { name: 'Yosemite National Park', latitude: 37.8, longitude: -119.5 },
+      jotr: { name: 'Joshua Tree National Park', latitude: 33.9, longitude: -115.9 },
+    });
+  });
+
+  it('should reject malformed tokens without a lookup', async () => {
+    mockTables({ user_id: 'user-1' });
+
+    const response = await GET({}, createMockParams('not-a-token'));
+
+    expect(response.status).toBe(404);
+    expect(mockSupabase.from).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for unknown or revoked tokens', async () => {
+    mockTables(null);
+
+    const response = await GET({}, createMockParams());
+    expect(response.status).toBe(404);
+  });
+
+  it('should serve upcoming trips for the token owner', async () => {
+    mockTables({ user_id: 'user-1' });
+
+    const response = await GET({}, createMockParams());
+    const body = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('text/calendar; charset=utf-8');
+    expect(body.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+    expect(body).toContain('SUMMARY:Day 1: Joshua Tree National Park');
+    expect(tripQuery.or).toHaveBeenCalledWith('user_id.eq.user-1');
+    expect(tripQuery.gte).toHaveBeenCalledWith('end_date', expect.any(String));
+    expect(feedQueries[1].update).toHaveBeenCalledWith({
+      last_accessed_at: expect.any(String),
+    });
+  });
+
+  it('should include trips the user is a member of', async () => {
+    mockTables({ user_id: 'user-1' }, undefined, {
+      data: [{ trip_id: 'trip-3' }, { trip_id: 'trip-4' }],
+      error: null,
+    });
+
+    const response = await GET({}, createMockParams());
+
+    expect(response.status).toBe(200);
+    expect(memberQuery.eq).toHaveBeenCalledWith('user_id', 'user-1');
+    expect(tripQuery.or).toHaveBeenCalledWith('user_id.eq.user-1,id.in.(trip-3,trip-4)');
+  });
+
+  it('should return 500 when memberships cannot be loaded', async () => {
+    mockTables({ user_id: 'user-1' }, undefined, { data: null, error: { message: 'boom' } });
+
+    const response = await GET({}, createMockParams());
+
+    expect(response.status).toBe(500);
+    expect(mockSupabase.from).not.toHaveBeenCalledWith('trips');
+  });
+
+  it('should accept tokens with an .ics suffix', async () => {
+    mockTables({ user_id: 'user-1' });
+
+    const response = await GET({}, createMockParams(`${FEED_TOKEN}.ics`));
+
+    expect(response.status).toBe(200);
+    expect(feedQueries[0].eq).toHaveBeenCalledWith('token', FEED_TOKEN);
+  });
+
+  it('should return 500 when trips cannot be loaded', async () => {
+    mockTables({ user_id: 'user-1' }, { data: null, error: { message: 'boom' } });
+
+    const response = await GET({}, createMockParams());
+    expect(response.status).toBe(500);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Trip Calendar Subscription API Route Tests
+ * Tests for GET/POST/DELETE /api/trips/calendar
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GET, POST, DELETE } from '@/app/api/trips/calendar/route.js';
+
+const USER_ID = 'user-1';
+const EXISTING_TOKEN = 'a'.repeat(48);
+
+// Mock Supabase client
+const mockSupabase = {
+  auth: {
+    getUser: vi.fn(),
+  },
+  from: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/client', () => ({
+  createServerClient: vi.fn(() => mockSupabase),
+}));
+
+// Chainable query mock resolving to `result`
+const createQuery = (result) => {
+  const query = {};
+  ['select', 'eq', 'upsert', 'delete'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.single = vi.fn().mockResolvedValue(result);
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  query.then = (resolve) => resolve(result);
+  return query;
+};
+
+// Helper to create mock request
+const createMockRequest = (token = 'valid-token') => ({
+  headers: {
+    get: (name) => (name === 'authorization' && token ? `Bearer ${token}` : null),
+  },
+});
+
+describe('Trip Calendar Subscription API', () => {
+  let queries;
+
+  const mockQueries = (...results) => {
+    queries = [];
+    mockSupabase.from.mockImplementation(() => {
+      const query = createQuery(results[queries.length] ?? { data: null, error: null });
+      queries.push(query);
+      return query;
+    });
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockSupabase.auth.getUser.mockResolvedValue({ data: { user: { id: USER_ID } }, error: null });
+  });
+
+  describe('GET', () => {
+    it('should require authentication', async () => {
+      const response = await GET(createMockRequest(null));
+      expect(response.status).toBe(401);
+    });
+
+    it('should return the existing feed URL', async () => {
+      mockQueries({ data: { token: EXISTING_TOKEN, created_at: '2025-01-01' }, error: null });
+
+      const response = await GET(createMockRequest());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.url).toMatch(new RegExp(`/api/trips/calendar/${EXISTING_TOKEN}$`));
+      expect(data.webcalUrl).toMatch(/^webcal:\/\//);
+      expect(data.createdAt).toBe('2025-01-01');
+      expect(queries).toHaveLength(1);
+    });
+
+    it('should create a feed when the user has none', async () => {
+      mockQueries(
+        { data: null, error: null },
+        { data: { token: 'b'.repeat(48), created_at: '2025-02-01' }, error: null }
+      );
+
+      const response = await GET(createMockRequest());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.url).toContain('b'.repeat(48));
+      const [saved] = queries[1].upsert.mock.calls[0];
+      expect(saved.user_id).toBe(USER_ID);
+      expect(saved.token).toMatch(/^[0-9a-f]{48}$/);
+    });
+  });
+
+  describe('POST', () => {
+    it('should replace the token', async () => {
+      mockQueries({ data: { token: 'c'.repeat(48), created_at: '2025-03-01' }, error: null });
+
+      const response = await POST(createMockRequest());
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.url).toContain('c'.repeat(48));
+      expect(queries[0].upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ user_id: USER_ID }),
+        { onConflict: 'user_id' }
+      );
+    });
+
+    it('should return 500 when saving fails', async () => {
+      mockQueries({ data: null, error: { message: 'boom' } });
+
+      const response = await POST(createMockRequest());
+      expect(response.status).toBe(500);
+    });
+  });
+
+  describe('DELETE', () => {
+    it('should revoke the feed', async () => {
+      mockQueries({ error: null });
+
+      const response = await DELETE(createMockRequest());
+
+      expect(response.status).toBe(200);
+      expect(queries[0].delete).toHaveBeenCalled();
+      expect(queries[0].eq).toHaveBeenCalledWith('user_id', USER_ID);
+    });
+
+    it('should require authentication', async () => {
+      const response = await DELETE(createMockRequest(null));
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -141,6 +141,42 @@ vi.mock('@/components/parks/UserPhotos', () => ({
   ),
 }));
 
+// Mock ParkAlerts
+vi.mock('@/components/parks/ParkAlerts', () => ({
+  default: ({ parkCode }) => (
+    <div data-testid="park-alerts" data-park-code={parkCode}>
+      Park Alerts
+    </div>
+  ),
+}));
+
+// Mock ParkCampgrounds
+vi.mock('@/components/parks/ParkCampgrounds', () => ({
+  default: ({ park }) => (
+    <div data-testid="park-campgrounds" data-park-code={park.park_code}>
+      Park Campgrounds
+    </div>
+  ),
+}));
+
+// Mock ParkThingsToDo
+vi.mock('@/components/parks/ParkThingsToDo', () => ({
+  default: ({ parkCode }) => (
+    <div data-testid="park-things-to-do" data-park-code={parkCode}>
+      Park Things To Do
+    </div>
+  ),
+}));
+
+// Mock VisitorCenterHours
+vi.mock('@/components/parks/VisitorCenterHours', () => ({
+  default: ({ parkCode }) => (
+    <div data-testid="visitor-center-hours" data-park-code={parkCode}>
+      Visitor Center Hours
+    </div>
+  ),
+}));
+
 // Mock park data
 const mockNpsPark = {
   id: 'park-uuid-1',
@@ -477,7 +513,10 @@ describe('ParkDetailClient', () => {
       expect(screen.getByText('Park Activities')).toBeInTheDocument();
       expect(screen.getByText('Hiking')).toBeInTheDocument();
       expect(screen.getByText('Wildlife Watching')).toBeInTheDocument();
-      expect(screen.getByText('Camping')).toBeInTheDocument();
+      // "Camping" is also a tab label
+      expect(
+        screen.getAllByRole('link', { name: 'Camping' }).map((link) => link.getAttribute('href'))
+      ).toContain('/activities/camping');
     });
 
     it('should link activities to activity pages', () => {
@@ -517,6 +556,43 @@ describe('ParkDetailClient', () => {
       expect(nearbyPlacesElements.length).toBeGreaterThan(0);
       expect(screen.getByTestId('nearby-places')).toBeInTheDocument();
     });
+
+    it('should show things to do and events for NPS parks', () => {
+      render(
+        <ParkDetailClient
+          park={mockNpsPark}
+          activeTab="activities"
+          products={[]}
+          hasCoordinates={true}
+          images={mockNpsPark.images}
+          activities={mockNpsPark.activities}
+          entranceFees={mockNpsPark.entrance_fees}
+          operatingHours={mockNpsPark.operating_hours}
+        />
+      );
+
+      expect(screen.getByTestId('park-things-to-do')).toHaveAttribute(
+        'data-park-code',
+        mockNpsPark.park_code
+      );
+    });
+
+    it('should not show things to do for state parks', () => {
+      render(
+        <ParkDetailClient
+          park={mockStatePark}
+          activeTab="activities"
+          products={[]}
+          hasCoordinates={true}
+          images={mockStatePark.images}
+          activities={mockStatePark.activities}
+          entranceFees={[]}
+          operatingHours={[]}
+        />
+      );
+
+      expect(screen.queryByTestId('park-things-to-do')).not.toBeInTheDocument();
+    });
   });
 
   describe('Reviews Tab', () => {
@@ -579,6 +655,40 @@ describe('ParkDetailClient', () => {
       expect(screen.getByText('Yellowstone National Park')).toBeInTheDocument();
     });
 
+    it('should display visitor center hours for NPS parks', () => {
+      render(
+        <ParkDetailClient
+          park={mockNpsPark}
+          activeTab="info"
+          products={[]}
+          hasCoordinates={true}
+          images={mockNpsPark.images}
+          activities={mockNpsPark.activities}
+          entranceFees={mockNpsPark.entrance_fees}
+          operatingHours={mockNpsPark.operating_hours}
+        />
+      );
+
+      expect(screen.getByTestId('visitor-center-hours')).toHaveAttribute('data-park-code', 'yell');
+    });
+
+    it('should not display visitor center hours for state parks', () => {
+      render(
+        <ParkDetailClient
+          park={mockStatePark}
+          activeTab="info"
+          products={[]}
+          hasCoordinates={true}
+          images={[]}
+          activities={[]}
+          entranceFees={[]}
+          operatingHours={[]}
+        />
+      );
+
+      expect(screen.queryByTestId('visitor-center-hours')).not.toBeInTheDocument();
+    });
+
     it('should display contact information', () => {
       render(
         <ParkDetailClient
@@ -667,6 +777,29 @@ describe('ParkDetailClient', () => {
     });
   });
 
+  describe('Camping Tab', () => {
+    it('should display park campgrounds on camping tab', () => {
+      render(
+        <ParkDetailClient
+          park={mockNpsPark}
+          activeTab="camping"
+          products={[]}
+          hasCoordinates={true}
+          images={mockNpsPark.images}
+          activities={mockNpsPark.activities}
+          entranceFees={mockNpsPark.entrance_fees}
+          operatingHours={mockNpsPark.operating_hours}
+        />
+      );
+
+      expect(screen.getByTestId('park-campgrounds')).toHaveAttribute('data-park-code', 'yell');
+      expect(screen.getByText('Camping').closest('a')).toHaveAttribute(
+        'href',
+        '/park/park-uuid-1/camping'
+      );
+    });
+  });
+
   describe('Photos Tab', () => {
     it('should display user photos component on photos tab', () => {
       render(
@@ -741,6 +874,42 @@ describe('ParkDetailClient', () => {
     });
   });
 
+  describe('Park Alerts', () => {
+    it('should show NPS alerts for NPS parks on every tab', () => {
+      render(
+        <ParkDetailClient
+          park={mockNpsPark}
+          activeTab="info"
+          products={[]}
+          hasCoordinates={true}
+          images={mockNpsPark.images}
+          activities={mockNpsPark.activities}
+          entranceFees={mockNpsPark.entrance_fees}
+          operatingHours={mockNpsPark.operating_hours}
+        />
+      );
+
+      expect(screen.getByTestId('park-alerts')).toHaveAttribute('data-park-code', 'yell');
+    });
+
+    it('should not show NPS alerts for state parks', () => {
+      render(
+        <ParkDetailClient
+          park={mockStatePark}
+          activeTab="overview"
+          products={[]}
+          hasCoordinates={true}
+          images={mockStatePark.images}
+          activities={mockStatePark.activities}
+          entranceFees={mockStatePark.entrance_fees}
+          operatingHours={mockStatePark.operating_hours}
+        />
+      );
+
+      expect(screen.queryByTestId('park-alerts')).not.toBeInTheDocument();
+    });
+  });
+
   describe('Favorite Button', () => {
     it('should render favorite button with correct props', () => {
       render(
@@ -15,8 +15,14 @@ vi.mock('next/link', () => ({
 vi.mock('next/dynamic', () => ({
   default: (importFn, options) => {
     // Return a simple mock component for LiveTrackMap
-    const MockComponent = (props) => (
-      <div data-testid="live-track-map" {...props}>
+    const MockComponent = ({ highlightPosition, ...props }) => (
+      <div
+        data-testid="live-track-map"
+        data-highlight={
+          highlightPosition && `${highlightPosition.latitude},${highlightPosition.longitude}`
+        }
+        {...props}
+      >
         Mock Map
       </div>
     );
@@ -44,6 +50,7 @@ const mockUnlikeTrack = vi.fn();
 const mockDeleteTrack = vi.fn();
 const mockGetTrackComments = vi.fn();
 const mockAddTrackComment = vi.fn();
+const mockExportTrack = vi.fn();
 
 vi.mock('@/lib/tracking/tracking-client', () => ({
   shareTrack: (...args) => mockShareTrack(...args),
@@ -54,10 +61,12 @@ vi.mock('@/lib/tracking/tracking-client', () => ({
   deleteTrack: (...args) => mockDeleteTrack(...args),
   getTrackComments: (...args) => mockGetTrackComments(...args),
   addTrackComment: (...args) => mockAddTrackComment(...args),
+  exportTrack: (...args) => mockExportTrack(...args),
 }));
 
 // Mock activity detection
-vi.mock('@/lib/tracking/activity-detection', () => ({
+vi.mock('@/lib/tracking/activity-detection', async (importOriginal) => ({
+  ...(await importOriginal()),
   getActivityIcon: (type) => {
     const icons = { walking: '🚶', hiking: '🥾', biking: '🚴', driving: '🚗' };
     return icons[type] || '🚶';
@@ -68,8 +77,9 @@ vi.mock('@/lib/tracking/activity-detection', () => ({
   },
 }));
 
-// Mock track stats formatters
-vi.mock('@/lib/tracking/track-stats', () => ({
+// Mock track stats formatters (splits and segments use the real calculations)
+vi.mock('@/lib/tracking/track-stats', async (importOriginal) => ({
+  ...(await importOriginal()),
   formatDistance: (meters) => `${(meters / 1000).toFixed(1)} km`,
   formatDuration: (seconds) => `${Math.floor(seconds / 60)} min`,
   formatSpeed: (mps) => `${(mps * 3.6).toFixed(1)} km/h`,
@@ -389,6 +399,24 @@ describe('TrackDetailClient', () => {
       });
     });
 
+    it('should show moving time with elapsed time underneath', async () => {
+      const track = createMockTrack({ duration_seconds: 3600, moving_seconds: 2700 });
+
+      render(<TrackDetailClient track={track} points={mockPoints} media={mockMedia} />);
+
+      expect(screen.getByText('Moving Time')).toBeInTheDocument();
+      expect(screen.getByText('45 min')).toBeInTheDocument();
+      expect(screen.getByText('60 min elapsed')).toBeInTheDocument();
+      expect(screen.queryByText('Duration')).not.toBeInTheDocument();
+    });
+
+    it('should fall back to duration for tracks without moving time', async () => {
+      render(<TrackDetailClient track={createMockTrack()} points={mockPoints} media={mockMedia} />);
+
+      expect(screen.getByText('Duration')).toBeInTheDocument();
+      expect(screen.queryByText('Moving Time')).not.toBeInTheDocument();
+    });
+
     it('should display user profile info', async () => {
       const track = createMockTrack({
         profiles: {
@@ -408,6 +436,88 @@ describe('TrackDetailClient', () => {
     });
   });
 
+  describe('Splits', () => {
+    // ~111m per point, one point per minute, with a pause after the 12th point
+    const splitPoints = Array.from({ length: 25 }, (_, i) => ({
+      latitude: 37.7 + i * 0.001,
+      longitude: -119.5,
+      altitude_m: 1000 + i,
+      segment_num: i < 12 ? 0 : 1,
+      recorded_at: new Date(Date.UTC(2024, 0, 1, 10, i < 12 ? i : i + 30)).toISOString(),
+    }));
+
+    it('should show a split per mile and switch to kilometers', async () => {
+      render(<TrackDetailClient track={createMockTrack()} points={splitPoints} media={mockMedia} />);
+
+      expect(screen.getByText('Splits')).toBeInTheDocument();
+      expect(screen.getByText('Mile')).toBeInTheDocument();
+      // One full mile plus a partial split
+      expect(screen.getAllByRole('row')).toHaveLength(3);
+
+      fireEvent.click(screen.getByRole('button', { name: 'km' }));
+
+      expect(screen.getByText('Km')).toBeInTheDocument();
+      expect(screen.getAllByRole('row')).toHaveLength(4);
+    });
+
+    it('should list segments when the track was paused', async () => {
+      render(<TrackDetailClient track={createMockTrack()} points={splitPoints} media={mockMedia} />);
+
+      expect(screen.getByText(/Paused 1 time/)).toBeInTheDocument();
+      expect(screen.getByText(/Segment 1:/)).toBeInTheDocument();
+      expect(screen.getByText(/Segment 2:/)).toBeInTheDocument();
+    });
+
+    it('should hide splits without enough points', async () => {
+      render(
+        <TrackDetailClient track={createMockTrack()} points={[mockPoints[0]]} media={mockMedia} />
+      );
+
+      expect(screen.queryByText('Splits')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Elevation Profile', () => {
+    // ~111m per point, climbing 10m per point
+    const climbPoints = Array.from({ length: 5 }, (_, i) => ({
+      latitude: 37.7 + i * 0.001,
+      longitude: -119.5,
+      altitude_m: 1000 + i * 10,
+    }));
+
+    it('should show the elevation profile for tracks with altitude', async () => {
+      render(<TrackDetailClient track={createMockTrack()} points={climbPoints} media={mockMedia} />);
+
+      expect(screen.getByText('Elevation Profile')).toBeInTheDocument();
+      expect(screen.getByRole('img', { name: 'Elevation profile' })).toBeInTheDocument();
+    });
+
+    it('should mark the hovered point on the map', async () => {
+      render(<TrackDetailClient track={createMockTrack()} points={climbPoints} media={mockMedia} />);
+      const chart = screen.getByRole('img', { name: 'Elevation profile' });
+      vi.spyOn(chart, 'getBoundingClientRect').mockReturnValue({ left: 0, width: 100 });
+
+      fireEvent.mouseMove(chart, { clientX: 100 });
+
+      expect(screen.getByTestId('live-track-map')).toHaveAttribute(
+        'data-highlight',
+        '37.704,-119.5'
+      );
+
+      fireEvent.mouseLeave(chart);
+
+      expect(screen.getByTestId('live-track-map')).not.toHaveAttribute('data-highlight');
+    });
+
+    it('should hide the elevation profile without altitude data', async () => {
+      const flatPoints = climbPoints.map(({ latitude, longitude }) => ({ latitude, longitude }));
+
+      render(<TrackDetailClient track={createMockTrack()} points={flatPoints} media={mockMedia} />);
+
+      expect(screen.queryByText('Elevation Profile')).not.toBeInTheDocument();
+    });
+  });
+
   describe('Like Functionality', () => {
     it('should display likes count', async () => {
       const track = createMockTrack({ likes_count: 10 });
@@ -510,6 +620,72 @@ describe('TrackDetailClient', () => {
       });
     });
   
+  describe('Export Functionality', () => {
+    it('should show export buttons for completed tracks', async () => {
+      const track = createMockTrack({ status: 'completed' });
+
+      render(<TrackDetailClient track={track} points={mockPoints} media={mockMedia} />);
+
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: 'GPX' })).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'KML' })).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'GeoJSON' })).toBeInTheDocument();
+      });
+    });
+
+    it('should not show export buttons while recording', async () => {
+      const track = createMockTrack({ status: 'recording' });
+
+      render(<TrackDetailClient track={track} points={mockPoints} media={mockMedia} />);
+
+      await waitFor(() => {
+        expect(screen.queryByRole('button', { name: 'GPX' })).not.toBeInTheDocument();
+      });
+    });
+
+    it('should call exportTrack API with the chosen format', async () => {
+      global.URL.createObjectURL = vi.fn(() => 'blob:mock');
+      global.URL.revokeObjectURL = vi.fn();
+      const clickSpy = vi
+        .spyOn(global.HTMLAnchorElement.prototype, 'click')
+        .mockImplementation(() => {});
+      mockExportTrack.mockResolvedValue({
+        blob: new global.Blob(['{}']),
+        filename: 'morning-hike.kml',
+      });
+      const track = createMockTrack({ status: 'completed' });
+
+      render(<TrackDetailClient track={track} points={mockPoints} media={mockMedia} />);
+
+      await act(async () => {
+        fireEvent.click(screen.getByRole('button', { name: 'KML' }));
+      });
+
+      await waitFor(() => {
+        expect(mockExportTrack).toHaveBeenCalledWith('mock-token', 'track-123', 'kml');
+        expect(global.URL.createObjectURL).toHaveBeenCalled();
+        expect(clickSpy).toHaveBeenCalled();
+      });
+
+      clickSpy.mockRestore();
+    });
+
+    it('should show error message when export fails', async () => {
+      mockExportTrack.mockResolvedValue({ error: { message: 'Cannot export empty track' } });
+      const track = createMockTrack({ status: 'completed' });
+
+      render(<TrackDetailClient track={track} points={mockPoints} media={mockMedia} />);
+
+      await act(async () => {
+        fireEvent.click(screen.getByRole('button', { name: 'GPX' }));
+      });
+
+      await waitFor(() => {
+        expect(screen.getByText('Cannot export empty track')).toBeInTheDocument();
+      });
+    });
+  });
+
     describe('Comment User Profile Links', () => {
       it('should render comment username as a link to user profile', async () => {
         mockGetTrackComments.mockResolvedValue({
@@ -0,0 +1,86 @@
+/**
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import LiveTrackClient, { formatLastSeen } from '@/app/tracks/[id]/live/LiveTrackClient';
+
+// Mock next/dynamic
+vi.mock('next/dynamic', () => ({
+  default: () => {
+    const MockComponent = ({ points, isLive }) => (
+      <div data-testid="live-track-map" data-points={points.length} data-live={String(isLive)}>
+        Mock Map
+      </div>
+    );
+    MockComponent.displayName = 'MockLiveTrackMap';
+    return MockComponent;
+  },
+}));
+
+const mockGetLivePosition = vi.fn();
+vi.mock('@/lib/tracking/tracking-client', () => ({
+  getLivePosition: (...args) => mockGetLivePosition(...args),
+}));
+
+const TOKEN = 'c'.repeat(48);
+
+describe('LiveTrackClient', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('formatLastSeen', () => {
+    const now = new Date('2025-06-01T12:00:00Z');
+
+    it('should format recent and older positions', () => {
+      expect(formatLastSeen('2025-06-01T11:59:30Z', now)).toBe('just now');
+      expect(formatLastSeen('2025-06-01T11:55:00Z', now)).toBe('5 min ago');
+      expect(formatLastSeen('2025-06-01T09:50:00Z', now)).toBe('2 h 10 min ago');
+      expect(formatLastSeen('2025-06-01T10:00:00Z', now)).toBe('2 h ago');
+    });
+  });
+
+  it('should explain when the link has expired', async () => {
+    mockGetLivePosition.mockResolvedValue({ error: { error: 'Live link not found' }, status: 404 });
+
+    render(<LiveTrackClient trackId="track-1" token={TOKEN} />);
+
+    expect(
+      await screen.findByText('This live link has expired or been revoked.')
+    ).toBeInTheDocument();
+  });
+
+  it('should explain when the token is missing', () => {
+    render(<LiveTrackClient trackId="track-1" token={null} />);
+
+    expect(screen.getByText('This live link is missing its token.')).toBeInTheDocument();
+    expect(mockGetLivePosition).not.toHaveBeenCalled();
+  });
+
+  it('should show the latest position while recording', async () => {
+    mockGetLivePosition.mockResolvedValue({
+      track: { id: 'track-1', title: 'Morning hike', activityType: 'hiking', status: 'recording' },
+      points: [
+        { latitude: 37.7, longitude: -119.5, sequenceNum: 0, recordedAt: new Date().toISOString() },
+        {
+          latitude: 37.701,
+          longitude: -119.5,
+          sequenceNum: 1,
+          recordedAt: new Date().toISOString(),
+        },
+      ],
+      hasMore: false,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    });
+
+    render(<LiveTrackClient trackId="track-1" token={TOKEN} />);
+
+    expect(await screen.findByText('Morning hike')).toBeInTheDocument();
+    expect(screen.getByText('Live')).toBeInTheDocument();
+    expect(screen.getByText('just now')).toBeInTheDocument();
+    expect(screen.getByTestId('live-track-map')).toHaveAttribute('data-points', '2');
+    expect(mockGetLivePosition).toHaveBeenCalledWith('track-1', TOKEN, undefined);
+  });
+});
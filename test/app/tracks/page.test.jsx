@@ -68,6 +68,8 @@ vi.mock('../../../contexts/TrackingContext.jsx', () => ({
 vi.mock('../../../lib/tracking/tracking-client.js', () => ({
   getTracks: vi.fn(() => Promise.resolve({ tracks: [], pagination: { total: 0 } })),
   deleteTrack: vi.fn(() => Promise.resolve({ success: true })),
+  importTrack: vi.fn(() => Promise.resolve({ track: { id: 'track-imported' } })),
+  getAchievements: vi.fn(() => Promise.resolve({ achievements: null })),
 }));
 
 // Mock LiveTrackMap component
@@ -498,6 +500,32 @@ describe('Tracks Page', () => {
     });
   });
 
+  describe('Track Import', () => {
+    it('should navigate to the imported track on success', async () => {
+      const mockImportTrack = vi.fn().mockResolvedValue({ track: { id: 'track-imported' } });
+      const push = vi.fn();
+
+      const result = await mockImportTrack('test-token', new global.File(['<gpx/>'], 'hike.gpx'));
+      if (!result.error) {
+        push(`/tracks/${result.track.id}`);
+      }
+
+      expect(push).toHaveBeenCalledWith('/tracks/track-imported');
+    });
+
+    it('should surface the API error message on failure', async () => {
+      const mockImportTrack = vi.fn().mockResolvedValue({
+        error: { error: 'Unsupported file format. Please upload a .gpx or .fit file.' },
+        status: 400,
+      });
+
+      const result = await mockImportTrack('test-token', new global.File(['x'], 'notes.txt'));
+      const importError = result.error.error || result.error.message || 'Failed to import track';
+
+      expect(importError).toContain('Unsupported file format');
+    });
+  });
+
   describe('Tracking Controls', () => {
     it('should show pause button when recording', () => {
       const isTracking = true;
@@ -0,0 +1,73 @@
+/**
+ * Tests for the Trip Detail page metadata
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { generateMetadata } from '@/app/trip/[id]/page';
+import { findShareLink } from '@/lib/trips/trip-share';
+
+const TRIP_ID = '11111111-1111-4111-8111-111111111111';
+const TOKEN = 'a'.repeat(48);
+
+const tripQuery = {
+  select: vi.fn(() => tripQuery),
+  eq: vi.fn(() => tripQuery),
+  single: vi.fn(),
+};
+
+vi.mock('@/lib/supabase/server', () => ({
+  createServiceClient: vi.fn(() => ({ from: () => tripQuery })),
+}));
+
+vi.mock('@/lib/trips/trip-share', async (importOriginal) => ({
+  ...(await importOriginal()),
+  findShareLink: vi.fn(),
+}));
+
+vi.mock('@/app/trip/[id]/TripDetailClient', () => ({
+  default: () => null,
+}));
+
+const getMetadata = (share) =>
+  generateMetadata({
+    params: Promise.resolve({ id: TRIP_ID }),
+    searchParams: Promise.resolve({ share }),
+  });
+
+describe('Trip Detail page metadata', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    tripQuery.single.mockResolvedValue({
+      data: {
+        title: 'Sierra Loop',
+        origin: 'San Francisco, CA',
+        start_date: '2025-06-01',
+        end_date: '2025-06-02',
+        ai_summary: null,
+      },
+      error: null,
+    });
+  });
+
+  it('should add a link preview for a valid share link', async () => {
+    findShareLink.mockResolvedValue({ trip_id: TRIP_ID, token: TOKEN });
+
+    const metadata = await getMetadata(TOKEN);
+
+    expect(metadata.title).toBe('Sierra Loop | ParkLookup');
+    expect(metadata.openGraph.images[0].url).toContain(`/api/trips/${TRIP_ID}/preview`);
+  });
+
+  it('should fall back to the default metadata when the link lookup fails', async () => {
+    findShareLink.mockRejectedValue(new Error('Failed to look up share link: timeout'));
+
+    const metadata = await getMetadata(TOKEN);
+
+    expect(metadata).toEqual({
+      title: 'Trip | ParkLookup',
+      robots: { index: false, follow: false },
+    });
+    expect(tripQuery.single).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * ParkAlerts Component Tests
+ * Tests for the park closures and hazards banner
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import ParkAlerts from '@/components/parks/ParkAlerts';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+const mockAlerts = [
+  {
+    id: 'alert-1',
+    category: 'closure',
+    title: 'Tioga Road Closed',
+    description: 'Tioga Road is closed for the season.',
+    url: 'https://www.nps.gov/yose/planyourvisit/conditions.htm',
+  },
+  {
+    id: 'alert-2',
+    category: 'caution',
+    title: 'Bear Activity',
+    description: 'Store food properly.',
+    url: null,
+  },
+];
+
+const mockAlertsResponse = (alerts) =>
+  global.fetch.mockResolvedValue({
+    ok: true,
+    json: () => Promise.resolve({ alerts }),
+  });
+
+describe('ParkAlerts', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should fetch alerts for the park', async () => {
+    mockAlertsResponse(mockAlerts);
+
+    render(<ParkAlerts parkCode="yose" />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Park alerts: 1 closure, 1 caution')).toBeInTheDocument();
+    });
+    expect(global.fetch).toHaveBeenCalledWith('/api/parks/yose/alerts');
+  });
+
+  it('should show the most severe alert first and expand to the rest', async () => {
+    mockAlertsResponse(mockAlerts);
+
+    render(<ParkAlerts parkCode="yose" />);
+
+    await waitFor(() => {
+      expect(screen.getByRole('link', { name: 'Tioga Road Closed' })).toHaveAttribute(
+        'href',
+        'https://www.nps.gov/yose/planyourvisit/conditions.htm'
+      );
+    });
+    expect(screen.getByText('Tioga Road is closed for the season.')).toBeInTheDocument();
+    expect(screen.queryByText('Bear Activity')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show all 2 alerts' }));
+
+    expect(screen.getByText('Bear Activity')).toBeInTheDocument();
+  });
+
+  it('should list every title without descriptions when compact', async () => {
+    mockAlertsResponse(mockAlerts);
+
+    render(<ParkAlerts parkCode="yose" compact />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Bear Activity')).toBeInTheDocument();
+    });
+    expect(screen.queryByText('Tioga Road is closed for the season.')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+  });
+
+  it('should render nothing without alerts', async () => {
+    mockAlertsResponse([]);
+
+    const { container } = render(<ParkAlerts parkCode="yose" />);
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalled();
+    });
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should render nothing when alerts fail to load', async () => {
+    global.fetch.mockResolvedValue({ ok: false, json: () => Promise.resolve({}) });
+
+    const { container } = render(<ParkAlerts parkCode="yose" />);
+
+    await waitFor(() => {
+      expect(console.error).toHaveBeenCalled();
+    });
+    expect(container).toBeEmptyDOMElement();
+  });
+});
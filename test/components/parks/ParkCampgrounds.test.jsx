@@ -0,0 +1,92 @@
+/**
+ * ParkCampgrounds Component Tests
+ * Tests for the park Camping tab
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import ParkCampgrounds from '@/components/parks/ParkCampgrounds';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+const mockPark = { park_code: 'yose', source: 'nps' };
+
+const mockCampgrounds = [
+  {
+    id: 'cg-1',
+    name: 'Upper Pines',
+    total_sites: 238,
+    reservable_sites: 238,
+    first_come_sites: 0,
+    rv_allowed: true,
+    rv_max_length: 35,
+    wheelchair_accessible: true,
+    amenities: { toilets: true, showers: false, potable_water: true },
+    reservation_url: 'https://www.recreation.gov/camping/campgrounds/232447',
+    url: 'https://www.nps.gov/yose/planyourvisit/upperpines.htm',
+    images: [],
+  },
+];
+
+describe('ParkCampgrounds', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should list the park campgrounds', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ campgrounds: mockCampgrounds }),
+    });
+
+    render(<ParkCampgrounds park={mockPark} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Upper Pines')).toBeInTheDocument();
+    });
+    expect(global.fetch).toHaveBeenCalledWith('/api/parks/yose/campgrounds');
+    expect(screen.getByText('RVs allowed (up to 35 ft)')).toBeInTheDocument();
+    expect(screen.getByText('Accessible sites')).toBeInTheDocument();
+    expect(screen.getByText('Toilets')).toBeInTheDocument();
+    expect(screen.getByText('Drinking water')).toBeInTheDocument();
+    expect(screen.queryByText('Showers')).not.toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Reserve a site →' })).toHaveAttribute(
+      'href',
+      'https://www.recreation.gov/camping/campgrounds/232447'
+    );
+  });
+
+  it('should say when a park has no campgrounds', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ campgrounds: [] }),
+    });
+
+    render(<ParkCampgrounds park={mockPark} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('No campgrounds are listed for this park.')).toBeInTheDocument();
+    });
+  });
+
+  it('should show an error when the request fails', async () => {
+    global.fetch.mockResolvedValue({ ok: false });
+
+    render(<ParkCampgrounds park={mockPark} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Unable to load campgrounds')).toBeInTheDocument();
+    });
+  });
+
+  it('should not fetch for parks outside the NPS', () => {
+    render(<ParkCampgrounds park={{ park_code: 'ca-123', source: 'state' }} />);
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(
+      screen.getByText('Campground listings are available for National Park Service sites.')
+    ).toBeInTheDocument();
+  });
+});
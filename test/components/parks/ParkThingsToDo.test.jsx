@@ -0,0 +1,140 @@
+/**
+ * ParkThingsToDo Component Tests
+ * Tests for things to do and events on the park Activities tab
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import ParkThingsToDo from '@/components/parks/ParkThingsToDo';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+const mockThingsToDo = [
+  {
+    id: 't1',
+    title: 'Hike to Vernal Fall',
+    short_description: 'A steep hike to a waterfall.',
+    url: 'https://www.nps.gov/thingstodo/vernal-fall.htm',
+    duration: '3-4 Hours',
+    seasons: ['spring', 'summer'],
+    accessibility_information: 'Not wheelchair accessible.',
+    is_ranger_program: false,
+    is_reservation_required: false,
+  },
+  {
+    id: 't2',
+    title: 'Ranger-led Valley Walk',
+    duration: '1 Hour',
+    seasons: [],
+    is_ranger_program: true,
+    is_reservation_required: true,
+  },
+];
+
+const mockEvents = [
+  {
+    id: 'e1',
+    title: 'Junior Ranger Walk',
+    info_url: 'https://www.nps.gov/yose/planyourvisit/events.htm',
+    start_date: '2099-07-01',
+    end_date: '2099-08-31',
+    dates: ['2099-07-01', '2099-07-08', '2099-07-15', '2099-07-22'],
+    times: [{ start: '10:00 AM', end: '11:00 AM' }],
+    is_ranger_program: true,
+    is_free: true,
+    registration_required: false,
+    location_description: 'Happy Isles',
+  },
+  {
+    id: 'e2',
+    title: 'Art Show',
+    start_date: '2099-07-04',
+    end_date: '2099-07-06',
+    dates: [],
+    times: [],
+    is_all_day: true,
+    is_ranger_program: false,
+    registration_required: true,
+  },
+];
+
+const mockResponse = (thingsToDo, events) =>
+  global.fetch.mockResolvedValue({
+    ok: true,
+    json: () => Promise.resolve({ thingsToDo, events }),
+  });
+
+describe('ParkThingsToDo', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should show upcoming events and things to do', async () => {
+    mockResponse(mockThingsToDo, mockEvents);
+
+    render(<ParkThingsToDo parkCode="yose" />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Upcoming Events')).toBeInTheDocument();
+    });
+    expect(global.fetch).toHaveBeenCalledWith('/api/parks/yose/things-to-do');
+
+    expect(screen.getByRole('link', { name: 'Junior Ranger Walk' })).toHaveAttribute(
+      'href',
+      'https://www.nps.gov/yose/planyourvisit/events.htm'
+    );
+    expect(screen.getByText(/Wed, Jul 1 · Wed, Jul 8 · Wed, Jul 15 \+1 more/)).toBeInTheDocument();
+    expect(screen.getByText(/10:00 AM – 11:00 AM/)).toBeInTheDocument();
+    expect(screen.getByText('Free')).toBeInTheDocument();
+    expect(screen.getByText(/Sat, Jul 4 – Mon, Jul 6 · All day/)).toBeInTheDocument();
+    expect(screen.getByText('Registration required')).toBeInTheDocument();
+
+    expect(screen.getByText('Things To Do')).toBeInTheDocument();
+    expect(screen.getByText('Hike to Vernal Fall')).toBeInTheDocument();
+    expect(screen.getByText('3-4 Hours')).toBeInTheDocument();
+    expect(screen.getByText('spring, summer')).toBeInTheDocument();
+    expect(screen.getByText('Not wheelchair accessible.')).toBeInTheDocument();
+    expect(screen.getByText('Reservation required')).toBeInTheDocument();
+    expect(screen.getAllByText('Ranger program')).toHaveLength(2);
+  });
+
+  it('should filter to ranger programs', async () => {
+    mockResponse(mockThingsToDo, mockEvents);
+
+    render(<ParkThingsToDo parkCode="yose" />);
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Ranger programs only')).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByLabelText('Ranger programs only'));
+
+    expect(screen.getByText('Junior Ranger Walk')).toBeInTheDocument();
+    expect(screen.getByText('Ranger-led Valley Walk')).toBeInTheDocument();
+    expect(screen.queryByText('Art Show')).not.toBeInTheDocument();
+    expect(screen.queryByText('Hike to Vernal Fall')).not.toBeInTheDocument();
+  });
+
+  it('should render nothing without things to do or events', async () => {
+    mockResponse([], []);
+
+    const { container } = render(<ParkThingsToDo parkCode="yose" />);
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalled();
+    });
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should render nothing when the request fails', async () => {
+    global.fetch.mockResolvedValue({ ok: false });
+
+    const { container } = render(<ParkThingsToDo parkCode="yose" />);
+
+    await waitFor(() => {
+      expect(console.error).toHaveBeenCalled();
+    });
+    expect(container).toBeEmptyDOMElement();
+  });
+});
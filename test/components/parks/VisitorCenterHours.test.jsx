@@ -0,0 +1,110 @@
+/**
+ * VisitorCenterHours Component Tests
+ * Tests for visitor center hours on the park Info tab and trip days
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import VisitorCenterHours from '@/components/parks/VisitorCenterHours';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+const mockVisitorCenters = [
+  {
+    id: 'vc-1',
+    name: 'Valley Visitor Center',
+    url: 'https://www.nps.gov/yose/planyourvisit/valleyvc.htm',
+    hours: {
+      date: '2024-07-10',
+      text: '9:00 AM – 5:00 PM',
+      exception: null,
+      status: { open: true, label: 'Open now until 5:00 PM' },
+    },
+  },
+  {
+    id: 'vc-2',
+    name: 'Tuolumne Meadows Visitor Center',
+    url: null,
+    hours: {
+      date: '2024-07-10',
+      text: 'Closed',
+      exception: 'Road Closure',
+      status: { open: false, label: 'Opens Fri at 9:00 AM' },
+    },
+  },
+  { id: 'vc-3', name: 'Wawona Visitor Center', hours: null },
+];
+
+const mockResponse = (visitorCenters) =>
+  global.fetch.mockResolvedValue({
+    ok: true,
+    json: () => Promise.resolve({ visitorCenters }),
+  });
+
+describe('VisitorCenterHours', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it("should show today's hours and open status", async () => {
+    mockResponse(mockVisitorCenters);
+
+    render(<VisitorCenterHours parkCode="yose" />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Visitor Centers')).toBeInTheDocument();
+    });
+    expect(global.fetch).toHaveBeenCalledWith('/api/parks/yose/visitor-centers');
+    expect(screen.getByRole('link', { name: 'Valley Visitor Center' })).toHaveAttribute(
+      'href',
+      'https://www.nps.gov/yose/planyourvisit/valleyvc.htm'
+    );
+    expect(screen.getByText('Open now until 5:00 PM')).toBeInTheDocument();
+    expect(screen.getByText('Opens Fri at 9:00 AM')).toBeInTheDocument();
+    expect(screen.getByText('(Road Closure)')).toBeInTheDocument();
+    // Visitor centers without hours are left out
+    expect(screen.queryByText('Wawona Visitor Center')).not.toBeInTheDocument();
+  });
+
+  it("should request a trip day's hours in compact mode", async () => {
+    mockResponse([
+      {
+        id: 'vc-1',
+        name: 'Valley Visitor Center',
+        hours: { date: '2024-11-28', text: 'Closed', exception: 'Thanksgiving', status: null },
+      },
+    ]);
+
+    render(<VisitorCenterHours parkCode="yose" date="2024-11-28" compact />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Visitor Center Hours')).toBeInTheDocument();
+    });
+    expect(global.fetch).toHaveBeenCalledWith('/api/parks/yose/visitor-centers?date=2024-11-28');
+    expect(screen.getByText(/Closed \(Thanksgiving\)/)).toBeInTheDocument();
+  });
+
+  it('should render nothing without visitor center hours', async () => {
+    mockResponse([]);
+
+    const { container } = render(<VisitorCenterHours parkCode="yose" />);
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalled();
+    });
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should render nothing when the request fails', async () => {
+    global.fetch.mockResolvedValue({ ok: false });
+
+    const { container } = render(<VisitorCenterHours parkCode="yose" />);
+
+    await waitFor(() => {
+      expect(console.error).toHaveBeenCalled();
+    });
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * OfflineStorageSettings Component Tests
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import OfflineStorageSettings from '@/components/settings/OfflineStorageSettings';
+import { deleteRegionTiles, clearRegionTiles } from '@/lib/map/offline-regions';
+
+const storage = {
+  isReady: true,
+  error: null,
+  getOfflineRegions: vi.fn(),
+  removeOfflineRegion: vi.fn(),
+  getOfflineTrips: vi.fn(),
+  removeOfflineTrip: vi.fn(),
+};
+
+vi.mock('@/hooks/useOfflineStorage', () => ({
+  useOfflineStorage: () => storage,
+}));
+
+vi.mock('next/link', () => ({
+  default: ({ children, href, className }) => (
+    <a href={href} className={className}>
+      {children}
+    </a>
+  ),
+}));
+
+vi.mock('@/lib/map/offline-regions', async (importOriginal) => ({
+  ...(await importOriginal()),
+  deleteRegionTiles: vi.fn(),
+  clearRegionTiles: vi.fn(),
+  getStorageEstimate: vi.fn(async () => ({ usage: 50 * 1024 * 1024, quota: 1024 * 1024 * 1024 })),
+}));
+
+const bounds = { minLat: 37.72, maxLat: 37.76, minLng: -119.56, maxLng: -119.52 };
+const mistTrail = {
+  id: 'trail:1',
+  name: 'Mist Trail',
+  bounds,
+  minZoom: 11,
+  maxZoom: 15,
+  bytes: 3 * 1024 * 1024,
+  savedAt: Date.now(),
+};
+const yosemite = {
+  ...mistTrail,
+  id: 'park:yose',
+  name: 'Yosemite National Park',
+  bytes: 1024 * 1024,
+};
+const tripPack = {
+  id: 'trip-1',
+  trip: { title: 'Sierra Loop' },
+  tiles: { bytes: 5 * 1024 * 1024 },
+  savedAt: Date.now(),
+};
+
+describe('OfflineStorageSettings', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storage.error = null;
+    storage.getOfflineRegions.mockResolvedValue([mistTrail, yosemite]);
+    storage.getOfflineTrips.mockResolvedValue([tripPack]);
+    storage.removeOfflineRegion.mockResolvedValue(undefined);
+    storage.removeOfflineTrip.mockResolvedValue(undefined);
+    deleteRegionTiles.mockResolvedValue(1);
+    clearRegionTiles.mockResolvedValue(undefined);
+  });
+
+  it('should list offline maps and trips with their sizes', async () => {
+    render(<OfflineStorageSettings />);
+
+    expect(await screen.findByText('Mist Trail')).toBeInTheDocument();
+    expect(screen.getByText('Yosemite National Park')).toBeInTheDocument();
+    expect(screen.getByText('Offline Maps (4.0 MB)')).toBeInTheDocument();
+    expect(screen.getByText('Sierra Loop')).toHaveAttribute('href', '/trip/trip-1');
+    expect(screen.getByText(/5.0 MB of map tiles/)).toBeInTheDocument();
+    expect(await screen.findByText('50.0 MB of 1.00 GB')).toBeInTheDocument();
+  });
+
+  it('should delete one map, keeping tiles the others use', async () => {
+    render(<OfflineStorageSettings />);
+    await screen.findByText('Mist Trail');
+
+    fireEvent.click(screen.getAllByText('Delete')[0]);
+
+    await waitFor(() => expect(storage.removeOfflineRegion).toHaveBeenCalledWith('trail:1'));
+    expect(deleteRegionTiles).toHaveBeenCalledWith(mistTrail, [yosemite]);
+    await waitFor(() => expect(screen.queryByText('Mist Trail')).not.toBeInTheDocument());
+  });
+
+  it('should delete all maps', async () => {
+    render(<OfflineStorageSettings />);
+    await screen.findByText('Mist Trail');
+
+    fireEvent.click(screen.getByText('Delete All'));
+
+    await waitFor(() => expect(clearRegionTiles).toHaveBeenCalled());
+    expect(storage.removeOfflineRegion).toHaveBeenCalledTimes(2);
+    expect(await screen.findByText(/No offline maps yet/)).toBeInTheDocument();
+  });
+
+  it('should remove an offline trip', async () => {
+    render(<OfflineStorageSettings />);
+    await screen.findByText('Sierra Loop');
+
+    fireEvent.click(screen.getByText('Remove'));
+
+    await waitFor(() => expect(storage.removeOfflineTrip).toHaveBeenCalledWith('trip-1'));
+    expect(await screen.findByText(/No trips saved for offline use/)).toBeInTheDocument();
+  });
+
+  it('should explain when offline storage is unsupported', () => {
+    storage.error = 'IndexedDB not supported';
+    render(<OfflineStorageSettings />);
+
+    expect(screen.getByText(/aren't supported in this browser/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * AchievementsPanel Component Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import AchievementsPanel from '@/components/tracking/AchievementsPanel';
+
+const achievements = {
+  records: {
+    longestDistance: {
+      value: 16093.44,
+      trackId: 'track-1',
+      title: 'Half Dome',
+      date: '2025-06-01T15:00:00Z',
+    },
+    biggestClimb: null,
+    fastestMile: {},
+    mostParksInMonth: { value: 3, month: '2025-06' },
+    longestStreak: { value: 1, startDate: '2025-06-01', endDate: '2025-06-01' },
+  },
+  badges: [
+    {
+      id: 'first-track',
+      name: 'First Steps',
+      description: 'Finish your first track',
+      earnedAt: '2025-06-01T15:00:00Z',
+    },
+  ],
+  monthly: [
+    {
+      month: '2025-06',
+      trackCount: 1,
+      distanceMeters: 16093,
+      elevationGainM: 0,
+      parkCount: 1,
+    },
+  ],
+};
+
+const now = new Date('2025-06-15T00:00:00Z');
+
+describe('AchievementsPanel', () => {
+  it('should render records, badges, and this month', () => {
+    render(<AchievementsPanel achievements={achievements} now={now} />);
+
+    expect(screen.getByText('Longest distance')).toBeInTheDocument();
+    expect(screen.getByText('3 parks')).toBeInTheDocument();
+    expect(screen.getByText('1 day')).toBeInTheDocument();
+    expect(screen.getByText(/This month: 1 track,/)).toBeInTheDocument();
+    expect(
+      within(screen.getByRole('list', { name: 'Badges' })).getByText('First Steps')
+    ).toBeInTheDocument();
+  });
+
+  it('should link records to their tracks when asked', () => {
+    render(<AchievementsPanel achievements={achievements} now={now} linkTracks />);
+
+    expect(screen.getByRole('link', { name: 'Half Dome' })).toHaveAttribute(
+      'href',
+      '/tracks/track-1'
+    );
+  });
+
+  it('should not link records by default', () => {
+    render(<AchievementsPanel achievements={achievements} now={now} />);
+
+    expect(screen.queryByRole('link')).not.toBeInTheDocument();
+  });
+
+  it('should render nothing without records or badges', () => {
+    const { container } = render(
+      <AchievementsPanel
+        achievements={{ records: { fastestMile: {} }, badges: [], monthly: [] }}
+        now={now}
+      />
+    );
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for CheckInStatus Component
+ *
+ * @module test/components/tracking/CheckInStatus.test
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+
+const mockUseTrackingContext = vi.fn();
+vi.mock('../../../contexts/TrackingContext.jsx', () => ({
+  useTrackingContext: () => mockUseTrackingContext(),
+}));
+
+import CheckInStatus from '../../../components/tracking/CheckInStatus.jsx';
+
+describe('CheckInStatus', () => {
+  const extendReturnTime = vi.fn();
+
+  const mockContext = (overrides = {}) => {
+    mockUseTrackingContext.mockReturnValue({
+      expectedReturnAt: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+      emergencyContacts: [{ name: 'Sam', email: 'sam@example.com' }],
+      extendReturnTime,
+      ...overrides,
+    });
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    extendReturnTime.mockResolvedValue({ expectedReturnAt: new Date().toISOString() });
+    mockContext();
+  });
+
+  it('should render nothing without a return time', () => {
+    mockContext({ expectedReturnAt: null });
+
+    const { container } = render(<CheckInStatus />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should show when the user is due back and who will be emailed', () => {
+    render(<CheckInStatus />);
+
+    expect(screen.getByText(/Due back by/)).toBeInTheDocument();
+    expect(screen.getByText(/Sam will be emailed/)).toBeInTheDocument();
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  it('should warn once the return time has passed', () => {
+    mockContext({ expectedReturnAt: new Date(Date.now() - 60 * 1000).toISOString() });
+
+    render(<CheckInStatus />);
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Past your return time');
+  });
+
+  it('should extend the return time', async () => {
+    render(<CheckInStatus />);
+
+    fireEvent.click(screen.getByText('+1 h'));
+
+    await waitFor(() => expect(extendReturnTime).toHaveBeenCalledWith(60));
+  });
+
+  it('should show errors from extending', async () => {
+    extendReturnTime.mockResolvedValue({ error: { error: 'Failed to update track' } });
+    render(<CheckInStatus />);
+
+    fireEvent.click(screen.getByText('+30 min'));
+
+    expect(await screen.findByText('Failed to update track')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * ElevationProfile Component Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ElevationProfile, {
+  getGradeColor,
+  GRADE_BANDS,
+} from '@/components/tracking/ElevationProfile';
+
+const profile = [
+  { distanceMeters: 0, elevationM: 1000, gradePercent: 10, latitude: 37.7, longitude: -119.5 },
+  { distanceMeters: 100, elevationM: 1010, gradePercent: 10, latitude: 37.701, longitude: -119.5 },
+  { distanceMeters: 200, elevationM: 1010, gradePercent: 0, latitude: 37.702, longitude: -119.5 },
+  { distanceMeters: 300, elevationM: 990, gradePercent: -20, latitude: 37.703, longitude: -119.5 },
+];
+
+/**
+ * Give the chart a 300px-wide box starting at the left edge
+ */
+const mockChartBox = () => {
+  const chart = screen.getByRole('img', { name: 'Elevation profile' });
+  vi.spyOn(chart, 'getBoundingClientRect').mockReturnValue({ left: 0, width: 300 });
+  return chart;
+};
+
+describe('getGradeColor', () => {
+  it('should color by steepness, uphill or down', () => {
+    expect(getGradeColor(1)).toBe(GRADE_BANDS[0].color);
+    expect(getGradeColor(5)).toBe(GRADE_BANDS[1].color);
+    expect(getGradeColor(-12)).toBe(GRADE_BANDS[2].color);
+    expect(getGradeColor(25)).toBe(GRADE_BANDS[3].color);
+  });
+});
+
+describe('ElevationProfile', () => {
+  it('should show the elevation range and total distance', () => {
+    render(<ElevationProfile profile={profile} unit="metric" />);
+
+    expect(screen.getByText('Elevation Profile')).toBeInTheDocument();
+    expect(screen.getByText(/990 m – 1010 m/)).toBeInTheDocument();
+    expect(screen.getByText('300 m')).toBeInTheDocument();
+  });
+
+  it('should color each stretch by its grade', () => {
+    const { container } = render(<ElevationProfile profile={profile} unit="metric" />);
+    const slices = container.querySelectorAll('polygon');
+
+    expect(slices).toHaveLength(3);
+    expect(slices[0].getAttribute('fill')).toBe(getGradeColor(10));
+    expect(slices[2].getAttribute('fill')).toBe(getGradeColor(-20));
+  });
+
+  it('should report the hovered sample and clear it on leave', () => {
+    const onHover = vi.fn();
+    render(<ElevationProfile profile={profile} unit="metric" onHover={onHover} />);
+    const chart = mockChartBox();
+
+    fireEvent.mouseMove(chart, { clientX: 190 });
+
+    expect(onHover).toHaveBeenLastCalledWith(profile[2]);
+    expect(screen.getByText('1010 m')).toBeInTheDocument();
+    expect(screen.getByText(/at 200 m · 0% grade/)).toBeInTheDocument();
+    expect(screen.getByTestId('elevation-profile-cursor')).toBeInTheDocument();
+
+    fireEvent.mouseLeave(chart);
+
+    expect(onHover).toHaveBeenLastCalledWith(null);
+    expect(screen.queryByTestId('elevation-profile-cursor')).not.toBeInTheDocument();
+  });
+
+  it('should show uphill grades with a plus sign', () => {
+    render(<ElevationProfile profile={profile} unit="metric" />);
+    const chart = mockChartBox();
+
+    fireEvent.mouseMove(chart, { clientX: 95 });
+
+    expect(screen.getByText(/\+10% grade/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for LiveShareControls Component
+ *
+ * @module test/components/tracking/LiveShareControls.test
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+
+vi.mock('../../../hooks/useAuth.js', () => ({
+  useAuth: () => ({ accessToken: 'test-token' }),
+}));
+
+const mockUseTrackingContext = vi.fn();
+vi.mock('../../../contexts/TrackingContext.jsx', () => ({
+  useTrackingContext: () => mockUseTrackingContext(),
+}));
+
+const mockGetLiveShare = vi.fn();
+const mockCreateLiveShare = vi.fn();
+const mockRevokeLiveShare = vi.fn();
+vi.mock('../../../lib/tracking/tracking-client.js', () => ({
+  getLiveShare: (...args) => mockGetLiveShare(...args),
+  createLiveShare: (...args) => mockCreateLiveShare(...args),
+  revokeLiveShare: (...args) => mockRevokeLiveShare(...args),
+}));
+
+import LiveShareControls from '../../../components/tracking/LiveShareControls.jsx';
+
+describe('LiveShareControls', () => {
+  const liveShare = {
+    enabled: true,
+    url: 'https://example.com/tracks/track-1/live?token=abc',
+    expiresAt: '2025-06-01T16:00:00.000Z',
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockUseTrackingContext.mockReturnValue({ trackId: 'track-1' });
+    mockGetLiveShare.mockResolvedValue({ liveShare: { enabled: false, url: null } });
+  });
+
+  it('should render nothing when no track is being recorded', () => {
+    mockUseTrackingContext.mockReturnValue({ trackId: null });
+
+    const { container } = render(<LiveShareControls />);
+
+    expect(container).toBeEmptyDOMElement();
+    expect(mockGetLiveShare).not.toHaveBeenCalled();
+  });
+
+  it('should create a link for the chosen duration', async () => {
+    mockCreateLiveShare.mockResolvedValue({ liveShare });
+    render(<LiveShareControls />);
+
+    fireEvent.change(screen.getByLabelText('Link lasts for'), { target: { value: '4' } });
+    fireEvent.click(screen.getByText('Create live link'));
+
+    expect(await screen.findByLabelText('Live location link')).toHaveValue(liveShare.url);
+    expect(mockCreateLiveShare).toHaveBeenCalledWith('test-token', 'track-1', 4);
+  });
+
+  it('should show a link created earlier in the recording', async () => {
+    mockGetLiveShare.mockResolvedValue({ liveShare });
+
+    render(<LiveShareControls />);
+
+    expect(await screen.findByLabelText('Live location link')).toHaveValue(liveShare.url);
+    expect(mockGetLiveShare).toHaveBeenCalledWith('test-token', 'track-1');
+  });
+
+  it('should revoke the link', async () => {
+    mockGetLiveShare.mockResolvedValue({ liveShare });
+    mockRevokeLiveShare.mockResolvedValue({ success: true });
+    render(<LiveShareControls />);
+
+    fireEvent.click(await screen.findByText('Revoke link'));
+
+    expect(await screen.findByText('Create live link')).toBeInTheDocument();
+    expect(mockRevokeLiveShare).toHaveBeenCalledWith('test-token', 'track-1');
+  });
+
+  it('should show errors from the API', async () => {
+    mockCreateLiveShare.mockResolvedValue({
+      error: { error: 'Cannot share live location' },
+      status: 400,
+    });
+    render(<LiveShareControls />);
+
+    fireEvent.click(screen.getByText('Create live link'));
+
+    expect(await screen.findByText('Cannot share live location')).toBeInTheDocument();
+  });
+
+  it('should copy the link', async () => {
+    const writeText = vi.fn().mockResolvedValue();
+    Object.assign(navigator, { clipboard: { writeText } });
+    mockGetLiveShare.mockResolvedValue({ liveShare });
+    render(<LiveShareControls />);
+
+    fireEvent.click(await screen.findByText('Copy'));
+
+    await waitFor(() => expect(screen.getByText('Copied')).toBeInTheDocument());
+    expect(writeText).toHaveBeenCalledWith(liveShare.url);
+  });
+});
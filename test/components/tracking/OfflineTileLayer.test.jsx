@@ -0,0 +1,55 @@
+/**
+ * OfflineTileLayer Component Tests
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render } from '@testing-library/react';
+import OfflineTileLayer from '@/components/tracking/OfflineTileLayer';
+import { getRegionTile } from '@/lib/map/offline-regions';
+
+let tileLayerProps;
+
+vi.mock('react-leaflet', () => ({
+  TileLayer: (props) => {
+    tileLayerProps = props;
+    return null;
+  },
+}));
+
+vi.mock('@/lib/map/offline-regions', () => ({
+  getRegionTile: vi.fn(),
+}));
+
+describe('OfflineTileLayer', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    global.URL.createObjectURL = vi.fn(() => 'blob:tile');
+    global.URL.revokeObjectURL = vi.fn();
+    render(<OfflineTileLayer />);
+  });
+
+  it('should render OpenStreetMap tiles', () => {
+    expect(tileLayerProps.url).toBe('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png');
+  });
+
+  it('should swap failed tiles for downloaded ones', async () => {
+    getRegionTile.mockResolvedValue({ blob: async () => new window.Blob(['png']) });
+    const tile = document.createElement('img');
+
+    await tileLayerProps.eventHandlers.tileerror({ tile, coords: { x: 1, y: 2, z: 13 } });
+
+    expect(getRegionTile).toHaveBeenCalledWith(1, 2, 13);
+    expect(tile.src).toBe('blob:tile');
+  });
+
+  it('should only try the fallback once per tile', async () => {
+    getRegionTile.mockResolvedValue(null);
+    const tile = document.createElement('img');
+
+    await tileLayerProps.eventHandlers.tileerror({ tile, coords: { x: 1, y: 2, z: 13 } });
+    await tileLayerProps.eventHandlers.tileerror({ tile, coords: { x: 1, y: 2, z: 13 } });
+
+    expect(getRegionTile).toHaveBeenCalledTimes(1);
+    expect(tile.getAttribute('src')).toBeNull();
+  });
+});
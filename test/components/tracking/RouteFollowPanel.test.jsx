@@ -0,0 +1,132 @@
+/**
+ * Tests for RouteFollowPanel Component
+ *
+ * @module test/components/tracking/RouteFollowPanel.test
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+
+vi.mock('../../../hooks/useAuth.js', () => ({
+  useAuth: () => ({ accessToken: 'test-token' }),
+}));
+
+const mockUseTrackingContext = vi.fn();
+vi.mock('../../../contexts/TrackingContext.jsx', () => ({
+  useTrackingContext: () => mockUseTrackingContext(),
+}));
+
+const mockGetTracks = vi.fn();
+vi.mock('../../../lib/tracking/tracking-client.js', () => ({
+  getTracks: (...args) => mockGetTracks(...args),
+}));
+
+import RouteFollowPanel from '../../../components/tracking/RouteFollowPanel.jsx';
+
+describe('RouteFollowPanel', () => {
+  const startFollowing = vi.fn();
+  const stopFollowing = vi.fn();
+  const setOffRouteThreshold = vi.fn();
+
+  const mockContext = (overrides = {}) => {
+    mockUseTrackingContext.mockReturnValue({
+      followedRoute: null,
+      navigation: null,
+      offRouteThreshold: 30,
+      startFollowing,
+      stopFollowing,
+      setOffRouteThreshold,
+      ...overrides,
+    });
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    startFollowing.mockResolvedValue({ route: {} });
+    mockGetTracks.mockResolvedValue({
+      tracks: [{ id: 'track-1', title: 'Morning loop' }],
+    });
+    mockContext();
+  });
+
+  describe('choosing a route', () => {
+    it('should follow the current trail', async () => {
+      render(<RouteFollowPanel trailId="trail-1" trailName="Mist Trail" />);
+
+      fireEvent.click(screen.getByText('Follow Mist Trail'));
+
+      await waitFor(() => expect(startFollowing).toHaveBeenCalledWith({ trailId: 'trail-1' }));
+    });
+
+    it('should follow a previous track', async () => {
+      render(<RouteFollowPanel />);
+
+      const select = await screen.findByLabelText('Follow a previous track');
+      fireEvent.change(select, { target: { value: 'track-1' } });
+
+      await waitFor(() => expect(startFollowing).toHaveBeenCalledWith({ trackId: 'track-1' }));
+      expect(mockGetTracks).toHaveBeenCalledWith(
+        'test-token',
+        expect.objectContaining({ status: 'completed' })
+      );
+    });
+
+    it('should show an error when the route cannot be loaded', async () => {
+      startFollowing.mockResolvedValue({ error: { message: 'This route has no line to follow' } });
+      render(<RouteFollowPanel trailId="trail-1" />);
+
+      fireEvent.click(screen.getByText('Follow this trail'));
+
+      expect(await screen.findByText('This route has no line to follow')).toBeInTheDocument();
+    });
+
+    it('should change the off-route distance', () => {
+      render(<RouteFollowPanel trailId="trail-1" />);
+
+      fireEvent.change(screen.getByLabelText(/Alert when off route by/), {
+        target: { value: '50' },
+      });
+
+      expect(setOffRouteThreshold).toHaveBeenCalledWith(50);
+    });
+  });
+
+  describe('while following', () => {
+    const followedRoute = { type: 'trail', id: 'trail-1', name: 'Mist Trail', route: {} };
+
+    it('should show distance remaining and deviation', () => {
+      mockContext({
+        followedRoute,
+        navigation: { distanceRemainingMeters: 2400, deviationMeters: 8, isOffRoute: false },
+      });
+
+      render(<RouteFollowPanel trailId="trail-1" />);
+
+      expect(screen.getByText('Following Mist Trail')).toBeInTheDocument();
+      expect(screen.getByText('2.40 km')).toBeInTheDocument();
+      expect(screen.getByText('8 m')).toBeInTheDocument();
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+      expect(mockGetTracks).not.toHaveBeenCalled();
+    });
+
+    it('should warn when off route', () => {
+      mockContext({
+        followedRoute,
+        navigation: { distanceRemainingMeters: 2400, deviationMeters: 45, isOffRoute: true },
+      });
+
+      render(<RouteFollowPanel />);
+
+      expect(screen.getByRole('alert')).toHaveTextContent('Off route by 45 m');
+    });
+
+    it('should stop following', () => {
+      mockContext({ followedRoute });
+
+      render(<RouteFollowPanel />);
+      fireEvent.click(screen.getByText('Stop following'));
+
+      expect(stopFollowing).toHaveBeenCalled();
+    });
+  });
+});
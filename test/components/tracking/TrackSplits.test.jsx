@@ -0,0 +1,82 @@
+/**
+ * TrackSplits Component Tests
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import TrackSplits, { getSplitColors } from '@/components/tracking/TrackSplits';
+
+const splits = [
+  {
+    index: 1,
+    distanceMeters: 1000,
+    movingSeconds: 540,
+    avgSpeedMps: 1000 / 540,
+    paceSeconds: 540,
+    elevationGainM: 12,
+    elevationLossM: 3,
+    isPartial: false,
+  },
+  {
+    index: 2,
+    distanceMeters: 1000,
+    movingSeconds: 720,
+    avgSpeedMps: 1000 / 720,
+    paceSeconds: 720,
+    elevationGainM: 40,
+    elevationLossM: 0,
+    isPartial: false,
+  },
+  {
+    index: 3,
+    distanceMeters: 450,
+    movingSeconds: 270,
+    avgSpeedMps: 450 / 270,
+    paceSeconds: 600,
+    elevationGainM: 0,
+    elevationLossM: 8,
+    isPartial: true,
+  },
+];
+
+describe('getSplitColors', () => {
+  it('should color the fastest split green and the slowest red', () => {
+    const colors = getSplitColors(splits);
+
+    expect(colors[0]).toBe('hsl(142, 70%, 45%)');
+    expect(colors[1]).toBe('hsl(0, 70%, 45%)');
+    expect(colors[2]).toBe('hsl(95, 70%, 45%)');
+  });
+
+  it('should use one color when every split has the same pace', () => {
+    const colors = getSplitColors([splits[0], { ...splits[0], index: 2 }]);
+    expect(colors).toEqual(['hsl(142, 70%, 45%)', 'hsl(142, 70%, 45%)']);
+  });
+});
+
+describe('TrackSplits', () => {
+  it('should render a row per split with pace, time, and elevation', () => {
+    render(<TrackSplits splits={splits} unit="metric" onUnitChange={vi.fn()} />);
+
+    expect(screen.getByText('Km')).toBeInTheDocument();
+    expect(screen.getByText('9:00/km')).toBeInTheDocument();
+    expect(screen.getByText('12:00')).toBeInTheDocument();
+    // Partial final split shows its distance instead of a number
+    expect(screen.getByText('450 m')).toBeInTheDocument();
+  });
+
+  it('should switch units', () => {
+    const onUnitChange = vi.fn();
+    render(<TrackSplits splits={splits} unit="metric" onUnitChange={onUnitChange} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'mi' }));
+
+    expect(onUnitChange).toHaveBeenCalledWith('imperial');
+    expect(screen.getByRole('button', { name: 'km' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  it('should explain when there are no splits', () => {
+    render(<TrackSplits splits={[]} unit="imperial" onUnitChange={vi.fn()} />);
+    expect(screen.getByText('Not enough GPS points for splits.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for OfflineMapDownload Component
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import OfflineMapDownload from '@/components/trails/OfflineMapDownload';
+import { useOnlineStatus } from '@/hooks/useOnlineStatus';
+import { downloadRegion, deleteRegionTiles } from '@/lib/map/offline-regions';
+
+// Zoom limits are read at import; offer the full range of a configured provider
+vi.hoisted(() => {
+  process.env.NEXT_PUBLIC_OFFLINE_TILE_URL = 'https://tiles.example.com/{z}/{x}/{y}.png';
+});
+
+const storage = {
+  isReady: true,
+  error: null,
+  getOfflineRegions: vi.fn(),
+  saveOfflineRegion: vi.fn(),
+  removeOfflineRegion: vi.fn(),
+};
+
+vi.mock('@/hooks/useOfflineStorage', () => ({
+  useOfflineStorage: () => storage,
+}));
+
+vi.mock('@/hooks/useOnlineStatus', () => ({
+  useOnlineStatus: vi.fn(() => true),
+}));
+
+vi.mock('@/lib/map/offline-regions', async (importOriginal) => ({
+  ...(await importOriginal()),
+  downloadRegion: vi.fn(),
+  deleteRegionTiles: vi.fn(),
+}));
+
+const bounds = { minLat: 37.72, maxLat: 37.76, minLng: -119.56, maxLng: -119.52 };
+
+describe('OfflineMapDownload', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useOnlineStatus.mockReturnValue(true);
+    storage.error = null;
+    storage.getOfflineRegions.mockResolvedValue([]);
+    storage.saveOfflineRegion.mockResolvedValue(undefined);
+    storage.removeOfflineRegion.mockResolvedValue(undefined);
+    deleteRegionTiles.mockResolvedValue(10);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should estimate the download size for the zoom range', () => {
+    render(<OfflineMapDownload regionId="trail:1" name="Mist Trail" bounds={bounds} />);
+
+    const estimate = screen.getByText(/tiles, about/).textContent;
+    fireEvent.change(screen.getByLabelText('To zoom'), { target: { value: '17' } });
+
+    expect(screen.getByText(/tiles, about/).textContent).not.toBe(estimate);
+  });
+
+  it('should download the region and save it', async () => {
+    const saved = {
+      id: 'trail:1',
+      name: 'Mist Trail',
+      bounds,
+      minZoom: 11,
+      maxZoom: 15,
+      bytes: 2 * 1024 * 1024,
+      savedAt: Date.now(),
+    };
+    downloadRegion.mockResolvedValue(saved);
+    render(<OfflineMapDownload regionId="trail:1" name="Mist Trail" bounds={bounds} />);
+
+    fireEvent.click(screen.getByText('Download'));
+
+    await waitFor(() => expect(storage.saveOfflineRegion).toHaveBeenCalledWith(saved));
+    expect(downloadRegion).toHaveBeenCalledWith(
+      { id: 'trail:1', name: 'Mist Trail', bounds, minZoom: 11, maxZoom: 15 },
+      expect.any(Object)
+    );
+    expect(await screen.findByText(/Saved 2.0 MB/)).toBeInTheDocument();
+  });
+
+  it('should delete a saved region', async () => {
+    const saved = { id: 'trail:1', bounds, minZoom: 11, maxZoom: 15, bytes: 1024, savedAt: 1 };
+    const other = { id: 'park:yose', bounds, minZoom: 11, maxZoom: 12, bytes: 1024, savedAt: 1 };
+    storage.getOfflineRegions.mockResolvedValue([saved, other]);
+    render(<OfflineMapDownload regionId="trail:1" name="Mist Trail" bounds={bounds} />);
+
+    fireEvent.click(await screen.findByText('Delete'));
+
+    await waitFor(() => expect(storage.removeOfflineRegion).toHaveBeenCalledWith('trail:1'));
+    expect(deleteRegionTiles).toHaveBeenCalledWith(saved, [other]);
+    expect(screen.getByText('Download')).toBeInTheDocument();
+  });
+
+  it('should block downloads that are too large or offline', () => {
+    const parkBounds = { minLat: 37.5, maxLat: 38.2, minLng: -119.9, maxLng: -119.2 };
+    const { rerender } = render(
+      <OfflineMapDownload regionId="park:yose" name="Yosemite" bounds={parkBounds} />
+    );
+    fireEvent.change(screen.getByLabelText('To zoom'), { target: { value: '17' } });
+
+    expect(screen.getByText(/too large to download/)).toBeInTheDocument();
+    expect(screen.getByText('Download')).toBeDisabled();
+
+    useOnlineStatus.mockReturnValue(false);
+    rerender(<OfflineMapDownload regionId="park:yose" name="Yosemite" bounds={parkBounds} />);
+    expect(screen.getByText('Connect to the internet to download.')).toBeInTheDocument();
+  });
+
+  it('should render nothing without storage support', () => {
+    storage.error = 'IndexedDB not supported';
+    const { container } = render(
+      <OfflineMapDownload regionId="trail:1" name="Mist Trail" bounds={bounds} />
+    );
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import TrailCard from '../../../components/trails/TrailCard';
+
+const createTrail = (overrides = {}) => ({
+  id: 'trail-1',
+  name: 'Mist Trail',
+  difficulty: 'moderate',
+  length_meters: 4800,
+  elevation_gain_m: null,
+  trail_type: 'out-and-back',
+  ...overrides,
+});
+
+describe('TrailCard', () => {
+  it('should show elevation gain in feet', () => {
+    render(<TrailCard trail={createTrail({ elevation_gain_m: 400 })} parkId="park-1" />);
+
+    expect(screen.getByText('1,312 ft')).toBeInTheDocument();
+  });
+
+  it('should show elevation gain stored as a numeric string', () => {
+    render(<TrailCard trail={createTrail({ elevation_gain_m: '120.5' })} parkId="park-1" />);
+
+    expect(screen.getByText('395 ft')).toBeInTheDocument();
+  });
+
+  it('should hide elevation gain when it is unknown', () => {
+    render(<TrailCard trail={createTrail()} parkId="park-1" />);
+
+    expect(screen.queryByText(/ ft$/)).not.toBeInTheDocument();
+  });
+
+  it('should show elevation gain in the compact layout', () => {
+    render(<TrailCard trail={createTrail({ elevation_gain_m: 400 })} parkId="park-1" compact />);
+
+    expect(screen.getByText(/3\.0 mi · 1,312 ft gain/)).toBeInTheDocument();
+  });
+});
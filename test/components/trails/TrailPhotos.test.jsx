@@ -257,9 +257,9 @@ describe('TrailPhotos Component', () => {
       await userEvent.click(screen.getByRole('button', { name: /add media/i }));
 
       const input = document.querySelector('input[type="file"]');
-      // Create a file larger than 10MB
-      const largeContent = new Array(11 * 1024 * 1024).fill('a').join('');
-      const largeFile = new File([largeContent], 'large.jpg', { type: 'image/jpeg' });
+      // Create a file larger than 10MB without allocating its contents
+      const largeFile = new File(['a'], 'large.jpg', { type: 'image/jpeg' });
+      Object.defineProperty(largeFile, 'size', { value: 11 * 1024 * 1024 });
 
       fireEvent.change(input, { target: { files: [largeFile] } });
 
@@ -278,9 +278,9 @@ describe('TrailPhotos Component', () => {
       await userEvent.click(screen.getByRole('button', { name: /add media/i }));
 
       const input = document.querySelector('input[type="file"]');
-      // Create a file larger than 50MB
-      const largeContent = new Array(51 * 1024 * 1024).fill('a').join('');
-      const largeFile = new File([largeContent], 'large.mp4', { type: 'video/mp4' });
+      // Create a file larger than 50MB without allocating its contents
+      const largeFile = new File(['a'], 'large.mp4', { type: 'video/mp4' });
+      Object.defineProperty(largeFile, 'size', { value: 51 * 1024 * 1024 });
 
       fireEvent.change(input, { target: { files: [largeFile] } });
 
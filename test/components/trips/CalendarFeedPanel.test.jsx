@@ -0,0 +1,107 @@
+/**
+ * CalendarFeedPanel Component Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import CalendarFeedPanel from '@/components/trips/CalendarFeedPanel';
+
+const feed = {
+  url: 'https://parklookup.com/api/trips/calendar/abc123',
+  webcalUrl: 'webcal://parklookup.com/api/trips/calendar/abc123',
+  createdAt: '2025-01-01T00:00:00Z',
+};
+
+const jsonResponse = (data, ok = true) => ({ ok, json: async () => data });
+
+describe('CalendarFeedPanel', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn().mockResolvedValue(jsonResponse(feed));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const openPanel = async () => {
+    render(<CalendarFeedPanel accessToken="token" />);
+    fireEvent.click(screen.getByText('📅 Subscribe in Calendar'));
+    await screen.findByLabelText('Calendar feed URL');
+  };
+
+  it('should not request the feed until opened', () => {
+    render(<CalendarFeedPanel accessToken="token" />);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should load and show the feed URL', async () => {
+    await openPanel();
+
+    expect(screen.getByLabelText('Calendar feed URL')).toHaveValue(feed.url);
+    expect(screen.getByText('Open in Calendar App')).toHaveAttribute('href', feed.webcalUrl);
+    expect(global.fetch).toHaveBeenCalledWith('/api/trips/calendar', {
+      method: 'GET',
+      headers: { Authorization: 'Bearer token' },
+    });
+  });
+
+  it('should copy the URL to the clipboard', async () => {
+    const writeText = vi.fn().mockResolvedValue();
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    await openPanel();
+
+    fireEvent.click(screen.getByText('Copy'));
+
+    expect(await screen.findByText('Copied!')).toBeInTheDocument();
+    expect(writeText).toHaveBeenCalledWith(feed.url);
+  });
+
+  it('should reset the link after confirmation', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    await openPanel();
+    const newUrl = 'https://parklookup.com/api/trips/calendar/def456';
+    global.fetch.mockResolvedValue(jsonResponse({ ...feed, url: newUrl }));
+
+    fireEvent.click(screen.getByText('Reset Link'));
+
+    await waitFor(() => expect(screen.getByLabelText('Calendar feed URL')).toHaveValue(newUrl));
+    expect(global.fetch).toHaveBeenLastCalledWith(
+      '/api/trips/calendar',
+      expect.objectContaining({ method: 'POST' })
+    );
+  });
+
+  it('should turn the feed off and close the panel', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    await openPanel();
+    global.fetch.mockResolvedValue(jsonResponse({ success: true }));
+
+    fireEvent.click(screen.getByText('Turn Off'));
+
+    expect(await screen.findByText('📅 Subscribe in Calendar')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenLastCalledWith(
+      '/api/trips/calendar',
+      expect.objectContaining({ method: 'DELETE' })
+    );
+  });
+
+  it('should keep the feed when turning off is cancelled', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(false);
+    await openPanel();
+
+    fireEvent.click(screen.getByText('Turn Off'));
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(screen.getByLabelText('Calendar feed URL')).toBeInTheDocument();
+  });
+
+  it('should show API errors', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ error: 'Authentication required' }, false));
+    render(<CalendarFeedPanel accessToken="token" />);
+
+    fireEvent.click(screen.getByText('📅 Subscribe in Calendar'));
+
+    expect(await screen.findByText('Authentication required')).toBeInTheDocument();
+  });
+});
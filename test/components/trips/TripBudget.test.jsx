@@ -0,0 +1,91 @@
+/**
+ * TripBudget Component Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import TripBudget from '@/components/trips/TripBudget';
+
+const budget = {
+  settings: { fuelPrice: 4, mpg: 25 },
+  days: [
+    {
+      dayNumber: 1,
+      drivingMiles: 250,
+      entranceFees: [{ parkCode: 'yose', parkName: 'Yosemite', amount: 35 }],
+      lodging: { parkCode: 'yose', parkName: 'Yosemite', nightlyRate: 180, source: 'nearby' },
+    },
+    { dayNumber: 2, drivingMiles: 250, entranceFees: [], lodging: null },
+  ],
+  routed: true,
+  canEdit: true,
+};
+
+const jsonResponse = (data, ok = true) => ({ ok, json: async () => data });
+
+describe('TripBudget', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn().mockResolvedValue(jsonResponse(budget));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should show per-day and total costs', async () => {
+    render(<TripBudget tripId="trip-1" accessToken="token" />);
+
+    expect(await screen.findByText('💵 Cost Estimate')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith('/api/trips/trip-1/budget', {
+      headers: { Authorization: 'Bearer token' },
+    });
+    expect(screen.getByText('Day 1')).toBeInTheDocument();
+    expect(screen.getByText('Day 2')).toBeInTheDocument();
+    // 500 mi at 25 mpg and $4/gal = $80 fuel, + $35 fee + $180 lodging
+    expect(screen.getAllByText('$295')).toHaveLength(2);
+    expect(screen.getByText('$255')).toBeInTheDocument();
+  });
+
+  it('should reprice as the fuel settings change and save them', async () => {
+    render(<TripBudget tripId="trip-1" accessToken="token" />);
+    const mpgInput = await screen.findByLabelText('Vehicle MPG');
+    expect(screen.queryByText('Save')).not.toBeInTheDocument();
+
+    fireEvent.change(mpgInput, { target: { value: '50' } });
+    expect(screen.getAllByText('$255')).toHaveLength(2);
+
+    global.fetch.mockResolvedValueOnce(jsonResponse({ settings: { fuelPrice: 4, mpg: 50 } }));
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(global.fetch).toHaveBeenLastCalledWith('/api/trips/trip-1/budget', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer token' },
+      body: JSON.stringify({ fuelPrice: 4, mpg: 50 }),
+    });
+    await screen.findByLabelText('Vehicle MPG');
+    expect(await screen.findByText('Fuel price ($/gal)')).toBeInTheDocument();
+  });
+
+  it('should show read-only settings to viewers', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ ...budget, canEdit: false }));
+    render(<TripBudget tripId="trip-1" accessToken="token" />);
+
+    expect(await screen.findByText('Fuel at $4.00/gal, 25 mpg')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Vehicle MPG')).not.toBeInTheDocument();
+  });
+
+  it('should note when routing failed', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ ...budget, routed: false }));
+    render(<TripBudget tripId="trip-1" accessToken="token" />);
+
+    expect(await screen.findByText(/Driving distance is unavailable/)).toBeInTheDocument();
+  });
+
+  it('should show API errors', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ error: 'Trip not found' }, false));
+    render(<TripBudget tripId="trip-1" accessToken="token" />);
+
+    expect(await screen.findByText('Trip not found')).toBeInTheDocument();
+  });
+});
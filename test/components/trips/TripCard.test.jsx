@@ -165,4 +165,30 @@ describe('TripCard Edge Cases', () => {
     render(<TripCard trip={longTitleTrip} />);
     expect(screen.getByText(/very long trip title/i)).toBeInTheDocument();
   });
-});
\ No newline at end of file
+});
+
+describe('TripCard Shared Trips', () => {
+  const baseTrip = {
+    id: '123',
+    title: 'Group Trip',
+    origin: 'Denver, CO',
+    startDate: '2025-01-15',
+    endDate: '2025-01-16',
+  };
+
+  it('should show the role and who shared the trip', () => {
+    render(
+      <TripCard
+        trip={{ ...baseTrip, role: 'editor', owner: { username: 'alex', displayName: null } }}
+      />
+    );
+    expect(screen.getByText('editor')).toBeInTheDocument();
+    expect(screen.getByText('Shared by @alex')).toBeInTheDocument();
+  });
+
+  it('should not show a shared badge on owned trips', () => {
+    render(<TripCard trip={{ ...baseTrip, role: 'owner' }} />);
+    expect(screen.queryByText(/Shared by/)).not.toBeInTheDocument();
+    expect(screen.queryByText('owner')).not.toBeInTheDocument();
+  });
+});
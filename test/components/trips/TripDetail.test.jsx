@@ -14,6 +14,30 @@ vi.mock('next/link', () => ({
   default: ({ children, href }) => <a href={href}>{children}</a>,
 }));
 
+// Mock the cost estimate (it fetches on mount; covered by TripBudget.test.jsx)
+vi.mock('@/components/trips/TripBudget', () => ({
+  default: ({ tripId }) => <div data-testid="trip-budget">{tripId}</div>,
+}));
+
+// Mock the park alerts banner (it fetches on mount; covered by ParkAlerts.test.jsx)
+vi.mock('@/components/parks/ParkAlerts', () => ({
+  default: ({ parkCode, compact }) => (
+    <div data-testid="park-alerts" data-park-code={parkCode} data-compact={String(compact)} />
+  ),
+}));
+
+// Mock visitor center hours (fetches on mount; covered by VisitorCenterHours.test.jsx)
+vi.mock('@/components/parks/VisitorCenterHours', () => ({
+  default: ({ parkCode, date, compact }) => (
+    <div
+      data-testid="visitor-center-hours"
+      data-park-code={parkCode}
+      data-date={date}
+      data-compact={String(compact)}
+    />
+  ),
+}));
+
 describe('TripDetail Component', () => {
   const mockTrip = {
     id: 'trip-uuid-123',
@@ -180,6 +204,25 @@ describe('TripDetail Component', () => {
       render(<TripDetail trip={mockTrip} />);
       expect(screen.getByText('hiking')).toBeInTheDocument();
     });
+
+    it("should render compact alerts for the day's park", () => {
+      render(<TripDetail trip={mockTrip} />);
+      const alerts = screen.getByTestId('park-alerts');
+      expect(alerts).toHaveAttribute('data-park-code', 'yose');
+      expect(alerts).toHaveAttribute('data-compact', 'true');
+    });
+
+    it("should render visitor center hours for the day's date", () => {
+      render(
+        <TripDetail
+          trip={{ ...mockTrip, stops: [{ ...mockTrip.stops[0], dayNumber: 2 }] }}
+        />
+      );
+      const hours = screen.getByTestId('visitor-center-hours');
+      expect(hours).toHaveAttribute('data-park-code', 'yose');
+      expect(hours).toHaveAttribute('data-date', '2025-01-16');
+      expect(hours).toHaveAttribute('data-compact', 'true');
+    });
   });
 
   describe('Park Links', () => {
@@ -442,6 +485,131 @@ describe('TripDetail Component', () => {
     });
   });
 
+  describe('Itinerary Editing', () => {
+    it('should not show the edit button without an update handler', () => {
+      render(<TripDetail trip={mockTrip} accessToken="token" />);
+      expect(screen.queryByText('✏️ Edit Itinerary')).not.toBeInTheDocument();
+    });
+
+    it('should switch to the itinerary editor when editing', () => {
+      render(<TripDetail trip={mockTrip} accessToken="token" onTripUpdated={vi.fn()} />);
+
+      fireEvent.click(screen.getByText('✏️ Edit Itinerary'));
+
+      expect(screen.getByText('✓ Done Editing')).toBeInTheDocument();
+      expect(screen.getByTestId('editor-day-1')).toBeInTheDocument();
+      expect(screen.queryByText('Visit Yosemite Valley')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('✓ Done Editing'));
+      expect(screen.getByText('Visit Yosemite Valley')).toBeInTheDocument();
+    });
+  });
+
+  describe('Shared Trips', () => {
+    it('should keep the itinerary read-only for viewers', () => {
+      render(
+        <TripDetail
+          trip={{ ...mockTrip, role: 'viewer' }}
+          accessToken="token"
+          onTripUpdated={vi.fn()}
+        />
+      );
+      expect(screen.queryByText('✏️ Edit Itinerary')).not.toBeInTheDocument();
+      expect(screen.queryByText('🔄 Regenerate day')).not.toBeInTheDocument();
+    });
+
+    it('should let editors edit the itinerary', () => {
+      render(
+        <TripDetail
+          trip={{ ...mockTrip, role: 'editor' }}
+          accessToken="token"
+          onTripUpdated={vi.fn()}
+        />
+      );
+      expect(screen.getByText('✏️ Edit Itinerary')).toBeInTheDocument();
+    });
+  });
+
+  describe('Regenerate Day', () => {
+    it('should only offer day regeneration when the trip is editable', () => {
+      const { rerender } = render(<TripDetail trip={mockTrip} />);
+      expect(screen.queryByText('🔄 Regenerate day')).not.toBeInTheDocument();
+
+      rerender(<TripDetail trip={mockTrip} accessToken="token" onTripUpdated={vi.fn()} />);
+      expect(screen.getByText('🔄 Regenerate day')).toBeInTheDocument();
+    });
+
+    it('should not regenerate when the confirmation is cancelled', () => {
+      const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(false);
+      const fetchSpy = vi.spyOn(global, 'fetch');
+      render(<TripDetail trip={mockTrip} accessToken="token" onTripUpdated={vi.fn()} />);
+
+      fireEvent.click(screen.getByText('🔄 Regenerate day'));
+
+      expect(confirmSpy).toHaveBeenCalled();
+      expect(fetchSpy).not.toHaveBeenCalledWith('/api/ai/trip/day', expect.anything());
+      confirmSpy.mockRestore();
+      fetchSpy.mockRestore();
+    });
+  });
+
+  describe('Cost Estimate', () => {
+    it('should only show the cost estimate when signed in', () => {
+      const { rerender } = render(<TripDetail trip={mockTrip} />);
+      expect(screen.queryByTestId('trip-budget')).not.toBeInTheDocument();
+
+      rerender(<TripDetail trip={mockTrip} accessToken="token" />);
+      expect(screen.getByTestId('trip-budget')).toHaveTextContent('trip-uuid-123');
+    });
+  });
+
+  describe('Offline Weather', () => {
+    it('should show the saved forecast without fetching', () => {
+      const fetchSpy = vi.spyOn(global, 'fetch');
+      const offlineWeather = {
+        yose: {
+          forecast: [
+            { temperature: 61, shortForecast: 'Sunny', windSpeed: '5 mph' },
+            { temperature: 38, shortForecast: 'Clear' },
+          ],
+        },
+      };
+      render(<TripDetail trip={mockTrip} offlineWeather={offlineWeather} />);
+
+      expect(screen.getByText('61°F')).toBeInTheDocument();
+      expect(screen.getByText('Sunny')).toBeInTheDocument();
+      expect(fetchSpy).not.toHaveBeenCalledWith(expect.stringContaining('/api/weather/'));
+      vi.restoreAllMocks();
+    });
+  });
+
+  describe('Calendar Export', () => {
+    it('should only offer calendar export when signed in', () => {
+      const { rerender } = render(<TripDetail trip={mockTrip} />);
+      expect(screen.queryByText('📅 Add to Calendar')).not.toBeInTheDocument();
+
+      rerender(<TripDetail trip={mockTrip} accessToken="token" />);
+      expect(screen.getByText('📅 Add to Calendar')).toBeInTheDocument();
+    });
+
+    it('should show an error when the export fails', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue({
+        ok: false,
+        json: async () => ({ error: 'Not authorized to view this trip' }),
+      });
+      render(<TripDetail trip={mockTrip} accessToken="token" />);
+
+      fireEvent.click(screen.getByText('📅 Add to Calendar'));
+
+      expect(await screen.findByText('Not authorized to view this trip')).toBeInTheDocument();
+      expect(fetchSpy).toHaveBeenCalledWith('/api/trips/trip-uuid-123/ics', {
+        headers: { Authorization: 'Bearer token' },
+      });
+      vi.restoreAllMocks();
+    });
+  });
+
   describe('Day Card Expansion', () => {
     it('should toggle day card expansion on click', () => {
       render(<TripDetail trip={mockTrip} />);
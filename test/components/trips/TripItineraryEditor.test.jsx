@@ -0,0 +1,197 @@
+/**
+ * TripItineraryEditor Component Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import TripItineraryEditor from '@/components/trips/TripItineraryEditor';
+
+const stops = [
+  {
+    id: 'stop-1',
+    dayNumber: 1,
+    orderIndex: 0,
+    parkCode: 'yose',
+    park: { name: 'Yosemite National Park' },
+    morningPlan: 'Valley floor',
+    drivingNotes: '180.0 mi (about 3 h 30 min) from San Francisco, CA.',
+  },
+  {
+    id: 'stop-2',
+    dayNumber: 1,
+    orderIndex: 1,
+    parkCode: 'seki',
+    park: { name: 'Sequoia National Park' },
+  },
+];
+
+const renderEditor = (props = {}) =>
+  render(
+    <TripItineraryEditor
+      tripId="trip-1"
+      stops={stops}
+      startDate="2025-01-15"
+      endDate="2025-01-17"
+      accessToken="token"
+      onTripUpdated={vi.fn()}
+      {...props}
+    />
+  );
+
+const mockResponse = (data, ok = true) => ({ ok, json: async () => data });
+
+describe('TripItineraryEditor', () => {
+  const originalFetch = global.fetch;
+  const originalConfirm = window.confirm;
+
+  beforeEach(() => {
+    global.fetch = vi.fn().mockResolvedValue(mockResponse({ success: true }));
+    window.confirm = vi.fn(() => true);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    window.confirm = originalConfirm;
+    vi.restoreAllMocks();
+  });
+
+  it('should render every trip day including empty ones', () => {
+    renderEditor();
+
+    expect(screen.getByText('Day 1', { selector: 'h3' })).toBeInTheDocument();
+    expect(screen.getByText('Day 3', { selector: 'h3' })).toBeInTheDocument();
+    expect(screen.getAllByText('No parks planned — drop one here.')).toHaveLength(2);
+    expect(screen.getByText(/180.0 mi/)).toBeInTheDocument();
+  });
+
+  it('should save a move to another day and notify the parent', async () => {
+    const onTripUpdated = vi.fn();
+    renderEditor({ onTripUpdated });
+
+    fireEvent.change(screen.getByLabelText('Move Yosemite National Park to day'), {
+      target: { value: '2' },
+    });
+
+    await waitFor(() => expect(onTripUpdated).toHaveBeenCalled());
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('/api/trips/trip-1');
+    expect(options.method).toBe('PATCH');
+    expect(JSON.parse(options.body)).toEqual({
+      stops: [
+        { id: 'stop-2', dayNumber: 1, orderIndex: 0 },
+        { id: 'stop-1', dayNumber: 2, orderIndex: 1 },
+      ],
+    });
+    expect(screen.getByTestId('editor-day-2')).toHaveTextContent('Yosemite National Park');
+  });
+
+  it('should move a stop by dropping it on another day', async () => {
+    renderEditor();
+
+    fireEvent.dragStart(screen.getByText('Sequoia National Park').closest('li'));
+    fireEvent.drop(screen.getByTestId('editor-day-3'));
+
+    await waitFor(() => expect(global.fetch).toHaveBeenCalled());
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).stops).toEqual([
+      { id: 'stop-2', dayNumber: 3, orderIndex: 1 },
+    ]);
+  });
+
+  it('should reorder within a day with the arrow buttons', async () => {
+    renderEditor();
+
+    fireEvent.click(screen.getAllByLabelText('Move up')[1]);
+
+    await waitFor(() => expect(global.fetch).toHaveBeenCalled());
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).stops).toEqual([
+      { id: 'stop-2', dayNumber: 1, orderIndex: 0 },
+      { id: 'stop-1', dayNumber: 1, orderIndex: 1 },
+    ]);
+  });
+
+  it('should restore the previous order and show the error if saving fails', async () => {
+    global.fetch.mockResolvedValue(
+      mockResponse({ error: 'Not authorized to edit this trip' }, false)
+    );
+    renderEditor();
+
+    fireEvent.change(screen.getByLabelText('Move Yosemite National Park to day'), {
+      target: { value: '3' },
+    });
+
+    expect(await screen.findByText('Not authorized to edit this trip')).toBeInTheDocument();
+    expect(screen.getByTestId('editor-day-1')).toHaveTextContent('Yosemite National Park');
+  });
+
+  it('should delete a stop after confirmation', async () => {
+    const onTripUpdated = vi.fn();
+    renderEditor({ onTripUpdated });
+
+    fireEvent.click(screen.getAllByText('🗑️ Remove')[1]);
+
+    expect(window.confirm).toHaveBeenCalledWith('Remove Sequoia National Park from this trip?');
+    await waitFor(() => expect(onTripUpdated).toHaveBeenCalled());
+    expect(global.fetch).toHaveBeenCalledWith(
+      '/api/trips/trip-1/stops/stop-2',
+      expect.objectContaining({ method: 'DELETE' })
+    );
+  });
+
+  it('should not delete when confirmation is cancelled', () => {
+    window.confirm.mockReturnValue(false);
+    renderEditor();
+
+    fireEvent.click(screen.getAllByText('🗑️ Remove')[0]);
+
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should edit and save plans for a stop', async () => {
+    global.fetch.mockResolvedValue(
+      mockResponse({ stop: { id: 'stop-1', morningPlan: 'Mist Trail', afternoonPlan: null } })
+    );
+    renderEditor();
+
+    fireEvent.click(screen.getAllByText('✏️ Plans')[0]);
+    const morning = screen.getByLabelText('🌅 Morning');
+    expect(morning).toHaveValue('Valley floor');
+
+    fireEvent.change(morning, { target: { value: 'Mist Trail' } });
+    fireEvent.click(screen.getByText('Save plans'));
+
+    await waitFor(() => expect(screen.queryByText('Save plans')).not.toBeInTheDocument());
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('/api/trips/trip-1/stops/stop-1');
+    expect(JSON.parse(options.body)).toEqual({
+      morningPlan: 'Mist Trail',
+      afternoonPlan: '',
+      eveningPlan: '',
+    });
+  });
+
+  it('should search for a park and add it to a day', async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    global.fetch.mockImplementation(async (url) =>
+      url.startsWith('/api/parks/search')
+        ? mockResponse({ parks: [{ park_code: 'jotr', full_name: 'Joshua Tree', states: 'CA' }] })
+        : mockResponse({ stop: { id: 'stop-3' } })
+    );
+    const onTripUpdated = vi.fn();
+    renderEditor({ onTripUpdated });
+
+    fireEvent.click(screen.getAllByText('➕ Add park')[1]);
+    fireEvent.change(screen.getByLabelText('Search parks to add to day 2'), {
+      target: { value: 'joshua' },
+    });
+    vi.advanceTimersByTime(300);
+
+    fireEvent.click(await screen.findByText('Joshua Tree'));
+
+    await waitFor(() => expect(onTripUpdated).toHaveBeenCalled());
+    expect(global.fetch).toHaveBeenCalledWith('/api/parks/search?q=joshua&limit=5');
+    const addCall = global.fetch.mock.calls.find(([url]) => url === '/api/trips/trip-1/stops');
+    expect(JSON.parse(addCall[1].body)).toEqual({ parkCode: 'jotr', dayNumber: 2 });
+    vi.useRealTimers();
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * TripMembersPanel Component Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import TripMembersPanel from '@/components/trips/TripMembersPanel';
+
+const OWNER = { userId: 'owner-1', username: 'alex', displayName: 'Alex', role: 'owner' };
+const EDITOR = { userId: 'user-2', username: 'sam_k', displayName: null, role: 'editor' };
+
+const jsonResponse = (data, ok = true) => ({ ok, json: async () => data });
+
+const renderPanel = (props = {}) =>
+  render(
+    <TripMembersPanel tripId="trip-1" accessToken="token" currentUserId="owner-1" {...props} />
+  );
+
+describe('TripMembersPanel', () => {
+  beforeEach(() => {
+    global.fetch = vi
+      .fn()
+      .mockResolvedValue(jsonResponse({ role: 'owner', owner: OWNER, members: [EDITOR] }));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should list the owner and members', async () => {
+    renderPanel();
+
+    expect(await screen.findByText('@sam_k')).toBeInTheDocument();
+    expect(screen.getByText('Alex')).toBeInTheDocument();
+    expect(screen.getByText('(you)')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(
+      '/api/trips/trip-1/members',
+      expect.objectContaining({ method: 'GET' })
+    );
+  });
+
+  it('should invite a user by username', async () => {
+    renderPanel();
+    await screen.findByText('@sam_k');
+    const newMember = { userId: 'user-3', username: 'jo', displayName: 'Jo', role: 'editor' };
+    global.fetch.mockResolvedValue(jsonResponse({ member: newMember }));
+
+    fireEvent.change(screen.getByLabelText('Username to invite'), { target: { value: 'jo' } });
+    fireEvent.change(screen.getByLabelText('Role for invited user'), {
+      target: { value: 'editor' },
+    });
+    fireEvent.click(screen.getByText('Invite'));
+
+    expect(await screen.findByText('Jo')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenLastCalledWith('/api/trips/trip-1/members', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer token' },
+      body: JSON.stringify({ username: 'jo', role: 'editor' }),
+    });
+  });
+
+  it('should show invite errors', async () => {
+    renderPanel();
+    await screen.findByText('@sam_k');
+    global.fetch.mockResolvedValue(jsonResponse({ error: 'User not found' }, false));
+
+    fireEvent.change(screen.getByLabelText('Username to invite'), {
+      target: { value: 'nobody' },
+    });
+    fireEvent.click(screen.getByText('Invite'));
+
+    expect(await screen.findByText('User not found')).toBeInTheDocument();
+  });
+
+  it('should change a member role', async () => {
+    renderPanel();
+    await screen.findByText('@sam_k');
+    global.fetch.mockResolvedValue(jsonResponse({ member: { ...EDITOR, role: 'viewer' } }));
+
+    fireEvent.change(screen.getByLabelText('Role for @sam_k'), { target: { value: 'viewer' } });
+
+    await waitFor(() => expect(screen.getByLabelText('Role for @sam_k')).toHaveValue('viewer'));
+    expect(global.fetch).toHaveBeenLastCalledWith(
+      '/api/trips/trip-1/members/user-2',
+      expect.objectContaining({ method: 'PATCH' })
+    );
+  });
+
+  it('should remove a member after confirmation', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    renderPanel();
+    await screen.findByText('@sam_k');
+    global.fetch.mockResolvedValue(jsonResponse({ success: true }));
+
+    fireEvent.click(screen.getByText('Remove'));
+
+    await waitFor(() => expect(screen.queryByText('@sam_k')).not.toBeInTheDocument());
+    expect(global.fetch).toHaveBeenLastCalledWith(
+      '/api/trips/trip-1/members/user-2',
+      expect.objectContaining({ method: 'DELETE' })
+    );
+  });
+
+  it('should be read-only for members, who can only leave', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    const onLeft = vi.fn();
+    global.fetch.mockResolvedValue(
+      jsonResponse({ role: 'editor', owner: OWNER, members: [EDITOR] })
+    );
+    renderPanel({ currentUserId: 'user-2', onLeft });
+    await screen.findByText('@sam_k');
+
+    expect(screen.queryByLabelText('Username to invite')).not.toBeInTheDocument();
+    expect(screen.queryByText('Remove')).not.toBeInTheDocument();
+
+    global.fetch.mockResolvedValue(jsonResponse({ success: true }));
+    fireEvent.click(screen.getByText('Leave'));
+
+    await waitFor(() => expect(onLeft).toHaveBeenCalled());
+  });
+});
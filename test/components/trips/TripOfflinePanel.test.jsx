@@ -0,0 +1,80 @@
+/**
+ * TripOfflinePanel Component Tests
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import TripOfflinePanel from '@/components/trips/TripOfflinePanel';
+import { buildOfflineTripPack } from '@/lib/trips/trip-offline';
+
+vi.mock('@/lib/trips/trip-offline', () => ({
+  buildOfflineTripPack: vi.fn(),
+}));
+
+const trip = { id: 'trip-1', stops: [] };
+const savedPack = { id: 'trip-1', savedAt: Date.now(), tiles: { count: 420 } };
+
+describe('TripOfflinePanel', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should download and save a pack', async () => {
+    let finish;
+    buildOfflineTripPack.mockImplementation((_trip, { onProgress }) => {
+      onProgress({ stage: 'tiles', done: 10, total: 200 });
+      return new Promise((resolve) => {
+        finish = () => resolve(savedPack);
+      });
+    });
+    const onSave = vi.fn().mockResolvedValue(undefined);
+    render(<TripOfflinePanel trip={trip} savedPack={null} onSave={onSave} onRemove={vi.fn()} />);
+
+    fireEvent.click(screen.getByText('Download for Offline'));
+
+    expect(await screen.findByText('Downloading map tiles (10/200)...')).toBeInTheDocument();
+    expect(buildOfflineTripPack).toHaveBeenCalledWith(trip, expect.any(Object));
+
+    finish();
+    await waitFor(() => expect(onSave).toHaveBeenCalledWith(savedPack));
+    expect(screen.queryByText(/Downloading/)).not.toBeInTheDocument();
+  });
+
+  it('should show the saved copy and remove it', async () => {
+    const onRemove = vi.fn().mockResolvedValue(undefined);
+    render(
+      <TripOfflinePanel trip={trip} savedPack={savedPack} onSave={vi.fn()} onRemove={onRemove} />
+    );
+
+    expect(screen.getByText(/420 map tiles/)).toBeInTheDocument();
+    expect(screen.getByText('Update Offline Copy')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Remove'));
+    await waitFor(() => expect(onRemove).toHaveBeenCalled());
+  });
+
+  it('should not download while offline', () => {
+    render(
+      <TripOfflinePanel
+        trip={trip}
+        savedPack={null}
+        isOnline={false}
+        onSave={vi.fn()}
+        onRemove={vi.fn()}
+      />
+    );
+
+    expect(screen.getByText('Download for Offline')).toBeDisabled();
+    expect(screen.getByText('Connect to the internet to download.')).toBeInTheDocument();
+  });
+
+  it('should show download errors', async () => {
+    buildOfflineTripPack.mockRejectedValue(new Error('quota exceeded'));
+    render(<TripOfflinePanel trip={trip} savedPack={null} onSave={vi.fn()} onRemove={vi.fn()} />);
+
+    fireEvent.click(screen.getByText('Download for Offline'));
+
+    expect(await screen.findByText('Failed to save this trip for offline use')).toBeInTheDocument();
+  });
+});
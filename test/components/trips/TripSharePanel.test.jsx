@@ -0,0 +1,102 @@
+/**
+ * TripSharePanel Component Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import TripSharePanel from '@/components/trips/TripSharePanel';
+
+const TRIP_ID = 'trip-1';
+const activeLink = {
+  enabled: true,
+  url: `https://parklookup.com/trip/${TRIP_ID}?share=abc123`,
+  createdAt: '2025-01-01T00:00:00Z',
+};
+const noLink = { enabled: false, url: null, createdAt: null };
+
+const jsonResponse = (data, ok = true) => ({ ok, json: async () => data });
+
+describe('TripSharePanel', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn().mockResolvedValue(jsonResponse(noLink));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should offer to create a link when sharing is off', async () => {
+    render(<TripSharePanel tripId={TRIP_ID} accessToken="token" />);
+
+    expect(await screen.findByText('Create Share Link')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(`/api/trips/${TRIP_ID}/share`, {
+      method: 'GET',
+      headers: { Authorization: 'Bearer token' },
+    });
+  });
+
+  it('should create a link', async () => {
+    render(<TripSharePanel tripId={TRIP_ID} accessToken="token" />);
+    global.fetch.mockResolvedValueOnce(jsonResponse(activeLink));
+
+    fireEvent.click(await screen.findByText('Create Share Link'));
+
+    expect(await screen.findByLabelText('Share link URL')).toHaveValue(activeLink.url);
+    expect(global.fetch).toHaveBeenLastCalledWith(`/api/trips/${TRIP_ID}/share`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer token' },
+    });
+  });
+
+  it('should show and copy an active link', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(activeLink));
+    const writeText = vi.fn().mockResolvedValue();
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    render(<TripSharePanel tripId={TRIP_ID} accessToken="token" />);
+
+    await screen.findByLabelText('Share link URL');
+    fireEvent.click(screen.getByText('Copy'));
+
+    expect(await screen.findByText('Copied!')).toBeInTheDocument();
+    expect(writeText).toHaveBeenCalledWith(activeLink.url);
+  });
+
+  it('should turn off the link after confirmation', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(activeLink));
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    render(<TripSharePanel tripId={TRIP_ID} accessToken="token" />);
+    await screen.findByLabelText('Share link URL');
+
+    global.fetch.mockResolvedValueOnce(jsonResponse({ success: true }));
+    fireEvent.click(screen.getByText('Turn Off'));
+
+    expect(await screen.findByText('Create Share Link')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenLastCalledWith(`/api/trips/${TRIP_ID}/share`, {
+      method: 'DELETE',
+      headers: { Authorization: 'Bearer token' },
+    });
+  });
+
+  it('should keep the link when reset is cancelled', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(activeLink));
+    vi.spyOn(window, 'confirm').mockReturnValue(false);
+    render(<TripSharePanel tripId={TRIP_ID} accessToken="token" />);
+    await screen.findByLabelText('Share link URL');
+
+    fireEvent.click(screen.getByText('Reset Link'));
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should show API errors', async () => {
+    global.fetch.mockResolvedValue(
+      jsonResponse({ error: 'Only the trip owner can manage the share link' }, false)
+    );
+    render(<TripSharePanel tripId={TRIP_ID} accessToken="token" />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Only the trip owner can manage the share link')).toBeInTheDocument();
+    });
+  });
+});
@@ -140,6 +140,47 @@ describe('useTripStream Hook', () => {
     });
   });
 
+  describe('regenerateDay', () => {
+    it('should stream a single day regeneration and return the day', async () => {
+      const body = [
+        'event: progress\ndata: {"stage":"generating","message":"Replanning day 2..."}\n\n',
+        'event: complete\ndata: {"trip_id":"trip-123","redirect":"/trip/trip-123","title":"Trip","days":3,"day":2}\n\n',
+      ].join('');
+      const encoded = new TextEncoder().encode(body);
+      let read = false;
+
+      mockFetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: new Headers({ 'content-type': 'text/event-stream' }),
+        body: {
+          getReader: () => ({
+            read: async () => {
+              if (read) {
+                return { done: true };
+              }
+              read = true;
+              return { done: false, value: encoded };
+            },
+          }),
+        },
+      });
+
+      const { result } = renderHook(() => useTripStream());
+
+      let response;
+      await act(async () => {
+        response = await result.current.regenerateDay('trip-123', 2, 'test-token');
+      });
+
+      const [url, options] = mockFetch.mock.calls[0];
+      expect(url).toBe('/api/ai/trip/day');
+      expect(JSON.parse(options.body)).toEqual({ tripId: 'trip-123', dayNumber: 2 });
+      expect(response).toMatchObject({ tripId: 'trip-123', day: 2 });
+      expect(result.current.status).toBe(TRIP_STREAM_STATUS.COMPLETE);
+    });
+  });
+
   describe('reset', () => {
     it('should reset all state to initial values', async () => {
       mockFetch.mockResolvedValue({
@@ -22,6 +22,7 @@ vi.mock('openai', () => ({
 import {
   validateTripData,
   prepareParksForPrompt,
+  prepareFixedDaysForPrompt,
   TRIP_INTERESTS,
   DIFFICULTY_LEVELS,
 } from '@/lib/ai/trip-generator';
@@ -199,6 +200,72 @@ describe('Trip Generator', () => {
     });
   });
 
+  describe('validateTripData with expectedDay', () => {
+    const mockParks = [{ park_code: 'yose', full_name: 'Yosemite National Park' }];
+    const dayTripData = {
+      title: 'California Adventure',
+      overall_summary: 'Summary',
+      daily_schedule: [
+        { day: 2, park_code: 'yose', park_name: 'Yosemite National Park', activities: ['hiking'] },
+      ],
+      packing_list: {},
+      safety_notes: [],
+    };
+
+    it('should accept a schedule containing only the expected day', () => {
+      const result = validateTripData(dayTripData, mockParks, { expectedDay: 2 });
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should reject a different day', () => {
+      const result = validateTripData(dayTripData, mockParks, { expectedDay: 3 });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('daily_schedule must contain only day 3');
+    });
+
+    it('should reject extra days', () => {
+      const extra = {
+        ...dayTripData,
+        daily_schedule: [...dayTripData.daily_schedule, { ...dayTripData.daily_schedule[0], day: 3 }],
+      };
+      const result = validateTripData(extra, mockParks, { expectedDay: 2 });
+      expect(result.isValid).toBe(false);
+    });
+  });
+
+  describe('prepareFixedDaysForPrompt', () => {
+    const stops = [
+      {
+        day_number: 1,
+        park_code: 'yose',
+        highlights: 'Half Dome',
+        morning_plan: 'Mist Trail',
+        afternoon_plan: null,
+        evening_plan: 'Glacier Point',
+      },
+      { day_number: 3, park_code: 'unknown' },
+    ];
+
+    it('should format kept days with park names', () => {
+      const result = prepareFixedDaysForPrompt(stops, { yose: 'Yosemite National Park' });
+      expect(result[0]).toEqual({
+        day: 1,
+        park_code: 'yose',
+        park_name: 'Yosemite National Park',
+        highlights: 'Half Dome',
+        morning: 'Mist Trail',
+        afternoon: '',
+        evening: 'Glacier Point',
+      });
+    });
+
+    it('should fall back to the park code when the name is unknown', () => {
+      const result = prepareFixedDaysForPrompt(stops);
+      expect(result[1].park_name).toBe('unknown');
+      expect(result[1].day).toBe(3);
+    });
+  });
+
   describe('prepareParksForPrompt', () => {
     const mockParks = [
       {
@@ -269,6 +336,117 @@ describe('Trip Generator', () => {
       const result = prepareParksForPrompt([parkWithoutActivities]);
       expect(result[0].activities).toEqual([]);
     });
+
+    it('should summarize campgrounds for parks that have them', () => {
+      const campground = {
+        name: 'Upper Pines',
+        total_sites: 238,
+        reservable_sites: 238,
+        first_come_sites: 0,
+        rv_allowed: true,
+        amenities: { toilets: true, showers: false, potable_water: true },
+      };
+      const parkWithCampgrounds = {
+        ...mockParks[0],
+        campgrounds: Array(6).fill(campground),
+      };
+
+      const [result] = prepareParksForPrompt([parkWithCampgrounds]);
+
+      expect(result.campgrounds).toHaveLength(4);
+      expect(result.campgrounds[0]).toEqual({
+        name: 'Upper Pines',
+        sites: 238,
+        reservable: true,
+        first_come: false,
+        rv: true,
+        amenities: ['toilets', 'potable_water'],
+      });
+    });
+
+    it('should omit campgrounds for parks without them', () => {
+      const [result] = prepareParksForPrompt(mockParks);
+      expect(result).not.toHaveProperty('campgrounds');
+    });
+
+    it('should summarize things to do for parks that have them', () => {
+      const thing = {
+        title: 'Hike to Vernal Fall',
+        duration: '3-4 Hours',
+        seasons: ['spring', 'summer'],
+        is_ranger_program: false,
+        is_reservation_required: false,
+      };
+      const parkWithThings = {
+        ...mockParks[0],
+        things_to_do: [
+          { ...thing, title: 'Ranger-led Valley Walk', is_ranger_program: true },
+          ...Array(7).fill(thing),
+        ],
+      };
+
+      const [result] = prepareParksForPrompt([parkWithThings]);
+
+      expect(result.things_to_do).toHaveLength(6);
+      expect(result.things_to_do[0]).toEqual({
+        title: 'Ranger-led Valley Walk',
+        duration: '3-4 Hours',
+        seasons: ['spring', 'summer'],
+        ranger_program: true,
+      });
+      expect(result.things_to_do[1]).toEqual({
+        title: 'Hike to Vernal Fall',
+        duration: '3-4 Hours',
+        seasons: ['spring', 'summer'],
+      });
+    });
+
+    it('should list events on the trip dates', () => {
+      const parkWithEvents = {
+        ...mockParks[0],
+        events: [
+          {
+            title: 'Junior Ranger Walk',
+            start_date: '2025-05-01',
+            end_date: '2025-09-30',
+            dates: ['2025-05-31', '2025-06-02', '2025-06-09'],
+            times: [{ start: '10:00 AM', end: '11:00 AM' }],
+            is_all_day: false,
+            is_ranger_program: true,
+            registration_required: false,
+          },
+          {
+            title: 'Star Party',
+            start_date: '2025-06-20',
+            end_date: '2025-06-20',
+            dates: ['2025-06-20'],
+            times: [{ start: '9:00 PM', end: '11:00 PM' }],
+          },
+        ],
+      };
+
+      const [result] = prepareParksForPrompt([parkWithEvents], {
+        startDate: '2025-06-01',
+        endDate: '2025-06-03',
+      });
+
+      expect(result.events).toEqual([
+        {
+          title: 'Junior Ranger Walk',
+          dates: ['2025-06-02'],
+          times: ['10:00 AM-11:00 AM'],
+          ranger_program: true,
+        },
+      ]);
+    });
+
+    it('should omit events without trip dates', () => {
+      const [result] = prepareParksForPrompt([
+        { ...mockParks[0], events: [{ title: 'Star Party', dates: ['2025-06-20'] }] },
+      ]);
+      expect(result).not.toHaveProperty('events');
+      expect(result).not.toHaveProperty('things_to_do');
+    });
   });
 
   describe('Daily Schedule Validation', () => {
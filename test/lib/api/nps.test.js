@@ -261,6 +261,552 @@ describe('NPS API Fetcher', () => {
     });
   });
 
+  describe('fetchAllAlerts', () => {
+    it('should fetch every page of the alerts endpoint', async () => {
+      const alert = { id: 'alert-1', parkCode: 'yose', title: 'Tioga Road Closed' };
+      global.fetch = vi
+        .fn()
+        .mockResolvedValueOnce({
+          ok: true,
+          json: () => Promise.resolve({ total: '2', limit: '1', start: '0', data: [alert] }),
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: () =>
+            Promise.resolve({ total: '2', limit: '1', start: '1', data: [{ ...alert, id: '2' }] }),
+        });
+
+      const { fetchAllAlerts } = await import('@/lib/api/nps.js');
+      const result = await fetchAllAlerts({ parkCode: 'yose' });
+
+      expect(result).toHaveLength(2);
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('https://developer.nps.gov/api/v1/alerts?parkCode=yose'),
+        expect.any(Object)
+      );
+    });
+
+    it('should stop on an empty page', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ total: '10', limit: '50', start: '0', data: [] }),
+      });
+
+      const { fetchAllAlerts } = await import('@/lib/api/nps.js');
+
+      expect(await fetchAllAlerts()).toEqual([]);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('categorizeAlert', () => {
+    it('should map NPS categories to ours', async () => {
+      const { categorizeAlert } = await import('@/lib/api/nps.js');
+
+      expect(categorizeAlert('Park Closure')).toBe('closure');
+      expect(categorizeAlert('Danger')).toBe('danger');
+      expect(categorizeAlert('Caution')).toBe('caution');
+      expect(categorizeAlert('Information')).toBe('information');
+      expect(categorizeAlert(undefined)).toBe('information');
+    });
+  });
+
+  describe('transformAlertData', () => {
+    it('should transform an NPS alert with an expiry after it was seen', async () => {
+      const { transformAlertData, ALERT_TTL_HOURS } = await import('@/lib/api/nps.js');
+      const seenAt = new Date('2024-06-01T12:00:00Z');
+
+      const transformed = transformAlertData(
+        {
+          id: 'ABC-123',
+          parkCode: 'YOSE',
+          category: 'Park Closure',
+          title: 'Tioga Road Closed',
+          description: 'Closed for the season.',
+          url: '',
+          lastIndexedDate: '2024-05-30 08:15:00.0',
+        },
+        { seenAt }
+      );
+
+      expect(transformed).toEqual({
+        nps_alert_id: 'ABC-123',
+        park_code: 'yose',
+        category: 'closure',
+        nps_category: 'Park Closure',
+        title: 'Tioga Road Closed',
+        description: 'Closed for the season.',
+        url: null,
+        last_indexed_at: new Date('2024-05-30T08:15:00').toISOString(),
+        last_seen_at: '2024-06-01T12:00:00.000Z',
+        expires_at: new Date(seenAt.getTime() + ALERT_TTL_HOURS * 3600 * 1000).toISOString(),
+      });
+    });
+
+    it('should leave an unparseable index date empty', async () => {
+      const { transformAlertData } = await import('@/lib/api/nps.js');
+
+      expect(
+        transformAlertData({ id: '1', parkCode: 'yose', title: 'x', lastIndexedDate: 'soon' })
+          .last_indexed_at
+      ).toBeNull();
+    });
+  });
+
+  describe('sortAlertsBySeverity', () => {
+    it('should sort most severe first, then newest', async () => {
+      const { sortAlertsBySeverity } = await import('@/lib/api/nps.js');
+
+      const sorted = sortAlertsBySeverity([
+        { id: 'info', category: 'information', last_indexed_at: '2024-06-03T00:00:00Z' },
+        { id: 'old-closure', category: 'closure', last_indexed_at: '2024-06-01T00:00:00Z' },
+        { id: 'new-closure', category: 'closure', last_indexed_at: '2024-06-02T00:00:00Z' },
+        { id: 'danger', category: 'danger', last_indexed_at: null },
+      ]);
+
+      expect(sorted.map((alert) => alert.id)).toEqual([
+        'new-closure',
+        'old-closure',
+        'danger',
+        'info',
+      ]);
+    });
+  });
+
+  describe('fetchAllCampgrounds', () => {
+    it('should fetch from the campgrounds endpoint', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () =>
+          Promise.resolve({ total: '1', limit: '50', start: '0', data: [{ id: 'cg-1' }] }),
+      });
+
+      const { fetchAllCampgrounds } = await import('@/lib/api/nps.js');
+      const result = await fetchAllCampgrounds({ parkCode: 'yose' });
+
+      expect(result).toEqual([{ id: 'cg-1' }]);
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('https://developer.nps.gov/api/v1/campgrounds?parkCode=yose'),
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('hasAmenity', () => {
+    it('should treat NPS "no" and "unknown" answers as unavailable', async () => {
+      const { hasAmenity } = await import('@/lib/api/nps.js');
+
+      expect(hasAmenity('Yes - year round')).toBe(true);
+      expect(hasAmenity(['Flush Toilets - seasonal'])).toBe(true);
+      expect(hasAmenity('No water')).toBe(false);
+      expect(hasAmenity('Not accessible')).toBe(false);
+      expect(hasAmenity('Unknown')).toBe(false);
+      expect(hasAmenity(['None'])).toBe(false);
+      expect(hasAmenity('')).toBe(false);
+      expect(hasAmenity(undefined)).toBe(false);
+    });
+  });
+
+  describe('transformCampgroundData', () => {
+    const campground = {
+      id: 'CG-1',
+      parkCode: 'YOSE',
+      name: 'Upper Pines',
+      description: 'Year-round campground in Yosemite Valley.',
+      latitude: '37.7352',
+      longitude: '-119.5625',
+      url: 'https://www.nps.gov/yose/planyourvisit/upperpines.htm',
+      reservationUrl: 'https://www.recreation.gov/camping/campgrounds/232447',
+      reservationInfo: 'Reservations required March through November.',
+      directionsUrl: '',
+      addresses: [{ stateCode: 'CA' }, { stateCode: 'CA' }],
+      campsites: {
+        totalSites: '238',
+        group: '0',
+        electricalHookups: '0',
+        rvOnly: '0',
+        tentOnly: '0',
+      },
+      numberOfSitesReservable: '238',
+      numberOfSitesFirstComeFirstServe: '0',
+      accessibility: {
+        rvAllowed: '1',
+        rvMaxLength: '35',
+        wheelchairAccess: 'Accessible sites available',
+      },
+      amenities: {
+        toilets: ['Flush Toilets - year round'],
+        showers: ['None'],
+        potableWater: ['Yes - year round'],
+        dumpStation: 'Yes - year round',
+        campStore: 'Yes - seasonal',
+        laundry: 'No',
+        cellPhoneReception: 'Unknown',
+        firewoodForSale: 'Yes - seasonal',
+        foodStorageLockers: 'Yes - year round',
+        trashRecyclingCollection: 'Yes - year round',
+      },
+      fees: [{ cost: '36.00', title: 'Campsite' }],
+      operatingHours: [],
+      images: [{ url: 'https://www.nps.gov/upperpines.jpg', altText: 'Campsite' }],
+    };
+
+    it('should transform an NPS campground to database format', async () => {
+      const { transformCampgroundData } = await import('@/lib/api/nps.js');
+      const seenAt = new Date('2024-06-01T12:00:00Z');
+
+      const transformed = transformCampgroundData(campground, { seenAt });
+
+      expect(transformed).toMatchObject({
+        nps_campground_id: 'CG-1',
+        park_code: 'yose',
+        name: 'Upper Pines',
+        states: 'CA',
+        latitude: 37.7352,
+        longitude: -119.5625,
+        directions_url: null,
+        total_sites: 238,
+        reservable_sites: 238,
+        first_come_sites: 0,
+        rv_allowed: true,
+        rv_max_length: 35,
+        wheelchair_accessible: true,
+        last_seen_at: '2024-06-01T12:00:00.000Z',
+      });
+      expect(transformed.amenities).toEqual({
+        toilets: true,
+        showers: false,
+        potable_water: true,
+        dump_station: true,
+        camp_store: true,
+        laundry: false,
+        cell_reception: false,
+        firewood: true,
+        food_storage: true,
+        trash_collection: true,
+      });
+    });
+
+    it('should leave unreported counts empty', async () => {
+      const { transformCampgroundData } = await import('@/lib/api/nps.js');
+
+      const transformed = transformCampgroundData({
+        id: 'CG-2',
+        parkCode: 'yose',
+        name: 'Backcountry',
+        campsites: { totalSites: '' },
+      });
+
+      expect(transformed.total_sites).toBeNull();
+      expect(transformed.reservable_sites).toBeNull();
+      expect(transformed.rv_allowed).toBe(false);
+      expect(transformed.latitude).toBeNull();
+    });
+  });
+
+  describe('fetchAllVisitorCenters', () => {
+    it('should fetch from the visitor centers endpoint', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () =>
+          Promise.resolve({ total: '1', limit: '50', start: '0', data: [{ id: 'vc-1' }] }),
+      });
+
+      const { fetchAllVisitorCenters } = await import('@/lib/api/nps.js');
+      const result = await fetchAllVisitorCenters({ parkCode: 'yose' });
+
+      expect(result).toEqual([{ id: 'vc-1' }]);
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('https://developer.nps.gov/api/v1/visitorcenters?parkCode=yose'),
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('transformVisitorCenterData', () => {
+    it('should transform an NPS visitor center with its time zone', async () => {
+      const { transformVisitorCenterData } = await import('@/lib/api/nps.js');
+      const operatingHours = [
+        {
+          name: 'Visitor Center',
+          standardHours: { monday: '9:00AM - 5:00PM' },
+          exceptions: [{ name: 'Christmas', startDate: '2024-12-25', endDate: '2024-12-25' }],
+        },
+      ];
+
+      const transformed = transformVisitorCenterData(
+        {
+          id: 'VC-1',
+          parkCode: 'BADL',
+          name: 'Ben Reifel Visitor Center',
+          description: 'Main visitor center.',
+          latitude: '43.7497',
+          longitude: '-101.9413',
+          url: 'https://www.nps.gov/badl/planyourvisit/ben-reifel.htm',
+          directionsInfo: 'Located at Cedar Pass.',
+          directionsUrl: '',
+          addresses: [
+            { type: 'Mailing', stateCode: 'SD' },
+            { type: 'Physical', stateCode: 'SD' },
+          ],
+          operatingHours,
+        },
+        { seenAt: new Date('2024-06-01T12:00:00Z') }
+      );
+
+      expect(transformed).toEqual({
+        nps_visitor_center_id: 'VC-1',
+        park_code: 'badl',
+        name: 'Ben Reifel Visitor Center',
+        description: 'Main visitor center.',
+        latitude: 43.7497,
+        longitude: -101.9413,
+        url: 'https://www.nps.gov/badl/planyourvisit/ben-reifel.htm',
+        directions_info: 'Located at Cedar Pass.',
+        directions_url: null,
+        time_zone: 'America/Denver',
+        operating_hours: operatingHours,
+        contacts: {},
+        images: [],
+        last_seen_at: '2024-06-01T12:00:00.000Z',
+      });
+    });
+
+    it('should leave the time zone empty without an address', async () => {
+      const { transformVisitorCenterData } = await import('@/lib/api/nps.js');
+
+      const transformed = transformVisitorCenterData({ id: 'VC-2', parkCode: 'yose', name: 'x' });
+
+      expect(transformed.time_zone).toBeNull();
+      expect(transformed.operating_hours).toEqual([]);
+    });
+  });
+
+  describe('fetchAllThingsToDo', () => {
+    it('should fetch from the things to do endpoint', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () =>
+          Promise.resolve({ total: '1', limit: '50', start: '0', data: [{ id: 'ttd-1' }] }),
+      });
+
+      const { fetchAllThingsToDo } = await import('@/lib/api/nps.js');
+      const result = await fetchAllThingsToDo({ parkCode: 'yose' });
+
+      expect(result).toEqual([{ id: 'ttd-1' }]);
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('https://developer.nps.gov/api/v1/thingstodo?parkCode=yose'),
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('fetchAllEvents', () => {
+    it('should page through events by page number', async () => {
+      global.fetch = vi
+        .fn()
+        .mockResolvedValueOnce({
+          ok: true,
+          json: () => Promise.resolve({ total: '3', data: [{ id: 'e1' }, { id: 'e2' }] }),
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: () => Promise.resolve({ total: '3', data: [{ id: 'e3' }] }),
+        });
+
+      const { fetchAllEvents } = await import('@/lib/api/nps.js');
+      const result = await fetchAllEvents({ dateStart: '2024-07-01', dateEnd: '2024-12-28' });
+
+      expect(result.map((event) => event.id)).toEqual(['e1', 'e2', 'e3']);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      const [firstUrl] = global.fetch.mock.calls[0];
+      const [secondUrl] = global.fetch.mock.calls[1];
+      expect(firstUrl).toContain('/events?');
+      expect(firstUrl).toContain('pageNumber=1');
+      expect(firstUrl).toContain('dateStart=2024-07-01');
+      expect(firstUrl).toContain('dateEnd=2024-12-28');
+      expect(secondUrl).toContain('pageNumber=2');
+    });
+
+    it('should stop on an empty page', async () => {
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ total: '10', data: [] }),
+      });
+
+      const { fetchAllEvents } = await import('@/lib/api/nps.js');
+      const result = await fetchAllEvents();
+
+      expect(result).toEqual([]);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('parseDuration', () => {
+    it('should parse ranges and single durations to minutes', async () => {
+      const { parseDuration } = await import('@/lib/api/nps.js');
+
+      expect(parseDuration('1-2 Hours')).toEqual({ min: 60, max: 120 });
+      expect(parseDuration('30 Minutes')).toEqual({ min: 30, max: 30 });
+      expect(parseDuration('1.5 hrs')).toEqual({ min: 90, max: 90 });
+      expect(parseDuration('2 to 3 Days')).toEqual({ min: 2880, max: 4320 });
+    });
+
+    it('should return null for unreadable durations', async () => {
+      const { parseDuration } = await import('@/lib/api/nps.js');
+
+      expect(parseDuration('Varies')).toBeNull();
+      expect(parseDuration(undefined)).toBeNull();
+    });
+  });
+
+  describe('transformThingToDoData', () => {
+    it('should transform an NPS thing to do', async () => {
+      const { transformThingToDoData } = await import('@/lib/api/nps.js');
+
+      const transformed = transformThingToDoData(
+        {
+          id: 'TTD-1',
+          title: 'Ranger-Guided Walk to Mirror Lake',
+          shortDescription: '<p>Join a ranger&nbsp;on an easy walk.</p>',
+          url: 'https://www.nps.gov/thingstodo/mirror-lake.htm',
+          relatedParks: [{ parkCode: 'YOSE' }, { parkCode: 'yose' }],
+          locationDescription: 'Mirror Lake trailhead',
+          latitude: '37.7459',
+          longitude: '-119.5507',
+          duration: '1-2 Hours',
+          season: ['Spring', 'Summer'],
+          timeOfDay: ['Morning'],
+          activities: [{ id: 'a1', name: 'Guided Tours' }],
+          tags: ['lake'],
+          isReservationRequired: 'false',
+          arePetsPermitted: 'true',
+          doFeesApply: 'false',
+          accessibilityInformation: '<p>Paved for the first mile.</p>',
+          ageDescription: '',
+          images: [{ url: 'a' }, { url: 'b' }, { url: 'c' }, { url: 'd' }],
+        },
+        { seenAt: new Date('2024-06-01T12:00:00Z') }
+      );
+
+      expect(transformed).toEqual({
+        nps_thing_id: 'TTD-1',
+        park_codes: ['yose'],
+        title: 'Ranger-Guided Walk to Mirror Lake',
+        short_description: 'Join a ranger on an easy walk.',
+        url: 'https://www.nps.gov/thingstodo/mirror-lake.htm',
+        location_description: 'Mirror Lake trailhead',
+        latitude: 37.7459,
+        longitude: -119.5507,
+        duration: '1-2 Hours',
+        duration_min_minutes: 60,
+        duration_max_minutes: 120,
+        seasons: ['spring', 'summer'],
+        time_of_day: ['Morning'],
+        activities: ['Guided Tours'],
+        tags: ['lake'],
+        is_ranger_program: true,
+        is_reservation_required: false,
+        are_pets_permitted: true,
+        fees_apply: false,
+        accessibility_information: 'Paved for the first mile.',
+        age_description: null,
+        images: [{ url: 'a' }, { url: 'b' }, { url: 'c' }],
+        last_seen_at: '2024-06-01T12:00:00.000Z',
+      });
+    });
+
+    it('should handle missing fields', async () => {
+      const { transformThingToDoData } = await import('@/lib/api/nps.js');
+
+      const transformed = transformThingToDoData({ id: 'TTD-2', title: 'Stargazing' });
+
+      expect(transformed.park_codes).toEqual([]);
+      expect(transformed.duration_min_minutes).toBeNull();
+      expect(transformed.seasons).toEqual([]);
+      expect(transformed.is_ranger_program).toBe(false);
+      expect(transformed.latitude).toBeNull();
+    });
+  });
+
+  describe('transformEventData', () => {
+    it('should transform an NPS event', async () => {
+      const { transformEventData } = await import('@/lib/api/nps.js');
+
+      const transformed = transformEventData(
+        {
+          id: 'EV-1',
+          sitecode: 'YOSE',
+          title: 'Junior Ranger Walk',
+          description: '<p>Earn your badge &amp; explore.</p>',
+          category: 'Regular Event',
+          types: ['Guided Tour'],
+          tags: ['kids'],
+          location: 'Happy Isles',
+          latitude: '',
+          longitude: '',
+          datestart: '2024-07-01',
+          dateend: '2024-08-31',
+          dates: ['2024-07-08', '2024-07-01', '2024-07-08'],
+          times: [{ timestart: '10:00 AM', timeend: '11:00 AM', sunrisestart: 'false' }],
+          isallday: 'false',
+          isrecurring: 'true',
+          isfree: 'true',
+          feeinfo: '',
+          isregresrequired: 'false',
+          regresinfo: '',
+          regresurl: '',
+          infourl: 'https://www.nps.gov/yose/planyourvisit/events.htm',
+          images: [],
+        },
+        { seenAt: new Date('2024-06-01T12:00:00Z') }
+      );
+
+      expect(transformed).toEqual({
+        nps_event_id: 'EV-1',
+        park_code: 'yose',
+        title: 'Junior Ranger Walk',
+        description: 'Earn your badge & explore.',
+        category: 'Regular Event',
+        types: ['Guided Tour'],
+        tags: ['kids'],
+        location_description: 'Happy Isles',
+        latitude: null,
+        longitude: null,
+        start_date: '2024-07-01',
+        end_date: '2024-08-31',
+        dates: ['2024-07-01', '2024-07-08'],
+        times: [{ start: '10:00 AM', end: '11:00 AM' }],
+        is_all_day: false,
+        is_recurring: true,
+        is_free: true,
+        fee_info: null,
+        registration_required: false,
+        registration_info: null,
+        registration_url: null,
+        info_url: 'https://www.nps.gov/yose/planyourvisit/events.htm',
+        is_ranger_program: true,
+        images: [],
+        last_seen_at: '2024-06-01T12:00:00.000Z',
+      });
+    });
+
+    it('should fall back to the listed dates for the date range', async () => {
+      const { transformEventData } = await import('@/lib/api/nps.js');
+
+      const transformed = transformEventData({
+        id: 'EV-2',
+        sitecode: 'grca',
+        title: 'Star Party',
+        dates: ['2024-06-08', '2024-06-01'],
+      });
+
+      expect(transformed.start_date).toBe('2024-06-01');
+      expect(transformed.end_date).toBe('2024-06-08');
+      expect(transformed.is_ranger_program).toBe(false);
+    });
+  });
+
   describe('NPS_API_BASE_URL', () => {
     it('should export the correct base URL', async () => {
       const { NPS_API_BASE_URL } = await import('@/lib/api/nps.js');
@@ -306,12 +306,24 @@ describe('Trail Utilities', () => {
       expect(dbRecord.name).toBe('Test Trail');
       expect(dbRecord.difficulty).toBe('easy');
       expect(dbRecord.length_meters).toBe(5000);
+      expect(dbRecord.elevation_gain_m).toBe(100);
       expect(dbRecord.park_id).toBe('park-123');
       expect(dbRecord.park_source).toBe('nps');
       expect(dbRecord.geometry).toBe('LINESTRING(-122.4194 37.7749, -122.4094 37.7849)');
       expect(dbRecord.last_seen_at).toBeDefined();
     });
 
+    it('should leave out unknown elevation gain so re-imports keep backfilled values', () => {
+      const dbRecord = prepareForDatabase({
+        source: 'osm',
+        sourceId: 'way/12345',
+        slug: 'test-trail',
+        elevationGainM: null,
+      });
+
+      expect(dbRecord).not.toHaveProperty('elevation_gain_m');
+    });
+
     it('should handle null park association', () => {
       const trail = {
         source: 'osm',
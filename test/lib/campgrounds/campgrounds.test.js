@@ -0,0 +1,205 @@
+/**
+ * Tests for campground queries
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  parseCampgroundFilters,
+  applyCampgroundFilters,
+  getCampgroundsByPark,
+  attachCampgrounds,
+  summarizeCampground,
+} from '@/lib/campgrounds/campgrounds';
+
+/**
+ * Helper to build a chainable campgrounds query resolving to the given result
+ */
+const createMockQuery = (result = { data: [], error: null }) => {
+  const query = {};
+  ['select', 'ilike', 'in', 'contains', 'gt', 'gte', 'eq', 'order'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+describe('campgrounds', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('parseCampgroundFilters', () => {
+    it('should read all filters', () => {
+      const { filters, error } = parseCampgroundFilters(
+        new URLSearchParams(
+          'q=pines&parkCode=YOSE,grca&state=ca&amenities=showers,toilets' +
+            '&reservable=true&firstCome=true&rv=true&accessible=true&minSites=50'
+        )
+      );
+
+      expect(error).toBeNull();
+      expect(filters).toEqual({
+        q: 'pines',
+        parkCodes: ['yose', 'grca'],
+        state: 'CA',
+        amenities: ['showers', 'toilets'],
+        reservable: true,
+        firstCome: true,
+        rv: true,
+        accessible: true,
+        minSites: 50,
+      });
+    });
+
+    it('should default to no filters', () => {
+      const { filters } = parseCampgroundFilters(new URLSearchParams());
+
+      expect(filters).toEqual({
+        q: null,
+        parkCodes: [],
+        state: null,
+        amenities: [],
+        reservable: false,
+        firstCome: false,
+        rv: false,
+        accessible: false,
+        minSites: null,
+      });
+    });
+
+    it('should reject unknown amenities', () => {
+      const { filters, error } = parseCampgroundFilters(
+        new URLSearchParams('amenities=showers,hot_tub')
+      );
+
+      expect(filters).toBeNull();
+      expect(error).toContain('Unknown amenities: hot_tub');
+    });
+
+    it('should reject a non-numeric minSites', () => {
+      const { error } = parseCampgroundFilters(new URLSearchParams('minSites=lots'));
+
+      expect(error).toBe('minSites must be a whole number');
+    });
+  });
+
+  describe('applyCampgroundFilters', () => {
+    it('should apply each filter to the query', () => {
+      const query = createMockQuery();
+      const { filters } = parseCampgroundFilters(
+        new URLSearchParams(
+          'q=pines&parkCode=yose&state=CA&amenities=showers' +
+            '&reservable=true&firstCome=true&rv=true&accessible=true&minSites=50'
+        )
+      );
+
+      applyCampgroundFilters(query, filters);
+
+      expect(query.ilike).toHaveBeenCalledWith('name', '%pines%');
+      expect(query.in).toHaveBeenCalledWith('park_code', ['yose']);
+      expect(query.ilike).toHaveBeenCalledWith('states', '%CA%');
+      expect(query.contains).toHaveBeenCalledWith('amenities', { showers: true });
+      expect(query.gt).toHaveBeenCalledWith('reservable_sites', 0);
+      expect(query.gt).toHaveBeenCalledWith('first_come_sites', 0);
+      expect(query.eq).toHaveBeenCalledWith('rv_allowed', true);
+      expect(query.eq).toHaveBeenCalledWith('wheelchair_accessible', true);
+      expect(query.gte).toHaveBeenCalledWith('total_sites', 50);
+    });
+
+    it('should leave the query alone without filters', () => {
+      const query = createMockQuery();
+
+      applyCampgroundFilters(query, parseCampgroundFilters(new URLSearchParams()).filters);
+
+      ['ilike', 'in', 'contains', 'gt', 'gte', 'eq'].forEach((method) => {
+        expect(query[method]).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('getCampgroundsByPark', () => {
+    it('should group campgrounds by park code', async () => {
+      const query = createMockQuery({
+        data: [
+          { id: '1', park_code: 'yose', name: 'Lower Pines' },
+          { id: '2', park_code: 'grca', name: 'Mather' },
+          { id: '3', park_code: 'yose', name: 'Upper Pines' },
+        ],
+        error: null,
+      });
+      const supabase = { from: vi.fn(() => query) };
+
+      const byPark = await getCampgroundsByPark(supabase, ['YOSE', 'grca', 'yose', null]);
+
+      expect(supabase.from).toHaveBeenCalledWith('campgrounds');
+      expect(query.in).toHaveBeenCalledWith('park_code', ['yose', 'grca']);
+      expect(byPark.yose.map((cg) => cg.id)).toEqual(['1', '3']);
+      expect(byPark.grca.map((cg) => cg.id)).toEqual(['2']);
+    });
+
+    it('should skip the query without park codes', async () => {
+      const supabase = { from: vi.fn() };
+
+      expect(await getCampgroundsByPark(supabase, [null])).toEqual({});
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should throw when the query fails', async () => {
+      const supabase = {
+        from: vi.fn(() => createMockQuery({ data: null, error: { message: 'boom' } })),
+      };
+
+      await expect(getCampgroundsByPark(supabase, ['yose'])).rejects.toThrow(
+        'Failed to fetch campgrounds: boom'
+      );
+    });
+  });
+
+  describe('attachCampgrounds', () => {
+    it('should attach campgrounds to the parks that have them', async () => {
+      const query = createMockQuery({
+        data: [{ id: '1', park_code: 'yose', name: 'Upper Pines' }],
+        error: null,
+      });
+      const supabase = { from: vi.fn(() => query) };
+      const parks = [{ park_code: 'yose' }, { park_code: 'grca' }];
+
+      const result = await attachCampgrounds(supabase, parks);
+
+      expect(result[0].campgrounds).toHaveLength(1);
+      expect(result[1]).toBe(parks[1]);
+    });
+
+    it('should return the parks unchanged when the lookup fails', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const supabase = {
+        from: vi.fn(() => createMockQuery({ data: null, error: { message: 'boom' } })),
+      };
+      const parks = [{ park_code: 'yose' }];
+
+      expect(await attachCampgrounds(supabase, parks)).toBe(parks);
+    });
+  });
+
+  describe('summarizeCampground', () => {
+    it('should list available amenities and site types', () => {
+      expect(
+        summarizeCampground({
+          name: 'Mather',
+          total_sites: 327,
+          reservable_sites: null,
+          first_come_sites: 10,
+          rv_allowed: false,
+          amenities: { toilets: true, showers: false },
+        })
+      ).toEqual({
+        name: 'Mather',
+        sites: 327,
+        reservable: false,
+        first_come: true,
+        rv: false,
+        amenities: ['toilets'],
+      });
+    });
+  });
+});
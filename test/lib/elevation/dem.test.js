@@ -0,0 +1,206 @@
+/**
+ * Tests for DEM Elevation Module
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { writeArrayBuffer } from 'geotiff';
+import {
+  openDemSource,
+  getElevations,
+  resampleLine,
+  buildElevationProfile,
+  correctPointElevations,
+} from '@/lib/elevation/dem';
+
+const NO_DATA = 255;
+
+/**
+ * Write a single-band GeoTIFF tile
+ * @param {string} path - File path
+ * @param {Object} options
+ * @param {number} options.width - Width in pixels
+ * @param {number} options.height - Height in pixels
+ * @param {number} options.west - Longitude of the left edge
+ * @param {number} options.north - Latitude of the top edge
+ * @param {number} options.resolution - Degrees per pixel
+ * @param {Function} options.value - Elevation for pixel (x, y)
+ */
+const writeTile = async (path, { width, height, west, north, resolution, value }) => {
+  const values = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      values.push(value(x, y));
+    }
+  }
+
+  const buffer = writeArrayBuffer(values, {
+    width,
+    height,
+    ModelPixelScale: [resolution, resolution, 0],
+    ModelTiepoint: [0, 0, 0, west, north, 0],
+    GeographicTypeGeoKey: 4326,
+    GDAL_NODATA: String(NO_DATA),
+  });
+  await writeFile(path, Buffer.from(buffer));
+};
+
+/**
+ * Center of a pixel in the 3x3 test tile
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {{lat: number, lng: number}}
+ */
+const pixelCenter = (x, y) => ({ lat: 38 - 0.005 - y * 0.01, lng: -120 + 0.005 + x * 0.01 });
+
+describe('DEM Elevation', () => {
+  let dir;
+  let source;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'dem-test-'));
+
+    // 3x3 tile rising 10 m per column and 100 m per row (southward), with
+    // one missing pixel
+    await writeTile(join(dir, 'coarse.tif'), {
+      width: 3,
+      height: 3,
+      west: -120,
+      north: 38,
+      resolution: 0.01,
+      value: (x, y) => (x === 2 && y === 2 ? NO_DATA : 10 * x + 100 * y),
+    });
+
+    // Finer tile over the top-left pixel only, at a constant 7 m
+    await writeTile(join(dir, 'fine.tiff'), {
+      width: 2,
+      height: 2,
+      west: -120,
+      north: 38,
+      resolution: 0.002,
+      value: () => 7,
+    });
+
+    await writeFile(join(dir, 'README.txt'), 'not a tile');
+    source = await openDemSource(dir);
+  });
+
+  afterAll(async () => {
+    await source?.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('openDemSource', () => {
+    it('should load GeoTIFF tiles, finest resolution first', () => {
+      expect(source.tiles).toHaveLength(2);
+      expect(source.tiles[0].path).toContain('fine.tiff');
+      expect(source.tiles[1]).toMatchObject({ width: 3, height: 3, noData: NO_DATA });
+    });
+
+    it('should return null without tiles', async () => {
+      const emptyDir = join(dir, 'empty');
+      await mkdir(emptyDir);
+
+      expect(await openDemSource(emptyDir)).toBeNull();
+      expect(await openDemSource(join(dir, 'missing'))).toBeNull();
+    });
+  });
+
+  describe('getElevations', () => {
+    it('should read pixel values at pixel centers', async () => {
+      const elevations = await getElevations(source, [pixelCenter(1, 1), pixelCenter(2, 0)]);
+
+      expect(elevations).toEqual([110, 20]);
+    });
+
+    it('should interpolate between pixels', async () => {
+      const between = { lat: pixelCenter(1, 1).lat, lng: -120 + 0.02 };
+
+      const [elevation] = await getElevations(source, [between]);
+
+      expect(elevation).toBeCloseTo(115);
+    });
+
+    it('should prefer the finer tile where tiles overlap', async () => {
+      const [elevation] = await getElevations(source, [{ lat: 37.999, lng: -119.999 }]);
+
+      expect(elevation).toBe(7);
+    });
+
+    it('should skip missing pixels and locations outside coverage', async () => {
+      const elevations = await getElevations(source, [pixelCenter(2, 2), { lat: 40, lng: -100 }]);
+
+      expect(elevations).toEqual([null, null]);
+    });
+
+    it('should return nulls without a DEM source', async () => {
+      expect(await getElevations(null, [pixelCenter(1, 1)])).toEqual([null]);
+    });
+  });
+
+  describe('resampleLine', () => {
+    it('should sample at a fixed spacing, including both ends', () => {
+      // ~111 m due north
+      const samples = resampleLine(
+        [
+          [-120, 37],
+          [-120, 37.001],
+        ],
+        30
+      );
+
+      expect(samples.map((sample) => Math.round(sample.distance))).toEqual([0, 30, 60, 90, 111]);
+      expect(samples[1].lat).toBeCloseTo(37 + 0.001 * (30 / 111.19), 6);
+    });
+
+    it('should return no samples for an empty line', () => {
+      expect(resampleLine([])).toEqual([]);
+    });
+  });
+
+  describe('buildElevationProfile', () => {
+    it('should calculate gain, loss, and a profile along a line', async () => {
+      // Down the middle column (north to south), then back up a little
+      const profile = await buildElevationProfile(source, [
+        [pixelCenter(1, 0).lng, pixelCenter(1, 0).lat],
+        [pixelCenter(1, 2).lng, pixelCenter(1, 2).lat],
+        [pixelCenter(1, 1).lng, pixelCenter(1, 1).lat],
+      ]);
+
+      expect(profile.gainM).toBeCloseTo(200, 0);
+      expect(profile.lossM).toBeCloseTo(100, 0);
+      expect(profile.minM).toBeCloseTo(10, 0);
+      expect(profile.maxM).toBeCloseTo(210, 0);
+      expect(profile.profile[0]).toEqual([0, 10]);
+      expect(profile.profile[profile.profile.length - 1][1]).toBe(110);
+    });
+
+    it('should return null for lines outside DEM coverage', async () => {
+      const profile = await buildElevationProfile(source, [
+        [-100, 40],
+        [-100, 40.01],
+      ]);
+
+      expect(profile).toBeNull();
+    });
+  });
+
+  describe('correctPointElevations', () => {
+    it('should replace altitudes the DEM covers and keep the rest', async () => {
+      const { lat, lng } = pixelCenter(1, 1);
+      const points = [
+        { latitude: lat, longitude: lng, altitude_m: 500 },
+        { latitude: 40, longitude: -100, altitude_m: 500 },
+      ];
+
+      const corrected = await correctPointElevations(source, points);
+
+      expect(corrected[0].altitude_m).toBe(110);
+      expect(corrected[1]).toBe(points[1]);
+      expect(points[0].altitude_m).toBe(500);
+    });
+  });
+});
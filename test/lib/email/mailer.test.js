@@ -0,0 +1,254 @@
+/**
+ * Mailer Tests
+ * Tests for message formatting, the mailer, and the SMTP transport
+ */
+
+import net from 'node:net';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  formatMessage,
+  createMailer,
+  createSmtpTransport,
+  createConsoleTransport,
+  createTransportFromEnv,
+} from '@/lib/email/mailer';
+
+/**
+ * Start a minimal SMTP server that records what it receives
+ * @param {Object} [options]
+ * @param {string[]} [options.extensions] - Extensions advertised in the EHLO reply
+ */
+const startSmtpServer = ({ extensions = ['AUTH PLAIN'] } = {}) =>
+  new Promise((resolve) => {
+    const received = { commands: [], data: '' };
+    const server = net.createServer((socket) => {
+      let buffer = '';
+      let inData = false;
+      socket.write('220 test\r\n');
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString();
+        const lines = buffer.split('\r\n');
+        buffer = lines.pop();
+        lines.forEach((line) => {
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              socket.write('250 queued\r\n');
+            } else {
+              received.data += `${line}\n`;
+            }
+            return;
+          }
+          received.commands.push(line);
+          if (line.startsWith('EHLO')) {
+            const lines = ['test', ...extensions];
+            socket.write(
+              lines.map((text, i) => `250${i < lines.length - 1 ? '-' : ' '}${text}\r\n`).join('')
+            );
+          } else if (line === 'STARTTLS') {
+            socket.write('454 TLS not available\r\n');
+          } else if (line.startsWith('AUTH')) {
+            socket.write('235 ok\r\n');
+          } else if (line === 'DATA') {
+            inData = true;
+            socket.write('354 go\r\n');
+          } else if (line.startsWith('RCPT') && line.includes('bounce@')) {
+            socket.write('550 no such user\r\n');
+          } else if (line === 'QUIT') {
+            socket.end('221 bye\r\n');
+          } else {
+            socket.write('250 ok\r\n');
+          }
+        });
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, received }));
+  });
+
+describe('mailer', () => {
+  let server;
+
+  afterEach(() => {
+    server?.close();
+    server = null;
+  });
+
+  describe('formatMessage', () => {
+    it('should build headers and a CRLF body with leading dots escaped', () => {
+      const raw = formatMessage(
+        {
+          from: 'ParkLookup <alerts@parklookup.com>',
+          to: ['sam@example.com'],
+          subject: 'Overdue',
+          text: 'Line one\n.hidden',
+        },
+        new Date('2025-06-01T18:00:00Z')
+      );
+
+      expect(raw).toContain('From: ParkLookup <alerts@parklookup.com>\r\n');
+      expect(raw).toContain('To: sam@example.com\r\n');
+      expect(raw).toContain('Subject: Overdue\r\n');
+      expect(raw).toContain('Date: Sun, 01 Jun 2025 18:00:00 GMT\r\n');
+      expect(raw).toMatch(/Message-ID: <[^@]+@parklookup\.com>/);
+      expect(raw.endsWith('\r\n\r\nLine one\r\n..hidden')).toBe(true);
+    });
+
+    it('should encode non-ASCII subjects', () => {
+      const raw = formatMessage({
+        from: 'a@example.com',
+        to: ['b@example.com'],
+        subject: 'Sí',
+        text: '',
+      });
+
+      expect(raw).toContain(`Subject: =?UTF-8?B?${Buffer.from('Sí').toString('base64')}?=`);
+    });
+
+    it('should keep line breaks in the subject from starting new headers', () => {
+      const raw = formatMessage({
+        from: 'a@example.com',
+        to: ['b@example.com'],
+        subject: 'Sam\r\nBcc: attacker@example.com is overdue',
+        text: '',
+      });
+
+      expect(raw).toContain('Subject: Sam Bcc: attacker@example.com is overdue\r\n');
+      expect(raw).not.toMatch(/^Bcc:/m);
+    });
+
+    it('should reject addresses with line breaks', () => {
+      expect(() =>
+        formatMessage({
+          from: 'a@example.com',
+          to: ['b@example.com\r\nBcc: attacker@example.com'],
+          subject: 'Hi',
+          text: '',
+        })
+      ).toThrow('Invalid email address');
+    });
+  });
+
+  describe('createMailer', () => {
+    it('should hand the formatted message to the transport', async () => {
+      const transport = { send: vi.fn().mockResolvedValue() };
+      const mailer = createMailer({ transport, from: 'alerts@parklookup.com' });
+
+      await mailer.send({ to: 'sam@example.com', subject: 'Hi', text: 'Hello' });
+
+      const [message] = transport.send.mock.calls[0];
+      expect(message.from).toBe('alerts@parklookup.com');
+      expect(message.to).toEqual(['sam@example.com']);
+      expect(message.raw).toContain('Subject: Hi');
+    });
+
+    it('should require a recipient', async () => {
+      const mailer = createMailer({ transport: { send: vi.fn() } });
+
+      await expect(mailer.send({ to: [], subject: 'Hi', text: '' })).rejects.toThrow(
+        'at least one recipient'
+      );
+    });
+  });
+
+  describe('createTransportFromEnv', () => {
+    it('should default to SMTP and allow the console transport', () => {
+      expect(createTransportFromEnv({}).name).toBe('smtp');
+      expect(createTransportFromEnv({ MAIL_TRANSPORT: 'console' }).name).toBe('console');
+    });
+  });
+
+  describe('createConsoleTransport', () => {
+    it('should log the message', async () => {
+      const logger = { info: vi.fn() };
+
+      await createConsoleTransport(logger).send({ raw: 'Subject: Hi' });
+
+      expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Subject: Hi'));
+    });
+  });
+
+  describe('createSmtpTransport', () => {
+    it('should deliver a message over SMTP', async () => {
+      const started = await startSmtpServer();
+      ({ server } = started);
+      const transport = createSmtpTransport({
+        host: '127.0.0.1',
+        port: server.address().port,
+        user: 'user',
+        pass: 'secret',
+      });
+
+      await createMailer({ transport, from: 'Alerts <alerts@parklookup.com>' }).send({
+        to: ['sam@example.com', 'jo@example.com'],
+        subject: 'Overdue',
+        text: 'Hello\n.dot',
+      });
+
+      expect(started.received.commands).toEqual([
+        'EHLO parklookup.com',
+        `AUTH PLAIN ${Buffer.from('\0user\0secret').toString('base64')}`,
+        'MAIL FROM:<alerts@parklookup.com>',
+        'RCPT TO:<sam@example.com>',
+        'RCPT TO:<jo@example.com>',
+        'DATA',
+        'QUIT',
+      ]);
+      expect(started.received.data).toContain('Subject: Overdue\n');
+      expect(started.received.data).toContain('Hello\n..dot\n');
+    });
+
+    it('should upgrade with STARTTLS when the server offers it', async () => {
+      const started = await startSmtpServer({ extensions: ['STARTTLS', 'AUTH PLAIN'] });
+      ({ server } = started);
+      const transport = createSmtpTransport({
+        host: '127.0.0.1',
+        port: server.address().port,
+        user: 'user',
+        pass: 'secret',
+      });
+
+      await expect(
+        createMailer({ transport, from: 'alerts@parklookup.com' }).send({
+          to: 'sam@example.com',
+          subject: 'Overdue',
+          text: 'Hello',
+        })
+      ).rejects.toThrow('SMTP 454: TLS not available');
+      expect(started.received.commands).toEqual(['EHLO parklookup.com', 'STARTTLS']);
+    });
+
+    it('should not send credentials without TLS to a remote server', async () => {
+      const started = await startSmtpServer();
+      ({ server } = started);
+      const transport = createSmtpTransport({
+        host: '127.0.0.1',
+        port: server.address().port,
+        user: 'user',
+        pass: 'secret',
+        allowInsecureAuth: false,
+      });
+
+      await expect(
+        createMailer({ transport, from: 'alerts@parklookup.com' }).send({
+          to: 'sam@example.com',
+          subject: 'Overdue',
+          text: 'Hello',
+        })
+      ).rejects.toThrow('Refusing to send SMTP credentials to 127.0.0.1 without TLS');
+      expect(started.received.commands).toEqual(['EHLO parklookup.com']);
+    });
+
+    it('should reject when the server refuses a recipient', async () => {
+      ({ server } = await startSmtpServer());
+      const transport = createSmtpTransport({ host: '127.0.0.1', port: server.address().port });
+
+      await expect(
+        createMailer({ transport, from: 'alerts@parklookup.com' }).send({
+          to: 'bounce@example.com',
+          subject: 'Overdue',
+          text: 'Hello',
+        })
+      ).rejects.toThrow('SMTP 550: no such user');
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Tests for content-hash upserts
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  stableStringify,
+  hashRecord,
+  diffByHash,
+  upsertChangedRecords,
+  formatDiffReport,
+} from '@/lib/import/content-hash';
+
+/**
+ * Helper to build a chainable query resolving to the given result
+ */
+const createMockQuery = (result = { data: [], error: null }) => {
+  const query = {};
+  ['select', 'eq', 'in', 'update'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.upsert = vi.fn(() => Promise.resolve({ error: null }));
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+/**
+ * Helper to build a Supabase client whose table holds the given rows
+ */
+const createMockSupabase = (storedRows) => {
+  const query = createMockQuery({ data: storedRows, error: null });
+  return { from: vi.fn(() => query), query };
+};
+
+const yose = { park_code: 'yose', full_name: 'Yosemite National Park' };
+const zion = { park_code: 'zion', full_name: 'Zion National Park' };
+const grca = { park_code: 'grca', full_name: 'Grand Canyon National Park' };
+
+describe('content hash', () => {
+  describe('stableStringify', () => {
+    it('should serialize objects the same regardless of key order', () => {
+      expect(stableStringify({ b: 1, a: { d: [1, 2], c: null } })).toBe(
+        stableStringify({ a: { c: null, d: [1, 2] }, b: 1 })
+      );
+    });
+
+    it('should drop undefined fields', () => {
+      expect(stableStringify({ a: 1, b: undefined })).toBe('{"a":1}');
+    });
+  });
+
+  describe('hashRecord', () => {
+    it('should ignore volatile fields', () => {
+      expect(hashRecord({ ...yose, id: 'x', last_seen_at: '2024-06-01' })).toBe(hashRecord(yose));
+    });
+
+    it('should change when content changes', () => {
+      expect(hashRecord({ ...yose, full_name: 'Yosemite' })).not.toBe(hashRecord(yose));
+    });
+  });
+
+  describe('diffByHash', () => {
+    it('should sort records into new, changed, and unchanged', () => {
+      const records = [yose, zion, grca].map((park) => ({
+        ...park,
+        content_hash: hashRecord(park),
+      }));
+      const existing = new Map([
+        [JSON.stringify(['yose']), hashRecord(yose)],
+        [JSON.stringify(['zion']), 'stale'],
+      ]);
+
+      const diff = diffByHash(records, existing, 'park_code');
+
+      expect(diff.unchanged.map((r) => r.park_code)).toEqual(['yose']);
+      expect(diff.updated.map((r) => r.park_code)).toEqual(['zion']);
+      expect(diff.inserted.map((r) => r.park_code)).toEqual(['grca']);
+    });
+  });
+
+  describe('upsertChangedRecords', () => {
+    const storedRows = [
+      { park_code: 'yose', content_hash: hashRecord(yose) },
+      { park_code: 'zion', content_hash: 'stale' },
+    ];
+
+    it('should only upsert new and changed records', async () => {
+      const supabase = createMockSupabase(storedRows);
+
+      const results = await upsertChangedRecords(supabase, 'nps_parks', [yose, zion, grca], {
+        key: 'park_code',
+      });
+
+      expect(supabase.query.in).toHaveBeenCalledWith('park_code', ['yose', 'zion', 'grca']);
+      expect(supabase.query.upsert).toHaveBeenCalledTimes(1);
+      const [written, options] = supabase.query.upsert.mock.calls[0];
+      expect(written.map((r) => r.park_code)).toEqual(['grca', 'zion']);
+      expect(written[0].content_hash).toBe(hashRecord(grca));
+      expect(options).toEqual({ onConflict: 'park_code' });
+      expect(results).toMatchObject({ inserted: 1, updated: 1, unchanged: 1, errors: [] });
+    });
+
+    it('should not write anything in a dry run', async () => {
+      const supabase = createMockSupabase(storedRows);
+
+      const results = await upsertChangedRecords(supabase, 'nps_parks', [yose, zion, grca], {
+        key: 'park_code',
+        dryRun: true,
+      });
+
+      expect(supabase.query.upsert).not.toHaveBeenCalled();
+      expect(supabase.query.update).not.toHaveBeenCalled();
+      expect(results).toMatchObject({ inserted: 1, updated: 1, unchanged: 1 });
+    });
+
+    it('should leave touch columns out of the hash and stamp them on unchanged records', async () => {
+      const supabase = createMockSupabase(storedRows);
+      const seenYose = { ...yose, expires_at: '2024-06-08' };
+
+      const results = await upsertChangedRecords(supabase, 'nps_parks', [seenYose], {
+        key: 'park_code',
+        touch: ['expires_at'],
+      });
+
+      expect(results.unchanged).toBe(1);
+      expect(supabase.query.upsert).not.toHaveBeenCalled();
+      expect(supabase.query.update).toHaveBeenCalledWith({ expires_at: '2024-06-08' });
+    });
+
+    it('should match composite keys on every key field', async () => {
+      const trail = { source: 'osm', source_id: 'way/1', name: 'Mist Trail' };
+      const supabase = createMockSupabase([
+        { source: 'osm', source_id: 'way/1', content_hash: hashRecord(trail) },
+      ]);
+
+      const results = await upsertChangedRecords(supabase, 'trails', [trail], {
+        key: 'source,source_id',
+      });
+
+      expect(supabase.query.eq).toHaveBeenCalledWith('source', 'osm');
+      expect(supabase.query.in).toHaveBeenCalledWith('source_id', ['way/1']);
+      expect(results.unchanged).toBe(1);
+    });
+
+    it('should collect upsert errors', async () => {
+      const supabase = createMockSupabase([]);
+      supabase.query.upsert.mockResolvedValue({ error: { message: 'violates constraint' } });
+
+      const results = await upsertChangedRecords(supabase, 'nps_parks', [yose], {
+        key: 'park_code',
+      });
+
+      expect(results.inserted).toBe(0);
+      expect(results.errors).toEqual([{ batch: 0, error: 'violates constraint' }]);
+    });
+
+    it('should throw when stored hashes cannot be read', async () => {
+      const supabase = {
+        from: vi.fn(() => createMockQuery({ data: null, error: { message: 'no column' } })),
+      };
+
+      await expect(
+        upsertChangedRecords(supabase, 'nps_parks', [yose], { key: 'park_code' })
+      ).rejects.toThrow('Failed to read nps_parks content hashes: no column');
+    });
+  });
+
+  describe('formatDiffReport', () => {
+    it('should summarize and list changed records', () => {
+      const lines = formatDiffReport(
+        { inserted: [grca, zion], updated: [yose], unchanged: [] },
+        { label: (park) => park.full_name, limit: 1 }
+      );
+
+      expect(lines).toEqual([
+        '2 new, 1 changed, 0 unchanged',
+        '  + Grand Canyon National Park',
+        '  + ... and 1 more',
+        '  ~ Yosemite National Park',
+      ]);
+    });
+  });
+});
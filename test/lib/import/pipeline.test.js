@@ -0,0 +1,284 @@
+/**
+ * Tests for the import pipeline
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  IMPORT_STEPS,
+  parseSince,
+  parsePipelineArgs,
+  planSteps,
+  runPipeline,
+} from '@/lib/import/pipeline';
+
+/**
+ * Helper to build a Supabase client. Reads resolve to the queued results in
+ * order; inserts and updates are recorded.
+ */
+const createMockSupabase = (reads = []) => {
+  const inserts = [];
+  const updates = [];
+  const from = vi.fn(() => {
+    let kind = 'read';
+    const query = {};
+    ['select', 'eq', 'in', 'order', 'limit'].forEach((method) => {
+      query[method] = vi.fn(() => query);
+    });
+    query.insert = vi.fn((row) => {
+      inserts.push(row);
+      kind = 'write';
+      return query;
+    });
+    query.update = vi.fn((row) => {
+      updates.push(row);
+      kind = 'write';
+      return query;
+    });
+    query.single = vi.fn(() =>
+      Promise.resolve({ data: { id: `log-${inserts.length}` }, error: null })
+    );
+    query.then = (resolve, reject) =>
+      Promise.resolve(
+        kind === 'read' ? (reads.shift() ?? { data: [], error: null }) : { error: null }
+      ).then(resolve, reject);
+    return query;
+  });
+  return { from, inserts, updates };
+};
+
+const steps = [
+  { id: 'nps', name: 'NPS Import', script: 'import-nps.js', dryRun: true },
+  { id: 'link', name: 'Park Linking', script: 'link-parks.js' },
+  {
+    id: 'trails',
+    name: 'Trail Import',
+    script: 'import-trails.js',
+    optional: '--with-trails',
+    dryRun: true,
+    resumable: true,
+  },
+];
+
+const now = new Date('2024-06-10T12:00:00Z');
+const options = (overrides = {}) => ({
+  only: [],
+  since: null,
+  resume: false,
+  dryRun: false,
+  flags: [],
+  ...overrides,
+});
+const report = { source: 'nps_parks', fetched: 3, inserted: 1, updated: 1, unchanged: 1 };
+
+describe('import pipeline', () => {
+  describe('parseSince', () => {
+    it('should parse durations ago', () => {
+      expect(parseSince('12h', now).toISOString()).toBe('2024-06-10T00:00:00.000Z');
+      expect(parseSince('7d', now).toISOString()).toBe('2024-06-03T12:00:00.000Z');
+      expect(parseSince('30m', now).toISOString()).toBe('2024-06-10T11:30:00.000Z');
+    });
+
+    it('should parse dates', () => {
+      expect(parseSince('2024-06-01', now).toISOString()).toBe('2024-06-01T00:00:00.000Z');
+    });
+
+    it('should reject anything else', () => {
+      expect(() => parseSince('yesterday', now)).toThrow('Invalid --since value "yesterday"');
+    });
+  });
+
+  describe('parsePipelineArgs', () => {
+    it('should parse options in both --flag=value and --flag value forms', () => {
+      const parsed = parsePipelineArgs(
+        ['--only=nps,trails', '--since', '1d', '--dry-run', '--with-blm'],
+        { now }
+      );
+
+      expect(parsed).toEqual({
+        only: ['nps', 'trails'],
+        since: new Date('2024-06-09T12:00:00Z'),
+        resume: false,
+        dryRun: true,
+        flags: ['--with-blm'],
+      });
+    });
+
+    it('should reject unknown steps', () => {
+      expect(() => parsePipelineArgs(['--only', 'nps,parks'])).toThrow(
+        'Unknown import step(s): parks'
+      );
+    });
+
+    it('should require a value for --only', () => {
+      expect(() => parsePipelineArgs(['--only'])).toThrow('--only requires a value');
+    });
+  });
+
+  describe('planSteps', () => {
+    it('should include optional steps only with their flag', () => {
+      expect(planSteps(steps, options()).map((s) => s.id)).toEqual(['nps', 'link']);
+      expect(planSteps(steps, options({ flags: ['--with-trails'] })).map((s) => s.id)).toEqual([
+        'nps',
+        'link',
+        'trails',
+      ]);
+    });
+
+    it('should run only the named steps, in run order', () => {
+      expect(planSteps(steps, options({ only: ['trails', 'nps'] })).map((s) => s.id)).toEqual([
+        'nps',
+        'trails',
+      ]);
+    });
+
+    it('should know every import script', () => {
+      expect(IMPORT_STEPS.map((s) => s.id)).toContain('blm');
+      expect(new Set(IMPORT_STEPS.map((s) => s.id)).size).toBe(IMPORT_STEPS.length);
+    });
+  });
+
+  describe('runPipeline', () => {
+    it('should run steps in order and record each in import_logs', async () => {
+      const supabase = createMockSupabase();
+      const runStep = vi.fn().mockResolvedValue([report]);
+
+      const { runId, results } = await runPipeline({
+        supabase,
+        steps,
+        options: options(),
+        runStep,
+        createRunId: () => 'run-1',
+      });
+
+      expect(runId).toBe('run-1');
+      expect(runStep.mock.calls.map(([step]) => step.id)).toEqual(['nps', 'link']);
+      expect(results.map((r) => r.status)).toEqual(['completed', 'completed']);
+      expect(supabase.inserts[0]).toMatchObject({
+        source: 'import_pipeline',
+        status: 'started',
+        metadata: { run_id: 'run-1', step: 'nps', plan: ['nps', 'link'] },
+      });
+      expect(supabase.updates[0]).toMatchObject({
+        status: 'completed',
+        records_fetched: 3,
+        records_inserted: 1,
+        records_updated: 1,
+        metadata: { step: 'nps', unchanged: 1, sources: ['nps_parks'] },
+      });
+    });
+
+    it('should stop at the first failure', async () => {
+      const supabase = createMockSupabase();
+      const runStep = vi.fn().mockRejectedValue(new Error('NPS Import exited with code 1'));
+
+      const { results } = await runPipeline({ supabase, steps, options: options(), runStep });
+
+      expect(runStep).toHaveBeenCalledTimes(1);
+      expect(results).toEqual([
+        expect.objectContaining({ status: 'failed', error: 'NPS Import exited with code 1' }),
+      ]);
+      expect(supabase.updates[0]).toMatchObject({
+        status: 'failed',
+        error_message: 'NPS Import exited with code 1',
+      });
+    });
+
+    it('should skip steps completed since the cutoff', async () => {
+      const supabase = createMockSupabase([
+        {
+          data: [
+            { completed_at: '2024-06-10T06:00:00Z', metadata: { step: 'nps' } },
+            { completed_at: '2024-06-01T06:00:00Z', metadata: { step: 'link' } },
+          ],
+          error: null,
+        },
+      ]);
+      const runStep = vi.fn().mockResolvedValue([]);
+
+      const { results } = await runPipeline({
+        supabase,
+        steps,
+        options: options({ since: parseSince('1d', now) }),
+        runStep,
+      });
+
+      expect(results[0]).toMatchObject({
+        status: 'skipped',
+        reason: 'completed 2024-06-10T06:00:00Z',
+      });
+      expect(runStep.mock.calls.map(([step]) => step.id)).toEqual(['link']);
+      expect(supabase.inserts[0].metadata.plan).toEqual(['link']);
+    });
+
+    it('should resume the last run from its unfinished steps', async () => {
+      const plan = ['nps', 'link', 'trails'];
+      const supabase = createMockSupabase([
+        { data: [{ metadata: { run_id: 'run-1', plan } }], error: null },
+        {
+          data: [
+            { status: 'completed', metadata: { step: 'nps' } },
+            { status: 'failed', metadata: { step: 'link' } },
+          ],
+          error: null,
+        },
+      ]);
+      const runStep = vi.fn().mockResolvedValue([]);
+
+      const { runId, results } = await runPipeline({
+        supabase,
+        steps,
+        options: options({ resume: true }),
+        runStep,
+      });
+
+      expect(runId).toBe('run-1');
+      expect(results[0]).toMatchObject({
+        status: 'skipped',
+        reason: 'completed earlier in this run',
+      });
+      expect(runStep.mock.calls).toEqual([
+        [expect.objectContaining({ id: 'link' }), { dryRun: false, resume: true }],
+        [expect.objectContaining({ id: 'trails' }), { dryRun: false, resume: true }],
+      ]);
+      expect(supabase.inserts[0].metadata).toMatchObject({ run_id: 'run-1', resumed: true });
+    });
+
+    it('should do nothing on resume when the last run finished', async () => {
+      const supabase = createMockSupabase([
+        { data: [{ metadata: { run_id: 'run-1', plan: ['nps'] } }], error: null },
+        { data: [{ status: 'completed', metadata: { step: 'nps' } }], error: null },
+      ]);
+      const runStep = vi.fn();
+
+      const result = await runPipeline({
+        supabase,
+        steps,
+        options: options({ resume: true }),
+        runStep,
+      });
+
+      expect(result).toEqual({ runId: null, results: [] });
+      expect(runStep).not.toHaveBeenCalled();
+    });
+
+    it('should write no run history in a dry run and skip steps without dry-run support', async () => {
+      const supabase = createMockSupabase();
+      const runStep = vi.fn().mockResolvedValue([report]);
+
+      const { results } = await runPipeline({
+        supabase,
+        steps,
+        options: options({ dryRun: true }),
+        runStep,
+      });
+
+      expect(runStep).toHaveBeenCalledWith(expect.objectContaining({ id: 'nps' }), {
+        dryRun: true,
+        resume: false,
+      });
+      expect(results[1]).toMatchObject({ status: 'skipped', reason: 'no dry-run support' });
+      expect(supabase.inserts).toEqual([]);
+      expect(supabase.updates).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Map Tiles Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  latLngToTile,
+  getTileUrl,
+  getBounds,
+  getGeometryLines,
+  countTilesAtZoom,
+  listTileUrls,
+  cacheTiles,
+  getOfflineTileSource,
+  TILE_CACHE_NAME,
+  TILE_URL_TEMPLATE,
+  OSM_PREFETCH_MAX_ZOOM,
+} from '@/lib/map/map-tiles';
+
+describe('map-tiles', () => {
+  describe('latLngToTile', () => {
+    it('should convert coordinates to tile numbers', () => {
+      expect(latLngToTile(0, 0, 1)).toEqual({ x: 1, y: 1 });
+      // Yosemite Valley at zoom 10
+      expect(latLngToTile(37.7459, -119.5936, 10)).toEqual({ x: 171, y: 395 });
+    });
+
+    it('should clamp to the valid tile range', () => {
+      expect(latLngToTile(89.9, 180, 2)).toEqual({ x: 3, y: 0 });
+      expect(latLngToTile(-89.9, -180, 2)).toEqual({ x: 0, y: 3 });
+    });
+  });
+
+  describe('getTileUrl', () => {
+    it('should pick subdomains the way Leaflet does', () => {
+      expect(getTileUrl(0, 0, 3)).toBe('https://a.tile.openstreetmap.org/3/0/0.png');
+      expect(getTileUrl(1, 0, 3)).toBe('https://b.tile.openstreetmap.org/3/1/0.png');
+      expect(getTileUrl(1, 1, 3)).toBe('https://c.tile.openstreetmap.org/3/1/1.png');
+    });
+
+    it('should fill in other templates', () => {
+      expect(getTileUrl(1, 2, 3, 'https://tiles.example.com/{z}/{x}/{y}.png')).toBe(
+        'https://tiles.example.com/3/1/2.png'
+      );
+    });
+  });
+
+  describe('getOfflineTileSource', () => {
+    afterEach(() => {
+      vi.unstubAllEnvs();
+    });
+
+    it('should cap OpenStreetMap prefetching when no provider is configured', () => {
+      vi.stubEnv('NEXT_PUBLIC_OFFLINE_TILE_URL', '');
+
+      expect(getOfflineTileSource()).toEqual({
+        template: TILE_URL_TEMPLATE,
+        maxZoom: OSM_PREFETCH_MAX_ZOOM,
+      });
+    });
+
+    it('should use the configured provider and zoom', () => {
+      vi.stubEnv('NEXT_PUBLIC_OFFLINE_TILE_URL', 'https://tiles.example.com/{z}/{x}/{y}.png');
+      vi.stubEnv('NEXT_PUBLIC_OFFLINE_TILE_MAX_ZOOM', '16');
+
+      expect(getOfflineTileSource()).toEqual({
+        template: 'https://tiles.example.com/{z}/{x}/{y}.png',
+        maxZoom: 16,
+      });
+    });
+  });
+
+  describe('getBounds', () => {
+    it('should return padded bounds of valid points', () => {
+      expect(
+        getBounds(
+          [
+            { lat: 37, lng: -120 },
+            { lat: 36, lng: -118 },
+            { lat: null, lng: 5 },
+          ],
+          0.5
+        )
+      ).toEqual({ minLat: 35.5, maxLat: 37.5, minLng: -120.5, maxLng: -117.5 });
+    });
+
+    it('should return null without points', () => {
+      expect(getBounds([])).toBeNull();
+      expect(getBounds(undefined)).toBeNull();
+    });
+  });
+
+  describe('getGeometryLines', () => {
+    it('should flip GeoJSON coordinates to lat/lng', () => {
+      expect(
+        getGeometryLines({
+          type: 'LineString',
+          coordinates: [
+            [-119.55, 37.73],
+            [-119.54, 37.72],
+          ],
+        })
+      ).toEqual([
+        [
+          [37.73, -119.55],
+          [37.72, -119.54],
+        ],
+      ]);
+    });
+
+    it('should split multi-line geometries', () => {
+      const lines = getGeometryLines({
+        type: 'MultiLineString',
+        coordinates: [[[1, 2]], [[3, 4]]],
+      });
+      expect(lines).toEqual([[[2, 1]], [[4, 3]]]);
+    });
+
+    it('should ignore other geometries', () => {
+      expect(getGeometryLines({ type: 'Point', coordinates: [1, 2] })).toEqual([]);
+      expect(getGeometryLines(null)).toEqual([]);
+    });
+  });
+
+  describe('listTileUrls', () => {
+    const bounds = { minLat: 37.5, maxLat: 38, minLng: -120, maxLng: -119.5 };
+
+    it('should list every tile in the zoom range', () => {
+      const { urls, maxZoom } = listTileUrls(bounds, { minZoom: 5, maxZoom: 8 });
+      const expected = [5, 6, 7, 8].reduce((sum, zoom) => sum + countTilesAtZoom(bounds, zoom), 0);
+
+      expect(maxZoom).toBe(8);
+      expect(urls).toHaveLength(expected);
+      expect(new Set(urls).size).toBe(urls.length);
+    });
+
+    it('should drop top zoom levels to stay under the tile cap', () => {
+      const { urls, maxZoom } = listTileUrls(bounds, { minZoom: 5, maxZoom: 16, maxTiles: 50 });
+
+      expect(maxZoom).toBeLessThan(16);
+      expect(urls.length).toBeLessThanOrEqual(50);
+      expect(urls.some((url) => url.includes(`/${maxZoom}/`))).toBe(true);
+    });
+
+    it('should list matching download URLs from the source template', () => {
+      const { urls, sourceUrls } = listTileUrls(bounds, {
+        minZoom: 5,
+        maxZoom: 6,
+        sourceTemplate: 'https://tiles.example.com/{z}/{x}/{y}.png',
+      });
+
+      expect(sourceUrls).toHaveLength(urls.length);
+      expect(urls[0]).toMatch(/^https:\/\/[abc]\.tile\.openstreetmap\.org\/5\//);
+      expect(sourceUrls[0]).toBe(
+        urls[0].replace(/^https:\/\/[abc]\.tile\.openstreetmap\.org/, 'https://tiles.example.com')
+      );
+    });
+
+    it('should return nothing without bounds', () => {
+      expect(listTileUrls(null).urls).toEqual([]);
+    });
+  });
+
+  describe('cacheTiles', () => {
+    let cache;
+    const tileResponse = (size) => ({
+      ok: true,
+      clone() {
+        return this;
+      },
+      blob: async () => ({ size }),
+    });
+
+    beforeEach(() => {
+      cache = {
+        match: vi.fn().mockResolvedValue(undefined),
+        put: vi.fn().mockResolvedValue(undefined),
+      };
+      global.caches = { open: vi.fn().mockResolvedValue(cache) };
+      global.fetch = vi.fn().mockResolvedValue(tileResponse(100));
+    });
+
+    afterEach(() => {
+      delete global.caches;
+    });
+
+    it('should fetch and store uncached tiles', async () => {
+      cache.match.mockImplementation(async (url) =>
+        url === 'cached.png' ? tileResponse(50) : undefined
+      );
+      global.fetch.mockImplementation(async (url) =>
+        url === 'broken.png' ? { ok: false, status: 404 } : tileResponse(100)
+      );
+      const onProgress = vi.fn();
+
+      const result = await cacheTiles(['cached.png', 'new.png', 'broken.png'], { onProgress });
+
+      expect(global.caches.open).toHaveBeenCalledWith(TILE_CACHE_NAME);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(cache.put).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({ cached: 2, failed: 1, bytes: 150 });
+      expect(onProgress).toHaveBeenLastCalledWith(3, 3);
+    });
+
+    it('should download from source URLs and store under the map URLs', async () => {
+      await cacheTiles(['map.png'], { sourceUrls: ['source.png'] });
+
+      expect(global.fetch).toHaveBeenCalledWith('source.png');
+      expect(cache.put).toHaveBeenCalledWith('map.png', expect.anything());
+    });
+
+    it('should fill the requested cache', async () => {
+      await cacheTiles(['a.png'], { cacheName: 'other-cache' });
+      expect(global.caches.open).toHaveBeenCalledWith('other-cache');
+    });
+
+    it('should report every tile as failed without the Cache API', async () => {
+      delete global.caches;
+      expect(await cacheTiles(['a.png', 'b.png'])).toEqual({ cached: 0, failed: 2, bytes: 0 });
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Offline Map Regions Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  getRegionBounds,
+  estimateRegion,
+  formatBytes,
+  downloadRegion,
+  deleteRegionTiles,
+  clearRegionTiles,
+  getRegionTile,
+  getStorageEstimate,
+  REGION_CACHE_NAME,
+  AVERAGE_TILE_BYTES,
+  MAX_REGION_TILES,
+} from '@/lib/map/offline-regions';
+import { cacheTiles, getTileUrl } from '@/lib/map/map-tiles';
+
+vi.mock('@/lib/map/map-tiles', async (importOriginal) => ({
+  ...(await importOriginal()),
+  cacheTiles: vi.fn(),
+}));
+
+const line = {
+  type: 'LineString',
+  coordinates: [
+    [-119.55, 37.73],
+    [-119.53, 37.75],
+  ],
+};
+
+const region = {
+  id: 'trail:1',
+  name: 'Mist Trail',
+  bounds: { minLat: 37.72, maxLat: 37.76, minLng: -119.56, maxLng: -119.52 },
+  minZoom: 12,
+  maxZoom: 13,
+};
+
+describe('offline-regions', () => {
+  describe('getRegionBounds', () => {
+    it('should pad the bounds of trail geometries and extra points', () => {
+      const bounds = getRegionBounds([line, JSON.stringify(line)], [{ lat: 37.8, lng: -119.6 }]);
+
+      expect(bounds.minLat).toBeCloseTo(37.72);
+      expect(bounds.maxLat).toBeCloseTo(37.81);
+      expect(bounds.minLng).toBeCloseTo(-119.61);
+      expect(bounds.maxLng).toBeCloseTo(-119.52);
+    });
+
+    it('should ignore unparseable geometry', () => {
+      expect(getRegionBounds(['not json', null])).toBeNull();
+    });
+  });
+
+  describe('estimateRegion', () => {
+    it('should count tiles and estimate bytes', () => {
+      const estimate = estimateRegion(region.bounds, 12, 13);
+
+      expect(estimate.tileCount).toBeGreaterThan(0);
+      expect(estimate.bytes).toBe(estimate.tileCount * AVERAGE_TILE_BYTES);
+      expect(estimate.tooLarge).toBe(false);
+    });
+
+    it('should grow with the zoom range and flag huge regions', () => {
+      const small = estimateRegion(region.bounds, 12, 13);
+      const large = estimateRegion(region.bounds, 12, 18);
+
+      expect(large.tileCount).toBeGreaterThan(small.tileCount);
+      expect(large.tooLarge).toBe(large.tileCount > MAX_REGION_TILES);
+    });
+
+    it('should return zero without bounds', () => {
+      expect(estimateRegion(null, 10, 12)).toEqual({ tileCount: 0, bytes: 0, tooLarge: false });
+    });
+  });
+
+  describe('formatBytes', () => {
+    it('should format sizes', () => {
+      expect(formatBytes(0)).toBe('0 KB');
+      expect(formatBytes(300)).toBe('1 KB');
+      expect(formatBytes(20 * 1024)).toBe('20 KB');
+      expect(formatBytes(12.5 * 1024 * 1024)).toBe('12.5 MB');
+      expect(formatBytes(2 * 1024 * 1024 * 1024)).toBe('2.00 GB');
+    });
+  });
+
+  describe('downloadRegion', () => {
+    beforeEach(() => {
+      cacheTiles.mockReset();
+      vi.stubEnv('NEXT_PUBLIC_OFFLINE_TILE_URL', 'https://tiles.example.com/{z}/{x}/{y}.png');
+    });
+
+    afterEach(() => {
+      vi.unstubAllEnvs();
+    });
+
+    it('should fill the region cache and return the saved record', async () => {
+      cacheTiles.mockResolvedValue({ cached: 8, failed: 1, bytes: 123456 });
+      const onProgress = vi.fn();
+
+      const saved = await downloadRegion(region, { onProgress });
+
+      const [urls, options] = cacheTiles.mock.calls[0];
+      expect(urls).toHaveLength(estimateRegion(region.bounds, 12, 13).tileCount);
+      expect(urls[0]).toMatch(/tile\.openstreetmap\.org/);
+      expect(options).toEqual({
+        cacheName: REGION_CACHE_NAME,
+        sourceUrls: expect.any(Array),
+        onProgress,
+      });
+      expect(options.sourceUrls).toHaveLength(urls.length);
+      expect(options.sourceUrls[0]).toMatch(/^https:\/\/tiles\.example\.com\//);
+      expect(saved).toEqual({
+        ...region,
+        tileCount: 8,
+        failedTiles: 1,
+        bytes: 123456,
+        savedAt: expect.any(Number),
+      });
+    });
+
+    it('should refuse regions over the tile limit', async () => {
+      await expect(downloadRegion({ ...region, minZoom: 8, maxZoom: 20 })).rejects.toThrow(/limit/);
+      expect(cacheTiles).not.toHaveBeenCalled();
+    });
+
+    it('should not prefetch detailed zooms from OpenStreetMap', async () => {
+      vi.stubEnv('NEXT_PUBLIC_OFFLINE_TILE_URL', '');
+
+      await expect(downloadRegion(region)).rejects.toThrow('Offline maps go down to zoom 12');
+      expect(cacheTiles).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cache access', () => {
+    let cache;
+
+    beforeEach(() => {
+      cache = {
+        match: vi.fn().mockResolvedValue(undefined),
+        delete: vi.fn().mockResolvedValue(true),
+      };
+      global.caches = {
+        open: vi.fn().mockResolvedValue(cache),
+        delete: vi.fn().mockResolvedValue(true),
+      };
+    });
+
+    afterEach(() => {
+      delete global.caches;
+    });
+
+    it('should keep tiles shared with remaining regions', async () => {
+      const overlapping = { ...region, id: 'park:yose', maxZoom: 12 };
+
+      const deleted = await deleteRegionTiles(region, [overlapping]);
+
+      const total = estimateRegion(region.bounds, 12, 13).tileCount;
+      const shared = estimateRegion(region.bounds, 12, 12).tileCount;
+      expect(global.caches.open).toHaveBeenCalledWith(REGION_CACHE_NAME);
+      expect(deleted).toBe(total - shared);
+    });
+
+    it('should clear the whole region cache', async () => {
+      await clearRegionTiles();
+      expect(global.caches.delete).toHaveBeenCalledWith(REGION_CACHE_NAME);
+    });
+
+    it('should look up downloaded tiles by their map URL', async () => {
+      const tile = { ok: true };
+      cache.match.mockResolvedValue(tile);
+
+      expect(await getRegionTile(5, 7, 12)).toBe(tile);
+      expect(cache.match).toHaveBeenCalledWith(getTileUrl(5, 7, 12));
+    });
+
+    it('should return null for tiles that were not downloaded', async () => {
+      expect(await getRegionTile(5, 7, 12)).toBeNull();
+    });
+  });
+
+  describe('getStorageEstimate', () => {
+    it('should return usage and quota', async () => {
+      Object.defineProperty(navigator, 'storage', {
+        value: { estimate: vi.fn().mockResolvedValue({ usage: 100, quota: 1000 }) },
+        configurable: true,
+      });
+
+      expect(await getStorageEstimate()).toEqual({ usage: 100, quota: 1000 });
+      delete navigator.storage;
+    });
+
+    it('should return null when unsupported', async () => {
+      expect(await getStorageEstimate()).toBeNull();
+    });
+  });
+});
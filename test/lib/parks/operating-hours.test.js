@@ -0,0 +1,270 @@
+/**
+ * Tests for NPS operating hours evaluation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getTimeZone,
+  getLocalDateParts,
+  parseHoursText,
+  formatMinutes,
+  getHoursForDate,
+  getOpenStatus,
+  evaluateOperatingHours,
+} from '@/lib/parks/operating-hours';
+
+const weekdays = (hours) => ({
+  monday: hours,
+  tuesday: hours,
+  wednesday: hours,
+  thursday: hours,
+  friday: hours,
+  saturday: hours,
+  sunday: 'Closed',
+});
+
+// Yosemite Valley Visitor Center, with a Thanksgiving closure and a
+// shortened winter week
+const visitorCenter = {
+  name: 'Yosemite Valley Visitor Center',
+  standardHours: weekdays('9:00AM - 5:00PM'),
+  exceptions: [
+    {
+      name: 'Thanksgiving',
+      startDate: '2024-11-28',
+      endDate: '2024-11-28',
+      exceptionHours: {},
+    },
+    {
+      name: 'Winter Hours',
+      startDate: '2024-12-02',
+      endDate: '2024-12-06',
+      exceptionHours: weekdays('10:00AM - 4:00PM'),
+    },
+  ],
+};
+
+const timeZone = 'America/Los_Angeles';
+
+describe('operating-hours', () => {
+  describe('getTimeZone', () => {
+    it('should use the state time zone', () => {
+      expect(getTimeZone({ stateCode: 'CA' })).toBe('America/Los_Angeles');
+      expect(getTimeZone({ stateCode: 'az' })).toBe('America/Phoenix');
+      expect(getTimeZone({ stateCode: 'HI' })).toBe('Pacific/Honolulu');
+    });
+
+    it('should split states that span time zones by location', () => {
+      // Badlands and Wind Cave are on Mountain time; Sioux Falls is Central
+      expect(getTimeZone({ stateCode: 'SD', latitude: 43.75, longitude: -101.93 })).toBe(
+        'America/Denver'
+      );
+      expect(getTimeZone({ stateCode: 'SD', latitude: 43.54, longitude: -96.73 })).toBe(
+        'America/Chicago'
+      );
+      // Great Smoky Mountains is on Eastern time; Shiloh is Central
+      expect(getTimeZone({ stateCode: 'TN', latitude: 35.68, longitude: -83.53 })).toBe(
+        'America/New_York'
+      );
+      expect(getTimeZone({ stateCode: 'TN', latitude: 35.15, longitude: -88.32 })).toBe(
+        'America/Chicago'
+      );
+      // Canyon de Chelly is in the Navajo Nation
+      expect(getTimeZone({ stateCode: 'AZ', latitude: 36.15, longitude: -109.5 })).toBe(
+        'America/Denver'
+      );
+    });
+
+    it('should return null for unknown states', () => {
+      expect(getTimeZone({ stateCode: 'XX' })).toBeNull();
+      expect(getTimeZone({})).toBeNull();
+    });
+  });
+
+  describe('getLocalDateParts', () => {
+    it('should give the date and time in the time zone', () => {
+      // 02:30 UTC on July 11 is still July 10 in California
+      expect(getLocalDateParts(new Date('2024-07-11T02:30:00Z'), timeZone)).toEqual({
+        date: '2024-07-10',
+        weekday: 'wednesday',
+        minutes: 19 * 60 + 30,
+      });
+    });
+  });
+
+  describe('parseHoursText', () => {
+    it('should parse NPS time ranges', () => {
+      expect(parseHoursText('9:00AM - 5:00PM')).toEqual({
+        type: 'ranges',
+        ranges: [{ opens: 540, closes: 1020 }],
+      });
+      expect(parseHoursText('9 am to 4:30 pm').ranges).toEqual([{ opens: 540, closes: 990 }]);
+      expect(parseHoursText('12:00PM - 12:00AM').ranges).toEqual([{ opens: 720, closes: 1440 }]);
+    });
+
+    it('should parse several ranges in a day', () => {
+      expect(parseHoursText('8:00AM - 12:00PM, 1:00PM - 4:00PM').ranges).toEqual([
+        { opens: 480, closes: 720 },
+        { opens: 780, closes: 960 },
+      ]);
+    });
+
+    it('should borrow the closing am/pm for the opening time', () => {
+      expect(parseHoursText('9 - 5pm').ranges).toEqual([{ opens: 540, closes: 1020 }]);
+      expect(parseHoursText('1 - 5pm').ranges).toEqual([{ opens: 780, closes: 1020 }]);
+    });
+
+    it('should recognize closed and all-day hours', () => {
+      expect(parseHoursText('Closed')).toEqual({ type: 'closed' });
+      expect(parseHoursText('All Day')).toEqual({ type: 'all_day' });
+      expect(parseHoursText('Open 24 hours')).toEqual({ type: 'all_day' });
+    });
+
+    it('should leave other text unknown', () => {
+      expect(parseHoursText('Sunrise to sunset')).toEqual({ type: 'unknown' });
+      expect(parseHoursText('')).toEqual({ type: 'unknown' });
+      expect(parseHoursText(undefined)).toEqual({ type: 'unknown' });
+    });
+  });
+
+  describe('formatMinutes', () => {
+    it('should format times of day', () => {
+      expect(formatMinutes(0)).toBe('12:00 AM');
+      expect(formatMinutes(540)).toBe('9:00 AM');
+      expect(formatMinutes(750)).toBe('12:30 PM');
+      expect(formatMinutes(1020)).toBe('5:00 PM');
+      expect(formatMinutes(1440)).toBe('12:00 AM');
+    });
+  });
+
+  describe('getHoursForDate', () => {
+    it('should use standard hours for the weekday', () => {
+      expect(getHoursForDate(visitorCenter, '2024-07-10')).toMatchObject({
+        type: 'ranges',
+        text: '9:00 AM – 5:00 PM',
+        exception: null,
+      });
+      expect(getHoursForDate(visitorCenter, '2024-07-14')).toMatchObject({
+        type: 'closed',
+        text: 'Closed',
+      });
+    });
+
+    it('should close for an exception without hours', () => {
+      expect(getHoursForDate(visitorCenter, '2024-11-28')).toMatchObject({
+        type: 'closed',
+        text: 'Closed',
+        exception: 'Thanksgiving',
+      });
+    });
+
+    it('should use exception hours within its date range', () => {
+      expect(getHoursForDate(visitorCenter, '2024-12-04')).toMatchObject({
+        text: '10:00 AM – 4:00 PM',
+        exception: 'Winter Hours',
+      });
+      expect(getHoursForDate(visitorCenter, '2024-12-09').exception).toBeNull();
+    });
+
+    it('should show unparseable hours as written', () => {
+      const entry = { standardHours: { wednesday: 'Sunrise to sunset' } };
+
+      expect(getHoursForDate(entry, '2024-07-10')).toMatchObject({
+        type: 'unknown',
+        text: 'Sunrise to sunset',
+      });
+    });
+  });
+
+  describe('getOpenStatus', () => {
+    it('should be open during hours', () => {
+      // 10:00 AM PDT
+      expect(
+        getOpenStatus(visitorCenter, { timeZone, now: new Date('2024-07-10T17:00:00Z') })
+      ).toEqual({
+        open: true,
+        closesAt: '5:00 PM',
+        opensAt: null,
+        opensOn: null,
+        label: 'Open now until 5:00 PM',
+      });
+    });
+
+    it('should say when it opens later today', () => {
+      // 8:00 AM PDT
+      expect(
+        getOpenStatus(visitorCenter, { timeZone, now: new Date('2024-07-10T15:00:00Z') })
+      ).toMatchObject({
+        open: false,
+        opensAt: '9:00 AM',
+        opensOn: '2024-07-10',
+        label: 'Opens at 9:00 AM',
+      });
+    });
+
+    it('should look ahead to tomorrow after closing', () => {
+      // 7:00 PM PDT Wednesday
+      expect(
+        getOpenStatus(visitorCenter, { timeZone, now: new Date('2024-07-11T02:00:00Z') })
+      ).toMatchObject({ open: false, opensOn: '2024-07-11', label: 'Opens tomorrow at 9:00 AM' });
+    });
+
+    it('should skip holiday closures when looking ahead', () => {
+      // 7:00 PM PST the night before Thanksgiving
+      expect(
+        getOpenStatus(visitorCenter, { timeZone, now: new Date('2024-11-28T03:00:00Z') })
+      ).toMatchObject({ open: false, opensOn: '2024-11-29', label: 'Opens Fri at 9:00 AM' });
+    });
+
+    it('should be open all day', () => {
+      const entry = { standardHours: weekdays('All Day') };
+
+      expect(
+        getOpenStatus(entry, { timeZone, now: new Date('2024-07-10T10:00:00Z') })
+      ).toMatchObject({ open: true, label: 'Open 24 hours' });
+    });
+
+    it('should not guess when the hours are unknown', () => {
+      const entry = { standardHours: { wednesday: 'Sunrise to sunset' } };
+
+      expect(
+        getOpenStatus(entry, { timeZone, now: new Date('2024-07-10T17:00:00Z') })
+      ).toMatchObject({ open: null, label: null });
+    });
+  });
+
+  describe('evaluateOperatingHours', () => {
+    const now = new Date('2024-07-10T17:00:00Z');
+
+    it("should give today's hours and status", () => {
+      expect(evaluateOperatingHours([visitorCenter], { timeZone, now })).toEqual({
+        date: '2024-07-10',
+        name: 'Yosemite Valley Visitor Center',
+        text: '9:00 AM – 5:00 PM',
+        exception: null,
+        status: expect.objectContaining({ open: true, label: 'Open now until 5:00 PM' }),
+      });
+    });
+
+    it('should give hours without status for another date', () => {
+      expect(
+        evaluateOperatingHours([visitorCenter], { timeZone, now, date: '2024-11-28' })
+      ).toEqual({
+        date: '2024-11-28',
+        name: 'Yosemite Valley Visitor Center',
+        text: 'Closed',
+        exception: 'Thanksgiving',
+        status: null,
+      });
+    });
+
+    it('should skip status without a time zone', () => {
+      expect(evaluateOperatingHours([visitorCenter], { now }).status).toBeNull();
+    });
+
+    it('should return null without hours', () => {
+      expect(evaluateOperatingHours([], { timeZone, now })).toBeNull();
+      expect(evaluateOperatingHours(null, { timeZone, now })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Tests for things to do and park event queries
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  getSeason,
+  rankThingsToDo,
+  getThingsToDoByPark,
+  getEventsByPark,
+  getEventDatesInRange,
+  attachThingsToDo,
+  summarizeEvent,
+} from '@/lib/parks/things-to-do';
+
+/**
+ * Helper to build a chainable query resolving to the given result
+ */
+const createMockQuery = (result = { data: [], error: null }) => {
+  const query = {};
+  ['select', 'overlaps', 'in', 'gte', 'lte', 'order'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+/**
+ * Helper to build a Supabase client with a query per table
+ */
+const createMockSupabase = (results) => {
+  const queries = {
+    things_to_do: createMockQuery(results.things_to_do),
+    park_events: createMockQuery(results.park_events),
+  };
+  return { from: vi.fn((table) => queries[table]), queries };
+};
+
+const vernalFall = {
+  id: 't1',
+  park_codes: ['yose'],
+  title: 'Hike to Vernal Fall',
+  seasons: ['spring', 'summer'],
+  is_ranger_program: false,
+};
+const skiing = {
+  id: 't2',
+  park_codes: ['yose'],
+  title: 'Cross-Country Skiing',
+  seasons: ['winter'],
+  is_ranger_program: false,
+};
+const rangerWalk = {
+  id: 't3',
+  park_codes: ['yose', 'seki'],
+  title: 'Ranger-led Walk',
+  seasons: [],
+  is_ranger_program: true,
+};
+
+describe('things to do', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getSeason', () => {
+    it('should map months to NPS seasons', () => {
+      expect(getSeason('2024-03-01')).toBe('spring');
+      expect(getSeason('2024-07-15')).toBe('summer');
+      expect(getSeason('2024-11-30')).toBe('fall');
+      expect(getSeason('2024-12-01')).toBe('winter');
+      expect(getSeason('2024-02-29')).toBe('winter');
+    });
+  });
+
+  describe('rankThingsToDo', () => {
+    it('should put in-season things and ranger programs first', () => {
+      const ranked = rankThingsToDo([skiing, vernalFall, rangerWalk], 'summer');
+
+      expect(ranked.map((thing) => thing.title)).toEqual([
+        'Ranger-led Walk',
+        'Hike to Vernal Fall',
+        'Cross-Country Skiing',
+      ]);
+    });
+
+    it('should sort by title without a visit season', () => {
+      const ranked = rankThingsToDo([vernalFall, skiing], null);
+
+      expect(ranked.map((thing) => thing.title)).toEqual([
+        'Cross-Country Skiing',
+        'Hike to Vernal Fall',
+      ]);
+    });
+  });
+
+  describe('getThingsToDoByPark', () => {
+    it('should group things to do under each of their parks', async () => {
+      const supabase = createMockSupabase({
+        things_to_do: { data: [rangerWalk, vernalFall], error: null },
+      });
+
+      const result = await getThingsToDoByPark(supabase, ['YOSE', 'seki']);
+
+      expect(supabase.queries.things_to_do.overlaps).toHaveBeenCalledWith('park_codes', [
+        'yose',
+        'seki',
+      ]);
+      expect(result.yose.map((thing) => thing.id)).toEqual(['t3', 't1']);
+      expect(result.seki.map((thing) => thing.id)).toEqual(['t3']);
+    });
+
+    it('should skip the query without park codes', async () => {
+      const supabase = createMockSupabase({});
+
+      expect(await getThingsToDoByPark(supabase, [null])).toEqual({});
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should throw when the query fails', async () => {
+      const supabase = createMockSupabase({
+        things_to_do: { data: null, error: { message: 'boom' } },
+      });
+
+      await expect(getThingsToDoByPark(supabase, ['yose'])).rejects.toThrow(
+        'Failed to fetch things to do: boom'
+      );
+    });
+  });
+
+  describe('getEventsByPark', () => {
+    it('should fetch events overlapping the range', async () => {
+      const supabase = createMockSupabase({
+        park_events: { data: [{ id: 'e1', park_code: 'yose' }], error: null },
+      });
+
+      const result = await getEventsByPark(supabase, ['yose'], {
+        from: '2024-07-01',
+        to: '2024-07-03',
+      });
+
+      const query = supabase.queries.park_events;
+      expect(query.in).toHaveBeenCalledWith('park_code', ['yose']);
+      expect(query.gte).toHaveBeenCalledWith('end_date', '2024-07-01');
+      expect(query.lte).toHaveBeenCalledWith('start_date', '2024-07-03');
+      expect(result).toEqual({ yose: [{ id: 'e1', park_code: 'yose' }] });
+    });
+  });
+
+  describe('getEventDatesInRange', () => {
+    it('should use listed dates for recurring events', () => {
+      const event = { dates: ['2024-06-30', '2024-07-02', '2024-07-09'] };
+
+      expect(getEventDatesInRange(event, { from: '2024-07-01', to: '2024-07-05' })).toEqual([
+        '2024-07-02',
+      ]);
+    });
+
+    it('should use every day of the overlap otherwise', () => {
+      const event = { dates: [], start_date: '2024-06-29', end_date: '2024-07-02' };
+
+      expect(getEventDatesInRange(event, { from: '2024-07-01', to: '2024-07-05' })).toEqual([
+        '2024-07-01',
+        '2024-07-02',
+      ]);
+    });
+  });
+
+  describe('attachThingsToDo', () => {
+    it('should attach ranked things to do and events during the trip', async () => {
+      const supabase = createMockSupabase({
+        things_to_do: { data: [skiing, vernalFall], error: null },
+        park_events: { data: [{ id: 'e1', park_code: 'yose' }], error: null },
+      });
+      const parks = [{ park_code: 'yose' }, { park_code: 'grca' }];
+
+      const result = await attachThingsToDo(supabase, parks, {
+        startDate: '2024-07-01',
+        endDate: '2024-07-03',
+      });
+
+      expect(result[0].things_to_do.map((thing) => thing.id)).toEqual(['t1', 't2']);
+      expect(result[0].events).toEqual([{ id: 'e1', park_code: 'yose' }]);
+      expect(result[1]).toBe(parks[1]);
+    });
+
+    it('should not look up events without trip dates', async () => {
+      const supabase = createMockSupabase({
+        things_to_do: { data: [vernalFall], error: null },
+      });
+
+      const [park] = await attachThingsToDo(supabase, [{ park_code: 'yose' }]);
+
+      expect(supabase.from).not.toHaveBeenCalledWith('park_events');
+      expect(park).not.toHaveProperty('events');
+      expect(park.things_to_do).toHaveLength(1);
+    });
+
+    it('should return the parks unchanged when the lookup fails', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const supabase = createMockSupabase({
+        things_to_do: { data: null, error: { message: 'boom' } },
+      });
+      const parks = [{ park_code: 'yose' }];
+
+      expect(await attachThingsToDo(supabase, parks)).toBe(parks);
+    });
+  });
+
+  describe('summarizeEvent', () => {
+    it('should list dates and times during the trip', () => {
+      const summary = summarizeEvent(
+        {
+          title: 'Evening Program',
+          start_date: '2024-07-01',
+          end_date: '2024-07-31',
+          dates: [],
+          is_all_day: true,
+          registration_required: true,
+        },
+        { from: '2024-07-30', to: '2024-08-02' }
+      );
+
+      expect(summary).toEqual({
+        title: 'Evening Program',
+        dates: ['2024-07-30', '2024-07-31'],
+        times: ['all day'],
+        registration_required: true,
+      });
+    });
+  });
+});
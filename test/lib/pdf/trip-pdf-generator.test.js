@@ -126,6 +126,7 @@ describe('Trip PDF Generator', () => {
       expect(result.safetyNotes).toEqual([]);
       expect(result.bestPhotoSpots).toEqual([]);
       expect(result.estimatedBudget).toBeNull();
+      expect(result.costEstimate).toBeNull();
     });
 
     it('should handle empty trip object', () => {
@@ -283,6 +284,35 @@ describe('Trip PDF Generator', () => {
       expect(result.filename).toContain('multi-stop-trip');
     });
 
+    it('should draw the cost estimate table', async () => {
+      const { PDFDocument } = await import('pdf-lib');
+      const pdfDoc = await PDFDocument.create();
+      const page = pdfDoc.addPage();
+      vi.clearAllMocks();
+
+      await generateTripPdf({
+        title: 'Budget Trip',
+        stops: [{ dayNumber: 1, park: { name: 'Yosemite' } }],
+        costEstimate: {
+          settings: { fuelPrice: 3.5, mpg: 25 },
+          days: [
+            {
+              dayNumber: 1,
+              drivingMiles: 200,
+              costs: { fuel: 28, entranceFees: 35, lodging: 150, total: 213 },
+            },
+          ],
+          totals: { drivingMiles: 200, fuel: 28, entranceFees: 35, lodging: 150, total: 213 },
+        },
+      });
+
+      const drawn = page.drawText.mock.calls.map(([text]) => text);
+      expect(drawn).toContain('Cost Estimate');
+      expect(drawn).toContain('Day 1');
+      expect(drawn).toContain('$213');
+      expect(drawn.some((text) => text.includes('$3.50/gal'))).toBe(true);
+    });
+
     it('should handle trips with no stops', async () => {
       const trip = {
         title: 'Empty Trip',
@@ -0,0 +1,64 @@
+/**
+ * Tests for paged Supabase reads
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { fetchAllRows, PAGE_SIZE } from '@/lib/supabase/pagination';
+
+/**
+ * Build a query factory over the given rows, recording each range() call
+ */
+const createQueryFactory = (rows, error = null) => {
+  const range = vi.fn(async (from, to) =>
+    error ? { data: null, error } : { data: rows.slice(from, to + 1), error: null }
+  );
+  return { buildQuery: vi.fn(() => ({ range })), range };
+};
+
+const rows = (count) => Array.from({ length: count }, (_, i) => ({ id: i }));
+
+describe('fetchAllRows', () => {
+  it('should read pages until one comes back short', async () => {
+    const { buildQuery, range } = createQueryFactory(rows(2345));
+
+    const { data, error } = await fetchAllRows(buildQuery);
+
+    expect(error).toBeNull();
+    expect(data).toHaveLength(2345);
+    expect(range.mock.calls).toEqual([
+      [0, PAGE_SIZE - 1],
+      [1000, 1999],
+      [2000, 2999],
+    ]);
+  });
+
+  it('should make one more request when the last page is exactly full', async () => {
+    const { buildQuery, range } = createQueryFactory(rows(2000));
+
+    const { data } = await fetchAllRows(buildQuery);
+
+    expect(data).toHaveLength(2000);
+    expect(range).toHaveBeenCalledTimes(3);
+  });
+
+  it('should stop at the limit', async () => {
+    const { buildQuery, range } = createQueryFactory(rows(5000));
+
+    const { data } = await fetchAllRows(buildQuery, { limit: 1500 });
+
+    expect(data).toHaveLength(1500);
+    expect(range.mock.calls).toEqual([
+      [0, 999],
+      [1000, 1499],
+    ]);
+  });
+
+  it('should return the first error', async () => {
+    const { buildQuery } = createQueryFactory([], { message: 'boom' });
+
+    await expect(fetchAllRows(buildQuery)).resolves.toEqual({
+      data: null,
+      error: { message: 'boom' },
+    });
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * Track Achievements Tests
+ * Tests for personal records, badges, and monthly totals
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  computePersonalRecords,
+  computeBadges,
+  computeMonthlyTotals,
+  formatAchievements,
+  withoutTrackLinks,
+  updateUserAchievements,
+  getUserAchievements,
+} from '@/lib/tracking/achievements';
+
+const MILE = 1609.344;
+
+const track = (overrides) => ({
+  id: 'track-1',
+  title: 'Morning Hike',
+  activity_type: 'hiking',
+  distance_meters: 5000,
+  elevation_gain_m: 300,
+  moving_seconds: 3600,
+  fastest_mile_seconds: null,
+  park_id: null,
+  local_park_id: null,
+  started_at: '2025-06-01T15:00:00Z',
+  ...overrides,
+});
+
+describe('achievements', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('computePersonalRecords', () => {
+    it('should pick the longest distance and biggest climb from self-powered tracks', () => {
+      const records = computePersonalRecords([
+        track({ id: 'a', distance_meters: 8000, elevation_gain_m: 200 }),
+        track({ id: 'b', distance_meters: 6000, elevation_gain_m: 900 }),
+        track({
+          id: 'c',
+          activity_type: 'driving',
+          distance_meters: 90000,
+          elevation_gain_m: 2000,
+        }),
+      ]);
+
+      expect(records.longestDistance).toMatchObject({ value: 8000, trackId: 'a' });
+      expect(records.biggestClimb).toMatchObject({ value: 900, trackId: 'b' });
+    });
+
+    it('should keep the fastest mile per activity, falling back to average pace', () => {
+      const records = computePersonalRecords([
+        track({ id: 'a', fastest_mile_seconds: 900 }),
+        track({ id: 'b', distance_meters: 2 * MILE, moving_seconds: 1600 }),
+        track({ id: 'c', activity_type: 'biking', fastest_mile_seconds: 240 }),
+        track({ id: 'd', distance_meters: 1000, moving_seconds: 60 }),
+      ]);
+
+      expect(records.fastestMile.hiking).toMatchObject({ value: 800, trackId: 'b' });
+      expect(records.fastestMile.biking).toMatchObject({ value: 240, trackId: 'c' });
+    });
+
+    it('should count distinct parks per month and the longest daily streak', () => {
+      const records = computePersonalRecords([
+        track({ park_id: 'p1', started_at: '2025-06-01T15:00:00Z' }),
+        track({ park_id: 'p1', started_at: '2025-06-02T15:00:00Z' }),
+        track({ local_park_id: 'l1', started_at: '2025-06-03T15:00:00Z' }),
+        track({ park_id: 'p2', started_at: '2025-07-10T15:00:00Z' }),
+      ]);
+
+      expect(records.mostParksInMonth).toEqual({ value: 2, month: '2025-06' });
+      expect(records.longestStreak).toEqual({
+        value: 3,
+        startDate: '2025-06-01',
+        endDate: '2025-06-03',
+      });
+    });
+
+    it('should return empty records without tracks', () => {
+      expect(computePersonalRecords([])).toEqual({
+        longestDistance: null,
+        biggestClimb: null,
+        fastestMile: {},
+        mostParksInMonth: null,
+        longestStreak: null,
+      });
+    });
+  });
+
+  describe('computeBadges', () => {
+    it('should credit each badge to the track that earned it', () => {
+      const badges = computeBadges([
+        track({ id: 'b', park_id: 'p1', started_at: '2025-06-02T15:00:00Z' }),
+        track({ id: 'a', activity_type: 'walking', started_at: '2025-06-01T15:00:00Z' }),
+      ]);
+
+      expect(badges).toEqual([
+        { id: 'first-track', earnedAt: '2025-06-01T15:00:00Z', trackId: 'a' },
+        { id: 'first-national-park-hike', earnedAt: '2025-06-02T15:00:00Z', trackId: 'b' },
+      ]);
+    });
+
+    it('should award distance and streak badges once their totals are reached', () => {
+      const week = Array.from({ length: 7 }, (_, i) =>
+        track({
+          id: `day-${i}`,
+          distance_meters: 15 * MILE,
+          started_at: `2025-06-0${i + 1}T15:00:00Z`,
+        })
+      );
+
+      const ids = computeBadges(week).map((badge) => badge.id);
+      const byId = Object.fromEntries(computeBadges(week).map((badge) => [badge.id, badge]));
+
+      expect(ids).toContain('hiked-100-miles');
+      expect(ids).toContain('streak-7');
+      expect(ids).not.toContain('hiked-500-miles');
+      expect(byId['hiked-100-miles'].trackId).toBe('day-6');
+    });
+  });
+
+  describe('computeMonthlyTotals', () => {
+    it('should total the last twelve months, newest first', () => {
+      const monthly = computeMonthlyTotals(
+        [
+          track({ distance_meters: 1000.4, park_id: 'p1', started_at: '2025-06-01T15:00:00Z' }),
+          track({ distance_meters: 2000, park_id: 'p1', started_at: '2025-06-09T15:00:00Z' }),
+          track({ started_at: '2024-01-01T15:00:00Z' }),
+        ],
+        new Date('2025-06-15T00:00:00Z')
+      );
+
+      expect(monthly).toHaveLength(12);
+      expect(monthly[0]).toEqual({
+        month: '2025-06',
+        trackCount: 2,
+        distanceMeters: 3000,
+        elevationGainM: 600,
+        parkCount: 1,
+      });
+      expect(monthly[11].month).toBe('2024-07');
+      expect(monthly[11].trackCount).toBe(0);
+    });
+  });
+
+  describe('formatAchievements', () => {
+    it('should add badge names and skip unknown badges', () => {
+      const result = formatAchievements({
+        records: {},
+        badges: [{ id: 'first-track', earnedAt: '2025-06-01T15:00:00Z' }, { id: 'retired' }],
+        monthly: [],
+        track_count: 1,
+        computed_at: '2025-06-02T00:00:00Z',
+      });
+
+      expect(result.badges).toEqual([
+        expect.objectContaining({ id: 'first-track', name: 'First Steps' }),
+      ]);
+      expect(result.trackCount).toBe(1);
+    });
+  });
+
+  describe('withoutTrackLinks', () => {
+    it('should remove track IDs and titles from records and badges', () => {
+      const result = withoutTrackLinks({
+        records: {
+          longestDistance: { value: 8000, trackId: 'a', title: 'Secret', date: '2025-06-01' },
+          biggestClimb: null,
+          fastestMile: { hiking: { value: 800, trackId: 'b', title: 'Secret' } },
+          mostParksInMonth: { value: 2, month: '2025-06' },
+        },
+        badges: [{ id: 'first-track', trackId: 'a', name: 'First Steps' }],
+        monthly: [],
+      });
+
+      expect(result.records.longestDistance).toEqual({ value: 8000, date: '2025-06-01' });
+      expect(result.records.fastestMile.hiking).toEqual({ value: 800 });
+      expect(result.records.mostParksInMonth).toEqual({ value: 2, month: '2025-06' });
+      expect(result.badges).toEqual([{ id: 'first-track', name: 'First Steps' }]);
+    });
+  });
+
+  describe('updateUserAchievements', () => {
+    const createSupabase = ({ tracks = [], tracksError = null, saveError = null } = {}) => {
+      const upsert = vi.fn((row) => ({
+        select: () => ({
+          single: () => Promise.resolve({ data: saveError ? null : row, error: saveError }),
+        }),
+      }));
+      const tracksQuery = {
+        select: vi.fn(() => tracksQuery),
+        eq: vi.fn(() => tracksQuery),
+        in: vi.fn(() => tracksQuery),
+        order: vi.fn(() => tracksQuery),
+        range: vi.fn((from, to) =>
+          Promise.resolve({
+            data: tracksError ? null : tracks.slice(from, to + 1),
+            error: tracksError,
+          })
+        ),
+      };
+
+      return {
+        upsert,
+        tracksQuery,
+        from: vi.fn((table) => (table === 'user_tracks' ? tracksQuery : { upsert })),
+      };
+    };
+
+    it('should recompute and save achievements from completed tracks', async () => {
+      const supabase = createSupabase({ tracks: [track({ id: 'a' })] });
+      const now = new Date('2025-06-15T00:00:00Z');
+
+      const result = await updateUserAchievements(supabase, 'user-1', now);
+
+      expect(supabase.tracksQuery.eq).toHaveBeenCalledWith('user_id', 'user-1');
+      expect(supabase.tracksQuery.in).toHaveBeenCalledWith('status', ['completed', 'shared']);
+      expect(supabase.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          user_id: 'user-1',
+          track_count: 1,
+          computed_at: now.toISOString(),
+        }),
+        { onConflict: 'user_id' }
+      );
+      expect(result.records.longestDistance).toMatchObject({ value: 5000, trackId: 'a' });
+      expect(result.badges[0]).toMatchObject({ id: 'first-track', name: 'First Steps' });
+    });
+
+    it('should page through more tracks than one response holds', async () => {
+      const tracks = Array.from({ length: 1500 }, (_, i) => track({ id: `t${i}` }));
+      const supabase = createSupabase({ tracks });
+
+      const result = await updateUserAchievements(supabase, 'user-1');
+
+      expect(supabase.tracksQuery.range.mock.calls).toEqual([
+        [0, 999],
+        [1000, 1999],
+      ]);
+      expect(result.trackCount).toBe(1500);
+    });
+
+    it('should save a public set from public, shared tracks only', async () => {
+      const supabase = createSupabase({
+        tracks: [
+          track({ id: 'private', distance_meters: 9000, status: 'completed', is_public: false }),
+          track({ id: 'unshared', distance_meters: 8000, status: 'completed', is_public: true }),
+          track({ id: 'shared', distance_meters: 4000, status: 'shared', is_public: true }),
+        ],
+      });
+
+      await updateUserAchievements(supabase, 'user-1', new Date('2025-06-15T00:00:00Z'));
+
+      const [saved] = supabase.upsert.mock.calls[0];
+      expect(saved.records.longestDistance).toMatchObject({ trackId: 'private' });
+      expect(saved.public_achievements.track_count).toBe(1);
+      expect(saved.public_achievements.records.longestDistance).toMatchObject({
+        value: 4000,
+        trackId: 'shared',
+      });
+      expect(saved.public_achievements.monthly[0]).toMatchObject({
+        trackCount: 1,
+        distanceMeters: 4000,
+      });
+    });
+
+    it('should return null when the tracks cannot be loaded', async () => {
+      const supabase = createSupabase({ tracksError: { message: 'boom' } });
+
+      expect(await updateUserAchievements(supabase, 'user-1')).toBeNull();
+      expect(supabase.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should return null when saving fails', async () => {
+      const supabase = createSupabase({ saveError: { message: 'boom' } });
+
+      expect(await updateUserAchievements(supabase, 'user-1')).toBeNull();
+    });
+  });
+
+  describe('getUserAchievements', () => {
+    it('should return the saved row without recomputing', async () => {
+      const row = {
+        records: {},
+        badges: [],
+        monthly: [],
+        track_count: 0,
+        computed_at: '2025-06-02T00:00:00Z',
+      };
+      const query = {
+        select: vi.fn(() => query),
+        eq: vi.fn(() => query),
+        maybeSingle: vi.fn(() => Promise.resolve({ data: row, error: null })),
+      };
+      const supabase = { from: vi.fn(() => query) };
+
+      const result = await getUserAchievements(supabase, 'user-1');
+
+      expect(result).toEqual(formatAchievements(row));
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return the public set for profiles', async () => {
+      const row = {
+        records: { longestDistance: { value: 9000 } },
+        badges: [],
+        monthly: [],
+        track_count: 3,
+        public_achievements: {
+          records: { longestDistance: { value: 4000 } },
+          badges: [],
+          monthly: [],
+          track_count: 1,
+        },
+        computed_at: '2025-06-02T00:00:00Z',
+      };
+      const query = {
+        select: vi.fn(() => query),
+        eq: vi.fn(() => query),
+        maybeSingle: vi.fn(() => Promise.resolve({ data: row, error: null })),
+      };
+
+      const result = await getUserAchievements({ from: () => query }, 'user-1', {
+        publicOnly: true,
+      });
+
+      expect(result).toMatchObject({
+        records: { longestDistance: { value: 4000 } },
+        trackCount: 1,
+        computedAt: '2025-06-02T00:00:00Z',
+      });
+    });
+
+    it('should return null when the row cannot be loaded', async () => {
+      const query = {
+        select: vi.fn(() => query),
+        eq: vi.fn(() => query),
+        maybeSingle: vi.fn(() => Promise.resolve({ data: null, error: { message: 'boom' } })),
+      };
+
+      expect(await getUserAchievements({ from: () => query }, 'user-1')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Track Check-in Tests
+ * Tests for emergency contact validation, return times, and overdue alerts
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  normalizeEmergencyContacts,
+  validateExpectedReturn,
+  extendExpectedReturn,
+  buildCheckInConfig,
+  isTrackOverdue,
+  buildOverdueEmail,
+  sendOverdueAlerts,
+} from '@/lib/tracking/check-in';
+
+const NOW = new Date('2025-06-01T18:00:00Z');
+
+/**
+ * Supabase mock: every query resolves to the next result queued for its table
+ */
+const createSupabase = (results) => {
+  const queries = [];
+  const supabase = {
+    from: vi.fn((table) => {
+      const result = results[table].shift();
+      const query = { table };
+      ['select', 'update', 'eq', 'in', 'is', 'lte', 'order', 'limit'].forEach((method) => {
+        query[method] = vi.fn(() => query);
+      });
+      query.maybeSingle = vi.fn().mockResolvedValue(result);
+      query.then = (resolve) => resolve(result);
+      queries.push(query);
+      return query;
+    }),
+  };
+  return { supabase, queries };
+};
+
+const overdueTrack = (overrides = {}) => ({
+  id: 'track-1',
+  title: 'Morning hike',
+  activity_type: 'hiking',
+  status: 'recording',
+  expected_return_at: '2025-06-01T17:00:00Z',
+  emergency_contacts: [{ name: 'Sam', email: 'sam@example.com' }],
+  trails: { name: 'Mist Trail' },
+  nps_parks: null,
+  local_parks: null,
+  profiles: { display_name: 'Alex', username: 'alex' },
+  ...overrides,
+});
+
+describe('check-in', () => {
+  describe('normalizeEmergencyContacts', () => {
+    it('should trim, lowercase, and drop blank or duplicate contacts', () => {
+      expect(
+        normalizeEmergencyContacts([
+          { name: ' Sam ', email: ' Sam@Example.com ' },
+          { name: '', email: '' },
+          { name: 'Sam again', email: 'sam@example.com' },
+        ])
+      ).toEqual({ contacts: [{ name: 'Sam', email: 'sam@example.com' }] });
+    });
+
+    it('should treat a missing list as no contacts', () => {
+      expect(normalizeEmergencyContacts(undefined)).toEqual({ contacts: [] });
+    });
+
+    it('should reject invalid emails and too many contacts', () => {
+      expect(normalizeEmergencyContacts([{ email: 'not-an-email' }]).error).toMatch(/Invalid/);
+      expect(
+        normalizeEmergencyContacts([
+          { email: 'a@example.com' },
+          { email: 'b@example.com' },
+          { email: 'c@example.com' },
+          { email: 'd@example.com' },
+        ]).error
+      ).toMatch(/at most 3/);
+      expect(normalizeEmergencyContacts('sam@example.com').error).toBeDefined();
+    });
+  });
+
+  describe('validateExpectedReturn', () => {
+    it('should accept future times within a week', () => {
+      expect(validateExpectedReturn('2025-06-01T20:00:00Z', NOW)).toEqual({
+        expectedReturnAt: '2025-06-01T20:00:00.000Z',
+      });
+      expect(validateExpectedReturn(null, NOW)).toEqual({ expectedReturnAt: null });
+    });
+
+    it('should reject past, far-off, and unreadable times', () => {
+      expect(validateExpectedReturn('2025-06-01T17:00:00Z', NOW).error).toMatch(/future/);
+      expect(validateExpectedReturn('2025-06-20T17:00:00Z', NOW).error).toMatch(/7 days/);
+      expect(validateExpectedReturn('soon', NOW).error).toMatch(/Invalid/);
+    });
+  });
+
+  describe('extendExpectedReturn', () => {
+    it('should add to a return time that has not passed', () => {
+      expect(extendExpectedReturn('2025-06-01T19:00:00Z', 30, NOW)).toBe(
+        '2025-06-01T19:30:00.000Z'
+      );
+    });
+
+    it('should count from now once the return time has passed', () => {
+      expect(extendExpectedReturn('2025-06-01T17:00:00Z', 60, NOW)).toBe(
+        '2025-06-01T19:00:00.000Z'
+      );
+    });
+  });
+
+  describe('buildCheckInConfig', () => {
+    it('should convert the form into track settings', () => {
+      const config = buildCheckInConfig({
+        enabled: true,
+        returnAt: '2025-06-01T20:00',
+        contacts: [
+          { name: 'Sam', email: 'sam@example.com' },
+          { name: '', email: ' ' },
+        ],
+      });
+
+      expect(config.expectedReturnAt).toBe(new Date('2025-06-01T20:00').toISOString());
+      expect(config.emergencyContacts).toEqual([{ name: 'Sam', email: 'sam@example.com' }]);
+    });
+
+    it('should add nothing when the check-in is off or has no time', () => {
+      expect(
+        buildCheckInConfig({ enabled: false, returnAt: '2025-06-01T20:00', contacts: [] })
+      ).toEqual({});
+      expect(buildCheckInConfig({ enabled: true, returnAt: '', contacts: [] })).toEqual({});
+    });
+  });
+
+  describe('isTrackOverdue', () => {
+    it('should only flag active tracks past their return time', () => {
+      expect(isTrackOverdue(overdueTrack(), NOW)).toBe(true);
+      expect(isTrackOverdue(overdueTrack({ status: 'paused' }), NOW)).toBe(true);
+      expect(isTrackOverdue(overdueTrack({ status: 'completed' }), NOW)).toBe(false);
+      expect(
+        isTrackOverdue(overdueTrack({ expected_return_at: '2025-06-01T19:00:00Z' }), NOW)
+      ).toBe(false);
+      expect(isTrackOverdue(overdueTrack({ expected_return_at: null }), NOW)).toBe(false);
+    });
+  });
+
+  describe('buildOverdueEmail', () => {
+    it('should include the last known position, trail, and live link', () => {
+      const email = buildOverdueEmail({
+        contact: { name: 'Sam', email: 'sam@example.com' },
+        ownerName: 'Alex',
+        place: 'Mist Trail',
+        activityType: 'hiking',
+        expectedReturnAt: '2025-06-01T17:00:00Z',
+        lastPoint: { latitude: 37.72561, longitude: -119.54321, recorded_at: '2025-06-01T16:40Z' },
+        liveUrl: 'https://parklookup.com/tracks/track-1/live?token=abc',
+      });
+
+      expect(email.subject).toBe('Alex is overdue from Mist Trail');
+      expect(email.text).toContain('Hi Sam,');
+      expect(email.text).toContain('hiking on Mist Trail');
+      expect(email.text).toContain('Last known position: 37.72561, -119.54321');
+      expect(email.text).toContain('mlat=37.72561&mlon=-119.54321');
+      expect(email.text).toContain('https://parklookup.com/tracks/track-1/live?token=abc');
+    });
+
+    it('should say when no position has been received', () => {
+      const email = buildOverdueEmail({
+        contact: { email: 'sam@example.com' },
+        ownerName: 'Alex',
+        place: 'Mist Trail',
+        expectedReturnAt: '2025-06-01T17:00:00Z',
+        lastPoint: null,
+      });
+
+      expect(email.text).toContain('Hi there,');
+      expect(email.text).toContain('No position has been received');
+    });
+  });
+
+  describe('sendOverdueAlerts', () => {
+    let mailer;
+
+    beforeEach(() => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      mailer = { send: vi.fn().mockResolvedValue() };
+    });
+
+    it('should email each contact and mark the track alerted', async () => {
+      const track = overdueTrack({
+        emergency_contacts: [
+          { name: 'Sam', email: 'sam@example.com' },
+          { name: 'Jo', email: 'jo@example.com' },
+        ],
+      });
+      const { supabase, queries } = createSupabase({
+        user_tracks: [
+          { data: [track], error: null },
+          { data: [{ id: 'track-1' }], error: null },
+        ],
+        track_points: [
+          {
+            data: { latitude: '37.7', longitude: '-119.5', recorded_at: '2025-06-01T16:40:00Z' },
+            error: null,
+          },
+        ],
+        track_live_shares: [{ data: null, error: null }],
+      });
+
+      const summary = await sendOverdueAlerts(supabase, mailer, NOW);
+
+      expect(summary).toEqual({ checked: 1, alerted: 1, failed: 0 });
+      expect(mailer.send).toHaveBeenCalledTimes(2);
+      expect(mailer.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          to: 'sam@example.com',
+          subject: 'Alex is overdue from Mist Trail',
+          text: expect.stringContaining('37.70000, -119.50000'),
+        })
+      );
+
+      const [lookup, claim] = queries;
+      expect(lookup.in).toHaveBeenCalledWith('status', ['recording', 'paused']);
+      expect(lookup.is).toHaveBeenCalledWith('overdue_alert_sent_at', null);
+      expect(lookup.lte).toHaveBeenCalledWith('expected_return_at', NOW.toISOString());
+      expect(claim.update).toHaveBeenCalledWith({ overdue_alert_sent_at: NOW.toISOString() });
+      expect(claim.is).toHaveBeenCalledWith('overdue_alert_sent_at', null);
+    });
+
+    it('should include an open live link', async () => {
+      const { supabase } = createSupabase({
+        user_tracks: [{ data: [overdueTrack()], error: null }, { data: [{ id: 'track-1' }] }],
+        track_points: [{ data: null, error: null }],
+        track_live_shares: [
+          { data: { token: 'f'.repeat(48), expires_at: '2025-06-01T20:00:00Z' }, error: null },
+        ],
+      });
+
+      await sendOverdueAlerts(supabase, mailer, NOW);
+
+      expect(mailer.send.mock.calls[0][0].text).toContain(
+        `/tracks/track-1/live?token=${'f'.repeat(48)}`
+      );
+    });
+
+    it('should skip tracks another run already claimed', async () => {
+      const { supabase } = createSupabase({
+        user_tracks: [
+          { data: [overdueTrack()], error: null },
+          { data: [], error: null },
+        ],
+      });
+
+      const summary = await sendOverdueAlerts(supabase, mailer, NOW);
+
+      expect(summary.alerted).toBe(0);
+      expect(mailer.send).not.toHaveBeenCalled();
+    });
+
+    it('should skip tracks without contacts', async () => {
+      const { supabase } = createSupabase({
+        user_tracks: [{ data: [overdueTrack({ emergency_contacts: [] })], error: null }],
+      });
+
+      const summary = await sendOverdueAlerts(supabase, mailer, NOW);
+
+      expect(summary).toEqual({ checked: 1, alerted: 0, failed: 0 });
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+    });
+
+    it('should release the claim when no email could be sent', async () => {
+      mailer.send.mockRejectedValue(new Error('Connection refused'));
+      const { supabase, queries } = createSupabase({
+        user_tracks: [
+          { data: [overdueTrack()], error: null },
+          { data: [{ id: 'track-1' }], error: null },
+          { data: null, error: null },
+        ],
+        track_points: [{ data: null, error: null }],
+        track_live_shares: [{ data: null, error: null }],
+      });
+
+      const summary = await sendOverdueAlerts(supabase, mailer, NOW);
+
+      expect(summary).toEqual({ checked: 1, alerted: 0, failed: 1 });
+      const release = queries[queries.length - 1];
+      expect(release.update).toHaveBeenCalledWith({ overdue_alert_sent_at: null });
+    });
+
+    it('should throw when overdue tracks cannot be fetched', async () => {
+      const { supabase } = createSupabase({
+        user_tracks: [{ data: null, error: { message: 'boom' } }],
+      });
+
+      await expect(sendOverdueAlerts(supabase, mailer, NOW)).rejects.toThrow('boom');
+    });
+  });
+});
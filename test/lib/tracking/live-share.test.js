@@ -0,0 +1,107 @@
+/**
+ * Track Live Share Tests
+ * Tests for live share tokens, expiry, URLs, and lookups
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  generateLiveShareToken,
+  isValidLiveShareToken,
+  isValidLiveShareDuration,
+  getLiveShareExpiry,
+  isLiveShareExpired,
+  buildLiveShareUrl,
+  findLiveShare,
+} from '@/lib/tracking/live-share';
+
+const TRACK_ID = '11111111-1111-4111-8111-111111111111';
+const TOKEN = 'a'.repeat(48);
+const NOW = new Date('2025-06-01T12:00:00Z');
+
+// Chainable query mock resolving to `result`
+const createSupabase = (result) => {
+  const query = {};
+  ['select', 'eq'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  return { from: vi.fn(() => query), query };
+};
+
+describe('live-share', () => {
+  describe('generateLiveShareToken', () => {
+    it('should generate distinct 48-character hex tokens', () => {
+      const token = generateLiveShareToken();
+      expect(token).toMatch(/^[0-9a-f]{48}$/);
+      expect(generateLiveShareToken()).not.toBe(token);
+    });
+  });
+
+  describe('isValidLiveShareToken', () => {
+    it('should accept generated tokens and reject anything else', () => {
+      expect(isValidLiveShareToken(generateLiveShareToken())).toBe(true);
+      expect(isValidLiveShareToken('abc')).toBe(false);
+      expect(isValidLiveShareToken(null)).toBe(false);
+    });
+  });
+
+  describe('isValidLiveShareDuration', () => {
+    it('should only allow the offered durations', () => {
+      expect(isValidLiveShareDuration(12)).toBe(true);
+      expect(isValidLiveShareDuration(1000)).toBe(false);
+      expect(isValidLiveShareDuration('12')).toBe(false);
+    });
+  });
+
+  describe('expiry', () => {
+    it('should expire the given number of hours from now', () => {
+      expect(getLiveShareExpiry(4, NOW)).toBe('2025-06-01T16:00:00.000Z');
+    });
+
+    it('should report expired links', () => {
+      expect(isLiveShareExpired({ expires_at: '2025-06-01T11:59:59Z' }, NOW)).toBe(true);
+      expect(isLiveShareExpired({ expires_at: '2025-06-01T12:00:01Z' }, NOW)).toBe(false);
+    });
+  });
+
+  describe('buildLiveShareUrl', () => {
+    it('should link to the live page with the token', () => {
+      expect(buildLiveShareUrl(TRACK_ID, TOKEN)).toMatch(
+        new RegExp(`/tracks/${TRACK_ID}/live\\?token=${TOKEN}$`)
+      );
+    });
+  });
+
+  describe('findLiveShare', () => {
+    it('should return a matching unexpired link', async () => {
+      const link = { track_id: TRACK_ID, token: TOKEN, expires_at: '2025-06-01T13:00:00Z' };
+      const supabase = createSupabase({ data: link, error: null });
+
+      expect(await findLiveShare(supabase, TRACK_ID, TOKEN, NOW)).toEqual(link);
+      expect(supabase.from).toHaveBeenCalledWith('track_live_shares');
+      expect(supabase.query.eq).toHaveBeenCalledWith('token', TOKEN);
+    });
+
+    it('should ignore expired links', async () => {
+      const supabase = createSupabase({
+        data: { track_id: TRACK_ID, token: TOKEN, expires_at: '2025-06-01T11:00:00Z' },
+        error: null,
+      });
+
+      expect(await findLiveShare(supabase, TRACK_ID, TOKEN, NOW)).toBeNull();
+    });
+
+    it('should skip the lookup for malformed tokens', async () => {
+      const supabase = createSupabase({ data: null, error: null });
+
+      expect(await findLiveShare(supabase, TRACK_ID, 'nope', NOW)).toBeNull();
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should throw on database errors', async () => {
+      const supabase = createSupabase({ data: null, error: { message: 'boom' } });
+
+      await expect(findLiveShare(supabase, TRACK_ID, TOKEN, NOW)).rejects.toThrow('boom');
+    });
+  });
+});
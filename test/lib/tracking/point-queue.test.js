@@ -0,0 +1,187 @@
+/**
+ * Track Point Queue Tests
+ * Tests for queueing points and replaying them to the points API
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockAddTrackPoints = vi.fn();
+vi.mock('@/lib/tracking/tracking-client', () => ({
+  addTrackPoints: (...args) => mockAddTrackPoints(...args),
+}));
+
+import {
+  POINT_SYNC_TAG,
+  createMemoryPointQueue,
+  replayQueuedPoints,
+  replayAllQueuedPoints,
+  requestPointSync,
+} from '@/lib/tracking/point-queue';
+
+const point = (sequenceNum) => ({ latitude: 37.7, longitude: -119.5, sequenceNum });
+
+describe('point-queue', () => {
+  let queue;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    queue = createMemoryPointQueue();
+    mockAddTrackPoints.mockImplementation(async (_token, _trackId, points) => ({
+      inserted: points.length,
+      duplicates: 0,
+    }));
+  });
+
+  describe('createMemoryPointQueue', () => {
+    it('should keep one point per sequence number, in order', async () => {
+      await queue.add('track-1', [point(2), point(0)]);
+      await queue.add('track-1', [point(1), point(2)]);
+      await queue.add('track-2', [point(0)]);
+
+      expect((await queue.list('track-1')).map((p) => p.sequenceNum)).toEqual([0, 1, 2]);
+      expect(await queue.list('track-1', 2)).toHaveLength(2);
+      expect(await queue.count('track-2')).toBe(1);
+    });
+
+    it('should clear a track and its saved upload', async () => {
+      await queue.add('track-1', [point(0)]);
+      await queue.saveUpload({ trackId: 'track-1', accessToken: 'token' });
+
+      await queue.clear('track-1');
+
+      expect(await queue.count('track-1')).toBe(0);
+      expect(await queue.getUpload('track-1')).toBeNull();
+    });
+  });
+
+  describe('replayQueuedPoints', () => {
+    it('should upload in batches and empty the queue', async () => {
+      await queue.add('track-1', [point(0), point(1), point(2)]);
+
+      const result = await replayQueuedPoints(queue, {
+        trackId: 'track-1',
+        accessToken: 'token',
+        batchSize: 2,
+      });
+
+      expect(result).toEqual({ uploaded: 3, duplicates: 0, rejected: 0, remaining: 0 });
+      expect(mockAddTrackPoints).toHaveBeenCalledTimes(2);
+      expect(mockAddTrackPoints.mock.calls[0][2].map((p) => p.sequenceNum)).toEqual([0, 1]);
+      expect(await queue.count('track-1')).toBe(0);
+    });
+
+    it('should count points the server already had', async () => {
+      mockAddTrackPoints.mockResolvedValue({ inserted: 1, duplicates: 1 });
+      await queue.add('track-1', [point(0), point(1)]);
+
+      const result = await replayQueuedPoints(queue, { trackId: 'track-1', accessToken: 'token' });
+
+      expect(result.uploaded).toBe(1);
+      expect(result.duplicates).toBe(1);
+    });
+
+    it('should keep points queued after a network or server error', async () => {
+      mockAddTrackPoints.mockResolvedValue({ error: { message: 'Failed to add track points' } });
+      await queue.add('track-1', [point(0), point(1)]);
+
+      const result = await replayQueuedPoints(queue, { trackId: 'track-1', accessToken: 'token' });
+
+      expect(result.remaining).toBe(2);
+      expect(result.error).toEqual({ message: 'Failed to add track points' });
+      expect(await queue.count('track-1')).toBe(2);
+    });
+
+    it('should keep points queued while the token is rejected', async () => {
+      mockAddTrackPoints.mockResolvedValue({ error: { error: 'Unauthorized' }, status: 401 });
+      await queue.add('track-1', [point(0)]);
+
+      const result = await replayQueuedPoints(queue, { trackId: 'track-1', accessToken: 'old' });
+
+      expect(result.remaining).toBe(1);
+      expect(result.status).toBe(401);
+    });
+
+    it('should drop points the server will never accept', async () => {
+      mockAddTrackPoints.mockResolvedValue({
+        error: { error: 'Cannot add points to this track' },
+        status: 400,
+      });
+      await queue.add('track-1', [point(0), point(1)]);
+
+      const result = await replayQueuedPoints(queue, { trackId: 'track-1', accessToken: 'token' });
+
+      expect(result).toEqual({ uploaded: 0, duplicates: 0, rejected: 2, remaining: 0 });
+      expect(await queue.count('track-1')).toBe(0);
+    });
+  });
+
+  describe('replayAllQueuedPoints', () => {
+    it('should replay each track with its saved token', async () => {
+      await queue.add('track-1', [point(0)]);
+      await queue.add('track-2', [point(0), point(1)]);
+      await queue.saveUpload({ trackId: 'track-1', accessToken: 'token-1' });
+      await queue.saveUpload({ trackId: 'track-2', accessToken: 'token-2' });
+
+      const result = await replayAllQueuedPoints(queue);
+
+      expect(result).toEqual({ uploaded: 3, remaining: 0, needsSignIn: 0 });
+      expect(mockAddTrackPoints).toHaveBeenCalledWith('token-1', 'track-1', [point(0)]);
+      expect(mockAddTrackPoints).toHaveBeenCalledWith('token-2', 'track-2', [point(0), point(1)]);
+      expect(await queue.listUploads()).toEqual([]);
+    });
+
+    it('should keep tracks that still have points', async () => {
+      mockAddTrackPoints.mockResolvedValue({ error: { message: 'offline' } });
+      await queue.add('track-1', [point(0)]);
+      await queue.saveUpload({ trackId: 'track-1', accessToken: 'token-1' });
+
+      const result = await replayAllQueuedPoints(queue);
+
+      expect(result.remaining).toBe(1);
+      expect(await queue.getUpload('track-1')).toMatchObject({ accessToken: 'token-1' });
+    });
+
+    it('should count points waiting for a fresh token', async () => {
+      mockAddTrackPoints.mockImplementation(async (token) =>
+        token === 'expired'
+          ? { error: { error: 'Unauthorized' }, status: 401 }
+          : { error: { message: 'offline' } }
+      );
+      await queue.add('track-1', [point(0), point(1)]);
+      await queue.add('track-2', [point(0)]);
+      await queue.saveUpload({ trackId: 'track-1', accessToken: 'expired' });
+      await queue.saveUpload({ trackId: 'track-2', accessToken: 'token-2' });
+
+      const result = await replayAllQueuedPoints(queue);
+
+      expect(result).toEqual({ uploaded: 0, remaining: 3, needsSignIn: 2 });
+      expect(await queue.count('track-1')).toBe(2);
+    });
+  });
+
+  describe('requestPointSync', () => {
+    it('should register the sync tag with the service worker', async () => {
+      const register = vi.fn().mockResolvedValue();
+      vi.stubGlobal('navigator', {
+        serviceWorker: { getRegistration: vi.fn().mockResolvedValue({ sync: { register } }) },
+      });
+
+      expect(await requestPointSync()).toBe(true);
+      expect(register).toHaveBeenCalledWith(POINT_SYNC_TAG);
+
+      vi.unstubAllGlobals();
+    });
+
+    it('should report when background sync is unavailable', async () => {
+      vi.stubGlobal('navigator', {
+        serviceWorker: { getRegistration: vi.fn().mockResolvedValue(undefined) },
+      });
+
+      expect(await requestPointSync()).toBe(false);
+
+      vi.unstubAllGlobals();
+    });
+  });
+});
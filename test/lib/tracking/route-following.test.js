@@ -0,0 +1,152 @@
+/**
+ * Tests for Route Following Utilities
+ *
+ * @module test/lib/tracking/route-following.test
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  buildRoute,
+  buildRouteFromGeometry,
+  locateOnRoute,
+  alertOffRoute,
+} from '@/lib/tracking/route-following';
+
+// ~111 m per 0.001 degrees of latitude
+const northRoute = () =>
+  buildRoute([
+    { latitude: 37, longitude: -120 },
+    { latitude: 37.001, longitude: -120 },
+    { latitude: 37.002, longitude: -120 },
+  ]);
+
+describe('Route Following', () => {
+  describe('buildRoute', () => {
+    it('should add cumulative distance to each point', () => {
+      const route = northRoute();
+
+      expect(route.points.map((point) => Math.round(point.distanceMeters))).toEqual([0, 111, 222]);
+      expect(route.totalMeters).toBeCloseTo(222.4, 0);
+    });
+
+    it('should skip points without coordinates', () => {
+      const route = buildRoute([
+        { latitude: 37, longitude: -120 },
+        { latitude: null, longitude: null },
+        { latitude: '37.001', longitude: '-120' },
+      ]);
+
+      expect(route.points).toHaveLength(2);
+    });
+
+    it('should return null with fewer than two points', () => {
+      expect(buildRoute([{ latitude: 37, longitude: -120 }])).toBeNull();
+      expect(buildRoute(null)).toBeNull();
+    });
+  });
+
+  describe('buildRouteFromGeometry', () => {
+    it('should build a route from a LineString', () => {
+      const route = buildRouteFromGeometry({
+        type: 'LineString',
+        coordinates: [
+          [-120, 37],
+          [-120, 37.001],
+        ],
+      });
+
+      expect(route.points[1]).toMatchObject({ latitude: 37.001, longitude: -120 });
+    });
+
+    it('should join MultiLineString parts and accept JSON text', () => {
+      const route = buildRouteFromGeometry(
+        JSON.stringify({
+          type: 'MultiLineString',
+          coordinates: [
+            [
+              [-120, 37],
+              [-120, 37.001],
+            ],
+            [[-120, 37.002]],
+          ],
+        })
+      );
+
+      expect(route.points).toHaveLength(3);
+    });
+
+    it('should return null for other or invalid geometry', () => {
+      expect(buildRouteFromGeometry({ type: 'Point', coordinates: [-120, 37] })).toBeNull();
+      expect(buildRouteFromGeometry('not json')).toBeNull();
+      expect(buildRouteFromGeometry(null)).toBeNull();
+    });
+  });
+
+  describe('locateOnRoute', () => {
+    it('should find progress and deviation beside the route', () => {
+      // Halfway up the first segment, ~44 m east
+      const location = locateOnRoute(northRoute(), { latitude: 37.0005, longitude: -119.9995 });
+
+      expect(location.deviationMeters).toBeCloseTo(44.4, 0);
+      expect(location.distanceAlongMeters).toBe(56);
+      expect(location.distanceRemainingMeters).toBe(167);
+      expect(location.nearestPoint.latitude).toBeCloseTo(37.0005, 6);
+      expect(location.nearestPoint.longitude).toBe(-120);
+    });
+
+    it('should clamp to the route ends', () => {
+      const location = locateOnRoute(northRoute(), { latitude: 37.003, longitude: -120 });
+
+      expect(location.distanceRemainingMeters).toBe(0);
+      expect(location.deviationMeters).toBeCloseTo(111.2, 0);
+    });
+
+    it('should stay on the current leg of an out-and-back route', () => {
+      const outAndBack = buildRoute([
+        { latitude: 37, longitude: -120 },
+        { latitude: 37.002, longitude: -120 },
+        { latitude: 37, longitude: -120.00001 },
+      ]);
+      const position = { latitude: 37.001, longitude: -120 };
+
+      const outbound = locateOnRoute(outAndBack, position, 100);
+      const inbound = locateOnRoute(outAndBack, position, 340);
+
+      expect(outbound.distanceAlongMeters).toBeCloseTo(111, -1);
+      expect(inbound.distanceAlongMeters).toBeCloseTo(333, -1);
+    });
+  });
+
+  describe('alertOffRoute', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should vibrate and show a notification when allowed', () => {
+      const vibrate = vi.fn();
+      const Notification = vi.fn();
+      Notification.permission = 'granted';
+      vi.stubGlobal('navigator', { vibrate });
+      vi.stubGlobal('window', { Notification });
+
+      alertOffRoute('Mist Trail', 42.4);
+
+      expect(vibrate).toHaveBeenCalled();
+      expect(Notification).toHaveBeenCalledWith(
+        'Off route',
+        expect.objectContaining({ body: "You're 42 m off Mist Trail" })
+      );
+    });
+
+    it('should skip the notification without permission', () => {
+      const Notification = vi.fn();
+      Notification.permission = 'denied';
+      vi.stubGlobal('navigator', {});
+      vi.stubGlobal('window', { Notification });
+
+      alertOffRoute('Mist Trail', 42);
+
+      expect(Notification).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Tests for Track Cleaning Module
+ *
+ * @module test/lib/tracking/track-cleaning.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CLEANING_THRESHOLDS,
+  flagOutliers,
+  filterPositions,
+  smoothAltitudes,
+  cleanTrack,
+} from '../../../lib/tracking/track-cleaning.js';
+import {
+  calculateElevationStats,
+  calculateTotalDistance,
+} from '../../../lib/tracking/track-stats.js';
+
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Deterministic noise in [-1, 1]
+ * @param {number} seed - Starting seed
+ * @returns {Function} Next noise value
+ */
+const createNoise = (seed = 42) => {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return (state / 2147483648) * 2 - 1;
+  };
+};
+
+/**
+ * Build a northbound walk at 1.4 m/s with one fix per second
+ * @param {number} count - Number of points
+ * @param {Object} [options]
+ * @param {Function} [options.altitude] - Altitude for point i
+ * @param {number} [options.positionNoiseM] - Position jitter in meters
+ * @returns {Array<Object>} Points shaped like track_points rows
+ */
+const buildWalk = (count, { altitude = () => 100, positionNoiseM = 0 } = {}) => {
+  const noise = createNoise();
+  return Array.from({ length: count }, (_, i) => ({
+    latitude: 37.7 + (i * 1.4) / METERS_PER_DEGREE,
+    longitude: -119.5 + (noise() * positionNoiseM) / METERS_PER_DEGREE,
+    altitude_m: altitude(i),
+    accuracy_m: 5,
+    recorded_at: new Date(Date.UTC(2024, 0, 1, 10, 0, i)).toISOString(),
+    segment_num: 0,
+  }));
+};
+
+describe('Track Cleaning', () => {
+  describe('flagOutliers', () => {
+    it('should flag fixes with poor accuracy', () => {
+      const points = buildWalk(10);
+      points[4] = { ...points[4], accuracy_m: 200 };
+
+      const outliers = flagOutliers(points);
+
+      expect(outliers[4]).toBe(true);
+      expect(outliers.filter(Boolean)).toHaveLength(1);
+    });
+
+    it('should keep fixes from an imprecise device', () => {
+      const points = buildWalk(10).map((point) => ({ ...point, accuracy_m: 80 }));
+
+      expect(flagOutliers(points).some(Boolean)).toBe(false);
+    });
+
+    it('should flag teleport jumps', () => {
+      const points = buildWalk(10);
+      points[5] = { ...points[5], latitude: points[5].latitude + 0.02 };
+
+      const outliers = flagOutliers(points);
+
+      expect(outliers[5]).toBe(true);
+      expect(outliers.filter(Boolean)).toHaveLength(1);
+    });
+
+    it('should accept a jump that the following fixes confirm', () => {
+      const points = buildWalk(10).map((point, i) =>
+        i >= 5 ? { ...point, latitude: point.latitude + 0.02 } : point
+      );
+
+      const outliers = flagOutliers(points);
+
+      expect(outliers.filter(Boolean)).toHaveLength(
+        CLEANING_THRESHOLDS.TELEPORT_CONFIRM_POINTS - 1
+      );
+      expect(outliers[9]).toBe(false);
+    });
+
+    it('should allow faster movement for faster activities', () => {
+      // 20 m/s between fixes
+      const points = buildWalk(10).map((point, i) => ({
+        ...point,
+        latitude: 37.7 + (i * 20) / METERS_PER_DEGREE,
+      }));
+
+      expect(flagOutliers(points, 'walking').some(Boolean)).toBe(true);
+      expect(flagOutliers(points, 'biking').some(Boolean)).toBe(false);
+    });
+
+    it('should not compare positions across a pause', () => {
+      const points = buildWalk(10).map((point, i) =>
+        i >= 5 ? { ...point, latitude: point.latitude + 0.02, segment_num: 1 } : point
+      );
+
+      expect(flagOutliers(points).some(Boolean)).toBe(false);
+    });
+  });
+
+  describe('filterPositions', () => {
+    it('should reduce position jitter', () => {
+      const points = buildWalk(600, { positionNoiseM: 8 });
+      const trueDistance = 599 * 1.4;
+
+      const filtered = filterPositions(points).map((position, i) => ({
+        ...points[i],
+        ...position,
+      }));
+
+      const rawError = Math.abs(calculateTotalDistance(points) - trueDistance);
+      const filteredError = Math.abs(calculateTotalDistance(filtered) - trueDistance);
+      expect(filteredError).toBeLessThan(rawError / 2);
+    });
+
+    it('should restart at each segment', () => {
+      const points = buildWalk(4).map((point, i) =>
+        i >= 2 ? { ...point, latitude: point.latitude + 0.1, segment_num: 1 } : point
+      );
+
+      const filtered = filterPositions(points);
+
+      expect(filtered[2].latitude).toBe(points[2].latitude);
+    });
+  });
+
+  describe('smoothAltitudes', () => {
+    it('should remove phantom elevation gain on a flat walk', () => {
+      // ~3 miles with altitude jittering by up to 4 m per fix
+      const noise = createNoise(7);
+      const points = buildWalk(3450, { altitude: () => 100 + noise() * 4 });
+
+      const smoothed = smoothAltitudes(points).map((altitude, i) => ({
+        ...points[i],
+        altitude_m: altitude,
+      }));
+
+      expect(calculateElevationStats(points).gain).toBeGreaterThan(300);
+      expect(calculateElevationStats(smoothed).gain).toBeLessThan(5);
+    });
+
+    it('should keep real climbs', () => {
+      // 100 m of climbing over ~1.4 km
+      const noise = createNoise(3);
+      const points = buildWalk(1000, { altitude: (i) => 100 + i / 10 + noise() * 3 });
+
+      const smoothed = smoothAltitudes(points).map((altitude, i) => ({
+        ...points[i],
+        altitude_m: altitude,
+      }));
+      const { gain } = calculateElevationStats(smoothed);
+
+      expect(gain).toBeGreaterThan(90);
+      expect(gain).toBeLessThan(105);
+    });
+
+    it('should leave points without altitude empty', () => {
+      const points = buildWalk(5);
+      points[2] = { ...points[2], altitude_m: null };
+
+      const smoothed = smoothAltitudes(points);
+
+      expect(smoothed[2]).toBeNull();
+      expect(smoothed[3]).toBe(100);
+    });
+  });
+
+  describe('cleanTrack', () => {
+    it('should return an empty array for no points', () => {
+      expect(cleanTrack([])).toEqual([]);
+      expect(cleanTrack(null)).toEqual([]);
+    });
+
+    it('should mark outliers and keep their raw values', () => {
+      const points = buildWalk(10);
+      points[5] = { ...points[5], latitude: points[5].latitude + 0.02 };
+
+      const cleaned = cleanTrack(points);
+
+      expect(cleaned).toHaveLength(10);
+      expect(cleaned[5]).toMatchObject({ isOutlier: true, latitude: points[5].latitude });
+      expect(cleaned.filter((point) => !point.isOutlier)).toHaveLength(9);
+    });
+
+    it('should not modify the raw points', () => {
+      const points = buildWalk(10, { positionNoiseM: 5 });
+      const copy = JSON.parse(JSON.stringify(points));
+
+      cleanTrack(points);
+
+      expect(points).toEqual(copy);
+    });
+
+    it('should write altitude back under the key it was read from', () => {
+      const points = buildWalk(5).map(({ altitude_m: altitudeM, ...point }) => ({
+        ...point,
+        altitudeM,
+      }));
+
+      const cleaned = cleanTrack(points);
+
+      expect(cleaned[0].altitudeM).toBe(100);
+      expect(cleaned[0]).not.toHaveProperty('altitude_m');
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tests for Track Export Module
+ *
+ * @module test/lib/tracking/track-export.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  EXPORT_FORMATS,
+  isValidExportFormat,
+  normalizeExportPoints,
+  escapeXml,
+  getExportFilename,
+  buildGPX,
+  buildKML,
+  buildExportGeoJSON,
+  exportTrack,
+} from '../../../lib/tracking/track-export.js';
+
+describe('Track Export Module', () => {
+  const track = {
+    id: 'track-123',
+    title: 'Morning Hike & Lunch',
+    description: 'Up to <the> ridge',
+    activity_type: 'hiking',
+    started_at: '2024-01-15T08:00:00Z',
+    ended_at: '2024-01-15T09:00:00Z',
+  };
+
+  const points = [
+    {
+      latitude: '37.77490000',
+      longitude: '-122.41940000',
+      altitude_m: '10.00',
+      speed_mps: '1.2000',
+      heading: '90.00',
+      recorded_at: '2024-01-15T08:00:00Z',
+    },
+    {
+      latitude: 37.775,
+      longitude: -122.4195,
+      altitude_m: 15,
+      speed_mps: 1.4,
+      heading: null,
+      recorded_at: '2024-01-15T08:00:10Z',
+    },
+    {
+      latitude: 37.7755,
+      longitude: -122.4198,
+      altitude_m: null,
+      speed_mps: null,
+      heading: null,
+      recorded_at: '2024-01-15T08:00:20Z',
+    },
+  ];
+
+  describe('isValidExportFormat', () => {
+    it('should accept supported formats', () => {
+      Object.keys(EXPORT_FORMATS).forEach((format) => {
+        expect(isValidExportFormat(format)).toBe(true);
+      });
+    });
+
+    it('should reject unsupported formats', () => {
+      expect(isValidExportFormat('fit')).toBe(false);
+      expect(isValidExportFormat('toString')).toBe(false);
+      expect(isValidExportFormat(null)).toBe(false);
+    });
+  });
+
+  describe('normalizeExportPoints', () => {
+    it('should parse numeric strings and map snake_case fields', () => {
+      const [first] = normalizeExportPoints(points);
+
+      expect(first).toEqual({
+        latitude: 37.7749,
+        longitude: -122.4194,
+        altitudeM: 10,
+        speedMps: 1.2,
+        heading: 90,
+        recordedAt: '2024-01-15T08:00:00Z',
+      });
+    });
+
+    it('should drop points without coordinates', () => {
+      const normalized = normalizeExportPoints([{ latitude: null, longitude: 1 }, ...points]);
+      expect(normalized).toHaveLength(3);
+    });
+
+    it('should handle null/undefined', () => {
+      expect(normalizeExportPoints(null)).toEqual([]);
+      expect(normalizeExportPoints(undefined)).toEqual([]);
+    });
+  });
+
+  describe('escapeXml', () => {
+    it('should escape XML special characters', () => {
+      expect(escapeXml(`<a href="x">Tom & Jerry's</a>`)).toBe(
+        '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;'
+      );
+    });
+  });
+
+  describe('getExportFilename', () => {
+    it('should slugify the track title', () => {
+      expect(getExportFilename(track, 'gpx')).toBe('morning-hike-lunch.gpx');
+    });
+
+    it('should fall back to activity type when there is no title', () => {
+      expect(getExportFilename({ activity_type: 'biking' }, 'kml')).toBe('biking-track.kml');
+    });
+  });
+
+  describe('buildGPX', () => {
+    it('should produce a GPX 1.1 document with track points', () => {
+      const gpx = buildGPX(track, points);
+
+      expect(gpx).toContain('<gpx version="1.1" creator="ParkLookup"');
+      expect(gpx).toContain('xmlns="http://www.topografix.com/GPX/1/1"');
+      expect(gpx).toContain('<name>Morning Hike &amp; Lunch</name>');
+      expect(gpx).toContain('<desc>Up to &lt;the&gt; ridge</desc>');
+      expect(gpx).toContain('<type>hiking</type>');
+      expect(gpx.match(/<trkpt /g)).toHaveLength(3);
+    });
+
+    it('should include elevation, time, and speed extensions per point', () => {
+      const gpx = buildGPX(track, points);
+
+      expect(gpx).toContain('<trkpt lat="37.7749" lon="-122.4194">');
+      expect(gpx).toContain('<ele>10</ele>');
+      expect(gpx).toContain('<time>2024-01-15T08:00:10.000Z</time>');
+      expect(gpx).toContain('<gpxtpx:speed>1.2</gpxtpx:speed>');
+      expect(gpx).toContain('<gpxtpx:course>90</gpxtpx:course>');
+    });
+
+    it('should omit extensions for points without speed or heading', () => {
+      const gpx = buildGPX(track, [points[2]]);
+      expect(gpx).not.toContain('<extensions>');
+      expect(gpx).not.toContain('<ele>');
+    });
+  });
+
+  describe('buildKML', () => {
+    it('should produce a gx:Track when all points have timestamps', () => {
+      const kml = buildKML(track, points);
+
+      expect(kml).toContain('<kml xmlns="http://www.opengis.net/kml/2.2"');
+      expect(kml).toContain('<gx:Track>');
+      expect(kml.match(/<when>/g)).toHaveLength(3);
+      expect(kml).toContain('<gx:coord>-122.4194 37.7749 10</gx:coord>');
+      expect(kml).toContain('<gx:SimpleArrayData name="speed">');
+      expect(kml).toContain('<gx:value>1.4</gx:value>');
+    });
+
+    it('should fall back to a LineString when timestamps are missing', () => {
+      const kml = buildKML(track, [
+        { latitude: 37.7, longitude: -122.4, altitude_m: 5 },
+        { latitude: 37.8, longitude: -122.5 },
+      ]);
+
+      expect(kml).not.toContain('<gx:Track>');
+      expect(kml).toContain('<coordinates>-122.4,37.7,5 -122.5,37.8,0</coordinates>');
+    });
+  });
+
+  describe('buildExportGeoJSON', () => {
+    it('should build a FeatureCollection with track stats', () => {
+      const geojson = buildExportGeoJSON(track, points);
+      const [feature] = geojson.features;
+
+      expect(geojson.type).toBe('FeatureCollection');
+      expect(feature.geometry.type).toBe('LineString');
+      expect(feature.geometry.coordinates[0]).toEqual([-122.4194, 37.7749, 10]);
+      expect(feature.properties.name).toBe('Morning Hike & Lunch');
+      expect(feature.properties.activityType).toBe('hiking');
+      expect(feature.properties.durationSeconds).toBe(20);
+      expect(feature.properties.elevationGainM).toBe(5);
+      expect(feature.properties.distanceMeters).toBeGreaterThan(0);
+      expect(feature.properties.pointCount).toBe(3);
+    });
+
+    it('should include per-point times and speeds', () => {
+      const { properties } = buildExportGeoJSON(track, points).features[0];
+
+      expect(properties.coordTimes).toEqual([
+        '2024-01-15T08:00:00.000Z',
+        '2024-01-15T08:00:10.000Z',
+        '2024-01-15T08:00:20.000Z',
+      ]);
+      expect(properties.speeds).toEqual([1.2, 1.4, null]);
+    });
+  });
+
+  describe('exportTrack', () => {
+    it('should return body, content type, and filename', () => {
+      const result = exportTrack(track, points, 'geojson');
+
+      expect(result.contentType).toBe('application/geo+json');
+      expect(result.filename).toBe('morning-hike-lunch.geojson');
+      expect(JSON.parse(result.body).type).toBe('FeatureCollection');
+    });
+
+    it('should throw for unsupported formats', () => {
+      expect(() => exportTrack(track, points, 'fit')).toThrow('Unsupported export format: fit');
+    });
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Tests for Track Finalization Module
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  applyCleanedValues,
+  getTrackPoints,
+  refineTrackStats,
+  FINALIZE_POINT_LIMIT,
+} from '@/lib/tracking/track-finalize';
+
+const mockGetDemSource = vi.fn();
+
+vi.mock('@/lib/elevation/dem', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getDemSource: (...args) => mockGetDemSource(...args),
+}));
+
+/**
+ * Build a DEM source covering the test track with a flat elevation
+ * @param {number} elevation - Elevation everywhere in the tile
+ */
+const createFlatDemSource = (elevation) => ({
+  tiles: [
+    {
+      minLng: -120,
+      maxLng: -119,
+      minLat: 37,
+      maxLat: 38,
+      resX: 0.001,
+      resY: 0.001,
+      width: 1000,
+      height: 1000,
+      noData: null,
+      image: {
+        readRasters: vi.fn(async ({ window: [x0, y0, x1, y1] }) =>
+          new Float32Array((x1 - x0) * (y1 - y0)).fill(elevation)
+        ),
+      },
+    },
+  ],
+});
+
+/**
+ * Build a Supabase client mock for the points query, the cleaned points RPC,
+ * and the track update
+ * @param {Object} options
+ * @param {Object} options.points - Result of the points query
+ * @param {Object} [options.rpc] - Result of the cleaned points RPC
+ * @param {Object} options.update - Result of the track update
+ */
+const createMockSupabase = ({ points, rpc = { data: 0, error: null }, update }) => {
+  const pointsQuery = {
+    select: vi.fn().mockReturnThis(),
+    eq: vi.fn().mockReturnThis(),
+    order: vi.fn().mockReturnThis(),
+    range: vi.fn().mockResolvedValue(points),
+  };
+  const updateQuery = {
+    update: vi.fn().mockReturnThis(),
+    eq: vi.fn().mockReturnThis(),
+    select: vi.fn().mockReturnThis(),
+    single: vi.fn().mockResolvedValue(update),
+  };
+
+  return {
+    pointsQuery,
+    updateQuery,
+    from: vi.fn((table) => (table === 'track_points' ? pointsQuery : updateQuery)),
+    rpc: vi.fn().mockResolvedValue(rpc),
+  };
+};
+
+// 1 km at one point per minute (~111 m each), then a 30 minute stop, with
+// one teleport fix 5 km off course
+const buildPoints = () => {
+  const points = Array.from({ length: 10 }, (_, i) => ({
+    id: `p${i}`,
+    latitude: String(37.7 + i * 0.001),
+    longitude: '-119.5',
+    altitude_m: '1000',
+    accuracy_m: '5',
+    recorded_at: new Date(Date.UTC(2024, 0, 1, 10, i)).toISOString(),
+    segment_num: 0,
+  }));
+  points.splice(5, 0, {
+    ...points[4],
+    id: 'teleport',
+    latitude: '37.75',
+    recorded_at: new Date(Date.UTC(2024, 0, 1, 10, 4, 30)).toISOString(),
+  });
+  points.push({
+    ...points[10],
+    id: 'stop',
+    recorded_at: new Date(Date.UTC(2024, 0, 1, 10, 39)).toISOString(),
+  });
+  return points;
+};
+
+describe('Track Finalize', () => {
+  const track = { id: 'track-1', activity_type: 'hiking', distance_meters: 6000 };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockGetDemSource.mockResolvedValue(null);
+  });
+
+  describe('getTrackPoints', () => {
+    it('should load points in order and parse numeric columns', async () => {
+      const supabase = createMockSupabase({ points: { data: buildPoints(), error: null } });
+
+      const points = await getTrackPoints(supabase, 'track-1');
+
+      expect(supabase.pointsQuery.eq).toHaveBeenCalledWith('track_id', 'track-1');
+      expect(supabase.pointsQuery.order).toHaveBeenCalledWith('sequence_num', { ascending: true });
+      expect(supabase.pointsQuery.range).toHaveBeenCalledTimes(1);
+      expect(supabase.pointsQuery.range).toHaveBeenCalledWith(0, 999);
+      expect(points[1].latitude).toBeCloseTo(37.701);
+      expect(points[1].altitude_m).toBe(1000);
+      expect(points[1].accuracy_m).toBe(5);
+    });
+
+    it('should page past the 1000-row response cap', async () => {
+      const [point] = buildPoints();
+      const rows = Array.from({ length: 2500 }, (_, i) => ({
+        ...point,
+        id: `p${i}`,
+        sequence_num: i,
+      }));
+      const supabase = createMockSupabase({ points: { data: [], error: null } });
+      supabase.pointsQuery.range.mockImplementation(async (from, to) => ({
+        data: rows.slice(from, to + 1),
+        error: null,
+      }));
+
+      const points = await getTrackPoints(supabase, 'track-1');
+
+      expect(points).toHaveLength(2500);
+      expect(points[2499].id).toBe('p2499');
+      expect(supabase.pointsQuery.range.mock.calls).toEqual([
+        [0, 999],
+        [1000, 1999],
+        [2000, 2999],
+      ]);
+    });
+
+    it('should stop at the point limit', async () => {
+      // Every page repeats one row so a limit-sized track stays cheap to build
+      const [point] = buildPoints();
+      const page = new Array(1000).fill(point);
+      const supabase = createMockSupabase({ points: { data: [], error: null } });
+      supabase.pointsQuery.range.mockImplementation(async (from, to) => ({
+        data: page.slice(0, to - from + 1),
+        error: null,
+      }));
+
+      const points = await getTrackPoints(supabase, 'track-1');
+
+      expect(points).toHaveLength(FINALIZE_POINT_LIMIT);
+      expect(supabase.pointsQuery.range).toHaveBeenCalledTimes(FINALIZE_POINT_LIMIT / 1000);
+    });
+
+    it('should throw when the query fails', async () => {
+      const supabase = createMockSupabase({ points: { data: null, error: { message: 'boom' } } });
+
+      await expect(getTrackPoints(supabase, 'track-1')).rejects.toThrow('boom');
+    });
+  });
+
+  describe('applyCleanedValues', () => {
+    it('should use cleaned values when the point has been cleaned', () => {
+      const row = {
+        latitude: '37.7',
+        longitude: '-119.5',
+        altitude_m: '1003',
+        clean_latitude: '37.70001',
+        clean_longitude: '-119.50001',
+        clean_altitude_m: '1000',
+      };
+
+      expect(applyCleanedValues(row)).toMatchObject({
+        latitude: '37.70001',
+        longitude: '-119.50001',
+        altitude_m: '1000',
+      });
+    });
+
+    it('should keep raw values for points that have not been cleaned', () => {
+      const row = {
+        latitude: '37.7',
+        longitude: '-119.5',
+        altitude_m: '1003',
+        clean_latitude: null,
+      };
+
+      expect(applyCleanedValues(row)).toBe(row);
+    });
+  });
+
+  describe('refineTrackStats', () => {
+    it('should save cleaned points and update stats from them', async () => {
+      const updated = { ...track, distance_meters: 1000 };
+      const supabase = createMockSupabase({
+        points: { data: buildPoints(), error: null },
+        update: { data: updated, error: null },
+      });
+
+      const result = await refineTrackStats(supabase, track);
+
+      const [rpcName, rpcArgs] = supabase.rpc.mock.calls[0];
+      expect(rpcName).toBe('save_cleaned_track_points');
+      expect(rpcArgs.p_track_id).toBe('track-1');
+      expect(rpcArgs.p_points).toHaveLength(12);
+      expect(rpcArgs.p_points[5]).toEqual({
+        id: 'teleport',
+        clean_latitude: null,
+        clean_longitude: null,
+        clean_altitude_m: null,
+        is_outlier: true,
+      });
+
+      const updates = supabase.updateQuery.update.mock.calls[0][0];
+      // The teleport fix no longer adds 10 km
+      expect(updates.distance_meters).toBeGreaterThan(900);
+      expect(updates.distance_meters).toBeLessThan(1100);
+      expect(updates.elevation_gain_m).toBe(0);
+      expect(updates.moving_seconds).toBe(540);
+      expect(updates.avg_speed_mps).toBeCloseTo(updates.distance_meters / 540, 3);
+      // Under a mile, so no full mile split
+      expect(updates.fastest_mile_seconds).toBeNull();
+      expect(updates.geometry.coordinates).toHaveLength(11);
+      expect(updates.cleaned_at).toBeDefined();
+      expect(supabase.updateQuery.eq).toHaveBeenCalledWith('id', 'track-1');
+      expect(result).toBe(updated);
+    });
+
+    it('should use DEM elevations when tiles cover the track', async () => {
+      mockGetDemSource.mockResolvedValue(createFlatDemSource(1523));
+      const supabase = createMockSupabase({
+        points: { data: buildPoints(), error: null },
+        update: { data: track, error: null },
+      });
+
+      await refineTrackStats(supabase, track);
+
+      const [, rpcArgs] = supabase.rpc.mock.calls[0];
+      expect(rpcArgs.p_points[0].clean_altitude_m).toBe(1523);
+      expect(supabase.updateQuery.update).toHaveBeenCalledWith(
+        expect.objectContaining({ min_elevation_m: 1523, max_elevation_m: 1523 })
+      );
+    });
+
+    it('should only record moving time for a track without points', async () => {
+      const supabase = createMockSupabase({
+        points: { data: [], error: null },
+        update: { data: track, error: null },
+      });
+
+      await refineTrackStats(supabase, track);
+
+      expect(supabase.rpc).not.toHaveBeenCalled();
+      expect(supabase.updateQuery.update).toHaveBeenCalledWith({
+        moving_seconds: 0,
+        cleaned_at: expect.any(String),
+      });
+    });
+
+    it('should return the original track when saving cleaned points fails', async () => {
+      const supabase = createMockSupabase({
+        points: { data: buildPoints(), error: null },
+        rpc: { data: null, error: { message: 'rpc failed' } },
+      });
+
+      const result = await refineTrackStats(supabase, track);
+
+      expect(result).toBe(track);
+      expect(supabase.updateQuery.update).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalled();
+    });
+
+    it('should return the original track when the update fails', async () => {
+      const supabase = createMockSupabase({
+        points: { data: buildPoints(), error: null },
+        update: { data: null, error: { message: 'update failed' } },
+      });
+
+      const result = await refineTrackStats(supabase, track);
+
+      expect(result).toBe(track);
+      expect(console.error).toHaveBeenCalled();
+    });
+  });
+});
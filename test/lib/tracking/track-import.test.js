@@ -0,0 +1,359 @@
+/**
+ * Tests for Track Import Module
+ *
+ * @module test/lib/tracking/track-import.test
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  detectImportFormat,
+  parseGPX,
+  parseFIT,
+  parseTrackFile,
+  fillMissingSpeeds,
+  samplePoints,
+  distanceToSegment,
+  matchNearestTrail,
+} from '../../../lib/tracking/track-import.js';
+import { buildGPX } from '../../../lib/tracking/track-export.js';
+
+/**
+ * Build a minimal FIT file with record messages
+ * @param {Array<Object>} records - {lat, lng, altitude, speed, timestamp}
+ * @param {Object} [options]
+ * @param {boolean} [options.compressLast] - Encode the last record with a compressed timestamp header
+ * @returns {Uint8Array} FIT file bytes
+ */
+const buildFIT = (records, { compressLast = false } = {}) => {
+  const bytes = [];
+  const u8 = (v) => bytes.push(v & 0xff);
+  const u16 = (v) => {
+    u8(v);
+    u8(v >> 8);
+  };
+  const u32 = (v) => {
+    u16(v & 0xffff);
+    u16((v >>> 16) & 0xffff);
+  };
+
+  const toSemicircles = (deg) => Math.round(deg * (2 ** 31 / 180));
+
+  // Definition for local type 0 = record (20) with timestamp, lat, long, altitude, speed
+  u8(0x40);
+  u8(0); // reserved
+  u8(0); // little endian
+  u16(20);
+  u8(5);
+  [
+    [253, 4, 0x86],
+    [0, 4, 0x85],
+    [1, 4, 0x85],
+    [2, 2, 0x84],
+    [6, 2, 0x84],
+  ].forEach(([num, size, type]) => {
+    u8(num);
+    u8(size);
+    u8(type);
+  });
+
+  // Definition for local type 1 = record without timestamp (for compressed headers)
+  u8(0x41);
+  u8(0);
+  u8(0);
+  u16(20);
+  u8(2);
+  [
+    [0, 4, 0x85],
+    [1, 4, 0x85],
+  ].forEach(([num, size, type]) => {
+    u8(num);
+    u8(size);
+    u8(type);
+  });
+
+  records.forEach((record, index) => {
+    if (compressLast && index === records.length - 1) {
+      u8(0x80 | (1 << 5) | (record.timestamp & 0x1f));
+      u32(toSemicircles(record.lat));
+      u32(toSemicircles(record.lng));
+      return;
+    }
+
+    u8(0x00);
+    u32(record.timestamp);
+    u32(toSemicircles(record.lat));
+    u32(toSemicircles(record.lng));
+    u16(record.altitude === null ? 0xffff : Math.round((record.altitude + 500) * 5));
+    u16(record.speed === null ? 0xffff : Math.round(record.speed * 1000));
+  });
+
+  const header = [14, 0x10, 0x08, 0x08];
+  const dataSize = bytes.length;
+  header.push(dataSize & 0xff, (dataSize >> 8) & 0xff, (dataSize >> 16) & 0xff, dataSize >>> 24);
+  header.push(...'.FIT'.split('').map((c) => c.charCodeAt(0)), 0, 0);
+
+  return new Uint8Array([...header, ...bytes, 0, 0]);
+};
+
+describe('Track Import Module', () => {
+  const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Garmin" xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">
+  <metadata><name>Metadata Name</name></metadata>
+  <trk>
+    <name>Mist Trail &amp; Vernal Fall</name>
+    <desc>Morning hike</desc>
+    <trkseg>
+      <trkpt lat="37.7268" lon="-119.5583">
+        <ele>1220.5</ele>
+        <time>2024-06-01T08:00:00Z</time>
+        <extensions>
+          <gpxtpx:TrackPointExtension>
+            <gpxtpx:speed>1.3</gpxtpx:speed>
+            <gpxtpx:course>45</gpxtpx:course>
+          </gpxtpx:TrackPointExtension>
+        </extensions>
+      </trkpt>
+      <trkpt lat='37.7272' lon='-119.5570'>
+        <ele>1230</ele>
+        <time>2024-06-01T08:01:00Z</time>
+      </trkpt>
+      <trkpt lat="37.7275" lon="-119.5560"/>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+  describe('detectImportFormat', () => {
+    it('should detect FIT files by signature regardless of name', () => {
+      const fit = buildFIT([{ lat: 1, lng: 1, altitude: 0, speed: 0, timestamp: 1 }]);
+      expect(detectImportFormat('activity.bin', fit)).toBe('fit');
+    });
+
+    it('should detect GPX by extension or content', () => {
+      const bytes = Buffer.from(gpx);
+      expect(detectImportFormat('hike.GPX', bytes)).toBe('gpx');
+      expect(detectImportFormat('download', bytes)).toBe('gpx');
+    });
+
+    it('should return null for unknown files', () => {
+      expect(detectImportFormat('notes.txt', Buffer.from('hello'))).toBeNull();
+    });
+  });
+
+  describe('parseGPX', () => {
+    it('should parse track name, description, and points', () => {
+      const result = parseGPX(gpx);
+
+      expect(result.name).toBe('Mist Trail & Vernal Fall');
+      expect(result.description).toBe('Morning hike');
+      expect(result.points).toHaveLength(3);
+      expect(result.points[0]).toEqual({
+        latitude: 37.7268,
+        longitude: -119.5583,
+        altitudeM: 1220.5,
+        speedMps: 1.3,
+        heading: 45,
+        recordedAt: '2024-06-01T08:00:00.000Z',
+      });
+    });
+
+    it('should handle self-closing points without elevation or time', () => {
+      const { points } = parseGPX(gpx);
+      expect(points[2]).toEqual({
+        latitude: 37.7275,
+        longitude: -119.556,
+        altitudeM: null,
+        speedMps: null,
+        heading: null,
+        recordedAt: null,
+      });
+    });
+
+    it('should fall back to route points', () => {
+      const route = `<gpx version="1.1"><rte><name>Route</name>
+        <rtept lat="1" lon="2"></rtept><rtept lat="3" lon="4"></rtept></rte></gpx>`;
+      const { points } = parseGPX(route);
+      expect(points.map((p) => [p.latitude, p.longitude])).toEqual([
+        [1, 2],
+        [3, 4],
+      ]);
+    });
+
+    it('should round-trip files produced by buildGPX', () => {
+      const exported = buildGPX({ title: 'Loop', activity_type: 'biking' }, [
+        {
+          latitude: 40,
+          longitude: -105,
+          altitude_m: 1600,
+          speed_mps: 5,
+          recorded_at: '2024-01-01T00:00:00Z',
+        },
+        {
+          latitude: 40.001,
+          longitude: -105.001,
+          altitude_m: 1605,
+          speed_mps: 5.5,
+          recorded_at: '2024-01-01T00:00:10Z',
+        },
+      ]);
+
+      const result = parseGPX(exported);
+      expect(result.name).toBe('Loop');
+      expect(result.points[1].speedMps).toBe(5.5);
+      expect(result.points[1].altitudeM).toBe(1605);
+    });
+
+    it('should throw for non-GPX input', () => {
+      expect(() => parseGPX('<kml></kml>')).toThrow('Invalid GPX file');
+    });
+  });
+
+  describe('parseFIT', () => {
+    const fitEpoch = Date.UTC(1989, 11, 31) / 1000;
+    const ts = Date.UTC(2024, 5, 1, 8, 0, 0) / 1000 - fitEpoch;
+
+    it('should decode record messages', () => {
+      const fit = buildFIT([
+        { lat: 37.7268, lng: -119.5583, altitude: 1220.4, speed: 1.25, timestamp: ts },
+        { lat: 37.7272, lng: -119.557, altitude: null, speed: null, timestamp: ts + 10 },
+      ]);
+
+      const { points } = parseFIT(fit);
+
+      expect(points).toHaveLength(2);
+      expect(points[0].latitude).toBeCloseTo(37.7268, 5);
+      expect(points[0].longitude).toBeCloseTo(-119.5583, 5);
+      expect(points[0].altitudeM).toBeCloseTo(1220.4, 1);
+      expect(points[0].speedMps).toBe(1.25);
+      expect(points[0].recordedAt).toBe('2024-06-01T08:00:00.000Z');
+      expect(points[1].altitudeM).toBeNull();
+      expect(points[1].speedMps).toBeNull();
+      expect(points[1].recordedAt).toBe('2024-06-01T08:00:10.000Z');
+    });
+
+    it('should resolve compressed timestamp headers', () => {
+      const fit = buildFIT(
+        [
+          { lat: 1, lng: 1, altitude: 0, speed: 0, timestamp: ts },
+          { lat: 1.0001, lng: 1.0001, altitude: 0, speed: 0, timestamp: ts + 20 },
+        ],
+        { compressLast: true }
+      );
+
+      const { points } = parseFIT(fit);
+      expect(points[1].recordedAt).toBe('2024-06-01T08:00:20.000Z');
+    });
+
+    it('should throw for files without a FIT signature', () => {
+      expect(() => parseFIT(new Uint8Array(20))).toThrow('Invalid FIT file');
+    });
+  });
+
+  describe('parseTrackFile', () => {
+    it('should dispatch by format', () => {
+      const result = parseTrackFile('hike.gpx', Buffer.from(gpx));
+      expect(result.format).toBe('gpx');
+      expect(result.points).toHaveLength(3);
+    });
+
+    it('should reject unsupported formats', () => {
+      expect(() => parseTrackFile('notes.txt', Buffer.from('hi'))).toThrow(
+        'Unsupported file format'
+      );
+    });
+  });
+
+  describe('fillMissingSpeeds', () => {
+    it('should derive speed from distance over time', () => {
+      const points = fillMissingSpeeds([
+        { latitude: 0, longitude: 0, speedMps: null, recordedAt: '2024-01-01T00:00:00Z' },
+        { latitude: 0, longitude: 0.001, speedMps: null, recordedAt: '2024-01-01T00:00:10Z' },
+      ]);
+
+      expect(points[0].speedMps).toBeNull();
+      // ~111m in 10s
+      expect(points[1].speedMps).toBeCloseTo(11.1, 0);
+    });
+
+    it('should keep recorded speeds', () => {
+      const points = fillMissingSpeeds([
+        { latitude: 0, longitude: 0, speedMps: 2 },
+        { latitude: 0, longitude: 1, speedMps: 3 },
+      ]);
+      expect(points.map((p) => p.speedMps)).toEqual([2, 3]);
+    });
+  });
+
+  describe('samplePoints', () => {
+    it('should include first and last points', () => {
+      const points = Array.from({ length: 100 }, (_, i) => ({ i }));
+      const samples = samplePoints(points, 5);
+
+      expect(samples).toHaveLength(5);
+      expect(samples[0].i).toBe(0);
+      expect(samples[4].i).toBe(99);
+    });
+  });
+
+  describe('distanceToSegment', () => {
+    it('should measure perpendicular distance to a segment', () => {
+      // ~111m north of a segment along the equator
+      const distance = distanceToSegment({ latitude: 0.001, longitude: 0.5 }, [0, 0], [1, 0]);
+      expect(distance).toBeCloseTo(111.3, 0);
+    });
+
+    it('should clamp to segment endpoints', () => {
+      const distance = distanceToSegment({ latitude: 0, longitude: -0.001 }, [0, 0], [1, 0]);
+      expect(distance).toBeCloseTo(111.3, 0);
+    });
+  });
+
+  describe('matchNearestTrail', () => {
+    const points = Array.from({ length: 20 }, (_, i) => ({
+      latitude: 37.7 + i * 0.0005,
+      longitude: -119.5,
+    }));
+
+    const onTrail = {
+      id: 'trail-1',
+      name: 'Along the track',
+      geometry_geojson: JSON.stringify({
+        type: 'LineString',
+        coordinates: [
+          [-119.5001, 37.7],
+          [-119.5001, 37.71],
+        ],
+      }),
+    };
+
+    const farTrail = {
+      id: 'trail-2',
+      name: 'Across the valley',
+      geometry_geojson: {
+        type: 'MultiLineString',
+        coordinates: [
+          [
+            [-119.51, 37.7],
+            [-119.51, 37.71],
+          ],
+        ],
+      },
+    };
+
+    it('should pick the trail closest to the track', () => {
+      const match = matchNearestTrail(points, [farTrail, onTrail]);
+
+      expect(match.id).toBe('trail-1');
+      expect(match.meanDistanceM).toBeLessThan(20);
+    });
+
+    it('should return null when no trail is close enough', () => {
+      expect(matchNearestTrail(points, [farTrail])).toBeNull();
+      expect(matchNearestTrail(points, [])).toBeNull();
+    });
+
+    it('should skip trails with invalid geometry', () => {
+      expect(matchNearestTrail(points, [{ id: 'bad', geometry_geojson: '{not json' }])).toBeNull();
+    });
+  });
+});
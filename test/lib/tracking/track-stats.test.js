@@ -10,9 +10,16 @@ import {
   calculateTotalDistance,
   calculateElevationStats,
   calculateSpeedStats,
+  splitIntoSegments,
   calculateDuration,
+  calculateMovingTime,
   calculateBounds,
   calculateTrackStats,
+  calculateSegments,
+  calculateSplits,
+  calculateFastestSplit,
+  resampleByDistance,
+  calculateElevationProfile,
   formatDistance,
   formatDuration,
   formatSpeed,
@@ -22,6 +29,19 @@ import {
   simplifyTrack,
 } from '../../../lib/tracking/track-stats.js';
 
+/**
+ * Build a track heading due north, one point per minute, ~111m apart
+ * @param {number} count - Number of points
+ * @param {Function} [extra] - Extra fields for the point at an index
+ */
+const buildNorthboundTrack = (count, extra = () => ({})) =>
+  Array.from({ length: count }, (_, i) => ({
+    latitude: 37.7 + i * 0.001,
+    longitude: -119.5,
+    recorded_at: new Date(Date.UTC(2024, 0, 1, 10, i)).toISOString(),
+    ...extra(i),
+  }));
+
 describe('Track Statistics Module', () => {
   describe('calculateDistance', () => {
     it('should calculate distance between two points using Haversine formula', () => {
@@ -179,6 +199,14 @@ describe('Track Statistics Module', () => {
       expect(stats.avg).toBe(4);
     });
 
+    it('should ignore readings from standing still', () => {
+      const points = [{ speed_mps: 0.1 }, { speed_mps: 4 }, { speed_mps: 6 }];
+
+      const stats = calculateSpeedStats(points);
+      expect(stats.avg).toBe(5);
+      expect(stats.min).toBe(4);
+    });
+
     it('should ignore zero speeds', () => {
       const points = [{ speed_mps: 0 }, { speed_mps: 4 }, { speed_mps: 6 }];
 
@@ -236,6 +264,299 @@ describe('Track Statistics Module', () => {
     });
   });
 
+  describe('segments', () => {
+    const pausedTrack = [
+      { latitude: 37.7, longitude: -119.5, altitude_m: 1000, segment_num: 0, recorded_at: '2024-01-01T10:00:00Z' },
+      { latitude: 37.71, longitude: -119.5, altitude_m: 1010, segment_num: 0, recorded_at: '2024-01-01T10:20:00Z' },
+      // Paused for an hour and drove up the road
+      { latitude: 37.8, longitude: -119.5, altitude_m: 1500, segment_num: 1, recorded_at: '2024-01-01T11:20:00Z' },
+      { latitude: 37.81, longitude: -119.5, altitude_m: 1520, segment_num: 1, recorded_at: '2024-01-01T11:40:00Z' },
+    ];
+
+    it('should group consecutive points by segment', () => {
+      const segments = splitIntoSegments(pausedTrack);
+      expect(segments).toHaveLength(2);
+      expect(segments[0]).toEqual(pausedTrack.slice(0, 2));
+      expect(segments[1]).toEqual(pausedTrack.slice(2));
+      expect(splitIntoSegments([])).toEqual([]);
+    });
+
+    it('should leave paused time out of the duration', () => {
+      expect(calculateDuration(pausedTrack)).toBe(2400);
+    });
+
+    it('should not count distance or climbing across a pause', () => {
+      const oneSegment = calculateTotalDistance(pausedTrack.slice(0, 2));
+      expect(calculateTotalDistance(pausedTrack)).toBeCloseTo(oneSegment * 2, 0);
+
+      const elevation = calculateElevationStats(pausedTrack);
+      expect(elevation.gain).toBe(30);
+      expect(elevation.max).toBe(1520);
+    });
+
+    it('should read camelCase segment numbers from live points', () => {
+      const livePoints = pausedTrack.map(({ segment_num: segmentNum, ...point }) => ({
+        ...point,
+        segmentNum,
+      }));
+      expect(calculateDuration(livePoints)).toBe(2400);
+    });
+
+    it('should calculate stats per segment', () => {
+      const segments = calculateSegments(pausedTrack);
+
+      expect(segments).toHaveLength(2);
+      expect(segments[0]).toMatchObject({
+        index: 0,
+        startedAt: '2024-01-01T10:00:00Z',
+        endedAt: '2024-01-01T10:20:00Z',
+        durationSeconds: 1200,
+        elevationGainM: 10,
+        pointCount: 2,
+      });
+      expect(segments[1].elevationGainM).toBe(20);
+      expect(segments[0].avgSpeedMps).toBeCloseTo(segments[0].distanceMeters / 1200, 2);
+    });
+  });
+
+  describe('calculateSplits', () => {
+    it('should split every kilometer with a partial final split', () => {
+      const splits = calculateSplits(buildNorthboundTrack(25));
+
+      expect(splits).toHaveLength(3);
+      expect(splits[0].distanceMeters).toBeCloseTo(1000, 1);
+      expect(splits[1].distanceMeters).toBeCloseTo(1000, 1);
+      expect(splits[2].isPartial).toBe(true);
+      expect(splits[2].distanceMeters).toBeCloseTo(668.6, 0);
+      expect(splits.map((split) => split.index)).toEqual([1, 2, 3]);
+
+      // ~111m per minute is about 9 minutes per kilometer
+      expect(splits[0].movingSeconds).toBeCloseTo(540, -1);
+      expect(splits[0].paceSeconds).toBe(splits[0].movingSeconds);
+      expect(splits[2].paceSeconds).toBeCloseTo(540, -1);
+    });
+
+    it('should split every mile for imperial units', () => {
+      const splits = calculateSplits(buildNorthboundTrack(25), 'imperial');
+
+      expect(splits).toHaveLength(2);
+      expect(splits[0].distanceMeters).toBeCloseTo(1609.34, 1);
+      expect(splits[0].isPartial).toBe(false);
+      expect(splits[1].isPartial).toBe(true);
+    });
+
+    it('should record the point range each split covers', () => {
+      const splits = calculateSplits(buildNorthboundTrack(25));
+
+      expect(splits[0].startIndex).toBe(0);
+      expect(splits[0].endIndex).toBe(9);
+      expect(splits[1].startIndex).toBe(8);
+      expect(splits[2].endIndex).toBe(24);
+    });
+
+    it('should share elevation between splits', () => {
+      const points = buildNorthboundTrack(19, (i) => ({ altitude_m: 1000 + i * 10 }));
+      const splits = calculateSplits(points);
+      const totalGain = splits.reduce((sum, split) => sum + split.elevationGainM, 0);
+
+      expect(totalGain).toBeCloseTo(180, 1);
+      expect(splits[0].elevationLossM).toBe(0);
+      expect(splits[0].elevationGainM).toBeCloseTo(89.9, 0);
+    });
+
+    it('should not count paused time in a split', () => {
+      const points = buildNorthboundTrack(12, (i) => ({
+        segmentNum: i < 6 ? 0 : 1,
+        // An hour-long break between the 6th and 7th points
+        recorded_at: new Date(Date.UTC(2024, 0, 1, 10, i < 6 ? i : i + 60)).toISOString(),
+      }));
+      const splits = calculateSplits(points);
+
+      expect(splits[0].distanceMeters).toBeCloseTo(1000, 1);
+      expect(splits[0].movingSeconds).toBeLessThan(600);
+    });
+
+    it('should return no splits for short input', () => {
+      expect(calculateSplits([])).toEqual([]);
+      expect(calculateSplits(null)).toEqual([]);
+      expect(calculateSplits(buildNorthboundTrack(1))).toEqual([]);
+    });
+  });
+
+  describe('calculateFastestSplit', () => {
+    it('should return the quickest full mile', () => {
+      // Slow first mile (2 minutes per point), then 1 minute per point
+      let minute = 0;
+      const points = buildNorthboundTrack(40, (i) => {
+        minute += i < 15 ? 2 : 1;
+        return { recorded_at: new Date(Date.UTC(2024, 0, 1, 10, minute)).toISOString() };
+      });
+      const splits = calculateSplits(points, 'imperial');
+
+      expect(calculateFastestSplit(points)).toBe(splits[1].movingSeconds);
+      expect(splits[1].movingSeconds).toBeLessThan(splits[0].movingSeconds);
+    });
+
+    it('should ignore a partial final split', () => {
+      expect(calculateFastestSplit(buildNorthboundTrack(10))).toBeNull();
+    });
+  });
+
+  describe('resampleByDistance', () => {
+    it('should sample at a fixed spacing, including both ends', () => {
+      const samples = resampleByDistance(buildNorthboundTrack(3), 50);
+
+      expect(samples.map((sample) => Math.round(sample.distanceMeters))).toEqual([
+        0, 50, 100, 150, 200, 222,
+      ]);
+      expect(samples[1].latitude).toBeCloseTo(37.7 + 0.001 * (50 / 111.19), 6);
+      expect(samples[5].latitude).toBeCloseTo(37.702, 9);
+    });
+
+    it('should interpolate altitude where both neighbours have one', () => {
+      const points = buildNorthboundTrack(3, (i) => ({
+        altitude_m: i === 2 ? null : 100 + i * 10,
+      }));
+
+      const samples = resampleByDistance(points, 50);
+
+      expect(samples[1].altitudeM).toBeCloseTo(100 + 10 * (50 / 111.19), 1);
+      expect(samples[3].altitudeM).toBeNull();
+    });
+
+    it('should not add distance across a pause', () => {
+      const points = buildNorthboundTrack(4, (i) => ({ segmentNum: i < 2 ? 0 : 1 }));
+
+      const samples = resampleByDistance(points, 1000);
+
+      expect(samples[samples.length - 1].distanceMeters).toBeCloseTo(222.4, 0);
+    });
+
+    it('should return no samples for empty input', () => {
+      expect(resampleByDistance([], 10)).toEqual([]);
+      expect(resampleByDistance(null, 10)).toEqual([]);
+    });
+  });
+
+  describe('calculateElevationProfile', () => {
+    it('should calculate elevation and grade from point altitudes', () => {
+      // 11.1 m climb over ~111 m is a 10% grade, then flat
+      const points = buildNorthboundTrack(4, (i) => ({
+        altitude_m: i < 2 ? 1000 + i * 11.119 : 1011.119,
+      }));
+
+      const profile = calculateElevationProfile(points, { maxSamples: 7 });
+
+      expect(profile).toHaveLength(7);
+      expect(profile[0]).toMatchObject({ distanceMeters: 0, elevationM: 1000, latitude: 37.7 });
+      expect(profile[0].gradePercent).toBeCloseTo(10, 0);
+      expect(profile[1].gradePercent).toBeCloseTo(10, 0);
+      expect(profile[6].gradePercent).toBe(0);
+      expect(profile[6].elevationM).toBeCloseTo(1011.12, 1);
+    });
+
+    it('should use a stored elevation profile when given', () => {
+      const points = buildNorthboundTrack(3);
+
+      const profile = calculateElevationProfile(points, {
+        elevationProfile: [
+          [0, 500],
+          [111.19, 450],
+          [222.39, 450],
+        ],
+        maxSamples: 5,
+      });
+
+      expect(profile[0].elevationM).toBe(500);
+      expect(profile[1].elevationM).toBeCloseTo(475, 0);
+      expect(profile[1].gradePercent).toBeCloseTo(-45, 0);
+      expect(profile[4].elevationM).toBe(450);
+    });
+
+    it('should not sample closer than 10 meters', () => {
+      const profile = calculateElevationProfile(
+        buildNorthboundTrack(2, (i) => ({ altitude_m: 100 + i })),
+        { maxSamples: 1000 }
+      );
+
+      expect(profile).toHaveLength(13);
+    });
+
+    it('should return an empty profile without elevation data', () => {
+      expect(calculateElevationProfile(buildNorthboundTrack(3))).toEqual([]);
+      expect(calculateElevationProfile([])).toEqual([]);
+    });
+  });
+
+  describe('calculateMovingTime', () => {
+    // Hike north for 10 minutes, sit for lunch for 45, then hike 10 more
+    const lunchHike = [
+      ...buildNorthboundTrack(11),
+      // GPS drifts a few meters while sitting still, sometimes in quick jumps
+      ...[5, 6, 20, 40, 54].map((minute, i) => ({
+        latitude: 37.71 + (i % 2 ? 0.00004 : -0.00003),
+        longitude: -119.5 + (i % 2 ? 0.00003 : 0),
+        recorded_at: new Date(Date.UTC(2024, 0, 1, 10, 10 + minute)).toISOString(),
+      })),
+      ...buildNorthboundTrack(11).map((point, i) => ({
+        latitude: 37.71 + i * 0.001,
+        longitude: -119.5,
+        recorded_at: new Date(Date.UTC(2024, 0, 1, 11, 5 + i)).toISOString(),
+      })),
+    ];
+
+    it('should count steady movement as moving', () => {
+      expect(calculateMovingTime(buildNorthboundTrack(11))).toBe(600);
+    });
+
+    it('should leave rest stops and GPS jitter out', () => {
+      expect(calculateDuration(lunchHike)).toBe(75 * 60);
+      expect(calculateMovingTime(lunchHike)).toBeGreaterThanOrEqual(19 * 60);
+      expect(calculateMovingTime(lunchHike)).toBeLessThanOrEqual(21 * 60);
+    });
+
+    it('should count slow, steady climbing as moving', () => {
+      // ~0.3 m/s: 18m per minute
+      const points = Array.from({ length: 11 }, (_, i) => ({
+        latitude: 37.7 + i * 0.00016,
+        longitude: -119.5,
+        recorded_at: new Date(Date.UTC(2024, 0, 1, 10, i)).toISOString(),
+      }));
+      expect(calculateMovingTime(points)).toBe(600);
+    });
+
+    it('should not count paused time', () => {
+      const points = buildNorthboundTrack(6, (i) => ({
+        segmentNum: i < 3 ? 0 : 1,
+        recorded_at: new Date(Date.UTC(2024, 0, 1, 10, i < 3 ? i : i + 60)).toISOString(),
+      }));
+      expect(calculateMovingTime(points)).toBe(240);
+    });
+
+    it('should return 0 without timestamps or enough points', () => {
+      expect(calculateMovingTime([])).toBe(0);
+      expect(
+        calculateMovingTime([
+          { latitude: 37.7, longitude: -119.5 },
+          { latitude: 37.71, longitude: -119.5 },
+        ])
+      ).toBe(0);
+    });
+
+    it('should base the track average speed on moving time', () => {
+      const stats = calculateTrackStats(lunchHike);
+
+      expect(stats.movingSeconds).toBe(calculateMovingTime(lunchHike));
+      expect(stats.avgSpeedMps).toBeCloseTo(stats.distanceMeters / stats.movingSeconds, 2);
+      expect(stats.avgSpeedMps).toBeGreaterThan(1.5);
+    });
+
+    it('should leave rest stops out of split times', () => {
+      const splits = calculateSplits(lunchHike);
+      expect(splits[0].movingSeconds).toBeLessThan(600);
+    });
+  });
+
   describe('calculateBounds', () => {
     it('should calculate bounding box for points', () => {
       const points = [
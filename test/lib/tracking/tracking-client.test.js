@@ -16,6 +16,10 @@ import {
   clearTrackPoints,
   shareTrack,
   unshareTrack,
+  getLiveShare,
+  createLiveShare,
+  revokeLiveShare,
+  getLivePosition,
   likeTrack,
   unlikeTrack,
   toggleTrackLike,
@@ -24,12 +28,16 @@ import {
   updateTrackComment,
   deleteTrackComment,
   finalizeTrack,
+  exportTrack,
+  importTrack,
+  getAchievements,
   getTrackMedia,
   uploadTrackMedia,
   linkMediaToTrack,
   removeTrackMedia,
   updateTrackMedia,
   reorderTrackMedia,
+  getTrailRoute,
 } from '../../../lib/tracking/tracking-client.js';
 
 describe('Tracking Client Library', () => {
@@ -396,6 +404,121 @@ describe('Tracking Client Library', () => {
     });
   });
 
+  describe('live share links', () => {
+    const liveShare = {
+      enabled: true,
+      url: `https://example.com/tracks/${mockTrackId}/live?token=abc`,
+      expiresAt: '2025-06-01T16:00:00.000Z',
+    };
+
+    it('should fetch the current live link', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve(liveShare),
+      });
+
+      const result = await getLiveShare(mockAccessToken, mockTrackId);
+
+      expect(result.liveShare).toEqual(liveShare);
+      expect(global.fetch).toHaveBeenCalledWith(
+        `/api/tracks/${mockTrackId}/share`,
+        expect.objectContaining({
+          headers: expect.objectContaining({ Authorization: `Bearer ${mockAccessToken}` }),
+        })
+      );
+    });
+
+    it('should create a live link with the chosen duration', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve(liveShare),
+      });
+
+      const result = await createLiveShare(mockAccessToken, mockTrackId, 4);
+
+      expect(result.liveShare).toEqual(liveShare);
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe(`/api/tracks/${mockTrackId}/share`);
+      expect(options.method).toBe('POST');
+      expect(JSON.parse(options.body)).toEqual({ live: true, expiresInHours: 4 });
+    });
+
+    it('should return the error when the track is not recording', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        json: () => Promise.resolve({ error: 'Cannot share live location' }),
+      });
+
+      const result = await createLiveShare(mockAccessToken, mockTrackId, 12);
+
+      expect(result.status).toBe(400);
+      expect(result.error.error).toBe('Cannot share live location');
+    });
+
+    it('should revoke the live link', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ success: true, message: 'Live link revoked' }),
+      });
+
+      const result = await revokeLiveShare(mockAccessToken, mockTrackId);
+
+      expect(result.success).toBe(true);
+      expect(global.fetch).toHaveBeenCalledWith(
+        `/api/tracks/${mockTrackId}/share?live=true`,
+        expect.objectContaining({ method: 'DELETE' })
+      );
+    });
+  });
+
+  describe('getLivePosition', () => {
+    it('should fetch points recorded after the last poll', async () => {
+      const points = [{ latitude: 37.7, longitude: -119.5, sequenceNum: 8 }];
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            track: { id: mockTrackId, status: 'recording' },
+            points,
+            hasMore: false,
+            expiresAt: '2025-06-01T16:00:00.000Z',
+          }),
+      });
+
+      const result = await getLivePosition(mockTrackId, 'abc', 7);
+
+      expect(result.points).toEqual(points);
+      expect(result.hasMore).toBe(false);
+      expect(global.fetch).toHaveBeenCalledWith(
+        `/api/tracks/${mockTrackId}/live?token=abc&after=7`
+      );
+    });
+
+    it('should return the status for expired links', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404,
+        json: () => Promise.resolve({ error: 'Live link not found' }),
+      });
+
+      const result = await getLivePosition(mockTrackId, 'abc');
+
+      expect(result.status).toBe(404);
+      expect(global.fetch).toHaveBeenCalledWith(`/api/tracks/${mockTrackId}/live?token=abc`);
+    });
+
+    it('should handle network errors', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      global.fetch.mockRejectedValueOnce(new Error('Network error'));
+
+      const result = await getLivePosition(mockTrackId, 'abc');
+
+      expect(result.error.message).toBe('Failed to fetch live position');
+    });
+  });
+
   describe('likeTrack', () => {
     it('should like a track', async () => {
       global.fetch.mockResolvedValueOnce({
@@ -567,6 +690,118 @@ describe('Tracking Client Library', () => {
     });
   });
 
+  describe('exportTrack', () => {
+    it('should return the file blob and filename from the response', async () => {
+      const blob = new global.Blob(['<gpx></gpx>'], { type: 'application/gpx+xml' });
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        headers: new Headers({ 'content-disposition': 'attachment; filename="morning-hike.gpx"' }),
+        blob: () => Promise.resolve(blob),
+      });
+
+      const result = await exportTrack(mockAccessToken, mockTrackId, 'gpx');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `/api/tracks/${mockTrackId}/export?format=gpx`,
+        expect.objectContaining({
+          headers: { Authorization: `Bearer ${mockAccessToken}` },
+        })
+      );
+      expect(result.blob).toBe(blob);
+      expect(result.filename).toBe('morning-hike.gpx');
+    });
+
+    it('should return error when export fails', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        json: () => Promise.resolve({ error: 'Cannot export this track' }),
+      });
+
+      const result = await exportTrack(mockAccessToken, mockTrackId, 'kml');
+
+      expect(result.error.error).toBe('Cannot export this track');
+      expect(result.status).toBe(400);
+    });
+  });
+
+  describe('importTrack', () => {
+    it('should upload the file as form data', async () => {
+      const file = new global.File(['<gpx></gpx>'], 'hike.gpx', { type: 'application/gpx+xml' });
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            track: { id: mockTrackId, status: 'completed' },
+            matchedTrail: { id: 'trail-1', name: 'Mist Trail' },
+            pointCount: 120,
+          }),
+      });
+
+      const result = await importTrack(mockAccessToken, file, { title: 'Mist Trail' });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/tracks/import',
+        expect.objectContaining({
+          method: 'POST',
+          headers: { Authorization: `Bearer ${mockAccessToken}` },
+        })
+      );
+      const { body } = global.fetch.mock.calls[0][1];
+      expect(body).toBeInstanceOf(FormData);
+      expect(body.get('file').name).toBe('hike.gpx');
+      expect(body.get('title')).toBe('Mist Trail');
+      expect(body.get('activityType')).toBeNull();
+      expect(result.track.id).toBe(mockTrackId);
+      expect(result.matchedTrail.name).toBe('Mist Trail');
+      expect(result.pointCount).toBe(120);
+    });
+
+    it('should return error when import fails', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        json: () => Promise.resolve({ error: 'Invalid GPX file' }),
+      });
+
+      const result = await importTrack(mockAccessToken, new global.File(['x'], 'bad.gpx'));
+
+      expect(result.error.error).toBe('Invalid GPX file');
+      expect(result.status).toBe(400);
+    });
+  });
+
+  describe('getAchievements', () => {
+    it('should fetch the user achievements', async () => {
+      const achievements = { records: {}, badges: [], monthly: [], trackCount: 0 };
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ achievements }),
+      });
+
+      const result = await getAchievements(mockAccessToken);
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/tracks/achievements', {
+        headers: { Authorization: `Bearer ${mockAccessToken}` },
+      });
+      expect(result.achievements).toEqual(achievements);
+    });
+
+    it('should return error when the request fails', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 401,
+        json: () => Promise.resolve({ error: 'Authentication required' }),
+      });
+
+      const result = await getAchievements(mockAccessToken);
+
+      expect(result.status).toBe(401);
+    });
+  });
+
   describe('Track Media Functions', () => {
     describe('getTrackMedia', () => {
       it('should fetch track media', async () => {
@@ -776,4 +1011,47 @@ describe('Tracking Client Library', () => {
       });
     });
   });
+
+  describe('getTrailRoute', () => {
+    it('should fetch the trail name and geometry', async () => {
+      const geometry = {
+        type: 'LineString',
+        coordinates: [
+          [-119.55, 37.73],
+          [-119.54, 37.72],
+        ],
+      };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ id: 'trail-1', name: 'Mist Trail', geometry }),
+      });
+
+      const result = await getTrailRoute('trail-1');
+
+      expect(result.route).toEqual({ name: 'Mist Trail', geometry });
+      expect(global.fetch).toHaveBeenCalledWith('/api/trails/trail-1');
+    });
+
+    it('should handle not found error', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404,
+        json: () => Promise.resolve({ error: 'Trail not found' }),
+      });
+
+      const result = await getTrailRoute('nonexistent');
+
+      expect(result.error).toBeDefined();
+      expect(result.status).toBe(404);
+    });
+
+    it('should handle network errors', async () => {
+      global.fetch.mockRejectedValueOnce(new Error('Network error'));
+
+      const result = await getTrailRoute('trail-1');
+
+      expect(result.error.message).toBe('Failed to fetch trail route');
+    });
+  });
 });
@@ -0,0 +1,102 @@
+/**
+ * Tests for trip access roles
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  isValidMemberRole,
+  canEditTrip,
+  canManageTrip,
+  getTripRole,
+  formatTripMember,
+} from '@/lib/trips/trip-access';
+
+/**
+ * Supabase mock whose trip_members lookup resolves to `result`
+ */
+const createSupabase = (result) => {
+  const query = {
+    select: vi.fn(() => query),
+    eq: vi.fn(() => query),
+    maybeSingle: vi.fn().mockResolvedValue(result),
+  };
+  return { query, from: vi.fn(() => query) };
+};
+
+const trip = { id: 'trip-1', user_id: 'owner-1' };
+
+describe('trip-access', () => {
+  describe('role checks', () => {
+    it('should only accept editor and viewer as invite roles', () => {
+      expect(isValidMemberRole('editor')).toBe(true);
+      expect(isValidMemberRole('viewer')).toBe(true);
+      expect(isValidMemberRole('owner')).toBe(false);
+      expect(isValidMemberRole(undefined)).toBe(false);
+    });
+
+    it('should let owners and editors edit', () => {
+      expect(canEditTrip('owner')).toBe(true);
+      expect(canEditTrip('editor')).toBe(true);
+      expect(canEditTrip('viewer')).toBe(false);
+      expect(canEditTrip(null)).toBe(false);
+    });
+
+    it('should only let owners manage the trip', () => {
+      expect(canManageTrip('owner')).toBe(true);
+      expect(canManageTrip('editor')).toBe(false);
+    });
+  });
+
+  describe('getTripRole', () => {
+    it('should return owner without querying members', async () => {
+      const supabase = createSupabase({ data: null, error: null });
+
+      expect(await getTripRole(supabase, trip, 'owner-1')).toBe('owner');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should return the member role for invited users', async () => {
+      const supabase = createSupabase({ data: { role: 'editor' }, error: null });
+
+      expect(await getTripRole(supabase, trip, 'user-2')).toBe('editor');
+      expect(supabase.from).toHaveBeenCalledWith('trip_members');
+      expect(supabase.query.eq).toHaveBeenCalledWith('trip_id', 'trip-1');
+      expect(supabase.query.eq).toHaveBeenCalledWith('user_id', 'user-2');
+    });
+
+    it('should return null for users without access', async () => {
+      const supabase = createSupabase({ data: null, error: null });
+
+      expect(await getTripRole(supabase, trip, 'user-3')).toBeNull();
+      expect(await getTripRole(supabase, null, 'user-3')).toBeNull();
+    });
+
+    it('should throw when the lookup fails', async () => {
+      const supabase = createSupabase({ data: null, error: { message: 'boom' } });
+
+      await expect(getTripRole(supabase, trip, 'user-2')).rejects.toThrow(
+        'Failed to check trip access: boom'
+      );
+    });
+  });
+
+  describe('formatTripMember', () => {
+    it('should flatten the joined profile', () => {
+      expect(
+        formatTripMember({
+          user_id: 'user-2',
+          role: 'viewer',
+          created_at: '2025-01-01',
+          profiles: { username: 'sam', display_name: 'Sam', avatar_url: null },
+        })
+      ).toEqual({
+        userId: 'user-2',
+        username: 'sam',
+        displayName: 'Sam',
+        avatarUrl: null,
+        role: 'viewer',
+        createdAt: '2025-01-01',
+      });
+    });
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * Trip Budget Estimator Tests
+ * Tests for fee/lodging parsing, per-day layout, pricing, and data loading
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  DEFAULT_FUEL_PRICE,
+  DEFAULT_MPG,
+  DEFAULT_NIGHTLY_RATE,
+  normalizeBudgetSettings,
+  validateBudgetSettings,
+  getVehicleEntranceFee,
+  parseNightlyRate,
+  estimateNightlyRate,
+  buildBudgetDays,
+  calculateTripBudget,
+  formatCost,
+  fetchTripBudgetDays,
+} from '@/lib/trips/trip-budget';
+import { fetchDrivingLegs } from '@/lib/trips/trip-routing';
+
+vi.mock('@/lib/trips/trip-routing', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchDrivingLegs: vi.fn(),
+}));
+
+const MILE = 1609.344;
+
+describe('trip-budget', () => {
+  describe('normalizeBudgetSettings', () => {
+    it('should fall back to defaults for missing or out-of-range values', () => {
+      expect(normalizeBudgetSettings()).toEqual({
+        fuelPrice: DEFAULT_FUEL_PRICE,
+        mpg: DEFAULT_MPG,
+      });
+      expect(normalizeBudgetSettings({ fuelPrice: 0, mpg: 500 })).toEqual({
+        fuelPrice: DEFAULT_FUEL_PRICE,
+        mpg: DEFAULT_MPG,
+      });
+    });
+
+    it('should accept numeric strings from the database and inputs', () => {
+      expect(normalizeBudgetSettings({ fuelPrice: '4.25', mpg: '32.5' })).toEqual({
+        fuelPrice: 4.25,
+        mpg: 32.5,
+      });
+    });
+  });
+
+  describe('validateBudgetSettings', () => {
+    it('should accept numbers in range', () => {
+      expect(validateBudgetSettings({ fuelPrice: 3.99, mpg: 30 })).toBeNull();
+    });
+
+    it('should reject strings and out-of-range numbers', () => {
+      expect(validateBudgetSettings({ fuelPrice: '3.99', mpg: 30 })).toMatch(/fuelPrice/);
+      expect(validateBudgetSettings({ fuelPrice: 3.99, mpg: 2 })).toMatch(/mpg/);
+    });
+  });
+
+  describe('getVehicleEntranceFee', () => {
+    it('should pick the private vehicle fee', () => {
+      expect(
+        getVehicleEntranceFee([
+          { cost: '20.00', title: 'Entrance - Per Person' },
+          { cost: '30.00', title: 'Entrance - Motorcycle' },
+          { cost: '35.00', title: 'Entrance - Private Vehicle' },
+        ])
+      ).toBe(35);
+    });
+
+    it('should fall back to the first fee', () => {
+      expect(getVehicleEntranceFee([{ cost: '15.00', title: 'Per Person' }])).toBe(15);
+    });
+
+    it('should treat parks without fees as free', () => {
+      expect(getVehicleEntranceFee([])).toBe(0);
+      expect(getVehicleEntranceFee(null)).toBe(0);
+      expect(getVehicleEntranceFee([{ cost: 'n/a', title: 'Vehicle' }])).toBe(0);
+    });
+  });
+
+  describe('parseNightlyRate', () => {
+    it('should read dollar amounts', () => {
+      expect(parseNightlyRate('$129')).toBe(129);
+      expect(parseNightlyRate('$ 89.50')).toBe(89.5);
+    });
+
+    it('should map price levels', () => {
+      expect(parseNightlyRate('$')).toBe(90);
+      expect(parseNightlyRate('$$$')).toBe(250);
+      expect(parseNightlyRate('$$$$$')).toBe(400);
+    });
+
+    it('should ignore missing prices', () => {
+      expect(parseNightlyRate(null)).toBeNull();
+      expect(parseNightlyRate('cheap')).toBeNull();
+    });
+  });
+
+  describe('estimateNightlyRate', () => {
+    it('should use the median priced place', () => {
+      expect(
+        estimateNightlyRate([
+          { price_level: '$100' },
+          { price_level: null },
+          { price_level: '$300' },
+          { price_level: '$$' },
+        ])
+      ).toEqual({ nightlyRate: 150, source: 'nearby' });
+    });
+
+    it('should use the default rate without priced places', () => {
+      expect(estimateNightlyRate([{ price_level: null }])).toEqual({
+        nightlyRate: DEFAULT_NIGHTLY_RATE,
+        source: 'default',
+      });
+    });
+  });
+
+  describe('buildBudgetDays', () => {
+    const parks = {
+      yose: { name: 'Yosemite', entranceFee: 35, lodging: { nightlyRate: 200, source: 'nearby' } },
+      seki: { name: 'Sequoia', entranceFee: 35, lodging: { nightlyRate: 120, source: 'nearby' } },
+    };
+    const stops = [
+      { id: 's1', dayNumber: 1, parkCode: 'yose' },
+      { id: 's2', dayNumber: 2, parkCode: 'yose' },
+      { id: 's3', dayNumber: 3, parkCode: 'seki' },
+    ];
+    const waypoints = [
+      { stopId: null },
+      { stopId: 's1' },
+      { stopId: 's2' },
+      { stopId: 's3' },
+      { stopId: null },
+    ];
+
+    it('should assign driving, fees, and lodging to days', () => {
+      const days = buildBudgetDays({
+        dayCount: 3,
+        stops,
+        waypoints,
+        legs: [
+          { distance: 200 * MILE },
+          { distance: 0 },
+          { distance: 150 * MILE },
+          { distance: 250 * MILE },
+        ],
+        parks,
+      });
+
+      expect(days.map((day) => day.drivingMiles)).toEqual([200, 0, 400]);
+      // Yosemite's fee is paid once, on day 1
+      expect(days.map((day) => day.entranceFees.map((fee) => fee.parkCode))).toEqual([
+        ['yose'],
+        [],
+        ['seki'],
+      ]);
+      // No lodging on the last night
+      expect(days.map((day) => day.lodging?.nightlyRate ?? null)).toEqual([200, 200, null]);
+    });
+
+    it('should keep lodging near the previous park on days without stops', () => {
+      const days = buildBudgetDays({
+        dayCount: 3,
+        stops: [{ id: 's1', dayNumber: 1, parkCode: 'seki' }],
+        waypoints: [],
+        legs: null,
+        parks,
+      });
+
+      expect(days[1].lodging).toMatchObject({ parkCode: 'seki', nightlyRate: 120 });
+      expect(days.every((day) => day.drivingMiles === 0)).toBe(true);
+    });
+  });
+
+  describe('calculateTripBudget', () => {
+    const days = [
+      {
+        dayNumber: 1,
+        drivingMiles: 250,
+        entranceFees: [{ parkCode: 'yose', parkName: 'Yosemite', amount: 35 }],
+        lodging: { nightlyRate: 180 },
+      },
+      { dayNumber: 2, drivingMiles: 100, entranceFees: [], lodging: null },
+    ];
+
+    it('should price each day and total the trip', () => {
+      const budget = calculateTripBudget(days, { fuelPrice: 4, mpg: 25 });
+
+      expect(budget.settings).toEqual({ fuelPrice: 4, mpg: 25 });
+      expect(budget.days[0].costs).toEqual({
+        fuel: 40,
+        entranceFees: 35,
+        lodging: 180,
+        total: 255,
+      });
+      expect(budget.days[1].costs).toEqual({ fuel: 16, entranceFees: 0, lodging: 0, total: 16 });
+      expect(budget.totals).toEqual({
+        drivingMiles: 350,
+        fuel: 56,
+        entranceFees: 35,
+        lodging: 180,
+        total: 271,
+      });
+    });
+
+    it('should use defaults without settings', () => {
+      expect(calculateTripBudget(days).settings).toEqual({
+        fuelPrice: DEFAULT_FUEL_PRICE,
+        mpg: DEFAULT_MPG,
+      });
+    });
+  });
+
+  describe('formatCost', () => {
+    it('should round to whole dollars with separators', () => {
+      expect(formatCost(1234.56)).toBe('$1,235');
+      expect(formatCost(null)).toBe('$0');
+    });
+  });
+
+  describe('fetchTripBudgetDays', () => {
+    const createSupabase = (tables) => ({
+      from: vi.fn((table) => {
+        const query = {};
+        ['select', 'in', 'eq'].forEach((method) => {
+          query[method] = vi.fn(() => query);
+        });
+        query.then = (resolve) => resolve({ data: tables[table] || [], error: null });
+        return query;
+      }),
+    });
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+    });
+
+    it('should load parks and lodging and route through to the drive home', async () => {
+      fetchDrivingLegs.mockResolvedValue([{ distance: 100 * MILE }, { distance: 100 * MILE }]);
+      const supabase = createSupabase({
+        all_parks: [
+          {
+            id: 'park-1',
+            park_code: 'yose',
+            full_name: 'Yosemite',
+            latitude: '37.8',
+            longitude: '-119.5',
+            entrance_fees: [{ cost: '35.00', title: 'Private Vehicle' }],
+          },
+        ],
+        park_nearby_places: [{ park_id: 'park-1', nearby_places: { price_level: '$220' } }],
+      });
+
+      const { days, routed } = await fetchTripBudgetDays(supabase, {
+        origin: 'San Francisco',
+        origin_lat: 37.77,
+        origin_lng: -122.42,
+        start_date: '2025-06-01',
+        end_date: '2025-06-02',
+        trip_stops: [{ id: 's1', park_code: 'yose', day_number: 1, order_index: 0 }],
+      });
+
+      const [waypoints] = fetchDrivingLegs.mock.calls[0];
+      expect(waypoints).toHaveLength(3);
+      expect(waypoints[2]).toMatchObject({ lat: 37.77, lng: -122.42 });
+      expect(routed).toBe(true);
+      expect(days).toHaveLength(2);
+      expect(days[0]).toMatchObject({
+        drivingMiles: 100,
+        entranceFees: [{ parkCode: 'yose', amount: 35 }],
+        lodging: { parkCode: 'yose', nightlyRate: 220, source: 'nearby' },
+      });
+      expect(days[1]).toMatchObject({ drivingMiles: 100, lodging: null });
+    });
+
+    it('should report routing failures', async () => {
+      fetchDrivingLegs.mockResolvedValue(null);
+      const supabase = createSupabase({});
+
+      const { days, routed } = await fetchTripBudgetDays(supabase, {
+        trip_stops: [{ id: 's1', park_code: 'gone', day_number: 1, order_index: 0 }],
+      });
+
+      expect(routed).toBe(false);
+      expect(days).toHaveLength(1);
+    });
+  });
+});
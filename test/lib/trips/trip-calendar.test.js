@@ -0,0 +1,175 @@
+/**
+ * Tests for trip iCalendar generation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  escapeICSText,
+  foldICSLine,
+  formatICSDate,
+  formatICSTimestamp,
+  getCalendarFilename,
+  buildTripDayEvents,
+  generateTripCalendar,
+} from '@/lib/trips/trip-calendar';
+
+const trip = {
+  id: 'trip-1',
+  title: 'Sierra Loop',
+  start_date: '2025-06-30',
+  end_date: '2025-07-02',
+  updated_at: '2025-05-01T12:00:00Z',
+  trip_stops: [
+    {
+      id: 's2',
+      park_code: 'seki',
+      day_number: 2,
+      order_index: 1,
+      morning_plan: 'General Sherman Tree',
+      evening_plan: "Campfire, s'mores; stargazing",
+    },
+    {
+      id: 's1',
+      park_code: 'yose',
+      day_number: 1,
+      order_index: 0,
+      highlights: 'Half Dome',
+      driving_notes: '95.0 mi (about 2 h) from Fresno, CA.',
+      morning_plan: 'Mist Trail',
+      afternoon_plan: 'Yosemite Valley',
+    },
+  ],
+};
+
+const parks = {
+  yose: { name: 'Yosemite National Park', latitude: 37.8651, longitude: -119.5383 },
+  seki: { name: 'Sequoia National Park', latitude: null, longitude: null },
+};
+
+/**
+ * Unfold a calendar into logical lines
+ */
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+describe('trip-calendar', () => {
+  describe('escapeICSText', () => {
+    it('should escape special characters and newlines', () => {
+      expect(escapeICSText('a, b; c\\d\ne')).toBe('a\\, b\\; c\\\\d\\ne');
+    });
+
+    it('should handle empty values', () => {
+      expect(escapeICSText(null)).toBe('');
+    });
+  });
+
+  describe('foldICSLine', () => {
+    it('should leave short lines alone', () => {
+      expect(foldICSLine('SUMMARY:Day 1')).toBe('SUMMARY:Day 1');
+    });
+
+    it('should fold long lines at 75 octets', () => {
+      const folded = foldICSLine(`DESCRIPTION:${'x'.repeat(200)}`);
+      const lines = folded.split('\r\n');
+
+      expect(lines.length).toBeGreaterThan(1);
+      lines.forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+      expect(lines.slice(1).every((line) => line.startsWith(' '))).toBe(true);
+      expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+    });
+
+    it('should not split multi-byte characters', () => {
+      const line = `SUMMARY:${'🏔️'.repeat(30)}`;
+      const folded = foldICSLine(line);
+
+      folded
+        .split('\r\n')
+        .forEach((part) => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+      expect(folded.replace(/\r\n /g, '')).toBe(line);
+    });
+  });
+
+  describe('date formatting', () => {
+    it('should format dates with an offset across month boundaries', () => {
+      expect(formatICSDate('2025-06-30')).toBe('20250630');
+      expect(formatICSDate('2025-06-30', 1)).toBe('20250701');
+    });
+
+    it('should format UTC timestamps', () => {
+      expect(formatICSTimestamp('2025-05-01T12:34:56.789Z')).toBe('20250501T123456Z');
+    });
+  });
+
+  describe('getCalendarFilename', () => {
+    it('should slugify the trip title', () => {
+      expect(getCalendarFilename("Utah's Mighty 5!")).toBe('utah-s-mighty-5.ics');
+      expect(getCalendarFilename('')).toBe('trip.ics');
+    });
+  });
+
+  describe('buildTripDayEvents', () => {
+    it('should create one event per trip day in order', () => {
+      const events = buildTripDayEvents(trip, parks, { baseUrl: 'https://parklookup.com' });
+
+      expect(events).toHaveLength(3);
+      expect(events.map((e) => e.summary)).toEqual([
+        'Day 1: Yosemite National Park',
+        'Day 2: Sequoia National Park',
+        'Day 3: Sierra Loop',
+      ]);
+      expect(events[0]).toMatchObject({
+        uid: 'trip-1-day-1@parklookup.com',
+        date: '20250630',
+        endDate: '20250701',
+        location: 'Yosemite National Park',
+        geo: { lat: 37.8651, lng: -119.5383 },
+        url: 'https://parklookup.com/trip/trip-1',
+      });
+    });
+
+    it('should include the day plans in the description', () => {
+      const [day1] = buildTripDayEvents(trip, parks);
+
+      expect(day1.description).toContain('Highlights: Half Dome');
+      expect(day1.description).toContain('Getting there: 95.0 mi');
+      expect(day1.description).toContain('Morning: Mist Trail');
+      expect(day1.description).toContain('Afternoon: Yosemite Valley');
+    });
+
+    it('should omit coordinates when the park has none', () => {
+      expect(buildTripDayEvents(trip, parks)[1].geo).toBeNull();
+    });
+  });
+
+  describe('generateTripCalendar', () => {
+    it('should produce a valid VCALENDAR with CRLF line endings', () => {
+      const ics = generateTripCalendar([trip], parks, {
+        name: 'Sierra Loop',
+        baseUrl: 'https://parklookup.com',
+        now: new Date('2025-05-02T00:00:00Z'),
+      });
+      const lines = unfold(ics);
+
+      expect(ics.endsWith('\r\n')).toBe(true);
+      expect(lines[0]).toBe('BEGIN:VCALENDAR');
+      expect(lines).toContain('X-WR-CALNAME:Sierra Loop');
+      expect(lines.filter((l) => l === 'BEGIN:VEVENT')).toHaveLength(3);
+      expect(lines).toContain('DTSTART;VALUE=DATE:20250630');
+      expect(lines).toContain('DTEND;VALUE=DATE:20250701');
+      expect(lines).toContain('DTSTAMP:20250502T000000Z');
+      expect(lines).toContain('LAST-MODIFIED:20250501T120000Z');
+      expect(lines).toContain('GEO:37.865100;-119.538300');
+      expect(lines.find((l) => l.startsWith('DESCRIPTION:') && l.includes('Evening'))).toContain(
+        "Evening: Campfire\\, s'mores\\; stargazing"
+      );
+      expect(lines.at(-2)).toBe('END:VCALENDAR');
+    });
+
+    it('should combine events from several trips', () => {
+      const other = { ...trip, id: 'trip-2', start_date: '2025-08-01', end_date: '2025-08-01' };
+      const ics = generateTripCalendar([trip, other], parks);
+
+      expect(unfold(ics).filter((l) => l === 'BEGIN:VEVENT')).toHaveLength(4);
+      expect(ics).toContain('UID:trip-2-day-1@parklookup.com');
+    });
+  });
+});
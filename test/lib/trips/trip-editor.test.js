@@ -0,0 +1,132 @@
+/**
+ * Tests for trip editing utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_PLAN_LENGTH,
+  getTripDayCount,
+  isValidDayNumber,
+  reindexStops,
+  groupStopsByDay,
+  moveStop,
+  getStopOrderChanges,
+  buildStopPlanUpdate,
+} from '@/lib/trips/trip-editor';
+
+const stops = [
+  { id: 'a', dayNumber: 1, orderIndex: 0 },
+  { id: 'b', dayNumber: 1, orderIndex: 1 },
+  { id: 'c', dayNumber: 2, orderIndex: 2 },
+  { id: 'd', dayNumber: 3, orderIndex: 3 },
+];
+
+const ids = (list) => list.map((s) => `${s.id}${s.dayNumber}:${s.orderIndex}`);
+
+describe('trip-editor', () => {
+  describe('getTripDayCount', () => {
+    it('should count days inclusively', () => {
+      expect(getTripDayCount('2024-06-01', '2024-06-03')).toBe(3);
+      expect(getTripDayCount('2024-06-01', '2024-06-01')).toBe(1);
+    });
+
+    it('should fall back to a default when dates are missing or inverted', () => {
+      expect(getTripDayCount(null, '2024-06-03')).toBe(30);
+      expect(getTripDayCount('2024-06-05', '2024-06-01')).toBe(30);
+    });
+  });
+
+  describe('isValidDayNumber', () => {
+    it('should accept whole days within the trip', () => {
+      expect(isValidDayNumber(1, 3)).toBe(true);
+      expect(isValidDayNumber(3, 3)).toBe(true);
+    });
+
+    it('should reject out of range or non-integer days', () => {
+      expect(isValidDayNumber(0, 3)).toBe(false);
+      expect(isValidDayNumber(4, 3)).toBe(false);
+      expect(isValidDayNumber(1.5, 3)).toBe(false);
+      expect(isValidDayNumber('2', 3)).toBe(false);
+    });
+  });
+
+  describe('reindexStops', () => {
+    it('should sort by day and renumber orderIndex contiguously', () => {
+      const result = reindexStops([
+        { id: 'x', dayNumber: 2, orderIndex: 7 },
+        { id: 'y', dayNumber: 1, orderIndex: 4 },
+      ]);
+      expect(ids(result)).toEqual(['y1:0', 'x2:1']);
+    });
+  });
+
+  describe('groupStopsByDay', () => {
+    it('should include empty days up to the trip length', () => {
+      const days = groupStopsByDay(stops, 4);
+      expect(days).toHaveLength(4);
+      expect(days[0].stops.map((s) => s.id)).toEqual(['a', 'b']);
+      expect(days[3].stops).toEqual([]);
+    });
+
+    it('should extend past dayCount when stops fall outside it', () => {
+      expect(groupStopsByDay(stops, 2)).toHaveLength(3);
+    });
+  });
+
+  describe('moveStop', () => {
+    it('should move a stop to the end of another day', () => {
+      expect(ids(moveStop(stops, 'a', 2))).toEqual(['b1:0', 'c2:1', 'a2:2', 'd3:3']);
+    });
+
+    it('should insert at a position within a day', () => {
+      expect(ids(moveStop(stops, 'd', 1, 0))).toEqual(['d1:0', 'a1:1', 'b1:2', 'c2:3']);
+    });
+
+    it('should reorder within the same day', () => {
+      expect(ids(moveStop(stops, 'b', 1, 0))).toEqual(['b1:0', 'a1:1', 'c2:2', 'd3:3']);
+    });
+
+    it('should move into an empty day', () => {
+      expect(ids(moveStop(stops, 'a', 4))).toEqual(['b1:0', 'c2:1', 'd3:2', 'a4:3']);
+    });
+
+    it('should leave stops unchanged for an unknown id', () => {
+      expect(ids(moveStop(stops, 'zzz', 1))).toEqual(ids(stops));
+    });
+  });
+
+  describe('getStopOrderChanges', () => {
+    it('should list only stops whose day or position changed', () => {
+      const after = moveStop(stops, 'b', 1, 0);
+      expect(getStopOrderChanges(stops, after)).toEqual([
+        { id: 'b', dayNumber: 1, orderIndex: 0 },
+        { id: 'a', dayNumber: 1, orderIndex: 1 },
+      ]);
+    });
+
+    it('should return an empty list when nothing moved', () => {
+      expect(getStopOrderChanges(stops, reindexStops(stops))).toEqual([]);
+    });
+  });
+
+  describe('buildStopPlanUpdate', () => {
+    it('should map provided fields to columns and clear empty ones', () => {
+      const { update, error } = buildStopPlanUpdate({
+        morningPlan: '  Hike  ',
+        eveningPlan: '',
+        ignored: 'x',
+      });
+      expect(error).toBeNull();
+      expect(update).toEqual({ morning_plan: 'Hike', evening_plan: null });
+    });
+
+    it('should reject non-string values', () => {
+      expect(buildStopPlanUpdate({ notes: 5 }).error).toBe('notes must be a string');
+    });
+
+    it('should reject overly long plans', () => {
+      const { error } = buildStopPlanUpdate({ afternoonPlan: 'x'.repeat(MAX_PLAN_LENGTH + 1) });
+      expect(error).toContain(`${MAX_PLAN_LENGTH}`);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Trip Offline Pack Tests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getTripPoints, buildOfflineTripPack } from '@/lib/trips/trip-offline';
+import { cacheTiles, OSM_PREFETCH_MAX_ZOOM } from '@/lib/map/map-tiles';
+
+vi.mock('@/lib/map/map-tiles', async (importOriginal) => ({
+  ...(await importOriginal()),
+  cacheTiles: vi.fn(),
+}));
+
+const trip = {
+  id: 'trip-1',
+  originLat: 37.77,
+  originLng: -122.42,
+  stops: [
+    { id: 's1', dayNumber: 1, parkCode: 'yose', park: { latitude: '37.86', longitude: '-119.54' } },
+    { id: 's2', dayNumber: 2, parkCode: 'yose', park: { latitude: '37.86', longitude: '-119.54' } },
+    { id: 's3', dayNumber: 3, parkCode: 'pinn', park: null },
+  ],
+};
+
+const trail = {
+  id: 't1',
+  name: 'Mist Trail',
+  geojson: {
+    type: 'LineString',
+    coordinates: [
+      [-119.55, 37.73],
+      [-119.54, 37.72],
+    ],
+  },
+};
+
+const jsonResponse = (data, ok = true) => ({ ok, json: async () => data });
+
+describe('trip-offline', () => {
+  describe('getTripPoints', () => {
+    it('should include the origin, parks, and trail geometry', () => {
+      expect(getTripPoints(trip, { yose: [trail] })).toEqual([
+        { lat: 37.77, lng: -122.42 },
+        { lat: 37.86, lng: -119.54 },
+        { lat: 37.86, lng: -119.54 },
+        { lat: 37.73, lng: -119.55 },
+        { lat: 37.72, lng: -119.54 },
+      ]);
+    });
+  });
+
+  describe('buildOfflineTripPack', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+      cacheTiles.mockImplementation(async (urls, { onProgress }) => {
+        onProgress(urls.length, urls.length);
+        return { cached: urls.length - 1, failed: 1 };
+      });
+      global.fetch = vi.fn(async (url) => {
+        if (url.startsWith('/api/parks/yose/trails')) {
+          return jsonResponse({ trails: [trail] });
+        }
+        if (url.startsWith('/api/parks/pinn/trails')) {
+          return jsonResponse({ error: 'Park not found' }, false);
+        }
+        if (url.startsWith('/api/weather/')) {
+          return jsonResponse({ forecast: [{ temperature: 70 }] });
+        }
+        return { ok: true };
+      });
+    });
+
+    afterEach(() => {
+      vi.unstubAllEnvs();
+    });
+
+    it('should save trails, weather, and route tiles once per park', async () => {
+      const onProgress = vi.fn();
+      const pack = await buildOfflineTripPack(trip, { onProgress });
+
+      expect(pack.id).toBe('trip-1');
+      expect(pack.trip).toBe(trip);
+      expect(pack.trails).toEqual({ yose: [trail], pinn: [] });
+      expect(pack.weather).toEqual({ yose: { forecast: [{ temperature: 70 }] } });
+      expect(pack.savedAt).toEqual(expect.any(Number));
+
+      const urls = global.fetch.mock.calls.map(([url]) => url);
+      expect(urls.filter((url) => url.includes('/trails'))).toHaveLength(2);
+      expect(urls).toContain('/api/weather/37.86/-119.54');
+      expect(urls).toContain('/trip/trip-1');
+
+      const tileUrls = cacheTiles.mock.calls[0][0];
+      expect(tileUrls.length).toBeGreaterThan(0);
+      expect(pack.tiles).toEqual(
+        expect.objectContaining({ count: tileUrls.length - 1, failed: 1, minZoom: 5 })
+      );
+      expect(onProgress).toHaveBeenCalledWith({ stage: 'details', done: 0, total: 2 });
+      expect(onProgress).toHaveBeenLastCalledWith(
+        expect.objectContaining({ stage: 'tiles', done: tileUrls.length })
+      );
+    });
+
+    it('should keep OpenStreetMap tiles to low zooms without an offline provider', async () => {
+      vi.stubEnv('NEXT_PUBLIC_OFFLINE_TILE_URL', '');
+
+      const pack = await buildOfflineTripPack({ id: 'trip-2', stops: [trip.stops[0]] });
+
+      expect(pack.tiles.maxZoom).toBe(OSM_PREFETCH_MAX_ZOOM);
+    });
+
+    it('should download tiles from the offline provider under the map URLs', async () => {
+      vi.stubEnv('NEXT_PUBLIC_OFFLINE_TILE_URL', 'https://tiles.example.com/{z}/{x}/{y}.png');
+
+      await buildOfflineTripPack(trip);
+
+      const [urls, { sourceUrls }] = cacheTiles.mock.calls[0];
+      expect(urls[0]).toMatch(/tile\.openstreetmap\.org/);
+      expect(sourceUrls).toHaveLength(urls.length);
+      expect(sourceUrls[0]).toMatch(/^https:\/\/tiles\.example\.com\//);
+    });
+
+    it('should still save the trip when park requests fail', async () => {
+      global.fetch = vi.fn().mockRejectedValue(new Error('offline'));
+
+      const pack = await buildOfflineTripPack(trip);
+
+      expect(pack.trails).toEqual({ yose: [], pinn: [] });
+      expect(pack.weather).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Tests for trip routing utilities
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  formatDrivingNotes,
+  getTripWaypoints,
+  fetchDrivingLegs,
+  refreshTripDrivingNotes,
+} from '@/lib/trips/trip-routing';
+
+const parks = {
+  yose: { name: 'Yosemite National Park', latitude: 37.8, longitude: -119.5 },
+  seki: { name: 'Sequoia & Kings Canyon', latitude: 36.5, longitude: -118.6 },
+};
+
+const trip = { origin: 'Fresno, CA', origin_lat: '36.7', origin_lng: '-119.8' };
+
+describe('trip-routing', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    global.fetch = vi.fn();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    vi.restoreAllMocks();
+  });
+
+  describe('formatDrivingNotes', () => {
+    it('should describe distance and time from the previous stop', () => {
+      expect(formatDrivingNotes({ distance: 160934.4, duration: 8100 }, 'Fresno, CA')).toBe(
+        '100.0 mi (about 2 h 15 min) from Fresno, CA.'
+      );
+    });
+
+    it('should use whole hours and minutes when possible', () => {
+      expect(formatDrivingNotes({ distance: 50000, duration: 3600 }, 'A')).toContain('about 1 h)');
+      expect(formatDrivingNotes({ distance: 5000, duration: 600 }, 'A')).toContain('about 10 min)');
+    });
+
+    it('should note stops in the same area', () => {
+      expect(formatDrivingNotes({ distance: 200, duration: 60 }, 'Yosemite')).toBe(
+        'Same area as Yosemite — no driving needed.'
+      );
+    });
+  });
+
+  describe('getTripWaypoints', () => {
+    it('should start at the origin and skip parks without coordinates', () => {
+      const waypoints = getTripWaypoints(
+        trip,
+        [
+          { id: 's1', park_code: 'yose' },
+          { id: 's2', park_code: 'unknown' },
+          { id: 's3', park_code: 'seki' },
+        ],
+        parks
+      );
+
+      expect(waypoints.map((w) => w.stopId)).toEqual([null, 's1', 's3']);
+      expect(waypoints[0]).toMatchObject({ name: 'Fresno, CA', lat: 36.7, lng: -119.8 });
+    });
+
+    it('should omit the origin when it has no coordinates', () => {
+      const waypoints = getTripWaypoints({}, [{ id: 's1', park_code: 'yose' }], parks);
+      expect(waypoints).toHaveLength(1);
+    });
+  });
+
+  describe('fetchDrivingLegs', () => {
+    it('should return no legs for fewer than two waypoints', async () => {
+      expect(await fetchDrivingLegs([{ lat: 1, lng: 2 }])).toEqual([]);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should request the route API with lng,lat waypoints', async () => {
+      const legs = [{ distance: 1000, duration: 60 }];
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ success: true, route: { legs } }),
+      });
+
+      const result = await fetchDrivingLegs([
+        { lat: 1, lng: 2 },
+        { lat: 3, lng: 4 },
+      ]);
+
+      expect(result).toEqual(legs);
+      expect(global.fetch.mock.calls[0][0]).toContain('/api/route?waypoints=2,1;4,3');
+    });
+
+    it('should return null when routing fails', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 502 });
+      expect(
+        await fetchDrivingLegs([
+          { lat: 1, lng: 2 },
+          { lat: 3, lng: 4 },
+        ])
+      ).toBeNull();
+
+      global.fetch.mockRejectedValue(new Error('network'));
+      expect(
+        await fetchDrivingLegs([
+          { lat: 1, lng: 2 },
+          { lat: 3, lng: 4 },
+        ])
+      ).toBeNull();
+    });
+  });
+
+  describe('refreshTripDrivingNotes', () => {
+    const createSupabase = (tripRow) => {
+      const updates = [];
+      const supabase = {
+        updates,
+        from: vi.fn((table) => {
+          if (table === 'trips') {
+            return {
+              select: () => ({
+                eq: () => ({ single: async () => ({ data: tripRow, error: null }) }),
+              }),
+            };
+          }
+          if (table === 'nps_parks') {
+            return {
+              select: () => ({
+                in: async () => ({
+                  data: [
+                    {
+                      park_code: 'yose',
+                      full_name: 'Yosemite',
+                      latitude: '37.8',
+                      longitude: '-119.5',
+                    },
+                    {
+                      park_code: 'seki',
+                      full_name: 'Sequoia',
+                      latitude: '36.5',
+                      longitude: '-118.6',
+                    },
+                  ],
+                }),
+              }),
+            };
+          }
+          return {
+            update: (values) => ({
+              eq: async (column, id) => {
+                updates.push({ id, ...values });
+                return { error: null };
+              },
+            }),
+          };
+        }),
+      };
+      return supabase;
+    };
+
+    it('should save notes for each stop in day/order sequence', async () => {
+      const supabase = createSupabase({
+        ...trip,
+        id: 'trip-1',
+        trip_stops: [
+          { id: 's2', park_code: 'seki', day_number: 2, order_index: 0 },
+          { id: 's1', park_code: 'yose', day_number: 1, order_index: 5 },
+        ],
+      });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          success: true,
+          route: {
+            legs: [
+              { distance: 160934.4, duration: 7200 },
+              { distance: 321868.8, duration: 14400 },
+            ],
+          },
+        }),
+      });
+
+      const notes = await refreshTripDrivingNotes(supabase, 'trip-1');
+
+      expect(notes).toEqual({
+        s1: '100.0 mi (about 2 h) from Fresno, CA.',
+        s2: '200.0 mi (about 4 h) from Yosemite.',
+      });
+      expect(supabase.updates).toHaveLength(2);
+    });
+
+    it('should leave notes untouched when routing fails', async () => {
+      const supabase = createSupabase({
+        ...trip,
+        id: 'trip-1',
+        trip_stops: [{ id: 's1', park_code: 'yose', day_number: 1, order_index: 0 }],
+      });
+      global.fetch.mockResolvedValue({ ok: false, status: 500 });
+
+      expect(await refreshTripDrivingNotes(supabase, 'trip-1')).toEqual({});
+      expect(supabase.updates).toHaveLength(0);
+    });
+  });
+});
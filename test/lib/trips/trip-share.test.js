@@ -0,0 +1,137 @@
+/**
+ * Trip Share Link Tests
+ * Tests for share tokens, URLs, lookups, and preview map points
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  generateShareToken,
+  isValidShareToken,
+  buildShareUrl,
+  buildSharePreviewUrl,
+  findShareLink,
+  buildTripPreviewPoints,
+} from '@/lib/trips/trip-share';
+
+const TRIP_ID = '11111111-1111-4111-8111-111111111111';
+const TOKEN = 'a'.repeat(48);
+
+// Chainable query mock resolving to `result`
+const createSupabase = (result) => {
+  const query = {};
+  ['select', 'eq'].forEach((method) => {
+    query[method] = vi.fn(() => query);
+  });
+  query.maybeSingle = vi.fn().mockResolvedValue(result);
+  return { from: vi.fn(() => query), query };
+};
+
+describe('trip-share', () => {
+  describe('generateShareToken', () => {
+    it('should generate distinct 48-character hex tokens', () => {
+      const token = generateShareToken();
+      expect(token).toMatch(/^[0-9a-f]{48}$/);
+      expect(generateShareToken()).not.toBe(token);
+    });
+  });
+
+  describe('isValidShareToken', () => {
+    it('should accept generated tokens', () => {
+      expect(isValidShareToken(generateShareToken())).toBe(true);
+    });
+
+    it('should reject malformed tokens', () => {
+      expect(isValidShareToken('')).toBe(false);
+      expect(isValidShareToken(null)).toBe(false);
+      expect(isValidShareToken('abc')).toBe(false);
+      expect(isValidShareToken('Z'.repeat(48))).toBe(false);
+    });
+  });
+
+  describe('URLs', () => {
+    it('should build the public trip URL', () => {
+      expect(buildShareUrl(TRIP_ID, TOKEN)).toMatch(
+        new RegExp(`^https?://.+/trip/${TRIP_ID}\\?share=${TOKEN}$`)
+      );
+    });
+
+    it('should build the preview image URL', () => {
+      expect(buildSharePreviewUrl(TRIP_ID, TOKEN)).toMatch(
+        new RegExp(`/api/trips/${TRIP_ID}/preview\\?share=${TOKEN}$`)
+      );
+    });
+  });
+
+  describe('findShareLink', () => {
+    it('should return the matching link', async () => {
+      const link = { trip_id: TRIP_ID, token: TOKEN, created_at: '2025-01-01' };
+      const supabase = createSupabase({ data: link, error: null });
+
+      await expect(findShareLink(supabase, TRIP_ID, TOKEN)).resolves.toEqual(link);
+      expect(supabase.from).toHaveBeenCalledWith('trip_share_links');
+      expect(supabase.query.eq).toHaveBeenCalledWith('trip_id', TRIP_ID);
+      expect(supabase.query.eq).toHaveBeenCalledWith('token', TOKEN);
+    });
+
+    it('should return null when no link matches', async () => {
+      const supabase = createSupabase({ data: null, error: null });
+      await expect(findShareLink(supabase, TRIP_ID, TOKEN)).resolves.toBeNull();
+    });
+
+    it('should not query for malformed tokens', async () => {
+      const supabase = createSupabase({ data: null, error: null });
+      await expect(findShareLink(supabase, TRIP_ID, 'nope')).resolves.toBeNull();
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should throw on database errors', async () => {
+      const supabase = createSupabase({ data: null, error: { message: 'boom' } });
+      await expect(findShareLink(supabase, TRIP_ID, TOKEN)).rejects.toThrow('boom');
+    });
+  });
+
+  describe('buildTripPreviewPoints', () => {
+    const parks = {
+      yose: { name: 'Yosemite', latitude: 37.8, longitude: -119.5 },
+      seki: { name: 'Sequoia', latitude: 36.5, longitude: -118.6 },
+      none: { name: 'Unknown', latitude: null, longitude: null },
+    };
+
+    it('should put the origin first and label stops by day', () => {
+      const points = buildTripPreviewPoints(
+        {
+          origin_lat: '37.77',
+          origin_lng: '-122.42',
+          trip_stops: [
+            { park_code: 'seki', day_number: 2, order_index: 0 },
+            { park_code: 'yose', day_number: 1, order_index: 0 },
+          ],
+        },
+        parks
+      );
+
+      expect(points).toEqual([
+        { lat: 37.77, lng: -122.42, label: 'S', isOrigin: true },
+        { lat: 37.8, lng: -119.5, label: '1', isOrigin: false },
+        { lat: 36.5, lng: -118.6, label: '2', isOrigin: false },
+      ]);
+    });
+
+    it('should skip a missing origin and parks without coordinates', () => {
+      const points = buildTripPreviewPoints(
+        {
+          origin_lat: null,
+          origin_lng: null,
+          trip_stops: [
+            { park_code: 'none', day_number: 1, order_index: 0 },
+            { park_code: 'gone', day_number: 1, order_index: 1 },
+            { park_code: 'yose', day_number: 2, order_index: 0 },
+          ],
+        },
+        parks
+      );
+
+      expect(points).toEqual([{ lat: 37.8, lng: -119.5, label: '2', isOrigin: false }]);
+    });
+  });
+});
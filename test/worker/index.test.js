@@ -0,0 +1,59 @@
+/**
+ * Service Worker Tests
+ * Tests for replaying queued track points on background sync
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest';
+
+const mockReplayAllQueuedPoints = vi.fn();
+vi.mock('@/lib/tracking/point-queue', () => ({
+  POINT_SYNC_TAG: 'sync-track-points',
+  openPointQueue: vi.fn(async () => ({})),
+  replayAllQueuedPoints: (...args) => mockReplayAllQueuedPoints(...args),
+}));
+
+/**
+ * Run the worker's sync handler and return the promise it waits on
+ */
+let handleSync;
+const sync = (tag = 'sync-track-points') => {
+  let pending;
+  handleSync({ tag, waitUntil: (promise) => (pending = promise) });
+  return pending;
+};
+
+describe('service worker', () => {
+  beforeAll(async () => {
+    const addEventListener = vi.spyOn(window, 'addEventListener');
+    await import('@/worker/index.js');
+    handleSync = addEventListener.mock.calls.find(([type]) => type === 'sync')[1];
+    addEventListener.mockRestore();
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should finish the sync once every point is uploaded', async () => {
+    mockReplayAllQueuedPoints.mockResolvedValue({ uploaded: 5, remaining: 0, needsSignIn: 0 });
+
+    await expect(sync()).resolves.toBeUndefined();
+  });
+
+  it('should fail the sync so the browser retries while points remain', async () => {
+    mockReplayAllQueuedPoints.mockResolvedValue({ uploaded: 0, remaining: 3, needsSignIn: 1 });
+
+    await expect(sync()).rejects.toThrow('2 track points still waiting to upload');
+  });
+
+  it('should stop retrying when only points with an expired token remain', async () => {
+    mockReplayAllQueuedPoints.mockResolvedValue({ uploaded: 0, remaining: 3, needsSignIn: 3 });
+
+    await expect(sync()).resolves.toBeUndefined();
+  });
+
+  it('should ignore other sync tags', () => {
+    expect(sync('other')).toBeUndefined();
+    expect(mockReplayAllQueuedPoints).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Custom Service Worker
+ *
+ * Bundled by next-pwa into the generated service worker. Built without the
+ * app's `@/` alias, so imports are relative.
+ *
+ * @module worker
+ */
+
+import {
+  POINT_SYNC_TAG,
+  openPointQueue,
+  replayAllQueuedPoints,
+} from '../lib/tracking/point-queue.js';
+
+/**
+ * Replay queued track points. Throws while points remain so the browser
+ * retries the sync later, except for points whose saved token has expired:
+ * retrying those can't succeed, so they wait for the page to replay them.
+ */
+const syncTrackPoints = async () => {
+  const queue = await openPointQueue();
+  const { remaining, needsSignIn } = await replayAllQueuedPoints(queue);
+
+  if (remaining > needsSignIn) {
+    throw new Error(`${remaining - needsSignIn} track points still waiting to upload`);
+  }
+};
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === POINT_SYNC_TAG) {
+    event.waitUntil(syncTrackPoints());
+  }
+});